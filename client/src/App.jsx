@@ -28,6 +28,7 @@ import RetailPage from './pages/RetailPage';
 import CertificatesPage from './pages/CertificatesPage';
 import TrainingPlansPage from './pages/TrainingPlansPage';
 import PayrollPage from './pages/PayrollPage';
+import SubstitutionsPage from './pages/SubstitutionsPage';
 import VirtualClassesPage from './pages/VirtualClassesPage';
 import EventsPage from './pages/EventsPage';
 import CertificationsPage from './pages/CertificationsPage';
@@ -36,6 +37,7 @@ import CalendarPage from './pages/CalendarPage';
 import HelpCenterPage from './pages/HelpCenterPage';
 import PublicEventsPage from './pages/PublicEventsPage';
 import PublicShopPage from './pages/PublicShopPage';
+import PublicVerifyCertificatePage from './pages/PublicVerifyCertificatePage';
 import ITAdminPage from './pages/ITAdminPage';
 import SREDashboardPage from './pages/SREDashboardPage';
 
@@ -68,6 +70,8 @@ export default function App() {
       <Route path="/kiosk" element={<KioskPage />} />
       <Route path="/public/events" element={<PublicEventsPage />} />
       <Route path="/public/shop" element={<PublicShopPage />} />
+      <Route path="/public/verify" element={<PublicVerifyCertificatePage />} />
+      <Route path="/public/verify/:code" element={<PublicVerifyCertificatePage />} />
 
       {/* Protected routes */}
       <Route
@@ -232,6 +236,14 @@ export default function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/substitutions"
+        element={
+          <ProtectedRoute roles={['SUPER_ADMIN', 'OWNER', 'INSTRUCTOR']}>
+            <AppLayout><SubstitutionsPage /></AppLayout>
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/virtual"
         element={
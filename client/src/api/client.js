@@ -162,6 +162,80 @@ async function requestArray(endpoint, options = {}) {
   return [];
 }
 
+/**
+ * Fetches a file (e.g. a PDF) from an authenticated endpoint as a Blob.
+ * Refreshes the access token once on 401, like request().
+ */
+async function requestBlob(endpoint, options = {}) {
+  let token = localStorage.getItem('flowapp_token');
+  const fetchFile = () => fetch(`${API_BASE}${endpoint}`, {
+    ...options,
+    headers: {
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  });
+
+  let response = await fetchFile();
+  if (response.status === 401) {
+    token = await attemptTokenRefresh();
+    if (!token) {
+      window.location.href = '/login';
+      throw new Error('Session expired');
+    }
+    response = await fetchFile();
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || 'Download failed');
+    error.status = response.status;
+    error.endpoint = endpoint;
+    error.details = data;
+    throw error;
+  }
+
+  const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+  return { blob: await response.blob(), filename: match ? match[1] : null };
+}
+
+/**
+ * Fetch wrapper for a paired kiosk tablet: sends the device token instead
+ * of a user login, and never redirects to /login.
+ */
+async function kioskRequest(endpoint, options = {}) {
+  const token = localStorage.getItem('flowapp_kiosk_token');
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { 'X-Kiosk-Token': token }),
+    },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || 'Request failed');
+    error.status = response.status;
+    error.endpoint = endpoint;
+    error.details = data;
+    throw error;
+  }
+  return data;
+}
+
+/** Downloads a file from an authenticated endpoint and hands it to the browser. */
+async function downloadFile(endpoint, fallbackName) {
+  const { blob, filename } = await requestBlob(endpoint);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename || fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 // ─── Auth ────────────────────────────────────────────────
 
 export const authApi = {
@@ -283,21 +357,48 @@ export const sessionApi = classInstanceApi;
 // ─── Check-ins ───────────────────────────────────────────
 
 export const checkInApi = {
-  checkIn: (sessionId, studentId) =>
+  checkIn: (sessionId, studentId, options = {}) =>
     request('/checkins', {
       method: 'POST',
-      body: JSON.stringify({ sessionId, studentId, method: 'ADMIN' }),
+      body: JSON.stringify({ sessionId, studentId, method: 'ADMIN', ...options }),
     }),
 
   checkInByQr: (qrCode) =>
     request('/checkins/qr', { method: 'POST', body: JSON.stringify({ qrCode }) }),
 
-  checkInByKiosk: (sessionId, email) =>
-    request('/checkins/kiosk', { method: 'POST', body: JSON.stringify({ sessionId, email }) }),
-
   remove: (id) => request(`/checkins/${id}`, { method: 'DELETE' }),
 
-  getAttendance: (sessionId) => request(`/checkins/attendance/${sessionId}`),
+  // params: { fullOnly: true } counts only full attendances
+  getAttendance: (sessionId, params = {}) =>
+    request(`/checkins/attendance/${sessionId}?${new URLSearchParams(params).toString()}`),
+
+  // Check-out; pickedUpById confirms a child's pickup by that guardian
+  checkOut: (id, data = {}) => request(`/checkins/${id}/checkout`, { method: 'POST', body: JSON.stringify(data) }),
+  checkOutByQr: (qrCode) =>
+    request('/checkins/qr/checkout', { method: 'POST', body: JSON.stringify({ qrCode }) }),
+  // Live roster: { onMat, awaitingPickup, left }
+  getRoster: (sessionId) => request(`/checkins/roster/${sessionId}`),
+  // Offline kiosk check-ins recorded past a rule, awaiting review
+  getFlagged: (schoolId) => request(`/checkins/review/${schoolId}`),
+  markReviewed: (id) => request(`/checkins/${id}/review`, { method: 'POST' }),
+
+  getPolicy: (schoolId) => request(`/checkins/policy/${schoolId}`),
+  updatePolicy: (schoolId, data) =>
+    request(`/checkins/policy/${schoolId}`, { method: 'PUT', body: JSON.stringify(data) }),
+};
+
+// ─── Reservations / Waitlist ─────────────────────────────
+
+export const reservationApi = {
+  // studentId only when staff book on a student's behalf
+  create: (sessionId, studentId) =>
+    request('/reservations', { method: 'POST', body: JSON.stringify({ sessionId, ...(studentId && { studentId }) }) }),
+
+  cancel: (id) => request(`/reservations/${id}/cancel`, { method: 'POST' }),
+
+  getMine: () => request('/reservations/my'),
+
+  getForSession: (sessionId) => request(`/reservations/session/${sessionId}`),
 };
 
 // ─── Users ───────────────────────────────────────────────
@@ -330,7 +431,7 @@ export const profileApi = {
 export const metricsApi = {
   getSuperAdmin: () => request('/metrics/super-admin'),
 
-  getSchool: (schoolId) => request(`/metrics/school/${schoolId}`),
+  getSchool: (schoolId, params = {}) => request(`/metrics/school/${schoolId}?${new URLSearchParams(params).toString()}`),
 
   getStudent: () => request('/metrics/student'),
 };
@@ -367,6 +468,11 @@ export const billingApi = {
       method: 'PATCH',
       body: JSON.stringify({ status }),
     }),
+  setLateFeeWaived: (schoolId, invoiceId, waived) =>
+    request(`/billing/invoices/${schoolId}/${invoiceId}/late-fee`, {
+      method: 'PATCH',
+      body: JSON.stringify({ waived }),
+    }),
 
   // Payments
   getPayments: (schoolId, params) => {
@@ -376,6 +482,11 @@ export const billingApi = {
   recordPayment: (schoolId, data) =>
     request(`/billing/payments/${schoolId}`, { method: 'POST', body: JSON.stringify(data) }),
 
+  // Refunds
+  refundPayment: (schoolId, paymentId, data) =>
+    request(`/billing/payments/${schoolId}/${paymentId}/refund`, { method: 'POST', body: JSON.stringify(data) }),
+  getRefunds: (schoolId) => requestArray(`/billing/refunds/${schoolId}`),
+
   // Summary
   getSummary: (schoolId) => request(`/billing/summary/${schoolId}`),
 
@@ -393,6 +504,32 @@ export const billingApi = {
     }),
   cancelSubscription: (schoolId, subscriptionId) =>
     request(`/billing/subscriptions/${schoolId}/${subscriptionId}`, { method: 'DELETE' }),
+  downloadInvoicePdf: (schoolId, invoiceId) =>
+    downloadFile(`/billing/invoices/${schoolId}/${invoiceId}/pdf`, 'invoice.pdf'),
+  downloadReceipt: (schoolId, paymentId) =>
+    downloadFile(`/billing/payments/${schoolId}/${paymentId}/receipt`, 'receipt.pdf'),
+  getFreezes: (schoolId, subscriptionId) =>
+    requestArray(`/billing/subscriptions/${schoolId}/${subscriptionId}/freezes`),
+  createFreeze: (schoolId, subscriptionId, data) =>
+    request(`/billing/subscriptions/${schoolId}/${subscriptionId}/freezes`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+  endFreeze: (schoolId, subscriptionId, freezeId) =>
+    request(`/billing/subscriptions/${schoolId}/${subscriptionId}/freezes/${freezeId}`, { method: 'DELETE' }),
+  previewProration: (schoolId, subscriptionId, planId) => {
+    const query = planId ? '?' + new URLSearchParams({ planId }).toString() : '';
+    return request(`/billing/subscriptions/${schoolId}/${subscriptionId}/proration${query}`);
+  },
+
+  // Class credits (punch-card plans)
+  getCredits: (schoolId, subscriptionId) =>
+    request(`/billing/subscriptions/${schoolId}/${subscriptionId}/credits`),
+  adjustCredits: (schoolId, subscriptionId, data) =>
+    request(`/billing/subscriptions/${schoolId}/${subscriptionId}/credits`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
 
   // Auto-invoice manual trigger
   runAutoInvoice: () =>
@@ -441,6 +578,10 @@ export const promotionApi = {
   getProgress: (enrollmentId) => request(`/promotions/progress/${enrollmentId}`),
   updateProgress: (enrollmentId, data) =>
     request(`/promotions/progress/${enrollmentId}`, { method: 'PATCH', body: JSON.stringify(data) }),
+  getEligibility: (schoolId, params) => {
+    const query = params ? '?' + new URLSearchParams(params).toString() : '';
+    return request(`/promotions/eligibility/${schoolId}${query}`);
+  },
 
   // Promotions
   promoteStudent: (enrollmentId, data) =>
@@ -526,7 +667,7 @@ export const familyApi = {
   update: (familyId, data) =>
     request(`/families/${familyId}`, { method: 'PUT', body: JSON.stringify(data) }),
 
-  // Combined billing
+  // Household statement
   getBilling: (familyId) => request(`/families/${familyId}/billing`),
 
   // Members
@@ -544,7 +685,7 @@ export const studentPortalApi = {
   getDashboard: () => request('/student-portal/dashboard'),
   getSchedule: (params) => {
     const query = params ? '?' + new URLSearchParams(params).toString() : '';
-    return requestArray(`/student-portal/schedule${query}`);
+    return request(`/student-portal/schedule${query}`); // { data: sessions, closures }
   },
 };
 
@@ -679,6 +820,7 @@ export const retailApi = {
   },
   createOrder: (schoolId, data) => request(`/retail/orders/${schoolId}`, { method: 'POST', body: JSON.stringify(data) }),
   updateOrderStatus: (id, status) => request(`/retail/orders/${id}/status`, { method: 'PATCH', body: JSON.stringify({ status }) }),
+  refundOrder: (id, data) => request(`/retail/orders/${id}/refund`, { method: 'POST', body: JSON.stringify(data) }),
 };
 
 // ─── Certificates ────────────────────────────────────────
@@ -694,6 +836,13 @@ export const certificateApi = {
     return requestArray(`/certificates${query}`);
   },
   generate: (data) => request('/certificates/generate', { method: 'POST', body: JSON.stringify(data) }),
+  getMine: () => requestArray('/certificates/my'),
+  download: (id) => downloadFile(`/certificates/${id}/pdf`, 'certificate.pdf'),
+  revoke: (id, reason) => request(`/certificates/${id}/revoke`, { method: 'POST', body: JSON.stringify({ reason }) }),
+  // Renders the layout with sample values — resolves to a PDF Blob
+  preview: (schoolId, data) =>
+    requestBlob('/certificates/templates/preview', { method: 'POST', body: JSON.stringify({ ...data, schoolId }) })
+      .then(({ blob }) => blob),
 };
 
 // ─── Training Plans ──────────────────────────────────────
@@ -740,6 +889,7 @@ export const eventApi = {
   remove: (id) => request(`/events/${id}`, { method: 'DELETE' }),
   purchaseTicket: (eventId, data) => request(`/events/${eventId}/tickets`, { method: 'POST', body: JSON.stringify(data) }),
   updateTicketStatus: (ticketId, status) => request(`/events/tickets/${ticketId}/status`, { method: 'PATCH', body: JSON.stringify({ status }) }),
+  refundTicket: (ticketId, data) => request(`/events/tickets/${ticketId}/refund`, { method: 'POST', body: JSON.stringify(data) }),
   register: (eventId, data) => request(`/events/${eventId}/register`, { method: 'POST', body: JSON.stringify(data || {}) }),
   cancelRegistration: (regId) => request(`/events/registrations/${regId}`, { method: 'DELETE' }),
   addTournamentEntry: (eventId, data) => request(`/events/${eventId}/tournament-entries`, { method: 'POST', body: JSON.stringify(data) }),
@@ -760,6 +910,111 @@ export const venueApi = {
   remove: (id) => request(`/venues/${id}`, { method: 'DELETE' }),
 };
 
+// ─── School Closures / Holidays ──────────────────────────
+export const closureApi = {
+  getAll: (params) => {
+    const query = params ? '?' + new URLSearchParams(params).toString() : '';
+    return requestArray(`/closures${query}`);
+  },
+  create: (data) => request('/closures', { method: 'POST', body: JSON.stringify(data) }),
+  remove: (id) => request(`/closures/${id}`, { method: 'DELETE' }),
+};
+
+// ─── Instructor Substitutes & Availability ──────────────
+export const substitutionApi = {
+  getAvailability: (instructorId) => requestArray(`/substitutions/availability/${instructorId}`),
+  setAvailability: (instructorId, windows) =>
+    request(`/substitutions/availability/${instructorId}`, { method: 'PUT', body: JSON.stringify({ windows }) }),
+
+  getTimeOff: (params) => {
+    const query = params ? '?' + new URLSearchParams(params).toString() : '';
+    return requestArray(`/substitutions/time-off${query}`);
+  },
+  createTimeOff: (data) => request('/substitutions/time-off', { method: 'POST', body: JSON.stringify(data) }),
+  removeTimeOff: (id) => request(`/substitutions/time-off/${id}`, { method: 'DELETE' }),
+
+  getRequests: (params) => {
+    const query = params ? '?' + new URLSearchParams(params).toString() : '';
+    return requestArray(`/substitutions/requests${query}`);
+  },
+  // Leave substituteId out to ask every instructor at the school
+  createRequest: (data) => request('/substitutions/requests', { method: 'POST', body: JSON.stringify(data) }),
+  accept: (id) => request(`/substitutions/requests/${id}/accept`, { method: 'POST' }),
+  decline: (id) => request(`/substitutions/requests/${id}/decline`, { method: 'POST' }),
+  cancel: (id) => request(`/substitutions/requests/${id}/cancel`, { method: 'POST' }),
+
+  // null restores the class's regular instructor
+  setSessionInstructor: (sessionId, instructorId, extra = {}) =>
+    request(`/substitutions/sessions/${sessionId}/instructor`, { method: 'PUT', body: JSON.stringify({ instructorId, ...extra }) }),
+};
+
+// ─── Rooms & Scheduling Conflicts ────────────────────────
+export const roomApi = {
+  getAll: (params) => {
+    const query = params ? '?' + new URLSearchParams(params).toString() : '';
+    return requestArray(`/rooms${query}`);
+  },
+  create: (data) => request('/rooms', { method: 'POST', body: JSON.stringify(data) }),
+  update: (id, data) => request(`/rooms/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+  remove: (id) => request(`/rooms/${id}`, { method: 'DELETE' }),
+};
+
+// ─── Calendar (.ics) Subscriptions ───────────────────────
+export const calendarFeedApi = {
+  getAll: () => requestArray('/calendar-feeds'),
+  // type: STUDENT (optionally a family member's studentId) | INSTRUCTOR | SCHOOL — returns the URL once
+  create: (data) => request('/calendar-feeds', { method: 'POST', body: JSON.stringify(data) }),
+  revoke: (id) => request(`/calendar-feeds/${id}`, { method: 'DELETE' }),
+};
+
+// ─── Kiosks ──────────────────────────────────────────────
+
+export const kioskApi = {
+  getDevices: (params = {}) => request(`/kiosk/devices?${new URLSearchParams(params).toString()}`),
+  // Returns the device token once — the tablet keeps it (see kioskDeviceApi)
+  pair: (data) => request('/kiosk/devices', { method: 'POST', body: JSON.stringify(data) }),
+  revoke: (id) => request(`/kiosk/devices/${id}`, { method: 'DELETE' }),
+  getActivity: (id) => request(`/kiosk/devices/${id}/activity`),
+
+  // A student's kiosk PIN and member card (self, guardian or staff)
+  getMember: (studentId) => request(`/kiosk/members/${studentId}`),
+  resetPin: (studentId) => request(`/kiosk/members/${studentId}/pin`, { method: 'POST' }),
+  reissueCard: (studentId) => request(`/kiosk/members/${studentId}/card`, { method: 'POST' }),
+  downloadCard: (studentId) => downloadFile(`/kiosk/members/${studentId}/card`, 'member-card.pdf'),
+};
+
+/** Calls made by the paired kiosk tablet itself (device token, no login). */
+export const kioskDeviceApi = {
+  getToken: () => localStorage.getItem('flowapp_kiosk_token'),
+  setToken: (token) => localStorage.setItem('flowapp_kiosk_token', token),
+  forget: () => localStorage.removeItem('flowapp_kiosk_token'),
+
+  getDevice: () => kioskRequest('/kiosk/device'),
+  getSessions: () => kioskRequest('/kiosk/sessions'),
+  getQr: (sessionId) => kioskRequest(`/kiosk/sessions/${sessionId}/qr`),
+  // credential: { pin } or { cardCode }
+  checkIn: (sessionId, credential) =>
+    kioskRequest('/checkins/kiosk', { method: 'POST', body: JSON.stringify({ sessionId, ...credential }) }),
+  // Check-ins queued while offline: [{ clientId, sessionId, pin | cardCode, checkedInAt }] → a result per item
+  checkInBatch: (items) =>
+    kioskRequest('/checkins/kiosk/batch', { method: 'POST', body: JSON.stringify({ items }) }),
+  // A guardian's family and the sessions each member can join today (guardian's own PIN / card)
+  getFamily: (credential) => kioskRequest('/kiosk/family', { method: 'POST', body: JSON.stringify(credential) }),
+  // checkIns: [{ studentId, sessionId }] → a result per child
+  checkInFamily: (credential, checkIns) =>
+    kioskRequest('/checkins/kiosk/family', { method: 'POST', body: JSON.stringify({ ...credential, checkIns }) }),
+  checkOut: (sessionId, credential) =>
+    kioskRequest('/checkins/kiosk/checkout', { method: 'POST', body: JSON.stringify({ sessionId, ...credential }) }),
+  // Checks family members out and confirms children's pickup → a result per check-in
+  checkOutFamily: (credential, checkInIds) =>
+    kioskRequest('/checkins/kiosk/family/checkout', { method: 'POST', body: JSON.stringify({ ...credential, checkInIds }) }),
+};
+
+export const conflictApi = {
+  // { sessions: { [id]: conflicts[] }, events: { [id]: conflicts[] } }
+  getRange: (params) => request(`/conflicts?${new URLSearchParams(params).toString()}`),
+};
+
 // ─── Certifications / Title Applications ─────────────────
 export const certificationApi = {
   getAll: (params) => {
@@ -822,6 +1077,7 @@ export const publicApi = {
   },
   createOrder: (data) => publicRequest('/public/shop/orders', { method: 'POST', body: JSON.stringify(data) }),
   getSchools: () => publicRequest('/public/schools'),
+  verifyCertificate: (code) => publicRequest(`/public/certificates/${encodeURIComponent(code)}`),
 };
 
 // ─── Virtual / Online Classes ────────────────────────────
@@ -0,0 +1,130 @@
+/**
+ * CalendarFeedsCard — Subscribe to classes in Google/Apple/Outlook calendar
+ *
+ * Creates secret .ics URLs (shown once) and lists live ones for revoking.
+ * Guardians can also subscribe to their family members' classes.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { calendarFeedApi, familyApi } from '../api/client';
+
+const TYPE_LABELS = { STUDENT: 'Classes', INSTRUCTOR: 'Teaching', SCHOOL: 'School timetable' };
+
+function feedLabel(feed) {
+  if (feed.type === 'SCHOOL') return `${feed.school?.name || 'School'} — timetable`;
+  const who = feed.user ? `${feed.user.firstName} ${feed.user.lastName}` : '';
+  return `${who} — ${TYPE_LABELS[feed.type]}`;
+}
+
+export default function CalendarFeedsCard({ user }) {
+  const [feeds, setFeeds] = useState([]);
+  const [family, setFamily] = useState([]);
+  const [created, setCreated] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const [f, families] = await Promise.all([calendarFeedApi.getAll(), familyApi.getMine()]);
+      setFeeds(f);
+      // Guardians can subscribe to everyone in their household
+      const members = families
+        .filter((fam) => ['PRIMARY', 'SECONDARY'].includes(fam.myRole))
+        .flatMap((fam) => fam.members.map((m) => m.user))
+        .filter((u) => u && u.id !== user.id);
+      setFamily([...new Map(members.map((u) => [u.id, u])).values()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [user.id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const create = async (data) => {
+    setBusy(true);
+    setError('');
+    try {
+      setCreated(await calendarFeedApi.create(data));
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const revoke = async (feed) => {
+    if (!confirm(`Stop "${feedLabel(feed)}"? Calendars subscribed to it will stop updating.`)) return;
+    try {
+      await calendarFeedApi.revoke(feed.id);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copy = (text) => navigator.clipboard?.writeText(text);
+
+  const teaches = ['INSTRUCTOR', 'OWNER'].includes(user.role);
+
+  return (
+    <div className="card">
+      <h3 style={{ marginBottom: '0.5rem' }}>📅 Calendar Subscriptions</h3>
+      <p style={{ color: '#666', fontSize: '0.9rem', marginBottom: '0.75rem' }}>
+        See your schedule in Google, Apple or Outlook calendar. Changes and cancellations update automatically.
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {created && (
+        <div className="alert alert-success">
+          <strong>{feedLabel(created)}</strong> — {created.message}
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem', alignItems: 'center' }}>
+            <input className="form-control" readOnly value={created.url} onFocus={(e) => e.target.select()} />
+            <button className="btn btn-sm btn-outline" onClick={() => copy(created.url)}>Copy</button>
+            <a className="btn btn-sm btn-primary" href={created.webcalUrl}>Open</a>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+        <button className="btn btn-sm btn-outline" disabled={busy} onClick={() => create({ type: 'STUDENT' })}>
+          + My classes
+        </button>
+        {family.map((m) => (
+          <button key={m.id} className="btn btn-sm btn-outline" disabled={busy}
+            onClick={() => create({ type: 'STUDENT', studentId: m.id })}>
+            + {m.firstName}&apos;s classes
+          </button>
+        ))}
+        {teaches && (
+          <button className="btn btn-sm btn-outline" disabled={busy} onClick={() => create({ type: 'INSTRUCTOR' })}>
+            + My teaching
+          </button>
+        )}
+        {user.role === 'OWNER' && (
+          <button className="btn btn-sm btn-outline" disabled={busy} onClick={() => create({ type: 'SCHOOL' })}>
+            + School timetable
+          </button>
+        )}
+      </div>
+
+      {feeds.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr><th>Calendar</th><th>Created</th><th>Last synced</th><th></th></tr>
+          </thead>
+          <tbody>
+            {feeds.map((f) => (
+              <tr key={f.id}>
+                <td>{feedLabel(f)}</td>
+                <td>{new Date(f.createdAt).toLocaleDateString()}</td>
+                <td>{f.lastFetchedAt ? new Date(f.lastFetchedAt).toLocaleString() : 'Never'}</td>
+                <td><button className="btn btn-sm btn-danger" onClick={() => revoke(f)}>Revoke</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+/**
+ * CheckInPolicySettings — Per-school check-in eligibility rules
+ *
+ * Owners choose, per rule, whether a failing student is blocked (staff can
+ * still override), checked in with a warning, or not checked at all.
+ */
+
+import { useState, useEffect } from 'react';
+import { checkInApi, schoolApi } from '../api/client';
+
+const RULES = [
+  { field: 'waiverRule', label: 'Required waivers signed', hint: 'Every active waiver template marked "Required for check-in", signed and not expired' },
+  { field: 'enrollmentRule', label: 'Active enrollment', hint: 'The student is actively enrolled at this school' },
+  { field: 'overdueInvoiceRule', label: 'No overdue invoices', hint: 'No unpaid invoice more than the number of days below past due' },
+  { field: 'membershipRule', label: 'Active membership', hint: 'An active or frozen subscription, with class credits left on punch-card plans' },
+];
+
+const ACTIONS = [
+  { value: 'BLOCK', label: 'Block' },
+  { value: 'WARN', label: 'Warn' },
+  { value: 'IGNORE', label: 'Off' },
+];
+
+export default function CheckInPolicySettings({ user }) {
+  const [schools, setSchools] = useState([]);
+  const [schoolId, setSchoolId] = useState(user.schoolId || '');
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    schoolApi.getAll()
+      .then((list) => {
+        setSchools(list);
+        setSchoolId((current) => current || list[0]?.id || '');
+      })
+      .catch(() => setSchools([]));
+  }, []);
+
+  useEffect(() => {
+    if (!schoolId) return;
+    setPolicy(null);
+    checkInApi.getPolicy(schoolId)
+      .then(setPolicy)
+      .catch((err) => setMessage({ type: 'error', text: err.message }));
+  }, [schoolId]);
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const data = Object.fromEntries(RULES.map((r) => [r.field, policy[r.field]]));
+      const saved = await checkInApi.updatePolicy(schoolId, { ...data, overdueInvoiceDays: Number(policy.overdueInvoiceDays) });
+      setPolicy((p) => ({ ...p, ...saved }));
+      setMessage({ type: 'success', text: 'Check-in rules saved.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="card">
+      <h2 style={{ marginBottom: '0.5rem' }}>Check-In Rules</h2>
+      <p style={{ color: '#666', fontSize: '0.9rem', marginBottom: '0.75rem' }}>
+        Applies to kiosk, QR and front-desk check-ins. Blocked students see the reason; staff can check them in anyway, and every override is recorded in the audit log.
+      </p>
+
+      {schools.length > 1 && (
+        <div className="form-group">
+          <label>School</label>
+          <select className="form-control" value={schoolId} onChange={(e) => setSchoolId(e.target.value)}>
+            {schools.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {message.text && <div className={`alert alert-${message.type}`}>{message.text}</div>}
+
+      {policy && (
+        <form onSubmit={save}>
+          <table className="data-table">
+            <thead>
+              <tr><th>Rule</th><th>When it fails</th></tr>
+            </thead>
+            <tbody>
+              {RULES.map((r) => (
+                <tr key={r.field}>
+                  <td>
+                    <strong>{r.label}</strong>
+                    <div style={{ color: '#666', fontSize: '0.8rem' }}>{r.hint}</div>
+                    {r.field === 'waiverRule' && policy.waiverRule !== 'IGNORE' && policy.requiredWaivers.length === 0 && (
+                      <div style={{ color: 'var(--color-warning, #b45309)', fontSize: '0.8rem' }}>
+                        No waiver templates are marked required yet — set one up on the Waivers page.
+                      </div>
+                    )}
+                    {r.field === 'overdueInvoiceRule' && (
+                      <div style={{ marginTop: '0.25rem', fontSize: '0.85rem' }}>
+                        More than{' '}
+                        <input
+                          type="number"
+                          min="0"
+                          max="365"
+                          value={policy.overdueInvoiceDays}
+                          onChange={(e) => setPolicy({ ...policy, overdueInvoiceDays: e.target.value })}
+                          style={{ width: '4.5rem' }}
+                        />{' '}
+                        days past due
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <select className="form-control" value={policy[r.field]} onChange={(e) => setPolicy({ ...policy, [r.field]: e.target.value })}>
+                      {ACTIONS.map((a) => <option key={a.value} value={a.value}>{a.label}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button type="submit" className="btn btn-primary" disabled={saving} style={{ marginTop: '0.75rem' }}>
+            {saving ? 'Saving...' : 'Save Rules'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
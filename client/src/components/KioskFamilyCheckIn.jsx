@@ -0,0 +1,192 @@
+/**
+ * KioskFamilyCheckIn — A guardian checks their family in (or out) at the kiosk
+ *
+ * After the guardian identifies with their own PIN or card, each family
+ * member is listed with the sessions they can join today. The guardian
+ * picks a session per child and checks everyone in at once; the results
+ * come back per child. Members still here today are listed under "Going
+ * home?" — checking a child out there confirms the guardian picked them up.
+ */
+
+import { useState } from 'react';
+import { kioskDeviceApi } from '../api/client';
+
+/** A booked session first, then the kiosk's current session, else nothing. */
+function defaultPick(member, sessionId) {
+  const reserved = member.sessions.find((s) => s.status === 'RESERVED');
+  if (reserved) return reserved.sessionId;
+  const current = member.sessions.find((s) => s.sessionId === sessionId && s.status === 'OPEN');
+  return current ? current.sessionId : '';
+}
+
+const SESSION_TAGS = { OPEN: '', RESERVED: ' (booked)', CHECKED_IN: ' (checked in)' };
+const RESULT_ICONS = { CHECKED_IN: '✅', DUPLICATE: 'ℹ️', CHECKED_OUT: '👋', PICKED_UP: '👋', REJECTED: '❌' };
+
+export default function KioskFamilyCheckIn({ family, defaultSessionId, creditNote, onDone }) {
+  const [picks, setPicks] = useState(() => Object.fromEntries(
+    family.members.map((m) => [m.studentId, m.issues.length ? '' : defaultPick(m, defaultSessionId)]),
+  ));
+  const [goingHome, setGoingHome] = useState([]); // check-in IDs
+  const [results, setResults] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const sessionLabel = (id) => {
+    const s = family.sessions.find((x) => x.id === id);
+    return s ? `${s.className} — ${s.startTime}` : 'Unknown class';
+  };
+
+  const checkIns = Object.entries(picks)
+    .filter(([, sessionId]) => sessionId)
+    .map(([studentId, sessionId]) => ({ studentId, sessionId }));
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const data = await kioskDeviceApi.checkInFamily(family.credential, checkIns);
+      setResults(data.results);
+    } catch (err) {
+      setError(err.message);
+    }
+    setSubmitting(false);
+  };
+
+  const stillHere = family.members.flatMap((m) => m.here.map((h) => ({ ...h, member: m })));
+  const toggleGoingHome = (id) => setGoingHome(
+    goingHome.includes(id) ? goingHome.filter((x) => x !== id) : [...goingHome, id],
+  );
+
+  const submitGoingHome = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const data = await kioskDeviceApi.checkOutFamily(family.credential, goingHome);
+      setResults(data.results);
+    } catch (err) {
+      setError(err.message);
+    }
+    setSubmitting(false);
+  };
+
+  if (results) {
+    return (
+      <div style={{ textAlign: 'left' }}>
+        {results.map((r) => (
+          <div
+            key={r.checkInId || `${r.studentId}-${r.sessionId}`}
+            className={`alert alert-${r.status === 'REJECTED' ? 'error' : 'success'}`}
+          >
+            {RESULT_ICONS[r.status]} <strong>{r.name || 'Unknown member'}</strong>
+            {r.status === 'CHECKED_IN' && ` is checked into ${r.className}.${creditNote(r)}`}
+            {r.status === 'DUPLICATE' && ` was already checked into ${sessionLabel(r.sessionId)}.`}
+            {r.status === 'CHECKED_OUT' && ` is checked out of ${r.className}. See you next time!`}
+            {r.status === 'PICKED_UP' && ` is picked up from ${r.className}. See you next time!`}
+            {r.status === 'REJECTED' && ` — ${r.error}${r.reason === 'NOT_ELIGIBLE' ? '. Please see the front desk.' : ''}`}
+          </div>
+        ))}
+        <button className="btn btn-success" style={{ width: '100%', justifyContent: 'center', padding: '0.9rem', fontSize: '1.2rem' }} onClick={onDone}>
+          Done
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <p style={{ textAlign: 'center', fontSize: '1.2rem', marginBottom: '1rem' }}>
+        Hi, {family.guardian.firstName}! Who&apos;s training today?
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {family.members.length === 0 && (
+        <p style={{ color: 'var(--color-text-light)', textAlign: 'center' }}>
+          No one in your family is enrolled here yet — please see the front desk.
+        </p>
+      )}
+
+      {family.members.map((m) => {
+        const alreadyIn = m.sessions.filter((s) => s.status === 'CHECKED_IN');
+        return (
+          <div key={m.studentId} style={{ borderBottom: '1px solid var(--color-border)', padding: '0.75rem 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+              <strong style={{ fontSize: '1.1rem' }}>{m.name}</strong>
+              <select
+                className="form-control"
+                style={{ maxWidth: '60%', fontSize: '1rem' }}
+                value={picks[m.studentId]}
+                disabled={m.issues.length > 0 || m.sessions.length === 0}
+                onChange={(e) => setPicks({ ...picks, [m.studentId]: e.target.value })}
+              >
+                <option value="">Not today</option>
+                {m.sessions.map((s) => (
+                  <option key={s.sessionId} value={s.sessionId} disabled={s.status === 'CHECKED_IN'}>
+                    {`${sessionLabel(s.sessionId)}${SESSION_TAGS[s.status]}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {m.sessions.length === 0 && (
+              <div style={{ color: 'var(--color-text-light)', fontSize: '0.85rem' }}>No classes for {m.name} today</div>
+            )}
+            {alreadyIn.length > 0 && (
+              <div style={{ color: 'var(--color-text-light)', fontSize: '0.85rem' }}>
+                Checked into {alreadyIn.map((s) => sessionLabel(s.sessionId)).join(', ')}
+              </div>
+            )}
+            {m.issues.length > 0 && (
+              <div style={{ color: 'var(--color-danger)', fontSize: '0.85rem' }}>
+                Please see the front desk: {m.issues.map((i) => i.message).join('; ')}
+              </div>
+            )}
+            {m.warnings.length > 0 && (
+              <div style={{ color: 'var(--color-warning)', fontSize: '0.85rem' }}>
+                {m.warnings.map((i) => i.message).join('; ')}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {stillHere.length > 0 && (
+        <div style={{ marginTop: '1.5rem' }}>
+          <p style={{ fontSize: '1.1rem', marginBottom: '0.5rem' }}>Going home?</p>
+          {stillHere.map((h) => (
+            <label key={h.checkInId} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.4rem 0', fontSize: '1rem' }}>
+              <input type="checkbox" checked={goingHome.includes(h.checkInId)} onChange={() => toggleGoingHome(h.checkInId)} />
+              <span>
+                <strong>{h.member.name}</strong> — {h.className}
+                <span style={{ color: 'var(--color-text-light)' }}>
+                  {h.checkedOutAt ? ' (waiting for pickup)' : ' (on the mat)'}
+                </span>
+              </span>
+            </label>
+          ))}
+          <button
+            className="btn btn-primary"
+            style={{ width: '100%', justifyContent: 'center', marginTop: '0.5rem', fontSize: '1.1rem' }}
+            disabled={submitting || goingHome.length === 0}
+            onClick={submitGoingHome}
+          >
+            {submitting ? 'Checking out...' : `👋 Check out ${goingHome.length || ''}`.trim()}
+          </button>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+        <button className="btn btn-outline" style={{ flex: 1, justifyContent: 'center' }} onClick={onDone}>
+          Cancel
+        </button>
+        <button
+          className="btn btn-success"
+          style={{ flex: 2, justifyContent: 'center', fontSize: '1.1rem' }}
+          disabled={submitting || checkIns.length === 0}
+          onClick={submit}
+        >
+          {submitting ? 'Checking in...' : `✅ Check in ${checkIns.length || ''}`.trim()}
+        </button>
+      </div>
+    </div>
+  );
+}
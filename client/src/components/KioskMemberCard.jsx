@@ -0,0 +1,116 @@
+/**
+ * KioskMemberCard — Kiosk PIN and printable member card
+ *
+ * Students (and guardians, for their family) get a new PIN — shown once —
+ * or download the member card whose barcode the front-desk kiosk scans.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { kioskApi, familyApi } from '../api/client';
+
+export default function KioskMemberCard({ user }) {
+  const [members, setMembers] = useState([]);
+  const [issued, setIssued] = useState(null); // { name, pin }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const families = await familyApi.getMine();
+      const people = [
+        { id: user.id, firstName: user.firstName, lastName: user.lastName },
+        ...families
+          .filter((fam) => ['PRIMARY', 'SECONDARY'].includes(fam.myRole))
+          .flatMap((fam) => fam.members.map((m) => m.user))
+          .filter((u) => u && u.id !== user.id),
+      ];
+      const unique = [...new Map(people.map((u) => [u.id, u])).values()];
+      // Only people enrolled at a school, or guardians of a family there, can use its kiosk
+      const withStatus = await Promise.all(unique.map((u) => kioskApi.getMember(u.id)
+        .then((status) => ({ ...u, status }))
+        .catch(() => null)));
+      setMembers(withStatus.filter(Boolean));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [user.id, user.firstName, user.lastName]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const newPin = (m) => {
+    if (m.status.hasPin && !confirm(`Replace ${m.firstName}'s PIN? The old one will stop working.`)) return;
+    run(async () => {
+      const { pin } = await kioskApi.resetPin(m.id);
+      setIssued({ name: m.firstName, pin });
+    });
+  };
+
+  const newCard = (m) => {
+    if (!confirm(`Replace ${m.firstName}'s member card? Printed copies of the old card will stop working.`)) return;
+    run(async () => {
+      await kioskApi.reissueCard(m.id);
+      await kioskApi.downloadCard(m.id);
+    });
+  };
+
+  if (members.length === 0) return null;
+
+  return (
+    <div className="card">
+      <h3 style={{ marginBottom: '0.5rem' }}>💳 Kiosk Check-In</h3>
+      <p style={{ color: '#666', fontSize: '0.9rem', marginBottom: '0.75rem' }}>
+        Check in at the front-desk kiosk with a PIN or by scanning your member card.
+        Guardians can check the whole family in at once with their own.
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {issued && (
+        <div className="alert alert-success">
+          {issued.name}&apos;s new PIN is <strong style={{ fontSize: '1.2rem', letterSpacing: '0.2rem' }}>{issued.pin}</strong>.
+          Keep it safe — it won&apos;t be shown again.
+        </div>
+      )}
+
+      <table className="data-table">
+        <thead>
+          <tr><th>Member</th><th>PIN</th><th>Card</th><th></th></tr>
+        </thead>
+        <tbody>
+          {members.map((m) => (
+            <tr key={m.id}>
+              <td>{m.firstName} {m.lastName}</td>
+              <td>{m.status.hasPin ? 'Set' : 'Not set'}</td>
+              <td>{m.status.hasCard ? 'Issued' : 'Not issued'}</td>
+              <td style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <button className="btn btn-sm btn-outline" disabled={busy} onClick={() => newPin(m)}>
+                  {m.status.hasPin ? 'New PIN' : 'Get PIN'}
+                </button>
+                <button className="btn btn-sm btn-outline" disabled={busy} onClick={() => run(() => kioskApi.downloadCard(m.id))}>
+                  Download card
+                </button>
+                {m.status.hasCard && (
+                  <button className="btn btn-sm btn-danger" disabled={busy} onClick={() => newCard(m)}>
+                    Replace card
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * OfflineCheckInReview — check-ins a kiosk queued while offline that were
+ * recorded past a full class, an empty credit balance or a check-in rule.
+ *
+ * Staff mark each one reviewed, or undo it if it shouldn't stand.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { checkInApi } from '../api/client';
+
+const FLAG_LABELS = {
+  OVER_CAPACITY: 'Class was full',
+  NO_CREDITS: 'No class credits',
+  WAIVER: 'Waiver missing',
+  ENROLLMENT: 'Not enrolled',
+  OVERDUE_INVOICE: 'Overdue invoice',
+  MEMBERSHIP: 'No active membership',
+};
+
+export default function OfflineCheckInReview({ schoolId, onMessage }) {
+  const [checkIns, setCheckIns] = useState([]);
+
+  const load = useCallback(() => {
+    if (!schoolId) return;
+    checkInApi.getFlagged(schoolId)
+      .then(setCheckIns)
+      .catch(() => setCheckIns([]));
+  }, [schoolId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const markReviewed = async (ci) => {
+    try {
+      await checkInApi.markReviewed(ci.id);
+      setCheckIns((list) => list.filter((c) => c.id !== ci.id));
+    } catch (err) {
+      onMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const undo = async (ci) => {
+    if (!window.confirm(`Remove ${ci.student.firstName} ${ci.student.lastName}'s check-in? Any class credit it took is given back.`)) return;
+    try {
+      await checkInApi.remove(ci.id);
+      setCheckIns((list) => list.filter((c) => c.id !== ci.id));
+      onMessage({ type: 'success', text: 'Check-in removed' });
+    } catch (err) {
+      onMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  if (checkIns.length === 0) return null;
+
+  return (
+    <div className="card">
+      <h2 style={{ marginBottom: '0.5rem' }}>Offline Check-Ins to Review</h2>
+      <p style={{ color: '#666', marginTop: 0 }}>
+        The kiosk recorded these while it was offline, although the student couldn&apos;t have checked in online.
+      </p>
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Class</th>
+              <th>Checked in</th>
+              <th>Flagged</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {checkIns.map((ci) => (
+              <tr key={ci.id}>
+                <td>{ci.student.firstName} {ci.student.lastName}</td>
+                <td>{ci.session.class.name} — {ci.session.startTime}</td>
+                <td>{new Date(ci.checkedInAt).toLocaleString()}{ci.kioskDevice && ` (${ci.kioskDevice.name})`}</td>
+                <td>
+                  {ci.reviewFlags.map((flag) => (
+                    <span key={flag} className="badge badge-in-progress" style={{ marginRight: '0.25rem' }}>
+                      {FLAG_LABELS[flag] || flag}
+                    </span>
+                  ))}
+                </td>
+                <td style={{ display: 'flex', gap: '0.25rem' }}>
+                  <button className="btn btn-success btn-sm" onClick={() => markReviewed(ci)}>Reviewed</button>
+                  <button className="btn btn-danger btn-sm" onClick={() => undo(ci)}>Undo</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+/**
+ * SessionRoster — Who's on the mat right now
+ *
+ * The live roster for a session: students still on the mat (with minutes
+ * so far), children waiting for a guardian to pick them up, and who has
+ * left. Staff check students out here and record which guardian collected
+ * each child. Refreshes every minute.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { checkInApi } from '../api/client';
+
+const REFRESH_MS = 60000;
+
+const METHOD_LABELS = { ADMIN: 'staff', KIOSK: 'kiosk', QR_CODE: 'QR', AUTO: 'class ended' };
+
+const fullName = (u) => `${u.firstName} ${u.lastName}`;
+const time = (d) => new Date(d).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default function SessionRoster({ sessionId, refreshKey, onMessage }) {
+  const [roster, setRoster] = useState(null);
+  const [pickups, setPickups] = useState({}); // checkInId → guardian ID
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setRoster(await checkInApi.getRoster(sessionId));
+    } catch {
+      setRoster(null);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [load, refreshKey]);
+
+  const run = async (action, success) => {
+    setBusy(true);
+    try {
+      await action();
+      onMessage({ type: 'success', text: success });
+      await load();
+    } catch (err) {
+      onMessage({ type: 'error', text: err.message });
+    }
+    setBusy(false);
+  };
+
+  const checkOut = (entry) => run(
+    () => checkInApi.checkOut(entry.id),
+    `${fullName(entry.student)} checked out.`,
+  );
+
+  const confirmPickup = (entry) => {
+    const guardianId = pickups[entry.id] || entry.guardians[0]?.id;
+    const guardian = entry.guardians.find((g) => g.id === guardianId);
+    if (!guardian) return;
+    run(
+      () => checkInApi.checkOut(entry.id, { pickedUpById: guardian.id }),
+      `${entry.student.firstName} was picked up by ${fullName(guardian)}.`,
+    );
+  };
+
+  const guardianSelect = (entry) => (
+    <span style={{ display: 'inline-flex', gap: '0.5rem' }}>
+      <select
+        className="form-control"
+        style={{ width: 'auto', padding: '0.25rem 0.5rem' }}
+        value={pickups[entry.id] || entry.guardians[0]?.id || ''}
+        onChange={(e) => setPickups({ ...pickups, [entry.id]: e.target.value })}
+      >
+        {entry.guardians.map((g) => <option key={g.id} value={g.id}>{fullName(g)}</option>)}
+      </select>
+      <button className="btn btn-success btn-sm" disabled={busy || entry.guardians.length === 0} onClick={() => confirmPickup(entry)}>
+        Picked up
+      </button>
+    </span>
+  );
+
+  if (!roster) return null;
+  const { onMat, awaitingPickup, left } = roster;
+
+  return (
+    <div className="card">
+      <h2 style={{ marginBottom: '0.5rem' }}>On the Mat — {roster.session.className}</h2>
+      <p style={{ color: '#666', marginTop: 0 }}>
+        {onMat.length} on the mat · {awaitingPickup.length} waiting for pickup · {left.length} left
+      </p>
+
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>In</th>
+              <th>Out</th>
+              <th>Minutes</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {onMat.map((e) => (
+              <tr key={e.id}>
+                <td>
+                  {fullName(e.student)}
+                  {e.isChild && <span className="badge badge-scheduled" style={{ marginLeft: '0.5rem' }}>Child</span>}
+                </td>
+                <td>{time(e.checkedInAt)}</td>
+                <td>—</td>
+                <td>{e.minutes}</td>
+                <td>
+                  {e.isChild ? guardianSelect(e) : (
+                    <button className="btn btn-outline btn-sm" disabled={busy} onClick={() => checkOut(e)}>Check Out</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {awaitingPickup.map((e) => (
+              <tr key={e.id}>
+                <td>
+                  {fullName(e.student)}
+                  <span className="badge badge-in-progress" style={{ marginLeft: '0.5rem' }}>Awaiting pickup</span>
+                </td>
+                <td>{time(e.checkedInAt)}</td>
+                <td>{e.checkedOutAt ? `${time(e.checkedOutAt)} (${METHOD_LABELS[e.checkOutMethod]})` : '—'}</td>
+                <td>{e.minutes ?? '—'}</td>
+                <td>{guardianSelect(e)}</td>
+              </tr>
+            ))}
+            {left.map((e) => (
+              <tr key={e.id} style={{ color: 'var(--color-text-light)' }}>
+                <td>
+                  {fullName(e.student)}
+                  {e.fullAttendance === false && <span className="badge badge-cancelled" style={{ marginLeft: '0.5rem' }}>Left early</span>}
+                </td>
+                <td>{time(e.checkedInAt)}</td>
+                <td>
+                  {e.checkedOutAt ? `${time(e.checkedOutAt)} (${METHOD_LABELS[e.checkOutMethod]})` : '—'}
+                  {e.pickedUpBy && ` · picked up by ${fullName(e.pickedUpBy)}`}
+                </td>
+                <td>{e.minutes ?? '—'}</td>
+                <td />
+              </tr>
+            ))}
+            {onMat.length + awaitingPickup.length + left.length === 0 && (
+              <tr><td colSpan={5} style={{ textAlign: 'center', color: '#999' }}>No one checked in yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
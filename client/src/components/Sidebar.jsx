@@ -65,6 +65,7 @@ export default function Sidebar() {
             <SLink to="/classes" icon="📅" label="Classes" />
             <SLink to="/calendar" icon="🗓️" label="Calendar" />
             <SLink to="/checkin" icon="✅" label="Check In" />
+            {(isOwner || isInstructor) && <SLink to="/substitutions" icon="🔁" label="Substitutes" />}
             {isStaff && <SLink to="/kiosk" icon="🖥️" label="Kiosk" />}
             {(isOwner || isSchoolStaff) && <SLink to="/leads" icon="📋" label="CRM / Leads" />}
             {(isOwner || isSchoolStaff) && <SLink to="/families" icon="👨‍👩‍👧‍👦" label="Families" />}
@@ -119,6 +119,12 @@ function BillingSummary({ schoolId }) {
           <div className="stat-value">{fmt(data.monthlyRevenue)}</div>
           <div className="stat-label">This Month</div>
         </div>
+        {data.totalRefunded > 0 && (
+          <div className="stat-card">
+            <div className="stat-value">{fmt(data.totalRefunded)}</div>
+            <div className="stat-label">Refunded</div>
+          </div>
+        )}
         <div className="stat-card">
           <div className="stat-value">{data.outstandingCount}</div>
           <div className="stat-label">Outstanding Invoices</div>
@@ -350,6 +356,7 @@ function MembershipPlans({ schoolId }) {
 function InvoiceManager({ schoolId }) {
   const { isSuperAdmin, isOwner, isInstructor } = useAuth();
   const canCreate = isSuperAdmin || isOwner || isInstructor;
+  const canWaive = isSuperAdmin || isOwner;
   const [invoices, setInvoices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -420,6 +427,17 @@ function InvoiceManager({ schoolId }) {
     }
   };
 
+  const handleLateFeeToggle = async (inv) => {
+    const waived = !inv.lateFeeWaivedAt;
+    if (waived && !confirm(`Waive the $${Number(inv.lateFeeAmount).toFixed(2)} late fee on ${inv.invoiceNumber}?`)) return;
+    try {
+      await billingApi.setLateFeeWaived(schoolId, inv.id, waived);
+      fetchInvoices();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const statusColor = (s) => {
     const map = {
       DRAFT: 'badge-scheduled',
@@ -468,14 +486,26 @@ function InvoiceManager({ schoolId }) {
                 {invoices.map((inv) => (
                   <tr key={inv.id}>
                     <td><strong>{inv.invoiceNumber}</strong></td>
-                    <td>{inv.student?.firstName} {inv.student?.lastName}</td>
+                    <td>
+                      {inv.student?.firstName} {inv.student?.lastName}
+                      {inv.family && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--color-text-light)' }}>🏠 {inv.family.name} household</div>
+                      )}
+                    </td>
                     <td>{inv.plan?.name || '—'}</td>
                     <td>{fmt(inv.subtotal)}</td>
                     <td>{fmt(inv.taxAmount)}</td>
-                    <td><strong>{fmt(inv.totalAmount)}</strong></td>
+                    <td>
+                      <strong>{fmt(inv.totalAmount)}</strong>
+                      <LateFeeNote invoice={inv} />
+                    </td>
                     <td><span className={`badge ${statusColor(inv.status)}`}>{inv.status}</span></td>
-                    <td>{new Date(inv.dueDate).toLocaleDateString()}</td>
+                    <td>{new Date(inv.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}</td>
                     <td>
+                      <button className="btn btn-sm btn-outline" style={{ marginRight: '0.25rem' }}
+                        onClick={() => billingApi.downloadInvoicePdf(schoolId, inv.id).catch((err) => setError(err.message))}>
+                        PDF
+                      </button>
                       {canCreate && inv.status === 'DRAFT' && (
                         <button className="btn btn-sm btn-outline"
                           onClick={() => handleStatusChange(inv.id, 'SENT')}>Send</button>
@@ -484,6 +514,12 @@ function InvoiceManager({ schoolId }) {
                         <button className="btn btn-sm btn-danger" style={{ marginLeft: '0.25rem' }}
                           onClick={() => handleStatusChange(inv.id, 'CANCELLED')}>Cancel</button>
                       )}
+                      {canWaive && inv.lateFeeAppliedAt && ['SENT', 'PAST_DUE'].includes(inv.status) && (
+                        <button className="btn btn-sm btn-outline" style={{ marginLeft: '0.25rem' }}
+                          onClick={() => handleLateFeeToggle(inv)}>
+                          {inv.lateFeeWaivedAt ? 'Reinstate Fee' : 'Waive Fee'}
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -549,6 +585,17 @@ function InvoiceManager({ schoolId }) {
   );
 }
 
+/** Small caption under an invoice total describing any late fee. */
+function LateFeeNote({ invoice }) {
+  if (!invoice.lateFeeAppliedAt) return null;
+  const fee = `$${Number(invoice.lateFeeAmount || 0).toFixed(2)}`;
+  return (
+    <div style={{ fontSize: '0.75rem', color: invoice.lateFeeWaivedAt ? 'var(--color-text-light)' : 'var(--color-danger)' }}>
+      {invoice.lateFeeWaivedAt ? `${fee} late fee waived` : `incl. ${fee} late fee`}
+    </div>
+  );
+}
+
 // ─── Student Invoices (read-only) ─────────────────────────
 
 function StudentInvoices({ schoolId }) {
@@ -590,6 +637,7 @@ function StudentInvoices({ schoolId }) {
                 <th>Total</th>
                 <th>Status</th>
                 <th>Due Date</th>
+                <th></th>
               </tr>
             </thead>
             <tbody>
@@ -597,9 +645,18 @@ function StudentInvoices({ schoolId }) {
                 <tr key={inv.id}>
                   <td><strong>{inv.invoiceNumber}</strong></td>
                   <td>{inv.plan?.name || '—'}</td>
-                  <td><strong>{fmt(inv.totalAmount)}</strong></td>
+                  <td>
+                    <strong>{fmt(inv.totalAmount)}</strong>
+                    <LateFeeNote invoice={inv} />
+                  </td>
                   <td><span className={`badge ${statusColor(inv.status)}`}>{inv.status}</span></td>
-                  <td>{new Date(inv.dueDate).toLocaleDateString()}</td>
+                  <td>{new Date(inv.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}</td>
+                  <td>
+                    <button className="btn btn-sm btn-outline"
+                      onClick={() => billingApi.downloadInvoicePdf(schoolId, inv.id).catch((err) => alert(err.message))}>
+                      PDF
+                    </button>
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -615,12 +672,15 @@ function StudentInvoices({ schoolId }) {
 function PaymentHistory({ schoolId }) {
   const { isSuperAdmin, isOwner, isInstructor } = useAuth();
   const canRecord = isSuperAdmin || isOwner || isInstructor;
+  const canRefund = isSuperAdmin || isOwner;
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [invoices, setInvoices] = useState([]);
   const [form, setForm] = useState({ invoiceId: '', amount: '', method: 'CASH', notes: '' });
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [refundForm, setRefundForm] = useState({ amount: '', reason: '' });
 
   const fetchPayments = useCallback(() => {
     setLoading(true);
@@ -663,6 +723,29 @@ function PaymentHistory({ schoolId }) {
     }
   };
 
+  const refundedOf = (p) => (p.refunds || []).reduce((sum, r) => sum + r.amount, 0);
+
+  const openRefund = (payment) => {
+    const remaining = payment.amount - refundedOf(payment);
+    setRefundForm({ amount: remaining.toFixed(2), reason: '' });
+    setRefundTarget(payment);
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await billingApi.refundPayment(schoolId, refundTarget.id, {
+        amount: parseFloat(refundForm.amount),
+        reason: refundForm.reason || undefined,
+      });
+      setRefundTarget(null);
+      fetchPayments();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   if (loading) return <div className="loading">Loading payments...</div>;
   const fmt = (v) => `$${Number(v || 0).toFixed(2)}`;
 
@@ -691,6 +774,7 @@ function PaymentHistory({ schoolId }) {
                   <th>Method</th>
                   <th>Transaction ID</th>
                   <th>Recorded By</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
@@ -699,12 +783,28 @@ function PaymentHistory({ schoolId }) {
                     <td>{new Date(p.paidAt).toLocaleDateString()}</td>
                     <td>{p.student?.firstName} {p.student?.lastName}</td>
                     <td>{p.invoice?.invoiceNumber || '—'}</td>
-                    <td><strong>{fmt(p.amount)}</strong></td>
+                    <td>
+                      <strong>{fmt(p.amount)}</strong>
+                      {refundedOf(p) > 0 && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--color-danger)' }}>
+                          −{fmt(refundedOf(p))} refunded
+                        </div>
+                      )}
+                    </td>
                     <td><span className="badge">{p.method}</span></td>
                     <td style={{ fontSize: '0.8rem', fontFamily: 'monospace' }}>
                       {p.gatewayTransactionId || '—'}
                     </td>
                     <td>{p.recordedBy?.firstName} {p.recordedBy?.lastName}</td>
+                    <td>
+                      <button className="btn btn-outline btn-sm"
+                        onClick={() => billingApi.downloadReceipt(schoolId, p.id).catch((err) => setError(err.message))}>
+                        Receipt
+                      </button>
+                      {canRefund && refundedOf(p) < p.amount - 0.005 && (
+                        <button className="btn btn-outline btn-sm" style={{ marginLeft: '0.25rem' }} onClick={() => openRefund(p)}>Refund</button>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -763,6 +863,39 @@ function PaymentHistory({ schoolId }) {
           </div>
         </div>
       )}
+
+      {refundTarget && (
+        <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setRefundTarget(null); }}>
+          <div className="modal">
+            <h2>Refund Payment</h2>
+            {error && <div className="alert alert-error">{error}</div>}
+            <p style={{ color: 'var(--color-text-light)' }}>
+              {refundTarget.invoice?.invoiceNumber} — {refundTarget.student?.firstName} {refundTarget.student?.lastName} paid {fmt(refundTarget.amount)}
+              {refundTarget.method === 'GATEWAY'
+                ? '. The refund is sent back through your payment gateway.'
+                : '. Return the money by hand — the refund is only recorded here.'}
+            </p>
+            <form onSubmit={handleRefund}>
+              <div className="form-group">
+                <label>Amount ($)</label>
+                <input type="number" step="0.01" min="0.01" className="form-control" required
+                  max={(refundTarget.amount - refundedOf(refundTarget)).toFixed(2)}
+                  value={refundForm.amount}
+                  onChange={(e) => setRefundForm({ ...refundForm, amount: e.target.value })} />
+              </div>
+              <div className="form-group">
+                <label>Reason</label>
+                <textarea className="form-control" rows="2" value={refundForm.reason}
+                  onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })} />
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-outline" onClick={() => setRefundTarget(null)}>Cancel</button>
+                <button type="submit" className="btn btn-danger">Issue Refund</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -784,6 +917,8 @@ function BillingSettings({ schoolId }) {
     taxRate: '0',
     lateFeeAmount: '0',
     gracePeriodDays: '7',
+    siblingDiscounts: '',
+    webhookSecret: '',
   });
 
   useEffect(() => {
@@ -801,6 +936,8 @@ function BillingSettings({ schoolId }) {
             taxRate: String(data.taxRate ?? 0),
             lateFeeAmount: String(data.lateFeeAmount ?? 0),
             gracePeriodDays: String(data.gracePeriodDays ?? 7),
+            siblingDiscounts: (data.siblingDiscounts || []).join(', '),
+            webhookSecret: '', // masked, don't prefill
           });
         }
       })
@@ -821,6 +958,8 @@ function BillingSettings({ schoolId }) {
       taxRate: parseFloat(form.taxRate),
       lateFeeAmount: parseFloat(form.lateFeeAmount),
       gracePeriodDays: parseInt(form.gracePeriodDays, 10),
+      siblingDiscounts: form.siblingDiscounts.split(',').map((v) => v.trim()).filter(Boolean).map(Number),
+      webhookSecret: form.webhookSecret || undefined,
     };
     try {
       await billingApi.updateConfig(schoolId, payload);
@@ -882,6 +1021,15 @@ function BillingSettings({ schoolId }) {
                   onChange={(e) => setForm({ ...form, gatewayMerchantId: e.target.value })} />
               </div>
             )}
+            <div className="form-group">
+              <label>{form.gateway === 'STRIPE' ? 'Webhook Signing Secret' : 'Webhook Signature Key'}</label>
+              <input type="password" className="form-control" value={form.webhookSecret}
+                placeholder={config?.webhookSecret ? '••••••••  (saved)' : form.gateway === 'STRIPE' ? 'whsec_...' : 'Signature key'}
+                onChange={(e) => setForm({ ...form, webhookSecret: e.target.value })} />
+              <small style={{ color: 'var(--color-text-light)' }}>
+                Webhook URL: <code>{`${window.location.origin}/api/webhooks/${form.gateway.toLowerCase()}/${schoolId}`}</code>
+              </small>
+            </div>
           </>
         )}
 
@@ -920,6 +1068,20 @@ function BillingSettings({ schoolId }) {
               onChange={(e) => setForm({ ...form, gracePeriodDays: e.target.value })} />
           </div>
         </div>
+        <p style={{ color: 'var(--color-text-light)', fontSize: '0.85rem', marginTop: '-0.5rem' }}>
+          The late fee is added once to past-due invoices after the grace period, and the student is sent a reminder.
+          Owners can waive it from the Invoices tab.
+        </p>
+
+        <div className="form-group">
+          <label>Sibling Discounts (%)</label>
+          <input className="form-control" value={form.siblingDiscounts} placeholder="e.g. 10, 20"
+            onChange={(e) => setForm({ ...form, siblingDiscounts: e.target.value })} />
+          <small style={{ color: 'var(--color-text-light)' }}>
+            Applied on household invoices for families with consolidated billing: the first value is taken off the
+            second member, the next off the third, and the last value repeats. The priciest membership pays full price.
+          </small>
+        </div>
 
         <div className="modal-actions">
           <button type="submit" className="btn btn-primary" disabled={saving}>
@@ -945,6 +1107,11 @@ function SubscriptionManager({ schoolId }) {
   const [students, setStudents] = useState([]);
   const [form, setForm] = useState({ studentId: '', planId: '' });
   const [runningAutoInvoice, setRunningAutoInvoice] = useState(false);
+  const [changeTarget, setChangeTarget] = useState(null);
+  const [changeForm, setChangeForm] = useState({ planId: '', proration: 'NEXT_INVOICE' });
+  const [preview, setPreview] = useState(null);
+  const [freezeTarget, setFreezeTarget] = useState(null);
+  const [freezeForm, setFreezeForm] = useState({ startDate: '', endDate: '', reason: 'VACATION', notes: '' });
 
   const fetchSubscriptions = useCallback(() => {
     setLoading(true);
@@ -986,9 +1153,96 @@ function SubscriptionManager({ schoolId }) {
     }
   };
 
+  // Summarise what a proration did, for the success banner
+  const describeAdjustment = (adjustment) => {
+    if (!adjustment) return '';
+    if (adjustment.mode === 'REFUND') return ` — $${adjustment.amount.toFixed(2)} refunded for the unused period`;
+    const amount = `$${Math.abs(adjustment.adjustment.amount).toFixed(2)}`;
+    if (adjustment.invoice) return ` — adjustment invoice ${adjustment.invoice.invoiceNumber} issued for ${amount}`;
+    return adjustment.adjustment.amount < 0
+      ? ` — ${amount} credit applied to the next invoice`
+      : ` — ${amount} added to the next invoice`;
+  };
+
+  const openChangePlan = async (sub) => {
+    setError('');
+    try {
+      setPlans(await billingApi.getPlans(schoolId));
+    } catch { /* ignore */ }
+    setChangeForm({ planId: '', proration: 'NEXT_INVOICE' });
+    setPreview(null);
+    setChangeTarget(sub);
+  };
+
+  const handleChangePlanSelect = async (planId) => {
+    setChangeForm({ ...changeForm, planId });
+    setPreview(null);
+    if (!planId) return;
+    try {
+      setPreview(await billingApi.previewProration(schoolId, changeTarget.id, planId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleChangePlan = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const result = await billingApi.updateSubscription(schoolId, changeTarget.id, changeForm);
+      setSuccess(`Plan changed to ${result.plan?.name}${describeAdjustment(result.adjustment)}`);
+      setChangeTarget(null);
+      fetchSubscriptions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const openFreeze = (sub) => {
+    setError('');
+    setFreezeForm({ startDate: new Date().toISOString().slice(0, 10), endDate: '', reason: 'VACATION', notes: '' });
+    setFreezeTarget(sub);
+  };
+
+  const handleFreeze = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const freeze = await billingApi.createFreeze(schoolId, freezeTarget.id, {
+        ...freezeForm,
+        notes: freezeForm.notes || undefined,
+      });
+      setSuccess(freeze.status === 'ACTIVE'
+        ? `Subscription frozen until ${new Date(freeze.endDate).toLocaleDateString()}`
+        : `Freeze scheduled from ${new Date(freeze.startDate).toLocaleDateString()}`);
+      setFreezeTarget(null);
+      fetchSubscriptions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEndFreeze = async (sub, freeze) => {
+    const prompt = freeze.status === 'ACTIVE'
+      ? 'End this freeze today? The subscription resumes and billing moves back by the days frozen.'
+      : 'Withdraw this scheduled freeze?';
+    if (!confirm(prompt)) return;
+    setError('');
+    try {
+      const result = await billingApi.endFreeze(schoolId, sub.id, freeze.id);
+      setSuccess(result.resumed
+        ? `Subscription resumed — next invoice ${new Date(result.nextInvoiceDate).toLocaleDateString()}`
+        : 'Freeze withdrawn');
+      fetchSubscriptions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handlePause = async (subId) => {
     try {
-      await billingApi.updateSubscription(schoolId, subId, { status: 'PAUSED' });
+      const result = await billingApi.updateSubscription(schoolId, subId, { status: 'PAUSED' });
+      setSuccess(`Subscription paused${describeAdjustment(result.adjustment)}`);
       fetchSubscriptions();
     } catch (err) {
       setError(err.message);
@@ -1007,7 +1261,23 @@ function SubscriptionManager({ schoolId }) {
   const handleCancel = async (subId) => {
     if (!confirm('Cancel this subscription? The student will no longer be auto-invoiced.')) return;
     try {
-      await billingApi.cancelSubscription(schoolId, subId);
+      const result = await billingApi.cancelSubscription(schoolId, subId);
+      setSuccess(`Subscription cancelled${describeAdjustment(result.adjustment)}`);
+      fetchSubscriptions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdjustCredits = async (sub) => {
+    const input = prompt(`Adjust class credits for ${sub.student?.firstName} (e.g. 2 or -1):`, '1');
+    if (input === null) return;
+    const change = parseInt(input, 10);
+    if (!change) return;
+    setError('');
+    try {
+      const result = await billingApi.adjustCredits(schoolId, sub.id, { change });
+      setSuccess(`Credits updated — ${result.remaining} remaining`);
       fetchSubscriptions();
     } catch (err) {
       setError(err.message);
@@ -1022,7 +1292,8 @@ function SubscriptionManager({ schoolId }) {
       const result = await billingApi.runAutoInvoice();
       setSuccess(
         `Auto-invoice complete: ${result.invoicesGenerated} invoices generated` +
-        (result.overdueMarked ? `, ${result.overdueMarked} marked overdue` : '')
+        (result.overdueMarked ? `, ${result.overdueMarked} marked overdue` : '') +
+        (result.lateFeesApplied ? `, ${result.lateFeesApplied} late fees applied` : '')
       );
       fetchSubscriptions();
     } catch (err) {
@@ -1066,8 +1337,8 @@ function SubscriptionManager({ schoolId }) {
         </div>
 
         <div className="auto-invoice-info">
-          <strong>📅 Auto-Invoicing:</strong> Invoices are automatically generated on the 1st of every month
-          for all active subscriptions. Students can pay anytime during the month.
+          <strong>📅 Auto-Invoicing:</strong> Invoices are automatically generated on each active subscription&apos;s
+          next invoice date (the 1st of the month, moved back after a freeze). Students can pay anytime during the month.
         </div>
 
         {subscriptions.length === 0 ? (
@@ -1083,6 +1354,7 @@ function SubscriptionManager({ schoolId }) {
                   <th>Plan</th>
                   <th>Price</th>
                   <th>Cycle</th>
+                  <th>Credits</th>
                   <th>Status</th>
                   <th>Next Invoice</th>
                   <th>Start Date</th>
@@ -1096,7 +1368,30 @@ function SubscriptionManager({ schoolId }) {
                     <td>{sub.plan?.name}</td>
                     <td>${Number(sub.plan?.price || 0).toFixed(2)}</td>
                     <td>{sub.plan?.billingCycle?.toLowerCase()}</td>
-                    <td><span className={`badge ${statusBadge(sub.status)}`}>{sub.status}</span></td>
+                    <td>
+                      {sub.creditsRemaining != null ? (
+                        <span style={{ color: sub.creditsRemaining <= 0 ? 'var(--color-danger)' : undefined }}>
+                          {sub.creditsRemaining} / {sub.plan?.classCredits ?? '—'}
+                        </span>
+                      ) : 'Unlimited'}
+                    </td>
+                    <td>
+                      <span className={`badge ${statusBadge(sub.status)}`}>
+                        {sub.freezes?.some((f) => f.status === 'ACTIVE') ? 'FROZEN' : sub.status}
+                      </span>
+                      {sub.freezes?.map((f) => (
+                        <div key={f.id} style={{ fontSize: '0.75rem', color: 'var(--color-text-light)' }}>
+                          {f.status === 'ACTIVE' ? 'Until' : 'From'}{' '}
+                          {new Date(f.status === 'ACTIVE' ? f.endDate : f.startDate).toLocaleDateString()}
+                          {' '}({f.reason.toLowerCase()})
+                          {canManage && (
+                            <button className="btn btn-outline btn-sm" style={{ marginLeft: '0.25rem', padding: '0 0.4rem' }} onClick={() => handleEndFreeze(sub, f)}>
+                              {f.status === 'ACTIVE' ? 'end' : 'withdraw'}
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </td>
                     <td>
                       {sub.nextInvoiceDate
                         ? new Date(sub.nextInvoiceDate).toLocaleDateString()
@@ -1111,11 +1406,26 @@ function SubscriptionManager({ schoolId }) {
                               Pause
                             </button>
                           )}
-                          {sub.status === 'PAUSED' && (
+                          {sub.status === 'ACTIVE' && (
+                            <button className="btn btn-outline btn-sm" onClick={() => openFreeze(sub)}>
+                              Freeze
+                            </button>
+                          )}
+                          {sub.status === 'PAUSED' && !sub.freezes?.some((f) => f.status === 'ACTIVE') && (
                             <button className="btn btn-success btn-sm" onClick={() => handleResume(sub.id)}>
                               Resume
                             </button>
                           )}
+                          {sub.status !== 'CANCELLED' && (
+                            <button className="btn btn-outline btn-sm" onClick={() => openChangePlan(sub)}>
+                              Change Plan
+                            </button>
+                          )}
+                          {sub.creditsRemaining != null && sub.status !== 'CANCELLED' && (
+                            <button className="btn btn-outline btn-sm" onClick={() => handleAdjustCredits(sub)}>
+                              Credits
+                            </button>
+                          )}
                           {sub.status !== 'CANCELLED' && (
                             <button className="btn btn-danger btn-sm" onClick={() => handleCancel(sub.id)}>
                               Cancel
@@ -1132,6 +1442,108 @@ function SubscriptionManager({ schoolId }) {
         )}
       </div>
 
+      {freezeTarget && (
+        <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setFreezeTarget(null); }}>
+          <div className="modal">
+            <h2>Freeze Membership — {freezeTarget.student?.firstName} {freezeTarget.student?.lastName}</h2>
+            {error && <div className="alert alert-error">{error}</div>}
+            <form onSubmit={handleFreeze}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Start Date</label>
+                  <input type="date" className="form-control" required value={freezeForm.startDate}
+                    onChange={(e) => setFreezeForm({ ...freezeForm, startDate: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label>Back On</label>
+                  <input type="date" className="form-control" required value={freezeForm.endDate}
+                    min={freezeForm.startDate}
+                    onChange={(e) => setFreezeForm({ ...freezeForm, endDate: e.target.value })} />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Reason</label>
+                <select className="form-control" value={freezeForm.reason}
+                  onChange={(e) => setFreezeForm({ ...freezeForm, reason: e.target.value })}>
+                  <option value="VACATION">Vacation</option>
+                  <option value="INJURY">Injury</option>
+                  <option value="MEDICAL">Medical</option>
+                  <option value="FINANCIAL">Financial</option>
+                  <option value="OTHER">Other</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <textarea className="form-control" rows="2" value={freezeForm.notes}
+                  onChange={(e) => setFreezeForm({ ...freezeForm, notes: e.target.value })} />
+              </div>
+              <div className="auto-invoice-info">
+                Billing stops while frozen. On the return date the subscription reactivates automatically and
+                the next invoice moves back by the days frozen. The student is notified a few days before.
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-outline" onClick={() => setFreezeTarget(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Freeze</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {changeTarget && (
+        <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setChangeTarget(null); }}>
+          <div className="modal">
+            <h2>Change Plan — {changeTarget.student?.firstName} {changeTarget.student?.lastName}</h2>
+            {error && <div className="alert alert-error">{error}</div>}
+            <form onSubmit={handleChangePlan}>
+              <div className="form-group">
+                <label>New Plan (currently {changeTarget.plan?.name})</label>
+                <select className="form-control" required value={changeForm.planId}
+                  onChange={(e) => handleChangePlanSelect(e.target.value)}>
+                  <option value="">Select plan...</option>
+                  {plans.filter((p) => p.id !== changeTarget.planId).map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name} — ${Number(p.price).toFixed(2)}/{p.billingCycle.toLowerCase()}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {preview && (
+                <div className="auto-invoice-info">
+                  {preview.proration ? (
+                    <>
+                      Current period {new Date(preview.proration.periodStart).toLocaleDateString()} –{' '}
+                      {new Date(preview.proration.periodEnd).toLocaleDateString()}:
+                      credit ${preview.proration.credit.toFixed(2)} unused, charge ${preview.proration.charge.toFixed(2)} for the new plan.{' '}
+                      <strong>
+                        {preview.proration.net < 0
+                          ? `Net credit $${(-preview.proration.net).toFixed(2)}`
+                          : `Net charge $${preview.proration.net.toFixed(2)}`}
+                      </strong>
+                    </>
+                  ) : 'Nothing has been billed for the current period — no proration needed.'}
+                </div>
+              )}
+              {preview?.proration && (
+                <div className="form-group">
+                  <label>Settle Difference</label>
+                  <select className="form-control" value={changeForm.proration}
+                    onChange={(e) => setChangeForm({ ...changeForm, proration: e.target.value })}>
+                    <option value="NEXT_INVOICE">On the next invoice</option>
+                    <option value="IMMEDIATE">Invoice now (charges only — credits go on the next invoice)</option>
+                    <option value="NONE">Don&apos;t prorate</option>
+                  </select>
+                </div>
+              )}
+              <div className="modal-actions">
+                <button type="button" className="btn btn-outline" onClick={() => setChangeTarget(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Change Plan</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {showModal && (
         <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setShowModal(false); }}>
           <div className="modal">
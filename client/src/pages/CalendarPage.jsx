@@ -1,11 +1,13 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { sessionApi, eventApi, classApi, promotionApi } from '../api/client';
+import { sessionApi, eventApi, classApi, promotionApi, closureApi, schoolApi, conflictApi } from '../api/client';
 
 const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
 
 // Convert 24h "HH:mm" to 12h "h:mm AM/PM"
+const EMPTY_CLOSURE = { name: '', kind: 'SINGLE', startDate: '', endDate: '', notes: '', schoolId: '' };
+
 const formatTime12h = (time24) => {
   if (!time24) return '';
   const [h, m] = time24.split(':').map(Number);
@@ -15,17 +17,23 @@ const formatTime12h = (time24) => {
 };
 
 export default function CalendarPage() {
-  const { user } = useAuth();
+  const { user, isStaff } = useAuth();
   const [currentDate, setCurrentDate] = useState(new Date());
   const [view, setView] = useState('month'); // 'month' | 'week'
   const [sessions, setSessions] = useState([]);
   const [events, setEvents] = useState([]);
   const [classes, setClasses] = useState([]);
   const [promotions, setPromotions] = useState([]);
+  const [closures, setClosures] = useState([]);
+  const [conflicts, setConflicts] = useState({ sessions: {}, events: {} });
+  const [closureForm, setClosureForm] = useState(null);
+  const [schools, setSchools] = useState([]);
+  const [notice, setNotice] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [filters, setFilters] = useState({ sessions: true, events: true, promotions: true });
+  const canManageClosures = ['SUPER_ADMIN', 'OWNER'].includes(user?.role);
 
   useEffect(() => {
     loadData();
@@ -44,15 +52,20 @@ export default function CalendarPage() {
         endDate: end.toISOString().split('T')[0],
       };
 
-      const [sessionsData, eventsData, classesData] = await Promise.all([
+      const noConflicts = { sessions: {}, events: {} };
+      const [sessionsData, eventsData, classesData, closuresData, conflictsData] = await Promise.all([
         sessionApi.getAll(params).catch(() => []),
         eventApi.getAll(params).catch(() => []),
         classApi.getAll().catch(() => []),
+        closureApi.getAll(params).catch(() => []),
+        isStaff ? conflictApi.getRange(params).catch(() => noConflicts) : noConflicts,
       ]);
 
       setSessions(sessionsData);
       setEvents(eventsData);
       setClasses(classesData);
+      setClosures(closuresData);
+      setConflicts(conflictsData);
       // Belt tests would need schoolId - skip for now
       setPromotions([]);
     } catch (err) {
@@ -92,10 +105,28 @@ export default function CalendarPage() {
     return days;
   }, [currentDate]);
 
+  // Closures covering a date (occurrences are per-year for yearly holidays)
+  const getClosuresForDate = (dateStr) => closures.filter((c) =>
+    c.occurrences?.some((o) => o.startDate.slice(0, 10) <= dateStr && o.endDate.slice(0, 10) >= dateStr)
+  );
+
   // Get events for a specific date
   const getEventsForDate = (date) => {
     const dateStr = date.toISOString().split('T')[0];
     const items = [];
+    const dayClosures = getClosuresForDate(dateStr);
+
+    // School closures — always shown, first in the day
+    dayClosures.forEach((c) => {
+      items.push({
+        id: `closure-${c.id}-${dateStr}`,
+        type: 'closure',
+        title: `🚫 Closed: ${c.name}`,
+        time: '00:00',
+        color: '#e53935',
+        data: c,
+      });
+    });
 
     // Class sessions
     if (filters.sessions) {
@@ -110,13 +141,14 @@ export default function CalendarPage() {
             time: s.startTime,
             color: '#2196f3',
             data: { ...s, class: cls },
+            conflicts: conflicts.sessions[s.id],
           });
         }
       });
     }
 
     // Scheduled classes (recurring)
-    if (filters.sessions && date >= new Date()) {
+    if (filters.sessions && date >= new Date() && dayClosures.length === 0) {
       const dayIndex = date.getDay();
       const dayMap = { 0: 'SUN', 1: 'MON', 2: 'TUE', 3: 'WED', 4: 'THU', 5: 'FRI', 6: 'SAT' };
       classes.forEach((cls) => {
@@ -153,6 +185,7 @@ export default function CalendarPage() {
             time: e.startTime || '09:00',
             color: '#ff9800',
             data: e,
+            conflicts: conflicts.events[e.id],
           });
         }
       });
@@ -180,12 +213,60 @@ export default function CalendarPage() {
     return items.sort((a, b) => a.time.localeCompare(b.time));
   };
 
+  const openClosureForm = () => {
+    setClosureForm({ ...EMPTY_CLOSURE, schoolId: user?.schoolId || '' });
+    if (!user?.schoolId && schools.length === 0) {
+      schoolApi.getAll()
+        .then((s) => {
+          setSchools(s);
+          if (s.length) setClosureForm((f) => f && { ...f, schoolId: f.schoolId || s[0].id });
+        })
+        .catch((err) => setError(`Failed to load schools: ${err.message}`));
+    }
+  };
+
+  const saveClosure = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const { name, kind, startDate, endDate, notes, schoolId } = closureForm;
+      const result = await closureApi.create({
+        name,
+        startDate,
+        endDate: kind === 'SINGLE' ? undefined : endDate || undefined,
+        recurrence: kind === 'YEARLY' ? 'YEARLY' : 'NONE',
+        notes: notes || undefined,
+        schoolId: schoolId || undefined,
+      });
+      setClosureForm(null);
+      setNotice(result.message);
+      loadData();
+    } catch (err) {
+      setError(`Failed to add closure: ${err.message}`);
+    }
+  };
+
+  const removeClosure = async (closure) => {
+    if (!window.confirm(`Remove "${closure.name}"? Cancelled classes on those days will be put back on the schedule.`)) return;
+    try {
+      const result = await closureApi.remove(closure.id);
+      setSelectedEvent(null);
+      setNotice(`Closure removed — ${result.sessionsRestored} session${result.sessionsRestored === 1 ? '' : 's'} restored`);
+      loadData();
+    } catch (err) {
+      setError(`Failed to remove closure: ${err.message}`);
+    }
+  };
+
   const navigateMonth = (delta) => {
     setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + delta, 1));
   };
 
   const goToToday = () => setCurrentDate(new Date());
 
+  // Double-bookings (instructor, room, venue) — time off / availability gaps are softer
+  const hasBlocking = (evt) => evt.conflicts?.some((c) => c.blocking);
+
   const isToday = (date) => {
     const today = new Date();
     return date.toDateString() === today.toDateString();
@@ -202,9 +283,18 @@ export default function CalendarPage() {
           <span style={{ fontWeight: 600, fontSize: '1.1rem', minWidth: '180px', textAlign: 'center' }}>
             {MONTHS[currentDate.getMonth()]} {currentDate.getFullYear()}
           </span>
+          {canManageClosures && (
+            <button className="btn btn-primary" onClick={openClosureForm}>+ Add Closure</button>
+          )}
         </div>
       </div>
 
+      {notice && (
+        <div className="alert alert-success" style={{ marginBottom: '1rem' }} onClick={() => setNotice(null)}>
+          {notice}
+        </div>
+      )}
+
       {error && (
         <div style={{ background: '#fef2f2', border: '1px solid #fecaca', borderRadius: '8px', padding: '1rem', marginBottom: '1rem', color: '#991b1b' }}>
           {error}
@@ -257,6 +347,7 @@ export default function CalendarPage() {
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)' }}>
               {calendarDays.map((day, idx) => {
                 const dayEvents = getEventsForDate(day.date);
+                const closed = dayEvents.some((evt) => evt.type === 'closure');
                 return (
                   <div
                     key={idx}
@@ -264,7 +355,7 @@ export default function CalendarPage() {
                       minHeight: '100px',
                       borderRight: (idx + 1) % 7 !== 0 ? '1px solid #e0e0e0' : 'none',
                       borderBottom: idx < 35 ? '1px solid #e0e0e0' : 'none',
-                      background: isToday(day.date) ? '#e3f2fd' : day.isCurrentMonth ? '#fff' : '#fafafa',
+                      background: isToday(day.date) ? '#e3f2fd' : closed ? '#fdecea' : day.isCurrentMonth ? '#fff' : '#fafafa',
                       padding: '0.25rem',
                     }}
                   >
@@ -285,6 +376,8 @@ export default function CalendarPage() {
                           onClick={() => setSelectedEvent(evt)}
                           style={{
                             background: evt.color,
+                            outline: hasBlocking(evt) ? '2px solid #b71c1c' : 'none',
+                            outlineOffset: '-2px',
                             color: '#fff',
                             padding: '2px 4px',
                             borderRadius: '3px',
@@ -294,9 +387,9 @@ export default function CalendarPage() {
                             textOverflow: 'ellipsis',
                             whiteSpace: 'nowrap',
                           }}
-                          title={`${formatTime12h(evt.time)} - ${evt.title}`}
+                          title={evt.type === 'closure' ? evt.title : `${formatTime12h(evt.time)} - ${evt.title}`}
                         >
-                          {formatTime12h(evt.time)} {evt.title}
+                          {evt.conflicts?.length > 0 && '⚠️ '}{evt.type !== 'closure' && formatTime12h(evt.time)} {evt.title}
                         </div>
                       ))}
                       {dayEvents.length > 3 && (
@@ -327,6 +420,14 @@ export default function CalendarPage() {
         <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
           <span style={{ width: '16px', height: '16px', borderRadius: '4px', background: '#4caf50' }} /> Belt Tests
         </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <span style={{ width: '16px', height: '16px', borderRadius: '4px', background: '#e53935' }} /> School Closed
+        </span>
+        {isStaff && (
+          <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <span style={{ width: '16px', height: '16px', borderRadius: '4px', border: '2px solid #b71c1c' }} /> ⚠️ Scheduling Conflict
+          </span>
+        )}
       </div>
 
       {/* Event Detail Modal */}
@@ -338,13 +439,28 @@ export default function CalendarPage() {
               {selectedEvent.title}
             </h2>
             <div style={{ marginTop: '1rem' }}>
-              <p><strong>Time:</strong> {formatTime12h(selectedEvent.time)}</p>
-              <p><strong>Type:</strong> {selectedEvent.type === 'session' ? 'Class Session' : selectedEvent.type === 'scheduled' ? 'Recurring Class' : selectedEvent.type === 'event' ? 'Event' : 'Belt Test'}</p>
+              {selectedEvent.type !== 'closure' && <p><strong>Time:</strong> {formatTime12h(selectedEvent.time)}</p>}
+              <p><strong>Type:</strong> {selectedEvent.type === 'session' ? 'Class Session' : selectedEvent.type === 'scheduled' ? 'Recurring Class' : selectedEvent.type === 'event' ? 'Event' : selectedEvent.type === 'closure' ? 'School Closure' : 'Belt Test'}</p>
+
+              {selectedEvent.type === 'closure' && (
+                <>
+                  <p>
+                    <strong>Dates:</strong> {new Date(selectedEvent.data.startDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                    {selectedEvent.data.endDate !== selectedEvent.data.startDate && ` – ${new Date(selectedEvent.data.endDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}`}
+                    {selectedEvent.data.recurrence === 'YEARLY' && ' (every year)'}
+                  </p>
+                  {selectedEvent.data.notes && <p><strong>Notes:</strong> {selectedEvent.data.notes}</p>}
+                  <p><strong>Sessions cancelled:</strong> {selectedEvent.data._count?.sessions ?? 0}</p>
+                </>
+              )}
               
               {selectedEvent.type === 'session' && selectedEvent.data.class && (
                 <>
                   <p><strong>Instructor:</strong> {selectedEvent.data.class.instructor?.firstName} {selectedEvent.data.class.instructor?.lastName}</p>
                   <p><strong>Program:</strong> {selectedEvent.data.class.discipline}</p>
+                  {(selectedEvent.data.room || selectedEvent.data.class.room) && (
+                    <p><strong>Room:</strong> {(selectedEvent.data.room || selectedEvent.data.class.room).name}</p>
+                  )}
                   <p><strong>Status:</strong> {selectedEvent.data.status}</p>
                 </>
               )}
@@ -364,6 +480,15 @@ export default function CalendarPage() {
                 </>
               )}
 
+              {selectedEvent.conflicts?.length > 0 && (
+                <div className={`alert ${hasBlocking(selectedEvent) ? 'alert-error' : 'alert-warning'}`} style={{ marginTop: '0.75rem' }}>
+                  <strong>⚠️ Scheduling conflicts</strong>
+                  <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                    {selectedEvent.conflicts.map((c, i) => <li key={i}>{c.message}</li>)}
+                  </ul>
+                </div>
+              )}
+
               {selectedEvent.type === 'promotion' && (
                 <>
                   <p><strong>Student:</strong> {selectedEvent.data.student?.firstName} {selectedEvent.data.student?.lastName}</p>
@@ -372,12 +497,67 @@ export default function CalendarPage() {
                 </>
               )}
             </div>
-            <div style={{ marginTop: '1.5rem' }}>
+            <div style={{ marginTop: '1.5rem', display: 'flex', gap: '0.5rem' }}>
               <button className="btn btn-outline" onClick={() => setSelectedEvent(null)}>Close</button>
+              {selectedEvent.type === 'closure' && canManageClosures && (
+                <button className="btn btn-danger" onClick={() => removeClosure(selectedEvent.data)}>Remove Closure</button>
+              )}
             </div>
           </div>
         </div>
       )}
+
+      {/* Add Closure Modal */}
+      {closureForm && (
+        <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setClosureForm(null); }}>
+          <div className="modal" style={{ maxWidth: '500px' }}>
+            <h2>🚫 Add School Closure</h2>
+            <p style={{ color: '#666', fontSize: '0.9rem' }}>Classes on these days are cancelled and students are notified.</p>
+            <form onSubmit={saveClosure}>
+              {!user?.schoolId && (
+                <div className="form-group">
+                  <label>School</label>
+                  <select className="form-input" value={closureForm.schoolId} onChange={(e) => setClosureForm({ ...closureForm, schoolId: e.target.value })} required>
+                    {schools.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                </div>
+              )}
+              <div className="form-group">
+                <label>Name</label>
+                <input className="form-input" placeholder="e.g. Thanksgiving, Snow day" value={closureForm.name} onChange={(e) => setClosureForm({ ...closureForm, name: e.target.value })} required />
+              </div>
+              <div className="form-group">
+                <label>Type</label>
+                <select className="form-input" value={closureForm.kind} onChange={(e) => setClosureForm({ ...closureForm, kind: e.target.value })}>
+                  <option value="SINGLE">Single day</option>
+                  <option value="RANGE">Date range</option>
+                  <option value="YEARLY">Yearly holiday</option>
+                </select>
+              </div>
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                <div className="form-group" style={{ flex: 1 }}>
+                  <label>{closureForm.kind === 'SINGLE' ? 'Date' : 'From'}</label>
+                  <input type="date" className="form-input" value={closureForm.startDate} onChange={(e) => setClosureForm({ ...closureForm, startDate: e.target.value })} required />
+                </div>
+                {closureForm.kind !== 'SINGLE' && (
+                  <div className="form-group" style={{ flex: 1 }}>
+                    <label>{closureForm.kind === 'YEARLY' ? 'To (optional)' : 'To'}</label>
+                    <input type="date" className="form-input" value={closureForm.endDate} min={closureForm.startDate} onChange={(e) => setClosureForm({ ...closureForm, endDate: e.target.value })} required={closureForm.kind === 'RANGE'} />
+                  </div>
+                )}
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <textarea className="form-input" rows={2} value={closureForm.notes} onChange={(e) => setClosureForm({ ...closureForm, notes: e.target.value })} />
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+                <button type="submit" className="btn btn-primary">Add Closure</button>
+                <button type="button" className="btn btn-outline" onClick={() => setClosureForm(null)}>Cancel</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -2,9 +2,58 @@ import { useState, useEffect } from 'react';
 import { certificateApi, schoolApi } from '../api/client';
 import { useAuth } from '../context/AuthContext';
 
+const DEFAULT_LAYOUT = {
+  header: 'Certificate of Achievement',
+  title: '[Student Name]',
+  subtitle: 'has been promoted to',
+  beltText: '[Belt Name]',
+  programText: 'in [Program]',
+  footer: 'Presented by [School Name]',
+};
+
+const PLACEHOLDER_HELP = 'Placeholders: [Student Name], [Belt Name], [Program], [School Name], [Date], [Instructor]. Add an "elements" array to position text, signature, logo and line blocks yourself (x/y/width as page fractions).';
+
+/**
+ * Renders a layout on the server with sample values and shows the PDF.
+ * Re-renders shortly after the layout stops changing.
+ */
+function CertificatePreview({ schoolId, layout, backgroundUrl, height = 420 }) {
+  const [url, setUrl] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+
+  useEffect(() => {
+    let parsed = layout;
+    if (typeof layout === 'string') {
+      try { parsed = JSON.parse(layout || '{}'); } catch { setPreviewError('Invalid layout JSON'); return undefined; }
+    }
+    let cancelled = false;
+    let objectUrl = null;
+    const timer = setTimeout(() => {
+      certificateApi.preview(schoolId, { layout: parsed, backgroundUrl: backgroundUrl || undefined })
+        .then((blob) => {
+          if (cancelled) return;
+          objectUrl = URL.createObjectURL(blob);
+          setUrl(objectUrl);
+          setPreviewError(null);
+        })
+        .catch((err) => { if (!cancelled) setPreviewError(err.message); });
+    }, 600);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [schoolId, layout, backgroundUrl]);
+
+  if (previewError) return <p style={{ color: '#b91c1c', margin: '1rem 0' }}>{previewError}</p>;
+  if (!url) return <p style={{ color: '#888', margin: '1rem 0' }}>Rendering preview…</p>;
+  return <iframe title="Certificate preview" src={`${url}#toolbar=0&view=Fit`} style={{ width: '100%', height, border: '1px solid #e5e7eb', borderRadius: '8px', margin: '1rem 0' }} />;
+}
+
 export default function CertificatesPage() {
   const { user } = useAuth();
   const isStaff = user && !['STUDENT'].includes(user.role);
+  const canRevoke = ['SUPER_ADMIN', 'OWNER'].includes(user?.role);
   const [schools, setSchools] = useState([]);
   const [schoolId, setSchoolId] = useState('');
   const [tab, setTab] = useState('CERTS');
@@ -12,7 +61,8 @@ export default function CertificatesPage() {
   const [certs, setCerts] = useState([]);
   const [showTemplateForm, setShowTemplateForm] = useState(false);
   const [editTemplate, setEditTemplate] = useState(null);
-  const [templateForm, setTemplateForm] = useState({ name: '', layout: '{}', backgroundUrl: '' });
+  const [templateForm, setTemplateForm] = useState({ name: '', layout: '{}', backgroundUrl: '', isDefault: false });
+  const [previewTemplateId, setPreviewTemplateId] = useState(null);
   const [generateForm, setGenerateForm] = useState({ promotionId: '' });
   const [selectedTemplateId, setSelectedTemplateId] = useState('');
   const [showGenerate, setShowGenerate] = useState(false);
@@ -52,7 +102,7 @@ export default function CertificatesPage() {
     e.preventDefault();
     setError(null);
     const data = { ...templateForm };
-    try { data.layout = JSON.parse(data.layout); } catch { data.layout = {}; }
+    try { data.layout = JSON.parse(data.layout); } catch { setError('[CERT-LAYOUT] Layout is not valid JSON'); return; }
     try {
       if (editTemplate) {
         await certificateApi.updateTemplate(editTemplate.id, data);
@@ -61,7 +111,7 @@ export default function CertificatesPage() {
       }
       setShowTemplateForm(false);
       setEditTemplate(null);
-      setTemplateForm({ name: '', layout: '{}', backgroundUrl: '' });
+      setTemplateForm({ name: '', layout: '{}', backgroundUrl: '', isDefault: false });
       certificateApi.getTemplates(schoolId).then(setTemplates).catch((err) => setError(formatError(err, 'REFRESH-TPL')));
     } catch (err) {
       setError(formatError(err, editTemplate ? 'UPDATE-TPL' : 'CREATE-TPL'));
@@ -72,7 +122,7 @@ export default function CertificatesPage() {
     e.preventDefault();
     setError(null);
     try {
-      await certificateApi.generate({ templateId: selectedTemplateId, promotionId: generateForm.promotionId });
+      await certificateApi.generate({ templateId: selectedTemplateId || undefined, promotionId: generateForm.promotionId });
       setShowGenerate(false);
       setGenerateForm({ promotionId: '' });
       certificateApi.getCertificates(schoolId).then(setCerts).catch((err) => setError(formatError(err, 'REFRESH-CERTS')));
@@ -92,21 +142,24 @@ export default function CertificatesPage() {
     }
   };
 
-  const previewLayout = (layout) => {
+  const handleRevoke = async (cert) => {
+    const reason = prompt(`Revoke ${cert.studentName}'s ${cert.beltName} certificate? It will show as revoked to anyone verifying it.\n\nReason:`);
+    if (!reason?.trim()) return;
+    setError(null);
     try {
-      const l = typeof layout === 'string' ? JSON.parse(layout) : layout;
-      return (
-        <div style={{ border: '2px solid #d4af37', borderRadius: '12px', padding: '2rem', textAlign: 'center', background: 'linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%)', margin: '1rem 0', position: 'relative' }}>
-          <div style={{ fontSize: '0.8rem', color: '#92400e', letterSpacing: '3px', textTransform: 'uppercase' }}>{l.header || 'Certificate of Achievement'}</div>
-          <div style={{ fontSize: '1.5rem', fontWeight: 700, margin: '0.5rem 0', color: '#78350f' }}>{l.title || '[Student Name]'}</div>
-          <div style={{ fontSize: '0.9rem', color: '#92400e' }}>{l.subtitle || 'Has been promoted to'}</div>
-          <div style={{ fontSize: '1.3rem', fontWeight: 600, color: '#b45309', margin: '0.5rem 0' }}>{l.beltText || '[Belt Name]'}</div>
-          <div style={{ fontSize: '0.8rem', color: '#92400e', marginTop: '1rem' }}>{l.footer || 'Date: [Date] | School: [School Name]'}</div>
-          <div style={{ position: 'absolute', top: '10px', right: '15px', fontSize: '1.5rem' }}>🥋</div>
-        </div>
-      );
-    } catch {
-      return <p style={{ color: '#888' }}>Invalid layout JSON</p>;
+      await certificateApi.revoke(cert.id, reason.trim());
+      certificateApi.getCertificates(schoolId).then(setCerts).catch((err) => setError(formatError(err, 'REFRESH-CERTS')));
+    } catch (err) {
+      setError(formatError(err, 'REVOKE'));
+    }
+  };
+
+  const handleDownload = async (id) => {
+    setError(null);
+    try {
+      await certificateApi.download(id);
+    } catch (err) {
+      setError(formatError(err, 'DOWNLOAD'));
     }
   };
 
@@ -135,9 +188,10 @@ export default function CertificatesPage() {
       {showGenerate && isStaff && (
         <form onSubmit={handleGenerate} className="card" style={{ padding: '1rem', marginBottom: '1rem' }}>
           <h3>Generate Certificate from Promotion</h3>
+          <p style={{ fontSize: '0.85rem', color: '#666', marginTop: 0 }}>Promotions issue a certificate automatically — use this to re-issue one with a different template.</p>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
-            <select className="form-input" required value={selectedTemplateId} onChange={(e) => setSelectedTemplateId(e.target.value)}>
-              <option value="">Select Template *</option>
+            <select className="form-input" value={selectedTemplateId} onChange={(e) => setSelectedTemplateId(e.target.value)}>
+              <option value="">School default template</option>
               {templates.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
             </select>
             <input className="form-input" placeholder="Promotion ID *" required value={generateForm.promotionId} onChange={(e) => setGenerateForm({ ...generateForm, promotionId: e.target.value })} />
@@ -153,9 +207,9 @@ export default function CertificatesPage() {
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(350px, 1fr))', gap: '1rem' }}>
           {certs.map((c) => (
             <div key={c.id} className="card" style={{ padding: '1rem' }}>
-              {previewLayout(c.template?.layout)}
               <div style={{ fontSize: '0.85rem' }}>
                 <strong>{c.studentName}</strong> — {c.beltName}
+                {c.status === 'REVOKED' && <span className="badge badge-cancelled" style={{ marginLeft: '0.5rem' }}>Revoked</span>}
               </div>
               <div style={{ fontSize: '0.8rem', color: '#888' }}>
                 Program: {c.programName} | School: {c.schoolName}
@@ -163,6 +217,21 @@ export default function CertificatesPage() {
               <div style={{ fontSize: '0.8rem', color: '#888' }}>
                 Issued: {new Date(c.issuedDate).toLocaleDateString()} {c.certificateNumber && `| #${c.certificateNumber}`}
               </div>
+              <div style={{ fontSize: '0.8rem', color: '#888' }}>
+                {c.instructorName && <>Signed by {c.instructorName} | </>}Template: {c.template?.name || '—'}
+              </div>
+              {c.status === 'REVOKED' && (
+                <div style={{ fontSize: '0.8rem', color: '#e74c3c' }}>
+                  Revoked {new Date(c.revokedAt).toLocaleDateString()}{c.revokeReason && ` — ${c.revokeReason}`}
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem', flexWrap: 'wrap' }}>
+                {c.pdfUrl && <button className="btn btn-sm btn-outline" onClick={() => handleDownload(c.id)}>📄 Download PDF</button>}
+                {c.verifyUrl && <a className="btn btn-sm btn-outline" href={c.verifyUrl} target="_blank" rel="noreferrer">🔎 Verify</a>}
+                {canRevoke && c.status !== 'REVOKED' && (
+                  <button className="btn btn-sm btn-outline" style={{ color: '#ef4444' }} onClick={() => handleRevoke(c)}>Revoke</button>
+                )}
+              </div>
             </div>
           ))}
           {certs.length === 0 && <p style={{ color: '#888' }}>No certificates generated yet</p>}
@@ -171,7 +240,7 @@ export default function CertificatesPage() {
 
       {tab === 'TEMPLATES' && isStaff && (
         <>
-          <button className="btn btn-primary" style={{ marginBottom: '1rem' }} onClick={() => { setShowTemplateForm(true); setEditTemplate(null); setTemplateForm({ name: '', layout: JSON.stringify({ header: 'Certificate of Achievement', title: '[Student Name]', subtitle: 'Has been promoted to', beltText: '[Belt Name]', footer: 'Date: [Date] | School: [School Name]' }, null, 2), backgroundUrl: '' }); }}>+ New Template</button>
+          <button className="btn btn-primary" style={{ marginBottom: '1rem' }} onClick={() => { setShowTemplateForm(true); setEditTemplate(null); setTemplateForm({ name: '', layout: JSON.stringify(DEFAULT_LAYOUT, null, 2), backgroundUrl: '', isDefault: false }); }}>+ New Template</button>
 
           {showTemplateForm && (
             <form onSubmit={handleSaveTemplate} className="card" style={{ padding: '1rem', marginBottom: '1rem' }}>
@@ -180,8 +249,13 @@ export default function CertificatesPage() {
               <input className="form-input" placeholder="Background Image URL" value={templateForm.backgroundUrl} onChange={(e) => setTemplateForm({ ...templateForm, backgroundUrl: e.target.value })} style={{ marginTop: '0.5rem' }} />
               <label style={{ marginTop: '0.5rem', display: 'block', fontSize: '0.85rem', fontWeight: 600 }}>Layout JSON:</label>
               <textarea className="form-input" rows={8} value={templateForm.layout} onChange={(e) => setTemplateForm({ ...templateForm, layout: e.target.value })} style={{ fontFamily: 'monospace', fontSize: '0.85rem' }} />
-              <h4>Preview:</h4>
-              {previewLayout(templateForm.layout)}
+              <p style={{ fontSize: '0.8rem', color: '#666', margin: '0.25rem 0' }}>{PLACEHOLDER_HELP}</p>
+              <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.85rem' }}>
+                <input type="checkbox" checked={templateForm.isDefault} onChange={(e) => setTemplateForm({ ...templateForm, isDefault: e.target.checked })} />
+                Use for new promotions (school default)
+              </label>
+              <h4>Live Preview:</h4>
+              <CertificatePreview schoolId={schoolId} layout={templateForm.layout} backgroundUrl={templateForm.backgroundUrl} />
               <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
                 <button type="submit" className="btn btn-primary">Save</button>
                 <button type="button" className="btn btn-outline" onClick={() => setShowTemplateForm(false)}>Cancel</button>
@@ -192,13 +266,23 @@ export default function CertificatesPage() {
           {templates.map((t) => (
             <div key={t.id} className="card" style={{ padding: '1rem', marginBottom: '0.75rem' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                <h3 style={{ margin: 0 }}>{t.name}</h3>
+                <h3 style={{ margin: 0 }}>
+                  {t.name}
+                  {t.isDefault && <span className="badge badge-active" style={{ marginLeft: '0.5rem' }}>Default</span>}
+                  {t.isGlobal && <span className="badge badge-scheduled" style={{ marginLeft: '0.5rem' }}>Global</span>}
+                </h3>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
-                  <button className="btn btn-sm btn-outline" onClick={() => { setEditTemplate(t); setTemplateForm({ name: t.name, layout: JSON.stringify(t.layout, null, 2), backgroundUrl: t.backgroundUrl || '' }); setShowTemplateForm(true); }}>Edit</button>
-                  <button className="btn btn-sm btn-outline" style={{ color: '#ef4444' }} onClick={() => handleDeleteTemplate(t.id)}>Delete</button>
+                  <button className="btn btn-sm btn-outline" onClick={() => setPreviewTemplateId(previewTemplateId === t.id ? null : t.id)}>{previewTemplateId === t.id ? 'Hide Preview' : 'Preview'}</button>
+                  {(!t.isGlobal || user?.role === 'SUPER_ADMIN') && (
+                    <>
+                      <button className="btn btn-sm btn-outline" onClick={() => { setEditTemplate(t); setTemplateForm({ name: t.name, layout: JSON.stringify(t.layout, null, 2), backgroundUrl: t.backgroundUrl || '', isDefault: t.isDefault }); setShowTemplateForm(true); }}>Edit</button>
+                      <button className="btn btn-sm btn-outline" style={{ color: '#ef4444' }} onClick={() => handleDeleteTemplate(t.id)}>Delete</button>
+                    </>
+                  )}
                 </div>
               </div>
-              {previewLayout(t.layout)}
+              {t.description && <p style={{ fontSize: '0.85rem', color: '#666', margin: '0.25rem 0 0' }}>{t.description}</p>}
+              {previewTemplateId === t.id && <CertificatePreview schoolId={schoolId} layout={t.layout} backgroundUrl={t.backgroundUrl} />}
             </div>
           ))}
           {templates.length === 0 && <p style={{ color: '#888' }}>No templates yet</p>}
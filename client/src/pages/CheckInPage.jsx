@@ -1,7 +1,21 @@
 import { useState, useEffect } from 'react';
-import { sessionApi, checkInApi, userApi } from '../api/client';
+import { sessionApi, checkInApi, userApi, reservationApi, kioskApi } from '../api/client';
+import { useAuth } from '../context/AuthContext';
+import CheckInPolicySettings from '../components/CheckInPolicySettings';
+import SessionRoster from '../components/SessionRoster';
+import OfflineCheckInReview from '../components/OfflineCheckInReview';
+
+// Refusals staff can check a student in past, and the flag that does it
+const OVERRIDES = { NO_CREDITS: 'overrideCredits', NOT_ELIGIBLE: 'overrideEligibility' };
+
+function overridePrompt(err) {
+  if (err.details.reason !== 'NOT_ELIGIBLE') return `${err.message}. Check in anyway?`;
+  const issues = err.details.issues.map((i) => `• ${i.message}`).join('\n');
+  return `This student can't check in:\n${issues}\n\nCheck in anyway? The override is recorded in the audit log.`;
+}
 
 export default function CheckInPage() {
+  const { user } = useAuth();
   const [sessions, setSessions] = useState([]);
   const [students, setStudents] = useState([]);
   const [selectedSession, setSelectedSession] = useState('');
@@ -10,17 +24,18 @@ export default function CheckInPage() {
   const [message, setMessage] = useState({ type: '', text: '' });
   const [recentCheckIns, setRecentCheckIns] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [bookings, setBookings] = useState(null);
+  const [rosterKey, setRosterKey] = useState(0);
 
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const today = new Date().toISOString().split('T')[0];
         const [sessionsData, studentsData] = await Promise.all([
-          sessionApi.getAll({ from: today, to: today }),
+          sessionApi.getAll({ today: 'true' }),
           userApi.getAll({ role: 'STUDENT' }),
         ]);
-        // Only show active sessions
-        setSessions(sessionsData.filter((s) => s.status !== 'CANCELLED' && s.status !== 'COMPLETED'));
+        // Today's classes that weren't called off — ended ones too, for late attendance
+        setSessions(sessionsData.filter((s) => s.status !== 'CANCELLED'));
         setStudents(studentsData);
       } catch (err) {
         setMessage({ type: 'error', text: err.message });
@@ -31,17 +46,45 @@ export default function CheckInPage() {
     fetchData();
   }, []);
 
-  const handleCheckIn = async () => {
-    if (!selectedSession || !selectedStudent) {
+  // Reservations for the chosen session — booked students hold a spot
+  const loadBookings = async (sessionId) => {
+    if (!sessionId) { setBookings(null); return; }
+    try {
+      setBookings(await reservationApi.getForSession(sessionId));
+    } catch {
+      setBookings(null);
+    }
+  };
+
+  useEffect(() => { loadBookings(selectedSession); }, [selectedSession]);
+
+  const handleCheckIn = async (studentId = selectedStudent) => {
+    if (!selectedSession || !studentId) {
       setMessage({ type: 'error', text: 'Please select a session and a student' });
       return;
     }
 
     try {
-      const result = await checkInApi.checkIn(selectedSession, selectedStudent);
-      setMessage({ type: 'success', text: `${result.student.firstName} ${result.student.lastName} checked in!` });
+      // Out of credits or failing a check-in rule — staff can choose to check in anyway
+      const options = {};
+      let result;
+      while (!result) {
+        try {
+          result = await checkInApi.checkIn(selectedSession, studentId, options);
+        } catch (err) {
+          const flag = err.details?.canOverride && OVERRIDES[err.details.reason];
+          if (!flag || options[flag] || !window.confirm(overridePrompt(err))) throw err;
+          options[flag] = true;
+        }
+      }
+      const name = `${result.student.firstName} ${result.student.lastName}`;
+      setMessage(result.warning
+        ? { type: 'warning', text: `${name} checked in. ${result.warning}` }
+        : { type: 'success', text: `${name} checked in!` });
       setRecentCheckIns([result, ...recentCheckIns]);
       setSelectedStudent('');
+      loadBookings(selectedSession);
+      setRosterKey((k) => k + 1);
     } catch (err) {
       setMessage({ type: 'error', text: err.message });
     }
@@ -53,6 +96,8 @@ export default function CheckInPage() {
       await checkInApi.remove(checkInId);
       setRecentCheckIns(recentCheckIns.filter((c) => c.id !== checkInId));
       setMessage({ type: 'success', text: 'Check-in removed' });
+      loadBookings(selectedSession);
+      setRosterKey((k) => k + 1);
     } catch (err) {
       setMessage({ type: 'error', text: err.message });
     }
@@ -67,6 +112,26 @@ export default function CheckInPage() {
     );
   });
 
+  // Front desk help for students who forgot their kiosk PIN or card
+  const resetKioskPin = async () => {
+    const student = students.find((s) => s.id === selectedStudent);
+    if (!student || !confirm(`Give ${student.firstName} a new kiosk PIN? Their old PIN stops working.`)) return;
+    try {
+      const { pin } = await kioskApi.resetPin(student.id);
+      setMessage({ type: 'success', text: `${student.firstName}'s new kiosk PIN is ${pin}. It won't be shown again.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const printMemberCard = async () => {
+    try {
+      await kioskApi.downloadCard(selectedStudent);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
   if (loading) return <div className="loading">Loading...</div>;
 
   return (
@@ -92,7 +157,7 @@ export default function CheckInPage() {
             <option value="">Choose today's session...</option>
             {sessions.map((s) => (
               <option key={s.id} value={s.id}>
-                {s.class.name} — {s.startTime} ({s._count?.checkIns || 0}/{s.class.capacity})
+                {s.class.name} — {s.startTime} ({s._count?.checkIns || 0}/{s.class.capacity}){s.status === 'COMPLETED' ? ' — ended' : ''}
               </option>
             ))}
           </select>
@@ -125,11 +190,62 @@ export default function CheckInPage() {
           </select>
         </div>
 
-        <button className="btn btn-success" onClick={handleCheckIn}>
-          ✅ Check In
-        </button>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          <button className="btn btn-success" onClick={() => handleCheckIn()}>
+            ✅ Check In
+          </button>
+          {selectedStudent && (
+            <>
+              <button className="btn btn-outline" onClick={resetKioskPin}>🔢 New Kiosk PIN</button>
+              <button className="btn btn-outline" onClick={printMemberCard}>💳 Member Card</button>
+            </>
+          )}
+        </div>
       </div>
 
+      {bookings && (bookings.reserved.length > 0 || bookings.waitlist.length > 0) && (
+        <div className="card">
+          <h2 style={{ marginBottom: '0.5rem' }}>Reservations</h2>
+          <p style={{ color: '#666', marginTop: 0 }}>
+            {bookings.reserved.length} booked · {bookings.waitlist.length} waitlisted · {bookings.spotsRemaining} spot{bookings.spotsRemaining === 1 ? '' : 's'} open
+          </p>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Status</th>
+                  <th>Booked</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...bookings.reserved, ...bookings.waitlist].map((r) => (
+                  <tr key={r.id}>
+                    <td>{r.student.firstName} {r.student.lastName}</td>
+                    <td>
+                      {r.status === 'RESERVED'
+                        ? <span className="badge badge-active">Booked</span>
+                        : <span className="badge badge-in-progress">Waitlist #{r.position}</span>}
+                    </td>
+                    <td>{new Date(r.bookedAt).toLocaleString()}</td>
+                    <td>
+                      <button className="btn btn-success btn-sm" onClick={() => handleCheckIn(r.studentId)}>
+                        Check In
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {user?.schoolId && <OfflineCheckInReview schoolId={user.schoolId} onMessage={setMessage} />}
+
+      {selectedSession && <SessionRoster sessionId={selectedSession} refreshKey={rosterKey} onMessage={setMessage} />}
+
       {recentCheckIns.length > 0 && (
         <div className="card">
           <h2 style={{ marginBottom: '1rem' }}>Recent Check-Ins</h2>
@@ -146,7 +262,15 @@ export default function CheckInPage() {
               <tbody>
                 {recentCheckIns.map((ci) => (
                   <tr key={ci.id}>
-                    <td>{ci.student.firstName} {ci.student.lastName}</td>
+                    <td>
+                      {ci.student.firstName} {ci.student.lastName}
+                      {ci.frozen && <span className="badge badge-in-progress" style={{ marginLeft: '0.5rem' }}>Frozen</span>}
+                      {ci.eligibility && (
+                        <span className="badge badge-in-progress" style={{ marginLeft: '0.5rem' }} title={ci.eligibility.map((i) => i.message).join('\n')}>
+                          Check-in rules
+                        </span>
+                      )}
+                    </td>
                     <td>{ci.session?.class?.name || 'N/A'}</td>
                     <td>{new Date(ci.checkedInAt).toLocaleTimeString()}</td>
                     <td>
@@ -166,6 +290,8 @@ export default function CheckInPage() {
           </div>
         </div>
       )}
+
+      {['OWNER', 'SUPER_ADMIN'].includes(user?.role) && <CheckInPolicySettings user={user} />}
     </div>
   );
 }
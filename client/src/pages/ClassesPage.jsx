@@ -76,9 +76,9 @@ export default function ClassesPage() {
     }
   };
 
-  const viewAttendance = async (classId) => {
+  const viewAttendance = async (classId, fullOnly = false) => {
     try {
-      const data = await checkInApi.getAttendance(classId);
+      const data = await checkInApi.getAttendance(classId, fullOnly ? { fullOnly: true } : {});
       setAttendance(data);
       setSelectedClass(classes.find((c) => c.id === classId) || null);
       setShowDetailModal(true);
@@ -292,6 +292,15 @@ export default function ClassesPage() {
               </div>
             </div>
 
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+              <input
+                type="checkbox"
+                checked={attendance.attendance.fullOnly}
+                onChange={(e) => viewAttendance(attendance.session.id, e.target.checked)}
+              />
+              Full attendances only ({attendance.attendance.full} full)
+            </label>
+
             {attendance.attendance.students.length === 0 ? (
               <p style={{ color: 'var(--color-text-light)', textAlign: 'center' }}>No students checked in yet.</p>
             ) : (
@@ -301,7 +310,9 @@ export default function ClassesPage() {
                     <tr>
                       <th>Student</th>
                       <th>Method</th>
-                      <th>Time</th>
+                      <th>In</th>
+                      <th>Out</th>
+                      <th>Minutes</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -310,6 +321,11 @@ export default function ClassesPage() {
                         <td>{s.student.firstName} {s.student.lastName}</td>
                         <td><span className="badge badge-scheduled">{s.method}</span></td>
                         <td>{new Date(s.checkedInAt).toLocaleTimeString()}</td>
+                        <td>{s.checkedOutAt ? new Date(s.checkedOutAt).toLocaleTimeString() : '—'}</td>
+                        <td>
+                          {s.durationMinutes ?? '—'}
+                          {s.fullAttendance === false && <span className="badge badge-cancelled" style={{ marginLeft: '0.5rem' }}>Partial</span>}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
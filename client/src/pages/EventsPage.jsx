@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { eventApi, venueApi, schoolApi, enrollmentApi } from '../api/client';
+import { eventApi, venueApi, schoolApi, enrollmentApi, roomApi } from '../api/client';
+import { saveWithConflictCheck } from '../utils/conflicts';
 
 const EVENT_TYPES = ['TOURNAMENT', 'SEMINAR', 'PARTY', 'CEREMONY', 'WORKSHOP', 'OTHER'];
 const EVENT_TYPE_ICONS = { TOURNAMENT: '🏆', SEMINAR: '📖', PARTY: '🎉', CEREMONY: '🎓', WORKSHOP: '🔧', OTHER: '📌' };
@@ -9,20 +10,21 @@ export default function EventsPage() {
   const { user, isSuperAdmin, isOwner, isEventCoordinator, isStaff } = useAuth();
   const [events, setEvents] = useState([]);
   const [venues, setVenues] = useState([]);
+  const [rooms, setRooms] = useState([]);
   const [schools, setSchools] = useState([]);
   const [students, setStudents] = useState([]);
   const [selected, setSelected] = useState(null);
   const [tab, setTab] = useState('upcoming');
   const [showForm, setShowForm] = useState(false);
   const [showVenueForm, setShowVenueForm] = useState(false);
-  const [form, setForm] = useState({ name: '', description: '', eventType: 'TOURNAMENT', scope: 'SCHOOL', schoolId: '', venueId: '', startDate: '', endDate: '', isPublic: false, ticketPrice: '', maxCapacity: '', registrationDeadline: '', imageUrl: '' });
+  const [form, setForm] = useState({ name: '', description: '', eventType: 'TOURNAMENT', scope: 'SCHOOL', schoolId: '', venueId: '', roomId: '', startDate: '', endDate: '', isPublic: false, ticketPrice: '', maxCapacity: '', registrationDeadline: '', imageUrl: '' });
   const [venueForm, setVenueForm] = useState({ name: '', address: '', city: '', state: '', zipCode: '', capacity: '', contactName: '', contactPhone: '' });
   const [entryForm, setEntryForm] = useState({ userId: '', weightClass: '', division: '' });
   const [filter, setFilter] = useState({ eventType: '', schoolId: '' });
   const [error, setError] = useState('');
   const canManage = isSuperAdmin || isOwner || isEventCoordinator;
 
-  useEffect(() => { loadEvents(); loadVenues(); loadSchools(); }, []);
+  useEffect(() => { loadEvents(); loadVenues(); loadSchools(); loadRooms(); }, []);
 
   const loadEvents = async () => {
     try {
@@ -36,6 +38,7 @@ export default function EventsPage() {
 
   const loadVenues = async () => { try { setVenues(await venueApi.getAll()); } catch {} };
   const loadSchools = async () => { try { setSchools(await schoolApi.getAll()); } catch {} };
+  const loadRooms = async () => { try { setRooms(await roomApi.getAll()); } catch {} };
 
   const loadStudents = async (schoolId) => {
     if (!schoolId) return;
@@ -52,12 +55,13 @@ export default function EventsPage() {
       if (data.maxCapacity) data.maxCapacity = parseInt(data.maxCapacity);
       if (!data.schoolId) delete data.schoolId;
       if (!data.venueId) delete data.venueId;
+      if (form.scope !== 'SCHOOL') data.roomId = null;
 
-      if (selected) {
-        await eventApi.update(selected.id, data);
-      } else {
-        await eventApi.create(data);
-      }
+      // Venue / room double-bookings need a confirm to go ahead
+      const saved = await saveWithConflictCheck((extra) => (selected
+        ? eventApi.update(selected.id, { ...data, ...extra })
+        : eventApi.create({ ...data, ...extra })));
+      if (!saved) return;
       setShowForm(false); setSelected(null); loadEvents();
     } catch (e) { setError(e.message); }
   };
@@ -104,10 +108,19 @@ export default function EventsPage() {
     } catch (e) { setError(e.message); }
   };
 
+  const handleTicketRefund = async (ticket) => {
+    const input = prompt(`Refund amount (max $${ticket.totalPrice?.toFixed(2)}):`, ticket.totalPrice?.toFixed(2));
+    if (input === null) return;
+    try {
+      await eventApi.refundTicket(ticket.id, { amount: parseFloat(input) });
+      loadEventDetail(selected.id);
+    } catch (e) { setError(e.message); }
+  };
+
   const editEvent = (ev) => {
     setForm({
       name: ev.name, description: ev.description || '', eventType: ev.eventType,
-      scope: ev.scope, schoolId: ev.schoolId || '', venueId: ev.venueId || '',
+      scope: ev.scope, schoolId: ev.schoolId || '', venueId: ev.venueId || '', roomId: ev.roomId || '',
       startDate: ev.startDate?.substring(0, 16) || '', endDate: ev.endDate?.substring(0, 16) || '',
       isPublic: ev.isPublic, ticketPrice: ev.ticketPrice || '', maxCapacity: ev.maxCapacity || '',
       registrationDeadline: ev.registrationDeadline?.substring(0, 16) || '', imageUrl: ev.imageUrl || '',
@@ -117,7 +130,7 @@ export default function EventsPage() {
   };
 
   const newEvent = () => {
-    setForm({ name: '', description: '', eventType: 'TOURNAMENT', scope: user?.role === 'SUPER_ADMIN' ? 'HQ' : 'SCHOOL', schoolId: user?.schoolId || '', venueId: '', startDate: '', endDate: '', isPublic: false, ticketPrice: '', maxCapacity: '', registrationDeadline: '', imageUrl: '' });
+    setForm({ name: '', description: '', eventType: 'TOURNAMENT', scope: user?.role === 'SUPER_ADMIN' ? 'HQ' : 'SCHOOL', schoolId: user?.schoolId || '', venueId: '', roomId: '', startDate: '', endDate: '', isPublic: false, ticketPrice: '', maxCapacity: '', registrationDeadline: '', imageUrl: '' });
     setSelected(null);
     setShowForm(true);
   };
@@ -181,9 +194,14 @@ export default function EventsPage() {
                   <td>{t.quantity}</td><td>${t.totalPrice?.toFixed(2)}</td>
                   <td>
                     {canManage ? (
-                      <select value={t.status} onChange={(e) => eventApi.updateTicketStatus(t.id, e.target.value).then(() => loadEventDetail(selected.id))}>
-                        {['RESERVED', 'PAID', 'CANCELLED', 'REFUNDED', 'CHECKED_IN'].map((s) => <option key={s} value={s}>{s}</option>)}
-                      </select>
+                      <>
+                        <select value={t.status} onChange={(e) => eventApi.updateTicketStatus(t.id, e.target.value).then(() => loadEventDetail(selected.id))}>
+                          {['RESERVED', 'PAID', 'CANCELLED', 'REFUNDED', 'CHECKED_IN'].map((s) => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                        {['PAID', 'CHECKED_IN'].includes(t.status) && (
+                          <button className="btn btn-outline btn-sm" style={{ marginLeft: '0.5rem' }} onClick={() => handleTicketRefund(t)}>Refund</button>
+                        )}
+                      </>
                     ) : <span className="badge">{t.status}</span>}
                   </td>
                 </tr>
@@ -300,6 +318,14 @@ export default function EventsPage() {
                 {venues.map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
               </select>
             </div>
+            {form.scope === 'SCHOOL' && rooms.some((r) => r.schoolId === form.schoolId) && (
+              <div className="form-group"><label>Room / Mat</label>
+                <select value={form.roomId} onChange={(e) => setForm({ ...form, roomId: e.target.value })}>
+                  <option value="">No room</option>
+                  {rooms.filter((r) => r.schoolId === form.schoolId).map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+              </div>
+            )}
             <div className="form-group"><label>Start Date *</label><input type="datetime-local" value={form.startDate} onChange={(e) => setForm({ ...form, startDate: e.target.value })} /></div>
             <div className="form-group"><label>End Date</label><input type="datetime-local" value={form.endDate} onChange={(e) => setForm({ ...form, endDate: e.target.value })} /></div>
             <div className="form-group"><label>Ticket Price ($)</label><input type="number" step="0.01" value={form.ticketPrice} onChange={(e) => setForm({ ...form, ticketPrice: e.target.value })} placeholder="0 = Free" /></div>
@@ -145,6 +145,8 @@ function CreateFamilyForm({ schoolId, onCreated, onCancel }) {
 // ─── Family Detail (with member management & billing) ───
 
 function FamilyDetail({ familyId, schoolId, onBack }) {
+  const { isSuperAdmin, isOwner } = useAuth();
+  const canManageBilling = isSuperAdmin || isOwner;
   const [family, setFamily] = useState(null);
   const [billing, setBilling] = useState(null);
   const [students, setStudents] = useState([]);
@@ -184,6 +186,16 @@ function FamilyDetail({ familyId, schoolId, onBack }) {
     load();
   };
 
+  const handleToggleConsolidated = async () => {
+    const enable = !billing.consolidatedBilling;
+    if (enable && !billing.primary) {
+      alert('Set a PRIMARY member first — household invoices are billed to them.');
+      return;
+    }
+    await familyApi.update(familyId, { consolidatedBilling: enable });
+    load();
+  };
+
   const handleRemove = async (memberId) => {
     if (!confirm('Remove this member from the family?')) return;
     await familyApi.removeMember(memberId);
@@ -274,7 +286,27 @@ function FamilyDetail({ familyId, schoolId, onBack }) {
 
       {subTab === 'BILLING' && billing && (
         <div>
-          <h3>Combined Billing</h3>
+          <h3>Household Statement</h3>
+          <div className="card" style={{ padding: '0.75rem 1rem', marginBottom: '1rem', display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+            <div style={{ flex: 1 }}>
+              {billing.consolidatedBilling ? (
+                <>
+                  <strong>Consolidated billing on</strong> — one monthly invoice to {billing.primary?.name || 'the primary member'}
+                  {billing.siblingDiscounts.length > 0 && (
+                    <span style={{ color: '#666' }}> • sibling discounts {billing.siblingDiscounts.map((d) => `${d}%`).join(' / ')}</span>
+                  )}
+                </>
+              ) : (
+                <span style={{ color: '#666' }}>Members are invoiced individually.</span>
+              )}
+            </div>
+            {canManageBilling && (
+              <button className={`btn btn-sm ${billing.consolidatedBilling ? 'btn-outline' : 'btn-primary'}`} onClick={handleToggleConsolidated}>
+                {billing.consolidatedBilling ? 'Bill Individually' : 'Consolidate Billing'}
+              </button>
+            )}
+          </div>
+
           <div style={{ display: 'flex', gap: '1.5rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
             <div className="card" style={{ padding: '0.75rem 1.25rem' }}>
               <div style={{ fontWeight: 600, fontSize: '1.3rem', color: '#e53e3e' }}>${billing.summary.totalOwed.toFixed(2)}</div>
@@ -284,19 +316,73 @@ function FamilyDetail({ familyId, schoolId, onBack }) {
               <div style={{ fontWeight: 600, fontSize: '1.3rem', color: '#38a169' }}>${billing.summary.totalPaid.toFixed(2)}</div>
               <div style={{ color: '#888', fontSize: '0.85rem' }}>Total Paid</div>
             </div>
+            {billing.summary.totalSavings > 0 && (
+              <div className="card" style={{ padding: '0.75rem 1.25rem' }}>
+                <div style={{ fontWeight: 600, fontSize: '1.3rem', color: '#3b82f6' }}>${billing.summary.totalSavings.toFixed(2)}</div>
+                <div style={{ color: '#888', fontSize: '0.85rem' }}>Sibling Savings</div>
+              </div>
+            )}
           </div>
 
-          <h4>Invoices</h4>
+          {billing.householdInvoices.length > 0 && (
+            <>
+              <h4>Member Shares</h4>
+              <table className="data-table">
+                <thead><tr><th>Member</th><th>Role</th><th>Billed</th><th>Paid</th><th>Discount</th></tr></thead>
+                <tbody>
+                  {billing.members.map((m) => (
+                    <tr key={m.userId}>
+                      <td>{m.name}</td>
+                      <td>{m.familyRole}</td>
+                      <td>${m.billed.toFixed(2)}</td>
+                      <td>${m.paid.toFixed(2)}</td>
+                      <td>{m.discount > 0 ? `−$${m.discount.toFixed(2)}` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h4 style={{ marginTop: '1rem' }}>Household Invoices</h4>
+              {billing.householdInvoices.map((inv) => (
+                <div key={inv.id} className="card" style={{ padding: '0.75rem 1rem', marginBottom: '0.75rem' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    <strong>{inv.invoiceNumber}</strong>
+                    <span>{inv.status} • due {new Date(inv.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}</span>
+                  </div>
+                  <table className="data-table" style={{ marginTop: '0.5rem' }}>
+                    <tbody>
+                      {inv.lines.map((l) => (
+                        <tr key={l.id}>
+                          <td>{l.description}</td>
+                          <td style={{ textAlign: 'right' }}>
+                            {l.discountAmount > 0 && <span style={{ color: '#888', marginRight: '0.5rem' }}>−${l.discountAmount.toFixed(2)}</span>}
+                            ${l.amount.toFixed(2)}
+                          </td>
+                        </tr>
+                      ))}
+                      {inv.taxAmount > 0 && <tr><td>Tax</td><td style={{ textAlign: 'right' }}>${inv.taxAmount.toFixed(2)}</td></tr>}
+                      <tr>
+                        <td><strong>Total</strong>{inv.paid > 0 && <span style={{ color: '#38a169', marginLeft: '0.5rem' }}>(${inv.paid.toFixed(2)} paid)</span>}</td>
+                        <td style={{ textAlign: 'right' }}><strong>${inv.totalAmount.toFixed(2)}</strong></td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </>
+          )}
+
+          <h4 style={{ marginTop: '1rem' }}>{billing.householdInvoices.length > 0 ? 'Individual Invoices' : 'Invoices'}</h4>
           <table className="data-table">
-            <thead><tr><th>Member</th><th>Description</th><th>Amount</th><th>Status</th><th>Due</th></tr></thead>
+            <thead><tr><th>Member</th><th>Invoice</th><th>Amount</th><th>Status</th><th>Due</th></tr></thead>
             <tbody>
               {billing.invoices.map((inv) => (
                 <tr key={inv.id}>
                   <td>{inv.memberName}</td>
-                  <td>{inv.description || '—'}</td>
-                  <td>${Number(inv.amount).toFixed(2)}</td>
+                  <td>{inv.invoiceNumber}</td>
+                  <td>${Number(inv.totalAmount).toFixed(2)}</td>
                   <td>{inv.status}</td>
-                  <td>{inv.dueDate ? new Date(inv.dueDate).toLocaleDateString() : '—'}</td>
+                  <td>{inv.dueDate ? new Date(inv.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' }) : '—'}</td>
                 </tr>
               ))}
               {billing.invoices.length === 0 && <tr><td colSpan="5" style={{ textAlign: 'center', color: '#888' }}>No invoices</td></tr>}
@@ -321,17 +407,25 @@ function FamilyDetail({ familyId, schoolId, onBack }) {
 
           <h4 style={{ marginTop: '1rem' }}>Recent Payments</h4>
           <table className="data-table">
-            <thead><tr><th>Member</th><th>Amount</th><th>Method</th><th>Date</th></tr></thead>
+            <thead><tr><th>Paid By</th><th>Invoice</th><th>Amount</th><th>Method</th><th>Date</th></tr></thead>
             <tbody>
               {billing.payments.map((pay) => (
                 <tr key={pay.id}>
-                  <td>{pay.memberName}</td>
+                  <td>
+                    {pay.memberName}
+                    {pay.allocations.length > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: '#888' }}>
+                        {pay.allocations.map((a) => `${a.memberName} $${a.amount.toFixed(2)}`).join(' • ')}
+                      </div>
+                    )}
+                  </td>
+                  <td>{pay.invoice.invoiceNumber}</td>
                   <td>${Number(pay.amount).toFixed(2)}</td>
                   <td>{pay.method}</td>
-                  <td>{new Date(pay.createdAt).toLocaleDateString()}</td>
+                  <td>{new Date(pay.paidAt).toLocaleDateString()}</td>
                 </tr>
               ))}
-              {billing.payments.length === 0 && <tr><td colSpan="4" style={{ textAlign: 'center', color: '#888' }}>No payments</td></tr>}
+              {billing.payments.length === 0 && <tr><td colSpan="5" style={{ textAlign: 'center', color: '#888' }}>No payments</td></tr>}
             </tbody>
           </table>
         </div>
@@ -1,48 +1,224 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
-import { sessionApi, checkInApi } from '../api/client';
+import { kioskApi, kioskDeviceApi, schoolApi } from '../api/client';
 import { useAuth } from '../context/AuthContext';
+import KioskFamilyCheckIn from '../components/KioskFamilyCheckIn';
+import {
+  saveCache, loadCache, saveOfflineKey, enqueue, syncQueue, getQueue, getFailed, clearFailed, isNetworkError,
+} from '../utils/kioskOffline';
+
+/**
+ * Remaining-credit suffix for punch-card students, plus a nudge if their
+ * membership is frozen or they failed one of the school's check-in rules.
+ */
+function creditNote(result) {
+  let note = '';
+  if (result.credits) {
+    const { remaining } = result.credits;
+    note += ` ${remaining} class credit${remaining === 1 ? '' : 's'} left.`;
+  }
+  if (result.frozen) note += ' Your membership is frozen — please see the front desk.';
+  if (result.eligibility) note += ` Please see the front desk: ${result.eligibility.map((i) => i.message).join('; ')}.`;
+  return note;
+}
+
+const PIN_LENGTH = 6;
+const SYNC_INTERVAL_MS = 30000;
+
+const FAILED_REASONS = {
+  UNKNOWN_CREDENTIAL: 'PIN or card not recognised',
+  SESSION_CANCELLED: 'class was cancelled',
+  SESSION_NOT_FOUND: 'class not found',
+  TOO_MANY_UNKNOWN: 'too many unrecognised PINs — will not retry',
+  SESSION_OUT_OF_RANGE: 'class is too long ago to sync',
+  OUTSIDE_SESSION: "check-in time doesn't match the class",
+};
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'back'];
+
+const screenStyle = {
+  minHeight: '100vh',
+  display: 'flex',
+  flexDirection: 'column',
+  justifyContent: 'center',
+  alignItems: 'center',
+  background: 'var(--color-primary)',
+  padding: '2rem',
+};
+
+const panelStyle = (maxWidth) => ({
+  background: 'white',
+  borderRadius: '16px',
+  padding: '3rem',
+  width: '100%',
+  maxWidth,
+  boxShadow: 'var(--shadow-lg)',
+});
+
+const bigButton = { width: '100%', padding: '0.9rem', fontSize: '1.2rem', justifyContent: 'center' };
 
 /**
  * Kiosk mode — designed for a tablet at the front desk.
- * - Owners/Instructors can set up kiosk (select session, configure mode)
- * - Students check in by email or scanning QR code
+ * - Staff pair the tablet with a school once; it then runs on its own device
+ *   token, without anyone logged in, and only sees that school's sessions
+ * - Students check in with their member PIN or by scanning their member card
+ *   (or, logged in on their phone, by scanning the rotating session QR code)
+ * - Students check out the same way when they leave; guardians identify
+ *   once with their own PIN or card to check their children in together,
+ *   and to pick them up
+ * - If the connection drops it keeps going on cached sessions and queues
+ *   check-ins on the tablet, syncing them when it's back online
  */
 export default function KioskPage() {
   const { user, isStaff } = useAuth();
+  const [device, setDevice] = useState(null);
   const [mode, setMode] = useState('setup'); // 'setup' | 'checkin'
-  const [checkInMethod, setCheckInMethod] = useState('email'); // 'email' | 'qr'
+  const [checkInMethod, setCheckInMethod] = useState('pin'); // 'pin' | 'card' | 'qr'
   const [sessions, setSessions] = useState([]);
   const [selectedSession, setSelectedSession] = useState('');
-  const [selectedSessionData, setSelectedSessionData] = useState(null);
-  const [email, setEmail] = useState('');
-  const [qrValue, setQrValue] = useState('');
+  const [pin, setPin] = useState('');
+  const [cardCode, setCardCode] = useState('');
+  const [qrToken, setQrToken] = useState(null);
+  // Family check-in: the guardian identifies, then picks a session per child
+  const [familyMode, setFamilyMode] = useState(false);
+  const [family, setFamily] = useState(null);
+  const [leaving, setLeaving] = useState(false); // check-out instead of check-in
   const [message, setMessage] = useState({ type: '', text: '' });
   const [loading, setLoading] = useState(true);
+  // Offline
+  const [offline, setOffline] = useState(false);
+  const [queued, setQueued] = useState(() => getQueue().length);
+  const [failed, setFailed] = useState(() => getFailed());
+  // Pairing
+  const [schools, setSchools] = useState([]);
+  const [pairForm, setPairForm] = useState({ name: 'Front desk', schoolId: '' });
+
+  const selectedSessionData = sessions.find((s) => s.id === selectedSession) || null;
+
+  const loadKiosk = useCallback(async () => {
+    if (!kioskDeviceApi.getToken()) {
+      setDevice(null);
+      setLoading(false);
+      return;
+    }
+    const show = (d, data) => {
+      setDevice(d);
+      setSessions(data);
+      setSelectedSession((current) => (
+        data.some((s) => s.id === current) ? current : (data.length === 1 ? data[0].id : '')
+      ));
+    };
+    try {
+      const [{ offlineKey, ...d }, data] = await Promise.all([kioskDeviceApi.getDevice(), kioskDeviceApi.getSessions()]);
+      show(d, data);
+      saveCache(d, data);
+      // The key goes into IndexedDB as a non-extractable key, never into the cache
+      saveOfflineKey(offlineKey).catch((err) => console.error('Offline key not saved:', err));
+      setOffline(false);
+    } catch (err) {
+      const cache = isNetworkError(err) && loadCache();
+      if (cache) {
+        // No connection — carry on with this morning's copy
+        show(cache.device, cache.sessions);
+        setOffline(true);
+      } else if (err.status === 401) {
+        // Unpaired by staff — go back to pairing
+        kioskDeviceApi.forget();
+        setDevice(null);
+      }
+      if (!cache) setMessage({ type: 'error', text: err.message });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadKiosk(); }, [loadKiosk]);
+
+  // Push queued check-ins whenever the connection may be back
+  const syncNow = useCallback(async () => {
+    if (getQueue().length === 0) return;
+    const result = await syncQueue(kioskDeviceApi.checkInBatch);
+    setQueued(result.remaining);
+    setFailed(getFailed());
+    setOffline(result.remaining > 0);
+  }, []);
+
+  useEffect(() => {
+    if (!device) return undefined;
+    syncNow();
+    const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener('online', syncNow);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', syncNow);
+    };
+  }, [device, syncNow]);
 
   useEffect(() => {
-    const fetchSessions = async () => {
+    if (device || !isStaff) return;
+    schoolApi.getAll()
+      .then((list) => {
+        setSchools(list);
+        setPairForm((f) => ({ ...f, schoolId: f.schoolId || user?.schoolId || list[0]?.id || '' }));
+      })
+      .catch(() => setSchools([]));
+  }, [device, isStaff, user?.schoolId]);
+
+  // The session QR code rotates — fetch a fresh token whenever the current one is due to change
+  useEffect(() => {
+    if (mode !== 'checkin' || checkInMethod !== 'qr' || !selectedSession || offline) {
+      setQrToken(null);
+      return undefined;
+    }
+    let cancelled = false;
+    let timer;
+    const refresh = async () => {
       try {
-        const today = new Date().toISOString().split('T')[0];
-        const data = await sessionApi.getAll({ from: today, to: today });
-        const active = data.filter((s) => s.status !== 'CANCELLED' && s.status !== 'COMPLETED');
-        setSessions(active);
-        if (active.length === 1) {
-          setSelectedSession(active[0].id);
-          setSelectedSessionData(active[0]);
-        }
+        const data = await kioskDeviceApi.getQr(selectedSession);
+        if (cancelled) return;
+        setQrToken(data.token);
+        timer = setTimeout(refresh, data.refreshInSeconds * 1000);
       } catch (err) {
+        if (cancelled) return;
         console.error(err);
-      } finally {
-        setLoading(false);
+        setQrToken(null);
+        timer = setTimeout(refresh, 10000);
       }
     };
-    fetchSessions();
-  }, []);
+    refresh();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [mode, checkInMethod, selectedSession, offline]);
+
+  const pairTablet = async (e) => {
+    e.preventDefault();
+    setMessage({ type: '', text: '' });
+    try {
+      const paired = await kioskApi.pair({ name: pairForm.name, ...(pairForm.schoolId && { schoolId: pairForm.schoolId }) });
+      kioskDeviceApi.setToken(paired.token);
+      setLoading(true);
+      await loadKiosk();
+      setMessage({ type: 'success', text: `Paired with ${paired.school.name}.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
 
-  const handleSessionSelect = (sessionId) => {
-    setSelectedSession(sessionId);
-    setSelectedSessionData(sessions.find((s) => s.id === sessionId) || null);
+  const unpairTablet = async () => {
+    if (!confirm('Unpair this tablet? It will stop working as a kiosk until it is paired again.')) return;
+    try {
+      await kioskApi.revoke(device.id);
+    } catch (err) {
+      if (err.status !== 404) {
+        setMessage({ type: 'error', text: err.message });
+        return;
+      }
+    }
+    kioskDeviceApi.forget();
+    setDevice(null);
+    setSessions([]);
+    setSelectedSession('');
   };
 
   const launchKiosk = () => {
@@ -54,89 +230,232 @@ export default function KioskPage() {
     setMessage({ type: '', text: '' });
   };
 
-  const handleEmailCheckIn = async (e) => {
-    e.preventDefault();
+  const backToSetup = () => {
+    setMode('setup');
+    setFamilyMode(false);
+    setFamily(null);
+    setLeaving(false);
     setMessage({ type: '', text: '' });
+    loadKiosk();
+  };
 
-    if (!selectedSession) {
-      setMessage({ type: 'error', text: 'Please select a class' });
-      return;
+  const queueCheckIn = async (credential) => {
+    setOffline(true);
+    try {
+      await enqueue(selectedSession, credential);
+      setQueued(getQueue().length);
+      setMessage({ type: 'success', text: 'Thanks! Your check-in is saved and will be sent as soon as we are back online.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: `${err.message}. Please see the front desk.` });
     }
+  };
 
+  const submitCheckIn = async (credential, reset) => {
+    setMessage({ type: '', text: '' });
     try {
-      const result = await checkInApi.checkInByKiosk(selectedSession, email);
-      setMessage({
-        type: 'success',
-        text: `Welcome, ${result.student.firstName}! You're checked into ${result.className}.`,
-      });
-      setEmail('');
+      if (offline && !navigator.onLine) {
+        await queueCheckIn(credential);
+      } else {
+        const result = await kioskDeviceApi.checkIn(selectedSession, credential);
+        setOffline(false);
+        setMessage({
+          type: 'success',
+          text: `Welcome, ${result.student.firstName}! You're checked into ${result.className}.${creditNote(result)}`,
+        });
+      }
       setTimeout(() => setMessage({ type: '', text: '' }), 5000);
     } catch (err) {
-      setMessage({ type: 'error', text: err.message });
+      if (isNetworkError(err)) {
+        await queueCheckIn(credential);
+        setTimeout(() => setMessage({ type: '', text: '' }), 5000);
+      } else if (err.details?.reason === 'NOT_ELIGIBLE') {
+        setMessage({ type: 'error', text: `${err.message}. Please see the front desk.` });
+      } else {
+        setMessage({ type: 'error', text: err.message });
+      }
     }
+    reset();
   };
 
-  const handleQrCheckIn = async (e) => {
-    e.preventDefault();
+  const submitCheckOut = async (credential, reset) => {
     setMessage({ type: '', text: '' });
-
-    if (!qrValue.trim()) {
-      setMessage({ type: 'error', text: 'Please enter or scan a QR code' });
-      return;
-    }
-
     try {
-      const result = await checkInApi.checkInByKiosk(selectedSession, qrValue.trim());
+      const result = await kioskDeviceApi.checkOut(selectedSession, credential);
       setMessage({
         type: 'success',
-        text: `Welcome, ${result.student.firstName}! You're checked into ${result.className}.`,
+        text: `Goodbye, ${result.student.firstName}! You were on the mat for ${result.durationMinutes} minutes.${result.awaitingPickup ? ' Please wait here until you are picked up.' : ''}`,
       });
-      setQrValue('');
       setTimeout(() => setMessage({ type: '', text: '' }), 5000);
     } catch (err) {
-      setMessage({ type: 'error', text: err.message });
+      setMessage({
+        type: 'error',
+        text: isNetworkError(err) ? 'Checking out needs a connection — please try again in a moment.' : err.message,
+      });
+    }
+    reset();
+  };
+
+  const lookupFamily = async (credential, reset) => {
+    setMessage({ type: '', text: '' });
+    try {
+      const data = await kioskDeviceApi.getFamily(credential);
+      setFamily({ ...data, credential });
+    } catch (err) {
+      setMessage({
+        type: 'error',
+        text: isNetworkError(err)
+          ? 'Family check-in needs a connection — please check each child in with their own PIN or card for now.'
+          : err.message,
+      });
+    }
+    reset();
+  };
+
+  const endFamilyCheckIn = () => {
+    setFamily(null);
+    setFamilyMode(false);
+    loadKiosk();
+  };
+
+  // PINs and cards identify the student — or, in family mode, their guardian
+  const identify = (credential, reset) => {
+    const submit = familyMode ? lookupFamily : leaving ? submitCheckOut : submitCheckIn;
+    return submit(credential, reset);
+  };
+  const identifying = familyMode || leaving; // the QR code only checks in
+  const submitLabel = familyMode ? '➡️ Continue' : leaving ? '👋 Check Out' : '✅ Check In';
+
+  const switchTo = ({ family: toFamily = false, leaving: toLeaving = false }) => {
+    setFamilyMode(toFamily);
+    setLeaving(toLeaving);
+    setMessage({ type: '', text: '' });
+  };
+
+  const dismissFailed = () => {
+    clearFailed();
+    setFailed([]);
+  };
+
+  const offlineBanner = (offline || queued > 0) && (
+    <div className="alert alert-warning" style={{ textAlign: 'center' }}>
+      {offline ? '📡 Offline — check-ins are being saved on this tablet.' : '🔄 Sending saved check-ins...'}
+      {queued > 0 && ` ${queued} waiting to sync.`}
+    </div>
+  );
+
+  const sessionName = (id) => sessions.find((s) => s.id === id)?.class.name || 'Unknown class';
+
+  const handlePinCheckIn = (e) => {
+    e?.preventDefault();
+    if (pin.length !== PIN_LENGTH) {
+      setMessage({ type: 'error', text: `Enter your ${PIN_LENGTH}-digit PIN` });
+      return;
     }
+    identify({ pin }, () => setPin(''));
+  };
+
+  // Barcode scanners type the code and press Enter
+  const handleCardCheckIn = (e) => {
+    e.preventDefault();
+    if (!cardCode.trim()) return;
+    identify({ cardCode: cardCode.trim() }, () => setCardCode(''));
+  };
+
+  const pressKey = (key) => {
+    if (key === 'clear') setPin('');
+    else if (key === 'back') setPin((p) => p.slice(0, -1));
+    else setPin((p) => (p.length < PIN_LENGTH ? p + key : p));
   };
 
   if (loading) return <div className="loading">Loading kiosk...</div>;
 
-  // ─── Setup Mode (Owner/Instructor only) ──────────────
+  // ─── Pairing (staff, once per tablet) ─────────────────
+
+  if (!device) {
+    return (
+      <div style={screenStyle}>
+        <div style={panelStyle('550px')}>
+          <h1 style={{ fontSize: '2.5rem', textAlign: 'center', marginBottom: '0.5rem' }}>🥋</h1>
+          <h2 style={{ fontSize: '1.5rem', textAlign: 'center', marginBottom: '0.25rem' }}>Pair This Kiosk</h2>
+          <p style={{ color: 'var(--color-text-light)', textAlign: 'center', marginBottom: '2rem' }}>
+            {isStaff
+              ? 'Link this tablet to your school. It will keep working as a check-in kiosk after you log out.'
+              : 'This tablet is not set up as a kiosk yet. Please ask a staff member to pair it.'}
+          </p>
+
+          {message.text && <div className={`alert alert-${message.type}`}>{message.text}</div>}
+
+          {isStaff && (
+            <form onSubmit={pairTablet}>
+              <div className="form-group">
+                <label>Kiosk Name</label>
+                <input
+                  className="form-control"
+                  value={pairForm.name}
+                  onChange={(e) => setPairForm({ ...pairForm, name: e.target.value })}
+                  maxLength={80}
+                  required
+                />
+              </div>
+              {schools.length > 1 && (
+                <div className="form-group">
+                  <label>School</label>
+                  <select
+                    className="form-control"
+                    value={pairForm.schoolId}
+                    onChange={(e) => setPairForm({ ...pairForm, schoolId: e.target.value })}
+                  >
+                    {schools.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                </div>
+              )}
+              <button type="submit" className="btn btn-success" style={{ ...bigButton, marginTop: '1rem' }}>
+                🔗 Pair Kiosk
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ─── Setup Mode ───────────────────────────────────────
 
   if (mode === 'setup') {
     return (
-      <div style={{
-        minHeight: '100vh',
-        display: 'flex',
-        flexDirection: 'column',
-        justifyContent: 'center',
-        alignItems: 'center',
-        background: 'var(--color-primary)',
-        padding: '2rem',
-      }}>
-        <div style={{
-          background: 'white',
-          borderRadius: '16px',
-          padding: '3rem',
-          width: '100%',
-          maxWidth: '550px',
-          boxShadow: 'var(--shadow-lg)',
-        }}>
+      <div style={screenStyle}>
+        <div style={panelStyle('550px')}>
           <h1 style={{ fontSize: '2.5rem', textAlign: 'center', marginBottom: '0.5rem' }}>🥋</h1>
           <h2 style={{ fontSize: '1.5rem', textAlign: 'center', marginBottom: '0.25rem' }}>Kiosk Setup</h2>
           <p style={{ color: 'var(--color-text-light)', textAlign: 'center', marginBottom: '2rem' }}>
-            {isStaff ? 'Configure the check-in kiosk' : 'Select a session to check in'}
+            {device.name} · {device.school.name}
           </p>
 
           {message.text && (
             <div className={`alert alert-${message.type}`}>{message.text}</div>
           )}
+          {offlineBanner}
+
+          {failed.length > 0 && (
+            <div className="alert alert-error">
+              <strong>{failed.length} saved check-in{failed.length === 1 ? '' : 's'} could not be synced</strong> — please check these students in manually:
+              <ul style={{ margin: '0.5rem 0', paddingLeft: '1.25rem' }}>
+                {failed.map((f) => (
+                  <li key={f.clientId}>
+                    {sessionName(f.sessionId)}, {new Date(f.checkedInAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} — {FAILED_REASONS[f.reason] || f.error}
+                  </li>
+                ))}
+              </ul>
+              {isStaff && <button className="btn btn-sm btn-outline" onClick={dismissFailed}>Dismiss</button>}
+            </div>
+          )}
 
           <div className="form-group">
-            <label>Select Today's Session</label>
+            <label>Select Today&apos;s Session</label>
             <select
               className="form-control"
               value={selectedSession}
-              onChange={(e) => handleSessionSelect(e.target.value)}
+              onChange={(e) => setSelectedSession(e.target.value)}
               style={{ fontSize: '1.1rem', padding: '0.8rem' }}
             >
               <option value="">Choose a session...</option>
@@ -154,45 +473,33 @@ export default function KioskPage() {
             </p>
           )}
 
-          {isStaff && sessions.length > 0 && (
+          {sessions.length > 0 && (
             <>
               <div className="form-group">
                 <label>Check-in Method</label>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
-                  <button
-                    className={`btn ${checkInMethod === 'email' ? 'btn-primary' : 'btn-outline'}`}
-                    style={{ flex: 1, justifyContent: 'center' }}
-                    onClick={() => setCheckInMethod('email')}
-                  >
-                    📧 Email
-                  </button>
-                  <button
-                    className={`btn ${checkInMethod === 'qr' ? 'btn-primary' : 'btn-outline'}`}
-                    style={{ flex: 1, justifyContent: 'center' }}
-                    onClick={() => setCheckInMethod('qr')}
-                  >
-                    📱 QR Code
-                  </button>
+                  {[['pin', '🔢 PIN'], ['card', '💳 Member Card'], ['qr', '📱 QR Code']].map(([value, label]) => (
+                    <button
+                      key={value}
+                      className={`btn ${checkInMethod === value ? 'btn-primary' : 'btn-outline'}`}
+                      style={{ flex: 1, justifyContent: 'center' }}
+                      onClick={() => setCheckInMethod(value)}
+                    >
+                      {label}
+                    </button>
+                  ))}
                 </div>
               </div>
 
-              <button
-                className="btn btn-success"
-                style={{ width: '100%', padding: '0.9rem', fontSize: '1.2rem', justifyContent: 'center', marginTop: '1rem' }}
-                onClick={launchKiosk}
-              >
+              <button className="btn btn-success" style={{ ...bigButton, marginTop: '1rem' }} onClick={launchKiosk}>
                 🚀 Launch Kiosk
               </button>
             </>
           )}
 
-          {!isStaff && sessions.length > 0 && (
-            <button
-              className="btn btn-success"
-              style={{ width: '100%', padding: '0.9rem', fontSize: '1.2rem', justifyContent: 'center', marginTop: '1rem' }}
-              onClick={launchKiosk}
-            >
-              Continue to Check-In
+          {isStaff && (
+            <button className="btn btn-outline" style={{ width: '100%', justifyContent: 'center', marginTop: '1.5rem' }} onClick={unpairTablet}>
+              Unpair this tablet
             </button>
           )}
         </div>
@@ -202,37 +509,68 @@ export default function KioskPage() {
 
   // ─── Check-In Mode ────────────────────────────────────
 
+  const pinForm = (
+    <form onSubmit={handlePinCheckIn}>
+      <div className="form-group">
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          className="form-control"
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, PIN_LENGTH))}
+          placeholder={'•'.repeat(PIN_LENGTH)}
+          style={{ fontSize: '1.6rem', padding: '0.8rem', textAlign: 'center', letterSpacing: '0.5rem' }}
+          autoFocus
+        />
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem', marginBottom: '1rem' }}>
+        {KEYPAD.map((key) => (
+          <button
+            key={key}
+            type="button"
+            className="btn btn-outline"
+            style={{ justifyContent: 'center', padding: '0.9rem', fontSize: key.length === 1 ? '1.4rem' : '1rem' }}
+            onClick={() => pressKey(key)}
+          >
+            {key === 'clear' ? 'Clear' : key === 'back' ? '⌫' : key}
+          </button>
+        ))}
+      </div>
+      <button type="submit" className="btn btn-success" style={bigButton}>
+        {submitLabel}
+      </button>
+    </form>
+  );
+
   return (
-    <div style={{
-      minHeight: '100vh',
-      display: 'flex',
-      flexDirection: 'column',
-      justifyContent: 'center',
-      alignItems: 'center',
-      background: 'var(--color-primary)',
-      padding: '2rem',
-    }}>
-      <div style={{
-        background: 'white',
-        borderRadius: '16px',
-        padding: '3rem',
-        width: '100%',
-        maxWidth: '500px',
-        textAlign: 'center',
-        boxShadow: 'var(--shadow-lg)',
-      }}>
+    <div style={screenStyle}>
+      <div style={{ ...panelStyle('500px'), textAlign: 'center' }}>
         <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>🥋</h1>
-        <h2 style={{ fontSize: '1.5rem', marginBottom: '0.25rem' }}>FlowApp Check-In</h2>
+        <h2 style={{ fontSize: '1.5rem', marginBottom: '0.25rem' }}>{device.school.name} Check-In</h2>
 
         {selectedSessionData && (
           <p style={{ fontWeight: '600', fontSize: '1.2rem', marginBottom: '0.5rem', color: 'var(--color-accent)' }}>
             {selectedSessionData.class.name} — {selectedSessionData.startTime}
           </p>
         )}
+        {selectedSessionData?.roster && (
+          <p style={{ color: 'var(--color-text-light)', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+            {selectedSessionData.roster.filter((r) => r.status === 'CHECKED_IN').length} checked in
+            {' · '}{selectedSessionData.roster.filter((r) => r.status === 'RESERVED').length} booked
+            {offline && ' (as of last sync)'}
+          </p>
+        )}
 
-        <p style={{ color: 'var(--color-text-light)', marginBottom: '1.5rem' }}>
-          {checkInMethod === 'email' ? 'Enter your email to check in' : 'Enter your email (or scan QR with a reader)'}
-        </p>
+        {offlineBanner}
+
+        {!family && (
+          <p style={{ color: 'var(--color-text-light)', marginBottom: '1.5rem' }}>
+            {familyMode && 'Parents & guardians: '}
+            {leaving && 'Leaving? '}
+            {checkInMethod === 'card' ? 'Scan your member card' : 'Enter your member PIN'}
+          </p>
+        )}
 
         {message.text && (
           <div className={`alert alert-${message.type}`} style={{ fontSize: '1.1rem' }}>
@@ -240,69 +578,90 @@ export default function KioskPage() {
           </div>
         )}
 
-        {checkInMethod === 'email' ? (
-          <form onSubmit={handleEmailCheckIn}>
+        {family && (
+          <KioskFamilyCheckIn
+            family={family}
+            defaultSessionId={selectedSession}
+            creditNote={creditNote}
+            onDone={endFamilyCheckIn}
+          />
+        )}
+
+        {!family && checkInMethod === 'card' && (
+          <form onSubmit={handleCardCheckIn}>
             <div className="form-group">
               <input
-                type="email"
                 className="form-control"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="your.email@example.com"
+                value={cardCode}
+                onChange={(e) => setCardCode(e.target.value)}
+                placeholder="Scan card..."
+                autoComplete="off"
                 style={{ fontSize: '1.2rem', padding: '0.8rem', textAlign: 'center' }}
-                required
                 autoFocus
               />
             </div>
-            <button
-              type="submit"
-              className="btn btn-success"
-              style={{ width: '100%', padding: '0.9rem', fontSize: '1.2rem', justifyContent: 'center' }}
-            >
-              ✅ Check In
+            <button type="submit" className="btn btn-success" style={bigButton}>
+              {submitLabel}
             </button>
           </form>
-        ) : (
-          <form onSubmit={handleQrCheckIn}>
-            {/* Display session QR code for students to scan */}
-            {selectedSessionData && (
-              <div style={{ marginBottom: '1.5rem' }}>
-                <p style={{ fontWeight: '600', marginBottom: '0.75rem' }}>Session QR Code</p>
-                <div style={{ display: 'inline-block', padding: '1rem', background: 'white', borderRadius: '8px', border: '2px solid var(--color-border)' }}>
-                  <QRCodeSVG value={selectedSessionData.qrCode || selectedSessionData.id} size={200} />
-                </div>
+        )}
+
+        {!family && (checkInMethod === 'pin' || (identifying && checkInMethod === 'qr')) && pinForm}
+
+        {!family && !identifying && checkInMethod === 'qr' && (
+          <>
+            {/* Logged-in students scan the session QR code with their phone */}
+            {offline ? (
+              <p style={{ color: 'var(--color-text-light)', marginBottom: '1rem' }}>
+                The QR code needs a connection — please use your PIN for now.
+              </p>
+            ) : (
+            <div style={{ marginBottom: '1.5rem' }}>
+              <p style={{ fontWeight: '600', marginBottom: '0.75rem' }}>Session QR Code</p>
+              <div style={{ display: 'inline-block', padding: '1rem', background: 'white', borderRadius: '8px', border: '2px solid var(--color-border)' }}>
+                {qrToken ? (
+                  <QRCodeSVG value={qrToken} size={200} />
+                ) : (
+                  <div style={{ width: 200, height: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', color: 'var(--color-text-light)' }}>
+                    Loading code...
+                  </div>
+                )}
               </div>
+              <p style={{ color: 'var(--color-text-light)', fontSize: '0.8rem', marginTop: '0.5rem' }}>
+                The code changes every few seconds — scan it while you&apos;re here
+              </p>
+            </div>
             )}
-
             <p style={{ color: 'var(--color-text-light)', fontSize: '0.9rem', marginBottom: '1rem' }}>
-              — or enter your email below —
+              — or enter your PIN below —
             </p>
-            <div className="form-group">
-              <input
-                type="email"
-                className="form-control"
-                value={qrValue}
-                onChange={(e) => setQrValue(e.target.value)}
-                placeholder="your.email@example.com"
-                style={{ fontSize: '1.2rem', padding: '0.8rem', textAlign: 'center' }}
-                required
-                autoFocus
-              />
-            </div>
-            <button
-              type="submit"
-              className="btn btn-success"
-              style={{ width: '100%', padding: '0.9rem', fontSize: '1.2rem', justifyContent: 'center' }}
-            >
-              ✅ Check In
-            </button>
-          </form>
+            {pinForm}
+          </>
+        )}
+
+        {!family && !offline && (
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+            {identifying ? (
+              <button className="btn btn-outline" style={{ flex: 1, justifyContent: 'center' }} onClick={() => switchTo({})}>
+                ← Back to check-in
+              </button>
+            ) : (
+              <>
+                <button className="btn btn-outline" style={{ flex: 1, justifyContent: 'center' }} onClick={() => switchTo({ leaving: true })}>
+                  👋 Leaving? Check out
+                </button>
+                <button className="btn btn-outline" style={{ flex: 1, justifyContent: 'center' }} onClick={() => switchTo({ family: true })}>
+                  👨‍👩‍👧 Family check-in &amp; pickup
+                </button>
+              </>
+            )}
+          </div>
         )}
 
         <button
           className="btn btn-outline"
           style={{ marginTop: '1.5rem', width: '100%', justifyContent: 'center' }}
-          onClick={() => setMode('setup')}
+          onClick={backToSetup}
         >
           ← Back to Setup
         </button>
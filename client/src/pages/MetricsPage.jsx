@@ -99,6 +99,7 @@ function SchoolMetrics() {
   const { user, isOwner } = useAuth();
   const [schools, setSchools] = useState([]);
   const [selectedSchoolId, setSelectedSchoolId] = useState('');
+  const [fullOnly, setFullOnly] = useState(false);
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -123,11 +124,12 @@ function SchoolMetrics() {
     init();
   }, []);
 
-  const handleSchoolChange = async (schoolId) => {
+  const loadSchool = async (schoolId, full) => {
     setSelectedSchoolId(schoolId);
+    setFullOnly(full);
     setLoading(true);
     try {
-      const metrics = await metricsApi.getSchool(schoolId);
+      const metrics = await metricsApi.getSchool(schoolId, full ? { fullOnly: true } : {});
       setData(metrics);
     } catch (err) {
       setError(err.message);
@@ -148,7 +150,7 @@ function SchoolMetrics() {
             className="form-control"
             style={{ width: 'auto' }}
             value={selectedSchoolId}
-            onChange={(e) => handleSchoolChange(e.target.value)}
+            onChange={(e) => loadSchool(e.target.value, fullOnly)}
           >
             {schools.map((s) => (
               <option key={s.id} value={s.id}>{s.name}</option>
@@ -157,6 +159,11 @@ function SchoolMetrics() {
         )}
       </div>
 
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+        <input type="checkbox" checked={fullOnly} onChange={(e) => loadSchool(selectedSchoolId, e.target.checked)} />
+        Count full attendances only
+      </label>
+
       {data && (
         <>
           <div className="stats-grid">
@@ -5,6 +5,9 @@ import { notificationApi, schoolApi } from '../api/client';
 const NOTIFICATION_TYPES = [
   'WELCOME','BIRTHDAY','MISSED_CLASS','PAYMENT_REMINDER','PAYMENT_RECEIPT',
   'CLASS_CHANGE','CLASS_CANCELLED','PROMOTION','TEST_SCHEDULED','INVOICE_CREATED','GENERAL',
+  'SUBSCRIPTION_RESUMING',
+  'RESERVATION_CONFIRMED','RESERVATION_WAITLISTED','RESERVATION_PROMOTED','RESERVATION_CANCELLED','RESERVATION_NO_SHOW',
+  'SUBSTITUTE_REQUESTED','SUBSTITUTE_ACCEPTED','SUBSTITUTE_DECLINED',
 ];
 const CHANNELS = ['EMAIL', 'SMS', 'IN_APP'];
 
@@ -34,14 +34,20 @@ export default function PayrollPage() {
 
   const handleCreate = async (e) => {
     e.preventDefault();
-    await payrollApi.create(schoolId, {
-      instructorId: form.instructorId,
-      sessionId: form.sessionId || undefined,
-      date: new Date(form.date).toISOString(),
-      hoursWorked: Number(form.hoursWorked),
-      hourlyRate: Number(form.hourlyRate),
-      notes: form.notes || undefined,
-    });
+    try {
+      // With a session, the server fills in who taught it (substitutes included), the hours and the date
+      await payrollApi.create(schoolId, {
+        instructorId: form.instructorId || undefined,
+        sessionId: form.sessionId || undefined,
+        date: form.date ? new Date(form.date).toISOString() : undefined,
+        hoursWorked: form.hoursWorked ? Number(form.hoursWorked) : undefined,
+        hourlyRate: Number(form.hourlyRate),
+        notes: form.notes || undefined,
+      });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
     setShowForm(false);
     setForm({ instructorId: '', sessionId: '', date: '', hoursWorked: '', hourlyRate: '', notes: '' });
     loadEntries();
@@ -99,10 +105,10 @@ export default function PayrollPage() {
         <form onSubmit={handleCreate} className="card" style={{ padding: '1rem', marginBottom: '1rem' }}>
           <h3>New Payroll Entry</h3>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.5rem' }}>
-            <input className="form-input" placeholder="Instructor User ID *" required value={form.instructorId} onChange={(e) => setForm({ ...form, instructorId: e.target.value })} />
+            <input className="form-input" placeholder={form.sessionId ? 'Instructor User ID (blank = who taught it)' : 'Instructor User ID *'} required={!form.sessionId} value={form.instructorId} onChange={(e) => setForm({ ...form, instructorId: e.target.value })} />
             <input className="form-input" placeholder="Session ID (optional)" value={form.sessionId} onChange={(e) => setForm({ ...form, sessionId: e.target.value })} />
-            <input className="form-input" type="date" required value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
-            <input className="form-input" type="number" step="0.25" placeholder="Hours *" required value={form.hoursWorked} onChange={(e) => setForm({ ...form, hoursWorked: e.target.value })} />
+            <input className="form-input" type="date" required={!form.sessionId} value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+            <input className="form-input" type="number" step="0.25" placeholder={form.sessionId ? 'Hours (from session)' : 'Hours *'} required={!form.sessionId} value={form.hoursWorked} onChange={(e) => setForm({ ...form, hoursWorked: e.target.value })} />
             <input className="form-input" type="number" step="0.01" placeholder="Hourly Rate *" required value={form.hourlyRate} onChange={(e) => setForm({ ...form, hourlyRate: e.target.value })} />
           </div>
           <textarea className="form-input" placeholder="Notes" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} style={{ marginTop: '0.5rem' }} />
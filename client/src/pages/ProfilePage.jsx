@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { profileApi } from '../api/client';
 import { displayRole } from '../utils/displayRole';
+import CalendarFeedsCard from '../components/CalendarFeedsCard';
+import KioskMemberCard from '../components/KioskMemberCard';
 
 export default function ProfilePage() {
   const { user } = useAuth();
@@ -184,6 +186,9 @@ export default function ProfilePage() {
               </div>
             </div>
           )}
+
+          <CalendarFeedsCard user={user} />
+          <KioskMemberCard user={user} />
         </>
       ) : (
         /* Edit Form */
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { programApi, userApi } from '../api/client';
+import { programApi, userApi, roomApi } from '../api/client';
+import { saveWithConflictCheck, describeConflicts } from '../utils/conflicts';
 
 const DAYS = [
   { value: 'MON', label: 'Monday' },
@@ -26,12 +27,16 @@ export default function ProgramsPage() {
   const [programs, setPrograms] = useState([]);
   const [curricula, setCurricula] = useState([]);
   const [instructors, setInstructors] = useState([]);
+  const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showScheduleModal, setShowScheduleModal] = useState(false);
   const [selectedProgram, setSelectedProgram] = useState(null);
   const [editingProgram, setEditingProgram] = useState(null);
   const [error, setError] = useState('');
+  const [warning, setWarning] = useState('');
+  const [showRooms, setShowRooms] = useState(false);
+  const [roomForm, setRoomForm] = useState({ name: '', capacity: '' });
   const [form, setForm] = useState({
     name: '',
     programId: '',
@@ -39,6 +44,7 @@ export default function ProgramsPage() {
     capacity: 20,
     description: '',
     instructorId: '',
+    roomId: '',
   });
   const [scheduleForm, setScheduleForm] = useState({
     dayOfWeek: 'MON',
@@ -54,6 +60,7 @@ export default function ProgramsPage() {
     fetchCurricula();
     if (isStaff) {
       userApi.getAll({ role: 'INSTRUCTOR' }).then(setInstructors).catch(() => {});
+      roomApi.getAll().then(setRooms).catch(() => {});
     }
   }, [isStaff]);
 
@@ -84,7 +91,7 @@ export default function ProgramsPage() {
 
   const openCreate = () => {
     setEditingProgram(null);
-    setForm({ name: '', programId: '', skillLevel: 'ALL_LEVELS', capacity: 20, description: '', instructorId: '' });
+    setForm({ name: '', programId: '', skillLevel: 'ALL_LEVELS', capacity: 20, description: '', instructorId: '', roomId: '' });
     setShowModal(true);
   };
 
@@ -97,19 +104,26 @@ export default function ProgramsPage() {
       capacity: prog.capacity,
       description: prog.description || '',
       instructorId: prog.instructorId,
+      roomId: prog.roomId || '',
     });
     setShowModal(true);
   };
 
+  // Time off / availability gaps don't block a save but are worth seeing
+  const showWarnings = (saved) => {
+    const conflicts = saved?.conflicts || [];
+    setWarning(conflicts.length ? describeConflicts(conflicts) : '');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     try {
-      if (editingProgram) {
-        await programApi.update(editingProgram.id, form);
-      } else {
-        await programApi.create(form);
-      }
+      const saved = await saveWithConflictCheck((extra) => (editingProgram
+        ? programApi.update(editingProgram.id, { ...form, ...extra })
+        : programApi.create({ ...form, ...extra })));
+      if (!saved) return;
+      showWarnings(saved);
       setShowModal(false);
       fetchPrograms();
     } catch (err) {
@@ -127,6 +141,30 @@ export default function ProgramsPage() {
     }
   };
 
+  // Rooms / mats — double-bookings are flagged when scheduling
+  const handleAddRoom = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await roomApi.create({ name: roomForm.name, capacity: roomForm.capacity ? parseInt(roomForm.capacity, 10) : null });
+      setRoomForm({ name: '', capacity: '' });
+      setRooms(await roomApi.getAll());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveRoom = async (room) => {
+    if (!window.confirm(`Remove ${room.name}? Programs in it will no longer have a room.`)) return;
+    try {
+      await roomApi.remove(room.id);
+      setRooms(await roomApi.getAll());
+      fetchPrograms();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   // Schedule management
   const openScheduleModal = (prog) => {
     setSelectedProgram(prog);
@@ -156,11 +194,11 @@ export default function ProgramsPage() {
     e.preventDefault();
     setError('');
     try {
-      if (editingSchedule) {
-        await programApi.updateSchedule(selectedProgram.id, editingSchedule.id, scheduleForm);
-      } else {
-        await programApi.addSchedule(selectedProgram.id, scheduleForm);
-      }
+      const saved = await saveWithConflictCheck((extra) => (editingSchedule
+        ? programApi.updateSchedule(selectedProgram.id, editingSchedule.id, { ...scheduleForm, ...extra })
+        : programApi.addSchedule(selectedProgram.id, { ...scheduleForm, ...extra })));
+      if (!saved) return;
+      showWarnings(saved);
       // Refresh program data
       const updatedProgram = await programApi.getById(selectedProgram.id);
       setSelectedProgram(updatedProgram);
@@ -196,14 +234,22 @@ export default function ProgramsPage() {
     <div>
       <div className="page-header">
         <h1>Programs</h1>
-        {isStaff && (
-          <button className="btn btn-primary" onClick={openCreate}>
-            + New Program
-          </button>
-        )}
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {isOwner && (
+            <button className="btn btn-outline" onClick={() => setShowRooms(true)}>
+              📍 Rooms
+            </button>
+          )}
+          {isStaff && (
+            <button className="btn btn-primary" onClick={openCreate}>
+              + New Program
+            </button>
+          )}
+        </div>
       </div>
 
       {error && <div className="alert alert-error">{error}</div>}
+      {warning && <div className="alert alert-warning" style={{ whiteSpace: 'pre-line' }}>{warning}</div>}
 
       <div className="card">
         {programs.length === 0 ? (
@@ -231,7 +277,10 @@ export default function ProgramsPage() {
                     <td>{prog.program?.name || prog.discipline || '—'}</td>
                     <td>{prog.skillLevel.replace('_', ' ')}</td>
                     <td>{prog.capacity}</td>
-                    <td>{prog.instructor?.firstName} {prog.instructor?.lastName}</td>
+                    <td>
+                      {prog.instructor?.firstName} {prog.instructor?.lastName}
+                      {prog.room && <div style={{ fontSize: '0.8rem', color: '#888' }}>📍 {prog.room.name}</div>}
+                    </td>
                     <td>
                       {prog.schedules?.length > 0 ? (
                         prog.schedules.map((s) => (
@@ -348,6 +397,19 @@ export default function ProgramsPage() {
                   </select>
                 </div>
               )}
+              {rooms.length > 0 && (
+                <div className="form-group">
+                  <label>Room / Mat</label>
+                  <select name="roomId" className="form-control" value={form.roomId} onChange={handleChange}>
+                    <option value="">No room</option>
+                    {rooms.map((r) => (
+                      <option key={r.id} value={r.id}>
+                        {r.name}{r.capacity ? ` (${r.capacity})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="form-group">
                 <label>Description</label>
                 <textarea
@@ -513,6 +575,56 @@ export default function ProgramsPage() {
           </div>
         </div>
       )}
+
+      {showRooms && (
+        <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setShowRooms(false); }}>
+          <div className="modal" style={{ maxWidth: '500px' }}>
+            <h2>📍 Rooms &amp; Mats</h2>
+            <p style={{ color: '#666', marginBottom: '1rem' }}>
+              Give programs and events a room and double-bookings are caught when you schedule.
+            </p>
+            {rooms.length === 0 ? (
+              <p style={{ color: '#888' }}>No rooms yet.</p>
+            ) : (
+              <table className="data-table">
+                <tbody>
+                  {rooms.map((r) => (
+                    <tr key={r.id}>
+                      <td><strong>{r.name}</strong></td>
+                      <td>{r.capacity ? `${r.capacity} people` : '—'}</td>
+                      <td style={{ textAlign: 'right' }}>
+                        <button className="btn btn-danger btn-sm" onClick={() => handleRemoveRoom(r)}>Remove</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <form onSubmit={handleAddRoom} style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+              <input
+                className="form-control"
+                placeholder="e.g. Main mat"
+                value={roomForm.name}
+                onChange={(e) => setRoomForm({ ...roomForm, name: e.target.value })}
+                required
+              />
+              <input
+                type="number"
+                className="form-control"
+                placeholder="Capacity"
+                min={1}
+                style={{ maxWidth: '110px' }}
+                value={roomForm.capacity}
+                onChange={(e) => setRoomForm({ ...roomForm, capacity: e.target.value })}
+              />
+              <button type="submit" className="btn btn-primary">Add</button>
+            </form>
+            <div style={{ marginTop: '1.5rem' }}>
+              <button className="btn btn-outline" onClick={() => setShowRooms(false)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,12 +1,15 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { promotionApi, schoolApi, enrollmentApi } from '../api/client';
+import { promotionApi, schoolApi, enrollmentApi, certificateApi } from '../api/client';
 import { displayRole } from '../utils/displayRole';
 import BatchBeltTest from '../components/BatchBeltTest';
 
-const STAFF_TABS = ['Programs', 'Belts & Requirements', 'Enrollments', 'Student Progress', 'Tests', 'Essays'];
+const STAFF_TABS = ['Programs', 'Belts & Requirements', 'Enrollments', 'Eligibility', 'Student Progress', 'Tests', 'Essays'];
 const STUDENT_TABS = ['My Progress', 'My Essays'];
 
+// Worked out by the server from check-ins, promotions and dates of birth
+const AUTOMATIC_TYPES = ['MIN_ATTENDANCE', 'TIME_IN_RANK', 'MIN_AGE'];
+
 export default function PromotionsPage() {
   const { user, isSuperAdmin, isOwner, isInstructor, isStudent } = useAuth();
   const [activeTab, setActiveTab] = useState(isStudent ? 'My Progress' : 'Programs');
@@ -71,6 +74,7 @@ export default function PromotionsPage() {
         {activeTab === 'Programs' && <ProgramsTab schoolId={selectedSchoolId} />}
         {activeTab === 'Belts & Requirements' && <BeltsTab schoolId={selectedSchoolId} />}
         {activeTab === 'Enrollments' && <EnrollmentsTab schoolId={selectedSchoolId} />}
+        {activeTab === 'Eligibility' && <EligibilityTab schoolId={selectedSchoolId} />}
         {activeTab === 'Student Progress' && <ProgressTab schoolId={selectedSchoolId} />}
         {activeTab === 'Tests' && <TestsTab schoolId={selectedSchoolId} />}
         {activeTab === 'Essays' && <EssaysTab schoolId={selectedSchoolId} />}
@@ -230,7 +234,7 @@ function BeltsTab({ schoolId }) {
   const [editBelt, setEditBelt] = useState(null);
   const [selectedBeltForReq, setSelectedBeltForReq] = useState(null);
   const [beltForm, setBeltForm] = useState({ name: '', displayOrder: '', color: '#ffffff', description: '' });
-  const [reqForm, setReqForm] = useState({ type: 'MIN_ATTENDANCE', description: '', value: '', isRequired: true });
+  const [reqForm, setReqForm] = useState({ type: 'MIN_ATTENDANCE', description: '', value: '', isRequired: true, fullAttendanceOnly: false });
 
   const fetchPrograms = useCallback(() => {
     setLoading(true);
@@ -327,7 +331,7 @@ function BeltsTab({ schoolId }) {
                     <>
                       <button className="btn btn-sm btn-outline" onClick={() => {
                         setSelectedBeltForReq(belt);
-                        setReqForm({ type: 'MIN_ATTENDANCE', description: '', value: '', isRequired: true });
+                        setReqForm({ type: 'MIN_ATTENDANCE', description: '', value: '', isRequired: true, fullAttendanceOnly: false });
                         setShowReqModal(true);
                       }}>+ Requirement</button>
                       <button className="btn btn-sm btn-outline" onClick={() => {
@@ -351,7 +355,7 @@ function BeltsTab({ schoolId }) {
                         <tr key={r.id}>
                           <td><span className="badge">{r.type.replace(/_/g, ' ')}</span></td>
                           <td>{r.description}</td>
-                          <td>{r.value ?? '—'}</td>
+                          <td>{r.value ?? '—'}{r.fullAttendanceOnly && ' (full attendances)'}</td>
                           <td>{r.isRequired ? '✅' : '➖'}</td>
                           {canEdit && <td><button className="btn btn-sm btn-outline" style={{ color: '#e74c3c' }} onClick={() => handleDeleteReq(r.id)}>✕</button></td>}
                         </tr>
@@ -423,6 +427,14 @@ function BeltsTab({ schoolId }) {
               <label>Value (numeric threshold)</label>
               <input className="form-control" type="number" min="0" value={reqForm.value} onChange={e => setReqForm({ ...reqForm, value: e.target.value })} placeholder="e.g. 30" />
             </div>
+            {reqForm.type === 'MIN_ATTENDANCE' && (
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={reqForm.fullAttendanceOnly} onChange={e => setReqForm({ ...reqForm, fullAttendanceOnly: e.target.checked })} />
+                  {' '}Count full attendances only (students who stayed for the class)
+                </label>
+              </div>
+            )}
             <div className="form-group">
               <label>
                 <input type="checkbox" checked={reqForm.isRequired} onChange={e => setReqForm({ ...reqForm, isRequired: e.target.checked })} />
@@ -548,6 +560,136 @@ function EnrollmentsTab({ schoolId }) {
   );
 }
 
+// ─── Eligibility Tab ──────────────────────────────────────
+
+/** What a student still needs for a requirement, in words. */
+function describeMissing(r) {
+  if (r.reason === 'NO_DATE_OF_BIRTH') return 'Date of birth not on file';
+  if (!r.automatic || r.remaining == null) return r.description;
+  switch (r.type) {
+    case 'MIN_ATTENDANCE':
+      return `${r.remaining} more ${r.fullAttendanceOnly ? 'full ' : ''}${r.remaining === 1 ? 'class' : 'classes'}`;
+    case 'TIME_IN_RANK':
+      return `${r.remaining} more ${r.remaining === 1 ? 'month' : 'months'} in rank`;
+    default:
+      return `Must be ${r.value} (now ${r.currentValue})`;
+  }
+}
+
+function EligibilityTab({ schoolId }) {
+  const { isSuperAdmin, isOwner, isInstructor } = useAuth();
+  const canPromote = isSuperAdmin || isOwner || isInstructor;
+  const [report, setReport] = useState(null);
+  const [programs, setPrograms] = useState([]);
+  const [programId, setProgramId] = useState('');
+  const [eligibleOnly, setEligibleOnly] = useState(false);
+  const [error, setError] = useState('');
+  const [issued, setIssued] = useState(null);
+
+  const fetchReport = useCallback(() => {
+    promotionApi.getEligibility(schoolId, programId ? { programId } : undefined)
+      .then(setReport)
+      .catch(err => setError(err.message));
+  }, [schoolId, programId]);
+
+  useEffect(() => { fetchReport(); }, [fetchReport]);
+
+  useEffect(() => {
+    promotionApi.getPrograms({ schoolId })
+      .then(data => setPrograms(data.filter(p => p.hasRankStructure)))
+      .catch(() => { /* the filter is optional */ });
+  }, [schoolId]);
+
+  const handlePromote = async (row) => {
+    if (!window.confirm(`Promote ${row.student.firstName} to ${row.nextBelt.name}?`)) return;
+    try {
+      const promotion = await promotionApi.promoteStudent(row.enrollmentId, { notes: 'Promoted from the eligibility report' });
+      setIssued({ name: row.student.firstName, belt: promotion.toBelt?.name, certificate: promotion.certificate });
+      fetchReport();
+    } catch (err) { setError(err.message); }
+  };
+
+  if (error) return <div className="alert alert-error">{error}</div>;
+  if (!report) return <div className="loading">Loading...</div>;
+
+  const rows = eligibleOnly ? report.students.filter(s => s.eligible) : report.students;
+
+  return (
+    <div>
+      {issued && (
+        <div className="alert alert-success" style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+          <span>
+            🎉 {issued.name} promoted to {issued.belt}.
+            {issued.certificate ? ' Their certificate is ready.' : ' The certificate could not be generated — issue it from Certificates.'}
+          </span>
+          {issued.certificate && (
+            <button className="btn btn-sm btn-outline" onClick={() => certificateApi.download(issued.certificate.id).catch(err => setError(err.message))}>📄 Download Certificate</button>
+          )}
+          <button className="btn btn-sm btn-outline" onClick={() => setIssued(null)}>✕</button>
+        </div>
+      )}
+
+      <div style={{ marginBottom: '1rem', display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+        <strong>{report.summary.eligible} of {report.summary.students} students eligible for promotion</strong>
+        <select className="form-control" style={{ width: 'auto', minWidth: '200px' }} value={programId} onChange={e => setProgramId(e.target.value)}>
+          <option value="">All programs</option>
+          {programs.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <label>
+          <input type="checkbox" checked={eligibleOnly} onChange={e => setEligibleOnly(e.target.checked)} />
+          {' '}Eligible only
+        </label>
+      </div>
+
+      <p style={{ color: '#888', fontSize: '0.9em' }}>
+        Attendance, time in rank and age are counted automatically — after each class, after a promotion, and every night.
+      </p>
+
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr><th>Student</th><th>Program</th><th>Belt</th><th>Still missing</th>{canPromote && <th></th>}</tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.enrollmentId}>
+                <td>{row.student.firstName} {row.student.lastName}</td>
+                <td>{row.program.name}</td>
+                <td>
+                  {row.currentBelt?.name || '—'} → {' '}
+                  <span style={{ display: 'inline-block', width: 12, height: 12, backgroundColor: row.nextBelt.color || '#ccc', borderRadius: 3, marginRight: 4, verticalAlign: 'middle', border: '1px solid #555' }} />
+                  {row.nextBelt.name}
+                </td>
+                <td>
+                  {row.eligible ? <span style={{ color: '#2ecc71', fontWeight: 'bold' }}>✅ Eligible</span>
+                    : row.requirements.length === 0 ? <span style={{ color: '#888' }}>No requirements set</span>
+                    : (
+                      <ul style={{ margin: 0, paddingLeft: '1.2rem' }}>
+                        {row.missing.map(r => <li key={r.id}>{describeMissing(r)}</li>)}
+                      </ul>
+                    )}
+                </td>
+                {canPromote && (
+                  <td>
+                    {row.eligible && (
+                      <button className="btn btn-sm btn-primary" onClick={() => handlePromote(row)}>🎉 Promote</button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr><td colSpan={canPromote ? 5 : 4} style={{ textAlign: 'center', color: '#888' }}>
+                {eligibleOnly ? 'No one is eligible yet.' : 'No students working toward a belt.'}
+              </td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 // ─── Student Progress Tab (Staff view) ────────────────────
 
 function ProgressTab({ schoolId }) {
@@ -558,6 +700,7 @@ function ProgressTab({ schoolId }) {
   const [progress, setProgress] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [issued, setIssued] = useState(null);
 
   const fetchEnrollments = useCallback(() => {
     setLoading(true);
@@ -581,9 +724,9 @@ function ProgressTab({ schoolId }) {
 
   useEffect(() => { fetchProgress(); }, [fetchProgress]);
 
-  const handleUpdateProgress = async (requirementId, currentValue, isComplete) => {
+  const handleUpdateProgress = async (requirementId, update) => {
     try {
-      await promotionApi.updateProgress(selectedEnrollment.id, { requirementId, currentValue, isComplete });
+      await promotionApi.updateProgress(selectedEnrollment.id, { requirementId, ...update });
       fetchProgress();
     } catch (err) { setError(err.message); }
   };
@@ -591,7 +734,8 @@ function ProgressTab({ schoolId }) {
   const handlePromote = async () => {
     if (!window.confirm(`Promote ${progress?.enrollment?.student?.firstName} to ${progress?.nextBelt?.name}?`)) return;
     try {
-      await promotionApi.promoteStudent(selectedEnrollment.id, { notes: 'Promoted via one-click' });
+      const promotion = await promotionApi.promoteStudent(selectedEnrollment.id, { notes: 'Promoted via one-click' });
+      setIssued({ name: progress?.enrollment?.student?.firstName, belt: promotion.toBelt?.name, certificate: promotion.certificate });
       fetchProgress();
       fetchEnrollments();
     } catch (err) { setError(err.message); }
@@ -602,6 +746,19 @@ function ProgressTab({ schoolId }) {
 
   return (
     <div>
+      {issued && (
+        <div className="alert alert-success" style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+          <span>
+            🎉 {issued.name} promoted to {issued.belt}.
+            {issued.certificate ? ' Their certificate is ready.' : ' The certificate could not be generated — issue it from Certificates.'}
+          </span>
+          {issued.certificate && (
+            <button className="btn btn-sm btn-outline" onClick={() => certificateApi.download(issued.certificate.id).catch(err => setError(err.message))}>📄 Download Certificate</button>
+          )}
+          <button className="btn btn-sm btn-outline" onClick={() => setIssued(null)}>✕</button>
+        </div>
+      )}
+
       {/* Student selector */}
       <div style={{ marginBottom: '1rem', display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
         <label><strong>Student:</strong></label>
@@ -680,7 +837,14 @@ function ProgressTab({ schoolId }) {
                         <td>{r.isComplete ? '✅' : '⬜'}</td>
                         {canPromote && (
                           <td>
-                            {r.type !== 'ESSAY' ? (
+                            {AUTOMATIC_TYPES.includes(r.type) ? (
+                              <div style={{ display: 'flex', gap: '0.25rem', alignItems: 'center' }}>
+                                <span style={{ color: '#888', fontSize: '0.85em' }}>Automatic</span>
+                                {!r.isComplete && (
+                                  <button className="btn btn-sm btn-outline" onClick={() => handleUpdateProgress(r.id, { isComplete: true })} title="Sign off">✓</button>
+                                )}
+                              </div>
+                            ) : r.type !== 'ESSAY' ? (
                               <div style={{ display: 'flex', gap: '0.25rem' }}>
                                 <input
                                   type="number"
@@ -691,10 +855,10 @@ function ProgressTab({ schoolId }) {
                                   onBlur={e => {
                                     const val = parseFloat(e.target.value);
                                     const complete = r.value ? val >= r.value : false;
-                                    handleUpdateProgress(r.id, val, complete);
+                                    handleUpdateProgress(r.id, { currentValue: val, isComplete: complete });
                                   }}
                                 />
-                                <button className="btn btn-sm btn-outline" onClick={() => handleUpdateProgress(r.id, r.value || r.currentValue, true)} title="Mark complete">✓</button>
+                                <button className="btn btn-sm btn-outline" onClick={() => handleUpdateProgress(r.id, { currentValue: r.value || r.currentValue, isComplete: true })} title="Mark complete">✓</button>
                               </div>
                             ) : (
                               <span style={{ color: '#888', fontSize: '0.85em' }}>See Essays tab</span>
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { publicApi } from '../api/client';
+
+export default function PublicVerifyCertificatePage() {
+  const { code: routeCode } = useParams();
+  const navigate = useNavigate();
+  const [code, setCode] = useState(routeCode || '');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!routeCode) return;
+    setCode(routeCode);
+    setLoading(true);
+    setError('');
+    setResult(null);
+    publicApi.verifyCertificate(routeCode)
+      .then(setResult)
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, [routeCode]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) navigate(`/public/verify/${encodeURIComponent(code.trim())}`);
+  };
+
+  const valid = result?.status === 'VALID';
+
+  return (
+    <div style={{ maxWidth: '640px', margin: '0 auto', padding: '2rem 1rem' }}>
+      <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+        <h1 style={{ fontSize: '2.2rem', margin: 0 }}>🏅 Verify a Certificate</h1>
+        <p style={{ color: '#666', fontSize: '1.05rem' }}>Enter the code printed on a rank certificate, or scan its QR code.</p>
+      </div>
+
+      <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
+        <input className="form-input" placeholder="XXXX-XXXX-XXXX" value={code} onChange={(e) => setCode(e.target.value)} style={{ flex: 1, fontFamily: 'monospace', letterSpacing: '2px', textTransform: 'uppercase' }} />
+        <button type="submit" className="btn btn-primary" disabled={!code.trim() || loading}>Verify</button>
+      </form>
+
+      {loading && <p style={{ textAlign: 'center', color: '#666' }}>Checking…</p>}
+      {error && <div className="error-message">{error}</div>}
+
+      {result && (
+        <div className="card" style={{ padding: '1.5rem', borderTop: `6px solid ${valid ? '#27ae60' : '#e74c3c'}` }}>
+          <div style={{ fontSize: '1.3rem', fontWeight: 700, color: valid ? '#27ae60' : '#e74c3c', marginBottom: '1rem' }}>
+            {valid ? '✅ Valid certificate' : '⛔ This certificate has been revoked'}
+          </div>
+          <table style={{ width: '100%', fontSize: '0.95rem' }}>
+            <tbody>
+              <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Holder</td><td><strong>{result.holder}</strong></td></tr>
+              <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Rank</td><td><strong>{result.belt}</strong></td></tr>
+              <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Program</td><td>{result.program}</td></tr>
+              <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>School</td><td>{result.school}</td></tr>
+              {result.instructor && <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Awarded by</td><td>{result.instructor}</td></tr>}
+              <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Issued</td><td>{new Date(result.issuedDate).toLocaleDateString()}</td></tr>
+              {result.revokedAt && <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Revoked</td><td>{new Date(result.revokedAt).toLocaleDateString()}</td></tr>}
+              <tr><td style={{ color: '#666', padding: '0.25rem 0' }}>Code</td><td style={{ fontFamily: 'monospace' }}>{result.verificationCode}</td></tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
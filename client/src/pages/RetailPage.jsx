@@ -5,6 +5,7 @@ import { useAuth } from '../context/AuthContext';
 export default function RetailPage() {
   const { user } = useAuth();
   const isStaff = user && !['STUDENT'].includes(user.role);
+  const canRefund = user && ['SUPER_ADMIN', 'OWNER'].includes(user.role);
   const [schools, setSchools] = useState([]);
   const [schoolId, setSchoolId] = useState('');
   const [tab, setTab] = useState('PRODUCTS');
@@ -74,6 +75,17 @@ export default function RetailPage() {
     loadOrders();
   };
 
+  const handleRefund = async (order) => {
+    const input = prompt(`Refund amount for ${order.orderNumber} (max ${fmt(order.totalAmount)}):`, Number(order.totalAmount).toFixed(2));
+    if (input === null) return;
+    try {
+      await retailApi.refundOrder(order.id, { amount: parseFloat(input) });
+      loadOrders();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   const fmt = (n) => '$' + Number(n).toFixed(2);
 
   return (
@@ -173,7 +185,12 @@ export default function RetailPage() {
                     {['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'].map((s) => <option key={s} value={s}>{s}</option>)}
                   </select>
                 </td>
-                <td>{new Date(o.createdAt).toLocaleDateString()}</td>
+                <td>
+                  {new Date(o.createdAt).toLocaleDateString()}
+                  {canRefund && ['PAID', 'SHIPPED', 'DELIVERED'].includes(o.status) && (
+                    <button className="btn btn-outline btn-sm" style={{ marginLeft: '0.5rem' }} onClick={() => handleRefund(o)}>Refund</button>
+                  )}
+                </td>
               </tr>
             ))}
             {orders.length === 0 && <tr><td colSpan={6} style={{ textAlign: 'center', color: '#888' }}>No orders</td></tr>}
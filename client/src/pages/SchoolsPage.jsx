@@ -3,6 +3,20 @@ import { useAuth } from '../context/AuthContext';
 import { schoolApi, userApi, enrollmentApi } from '../api/client';
 import { displayRole } from '../utils/displayRole';
 
+// Schedules, kiosk "today", due dates and reports all run on the school's clock
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu'];
+
+function TimeZoneSelect({ value, onChange, name = 'timezone' }) {
+  return (
+    <select name={name} className="form-control" value={value || ''} onChange={onChange}>
+      <option value="">Server default</option>
+      {TIME_ZONES.map((tz) => <option key={tz} value={tz}>{tz.replace(/_/g, ' ')}</option>)}
+    </select>
+  );
+}
+
 export default function SchoolsPage() {
   const { isSuperAdmin, isOwner } = useAuth();
   const [schools, setSchools] = useState([]);
@@ -17,7 +31,9 @@ export default function SchoolsPage() {
   const [selectedStudent, setSelectedStudent] = useState('');
   const [form, setForm] = useState({
     name: '', address: '', city: '', state: '', zip: '', phone: '', email: '', ownerId: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
   });
+  const [savingZone, setSavingZone] = useState(false);
 
   useEffect(() => {
     fetchSchools();
@@ -47,7 +63,10 @@ export default function SchoolsPage() {
     try {
       await schoolApi.create(form);
       setShowModal(false);
-      setForm({ name: '', address: '', city: '', state: '', zip: '', phone: '', email: '', ownerId: '' });
+      setForm({
+        name: '', address: '', city: '', state: '', zip: '', phone: '', email: '', ownerId: '',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
       fetchSchools();
     } catch (err) {
       setError(err.message);
@@ -64,6 +83,17 @@ export default function SchoolsPage() {
     }
   };
 
+  const saveTimeZone = async (timezone) => {
+    setSavingZone(true);
+    try {
+      const updated = await schoolApi.update(selectedSchool.id, { timezone });
+      setSelectedSchool({ ...selectedSchool, timezone: updated.timezone });
+    } catch (err) {
+      setError(err.message);
+    }
+    setSavingZone(false);
+  };
+
   const openEnrollModal = async (school) => {
     setSelectedSchool(school);
     try {
@@ -210,6 +240,10 @@ export default function SchoolsPage() {
                 <label>Email</label>
                 <input type="email" name="email" className="form-control" value={form.email} onChange={handleChange} />
               </div>
+              <div className="form-group">
+                <label>Time Zone</label>
+                <TimeZoneSelect value={form.timezone} onChange={handleChange} />
+              </div>
               <div className="modal-actions">
                 <button type="button" className="btn btn-outline" onClick={() => setShowModal(false)}>Cancel</button>
                 <button type="submit" className="btn btn-primary">Create School</button>
@@ -229,6 +263,13 @@ export default function SchoolsPage() {
               {selectedSchool.city && ` · ${selectedSchool.city}, ${selectedSchool.state}`}
             </p>
 
+            {(isSuperAdmin || isOwner) && (
+              <div className="form-group" style={{ marginBottom: '1rem' }}>
+                <label>Time Zone{savingZone && ' (saving...)'}</label>
+                <TimeZoneSelect value={selectedSchool.timezone} onChange={(e) => saveTimeZone(e.target.value)} />
+              </div>
+            )}
+
             <div className="stats-grid" style={{ marginBottom: '1rem' }}>
               <div className="stat-card">
                 <div className="stat-value">{selectedSchool.classes?.length || 0}</div>
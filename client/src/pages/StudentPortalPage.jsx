@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
-import { studentPortalApi } from '../api/client';
+import { studentPortalApi, billingApi, reservationApi } from '../api/client';
 
 const TABS = {
   OVERVIEW: 'Overview',
@@ -184,6 +184,12 @@ function AttendanceTab({ data }) {
 
 function BillingTab({ data }) {
   const { billing } = data;
+  const [downloadError, setDownloadError] = useState('');
+
+  const download = (promise) => {
+    setDownloadError('');
+    promise.catch((err) => setDownloadError(err.message));
+  };
 
   return (
     <div>
@@ -212,10 +218,12 @@ function BillingTab({ data }) {
         </>
       )}
 
+      {downloadError && <div className="alert alert-error">{downloadError}</div>}
+
       {/* Invoices */}
       <h3 style={{ marginTop: '1rem' }}>Invoices</h3>
       <table className="data-table">
-        <thead><tr><th>Date</th><th>Invoice #</th><th>School</th><th>Amount</th><th>Status</th><th>Due</th></tr></thead>
+        <thead><tr><th>Date</th><th>Invoice #</th><th>School</th><th>Amount</th><th>Status</th><th>Due</th><th></th></tr></thead>
         <tbody>
           {billing.invoices.map((inv) => (
             <tr key={inv.id} style={{ background: (inv.status === 'PAST_DUE') ? '#fff5f5' : undefined }}>
@@ -229,17 +237,22 @@ function BillingTab({ data }) {
                   background: inv.status === 'PAID' ? '#38a169' : inv.status === 'PAST_DUE' ? '#e53e3e' : '#dd6b20',
                 }}>{inv.status}</span>
               </td>
-              <td>{inv.dueDate ? new Date(inv.dueDate).toLocaleDateString() : '—'}</td>
+              <td>{inv.dueDate ? new Date(inv.dueDate).toLocaleDateString(undefined, { timeZone: 'UTC' }) : '—'}</td>
+              <td>
+                <button className="btn btn-sm btn-outline" onClick={() => download(billingApi.downloadInvoicePdf(inv.schoolId, inv.id))}>
+                  PDF
+                </button>
+              </td>
             </tr>
           ))}
-          {billing.invoices.length === 0 && <tr><td colSpan="6" style={{ textAlign: 'center', color: '#888' }}>No invoices</td></tr>}
+          {billing.invoices.length === 0 && <tr><td colSpan="7" style={{ textAlign: 'center', color: '#888' }}>No invoices</td></tr>}
         </tbody>
       </table>
 
       {/* Payments */}
       <h3 style={{ marginTop: '1rem' }}>Payment History</h3>
       <table className="data-table">
-        <thead><tr><th>Date</th><th>Amount</th><th>Method</th><th>Invoice</th></tr></thead>
+        <thead><tr><th>Date</th><th>Amount</th><th>Method</th><th>Invoice</th><th></th></tr></thead>
         <tbody>
           {billing.payments.map((pay) => (
             <tr key={pay.id}>
@@ -247,9 +260,16 @@ function BillingTab({ data }) {
               <td>${Number(pay.amount).toFixed(2)}</td>
               <td>{pay.method}</td>
               <td>{pay.invoice?.invoiceNumber || '—'}</td>
+              <td>
+                {pay.invoice && (
+                  <button className="btn btn-sm btn-outline" onClick={() => download(billingApi.downloadReceipt(pay.invoice.schoolId, pay.id))}>
+                    Receipt
+                  </button>
+                )}
+              </td>
             </tr>
           ))}
-          {billing.payments.length === 0 && <tr><td colSpan="4" style={{ textAlign: 'center', color: '#888' }}>No payments yet</td></tr>}
+          {billing.payments.length === 0 && <tr><td colSpan="5" style={{ textAlign: 'center', color: '#888' }}>No payments yet</td></tr>}
         </tbody>
       </table>
     </div>
@@ -353,34 +373,115 @@ function BeltProgressTab({ data }) {
 
 function ScheduleTab() {
   const [sessions, setSessions] = useState([]);
+  const [closures, setClosures] = useState([]);
   const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    studentPortalApi.getSchedule()
-      .then(setSessions)
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(() => {
+    return studentPortalApi.getSchedule()
+      .then((res) => {
+        setSessions(res.data || []);
+        setClosures(res.closures || []);
+      })
       .catch(console.error)
       .finally(() => setLoading(false));
   }, []);
 
+  useEffect(() => { load(); }, [load]);
+
+  const book = async (session) => {
+    setBusyId(session.id);
+    setMessage(null);
+    try {
+      const result = await reservationApi.create(session.id);
+      setMessage({ type: 'success', text: `${session.class?.name}: ${result.message}` });
+      await load();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const cancel = async (session) => {
+    const leaving = session.reservation.status === 'WAITLISTED';
+    if (!window.confirm(leaving ? 'Leave the waitlist for this class?' : 'Cancel your booking for this class?')) return;
+    setBusyId(session.id);
+    setMessage(null);
+    try {
+      await reservationApi.cancel(session.reservation.id);
+      setMessage({ type: 'success', text: leaving ? 'Removed from the waitlist' : 'Booking cancelled' });
+      await load();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const bookingCell = (s) => {
+    if (s.closure || s.status === 'CANCELLED') return '—';
+    const r = s.reservation;
+    const busy = busyId === s.id;
+    if (s.attended || r?.status === 'ATTENDED') return <span className="badge badge-completed">Attended</span>;
+    if (r?.status === 'NO_SHOW') return <span className="badge badge-cancelled">No-show</span>;
+    if (r?.status === 'RESERVED' || r?.status === 'WAITLISTED') {
+      return (
+        <span style={{ display: 'inline-flex', gap: '0.5rem', alignItems: 'center' }}>
+          {r.status === 'RESERVED'
+            ? <span className="badge badge-active">Booked</span>
+            : <span className="badge badge-in-progress">Waitlist #{r.position}</span>}
+          <button className="btn btn-sm btn-outline" disabled={busy} onClick={() => cancel(s)}>
+            {r.status === 'RESERVED' ? 'Cancel' : 'Leave'}
+          </button>
+        </span>
+      );
+    }
+    return (
+      <button className="btn btn-sm btn-primary" disabled={busy} onClick={() => book(s)}>
+        {s.spotsRemaining > 0 ? `Book (${s.spotsRemaining} left)` : 'Join waitlist'}
+      </button>
+    );
+  };
+
   if (loading) return <p>Loading schedule…</p>;
 
+  const fmtDate = (d) => new Date(d).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
   return (
     <div>
+      {closures.length > 0 && (
+        <div className="alert alert-error" style={{ marginBottom: '1rem' }}>
+          <strong>🚫 Upcoming closures</strong>
+          <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+            {closures.map((c) => (
+              <li key={`${c.id}-${c.startDate}`}>
+                {c.name} — {fmtDate(c.startDate)}{c.endDate !== c.startDate && ` – ${fmtDate(c.endDate)}`} ({c.school?.name})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       <h3>Upcoming Classes</h3>
+      {message && <div className={`alert alert-${message.type}`}>{message.text}</div>}
       {sessions.length === 0 ? (
         <p style={{ color: '#888' }}>No upcoming classes scheduled.</p>
       ) : (
         <table className="data-table">
-          <thead><tr><th>Date</th><th>Time</th><th>Class</th><th>School</th><th>Instructor</th><th>Attended</th></tr></thead>
+          <thead><tr><th>Date</th><th>Time</th><th>Class</th><th>School</th><th>Instructor</th><th>Booking</th></tr></thead>
           <tbody>
             {sessions.map((s) => (
-              <tr key={s.id}>
-                <td>{new Date(s.sessionDate).toLocaleDateString()}</td>
+              <tr key={s.id} style={s.closure ? { color: '#999' } : undefined}>
+                <td>{fmtDate(s.sessionDate)}</td>
                 <td>{s.startTime}–{s.endTime}</td>
-                <td>{s.class?.name}</td>
+                <td>
+                  {s.class?.name}
+                  {s.closure && <span className="badge badge-cancelled" style={{ marginLeft: '0.5rem' }}>Closed — {s.closure.name}</span>}
+                </td>
                 <td>{s.class?.school?.name}</td>
                 <td>{s.class?.instructor ? `${s.class.instructor.firstName} ${s.class.instructor.lastName}` : '—'}</td>
-                <td>{s.attended ? '✅' : '—'}</td>
+                <td>{bookingCell(s)}</td>
               </tr>
             ))}
           </tbody>
@@ -0,0 +1,289 @@
+import { useState, useEffect } from 'react';
+import { substitutionApi, sessionApi, userApi } from '../api/client';
+import { saveWithConflictCheck } from '../utils/conflicts';
+import { useAuth } from '../context/AuthContext';
+
+const DAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+const STATUS_BADGE = { OPEN: 'badge-in-progress', ACCEPTED: 'badge-active', DECLINED: 'badge-cancelled', CANCELLED: 'badge-inactive' };
+
+const fmtDate = (d) => new Date(d).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+const fullName = (u) => (u ? `${u.firstName} ${u.lastName}` : '—');
+
+export default function SubstitutionsPage() {
+  const { user, isOwner, isSuperAdmin } = useAuth();
+  const canAssign = isOwner || isSuperAdmin;
+  const [tab, setTab] = useState('REQUESTS');
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [warnings, setWarnings] = useState([]);
+
+  const [requests, setRequests] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [instructors, setInstructors] = useState([]);
+  const [windows, setWindows] = useState([]);
+  const [timeOff, setTimeOff] = useState([]);
+  const [timeOffForm, setTimeOffForm] = useState({ startsAt: '', endsAt: '', reason: '' });
+  const [requestForm, setRequestForm] = useState(null);
+
+  const flash = (type, text) => setMessage({ type, text });
+  const fail = (err) => flash('error', err.message);
+
+  const loadRequests = () => substitutionApi.getRequests(canAssign ? {} : { mine: 'true' }).then(setRequests).catch(fail);
+
+  const loadSessions = () => {
+    const today = new Date().toISOString().split('T')[0];
+    const until = new Date(Date.now() + 28 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    sessionApi.getAll({ from: today, to: until, status: 'SCHEDULED', limit: 200 })
+      .then((all) => {
+        // Instructors see what they're down to teach; owners see everything
+        const mine = all.filter((s) => canAssign || (s.instructor?.id || s.class?.instructor?.id) === user.id);
+        setSessions(mine.sort((a, b) => new Date(a.sessionDate) - new Date(b.sessionDate) || a.startTime.localeCompare(b.startTime)));
+      })
+      .catch(fail);
+  };
+
+  useEffect(() => {
+    loadRequests();
+    loadSessions();
+    userApi.getAll({ role: 'INSTRUCTOR' }).then(setInstructors).catch(() => setInstructors([]));
+    substitutionApi.getAvailability(user.id).then(setWindows).catch(() => setWindows([]));
+    substitutionApi.getTimeOff({ instructorId: user.id }).then(setTimeOff).catch(fail);
+  }, []);
+
+  const respond = async (action, r) => {
+    try {
+      const result = await substitutionApi[action](r.id);
+      flash('success', result.message);
+      setWarnings(result.warnings || []);
+      loadRequests();
+      loadSessions();
+    } catch (err) { fail(err); }
+  };
+
+  const submitRequest = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await substitutionApi.createRequest({
+        sessionId: requestForm.session.id,
+        substituteId: requestForm.substituteId || undefined,
+        reason: requestForm.reason || undefined,
+      });
+      flash('success', result.message);
+      setRequestForm(null);
+      loadRequests();
+    } catch (err) { fail(err); }
+  };
+
+  const assign = async (session, instructorId) => {
+    try {
+      const result = await saveWithConflictCheck((extra) => substitutionApi.setSessionInstructor(session.id, instructorId || null, extra));
+      if (!result) return;
+      flash('success', result.message);
+      setWarnings(result.warnings || []);
+      loadSessions();
+      loadRequests();
+    } catch (err) { fail(err); }
+  };
+
+  const saveAvailability = async () => {
+    try {
+      setWindows(await substitutionApi.setAvailability(user.id, windows.map(({ dayOfWeek, startTime, endTime }) => ({ dayOfWeek, startTime, endTime }))));
+      flash('success', 'Availability saved');
+    } catch (err) { fail(err); }
+  };
+
+  const addTimeOff = async (e) => {
+    e.preventDefault();
+    try {
+      const entry = await substitutionApi.createTimeOff({
+        startsAt: new Date(timeOffForm.startsAt).toISOString(),
+        endsAt: new Date(timeOffForm.endsAt).toISOString(),
+        reason: timeOffForm.reason || undefined,
+      });
+      const n = entry.affectedSessions.length;
+      flash(n ? 'warning' : 'success', n
+        ? `Time off saved — you're down to teach ${n} session${n === 1 ? '' : 's'} then. Request cover from the Sessions tab.`
+        : 'Time off saved');
+      setTimeOffForm({ startsAt: '', endsAt: '', reason: '' });
+      substitutionApi.getTimeOff({ instructorId: user.id }).then(setTimeOff);
+    } catch (err) { fail(err); }
+  };
+
+  const removeTimeOff = async (id) => {
+    try {
+      await substitutionApi.removeTimeOff(id);
+      setTimeOff((prev) => prev.filter((t) => t.id !== id));
+    } catch (err) { fail(err); }
+  };
+
+  const updateWindow = (i, field, value) => setWindows((prev) => prev.map((w, j) => (j === i ? { ...w, [field]: value } : w)));
+
+  const tabs = [['REQUESTS', 'Requests'], ['SESSIONS', 'Sessions'], ['AVAILABILITY', 'My Availability'], ['TIME_OFF', 'My Time Off']];
+
+  return (
+    <div className="page">
+      <h1>🔁 Substitutes</h1>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        {tabs.map(([key, label]) => (
+          <button key={key} className={`btn ${tab === key ? 'btn-primary' : 'btn-outline'}`} onClick={() => setTab(key)}>{label}</button>
+        ))}
+      </div>
+
+      {message.text && <div className={`alert alert-${message.type}`}>{message.text}</div>}
+      {warnings.length > 0 && (
+        <div className="alert alert-warning">
+          <strong>Heads up:</strong>
+          <ul style={{ margin: '0.25rem 0 0 1rem' }}>{warnings.map((w, i) => <li key={i}>{w.message}</li>)}</ul>
+        </div>
+      )}
+
+      {tab === 'REQUESTS' && (
+        <div className="card">
+          <table className="data-table">
+            <thead>
+              <tr><th>Class</th><th>Date</th><th>Instructor</th><th>Asked</th><th>Reason</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>
+              {requests.map((r) => {
+                const forMe = r.status === 'OPEN' && r.originalInstructor?.id !== user.id && (!r.substitute || r.substitute.id === user.id);
+                return (
+                  <tr key={r.id}>
+                    <td>{r.session.class.name}</td>
+                    <td>{fmtDate(r.session.sessionDate)} {r.session.startTime}–{r.session.endTime}</td>
+                    <td>{fullName(r.originalInstructor)}</td>
+                    <td>{r.substitute ? fullName(r.substitute) : 'Anyone at the school'}</td>
+                    <td>{r.reason || '—'}</td>
+                    <td><span className={`badge ${STATUS_BADGE[r.status]}`}>{r.status}</span></td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {forMe && <button className="btn btn-sm btn-primary" onClick={() => respond('accept', r)}>Accept</button>}
+                      {forMe && r.substitute && <button className="btn btn-sm btn-outline" onClick={() => respond('decline', r)}>Decline</button>}
+                      {r.status === 'OPEN' && (r.requestedBy?.id === user.id || canAssign) && (
+                        <button className="btn btn-sm btn-outline" onClick={() => respond('cancel', r)}>Withdraw</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {requests.length === 0 && <tr><td colSpan={7} style={{ textAlign: 'center', color: '#888' }}>No substitute requests</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === 'SESSIONS' && (
+        <div className="card">
+          <p style={{ color: '#666', fontSize: '0.9rem' }}>Upcoming sessions over the next four weeks.</p>
+          <table className="data-table">
+            <thead>
+              <tr><th>Class</th><th>Date</th><th>Teaching</th><th></th></tr>
+            </thead>
+            <tbody>
+              {sessions.map((s) => (
+                <tr key={s.id}>
+                  <td>{s.class?.name}</td>
+                  <td>{fmtDate(s.sessionDate)} {s.startTime}–{s.endTime}</td>
+                  <td>
+                    {canAssign ? (
+                      <select className="form-input" style={{ width: 'auto' }} value={s.instructor?.id || s.class?.instructor?.id || ''} onChange={(e) => assign(s, e.target.value)}>
+                        {s.class?.instructor && <option value={s.class.instructor.id}>{fullName(s.class.instructor)} (regular)</option>}
+                        {instructors.filter((i) => i.id !== s.class?.instructor?.id).map((i) => <option key={i.id} value={i.id}>{fullName(i)}</option>)}
+                      </select>
+                    ) : fullName(s.instructor || s.class?.instructor)}
+                    {s.instructor && <span className="badge badge-scheduled" style={{ marginLeft: '0.5rem' }}>Substitute</span>}
+                  </td>
+                  <td>
+                    <button className="btn btn-sm btn-outline" onClick={() => setRequestForm({ session: s, substituteId: '', reason: '' })}>Request cover</button>
+                  </td>
+                </tr>
+              ))}
+              {sessions.length === 0 && <tr><td colSpan={4} style={{ textAlign: 'center', color: '#888' }}>No upcoming sessions</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === 'AVAILABILITY' && (
+        <div className="card">
+          <p style={{ color: '#666', fontSize: '0.9rem' }}>When you can teach each week. Leave it empty if you're available any time.</p>
+          {windows.map((w, i) => (
+            <div key={i} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center' }}>
+              <select className="form-input" style={{ width: 'auto' }} value={w.dayOfWeek} onChange={(e) => updateWindow(i, 'dayOfWeek', e.target.value)}>
+                {DAYS.map((d) => <option key={d} value={d}>{d}</option>)}
+              </select>
+              <input className="form-input" type="time" style={{ width: 'auto' }} value={w.startTime} onChange={(e) => updateWindow(i, 'startTime', e.target.value)} />
+              <span>to</span>
+              <input className="form-input" type="time" style={{ width: 'auto' }} value={w.endTime} onChange={(e) => updateWindow(i, 'endTime', e.target.value)} />
+              <button className="btn btn-sm btn-outline" onClick={() => setWindows((prev) => prev.filter((_, j) => j !== i))}>Remove</button>
+            </div>
+          ))}
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+            <button className="btn btn-outline" onClick={() => setWindows((prev) => [...prev, { dayOfWeek: 'MON', startTime: '16:00', endTime: '21:00' }])}>+ Add Window</button>
+            <button className="btn btn-primary" onClick={saveAvailability}>Save Availability</button>
+          </div>
+        </div>
+      )}
+
+      {tab === 'TIME_OFF' && (
+        <div className="card">
+          <form onSubmit={addTimeOff} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '1rem' }}>
+            <div className="form-group">
+              <label>From</label>
+              <input className="form-input" type="datetime-local" required value={timeOffForm.startsAt} onChange={(e) => setTimeOffForm({ ...timeOffForm, startsAt: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Until</label>
+              <input className="form-input" type="datetime-local" required value={timeOffForm.endsAt} onChange={(e) => setTimeOffForm({ ...timeOffForm, endsAt: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Reason</label>
+              <input className="form-input" placeholder="Optional" value={timeOffForm.reason} onChange={(e) => setTimeOffForm({ ...timeOffForm, reason: e.target.value })} />
+            </div>
+            <button type="submit" className="btn btn-primary">+ Add Time Off</button>
+          </form>
+          <table className="data-table">
+            <thead><tr><th>From</th><th>Until</th><th>Reason</th><th></th></tr></thead>
+            <tbody>
+              {timeOff.map((t) => (
+                <tr key={t.id}>
+                  <td>{new Date(t.startsAt).toLocaleString()}</td>
+                  <td>{new Date(t.endsAt).toLocaleString()}</td>
+                  <td>{t.reason || '—'}</td>
+                  <td><button className="btn btn-sm btn-outline" onClick={() => removeTimeOff(t.id)}>Remove</button></td>
+                </tr>
+              ))}
+              {timeOff.length === 0 && <tr><td colSpan={4} style={{ textAlign: 'center', color: '#888' }}>No upcoming time off</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {requestForm && (
+        <div className="modal-overlay" onMouseDown={(e) => { if (e.target === e.currentTarget) setRequestForm(null); }}>
+          <div className="modal" style={{ maxWidth: '500px' }}>
+            <h2>🔁 Request Cover</h2>
+            <p style={{ color: '#666', fontSize: '0.9rem' }}>
+              {requestForm.session.class?.name} — {fmtDate(requestForm.session.sessionDate)} {requestForm.session.startTime}
+            </p>
+            <form onSubmit={submitRequest}>
+              <div className="form-group">
+                <label>Ask</label>
+                <select className="form-input" value={requestForm.substituteId} onChange={(e) => setRequestForm({ ...requestForm, substituteId: e.target.value })}>
+                  <option value="">Every instructor at the school</option>
+                  {instructors.filter((i) => i.id !== user.id).map((i) => <option key={i.id} value={i.id}>{fullName(i)}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Reason</label>
+                <input className="form-input" placeholder="Optional" value={requestForm.reason} onChange={(e) => setRequestForm({ ...requestForm, reason: e.target.value })} />
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+                <button type="button" className="btn btn-outline" onClick={() => setRequestForm(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Send Request</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { waiverApi, schoolApi } from '../api/client';
 import { useAuth } from '../context/AuthContext';
 
+const EMPTY_TEMPLATE = { title: '', body: '', isRequired: false };
+
 export default function WaiversPage() {
   const { user } = useAuth();
   const isStudent = user?.role === 'STUDENT';
@@ -12,7 +14,7 @@ export default function WaiversPage() {
   const [waivers, setWaivers] = useState([]);
   const [myWaivers, setMyWaivers] = useState([]);
   const [showTemplateForm, setShowTemplateForm] = useState(false);
-  const [templateForm, setTemplateForm] = useState({ name: '', content: '', requiresSignature: true, expiresInDays: '' });
+  const [templateForm, setTemplateForm] = useState(EMPTY_TEMPLATE);
   const [editTemplateId, setEditTemplateId] = useState(null);
   const [sendForm, setSendForm] = useState({ templateId: '', userId: '' });
   const [showSendForm, setShowSendForm] = useState(false);
@@ -27,14 +29,14 @@ export default function WaiversPage() {
     if (!schoolId) return;
     if (!isStudent) {
       waiverApi.getTemplates(schoolId).then(setTemplates);
-      waiverApi.getWaivers(schoolId).then(setWaivers);
+      waiverApi.getBySchool(schoolId).then(setWaivers);
     }
-    waiverApi.getMyWaivers().then(setMyWaivers);
+    waiverApi.getMine().then(setMyWaivers);
   }, [schoolId]);
 
   const handleSaveTemplate = async (e) => {
     e.preventDefault();
-    const data = { ...templateForm, expiresInDays: templateForm.expiresInDays ? Number(templateForm.expiresInDays) : null };
+    const data = templateForm;
     if (editTemplateId) {
       await waiverApi.updateTemplate(editTemplateId, data);
     } else {
@@ -42,24 +44,24 @@ export default function WaiversPage() {
     }
     setShowTemplateForm(false);
     setEditTemplateId(null);
-    setTemplateForm({ name: '', content: '', requiresSignature: true, expiresInDays: '' });
+    setTemplateForm(EMPTY_TEMPLATE);
     waiverApi.getTemplates(schoolId).then(setTemplates);
   };
 
   const handleSend = async (e) => {
     e.preventDefault();
-    await waiverApi.sendWaiver(schoolId, sendForm);
+    await waiverApi.send({ ...sendForm, schoolId });
     setShowSendForm(false);
     setSendForm({ templateId: '', userId: '' });
-    waiverApi.getWaivers(schoolId).then(setWaivers);
+    waiverApi.getBySchool(schoolId).then(setWaivers);
   };
 
   const handleSign = async () => {
-    await waiverApi.signWaiver(signWaiver.id, { signatureData: signatureInput });
+    await waiverApi.sign(signWaiver.id, { signatureData: signatureInput });
     setSignWaiver(null);
     setSignatureInput('');
-    waiverApi.getMyWaivers().then(setMyWaivers);
-    if (!isStudent) waiverApi.getWaivers(schoolId).then(setWaivers);
+    waiverApi.getMine().then(setMyWaivers);
+    if (!isStudent) waiverApi.getBySchool(schoolId).then(setWaivers);
   };
 
   const statusBadge = (s) => {
@@ -84,15 +86,14 @@ export default function WaiversPage() {
 
       {tab === 'TEMPLATES' && !isStudent && (
         <>
-          <button className="btn btn-primary" style={{ marginBottom: '1rem' }} onClick={() => { setShowTemplateForm(!showTemplateForm); setEditTemplateId(null); setTemplateForm({ name: '', content: '', requiresSignature: true, expiresInDays: '' }); }}>+ New Template</button>
+          <button className="btn btn-primary" style={{ marginBottom: '1rem' }} onClick={() => { setShowTemplateForm(!showTemplateForm); setEditTemplateId(null); setTemplateForm(EMPTY_TEMPLATE); }}>+ New Template</button>
           {showTemplateForm && (
             <form onSubmit={handleSaveTemplate} className="card" style={{ padding: '1rem', marginBottom: '1rem' }}>
               <h3>{editTemplateId ? 'Edit' : 'New'} Template</h3>
-              <input className="form-input" placeholder="Template Name *" required value={templateForm.name} onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })} />
-              <textarea className="form-input" placeholder="Waiver Content (full legal text)" rows={8} required value={templateForm.content} onChange={(e) => setTemplateForm({ ...templateForm, content: e.target.value })} style={{ marginTop: '0.5rem' }} />
+              <input className="form-input" placeholder="Template Name *" required value={templateForm.title} onChange={(e) => setTemplateForm({ ...templateForm, title: e.target.value })} />
+              <textarea className="form-input" placeholder="Waiver Content (full legal text)" rows={8} required value={templateForm.body} onChange={(e) => setTemplateForm({ ...templateForm, body: e.target.value })} style={{ marginTop: '0.5rem' }} />
               <div style={{ display: 'flex', gap: '1rem', marginTop: '0.5rem', alignItems: 'center' }}>
-                <label><input type="checkbox" checked={templateForm.requiresSignature} onChange={(e) => setTemplateForm({ ...templateForm, requiresSignature: e.target.checked })} /> Requires Signature</label>
-                <input className="form-input" type="number" placeholder="Expires in days (optional)" value={templateForm.expiresInDays} onChange={(e) => setTemplateForm({ ...templateForm, expiresInDays: e.target.value })} style={{ width: '200px' }} />
+                <label><input type="checkbox" checked={templateForm.isRequired} onChange={(e) => setTemplateForm({ ...templateForm, isRequired: e.target.checked })} /> Required for check-in</label>
               </div>
               <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
                 <button type="submit" className="btn btn-primary">Save</button>
@@ -101,20 +102,19 @@ export default function WaiversPage() {
             </form>
           )}
           <table className="data-table">
-            <thead><tr><th>Name</th><th>Signature</th><th>Expires</th><th>Actions</th></tr></thead>
+            <thead><tr><th>Name</th><th>Required for check-in</th><th>Actions</th></tr></thead>
             <tbody>
               {templates.map((t) => (
                 <tr key={t.id}>
-                  <td><strong>{t.name}</strong></td>
-                  <td>{t.requiresSignature ? '✅ Yes' : '—'}</td>
-                  <td>{t.expiresInDays ? `${t.expiresInDays} days` : 'Never'}</td>
+                  <td><strong>{t.title}</strong></td>
+                  <td>{t.isRequired ? '✅ Yes' : '—'}</td>
                   <td>
-                    <button className="btn btn-sm btn-outline" onClick={() => { setEditTemplateId(t.id); setTemplateForm({ name: t.name, content: t.content, requiresSignature: t.requiresSignature, expiresInDays: t.expiresInDays || '' }); setShowTemplateForm(true); }}>Edit</button>
+                    <button className="btn btn-sm btn-outline" onClick={() => { setEditTemplateId(t.id); setTemplateForm({ title: t.title, body: t.body, isRequired: t.isRequired }); setShowTemplateForm(true); }}>Edit</button>
                     <button className="btn btn-sm btn-primary" style={{ marginLeft: '0.25rem' }} onClick={() => { setSendForm({ ...sendForm, templateId: t.id }); setShowSendForm(true); }}>Send</button>
                   </td>
                 </tr>
               ))}
-              {templates.length === 0 && <tr><td colSpan={4} style={{ textAlign: 'center', color: '#888' }}>No templates</td></tr>}
+              {templates.length === 0 && <tr><td colSpan={3} style={{ textAlign: 'center', color: '#888' }}>No templates</td></tr>}
             </tbody>
           </table>
           {showSendForm && (
@@ -137,7 +137,7 @@ export default function WaiversPage() {
             {waivers.map((w) => (
               <tr key={w.id}>
                 <td>{w.user?.firstName} {w.user?.lastName}</td>
-                <td>{w.template?.name}</td>
+                <td>{w.template?.title}</td>
                 <td>{statusBadge(w.status)}</td>
                 <td>{w.signedAt ? new Date(w.signedAt).toLocaleDateString() : '—'}</td>
               </tr>
@@ -153,7 +153,7 @@ export default function WaiversPage() {
             <div key={w.id} className="card" style={{ padding: '1rem', marginBottom: '0.75rem' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                 <div>
-                  <h3 style={{ margin: 0 }}>{w.template?.name}</h3>
+                  <h3 style={{ margin: 0 }}>{w.template?.title}</h3>
                   <div style={{ marginTop: '0.25rem' }}>{statusBadge(w.status)}</div>
                 </div>
                 {w.status === 'PENDING' && (
@@ -170,9 +170,9 @@ export default function WaiversPage() {
       {signWaiver && (
         <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }}>
           <div className="card" style={{ padding: '2rem', maxWidth: '600px', width: '90%', maxHeight: '80vh', overflowY: 'auto' }}>
-            <h2>Review & Sign: {signWaiver.template?.name}</h2>
+            <h2>Review & Sign: {signWaiver.template?.title}</h2>
             <div style={{ background: '#f8fafc', padding: '1rem', borderRadius: '8px', marginBottom: '1rem', maxHeight: '300px', overflowY: 'auto', fontSize: '0.9rem' }}>
-              {signWaiver.template?.content}
+              {signWaiver.template?.body}
             </div>
             <label><strong>Type your full name to sign:</strong></label>
             <input className="form-input" placeholder="Full Name" value={signatureInput} onChange={(e) => setSignatureInput(e.target.value)} style={{ marginTop: '0.5rem' }} />
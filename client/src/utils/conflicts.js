@@ -0,0 +1,28 @@
+/**
+ * Scheduling conflicts — the server answers a double-booked save with
+ * 409 { reason: 'SCHEDULE_CONFLICT', conflicts }. Show what clashes and
+ * let the user save anyway.
+ */
+
+export function isConflictError(err) {
+  return err?.status === 409 && err.details?.reason === 'SCHEDULE_CONFLICT';
+}
+
+export function describeConflicts(conflicts = []) {
+  return conflicts.map((c) => `${c.blocking ? '⛔' : '⚠️'} ${c.message}`).join('\n');
+}
+
+/**
+ * Run `save(extra)`; on a conflict ask to override and retry with
+ * { overrideConflicts: true }. Resolves to null if the user backs out.
+ */
+export async function saveWithConflictCheck(save) {
+  try {
+    return await save({});
+  } catch (err) {
+    if (!isConflictError(err)) throw err;
+    const ok = window.confirm(`This clashes with the schedule:\n\n${describeConflicts(err.details.conflicts)}\n\nSave anyway?`);
+    if (!ok) return null;
+    return save({ overrideConflicts: true });
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Offline kiosk — when the dojo Wi-Fi drops, the kiosk keeps working from
+ * a cached copy of today's sessions and rosters and queues check-ins on the
+ * tablet. The queue syncs to POST /checkins/kiosk/batch when the connection
+ * returns; every item carries its own clientId, so re-sending after a
+ * dropped response never checks anyone in twice.
+ *
+ * Queued items hold the PIN or card code until they sync — the server is
+ * the only place that can tell whose it is — but never readably: each is
+ * sealed (AES-GCM) with the kiosk's offline key from GET /kiosk/device. The
+ * key lives in IndexedDB as a non-extractable, encrypt-only CryptoKey, so
+ * nothing on the tablet can turn a queued item back into a PIN.
+ */
+
+const CACHE_KEY = 'flowapp_kiosk_cache';
+const QUEUE_KEY = 'flowapp_kiosk_queue';
+const FAILED_KEY = 'flowapp_kiosk_failed';
+const KEY_DB = 'flowapp_kiosk';
+const KEY_STORE = 'keys';
+const OFFLINE_KEY = 'offline';
+
+/** Results that mean the attendance is on the server — drop them from the queue. */
+const SYNCED = ['CHECKED_IN', 'DUPLICATE'];
+export const SYNC_BATCH_SIZE = 50;
+
+function read(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+const write = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+/** A request that never reached the server (no HTTP status) — treat the kiosk as offline. */
+export function isNetworkError(err) {
+  return !err?.status;
+}
+
+function uuid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = [...b].map((x) => x.toString(16).padStart(2, '0')).join('');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+const toBase64url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+
+// ─── Offline key ─────────────────────────────────────────
+
+/** Run one request against the key store; resolves with its result. */
+function keyStore(mode, fn) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(KEY_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(KEY_STORE, mode);
+      const req = fn(tx.objectStore(KEY_STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    };
+  });
+}
+
+/** Keep the device's offline key (base64url, from GET /kiosk/device) for sealing queued credentials. */
+export async function saveOfflineKey(rawKey) {
+  const key = await crypto.subtle.importKey('raw', fromBase64url(rawKey), 'AES-GCM', false, ['encrypt']);
+  await keyStore('readwrite', (store) => store.put(key, OFFLINE_KEY));
+}
+
+/** Seal a PIN or card code for the queue: { iv, data }, which only the server can open. */
+async function seal(credential) {
+  const key = await keyStore('readonly', (store) => store.get(OFFLINE_KEY));
+  if (!key) throw new Error("This kiosk can't save check-ins offline until it has been online once");
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(credential)));
+  return { iv: toBase64url(iv), data: toBase64url(data) };
+}
+
+// ─── Cache ───────────────────────────────────────────────
+
+export function saveCache(device, sessions) {
+  write(CACHE_KEY, { device, sessions, savedAt: new Date().toISOString() });
+}
+
+/** The last device + sessions seen online, if they're from today (this tablet's day). */
+export function loadCache() {
+  const cache = read(CACHE_KEY, null);
+  if (!cache || new Date(cache.savedAt).toDateString() !== new Date().toDateString()) return null;
+  return cache;
+}
+
+// ─── Queue ───────────────────────────────────────────────
+
+export const getQueue = () => read(QUEUE_KEY, []);
+export const getFailed = () => read(FAILED_KEY, []);
+
+/**
+ * Queue a check-in made while offline, with its PIN or card code sealed.
+ * Rejects when the kiosk has no offline key yet.
+ * @param {string} sessionId
+ * @param {{ pin?: string, cardCode?: string }} credential
+ */
+export async function enqueue(sessionId, credential) {
+  const sealed = await seal(credential);
+  const item = { clientId: uuid(), sessionId, sealed, checkedInAt: new Date().toISOString() };
+  write(QUEUE_KEY, [...getQueue(), item]);
+  return item;
+}
+
+export function clearFailed() {
+  write(FAILED_KEY, []);
+}
+
+/**
+ * Send the queue to the server, oldest first. Synced items leave the queue;
+ * rejected ones move to the failed list for the front desk to sort out;
+ * anything not sent (still offline) stays queued.
+ * @param {(items: Object[]) => Promise<{ results: Object[] }>} sendBatch
+ * @returns {Promise<{ synced: number, failed: number, remaining: number }>}
+ */
+export async function syncQueue(sendBatch) {
+  let synced = 0;
+  let failed = 0;
+
+  for (;;) {
+    const batch = getQueue().slice(0, SYNC_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    let results;
+    try {
+      ({ results } = await sendBatch(batch));
+    } catch (err) {
+      if (isNetworkError(err) || err.status === 429 || err.status >= 500) break; // try again later
+      // The server refused the whole batch — don't retry it forever
+      results = batch.map((item) => ({ clientId: item.clientId, status: 'REJECTED', error: err.message }));
+    }
+
+    const byId = new Map(results.map((r) => [r.clientId, r]));
+    const rejected = [];
+    for (const item of batch) {
+      const result = byId.get(item.clientId);
+      if (!result) continue;
+      if (SYNCED.includes(result.status)) {
+        synced += 1;
+      } else {
+        failed += 1;
+        // Keep what's needed to follow up — not the PIN
+        rejected.push({ clientId: item.clientId, sessionId: item.sessionId, checkedInAt: item.checkedInAt, error: result.error, reason: result.reason });
+      }
+    }
+    const done = new Set([...byId.keys()]);
+    write(QUEUE_KEY, getQueue().filter((item) => !done.has(item.clientId)));
+    if (rejected.length) write(FAILED_KEY, [...getFailed(), ...rejected]);
+    if (done.size === 0) break;
+  }
+
+  return { synced, failed, remaining: getQueue().length };
+}
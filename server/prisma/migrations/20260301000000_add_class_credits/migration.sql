@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "CreditTransactionType" AS ENUM ('CYCLE_RESET', 'CHECK_IN', 'CHECK_IN_REFUND', 'ADJUSTMENT');
+
+-- AlterTable
+ALTER TABLE "subscriptions" ADD COLUMN "credits_remaining" INTEGER;
+
+-- CreateTable
+CREATE TABLE "class_credit_transactions" (
+    "id" TEXT NOT NULL,
+    "subscription_id" TEXT NOT NULL,
+    "check_in_id" TEXT,
+    "type" "CreditTransactionType" NOT NULL,
+    "change" INTEGER NOT NULL,
+    "balance_after" INTEGER NOT NULL,
+    "note" TEXT,
+    "performed_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "class_credit_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "class_credit_transactions_subscription_id_idx" ON "class_credit_transactions"("subscription_id");
+
+-- CreateIndex
+CREATE INDEX "class_credit_transactions_check_in_id_idx" ON "class_credit_transactions"("check_in_id");
+
+-- AddForeignKey
+ALTER TABLE "class_credit_transactions" ADD CONSTRAINT "class_credit_transactions_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "subscriptions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "class_credit_transactions" ADD CONSTRAINT "class_credit_transactions_check_in_id_fkey" FOREIGN KEY ("check_in_id") REFERENCES "check_ins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
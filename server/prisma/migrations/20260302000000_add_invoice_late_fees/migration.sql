@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN "late_fee_amount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "late_fee_applied_at" TIMESTAMP(3),
+ADD COLUMN "late_fee_waived_at" TIMESTAMP(3),
+ADD COLUMN "late_fee_waived_by_id" TEXT;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "WebhookEventStatus" AS ENUM ('PROCESSED', 'IGNORED');
+
+-- AlterTable
+ALTER TABLE "payment_configs" ADD COLUMN "webhook_secret" TEXT;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "payment_ref" TEXT;
+
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL,
+    "gateway" "PaymentGateway" NOT NULL,
+    "event_id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" "WebhookEventStatus" NOT NULL DEFAULT 'PROCESSED',
+    "result" JSONB,
+    "received_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_school_id_idx" ON "webhook_events"("school_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_events_gateway_event_id_key" ON "webhook_events"("gateway", "event_id");
+
+-- AddForeignKey
+ALTER TABLE "webhook_events" ADD CONSTRAINT "webhook_events_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "AdjustmentReason" AS ENUM ('PLAN_CHANGE', 'PAUSE', 'CANCELLATION');
+
+-- AlterTable
+ALTER TABLE "subscriptions" ADD COLUMN "current_period_start" TIMESTAMP(3);
+
+-- Backfill: subscriptions that have been auto-invoiced are one cycle into their current period
+UPDATE "subscriptions" s
+SET "current_period_start" = s."next_invoice_date" - CASE p."billing_cycle"
+        WHEN 'WEEKLY' THEN INTERVAL '7 days'
+        WHEN 'QUARTERLY' THEN INTERVAL '3 months'
+        WHEN 'SEMI_ANNUAL' THEN INTERVAL '6 months'
+        WHEN 'ANNUAL' THEN INTERVAL '1 year'
+        ELSE INTERVAL '1 month'
+    END
+FROM "membership_plans" p
+WHERE p."id" = s."plan_id"
+  AND s."status" = 'ACTIVE'
+  AND s."next_invoice_date" IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM "invoices" i
+    WHERE i."student_id" = s."student_id" AND i."plan_id" = s."plan_id" AND i."school_id" = s."school_id"
+  );
+
+-- CreateTable
+CREATE TABLE "billing_adjustments" (
+    "id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "subscription_id" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" "AdjustmentReason" NOT NULL,
+    "description" TEXT NOT NULL,
+    "invoice_id" TEXT,
+    "applied_at" TIMESTAMP(3),
+    "created_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "billing_adjustments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "billing_adjustments_school_id_student_id_idx" ON "billing_adjustments"("school_id", "student_id");
+
+-- AddForeignKey
+ALTER TABLE "billing_adjustments" ADD CONSTRAINT "billing_adjustments_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_adjustments" ADD CONSTRAINT "billing_adjustments_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_adjustments" ADD CONSTRAINT "billing_adjustments_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "subscriptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_adjustments" ADD CONSTRAINT "billing_adjustments_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
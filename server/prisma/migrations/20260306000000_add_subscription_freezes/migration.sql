@@ -0,0 +1,41 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'SUBSCRIPTION_RESUMING';
+
+-- CreateEnum
+CREATE TYPE "FreezeReason" AS ENUM ('INJURY', 'VACATION', 'MEDICAL', 'FINANCIAL', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "FreezeStatus" AS ENUM ('SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "check_ins" ADD COLUMN "freeze_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "subscription_freezes" (
+    "id" TEXT NOT NULL,
+    "subscription_id" TEXT NOT NULL,
+    "start_date" DATE NOT NULL,
+    "end_date" DATE NOT NULL,
+    "reason" "FreezeReason" NOT NULL,
+    "notes" TEXT,
+    "status" "FreezeStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "reminder_sent_at" TIMESTAMP(3),
+    "resumed_at" TIMESTAMP(3),
+    "created_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subscription_freezes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "subscription_freezes_status_start_date_idx" ON "subscription_freezes"("status", "start_date");
+
+-- CreateIndex
+CREATE INDEX "subscription_freezes_subscription_id_idx" ON "subscription_freezes"("subscription_id");
+
+-- AddForeignKey
+ALTER TABLE "check_ins" ADD CONSTRAINT "check_ins_freeze_id_fkey" FOREIGN KEY ("freeze_id") REFERENCES "subscription_freezes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "subscription_freezes" ADD CONSTRAINT "subscription_freezes_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "subscriptions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
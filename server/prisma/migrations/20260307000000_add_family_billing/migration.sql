@@ -0,0 +1,59 @@
+-- AlterTable
+ALTER TABLE "families" ADD COLUMN "consolidated_billing" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "payment_configs" ADD COLUMN "sibling_discounts" DOUBLE PRECISION[] DEFAULT ARRAY[]::DOUBLE PRECISION[];
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN "family_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "invoice_lines" (
+    "id" TEXT NOT NULL,
+    "invoice_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "subscription_id" TEXT,
+    "description" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "discount_percent" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "discount_amount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+
+    CONSTRAINT "invoice_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payment_allocations" (
+    "id" TEXT NOT NULL,
+    "payment_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "payment_allocations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "invoices_family_id_idx" ON "invoices"("family_id");
+
+-- CreateIndex
+CREATE INDEX "invoice_lines_invoice_id_idx" ON "invoice_lines"("invoice_id");
+
+-- CreateIndex
+CREATE INDEX "payment_allocations_payment_id_idx" ON "payment_allocations"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "payment_allocations_student_id_idx" ON "payment_allocations"("student_id");
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_family_id_fkey" FOREIGN KEY ("family_id") REFERENCES "families"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_lines" ADD CONSTRAINT "invoice_lines_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_lines" ADD CONSTRAINT "invoice_lines_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_allocations" ADD CONSTRAINT "payment_allocations_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_allocations" ADD CONSTRAINT "payment_allocations_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
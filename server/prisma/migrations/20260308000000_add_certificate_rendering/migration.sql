@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "certificates" ADD COLUMN "instructor_name" TEXT,
+ADD COLUMN "pdf_data" BYTEA;
+
+-- CreateIndex
+CREATE INDEX "certificates_promotion_id_idx" ON "certificates"("promotion_id");
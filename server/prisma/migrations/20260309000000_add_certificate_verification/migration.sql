@@ -0,0 +1,25 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'CERTIFICATE_REVOKED';
+
+-- AlterTable
+ALTER TABLE "certificates" ADD COLUMN "verification_code" TEXT,
+ADD COLUMN "revoked_at" TIMESTAMP(3),
+ADD COLUMN "revoked_by_id" TEXT,
+ADD COLUMN "revoke_reason" TEXT;
+
+-- Backfill codes for existing certificates and drop their stored PDFs so
+-- they are re-rendered with the code and QR on next download
+UPDATE "certificates"
+SET "verification_code" = upper(
+      substr(md5(random()::text || clock_timestamp()::text || "id"), 1, 4) || '-' ||
+      substr(md5(random()::text || clock_timestamp()::text || "id"), 1, 4) || '-' ||
+      substr(md5(random()::text || clock_timestamp()::text || "id"), 1, 4)),
+    "pdf_data" = NULL;
+
+ALTER TABLE "certificates" ALTER COLUMN "verification_code" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "certificates_verification_code_key" ON "certificates"("verification_code");
+
+-- AddForeignKey
+ALTER TABLE "certificates" ADD CONSTRAINT "certificates_revoked_by_id_fkey" FOREIGN KEY ("revoked_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
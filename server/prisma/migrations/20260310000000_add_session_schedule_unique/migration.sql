@@ -0,0 +1,69 @@
+-- Merge duplicate generated sessions (same schedule, same day) so the unique
+-- index can be created. The copy with check-ins — else the oldest — survives,
+-- and the others' check-ins and payroll entries move onto it
+CREATE TEMP TABLE "session_merge" AS
+SELECT s."id", FIRST_VALUE(s."id") OVER (
+    PARTITION BY s."schedule_id", s."session_date"
+    ORDER BY EXISTS (SELECT 1 FROM "check_ins" c WHERE c."session_id" = s."id") DESC, s."created_at", s."id"
+  ) AS "keep_id"
+FROM "class_sessions" s
+WHERE s."schedule_id" IS NOT NULL;
+
+DELETE FROM "session_merge" WHERE "id" = "keep_id";
+
+-- A student checked in to more than one copy keeps their earliest check-in;
+-- a class credit the others took (and that wasn't given back) is refunded
+CREATE TEMP TABLE "check_in_merge" AS
+SELECT c."id", FIRST_VALUE(c."id") OVER (
+    PARTITION BY COALESCE(m."keep_id", c."session_id"), c."student_id"
+    ORDER BY c."checked_in_at", c."id"
+  ) AS "keep_id"
+FROM "check_ins" c
+LEFT JOIN "session_merge" m ON m."id" = c."session_id"
+WHERE c."session_id" IN (SELECT "id" FROM "session_merge")
+   OR c."session_id" IN (SELECT "keep_id" FROM "session_merge");
+
+DELETE FROM "check_in_merge" WHERE "id" = "keep_id";
+
+CREATE TEMP TABLE "credit_refund" AS
+SELECT t."subscription_id", t."check_in_id",
+  s."credits_remaining" + ROW_NUMBER() OVER (PARTITION BY t."subscription_id" ORDER BY t."created_at", t."id") AS "balance_after"
+FROM "class_credit_transactions" t
+JOIN "subscriptions" s ON s."id" = t."subscription_id"
+WHERE t."type" = 'CHECK_IN'
+  AND t."check_in_id" IN (SELECT "id" FROM "check_in_merge")
+  AND s."credits_remaining" IS NOT NULL -- unlimited now, nothing to give back
+  AND NOT EXISTS (
+    SELECT 1 FROM "class_credit_transactions" r
+    WHERE r."check_in_id" = t."check_in_id" AND r."type" = 'CHECK_IN_REFUND'
+  );
+
+INSERT INTO "class_credit_transactions" ("id", "subscription_id", "check_in_id", "type", "change", "balance_after", "note")
+SELECT gen_random_uuid()::text, "subscription_id", "check_in_id", 'CHECK_IN_REFUND', 1, "balance_after", 'Duplicate class session merged'
+FROM "credit_refund";
+
+UPDATE "subscriptions" s
+SET "credits_remaining" = s."credits_remaining" + r."count"
+FROM (SELECT "subscription_id", COUNT(*) AS "count" FROM "credit_refund" GROUP BY "subscription_id") r
+WHERE r."subscription_id" = s."id";
+
+DELETE FROM "check_ins" WHERE "id" IN (SELECT "id" FROM "check_in_merge");
+
+UPDATE "check_ins" c
+SET "session_id" = m."keep_id"
+FROM "session_merge" m
+WHERE c."session_id" = m."id";
+
+UPDATE "payroll_entries" p
+SET "session_id" = m."keep_id"
+FROM "session_merge" m
+WHERE p."session_id" = m."id";
+
+DELETE FROM "class_sessions" WHERE "id" IN (SELECT "id" FROM "session_merge");
+
+DROP TABLE "credit_refund";
+DROP TABLE "check_in_merge";
+DROP TABLE "session_merge";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "class_sessions_schedule_id_session_date_key" ON "class_sessions"("schedule_id", "session_date");
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "ClosureRecurrence" AS ENUM ('NONE', 'YEARLY');
+
+-- AlterTable
+ALTER TABLE "class_sessions" ADD COLUMN "closure_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "school_closures" (
+    "id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "start_date" DATE NOT NULL,
+    "end_date" DATE NOT NULL,
+    "recurrence" "ClosureRecurrence" NOT NULL DEFAULT 'NONE',
+    "notes" TEXT,
+    "created_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "school_closures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "school_closures_school_id_start_date_idx" ON "school_closures"("school_id", "start_date");
+
+-- AddForeignKey
+ALTER TABLE "class_sessions" ADD CONSTRAINT "class_sessions_closure_id_fkey" FOREIGN KEY ("closure_id") REFERENCES "school_closures"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "school_closures" ADD CONSTRAINT "school_closures_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
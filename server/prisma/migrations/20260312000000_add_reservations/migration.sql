@@ -0,0 +1,46 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'RESERVATION_CONFIRMED';
+ALTER TYPE "NotificationType" ADD VALUE 'RESERVATION_WAITLISTED';
+ALTER TYPE "NotificationType" ADD VALUE 'RESERVATION_PROMOTED';
+ALTER TYPE "NotificationType" ADD VALUE 'RESERVATION_CANCELLED';
+ALTER TYPE "NotificationType" ADD VALUE 'RESERVATION_NO_SHOW';
+
+-- CreateEnum
+CREATE TYPE "ReservationStatus" AS ENUM ('RESERVED', 'WAITLISTED', 'ATTENDED', 'CANCELLED', 'NO_SHOW');
+
+-- CreateTable
+CREATE TABLE "reservations" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "status" "ReservationStatus" NOT NULL,
+    "booked_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "promoted_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "check_in_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reservations_check_in_id_key" ON "reservations"("check_in_id");
+
+-- CreateIndex
+CREATE INDEX "reservations_session_id_status_booked_at_idx" ON "reservations"("session_id", "status", "booked_at");
+
+-- CreateIndex
+CREATE INDEX "reservations_student_id_status_idx" ON "reservations"("student_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reservations_session_id_student_id_key" ON "reservations"("session_id", "student_id");
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "class_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_check_in_id_fkey" FOREIGN KEY ("check_in_id") REFERENCES "check_ins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,91 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'SUBSTITUTE_REQUESTED';
+ALTER TYPE "NotificationType" ADD VALUE 'SUBSTITUTE_ACCEPTED';
+ALTER TYPE "NotificationType" ADD VALUE 'SUBSTITUTE_DECLINED';
+
+-- CreateEnum
+CREATE TYPE "SubstituteRequestStatus" AS ENUM ('OPEN', 'ACCEPTED', 'DECLINED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "class_sessions" ADD COLUMN "instructor_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "instructor_availability" (
+    "id" TEXT NOT NULL,
+    "instructor_id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "day_of_week" "DayOfWeek" NOT NULL,
+    "start_time" TEXT NOT NULL,
+    "end_time" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "instructor_availability_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "instructor_time_off" (
+    "id" TEXT NOT NULL,
+    "instructor_id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "starts_at" TIMESTAMP(3) NOT NULL,
+    "ends_at" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "instructor_time_off_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "substitute_requests" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "requested_by_id" TEXT NOT NULL,
+    "original_instructor_id" TEXT NOT NULL,
+    "substitute_id" TEXT,
+    "status" "SubstituteRequestStatus" NOT NULL DEFAULT 'OPEN',
+    "reason" TEXT,
+    "responded_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "substitute_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "instructor_availability_instructor_id_school_id_idx" ON "instructor_availability"("instructor_id", "school_id");
+
+-- CreateIndex
+CREATE INDEX "instructor_time_off_instructor_id_starts_at_idx" ON "instructor_time_off"("instructor_id", "starts_at");
+
+-- CreateIndex
+CREATE INDEX "substitute_requests_session_id_status_idx" ON "substitute_requests"("session_id", "status");
+
+-- CreateIndex
+CREATE INDEX "substitute_requests_substitute_id_status_idx" ON "substitute_requests"("substitute_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "class_sessions" ADD CONSTRAINT "class_sessions_instructor_id_fkey" FOREIGN KEY ("instructor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "instructor_availability" ADD CONSTRAINT "instructor_availability_instructor_id_fkey" FOREIGN KEY ("instructor_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "instructor_availability" ADD CONSTRAINT "instructor_availability_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "instructor_time_off" ADD CONSTRAINT "instructor_time_off_instructor_id_fkey" FOREIGN KEY ("instructor_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "instructor_time_off" ADD CONSTRAINT "instructor_time_off_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "substitute_requests" ADD CONSTRAINT "substitute_requests_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "class_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "substitute_requests" ADD CONSTRAINT "substitute_requests_requested_by_id_fkey" FOREIGN KEY ("requested_by_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "substitute_requests" ADD CONSTRAINT "substitute_requests_original_instructor_id_fkey" FOREIGN KEY ("original_instructor_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "substitute_requests" ADD CONSTRAINT "substitute_requests_substitute_id_fkey" FOREIGN KEY ("substitute_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "CalendarFeedType" AS ENUM ('STUDENT', 'INSTRUCTOR', 'SCHOOL');
+
+-- CreateTable
+CREATE TABLE "calendar_feeds" (
+    "id" TEXT NOT NULL,
+    "type" "CalendarFeedType" NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "user_id" TEXT,
+    "school_id" TEXT,
+    "created_by_id" TEXT NOT NULL,
+    "last_fetched_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "calendar_feeds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_feeds_token_hash_key" ON "calendar_feeds"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_user_id_idx" ON "calendar_feeds"("user_id");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_school_id_idx" ON "calendar_feeds"("school_id");
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
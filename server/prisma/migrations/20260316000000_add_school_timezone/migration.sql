@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "schools" ADD COLUMN "timezone" TEXT;
@@ -0,0 +1,68 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'KIOSK_DEVICE_PAIRED';
+ALTER TYPE "AuditAction" ADD VALUE 'KIOSK_DEVICE_REVOKED';
+ALTER TYPE "AuditAction" ADD VALUE 'KIOSK_CHECK_IN';
+ALTER TYPE "AuditAction" ADD VALUE 'KIOSK_CHECK_IN_FAILED';
+ALTER TYPE "AuditAction" ADD VALUE 'MEMBER_PIN_SET';
+ALTER TYPE "AuditAction" ADD VALUE 'MEMBER_CARD_ISSUED';
+
+-- AlterTable
+ALTER TABLE "check_ins" ADD COLUMN "kiosk_device_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "kiosk_devices" (
+    "id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "paired_by_id" TEXT NOT NULL,
+    "last_seen_at" TIMESTAMP(3),
+    "last_ip" TEXT,
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "kiosk_devices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "member_credentials" (
+    "id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "pin_hash" TEXT,
+    "card_code" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "member_credentials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kiosk_devices_token_hash_key" ON "kiosk_devices"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "kiosk_devices_school_id_idx" ON "kiosk_devices"("school_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "member_credentials_card_code_key" ON "member_credentials"("card_code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "member_credentials_student_id_school_id_key" ON "member_credentials"("student_id", "school_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "member_credentials_school_id_pin_hash_key" ON "member_credentials"("school_id", "pin_hash");
+
+-- AddForeignKey
+ALTER TABLE "check_ins" ADD CONSTRAINT "check_ins_kiosk_device_id_fkey" FOREIGN KEY ("kiosk_device_id") REFERENCES "kiosk_devices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kiosk_devices" ADD CONSTRAINT "kiosk_devices_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kiosk_devices" ADD CONSTRAINT "kiosk_devices_paired_by_id_fkey" FOREIGN KEY ("paired_by_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "member_credentials" ADD CONSTRAINT "member_credentials_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "member_credentials" ADD CONSTRAINT "member_credentials_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "check_ins" ADD COLUMN "client_ref" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "check_ins_kiosk_device_id_client_ref_key" ON "check_ins"("kiosk_device_id", "client_ref");
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "CheckInRuleAction" AS ENUM ('BLOCK', 'WARN', 'IGNORE');
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'CHECK_IN_POLICY_UPDATED';
+ALTER TYPE "AuditAction" ADD VALUE 'CHECK_IN_ELIGIBILITY_OVERRIDE';
+
+-- AlterTable
+ALTER TABLE "waiver_templates" ADD COLUMN "is_required" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "check_in_policies" (
+    "id" TEXT NOT NULL,
+    "school_id" TEXT NOT NULL,
+    "waiver_rule" "CheckInRuleAction" NOT NULL DEFAULT 'IGNORE',
+    "enrollment_rule" "CheckInRuleAction" NOT NULL DEFAULT 'IGNORE',
+    "overdue_invoice_rule" "CheckInRuleAction" NOT NULL DEFAULT 'IGNORE',
+    "overdue_invoice_days" INTEGER NOT NULL DEFAULT 30,
+    "membership_rule" "CheckInRuleAction" NOT NULL DEFAULT 'IGNORE',
+    "updated_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "check_in_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "check_in_policies_school_id_key" ON "check_in_policies"("school_id");
+
+-- AddForeignKey
+ALTER TABLE "check_in_policies" ADD CONSTRAINT "check_in_policies_school_id_fkey" FOREIGN KEY ("school_id") REFERENCES "schools"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "check_in_policies" ADD CONSTRAINT "check_in_policies_updated_by_id_fkey" FOREIGN KEY ("updated_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
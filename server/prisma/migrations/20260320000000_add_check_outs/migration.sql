@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "CheckOutMethod" AS ENUM ('ADMIN', 'KIOSK', 'QR_CODE', 'AUTO');
+
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'KIOSK_CHECK_OUT';
+ALTER TYPE "AuditAction" ADD VALUE 'CHILD_PICKED_UP';
+
+-- AlterTable
+ALTER TABLE "check_ins" ADD COLUMN "checked_out_at" TIMESTAMP(3),
+ADD COLUMN "check_out_method" "CheckOutMethod",
+ADD COLUMN "checked_out_by" TEXT,
+ADD COLUMN "duration_minutes" INTEGER,
+ADD COLUMN "full_attendance" BOOLEAN,
+ADD COLUMN "picked_up_at" TIMESTAMP(3),
+ADD COLUMN "picked_up_by_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "belt_requirements" ADD COLUMN "full_attendance_only" BOOLEAN NOT NULL DEFAULT false;
+
+-- AddForeignKey
+ALTER TABLE "check_ins" ADD CONSTRAINT "check_ins_checked_out_by_fkey" FOREIGN KEY ("checked_out_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "check_ins" ADD CONSTRAINT "check_ins_picked_up_by_id_fkey" FOREIGN KEY ("picked_up_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "reservations" DROP CONSTRAINT "reservations_session_id_fkey";
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "class_sessions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
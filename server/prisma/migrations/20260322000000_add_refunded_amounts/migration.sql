@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN "refunded_amount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "refunded_amount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "event_tickets" ADD COLUMN "refunded_amount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill from the refunds already recorded
+UPDATE "payments" p SET "refunded_amount" = r."total"
+FROM (SELECT "payment_id", SUM("amount") AS "total" FROM "refunds" WHERE "payment_id" IS NOT NULL GROUP BY "payment_id") r
+WHERE r."payment_id" = p."id";
+
+UPDATE "orders" o SET "refunded_amount" = r."total"
+FROM (SELECT "order_id", SUM("amount") AS "total" FROM "refunds" WHERE "order_id" IS NOT NULL GROUP BY "order_id") r
+WHERE r."order_id" = o."id";
+
+UPDATE "event_tickets" t SET "refunded_amount" = r."total"
+FROM (SELECT "ticket_id", SUM("amount") AS "total" FROM "refunds" WHERE "ticket_id" IS NOT NULL GROUP BY "ticket_id") r
+WHERE r."ticket_id" = t."id";
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "refunds" ADD COLUMN "subscription_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "refunds_subscription_id_idx" ON "refunds"("subscription_id");
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "subscriptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'KIOSK_OFFLINE_OVERRIDE';
+
+-- AlterTable
+ALTER TABLE "check_ins" ADD COLUMN "review_flags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "reviewed_at" TIMESTAMP(3),
+ADD COLUMN "reviewed_by_id" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "check_ins" ADD CONSTRAINT "check_ins_reviewed_by_id_fkey" FOREIGN KEY ("reviewed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
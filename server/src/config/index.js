@@ -59,6 +59,26 @@ module.exports = {
   /** Allowed CORS origins (comma-separated in env) */
   corsOrigin: process.env.CORS_ORIGIN || '*',
 
+  /** Public frontend origin — used for links printed on documents (certificate QR codes) */
+  publicAppUrl: (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+  /** How many weeks of class sessions to keep generated ahead (default 8) */
+  sessionHorizonWeeks: Math.min(Math.max(parseInt(process.env.SESSION_HORIZON_WEEKS, 10) || 8, 1), 52),
+
+  /** Students can't cancel a reservation within this many hours of class (default 2, 0 = no cutoff) */
+  reservationCancelCutoffHours: /^\d+(\.\d+)?$/.test(process.env.RESERVATION_CANCEL_CUTOFF_HOURS || '')
+    ? parseFloat(process.env.RESERVATION_CANCEL_CUTOFF_HOURS)
+    : 2,
+
+  /** How often the kiosk check-in QR code rotates, in seconds (default 30, 10–300) */
+  qrTokenTtlSeconds: Math.min(Math.max(parseInt(process.env.QR_TOKEN_TTL_SECONDS, 10) || 30, 10), 300),
+
+  /** Share of a class a student must be on the mat for it to count as a full attendance, in percent (default 80, 1–100) */
+  fullAttendancePercent: Math.min(Math.max(parseInt(process.env.FULL_ATTENDANCE_PERCENT, 10) || 80, 1), 100),
+
+  /** IANA time zone for schools that haven't set one (default: the server's own) */
+  defaultTimeZone: process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+
   /** Redis connection URL (optional — graceful degradation without it) */
   redisUrl: process.env.REDIS_URL || '',
 };
@@ -13,22 +13,7 @@
 
 const prisma = require('../config/database');
 const bcrypt = require('bcryptjs');
-
-// ─── Helpers ─────────────────────────────────────────────
-
-async function writeAudit(performerId, action, targetType, targetId, details, req) {
-  await prisma.auditLog.create({
-    data: {
-      performerId,
-      action,
-      targetType,
-      targetId,
-      details,
-      ipAddress: req.ip || req.connection?.remoteAddress,
-      userAgent: req.headers['user-agent']?.substring(0, 512),
-    },
-  });
-}
+const { writeAudit } = require('../utils/audit');
 
 // ─── User Management ─────────────────────────────────────
 
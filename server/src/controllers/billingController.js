@@ -1,5 +1,19 @@
 const prisma = require('../config/database');
-const { calculateNextInvoiceDate, generateAutoInvoices, markOverdueInvoices } = require('../services/autoInvoice');
+const { calculateNextInvoiceDate, generateAutoInvoices, markOverdueInvoices, applyLateFees } = require('../services/autoInvoice');
+const { resetCredits, adjustCredits } = require('../services/classCredits');
+const refunds = require('../services/refunds');
+const {
+  calculateProration,
+  applyProration,
+  cancellationSettlement,
+  refundProration,
+  getPendingAdjustments,
+} = require('../services/proration');
+const { activateFreeze, resumeFreeze, processFreezes } = require('../services/subscriptionFreezes');
+const { allocatePayment } = require('../services/familyBilling');
+const { renderInvoicePdf, renderReceiptPdf } = require('../services/billingPdf');
+const { schoolTimeZone } = require('../services/schoolTime');
+const { DAY_MS, startOfToday, dateOnly, startOfNextMonth } = require('../utils/dates');
 
 // ─────────────────────────────────────────────────────────
 // Payment Config — per-school gateway setup
@@ -31,16 +45,19 @@ const getPaymentConfig = async (req, res, next) => {
         taxRate: 0,
         lateFeeAmount: 0,
         gracePeriodDays: 7,
+        siblingDiscounts: [],
         isActive: false,
         gatewayPublicKey: null,
         gatewaySecretKey: null,
         gatewayMerchantId: null,
+        webhookSecret: null,
       };
     } else {
-      // Mask secret key for response
+      // Mask secrets for response
       config = {
         ...config,
         gatewaySecretKey: config.gatewaySecretKey ? '••••••••' : null,
+        webhookSecret: config.webhookSecret ? '••••••••' : null,
       };
     }
 
@@ -66,6 +83,8 @@ const upsertPaymentConfig = async (req, res, next) => {
       taxRate,
       lateFeeAmount,
       gracePeriodDays,
+      siblingDiscounts,
+      webhookSecret,
       isActive,
     } = req.body;
 
@@ -86,6 +105,8 @@ const upsertPaymentConfig = async (req, res, next) => {
     if (taxRate !== undefined) data.taxRate = parseFloat(taxRate);
     if (lateFeeAmount !== undefined) data.lateFeeAmount = parseFloat(lateFeeAmount);
     if (gracePeriodDays !== undefined) data.gracePeriodDays = parseInt(gracePeriodDays, 10);
+    if (siblingDiscounts !== undefined) data.siblingDiscounts = siblingDiscounts.map(Number);
+    if (webhookSecret !== undefined && webhookSecret !== '••••••••') data.webhookSecret = webhookSecret || null;
     if (isActive !== undefined) data.isActive = isActive;
 
     const config = await prisma.paymentConfig.upsert({
@@ -97,6 +118,7 @@ const upsertPaymentConfig = async (req, res, next) => {
     res.json({
       ...config,
       gatewaySecretKey: config.gatewaySecretKey ? '••••••••' : null,
+      webhookSecret: config.webhookSecret ? '••••••••' : null,
     });
   } catch (error) {
     next(error);
@@ -262,6 +284,7 @@ const getInvoices = async (req, res, next) => {
       include: {
         student: { select: { id: true, firstName: true, lastName: true, email: true } },
         plan: { select: { id: true, name: true } },
+        family: { select: { id: true, name: true } },
         _count: { select: { payments: true } },
       },
       orderBy: { createdAt: 'desc' },
@@ -314,7 +337,7 @@ const createInvoice = async (req, res, next) => {
         taxAmount: Math.round(taxAmount * 100) / 100,
         totalAmount: Math.round(totalAmount * 100) / 100,
         status: 'SENT',
-        dueDate: new Date(dueDate || Date.now() + 30 * 24 * 60 * 60 * 1000),
+        dueDate: dueDate ? new Date(dueDate) : new Date(startOfToday(new Date(), schoolTimeZone(school)).getTime() + 30 * DAY_MS),
         notes: notes || null,
       },
       include: {
@@ -356,6 +379,82 @@ const updateInvoiceStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * PATCH /api/billing/invoices/:schoolId/:invoiceId/late-fee
+ * Waive (or reinstate) the late fee on an invoice. Owner-facing.
+ */
+const setLateFeeWaived = async (req, res, next) => {
+  try {
+    const { schoolId, invoiceId } = req.params;
+    const { waived } = req.body;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const invoice = await prisma.invoice.findFirst({
+      where: { id: invoiceId, schoolId },
+    });
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+    if (!invoice.lateFeeAppliedAt || invoice.lateFeeAmount <= 0) {
+      return res.status(400).json({ error: 'No late fee has been applied to this invoice' });
+    }
+    if (['PAID', 'CANCELLED', 'REFUNDED'].includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot change the late fee on a ${invoice.status.toLowerCase()} invoice` });
+    }
+
+    const isWaived = !!invoice.lateFeeWaivedAt;
+    if (waived === isWaived) return res.json(invoice);
+
+    // Conditional on the waiver's current state, like applyLateFees, so two
+    // requests can't both move the total
+    const updated = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.invoice.updateMany({
+        where: {
+          id: invoiceId,
+          lateFeeWaivedAt: waived ? null : { not: null },
+          status: { notIn: ['PAID', 'CANCELLED', 'REFUNDED'] },
+        },
+        data: {
+          totalAmount: waived ? { decrement: invoice.lateFeeAmount } : { increment: invoice.lateFeeAmount },
+          lateFeeWaivedAt: waived ? new Date() : null,
+          lateFeeWaivedById: waived ? req.user.id : null,
+        },
+      });
+      if (count === 0) return null;
+
+      // Waiving may leave the invoice already covered by earlier partial payments
+      if (waived) {
+        const { totalAmount } = await tx.invoice.findUnique({ where: { id: invoiceId }, select: { totalAmount: true } });
+        const totalPaid = await tx.payment.aggregate({
+          where: { invoiceId },
+          _sum: { amount: true },
+        });
+        if ((totalPaid._sum.amount || 0) >= totalAmount - 0.005) {
+          await tx.invoice.update({ where: { id: invoiceId }, data: { status: 'PAID', paidAt: new Date() } });
+        }
+      }
+
+      return tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: {
+          student: { select: { id: true, firstName: true, lastName: true, email: true } },
+          plan: { select: { id: true, name: true } },
+        },
+      });
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'Invoice was changed by someone else — refresh and try again' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ─────────────────────────────────────────────────────────
 // Payments
 // ─────────────────────────────────────────────────────────
@@ -386,6 +485,7 @@ const recordPayment = async (req, res, next) => {
         amount: parseFloat(amount),
         currency: paymentConfig?.currency,
         description: `Invoice ${invoice.invoiceNumber}`,
+        reference: `invoice:${invoice.id}`,
         token,
       });
 
@@ -409,6 +509,8 @@ const recordPayment = async (req, res, next) => {
         notes: notes || null,
       },
     });
+    // Household invoices: credit each member their share
+    await allocatePayment(prisma, payment);
 
     // Check if invoice is fully paid
     const totalPaid = await prisma.payment.aggregate({
@@ -455,6 +557,7 @@ const getPayments = async (req, res, next) => {
         invoice: { select: { id: true, invoiceNumber: true, totalAmount: true } },
         student: { select: { id: true, firstName: true, lastName: true } },
         recordedBy: { select: { id: true, firstName: true, lastName: true } },
+        refunds: { select: { id: true, amount: true, reason: true, source: true, createdAt: true } },
       },
       orderBy: { paidAt: 'desc' },
     });
@@ -465,6 +568,148 @@ const getPayments = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/billing/payments/:schoolId/:paymentId/refund
+ * Refund all or part of a payment through the school's gateway.
+ * Body: { amount?, reason? } — amount defaults to the unrefunded balance.
+ */
+const refundPayment = async (req, res, next) => {
+  try {
+    const { schoolId, paymentId } = req.params;
+    const { amount, reason } = req.body;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await refunds.refundPayment(schoolId, paymentId, {
+      amount,
+      reason,
+      performedById: req.user.id,
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/billing/refunds/:schoolId
+ * Every refund at a school — invoice payments, retail orders and event tickets.
+ */
+const getRefunds = async (req, res, next) => {
+  try {
+    const { schoolId } = req.params;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const list = await prisma.refund.findMany({
+      where: { schoolId },
+      include: {
+        payment: {
+          select: {
+            id: true,
+            amount: true,
+            invoice: { select: { id: true, invoiceNumber: true } },
+            student: { select: { id: true, firstName: true, lastName: true } },
+          },
+        },
+        order: { select: { id: true, orderNumber: true, totalAmount: true } },
+        ticket: { select: { id: true, totalPrice: true, event: { select: { id: true, name: true } } } },
+        processedBy: { select: { id: true, firstName: true, lastName: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json(list);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ─────────────────────────────────────────────────────────
+// Printable documents (PDF)
+// ─────────────────────────────────────────────────────────
+
+function sendPdf(res, { buffer, filename }) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, no-store',
+  });
+  res.send(buffer);
+}
+
+/**
+ * Staff must own the school; students only see documents that bill them or
+ * that include them (household invoices). Returns an error response or null.
+ */
+async function checkDocumentAccess(req, res, schoolId, label, countVisible) {
+  if (req.user.role === 'STUDENT') {
+    const visible = await countVisible(req.user.id);
+    return visible ? null : res.status(404).json({ error: `${label} not found` });
+  }
+  const school = await prisma.school.findUnique({ where: { id: schoolId } });
+  if (!school) return res.status(404).json({ error: 'School not found' });
+  if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  return null;
+}
+
+/**
+ * GET /api/billing/invoices/:schoolId/:invoiceId/pdf
+ * Download a branded invoice PDF.
+ */
+const downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const { schoolId, invoiceId } = req.params;
+
+    const denied = await checkDocumentAccess(req, res, schoolId, 'Invoice', (userId) => prisma.invoice.count({
+      where: { id: invoiceId, schoolId, OR: [{ studentId: userId }, { lines: { some: { studentId: userId } } }] },
+    }));
+    if (denied) return denied;
+
+    sendPdf(res, await renderInvoicePdf(schoolId, invoiceId));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/billing/payments/:schoolId/:paymentId/receipt
+ * Download a branded payment receipt PDF (tax / FSA records).
+ */
+const downloadReceiptPdf = async (req, res, next) => {
+  try {
+    const { schoolId, paymentId } = req.params;
+
+    const denied = await checkDocumentAccess(req, res, schoolId, 'Payment', (userId) => prisma.payment.count({
+      where: {
+        id: paymentId,
+        invoice: { schoolId },
+        OR: [{ studentId: userId }, { allocations: { some: { studentId: userId } } }],
+      },
+    }));
+    if (denied) return denied;
+
+    sendPdf(res, await renderReceiptPdf(schoolId, paymentId));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
 /**
  * GET /api/billing/summary/:schoolId
  * Billing summary / dashboard for a school
@@ -473,9 +718,13 @@ const getBillingSummary = async (req, res, next) => {
   try {
     const { schoolId } = req.params;
 
+    const monthStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+
     const [
       totalRevenue,
       monthlyRevenue,
+      totalRefunded,
+      monthlyRefunded,
       outstandingInvoices,
       overdueInvoices,
       activePlans,
@@ -490,10 +739,19 @@ const getBillingSummary = async (req, res, next) => {
       prisma.payment.aggregate({
         where: {
           invoice: { schoolId },
-          paidAt: { gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) },
+          paidAt: { gte: monthStart },
         },
         _sum: { amount: true },
       }),
+      // Refunded on invoice payments, all time and this month
+      prisma.refund.aggregate({
+        where: { payment: { invoice: { schoolId } } },
+        _sum: { amount: true },
+      }),
+      prisma.refund.aggregate({
+        where: { payment: { invoice: { schoolId } }, createdAt: { gte: monthStart } },
+        _sum: { amount: true },
+      }),
       // Outstanding (SENT) invoices
       prisma.invoice.aggregate({
         where: { schoolId, status: 'SENT' },
@@ -520,9 +778,17 @@ const getBillingSummary = async (req, res, next) => {
       }),
     ]);
 
+    const grossRevenue = totalRevenue._sum.amount || 0;
+    const refunded = totalRefunded._sum.amount || 0;
+    const monthlyRefundedAmount = monthlyRefunded._sum.amount || 0;
+
+    // Revenue figures are net of refunds; gross and refunded are reported alongside
     res.json({
-      totalRevenue: totalRevenue._sum.amount || 0,
-      monthlyRevenue: monthlyRevenue._sum.amount || 0,
+      totalRevenue: Math.round((grossRevenue - refunded) * 100) / 100,
+      monthlyRevenue: Math.round(((monthlyRevenue._sum.amount || 0) - monthlyRefundedAmount) * 100) / 100,
+      grossRevenue,
+      totalRefunded: refunded,
+      monthlyRefunded: monthlyRefundedAmount,
       outstanding: {
         count: outstandingInvoices._count || 0,
         amount: outstandingInvoices._sum.totalAmount || 0,
@@ -549,13 +815,24 @@ module.exports = {
   getInvoices,
   createInvoice,
   updateInvoiceStatus,
+  setLateFeeWaived,
   recordPayment,
   getPayments,
+  refundPayment,
+  getRefunds,
+  downloadInvoicePdf,
+  downloadReceiptPdf,
   getBillingSummary,
   getSubscriptions,
   createSubscription,
   updateSubscription,
   cancelSubscription,
+  previewProration,
+  getFreezes,
+  createFreeze,
+  endFreeze,
+  getSubscriptionCredits,
+  adjustSubscriptionCredits,
   triggerAutoInvoice,
 };
 
@@ -586,7 +863,11 @@ async function getSubscriptions(req, res, next) {
       where,
       include: {
         student: { select: { id: true, firstName: true, lastName: true, email: true } },
-        plan: { select: { id: true, name: true, price: true, billingCycle: true } },
+        plan: { select: { id: true, name: true, price: true, billingCycle: true, classCredits: true } },
+        freezes: {
+          where: { status: { in: ['SCHEDULED', 'ACTIVE'] } },
+          orderBy: { startDate: 'asc' },
+        },
       },
       orderBy: { createdAt: 'desc' },
     });
@@ -635,30 +916,36 @@ async function createSubscription(req, res, next) {
       return res.status(409).json({ error: 'Student already has an active subscription to this plan' });
     }
 
-    // Calculate first invoice date: next 1st of the month
-    const now = new Date();
-    const start = startDate ? new Date(startDate) : now;
+    // Calculate first invoice date: next 1st of the month, on the school's calendar
+    const start = startDate ? dateOnly(startDate) : startOfToday(new Date(), schoolTimeZone(school));
     let nextInvoiceDate;
-    if (start.getDate() === 1) {
+    if (start.getUTCDate() === 1) {
       // If starting on the 1st, invoice immediately (next cron run)
       nextInvoiceDate = start;
     } else {
       // Otherwise, first invoice on the 1st of next month
-      nextInvoiceDate = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+      nextInvoiceDate = startOfNextMonth(start);
     }
 
-    const subscription = await prisma.subscription.create({
-      data: {
-        studentId,
-        planId,
-        schoolId,
-        startDate: start,
-        nextInvoiceDate,
-      },
-      include: {
-        student: { select: { id: true, firstName: true, lastName: true, email: true } },
-        plan: { select: { id: true, name: true, price: true, billingCycle: true } },
-      },
+    const subscription = await prisma.$transaction(async (tx) => {
+      const created = await tx.subscription.create({
+        data: {
+          studentId,
+          planId,
+          schoolId,
+          startDate: start,
+          nextInvoiceDate,
+        },
+        include: {
+          student: { select: { id: true, firstName: true, lastName: true, email: true } },
+          plan: { select: { id: true, name: true, price: true, billingCycle: true, classCredits: true } },
+        },
+      });
+      // Opening balance for punch-card plans
+      if (plan.classCredits != null) {
+        await resetCredits(tx, created.id, plan.classCredits, { note: 'Subscription started', performedById: req.user.id });
+      }
+      return { ...created, creditsRemaining: plan.classCredits ?? null };
     });
 
     res.status(201).json(subscription);
@@ -672,12 +959,14 @@ async function createSubscription(req, res, next) {
 
 /**
  * PATCH /api/billing/subscriptions/:schoolId/:subscriptionId
- * Update a subscription (pause, resume, change plan)
+ * Update a subscription (pause, resume, change plan).
+ * Mid-period plan changes, pauses and cancellations are prorated; `proration`
+ * picks how: NEXT_INVOICE (default), IMMEDIATE or NONE.
  */
 async function updateSubscription(req, res, next) {
   try {
     const { schoolId, subscriptionId } = req.params;
-    const { status, planId } = req.body;
+    const { status, planId, proration: prorationMode } = req.body;
 
     const school = await prisma.school.findUnique({ where: { id: schoolId } });
     if (!school) return res.status(404).json({ error: 'School not found' });
@@ -687,21 +976,34 @@ async function updateSubscription(req, res, next) {
 
     const sub = await prisma.subscription.findFirst({
       where: { id: subscriptionId, schoolId },
+      include: { plan: true },
     });
     if (!sub) return res.status(404).json({ error: 'Subscription not found' });
 
     const data = {};
+    let newPlan = null;
+
+    // A frozen subscription resumes by ending its freeze (which moves the billing dates)
+    if (status === 'ACTIVE' && sub.status === 'PAUSED') {
+      const freeze = await prisma.subscriptionFreeze.findFirst({
+        where: { subscriptionId, status: 'ACTIVE' },
+      });
+      if (freeze) {
+        return res.status(409).json({ error: 'Subscription is frozen — end the freeze to resume it', freezeId: freeze.id });
+      }
+    }
 
     if (status) {
       data.status = status;
       // If resuming from PAUSED, recalculate nextInvoiceDate
       if (status === 'ACTIVE' && sub.status === 'PAUSED') {
-        const now = new Date();
-        data.nextInvoiceDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        data.nextInvoiceDate = startOfNextMonth(startOfToday(new Date(), schoolTimeZone(school)));
       }
-      // If pausing, clear nextInvoiceDate to stop auto-invoicing
-      if (status === 'PAUSED') {
+      // If pausing or cancelling, clear nextInvoiceDate to stop auto-invoicing
+      if (status === 'PAUSED' || status === 'CANCELLED') {
         data.nextInvoiceDate = null;
+        data.currentPeriodStart = null;
+        if (status === 'CANCELLED') data.endDate = new Date();
       }
     }
 
@@ -711,26 +1013,71 @@ async function updateSubscription(req, res, next) {
       });
       if (!plan) return res.status(404).json({ error: 'Plan not found' });
       data.planId = planId;
+      newPlan = plan;
     }
 
-    const updated = await prisma.subscription.update({
-      where: { id: subscriptionId },
-      data,
-      include: {
-        student: { select: { id: true, firstName: true, lastName: true, email: true } },
-        plan: { select: { id: true, name: true, price: true, billingCycle: true } },
-      },
+    // Stopping wins over a simultaneous plan change — only the old plan is credited
+    const stopping = data.status === 'PAUSED' || data.status === 'CANCELLED';
+    let change = null;
+    if (stopping && sub.status === 'ACTIVE') {
+      change = {
+        proration: calculateProration(sub, sub.plan),
+        reason: data.status === 'PAUSED' ? 'PAUSE' : 'CANCELLATION',
+        description: `${data.status === 'PAUSED' ? 'Paused' : 'Cancelled'} ${sub.plan.name}`,
+      };
+    } else if (newPlan) {
+      change = {
+        proration: calculateProration(sub, sub.plan, newPlan),
+        reason: 'PLAN_CHANGE',
+        description: `Plan change: ${sub.plan.name} → ${newPlan.name}`,
+      };
+    }
+
+    // A cancellation credit with no next invoice to wait for is refunded first
+    let settlement = { mode: prorationMode };
+    let refund = null;
+    if (change?.reason === 'CANCELLATION') {
+      settlement = await cancellationSettlement(sub, change.proration, prorationMode);
+      if (settlement.refund) {
+        refund = await refundProration(sub, settlement.refund, { description: change.description, performedById: req.user.id });
+      }
+    }
+
+    const { updated, adjustment } = await prisma.$transaction(async (tx) => {
+      await tx.subscription.update({ where: { id: subscriptionId }, data });
+      // Switching plans starts the credit balance over on the new allowance
+      if (newPlan) {
+        await resetCredits(tx, subscriptionId, newPlan.classCredits, {
+          note: `Plan changed to ${newPlan.name}`,
+          performedById: req.user.id,
+        });
+      }
+      const applied = change && !refund
+        ? await applyProration(tx, { sub, ...change, mode: settlement.mode, performedById: req.user.id })
+        : refund;
+      const result = await tx.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          student: { select: { id: true, firstName: true, lastName: true, email: true } },
+          plan: { select: { id: true, name: true, price: true, billingCycle: true, classCredits: true } },
+        },
+      });
+      return { updated: result, adjustment: applied };
     });
 
-    res.json(updated);
+    res.json({ ...updated, proration: change?.proration || null, adjustment });
   } catch (error) {
+    if (error.reason) return res.status(error.status).json({ error: error.message, reason: error.reason });
     next(error);
   }
 }
 
 /**
  * DELETE /api/billing/subscriptions/:schoolId/:subscriptionId
- * Cancel a subscription (soft — sets status to CANCELLED + endDate)
+ * Cancel a subscription (soft — sets status to CANCELLED + endDate).
+ * The unused part of a billed period is credited to the next invoice, or
+ * refunded when there won't be one; ?proration= NEXT_INVOICE, REFUND or
+ * NONE picks instead.
  */
 async function cancelSubscription(req, res, next) {
   try {
@@ -744,19 +1091,281 @@ async function cancelSubscription(req, res, next) {
 
     const sub = await prisma.subscription.findFirst({
       where: { id: subscriptionId, schoolId },
+      include: { plan: true },
+    });
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+
+    const proration = calculateProration(sub, sub.plan);
+    const description = `Cancelled ${sub.plan.name}`;
+    const settlement = await cancellationSettlement(sub, proration, req.query.proration);
+    const refund = settlement.refund
+      ? await refundProration(sub, settlement.refund, { description, performedById: req.user.id })
+      : null;
+
+    const adjustment = await prisma.$transaction(async (tx) => {
+      await tx.subscription.update({
+        where: { id: subscriptionId },
+        data: {
+          status: 'CANCELLED',
+          endDate: new Date(),
+          nextInvoiceDate: null,
+          currentPeriodStart: null,
+        },
+      });
+      if (refund) return refund;
+      return applyProration(tx, {
+        sub,
+        proration,
+        reason: 'CANCELLATION',
+        description,
+        mode: settlement.mode === 'NONE' ? 'NONE' : 'NEXT_INVOICE',
+        performedById: req.user.id,
+      });
+    });
+
+    res.json({ message: 'Subscription cancelled', proration, adjustment });
+  } catch (error) {
+    if (error.reason) return res.status(error.status).json({ error: error.message, reason: error.reason });
+    next(error);
+  }
+}
+
+/**
+ * GET /api/billing/subscriptions/:schoolId/:subscriptionId/proration
+ * Preview what a plan change (?planId=) or pause/cancel (no planId) would
+ * credit or charge right now, plus adjustments already waiting to be billed.
+ */
+async function previewProration(req, res, next) {
+  try {
+    const { schoolId, subscriptionId } = req.params;
+    const { planId } = req.query;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const sub = await prisma.subscription.findFirst({
+      where: { id: subscriptionId, schoolId },
+      include: { plan: true },
+    });
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+
+    let newPlan = null;
+    if (planId) {
+      newPlan = await prisma.membershipPlan.findFirst({ where: { id: planId, schoolId } });
+      if (!newPlan) return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    res.json({
+      proration: calculateProration(sub, sub.plan, newPlan),
+      pending: await getPendingAdjustments(schoolId, sub.studentId),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/billing/subscriptions/:schoolId/:subscriptionId/freezes
+ * Freeze history for a subscription, newest first
+ */
+async function getFreezes(req, res, next) {
+  try {
+    const { schoolId, subscriptionId } = req.params;
+
+    const sub = await prisma.subscription.findFirst({ where: { id: subscriptionId, schoolId } });
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    if (req.user.role === 'STUDENT' && sub.studentId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const freezes = await prisma.subscriptionFreeze.findMany({
+      where: { subscriptionId },
+      include: { _count: { select: { checkIns: true } } },
+      orderBy: { startDate: 'desc' },
     });
+
+    res.json(freezes);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/billing/subscriptions/:schoolId/:subscriptionId/freezes
+ * Schedule a freeze. Body: { startDate, endDate, reason, notes? }.
+ * endDate is the first day back; a freeze starting today begins immediately.
+ */
+async function createFreeze(req, res, next) {
+  try {
+    const { schoolId, subscriptionId } = req.params;
+    const { reason, notes } = req.body;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const sub = await prisma.subscription.findFirst({ where: { id: subscriptionId, schoolId } });
     if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    if (sub.status !== 'ACTIVE') {
+      return res.status(400).json({ error: 'Only active subscriptions can be frozen' });
+    }
 
-    await prisma.subscription.update({
-      where: { id: subscriptionId },
+    const startDate = dateOnly(req.body.startDate);
+    const endDate = dateOnly(req.body.endDate);
+    const today = startOfToday(new Date(), schoolTimeZone(school));
+    if (startDate < today) return res.status(400).json({ error: 'Freeze cannot start in the past' });
+    if (endDate <= startDate) return res.status(400).json({ error: 'End date must be after the start date' });
+
+    const overlapping = await prisma.subscriptionFreeze.findFirst({
+      where: {
+        subscriptionId,
+        status: { in: ['SCHEDULED', 'ACTIVE'] },
+        startDate: { lt: endDate },
+        endDate: { gt: startDate },
+      },
+    });
+    if (overlapping) {
+      return res.status(409).json({ error: 'Subscription already has a freeze in that period' });
+    }
+
+    const freeze = await prisma.subscriptionFreeze.create({
       data: {
-        status: 'CANCELLED',
-        endDate: new Date(),
-        nextInvoiceDate: null,
+        subscriptionId,
+        startDate,
+        endDate,
+        reason,
+        notes: notes || null,
+        createdById: req.user.id,
       },
     });
 
-    res.json({ message: 'Subscription cancelled' });
+    if (startDate <= today) {
+      await activateFreeze(freeze);
+      freeze.status = 'ACTIVE';
+    }
+
+    res.status(201).json(freeze);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/billing/subscriptions/:schoolId/:subscriptionId/freezes/:freezeId
+ * Withdraw a scheduled freeze, or end an active one early (resumes today).
+ */
+async function endFreeze(req, res, next) {
+  try {
+    const { schoolId, subscriptionId, freezeId } = req.params;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const freeze = await prisma.subscriptionFreeze.findFirst({
+      where: { id: freezeId, subscriptionId, subscription: { schoolId } },
+    });
+    if (!freeze) return res.status(404).json({ error: 'Freeze not found' });
+
+    if (freeze.status === 'SCHEDULED') {
+      const cancelled = await prisma.subscriptionFreeze.update({
+        where: { id: freezeId },
+        data: { status: 'CANCELLED' },
+      });
+      return res.json({ freeze: cancelled, resumed: false });
+    }
+    if (freeze.status !== 'ACTIVE') {
+      return res.status(400).json({ error: `Freeze is already ${freeze.status.toLowerCase()}` });
+    }
+
+    const today = startOfToday(new Date(), schoolTimeZone(school));
+    const result = await resumeFreeze(freeze, today < freeze.endDate ? today : freeze.endDate);
+
+    res.json({ freeze: await prisma.subscriptionFreeze.findUnique({ where: { id: freezeId } }), ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/billing/subscriptions/:schoolId/:subscriptionId/credits
+ * Class-credit balance and ledger for a punch-card subscription
+ */
+async function getSubscriptionCredits(req, res, next) {
+  try {
+    const { schoolId, subscriptionId } = req.params;
+
+    const sub = await prisma.subscription.findFirst({
+      where: { id: subscriptionId, schoolId },
+      include: { plan: { select: { id: true, name: true, classCredits: true } } },
+    });
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    if (req.user.role === 'STUDENT' && sub.studentId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const transactions = await prisma.classCreditTransaction.findMany({
+      where: { subscriptionId },
+      include: {
+        checkIn: {
+          select: {
+            id: true,
+            checkedInAt: true,
+            session: { select: { sessionDate: true, startTime: true, class: { select: { name: true } } } },
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200,
+    });
+
+    res.json({
+      subscriptionId: sub.id,
+      plan: sub.plan,
+      creditsRemaining: sub.creditsRemaining,
+      transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/billing/subscriptions/:schoolId/:subscriptionId/credits
+ * Manually add or remove class credits (e.g. make-up class, goodwill)
+ */
+async function adjustSubscriptionCredits(req, res, next) {
+  try {
+    const { schoolId, subscriptionId } = req.params;
+    const { change, note } = req.body;
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId } });
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (req.user.role === 'OWNER' && school.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const sub = await prisma.subscription.findFirst({
+      where: { id: subscriptionId, schoolId },
+    });
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    if (sub.creditsRemaining === null) {
+      return res.status(400).json({ error: 'Subscription plan does not use class credits' });
+    }
+
+    const result = await adjustCredits(subscriptionId, parseInt(change, 10), {
+      note: note || null,
+      performedById: req.user.id,
+    });
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -768,16 +1377,21 @@ async function cancelSubscription(req, res, next) {
  */
 async function triggerAutoInvoice(req, res, next) {
   try {
+    // Resume finished freezes first so their subscriptions are billed this run
+    const freezes = await processFreezes();
     const [invoiceResult, overdueCount] = await Promise.all([
       generateAutoInvoices(),
       markOverdueInvoices(),
     ]);
+    const lateFeesApplied = await applyLateFees();
 
     res.json({
       message: 'Auto-invoice run complete',
+      freezes,
       invoicesGenerated: invoiceResult.generated,
       invoiceErrors: invoiceResult.errors,
       overdueMarked: overdueCount,
+      lateFeesApplied,
       details: invoiceResult.details,
     });
   } catch (error) {
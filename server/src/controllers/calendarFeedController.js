@@ -0,0 +1,119 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Calendar Feed Controller
+ * ──────────────────────────────────────────────────────────
+ * Issue and revoke .ics subscription URLs. The feed itself is
+ * served without login from /api/public/calendar/:token.ics
+ * (publicController) — the token is the credential.
+ *
+ * Security:
+ *   - The token is shown once, at creation; only its hash is stored
+ *   - Students subscribe to their own calendar; guardians also to
+ *     their family members'
+ *   - Instructor feeds are for teaching staff, school feeds for the
+ *     school's owner
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const { isSuperRole } = require('../utils/authorization');
+const { createFeed, manageableStudentIds } = require('../services/calendarFeeds');
+
+const TEACHING_ROLES = ['INSTRUCTOR', 'OWNER'];
+
+const FEED_INCLUDE = {
+  user: { select: { id: true, firstName: true, lastName: true } },
+  school: { select: { id: true, name: true } },
+};
+
+/** Schools whose public timetable feed the user controls. */
+async function ownedSchoolIds(user) {
+  if (user.role !== 'OWNER') return [];
+  const schools = await prisma.school.findMany({ where: { ownerId: user.id }, select: { id: true } });
+  return [...new Set([...schools.map((s) => s.id), ...(user.schoolId ? [user.schoolId] : [])])];
+}
+
+/** @route GET /api/calendar-feeds — Live feeds the user can see and revoke (URLs aren't retrievable) */
+const getFeeds = async (req, res, next) => {
+  try {
+    const schoolIds = await ownedSchoolIds(req.user);
+    const feeds = await prisma.calendarFeed.findMany({
+      where: {
+        revokedAt: null,
+        OR: [
+          { userId: req.user.id },
+          { createdById: req.user.id },
+          ...(schoolIds.length ? [{ type: 'SCHOOL', schoolId: { in: schoolIds } }] : []),
+        ],
+      },
+      include: FEED_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(feeds.map(({ tokenHash, ...f }) => f));
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route POST /api/calendar-feeds
+ * Body: { type, studentId?, schoolId? }. Replaces any earlier URL for the
+ * same calendar. Returns the URL — save it, it isn't shown again.
+ */
+const createCalendarFeed = async (req, res, next) => {
+  try {
+    const { type, studentId, schoolId } = req.body;
+    const spec = { type, createdById: req.user.id };
+
+    if (type === 'STUDENT') {
+      spec.userId = studentId || req.user.id;
+      if (!isSuperRole(req.user) && !(await manageableStudentIds(req.user.id)).includes(spec.userId)) {
+        return res.status(403).json({ error: 'You can only subscribe to your own or your family\'s calendar' });
+      }
+      const student = await prisma.user.findUnique({ where: { id: spec.userId }, select: { id: true } });
+      if (!student) return res.status(404).json({ error: 'Student not found' });
+    } else if (type === 'INSTRUCTOR') {
+      if (!TEACHING_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Teaching feeds are for instructors' });
+      }
+      spec.userId = req.user.id;
+    } else {
+      spec.schoolId = schoolId || req.user.schoolId;
+      if (!spec.schoolId) return res.status(400).json({ error: 'schoolId is required' });
+      if (!isSuperRole(req.user) && !(await ownedSchoolIds(req.user)).includes(spec.schoolId)) {
+        return res.status(403).json({ error: 'Only the school owner can publish its timetable' });
+      }
+      const school = await prisma.school.findUnique({ where: { id: spec.schoolId }, select: { id: true } });
+      if (!school) return res.status(404).json({ error: 'School not found' });
+    }
+
+    const { feed, url } = await createFeed(spec);
+    const full = await prisma.calendarFeed.findUnique({ where: { id: feed.id }, include: FEED_INCLUDE });
+    const { tokenHash, ...rest } = full;
+    res.status(201).json({
+      ...rest,
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      message: 'Add this URL to your calendar app. It won\'t be shown again — create a new one if you lose it.',
+    });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route DELETE /api/calendar-feeds/:id
+ * Revoke a feed — its URL stops working immediately.
+ */
+const revokeFeed = async (req, res, next) => {
+  try {
+    const feed = await prisma.calendarFeed.findUnique({ where: { id: req.params.id } });
+    if (!feed || feed.revokedAt) return res.status(404).json({ error: 'Calendar feed not found' });
+
+    const allowed = isSuperRole(req.user)
+      || feed.userId === req.user.id
+      || feed.createdById === req.user.id
+      || (feed.type === 'SCHOOL' && (await ownedSchoolIds(req.user)).includes(feed.schoolId));
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+
+    await prisma.calendarFeed.update({ where: { id: feed.id }, data: { revokedAt: new Date() } });
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) { next(error); }
+};
+
+module.exports = { getFeeds, createCalendarFeed, revokeFeed };
@@ -2,7 +2,8 @@
  * ──────────────────────────────────────────────────────────
  * Certificate Controller
  * ──────────────────────────────────────────────────────────
- * Manages certificate templates and issued certificates.
+ * Manages certificate templates and issued certificates. Rendering and
+ * storage live in services/certificateRenderer.
  *
  * Security:
  *   - Explicit field whitelisting (no mass assignment)
@@ -13,6 +14,58 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const {
+  CERTIFICATE_FIELDS, parseLayout, renderPreview, issueCertificate: issueForPromotionId, certificatePdf,
+  revokeCertificate: revoke, verificationUrl,
+} = require('../services/certificateRenderer');
+
+/** Template as the client sees it — layout parsed, background URL lifted out. */
+function mapTemplate(t) {
+  let layout = {};
+  try { layout = JSON.parse(t.layoutJson || '{}'); } catch { /* shown as empty */ }
+  return {
+    id: t.id,
+    schoolId: t.schoolId,
+    name: t.name,
+    description: t.description,
+    isDefault: t.isDefault,
+    isGlobal: !t.schoolId,
+    layout,
+    backgroundUrl: layout.backgroundUrl || '',
+    createdAt: t.createdAt,
+  };
+}
+
+/** Merge the form's background URL into the layout and validate it. */
+function layoutJsonFrom(body) {
+  const layout = { ...parseLayout(body.layout) };
+  if (body.backgroundUrl !== undefined) {
+    if (body.backgroundUrl) layout.backgroundUrl = body.backgroundUrl;
+    else delete layout.backgroundUrl;
+  }
+  return JSON.stringify(layout);
+}
+
+function mapCertificate(c) {
+  return {
+    id: c.id,
+    studentName: c.studentName,
+    beltName: c.beltName,
+    programName: c.programName,
+    schoolName: c.schoolName,
+    instructorName: c.instructorName,
+    issuedDate: c.awardedDate,
+    certificateNumber: c.verificationCode,
+    verificationCode: c.verificationCode,
+    verifyUrl: verificationUrl(c.verificationCode),
+    status: c.revokedAt ? 'REVOKED' : 'VALID',
+    revokedAt: c.revokedAt,
+    revokeReason: c.revokeReason,
+    pdfUrl: c.pdfUrl,
+    promotionId: c.promotionId,
+    template: c.template ? { id: c.template.id, name: c.template.name } : null,
+  };
+}
 
 // ─── Templates ───────────────────────────────────────────
 
@@ -25,26 +78,28 @@ const getTemplates = async (req, res, next) => {
     }
 
     const { skip, take, page, limit } = parsePagination(req.query);
-    const where = {};
-    if (schoolId) where.schoolId = schoolId;
+    // A school sees its own templates plus the global ones
+    const scope = schoolId || (isSuperRole(req.user) ? null : req.user.schoolId);
+    const where = scope ? { OR: [{ schoolId: scope }, { schoolId: null }] } : {};
 
     const [templates, total] = await Promise.all([
       prisma.certificateTemplate.findMany({
         where,
-        orderBy: { createdAt: 'desc' },
+        orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }],
         skip,
         take,
       }),
       prisma.certificateTemplate.count({ where }),
     ]);
 
-    res.json(paginatedResponse(templates, total, page, limit));
+    res.json(paginatedResponse(templates.map(mapTemplate), total, page, limit));
   } catch (error) { next(error); }
 };
 
 /**
  * Create certificate template. Field whitelist prevents mass assignment.
- * @route POST /api/certificates/:schoolId/templates
+ * Marking it default clears the school's previous default.
+ * @route POST /api/certificates/templates
  */
 const createTemplate = async (req, res, next) => {
   try {
@@ -54,12 +109,19 @@ const createTemplate = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { name, description, designConfig, isActive } = req.body;
-    const template = await prisma.certificateTemplate.create({
-      data: { schoolId, name, description, designConfig, isActive },
+    const { name, description, isDefault } = req.body;
+    const layoutJson = layoutJsonFrom(req.body);
+    const template = await prisma.$transaction(async (tx) => {
+      if (isDefault) await tx.certificateTemplate.updateMany({ where: { schoolId, isDefault: true }, data: { isDefault: false } });
+      return tx.certificateTemplate.create({
+        data: { schoolId, name, description, layoutJson, isDefault: !!isDefault },
+      });
     });
-    res.status(201).json(template);
-  } catch (error) { next(error); }
+    res.status(201).json(mapTemplate(template));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
 };
 
 /** @route PUT /api/certificates/templates/:id — Ownership check + field whitelist */
@@ -71,16 +133,28 @@ const updateTemplate = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { name, description, designConfig, isActive } = req.body;
-    const template = await prisma.certificateTemplate.update({
-      where: { id: req.params.id },
-      data: { name, description, designConfig, isActive },
+    const { name, description, isDefault } = req.body;
+    const data = { name, description };
+    if (req.body.layout !== undefined) data.layoutJson = layoutJsonFrom(req.body);
+    if (isDefault !== undefined) data.isDefault = !!isDefault;
+
+    const template = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.certificateTemplate.updateMany({
+          where: { schoolId: existing.schoolId, isDefault: true, id: { not: existing.id } },
+          data: { isDefault: false },
+        });
+      }
+      return tx.certificateTemplate.update({ where: { id: req.params.id }, data });
     });
-    res.json(template);
-  } catch (error) { next(error); }
+    res.json(mapTemplate(template));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
 };
 
-/** @route DELETE /api/certificates/templates/:id — Ownership check */
+/** @route DELETE /api/certificates/templates/:id — Ownership check; templates in use are kept */
 const deleteTemplate = async (req, res, next) => {
   try {
     const existing = await prisma.certificateTemplate.findUnique({ where: { id: req.params.id } });
@@ -89,14 +163,44 @@ const deleteTemplate = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
+    const issued = await prisma.certificate.count({ where: { templateId: existing.id } });
+    if (issued > 0) {
+      return res.status(409).json({ error: `Template is used by ${issued} issued certificate(s) and cannot be deleted` });
+    }
+
     await prisma.certificateTemplate.delete({ where: { id: req.params.id } });
     res.json({ message: 'Template deleted' });
   } catch (error) { next(error); }
 };
 
+/**
+ * Render a layout with sample values so the editor can preview it live.
+ * @route POST /api/certificates/templates/preview — returns an inline PDF
+ */
+const previewTemplate = async (req, res, next) => {
+  try {
+    const { schoolId } = req.body;
+    if (!isSuperRole(req.user) && req.user.schoolId !== schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const buffer = await renderPreview(schoolId, layoutJsonFrom(req.body), `${req.user.firstName} ${req.user.lastName}`);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'inline; filename="certificate-preview.pdf"',
+      'Content-Length': buffer.length,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(buffer);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
 // ─── Certificates ────────────────────────────────────────
 
-/** @route GET /api/certificates — Paginated issued certificates */
+/** @route GET /api/certificates — Paginated issued certificates; students only see their own */
 const getCertificates = async (req, res, next) => {
   try {
     const schoolId = req.params.schoolId || req.query.schoolId;
@@ -105,16 +209,17 @@ const getCertificates = async (req, res, next) => {
     }
 
     const { skip, take, page, limit } = parsePagination(req.query);
-    // Certificate doesn't have schoolId directly - filter through template relation
-    const where = schoolId ? { template: { schoolId } } : {};
+    // Certificate doesn't have schoolId directly - filter through the promotion's enrollment
+    const enrollment = {};
+    if (schoolId) enrollment.schoolId = schoolId;
+    else if (!isSuperRole(req.user)) enrollment.schoolId = req.user.schoolId;
+    if (req.user.role === 'STUDENT') enrollment.studentId = req.user.id;
+    const where = { promotion: { enrollment } };
 
     const [certificates, total] = await Promise.all([
       prisma.certificate.findMany({
         where,
-        include: {
-          template: { select: { id: true, name: true, layoutJson: true } },
-          promotion: { select: { id: true } },
-        },
+        select: { ...CERTIFICATE_FIELDS, template: { select: { id: true, name: true } } },
         orderBy: { createdAt: 'desc' },
         skip,
         take,
@@ -122,54 +227,107 @@ const getCertificates = async (req, res, next) => {
       prisma.certificate.count({ where }),
     ]);
 
-    // Map to expected frontend shape
-    const mapped = certificates.map((c) => ({
-      id: c.id,
-      studentName: c.studentName,
-      beltName: c.beltName,
-      programName: c.programName,
-      schoolName: c.schoolName,
-      issuedDate: c.awardedDate,
-      certificateNumber: c.id.slice(0, 8).toUpperCase(),
-      pdfUrl: c.pdfUrl,
-      template: c.template ? { id: c.template.id, name: c.template.name, layout: c.template.layoutJson } : null,
-    }));
-
-    res.json(paginatedResponse(mapped, total, page, limit));
+    res.json(paginatedResponse(certificates.map(mapCertificate), total, page, limit));
   } catch (error) { next(error); }
 };
 
 /**
- * Issue a certificate to a user. Field whitelist.
- * @route POST /api/certificates/:schoolId/issue
+ * Issue (or re-issue) the certificate for a promotion. Promotions issue one
+ * automatically; this is for a different template or a missed render.
+ * @route POST /api/certificates/generate
  */
 const issueCertificate = async (req, res, next) => {
   try {
-    const schoolId = req.params.schoolId || req.body.schoolId;
-    if (!schoolId) return res.status(400).json({ error: 'schoolId is required' });
-    if (!isSuperRole(req.user) && req.user.schoolId !== schoolId) {
+    const { promotionId, templateId } = req.body;
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: promotionId },
+      select: { enrollment: { select: { schoolId: true } } },
+    });
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== promotion.enrollment.schoolId) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { templateId, userId, beltRank, notes } = req.body;
-    const certificate = await prisma.certificate.create({
-      data: { schoolId, templateId, userId, beltRank, notes, issuedAt: new Date(), issuedBy: req.user.id },
-      include: { user: { select: { firstName: true, lastName: true } }, template: { select: { name: true } } },
-    });
-    res.status(201).json(certificate);
-  } catch (error) { next(error); }
+    const certificate = await issueForPromotionId(promotionId, { templateId });
+    res.status(201).json(mapCertificate(certificate));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
 };
 
 /** @route GET /api/certificates/my — Current user's certificates */
 const getMyCertificates = async (req, res, next) => {
   try {
     const certificates = await prisma.certificate.findMany({
-      where: { userId: req.user.id },
-      include: { template: { select: { name: true, designConfig: true } }, school: { select: { name: true } } },
-      orderBy: { issuedAt: 'desc' },
+      where: { promotion: { enrollment: { studentId: req.user.id } } },
+      select: { ...CERTIFICATE_FIELDS, template: { select: { id: true, name: true } } },
+      orderBy: { awardedDate: 'desc' },
     });
-    res.json(certificates);
+    res.json(certificates.map(mapCertificate));
   } catch (error) { next(error); }
 };
 
-module.exports = { getTemplates, createTemplate, updateTemplate, deleteTemplate, getCertificates, issueCertificate, getMyCertificates };
+/**
+ * Revoke a certificate (issued in error, rank stripped…). Audit-logged; the
+ * public verify page reports it as revoked from then on.
+ * @route POST /api/certificates/:id/revoke
+ */
+const revokeCertificate = async (req, res, next) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { id: req.params.id },
+      select: { promotion: { select: { enrollment: { select: { schoolId: true } } } } },
+    });
+    if (!certificate) return res.status(404).json({ error: 'Certificate not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== certificate.promotion.enrollment.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const revoked = await revoke(req.params.id, { reason: req.body.reason, performedBy: req.user.id, req });
+    res.json(mapCertificate(revoked));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+/** @route GET /api/certificates/:id/pdf — Staff of the school or the certificate's student */
+const downloadCertificatePdf = async (req, res, next) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { id: req.params.id },
+      select: { promotion: { select: { enrollment: { select: { schoolId: true, studentId: true } } } } },
+    });
+    const enrollment = certificate?.promotion.enrollment;
+    const allowed = enrollment && (req.user.role === 'STUDENT'
+      ? enrollment.studentId === req.user.id
+      : isSuperRole(req.user) || req.user.schoolId === enrollment.schoolId);
+    if (!allowed) return res.status(404).json({ error: 'Certificate not found' });
+
+    const { buffer, filename } = await certificatePdf(req.params.id);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(buffer);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  getCertificates,
+  issueCertificate,
+  getMyCertificates,
+  downloadCertificatePdf,
+  revokeCertificate,
+};
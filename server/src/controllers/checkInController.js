@@ -1,4 +1,47 @@
 const prisma = require('../config/database');
+const { consumeCredit, refundCreditForCheckIn } = require('../services/classCredits');
+const { findActiveFreeze } = require('../services/subscriptionFreezes');
+const { qrTokenSessionId, verifyQrToken } = require('../services/checkInQr');
+const { findMember, openSealedCredential } = require('../services/kioskDevices');
+const { reviewQueuedItem } = require('../services/queuedCheckIns');
+const { TIME_ZONE_SELECT } = require('../services/schoolTime');
+const { unknownCredentialBudget, countUnknownCredential } = require('../middleware/kiosk');
+const { writeAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+const { claimSpot, markAttended, releaseCheckIn, promoteWaitlist } = require('../services/reservations');
+const { refreshBeltProgress } = require('../services/beltProgress');
+const {
+  RULE_FIELDS, DEFAULT_POLICY, getPolicy, evaluateEligibility, notEligibleError,
+} = require('../services/checkInEligibility');
+const { canManageSchool } = require('../utils/authorization');
+const { findGuardianFamily, canAttend, guardiansOfChildren } = require('../services/familyCheckIn');
+const {
+  CHECK_OUT_SESSION_SELECT, checkOut, confirmPickup, sessionRoster,
+} = require('../services/checkOuts');
+
+/**
+ * Build the credit/freeze/eligibility portion of a check-in response. Warns
+ * staff when the student just used their last credit, was checked in on an
+ * override, trained while their membership is frozen, or failed a check-in
+ * rule set to WARN (`notices`).
+ */
+function creditSummary(credits, freeze = null, notices = []) {
+  const warnings = notices.map((n) => n.message);
+  if (credits?.overdrawn) {
+    warnings.push(`No class credits remaining on ${credits.planName} — checked in by override (balance ${credits.remaining})`);
+  } else if (credits?.remaining === 0) {
+    warnings.push(`Last class credit on ${credits.planName} used`);
+  }
+  if (freeze) {
+    warnings.push(`Membership is frozen (${freeze.reason.toLowerCase()}) until ${freeze.endDate.toISOString().slice(0, 10)} — check-in flagged`);
+  }
+  return {
+    ...(credits && { credits }),
+    ...(freeze && { frozen: true }),
+    ...(notices.length && { eligibility: notices }),
+    ...(warnings.length && { warning: warnings.join('. ') }),
+  };
+}
 
 /**
  * POST /api/checkins
@@ -6,14 +49,13 @@ const prisma = require('../config/database');
  */
 const checkIn = async (req, res, next) => {
   try {
-    const { sessionId, studentId, method } = req.body;
+    const { sessionId, studentId, method, overrideCredits, overrideEligibility } = req.body;
 
     // Validate session exists and is active
     const session = await prisma.classSession.findUnique({
       where: { id: sessionId },
       include: {
-        class: { select: { capacity: true } },
-        _count: { select: { checkIns: true } },
+        class: { select: { capacity: true, schoolId: true } },
       },
     });
 
@@ -25,14 +67,9 @@ const checkIn = async (req, res, next) => {
       return res.status(400).json({ error: 'Cannot check into a cancelled session' });
     }
 
-    if (session.status === 'COMPLETED') {
-      return res.status(400).json({ error: 'Session has already ended' });
-    }
-
-    // Check capacity
-    if (session._count.checkIns >= session.class.capacity) {
-      return res.status(400).json({ error: 'Class is at capacity' });
-    }
+    // Staff can still record attendance after the lifecycle scheduler has
+    // completed the class; belt attendance is recounted below
+    const ended = session.status === 'COMPLETED';
 
     // Validate student exists
     const student = await prisma.user.findUnique({ where: { id: studentId } });
@@ -40,45 +77,91 @@ const checkIn = async (req, res, next) => {
       return res.status(404).json({ error: 'Student not found' });
     }
 
+    // The school's check-in rules; staff may override a block, which is audited
+    const eligibility = await evaluateEligibility({ studentId, schoolId: session.class.schoolId });
+    const overridden = eligibility.blocked.length > 0;
+    if (overridden && overrideEligibility !== true) {
+      throw notEligibleError(eligibility.blocked, { canOverride: true });
+    }
+
     // Determine check-in method and admin reference
     const checkedInBy = method === 'ADMIN' ? req.user.id : null;
 
-    const checkInRecord = await prisma.checkIn.create({
-      data: {
-        sessionId,
+    // Create the check-in and take a class credit atomically; staff may
+    // override an empty balance (the response carries a warning instead)
+    // Check-ins during a freeze are allowed but flagged for staff review
+    const freeze = await findActiveFreeze(prisma, studentId, session.class.schoolId);
+
+    const { checkInRecord, credits } = await prisma.$transaction(async (tx) => {
+      // Capacity counts held reservations; a booked student uses their own spot
+      const booking = await claimSpot(tx, session, studentId);
+      const record = await tx.checkIn.create({
+        data: {
+          sessionId,
+          studentId,
+          method: method || 'ADMIN',
+          checkedInBy,
+          freezeId: freeze?.id,
+        },
+        include: {
+          student: { select: { id: true, firstName: true, lastName: true, email: true } },
+          session: { select: { id: true, class: { select: { name: true } }, sessionDate: true } },
+        },
+      });
+      const charged = await consumeCredit(tx, {
         studentId,
-        method: method || 'ADMIN',
-        checkedInBy,
-      },
-      include: {
-        student: { select: { id: true, firstName: true, lastName: true, email: true } },
-        session: { select: { id: true, class: { select: { name: true } }, sessionDate: true } },
-      },
+        schoolId: session.class.schoolId,
+        checkInId: record.id,
+        performedById: req.user.id,
+        allowOverdraw: overrideCredits === true,
+      });
+      await markAttended(tx, booking, record.id);
+      return { checkInRecord: record, credits: charged };
     });
 
-    res.status(201).json(checkInRecord);
+    if (ended) await refreshBeltProgress({ studentIds: [studentId], schoolId: session.class.schoolId });
+    if (overridden) {
+      await writeAudit(req.user.id, 'CHECK_IN_ELIGIBILITY_OVERRIDE', 'CheckIn', checkInRecord.id, {
+        sessionId, studentId, issues: eligibility.blocked,
+      }, req);
+    }
+
+    const notices = [
+      ...eligibility.warnings,
+      ...eligibility.blocked.map((i) => ({ ...i, message: `${i.message} — checked in by override` })),
+    ];
+    res.status(201).json({ ...checkInRecord, ...creditSummary(credits, freeze, notices) });
   } catch (error) {
     // Unique constraint violation = already checked in
     if (error.code === 'P2002') {
       return res.status(409).json({ error: 'Student is already checked into this session' });
     }
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        reason: error.reason,
+        ...(error.issues && { issues: error.issues }),
+        canOverride: error.canOverride ?? error.reason === 'NO_CREDITS',
+      });
+    }
     next(error);
   }
 };
 
 /**
  * POST /api/checkins/qr
- * Check in via QR code
+ * Check the logged-in student in by scanning the kiosk's rotating QR token
  */
 const checkInByQr = async (req, res, next) => {
   try {
-    const { qrCode, studentId } = req.body;
+    const { qrCode } = req.body;
+    const studentId = req.user.id;
 
-    const session = await prisma.classSession.findUnique({
-      where: { qrCode },
+    const sessionId = qrTokenSessionId(qrCode);
+    const session = sessionId && await prisma.classSession.findUnique({
+      where: { id: sessionId },
       include: {
-        class: { select: { capacity: true, name: true } },
-        _count: { select: { checkIns: true } },
+        class: { select: { capacity: true, name: true, schoolId: true } },
       },
     });
 
@@ -86,89 +169,442 @@ const checkInByQr = async (req, res, next) => {
       return res.status(404).json({ error: 'Invalid QR code' });
     }
 
+    verifyQrToken(qrCode, session);
+
     if (session.status === 'CANCELLED' || session.status === 'COMPLETED') {
       return res.status(400).json({ error: 'Session is not active' });
     }
 
-    if (session._count.checkIns >= session.class.capacity) {
-      return res.status(400).json({ error: 'Class is at capacity' });
-    }
+    const eligibility = await evaluateEligibility({ studentId, schoolId: session.class.schoolId });
+    if (eligibility.blocked.length) throw notEligibleError(eligibility.blocked);
 
-    const checkInRecord = await prisma.checkIn.create({
-      data: {
-        sessionId: session.id,
+    const freeze = await findActiveFreeze(prisma, studentId, session.class.schoolId);
+
+    const { checkInRecord, credits } = await prisma.$transaction(async (tx) => {
+      // Capacity counts held reservations; a booked student uses their own spot
+      const booking = await claimSpot(tx, session, studentId);
+      const record = await tx.checkIn.create({
+        data: {
+          sessionId: session.id,
+          studentId,
+          method: 'QR_CODE',
+          freezeId: freeze?.id,
+        },
+        include: {
+          student: { select: { id: true, firstName: true, lastName: true } },
+        },
+      });
+      const charged = await consumeCredit(tx, {
         studentId,
-        method: 'QR_CODE',
-      },
-      include: {
-        student: { select: { id: true, firstName: true, lastName: true } },
-      },
+        schoolId: session.class.schoolId,
+        checkInId: record.id,
+      });
+      await markAttended(tx, booking, record.id);
+      return { checkInRecord: record, credits: charged };
     });
 
     res.status(201).json({
       ...checkInRecord,
       className: session.class.name,
+      ...creditSummary(credits, freeze, eligibility.warnings),
     });
   } catch (error) {
     if (error.code === 'P2002') {
       return res.status(409).json({ error: 'Already checked in to this session' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, reason: error.reason, ...(error.issues && { issues: error.issues }) });
+    }
     next(error);
   }
 };
 
+/** Record a kiosk check-in attempt against the device that made it. */
+function auditKiosk(req, action, details, studentId = null) {
+  return writeAudit(studentId, action, 'KioskDevice', req.kioskDevice.id, details, req);
+}
+
+const KIOSK_SESSION_INCLUDE = {
+  class: { select: { capacity: true, name: true, schoolId: true, school: { select: TIME_ZONE_SELECT } } },
+};
+
+const STUDENT_INCLUDE = {
+  student: { select: { id: true, firstName: true, lastName: true } },
+};
+
 /**
- * POST /api/checkins/kiosk
- * Check in via kiosk (student self-service by email)
+ * Check a student in at a kiosk — shared by live and queued check-ins.
+ * A queued (`offline`) check-in already happened while the kiosk had no
+ * connection, so a class that filled up meanwhile, an empty credit balance
+ * or a failed check-in rule doesn't undo it: it's recorded with what it got
+ * past in `reviewFlags` (OVER_CAPACITY, NO_CREDITS or the rule) for staff to
+ * review (see queuedCheckIns for when a queued item counts as offline).
+ * Live check-ins a rule blocks are refused with NOT_ELIGIBLE.
+ * @param {string} [clientRef] - the kiosk's ID for a queued item
+ * @param {Object} [offline] - { checkedInAt } for check-ins that happened offline
  */
-const checkInByKiosk = async (req, res, next) => {
-  try {
-    const { sessionId, email } = req.body;
+async function recordKioskCheckIn({ device, session, student, clientRef = null, offline = null }) {
+  const eligibility = await evaluateEligibility({ studentId: student.id, schoolId: session.class.schoolId });
+  if (eligibility.blocked.length && !offline) throw notEligibleError(eligibility.blocked);
+  const notices = [
+    ...eligibility.warnings,
+    ...eligibility.blocked.map((i) => ({ ...i, message: `${i.message} — checked in while offline` })),
+  ];
 
-    const student = await prisma.user.findUnique({ where: { email } });
-    if (!student) {
-      return res.status(404).json({ error: 'No student found with that email' });
+  const freeze = await findActiveFreeze(prisma, student.id, session.class.schoolId);
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Capacity counts held reservations; a booked student uses their own spot
+    let booking;
+    let overCapacity = false;
+    try {
+      booking = await claimSpot(tx, session, student.id);
+    } catch (error) {
+      if (!offline || error.reason !== 'AT_CAPACITY') throw error;
+      overCapacity = true;
+      booking = await tx.reservation.findFirst({
+        where: { sessionId: session.id, studentId: student.id, status: 'WAITLISTED' },
+      });
     }
+    let record = await tx.checkIn.create({
+      data: {
+        sessionId: session.id,
+        studentId: student.id,
+        method: 'KIOSK',
+        kioskDeviceId: device.id,
+        freezeId: freeze?.id,
+        ...(clientRef && { clientRef }),
+        ...(offline && { checkedInAt: offline.checkedInAt }),
+      },
+      include: STUDENT_INCLUDE,
+    });
+    const charged = await consumeCredit(tx, {
+      studentId: student.id,
+      schoolId: session.class.schoolId,
+      checkInId: record.id,
+      allowOverdraw: Boolean(offline),
+    });
+    const reviewFlags = [
+      ...eligibility.blocked.map((i) => i.rule),
+      ...(overCapacity ? ['OVER_CAPACITY'] : []),
+      ...(charged?.overdrawn ? ['NO_CREDITS'] : []),
+    ];
+    if (reviewFlags.length) {
+      record = await tx.checkIn.update({ where: { id: record.id }, data: { reviewFlags }, include: STUDENT_INCLUDE });
+    }
+    await markAttended(tx, booking, record.id);
+    return { checkInRecord: record, credits: charged, overCapacity };
+  });
+  return { ...result, freeze, notices };
+}
 
+/**
+ * POST /api/checkins/kiosk
+ * Check in at a paired kiosk (X-Kiosk-Token) with a member PIN or card.
+ * Body: { sessionId, pin } or { sessionId, cardCode }
+ */
+const checkInByKiosk = async (req, res, next) => {
+  const { sessionId, pin, cardCode } = req.body;
+  const via = cardCode ? 'CARD' : 'PIN';
+  const device = req.kioskDevice;
+  let student = null;
+
+  try {
     const session = await prisma.classSession.findUnique({
       where: { id: sessionId },
-      include: {
-        class: { select: { capacity: true, name: true } },
-        _count: { select: { checkIns: true } },
-      },
+      include: KIOSK_SESSION_INCLUDE,
     });
 
-    if (!session) {
+    // A kiosk only serves its own school
+    if (!session || session.class.schoolId !== device.schoolId) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    student = await findMember(device.schoolId, { pin, cardCode });
+    if (!student) {
+      // Same answer whether or not the PIN exists — the kiosk doesn't reveal members
+      res.locals.unknownCredential = true;
+      await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { sessionId, via, reason: 'UNKNOWN_CREDENTIAL' });
+      return res.status(404).json({ error: via === 'CARD' ? 'Card not recognised' : 'PIN not recognised' });
+    }
+
     if (session.status === 'CANCELLED' || session.status === 'COMPLETED') {
+      await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { sessionId, via, reason: 'SESSION_INACTIVE' }, student.id);
       return res.status(400).json({ error: 'Session is not active' });
     }
 
-    if (session._count.checkIns >= session.class.capacity) {
-      return res.status(400).json({ error: 'Class is at capacity' });
-    }
-
-    const checkInRecord = await prisma.checkIn.create({
-      data: {
-        sessionId,
-        studentId: student.id,
-        method: 'KIOSK',
-      },
-      include: {
-        student: { select: { id: true, firstName: true, lastName: true } },
-      },
-    });
+    const { checkInRecord, credits, freeze, notices } = await recordKioskCheckIn({ device, session, student });
+    await auditKiosk(req, 'KIOSK_CHECK_IN', { sessionId, via, checkInId: checkInRecord.id }, student.id);
 
     res.status(201).json({
       ...checkInRecord,
       className: session.class.name,
+      ...creditSummary(credits, freeze, notices),
     });
   } catch (error) {
+    if (student && (error.code === 'P2002' || error.status)) {
+      await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', {
+        sessionId,
+        via,
+        reason: error.code === 'P2002' ? 'ALREADY_CHECKED_IN' : error.reason || 'REJECTED',
+        ...(error.issues && { issues: error.issues }),
+      }, student.id).catch((auditError) => logger.warn(`Kiosk audit failed: ${auditError.message}`));
+    }
     if (error.code === 'P2002') {
       return res.status(409).json({ error: 'Already checked in to this session' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, reason: error.reason, ...(error.issues && { issues: error.issues }) });
+    }
+    next(error);
+  }
+};
+
+// ─── Family check-in at the kiosk ────────────────────────
+
+/**
+ * Check one family member into one session for their guardian. Like a
+ * queued check-in, never throws for a problem with the item — the result
+ * (CHECKED_IN, DUPLICATE or REJECTED with a `reason`) says what happened.
+ */
+async function checkInFamilyMember(req, { guardian, member, session, studentId, sessionId, via }) {
+  const result = (status, extra = {}) => ({
+    studentId,
+    sessionId,
+    ...(member && { name: member.firstName }),
+    status,
+    ...extra,
+  });
+
+  if (!member) return result('REJECTED', { reason: 'NOT_IN_FAMILY', error: 'Not a member of your family at this school' });
+  if (!session) return result('REJECTED', { reason: 'SESSION_NOT_FOUND', error: 'Session not found' });
+  if (session.status === 'CANCELLED' || session.status === 'COMPLETED') {
+    return result('REJECTED', { reason: 'SESSION_INACTIVE', error: 'Session is not active' });
+  }
+  if (!canAttend(member, session)) {
+    return result('REJECTED', { reason: 'NOT_IN_PROGRAM', error: `${member.firstName} isn't enrolled in the program for ${session.class.name}` });
+  }
+
+  try {
+    const { checkInRecord, credits, freeze, notices } = await recordKioskCheckIn({ device: req.kioskDevice, session, student: member });
+    await auditKiosk(req, 'KIOSK_CHECK_IN', { sessionId, via, checkInId: checkInRecord.id, guardianId: guardian.id }, member.id);
+    return result('CHECKED_IN', {
+      checkIn: checkInRecord,
+      className: session.class.name,
+      ...creditSummary(credits, freeze, notices),
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return result('DUPLICATE', { error: 'Already checked in to this session' });
+    if (!error.status) throw error;
+    await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', {
+      sessionId,
+      via,
+      reason: error.reason || 'REJECTED',
+      guardianId: guardian.id,
+      ...(error.issues && { issues: error.issues }),
+    }, member.id);
+    return result('REJECTED', { reason: error.reason || 'REJECTED', error: error.message, ...(error.issues && { issues: error.issues }) });
+  }
+}
+
+/**
+ * POST /api/checkins/kiosk/family
+ * A guardian checks family members in at a paired kiosk (X-Kiosk-Token),
+ * identifying once with their own PIN or card. Each child can go into a
+ * different session.
+ * Body: { pin | cardCode, checkIns: [{ studentId, sessionId }] }
+ * Returns a result per check-in, in order.
+ */
+const checkInFamilyByKiosk = async (req, res, next) => {
+  try {
+    const device = req.kioskDevice;
+    const { checkIns } = req.body;
+    const via = req.body.cardCode ? 'CARD' : 'PIN';
+
+    const guardian = await findMember(device.schoolId, req.body);
+    if (!guardian) {
+      res.locals.unknownCredential = true;
+      await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { via, reason: 'UNKNOWN_CREDENTIAL', family: true });
+      return res.status(404).json({ error: via === 'CARD' ? 'Card not recognised' : 'PIN not recognised' });
+    }
+    const family = await findGuardianFamily(device.schoolId, guardian.id);
+    if (!family) {
+      return res.status(404).json({ error: 'No family is linked to this member — check in with your own PIN or card', reason: 'NOT_A_GUARDIAN' });
+    }
+
+    const sessions = await prisma.classSession.findMany({
+      where: {
+        id: { in: [...new Set(checkIns.map((c) => c.sessionId))] },
+        class: { schoolId: device.schoolId }, // a kiosk only serves its own school
+      },
+      include: { class: { select: { ...KIOSK_SESSION_INCLUDE.class.select, programId: true } } },
+    });
+    const byId = new Map(sessions.map((s) => [s.id, s]));
+
+    const results = [];
+    for (const { studentId, sessionId } of checkIns) {
+      results.push(await checkInFamilyMember(req, {
+        guardian,
+        member: family.members.get(studentId),
+        session: byId.get(sessionId),
+        studentId,
+        sessionId,
+        via,
+      }));
+    }
+
+    const summary = { CHECKED_IN: 0, DUPLICATE: 0, REJECTED: 0 };
+    for (const r of results) summary[r.status] += 1;
+    res.json({ guardian: { id: guardian.id, firstName: guardian.firstName }, results, summary });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ─── Queued (offline) kiosk check-ins ────────────────────
+
+/**
+ * Sync one queued check-in. Never throws for a problem with the item
+ * itself — the result says what happened:
+ *
+ *   CHECKED_IN  recorded now, or earlier by this same item (`replayed`)
+ *   DUPLICATE   the student was already checked in some other way
+ *   REJECTED    not recorded; `reason` says why
+ */
+async function syncQueuedCheckIn(req, item, session, batch) {
+  const device = req.kioskDevice;
+  const { clientId, sessionId } = item;
+  // Kiosks queue the PIN or card sealed; one that doesn't open matches no one
+  const credential = item.sealed ? openSealedCredential(device.id, item.sealed) : item;
+  const via = credential?.cardCode ? 'CARD' : 'PIN';
+  const result = (status, extra = {}) => ({ clientId, sessionId, status, ...extra });
+
+  const replayOf = () => prisma.checkIn.findUnique({
+    where: { kioskDeviceId_clientRef: { kioskDeviceId: device.id, clientRef: clientId } },
+    include: STUDENT_INCLUDE,
+  });
+  const existingFor = (student) => prisma.checkIn.findUnique({
+    where: { sessionId_studentId: { sessionId, studentId: student.id } },
+    include: STUDENT_INCLUDE,
+  });
+
+  // Sending the same item again (a retry after a dropped response) gets the same answer
+  const replay = await replayOf();
+  if (replay) return result('CHECKED_IN', { checkIn: replay, replayed: true });
+
+  if (!session) return result('REJECTED', { reason: 'SESSION_NOT_FOUND', error: 'Session not found' });
+  if (session.status === 'CANCELLED') {
+    return result('REJECTED', { reason: 'SESSION_CANCELLED', error: 'Session was cancelled' });
+  }
+  // Only recent sessions, at a time within the session, are synced as having happened offline
+  const review = reviewQueuedItem(session, item.checkedInAt);
+  if (review.reason) return result('REJECTED', { reason: review.reason, error: review.error });
+  // Each unrecognised PIN / card counts against the device's limit, like a failed single check-in
+  if (batch.unknown >= batch.budget) {
+    return result('REJECTED', { reason: 'TOO_MANY_UNKNOWN', error: 'Too many unrecognised PINs or cards — sync again later' });
+  }
+
+  const student = credential && await findMember(device.schoolId, credential);
+  if (!student) {
+    batch.unknown += 1;
+    if (batch.unknown > 1) await countUnknownCredential(req);
+    await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { sessionId, via, reason: 'UNKNOWN_CREDENTIAL', offline: true });
+    return result('REJECTED', { reason: 'UNKNOWN_CREDENTIAL', error: via === 'CARD' ? 'Card not recognised' : 'PIN not recognised' });
+  }
+
+  const existing = await existingFor(student);
+  if (existing) return result('DUPLICATE', { checkIn: existing });
+
+  try {
+    const { checkInRecord, credits, freeze, overCapacity, notices } = await recordKioskCheckIn({
+      device,
+      session,
+      student,
+      clientRef: clientId,
+      offline: review.offline,
+    });
+    const { reviewFlags } = checkInRecord;
+    await auditKiosk(req, 'KIOSK_CHECK_IN', {
+      sessionId,
+      via,
+      checkInId: checkInRecord.id,
+      offline: Boolean(review.offline),
+      ...(reviewFlags.length && { reviewFlags }),
+    }, student.id);
+    // Each rule waived for an offline check-in gets its own entry for staff to follow up
+    if (reviewFlags.length) {
+      await writeAudit(student.id, 'KIOSK_OFFLINE_OVERRIDE', 'CheckIn', checkInRecord.id, {
+        sessionId,
+        kioskDeviceId: device.id,
+        checkedInAt: checkInRecord.checkedInAt,
+        reviewFlags,
+      }, req);
+      logger.warn(`[Kiosk] Offline check-in ${checkInRecord.id} recorded past ${reviewFlags.join(', ')} — flagged for review`);
+    }
+
+    const summary = creditSummary(credits, freeze, notices);
+    const warning = [overCapacity && 'Class was over capacity', summary.warning].filter(Boolean).join('. ');
+    return result('CHECKED_IN', {
+      checkIn: checkInRecord,
+      ...summary,
+      ...(overCapacity && { overCapacity }),
+      ...(warning && { warning }),
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      // Raced with a retry of this item or another check-in for the student
+      const raced = await replayOf();
+      if (raced) return result('CHECKED_IN', { checkIn: raced, replayed: true });
+      const other = await existingFor(student);
+      if (other) return result('DUPLICATE', { checkIn: other });
+    }
+    if (!error.status) throw error;
+    await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { sessionId, via, reason: error.reason || 'REJECTED', offline: true }, student.id);
+    return result('REJECTED', { reason: error.reason || 'REJECTED', error: error.message });
+  }
+}
+
+/**
+ * POST /api/checkins/kiosk/batch
+ * Sync check-ins a kiosk queued while offline. Idempotent: each item
+ * carries a kiosk-generated clientId, and re-sending an item returns its
+ * original result instead of checking in twice.
+ * Body: { items: [{ clientId, sessionId, sealed | pin | cardCode, checkedInAt }] }
+ * where `sealed` is { iv, data }: the PIN or card sealed with the kiosk's
+ * offline key (see openSealedCredential). Plain pin / cardCode is still
+ * accepted from kiosks that queued before they had a key.
+ * Returns a result per item, in order.
+ */
+const checkInBatchByKiosk = async (req, res, next) => {
+  try {
+    const { items } = req.body;
+    const sessions = await prisma.classSession.findMany({
+      where: {
+        id: { in: [...new Set(items.map((i) => i.sessionId))] },
+        class: { schoolId: req.kioskDevice.schoolId }, // a kiosk only serves its own school
+      },
+      include: KIOSK_SESSION_INCLUDE,
+    });
+    const byId = new Map(sessions.map((s) => [s.id, s]));
+
+    // One at a time, in the order the kiosk queued them, so capacity resolves first-come
+    const batch = { unknown: 0, budget: unknownCredentialBudget(req) };
+    const results = [];
+    for (const item of items) {
+      results.push(await syncQueuedCheckIn(req, item, byId.get(item.sessionId), batch));
+    }
+    if (batch.unknown) res.locals.unknownCredential = true;
+
+    // Check-ins synced after the class ended count toward belt attendance too
+    const late = results.filter((r) => r.status === 'CHECKED_IN' && !r.replayed && byId.get(r.sessionId).status === 'COMPLETED');
+    if (late.length) {
+      await refreshBeltProgress({ studentIds: late.map((r) => r.checkIn.studentId), schoolId: req.kioskDevice.schoolId });
+    }
+
+    const summary = { CHECKED_IN: 0, DUPLICATE: 0, REJECTED: 0 };
+    for (const r of results) summary[r.status] += 1;
+    res.json({ results, summary });
+  } catch (error) {
     next(error);
   }
 };
@@ -193,8 +629,20 @@ const removeCheckIn = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    await prisma.checkIn.delete({ where: { id: req.params.id } });
-    res.json({ message: 'Check-in removed' });
+    // Give back any class credit the check-in consumed, then delete it.
+    // A booked student keeps their reservation; a walk-in's spot goes to the waitlist.
+    const { refunded, spotFreed } = await prisma.$transaction(async (tx) => {
+      const refund = await refundCreditForCheckIn(tx, checkInRecord.id, req.user.id);
+      const freed = await releaseCheckIn(tx, checkInRecord.id);
+      await tx.checkIn.delete({ where: { id: checkInRecord.id } });
+      return { refunded: refund, spotFreed: freed };
+    });
+    if (spotFreed) await promoteWaitlist(checkInRecord.sessionId);
+    if (checkInRecord.session.status === 'COMPLETED') {
+      await refreshBeltProgress({ studentIds: [checkInRecord.studentId], schoolId });
+    }
+
+    res.json({ message: 'Check-in removed', ...(refunded && { credits: refunded }) });
   } catch (error) {
     next(error);
   }
@@ -202,14 +650,17 @@ const removeCheckIn = async (req, res, next) => {
 
 /**
  * GET /api/checkins/attendance/:sessionId
- * Get attendance report for a session
+ * Get attendance report for a session. ?fullOnly=true counts only full
+ * attendances (check-ins not known to have left early).
  */
 const getAttendance = async (req, res, next) => {
   try {
+    const fullOnly = req.query.fullOnly === 'true';
     const session = await prisma.classSession.findUnique({
       where: { id: req.params.sessionId },
       include: {
-        class: { select: { id: true, name: true, discipline: true, capacity: true } },
+        class: { select: { id: true, name: true, discipline: true, capacity: true, instructor: { select: { id: true, firstName: true, lastName: true } } } },
+        instructor: { select: { id: true, firstName: true, lastName: true } },
         checkIns: {
           include: {
             student: { select: { id: true, firstName: true, lastName: true, email: true } },
@@ -224,6 +675,8 @@ const getAttendance = async (req, res, next) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    const counted = fullOnly ? session.checkIns.filter((ci) => ci.fullAttendance !== false) : session.checkIns;
+
     res.json({
       session: {
         id: session.id,
@@ -231,18 +684,30 @@ const getAttendance = async (req, res, next) => {
         startTime: session.startTime,
         endTime: session.endTime,
         status: session.status,
+        // Who taught it — the substitute when there was one
+        instructor: session.instructor || session.class.instructor,
+        substitute: Boolean(session.instructor),
       },
       class: session.class,
       attendance: {
-        total: session.checkIns.length,
+        total: counted.length,
         capacity: session.class.capacity,
         spotsRemaining: session.class.capacity - session.checkIns.length,
-        students: session.checkIns.map((ci) => ({
+        full: session.checkIns.filter((ci) => ci.fullAttendance !== false).length,
+        fullOnly,
+        students: counted.map((ci) => ({
           checkInId: ci.id,
           student: ci.student,
           method: ci.method,
           checkedInAt: ci.checkedInAt,
           checkedInBy: ci.admin || null,
+          frozen: !!ci.freezeId,
+          ...(ci.reviewFlags.length && { reviewFlags: ci.reviewFlags, reviewedAt: ci.reviewedAt }),
+          checkedOutAt: ci.checkedOutAt,
+          checkOutMethod: ci.checkOutMethod,
+          durationMinutes: ci.durationMinutes,
+          fullAttendance: ci.fullAttendance,
+          pickedUpAt: ci.pickedUpAt,
         })),
       },
     });
@@ -251,4 +716,334 @@ const getAttendance = async (req, res, next) => {
   }
 };
 
-module.exports = { checkIn, checkInByQr, checkInByKiosk, removeCheckIn, getAttendance };
+// ─── Check-out and pickup ────────────────────────────────
+
+const CHECK_OUT_INCLUDE = {
+  student: { select: { id: true, firstName: true, lastName: true } },
+  session: { select: CHECK_OUT_SESSION_SELECT },
+};
+
+/** The response for a check-out: the updated check-in plus what the kiosk or staff show. */
+function checkOutSummary(record, session, { awaitingPickup = false } = {}) {
+  return {
+    ...record,
+    className: session.class.name,
+    ...(awaitingPickup && { awaitingPickup }),
+  };
+}
+
+/**
+ * POST /api/checkins/:id/checkout
+ * Staff check a student out. For a child, `pickedUpById` (one of their
+ * guardians) also confirms the pickup — on its own if the child is already
+ * checked out. Body: { pickedUpById? }
+ */
+const staffCheckOut = async (req, res, next) => {
+  try {
+    const record = await prisma.checkIn.findUnique({ where: { id: req.params.id }, include: CHECK_OUT_INCLUDE });
+    if (!record) return res.status(404).json({ error: 'Check-in not found' });
+    const { session } = record;
+    const schoolId = session.class.schoolId;
+    if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const { pickedUpById } = req.body;
+    let updated;
+    if (pickedUpById) {
+      const guardians = (await guardiansOfChildren(schoolId, [record.studentId])).get(record.studentId) || [];
+      if (!guardians.some((g) => g.id === pickedUpById)) {
+        return res.status(400).json({ error: 'Pickup must be by one of the child\'s guardians', reason: 'NOT_A_GUARDIAN' });
+      }
+      updated = await confirmPickup(record, session, { guardianId: pickedUpById, method: 'ADMIN', by: req.user.id });
+      await writeAudit(req.user.id, 'CHILD_PICKED_UP', 'CheckIn', record.id, {
+        sessionId: session.id,
+        studentId: record.studentId,
+        guardianId: pickedUpById,
+      }, req);
+    } else {
+      updated = await checkOut(record, session, { method: 'ADMIN', by: req.user.id });
+    }
+
+    // A late check-out of a finished class can change full-attendance counts
+    if (session.status === 'COMPLETED') {
+      await refreshBeltProgress({ studentIds: [record.studentId], schoolId });
+    }
+    res.json(checkOutSummary({ ...updated, student: record.student }, session));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/checkins/qr/checkout
+ * Check the logged-in student out by scanning the session's rotating QR token
+ */
+const checkOutByQr = async (req, res, next) => {
+  try {
+    const sessionId = qrTokenSessionId(req.body.qrCode);
+    const session = sessionId && await prisma.classSession.findUnique({
+      where: { id: sessionId },
+      select: { ...CHECK_OUT_SESSION_SELECT, qrCode: true },
+    });
+    if (!session) return res.status(404).json({ error: 'Invalid QR code' });
+    verifyQrToken(req.body.qrCode, session);
+
+    const record = await prisma.checkIn.findUnique({
+      where: { sessionId_studentId: { sessionId, studentId: req.user.id } },
+      include: { student: CHECK_OUT_INCLUDE.student },
+    });
+    if (!record) return res.status(404).json({ error: 'You are not checked in to this session' });
+
+    const updated = await checkOut(record, session, { method: 'QR_CODE' });
+    const awaitingPickup = (await guardiansOfChildren(session.class.schoolId, [req.user.id])).has(req.user.id);
+    res.json(checkOutSummary({ ...updated, student: record.student }, session, { awaitingPickup }));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/checkins/kiosk/checkout
+ * Check out at a paired kiosk (X-Kiosk-Token) with a member PIN or card.
+ * A child checking themselves out still waits for a guardian's pickup.
+ * Body: { sessionId, pin } or { sessionId, cardCode }
+ */
+const checkOutByKiosk = async (req, res, next) => {
+  const { sessionId, pin, cardCode } = req.body;
+  const via = cardCode ? 'CARD' : 'PIN';
+  const device = req.kioskDevice;
+
+  try {
+    const session = await prisma.classSession.findUnique({ where: { id: sessionId }, select: CHECK_OUT_SESSION_SELECT });
+    if (!session || session.class.schoolId !== device.schoolId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const student = await findMember(device.schoolId, { pin, cardCode });
+    if (!student) {
+      res.locals.unknownCredential = true;
+      await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { sessionId, via, reason: 'UNKNOWN_CREDENTIAL', checkOut: true });
+      return res.status(404).json({ error: via === 'CARD' ? 'Card not recognised' : 'PIN not recognised' });
+    }
+
+    const record = await prisma.checkIn.findUnique({
+      where: { sessionId_studentId: { sessionId, studentId: student.id } },
+      include: { student: CHECK_OUT_INCLUDE.student },
+    });
+    if (!record) return res.status(404).json({ error: 'You are not checked in to this session' });
+
+    const updated = await checkOut(record, session, { method: 'KIOSK' });
+    await auditKiosk(req, 'KIOSK_CHECK_OUT', { sessionId, via, checkInId: record.id }, student.id);
+    const awaitingPickup = (await guardiansOfChildren(device.schoolId, [student.id])).has(student.id);
+    res.json(checkOutSummary({ ...updated, student: record.student }, session, { awaitingPickup }));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/checkins/kiosk/family/checkout
+ * A guardian, identified by their own PIN or card, checks family members
+ * out at the kiosk — confirming the pickup for children.
+ * Body: { pin | cardCode, checkInIds: [...] }
+ * Returns a result per check-in: CHECKED_OUT, PICKED_UP or REJECTED.
+ */
+const checkOutFamilyByKiosk = async (req, res, next) => {
+  try {
+    const device = req.kioskDevice;
+    const via = req.body.cardCode ? 'CARD' : 'PIN';
+
+    const guardian = await findMember(device.schoolId, req.body);
+    if (!guardian) {
+      res.locals.unknownCredential = true;
+      await auditKiosk(req, 'KIOSK_CHECK_IN_FAILED', { via, reason: 'UNKNOWN_CREDENTIAL', family: true, checkOut: true });
+      return res.status(404).json({ error: via === 'CARD' ? 'Card not recognised' : 'PIN not recognised' });
+    }
+    const family = await findGuardianFamily(device.schoolId, guardian.id);
+    if (!family) {
+      return res.status(404).json({ error: 'No family is linked to this member — check out with your own PIN or card', reason: 'NOT_A_GUARDIAN' });
+    }
+
+    const records = await prisma.checkIn.findMany({
+      where: { id: { in: req.body.checkInIds }, session: { class: { schoolId: device.schoolId } } },
+      include: CHECK_OUT_INCLUDE,
+    });
+    const byId = new Map(records.map((r) => [r.id, r]));
+
+    const results = [];
+    for (const checkInId of req.body.checkInIds) {
+      const record = byId.get(checkInId);
+      const member = record && family.members.get(record.studentId);
+      if (!member) {
+        results.push({ checkInId, status: 'REJECTED', reason: 'NOT_IN_FAMILY', error: 'Not a check-in of your family at this school' });
+        continue;
+      }
+      const result = { checkInId, studentId: member.id, name: member.firstName, className: record.session.class.name };
+      try {
+        if (member.familyRole === 'CHILD') {
+          await confirmPickup(record, record.session, { guardianId: guardian.id, method: 'KIOSK', by: guardian.id });
+          await auditKiosk(req, 'CHILD_PICKED_UP', { sessionId: record.sessionId, via, checkInId, guardianId: guardian.id }, member.id);
+          results.push({ ...result, status: 'PICKED_UP' });
+        } else {
+          await checkOut(record, record.session, { method: 'KIOSK', by: guardian.id });
+          await auditKiosk(req, 'KIOSK_CHECK_OUT', { sessionId: record.sessionId, via, checkInId, guardianId: guardian.id }, member.id);
+          results.push({ ...result, status: 'CHECKED_OUT' });
+        }
+      } catch (error) {
+        if (!error.status) throw error;
+        results.push({ ...result, status: 'REJECTED', reason: error.reason, error: error.message });
+      }
+    }
+
+    res.json({ guardian: { id: guardian.id, firstName: guardian.firstName }, results });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/checkins/roster/:sessionId
+ * Live roster: who's on the mat now, children waiting for pickup (with
+ * their guardians) and who has left.
+ */
+const getRoster = async (req, res, next) => {
+  try {
+    const session = await prisma.classSession.findUnique({ where: { id: req.params.sessionId }, select: CHECK_OUT_SESSION_SELECT });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!(await canManageSchool(req.user, session.class.schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const roster = await sessionRoster(session);
+    res.json({ session: { id: session.id, status: session.status, startTime: session.startTime, endTime: session.endTime, className: session.class.name }, ...roster });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ─── Offline check-in review ─────────────────────────────
+
+/**
+ * GET /api/checkins/review/:schoolId
+ * Offline kiosk check-ins recorded past a full class, an empty credit
+ * balance or a check-in rule that staff haven't reviewed yet, oldest first.
+ */
+const getFlaggedCheckIns = async (req, res, next) => {
+  try {
+    const { schoolId } = req.params;
+    if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const checkIns = await prisma.checkIn.findMany({
+      where: { session: { class: { schoolId } }, reviewFlags: { isEmpty: false }, reviewedAt: null },
+      include: {
+        student: { select: { id: true, firstName: true, lastName: true, email: true } },
+        session: { select: { id: true, sessionDate: true, startTime: true, class: { select: { id: true, name: true } } } },
+        kioskDevice: { select: { id: true, name: true } },
+      },
+      orderBy: { checkedInAt: 'asc' },
+    });
+    res.json(checkIns);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/checkins/:id/review
+ * Mark a flagged offline check-in as reviewed. Undoing it, if staff decide
+ * it shouldn't stand, is DELETE /api/checkins/:id as usual.
+ */
+const reviewCheckIn = async (req, res, next) => {
+  try {
+    const record = await prisma.checkIn.findUnique({
+      where: { id: req.params.id },
+      include: { session: { select: { class: { select: { schoolId: true } } } } },
+    });
+    if (!record) return res.status(404).json({ error: 'Check-in not found' });
+    if (!(await canManageSchool(req.user, record.session.class.schoolId))) return res.status(403).json({ error: 'Access denied' });
+    if (record.reviewFlags.length === 0) return res.status(400).json({ error: 'Check-in is not flagged for review' });
+
+    const updated = await prisma.checkIn.update({
+      where: { id: record.id },
+      data: { reviewedAt: new Date(), reviewedById: req.user.id },
+    });
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ─── Eligibility policy ──────────────────────────────────
+
+const POLICY_FIELDS = [...Object.values(RULE_FIELDS), 'overdueInvoiceDays'];
+
+/**
+ * GET /api/checkins/policy/:schoolId
+ * The school's check-in eligibility rules (all IGNORE until set)
+ */
+const getCheckInPolicy = async (req, res, next) => {
+  try {
+    const { schoolId } = req.params;
+    if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const policy = await getPolicy(schoolId);
+    const requiredWaivers = await prisma.waiverTemplate.findMany({
+      where: { schoolId, isActive: true, isRequired: true },
+      select: { id: true, title: true },
+    });
+    res.json({ ...policy, requiredWaivers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/checkins/policy/:schoolId
+ * Set any of: waiverRule, enrollmentRule, overdueInvoiceRule, membershipRule
+ * (BLOCK | WARN | IGNORE) and overdueInvoiceDays
+ */
+const updateCheckInPolicy = async (req, res, next) => {
+  try {
+    const { schoolId } = req.params;
+    if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const data = {};
+    for (const field of POLICY_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+    const before = await getPolicy(schoolId);
+    const policy = await prisma.checkInPolicy.upsert({
+      where: { schoolId },
+      create: { ...DEFAULT_POLICY, ...data, schoolId, updatedById: req.user.id },
+      update: { ...data, updatedById: req.user.id },
+    });
+
+    const changes = Object.fromEntries(POLICY_FIELDS
+      .filter((f) => before[f] !== policy[f])
+      .map((f) => [f, { from: before[f], to: policy[f] }]));
+    await writeAudit(req.user.id, 'CHECK_IN_POLICY_UPDATED', 'School', schoolId, { changes }, req);
+
+    res.json(policy);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  checkIn,
+  checkInByQr,
+  checkInByKiosk,
+  checkInBatchByKiosk,
+  checkInFamilyByKiosk,
+  removeCheckIn,
+  getAttendance,
+  staffCheckOut,
+  checkOutByQr,
+  checkOutByKiosk,
+  checkOutFamilyByKiosk,
+  getRoster,
+  getFlaggedCheckIns,
+  reviewCheckIn,
+  getCheckInPolicy,
+  updateCheckInPolicy,
+};
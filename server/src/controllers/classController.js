@@ -1,6 +1,22 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const { syncSchedule, removeFutureSessions } = require('../services/sessionGenerator');
+const {
+  scheduleConflicts,
+  classConflicts,
+  requireSchoolRoom,
+  assertNoConflicts,
+  conflictResponse,
+} = require('../services/scheduleConflicts');
+
+/** 409 with the conflict list, 400 for a bad room, else the error handler. */
+const handleError = (res, next, error) => {
+  const conflict = conflictResponse(error);
+  if (conflict) return res.status(409).json(conflict);
+  if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+  return next(error);
+};
 
 /**
  * POST /api/classes
@@ -8,7 +24,7 @@ const { parsePagination, paginatedResponse } = require('../utils/pagination');
  */
 const createClass = async (req, res, next) => {
   try {
-    const { name, discipline, skillLevel, capacity, description, instructorId, schoolId, schedules } = req.body;
+    const { name, discipline, skillLevel, capacity, description, instructorId, roomId, schoolId, schedules, overrideConflicts } = req.body;
 
     // Determine school — SUPER_ADMIN can specify any school, OWNER uses their school, INSTRUCTOR uses their affiliated school
     let resolvedSchoolId = schoolId;
@@ -29,6 +45,14 @@ const createClass = async (req, res, next) => {
     const assignedInstructor =
       req.user.role === 'INSTRUCTOR' ? req.user.id : instructorId || req.user.id;
 
+    await requireSchoolRoom(roomId, resolvedSchoolId);
+    const planned = { instructorId: assignedInstructor, roomId: roomId || null, schoolId: resolvedSchoolId };
+    const conflicts = [];
+    for (const s of schedules || []) {
+      conflicts.push(...await scheduleConflicts({ ...s, effectiveFrom: s.effectiveFrom ? new Date(s.effectiveFrom) : null }, planned));
+    }
+    assertNoConflicts(conflicts, overrideConflicts === true);
+
     const newClass = await prisma.class.create({
       data: {
         name,
@@ -37,6 +61,7 @@ const createClass = async (req, res, next) => {
         capacity,
         description: description || null,
         instructorId: assignedInstructor,
+        roomId: roomId || null,
         schoolId: resolvedSchoolId,
         schedules: schedules
           ? {
@@ -52,14 +77,18 @@ const createClass = async (req, res, next) => {
       },
       include: {
         instructor: { select: { id: true, firstName: true, lastName: true } },
+        room: { select: { id: true, name: true } },
         school: { select: { id: true, name: true } },
         schedules: true,
       },
     });
 
-    res.status(201).json(newClass);
+    // Fill the calendar for any schedules created with it
+    for (const schedule of newClass.schedules) await syncSchedule(schedule);
+
+    res.status(201).json({ ...newClass, conflicts });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
@@ -100,6 +129,7 @@ const getClasses = async (req, res, next) => {
         where,
         include: {
           instructor: { select: { id: true, firstName: true, lastName: true } },
+          room: { select: { id: true, name: true } },
           school: { select: { id: true, name: true } },
           schedules: true,
           _count: { select: { sessions: true } },
@@ -160,7 +190,19 @@ const updateClass = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { name, discipline, skillLevel, capacity, description, instructorId, isActive } = req.body;
+    const { name, discipline, skillLevel, capacity, description, instructorId, roomId, isActive, overrideConflicts } = req.body;
+    if (roomId) await requireSchoolRoom(roomId, existing.schoolId);
+
+    // A new instructor or room has to fit every upcoming session
+    const moving = (instructorId !== undefined && instructorId !== existing.instructorId)
+      || (roomId !== undefined && (roomId || null) !== existing.roomId);
+    const conflicts = moving
+      ? await classConflicts(existing.id, {
+        ...(instructorId !== undefined && { instructorId }),
+        ...(roomId !== undefined && { roomId: roomId || null }),
+      })
+      : [];
+    assertNoConflicts(conflicts, overrideConflicts === true);
 
     const updated = await prisma.class.update({
       where: { id: req.params.id },
@@ -171,18 +213,20 @@ const updateClass = async (req, res, next) => {
         ...(capacity !== undefined && { capacity }),
         ...(description !== undefined && { description }),
         ...(instructorId !== undefined && { instructorId }),
+        ...(roomId !== undefined && { roomId: roomId || null }),
         ...(isActive !== undefined && { isActive }),
       },
       include: {
         instructor: { select: { id: true, firstName: true, lastName: true } },
+        room: { select: { id: true, name: true } },
         school: { select: { id: true, name: true } },
         schedules: true,
       },
     });
 
-    res.json(updated);
+    res.json({ ...updated, conflicts });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
@@ -212,12 +256,12 @@ const deleteClass = async (req, res, next) => {
 
 /**
  * POST /api/classes/:id/schedules
- * Add a recurring schedule to a class and auto-generate sessions for next 4 weeks
+ * Add a recurring schedule to a class and generate its sessions up to the rolling horizon
  */
 const addSchedule = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil, weeksToGenerate = 4 } = req.body;
+    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil, overrideConflicts } = req.body;
 
     // Verify class exists and user has access
     const cls = await prisma.class.findUnique({ where: { id } });
@@ -226,81 +270,42 @@ const addSchedule = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const schedule = await prisma.classSchedule.create({
-      data: {
-        classId: id,
-        dayOfWeek,
-        startTime,
-        endTime,
-        effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
-        effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null,
-      },
-    });
+    const data = {
+      classId: id,
+      dayOfWeek,
+      startTime,
+      endTime,
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null,
+    };
+    // Instructor and room double-bookings block; time off and availability gaps are reported
+    const conflicts = await scheduleConflicts(data, cls);
+    assertNoConflicts(conflicts, overrideConflicts === true);
 
-    // Auto-generate sessions for the next X weeks
-    const dayMap = { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 };
-    const targetDay = dayMap[dayOfWeek];
-    const sessionsToCreate = [];
-    const startDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
-    const endDate = effectiveUntil ? new Date(effectiveUntil) : null;
-
-    // Find the first occurrence of this day of week from start date
-    let currentDate = new Date(startDate);
-    const currentDayOfWeek = currentDate.getDay();
-    const daysUntilTarget = (targetDay - currentDayOfWeek + 7) % 7;
-    currentDate.setDate(currentDate.getDate() + (daysUntilTarget === 0 && currentDate >= new Date() ? 0 : daysUntilTarget || 7));
-
-    // Generate sessions for the specified number of weeks
-    for (let week = 0; week < weeksToGenerate; week++) {
-      const sessionDate = new Date(currentDate);
-      sessionDate.setDate(sessionDate.getDate() + (week * 7));
-
-      // Skip if past effectiveUntil
-      if (endDate && sessionDate > endDate) break;
-
-      // Skip past dates
-      if (sessionDate < new Date().setHours(0, 0, 0, 0)) continue;
-
-      // Generate unique QR code
-      const qrCode = `${cls.id}-${sessionDate.toISOString().split('T')[0]}-${schedule.id}`.slice(0, 50);
-
-      sessionsToCreate.push({
-        classId: id,
-        scheduleId: schedule.id,
-        sessionDate,
-        startTime,
-        endTime,
-        status: 'SCHEDULED',
-        qrCode,
-      });
-    }
+    const schedule = await prisma.classSchedule.create({ data });
 
-    // Create all sessions
-    if (sessionsToCreate.length > 0) {
-      await prisma.classSession.createMany({
-        data: sessionsToCreate,
-        skipDuplicates: true,
-      });
-    }
+    // Generate sessions up to the rolling horizon; the daily job keeps it topped up
+    const { created } = await syncSchedule(schedule);
 
     res.status(201).json({
       schedule,
-      sessionsGenerated: sessionsToCreate.length,
-      message: `Schedule created with ${sessionsToCreate.length} sessions generated`,
+      sessionsGenerated: created,
+      conflicts,
+      message: `Schedule created with ${created} sessions generated`,
     });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
 /**
  * PUT /api/classes/:id/schedules/:scheduleId
- * Update a schedule
+ * Update a schedule; upcoming unused sessions follow the new day/times
  */
 const updateSchedule = async (req, res, next) => {
   try {
     const { id, scheduleId } = req.params;
-    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil } = req.body;
+    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil, overrideConflicts } = req.body;
 
     // Verify class
     const cls = await prisma.class.findUnique({ where: { id } });
@@ -309,26 +314,33 @@ const updateSchedule = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const schedule = await prisma.classSchedule.update({
-      where: { id: scheduleId },
-      data: {
-        ...(dayOfWeek && { dayOfWeek }),
-        ...(startTime && { startTime }),
-        ...(endTime && { endTime }),
-        ...(effectiveFrom !== undefined && { effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : null }),
-        ...(effectiveUntil !== undefined && { effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null }),
-      },
-    });
+    const existing = await prisma.classSchedule.findFirst({ where: { id: scheduleId, classId: id } });
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+
+    const data = {
+      ...(dayOfWeek && { dayOfWeek }),
+      ...(startTime && { startTime }),
+      ...(endTime && { endTime }),
+      ...(effectiveFrom && { effectiveFrom: new Date(effectiveFrom) }),
+      ...(effectiveUntil !== undefined && { effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null }),
+    };
+    const conflicts = await scheduleConflicts({ ...existing, ...data }, cls);
+    assertNoConflicts(conflicts, overrideConflicts === true);
+
+    const schedule = await prisma.classSchedule.update({ where: { id: scheduleId }, data });
 
-    res.json(schedule);
+    // Move, retime or drop upcoming sessions to match
+    const sessions = await syncSchedule(schedule);
+
+    res.json({ ...schedule, sessions, conflicts });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
 /**
  * DELETE /api/classes/:id/schedules/:scheduleId
- * Remove a schedule
+ * Remove a schedule and its unused upcoming sessions
  */
 const deleteSchedule = async (req, res, next) => {
   try {
@@ -341,8 +353,13 @@ const deleteSchedule = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
+    const existing = await prisma.classSchedule.findFirst({ where: { id: scheduleId, classId: id } });
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+
+    // Upcoming sessions nobody has used go with it; past ones stay for history
+    const sessionsRemoved = await removeFutureSessions(scheduleId);
     await prisma.classSchedule.delete({ where: { id: scheduleId } });
-    res.json({ message: 'Schedule deleted' });
+    res.json({ message: 'Schedule deleted', sessionsRemoved });
   } catch (error) {
     next(error);
   }
@@ -9,6 +9,11 @@
 const { v4: uuidv4 } = require('uuid');
 const prisma = require('../config/database');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const { slotConflicts, requireSchoolRoom, assertNoConflicts, conflictResponse } = require('../services/scheduleConflicts');
+const { startOfToday } = require('../utils/dates');
+const { getSchoolTimeZone } = require('../services/schoolTime');
+const { issueQrToken } = require('../services/checkInQr');
+const { onSessionCompleted } = require('../services/sessionLifecycle');
 
 const VALID_CLASS_STATUSES = ['SCHEDULED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
 
@@ -18,7 +23,7 @@ const VALID_CLASS_STATUSES = ['SCHEDULED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLE
  */
 const createClass = async (req, res, next) => {
   try {
-    const { programOfferingId, scheduleId, classDate, startTime, endTime } = req.body;
+    const { programOfferingId, scheduleId, classDate, startTime, endTime, roomId, overrideConflicts } = req.body;
 
     // Support both old field name (classId) and new (programOfferingId)
     const offeringId = programOfferingId || req.body.classId;
@@ -33,6 +38,17 @@ const createClass = async (req, res, next) => {
     // Support both old field name (sessionDate) and new (classDate)
     const dateValue = classDate || req.body.sessionDate;
 
+    // The offering's instructor, in the one-off room if given, else the offering's room
+    await requireSchoolRoom(roomId, offering.schoolId);
+    const conflicts = await slotConflicts({
+      sessionDate: new Date(dateValue),
+      startTime,
+      endTime,
+      instructorId: offering.instructorId,
+      roomId: roomId || offering.roomId,
+    }, { schoolId: offering.schoolId });
+    assertNoConflicts(conflicts, overrideConflicts === true);
+
     const newClass = await prisma.classSession.create({
       data: {
         classId: offeringId,
@@ -40,6 +56,7 @@ const createClass = async (req, res, next) => {
         sessionDate: new Date(dateValue),
         startTime,
         endTime,
+        roomId: roomId || null,
         qrCode,
       },
       include: {
@@ -55,27 +72,35 @@ const createClass = async (req, res, next) => {
       },
     });
 
-    res.status(201).json(newClass);
+    res.status(201).json({ ...newClass, conflicts });
   } catch (error) {
+    const conflict = conflictResponse(error);
+    if (conflict) return res.status(409).json(conflict);
+    if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
     next(error);
   }
 };
 
 /**
  * GET /api/classes
- * List class meetings, optionally filtered by programOfferingId, date range, status
+ * List class meetings, optionally filtered by programOfferingId, schoolId, date range, status.
+ * `today=true` means today at the school (schoolId, else the user's) in its
+ * own time zone — what kiosks and the front desk show.
  */
 const getClasses = async (req, res, next) => {
   try {
     // Support both old field name (classId) and new (programOfferingId)
     const programOfferingId = req.query.programOfferingId || req.query.classId;
-    const { status, from, to } = req.query;
+    const { schoolId, status, from, to, today } = req.query;
     const { skip, take, page, limit } = parsePagination(req.query);
 
     const where = {};
     if (programOfferingId) where.classId = programOfferingId;
+    if (schoolId) where.class = { schoolId };
     if (status) where.status = status;
-    if (from || to) {
+    if (today === 'true') {
+      where.sessionDate = startOfToday(new Date(), await getSchoolTimeZone(schoolId || req.user.schoolId));
+    } else if (from || to) {
       where.sessionDate = {};
       if (from) where.sessionDate.gte = new Date(from);
       if (to) where.sessionDate.lte = new Date(to);
@@ -91,10 +116,12 @@ const getClasses = async (req, res, next) => {
               name: true, 
               capacity: true, 
               program: { select: { id: true, name: true } },
-              school: { select: { id: true, name: true } }, 
+              school: { select: { id: true, name: true, timezone: true } }, 
               instructor: { select: { id: true, firstName: true, lastName: true } } 
             },
           },
+          instructor: { select: { id: true, firstName: true, lastName: true } }, // substitute, if any
+          room: { select: { id: true, name: true } }, // one-off room, if any
           _count: { select: { checkIns: true } },
         },
         orderBy: [{ sessionDate: 'desc' }, { startTime: 'desc' }],
@@ -172,8 +199,11 @@ const updateClassStatus = async (req, res, next) => {
 
     const cls = await prisma.classSession.update({
       where: { id: req.params.id },
-      data: { status },
+      // Reinstating a class called off by a closure detaches it from the closure
+      data: { status, ...(status !== 'CANCELLED' && { closureId: null }) },
     });
+    // Ending a class by hand runs the same follow-ups as the lifecycle scheduler
+    if (status === 'COMPLETED') await onSessionCompleted(cls.id);
 
     res.json(cls);
   } catch (error) {
@@ -183,7 +213,7 @@ const updateClassStatus = async (req, res, next) => {
 
 /**
  * GET /api/classes/:id/qr
- * Get the QR code value for a class
+ * Get the current rotating check-in QR token for a class
  */
 const getClassQr = async (req, res, next) => {
   try {
@@ -202,10 +232,11 @@ const getClassQr = async (req, res, next) => {
       return res.status(404).json({ error: 'Class not found' });
     }
 
-    // Return QR data — the frontend will generate the QR image
+    // Return QR data — the frontend will generate the QR image and
+    // fetch a fresh token after refreshInSeconds
     res.json({
       classId: cls.id,
-      qrCode: cls.qrCode,
+      ...issueQrToken(cls),
       programName: cls.class.name,
       classDate: cls.sessionDate,
       startTime: cls.startTime,
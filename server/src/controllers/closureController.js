@@ -0,0 +1,116 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Closure Controller
+ * ──────────────────────────────────────────────────────────
+ * Per-school holiday / closure calendar. Adding a closure
+ * bulk-cancels the sessions it covers (with notifications);
+ * removing one puts them back.
+ *
+ * Security:
+ *   - Staff see their own school; students see the schools
+ *     they're actively enrolled in
+ *   - Ownership verified before delete
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const { isSuperRole } = require('../utils/authorization');
+const { closureOccurrences, applyClosure, liftClosure } = require('../services/schoolClosures');
+
+/** School IDs whose closures the user may see. null = any school. */
+async function visibleSchoolIds(user, requestedSchoolId) {
+  if (isSuperRole(user)) return requestedSchoolId ? [requestedSchoolId] : null;
+  if (user.schoolId) return [user.schoolId];
+  const enrollments = await prisma.enrollment.findMany({
+    where: { studentId: user.id, status: 'ACTIVE' },
+    select: { schoolId: true },
+  });
+  return enrollments.map((e) => e.schoolId);
+}
+
+/**
+ * @route GET /api/closures
+ * List closures. With startDate/endDate, only closures that fall in the
+ * range are returned, each with its `occurrences` there (one per year for
+ * yearly holidays) so calendars can shade the days.
+ */
+const getClosures = async (req, res, next) => {
+  try {
+    const { schoolId, startDate, endDate } = req.query;
+    const schoolIds = await visibleSchoolIds(req.user, schoolId);
+
+    const closures = await prisma.schoolClosure.findMany({
+      where: schoolIds ? { schoolId: { in: schoolIds } } : {},
+      include: { _count: { select: { sessions: true } } },
+      orderBy: { startDate: 'asc' },
+    });
+
+    if (!startDate && !endDate) return res.json(closures);
+
+    const from = startDate ? new Date(startDate) : new Date();
+    const until = endDate ? new Date(endDate) : new Date(from.getTime() + 366 * 24 * 60 * 60 * 1000);
+    res.json(closures
+      .map((c) => ({ ...c, occurrences: closureOccurrences(c, from, until) }))
+      .filter((c) => c.occurrences.length > 0));
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route POST /api/closures
+ * Add a closure and cancel the sessions it covers.
+ */
+const createClosure = async (req, res, next) => {
+  try {
+    const { name, startDate, endDate, recurrence, notes, schoolId } = req.body;
+    const effectiveSchoolId = isSuperRole(req.user) ? schoolId : req.user.schoolId;
+    if (!effectiveSchoolId) return res.status(400).json({ error: 'schoolId is required' });
+
+    const start = new Date(startDate);
+    const end = endDate ? new Date(endDate) : start;
+    if (end < start) return res.status(400).json({ error: 'End date must be on or after start date' });
+    if (recurrence === 'YEARLY' && end - start > 365 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'A yearly closure cannot span more than a year' });
+    }
+
+    const closure = await prisma.schoolClosure.create({
+      data: {
+        schoolId: effectiveSchoolId,
+        name,
+        startDate: start,
+        endDate: end,
+        recurrence: recurrence || 'NONE',
+        notes: notes || null,
+        createdById: req.user.id,
+      },
+    });
+
+    const { sessionsCancelled, notified } = await applyClosure(closure);
+
+    res.status(201).json({
+      ...closure,
+      sessionsCancelled,
+      notified,
+      message: `Closure added — ${sessionsCancelled} session${sessionsCancelled === 1 ? '' : 's'} cancelled`,
+    });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route DELETE /api/closures/:id
+ * Remove a closure; its upcoming cancelled sessions are restored.
+ */
+const deleteClosure = async (req, res, next) => {
+  try {
+    const closure = await prisma.schoolClosure.findUnique({ where: { id: req.params.id } });
+    if (!closure) return res.status(404).json({ error: 'Closure not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== closure.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { sessionsRestored } = await liftClosure(closure);
+    await prisma.schoolClosure.delete({ where: { id: closure.id } });
+
+    res.json({ message: 'Closure removed', sessionsRestored });
+  } catch (error) { next(error); }
+};
+
+module.exports = { getClosures, createClosure, deleteClosure };
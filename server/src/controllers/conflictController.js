@@ -0,0 +1,35 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Conflict Controller
+ * ──────────────────────────────────────────────────────────
+ * Calendar feed of scheduling clashes — instructor and room
+ * double-bookings, venue clashes, time off and availability
+ * gaps — so the calendar can flag them.
+ * ──────────────────────────────────────────────────────────
+ */
+const { isSuperRole } = require('../utils/authorization');
+const { calendarConflicts } = require('../services/scheduleConflicts');
+
+const MAX_RANGE_DAYS = 62;
+
+/**
+ * @route GET /api/conflicts?startDate&endDate[&schoolId]
+ * { sessions: { [sessionId]: conflicts[] }, events: { [eventId]: conflicts[] } }
+ */
+const getConflicts = async (req, res, next) => {
+  try {
+    const schoolId = isSuperRole(req.user) ? req.query.schoolId || req.user.schoolId : req.user.schoolId;
+    if (!schoolId) return res.status(400).json({ error: 'schoolId is required' });
+
+    const from = new Date(req.query.startDate);
+    const until = new Date(req.query.endDate);
+    if (until < from) return res.status(400).json({ error: 'endDate must be after startDate' });
+    if ((until - from) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Range can be at most ${MAX_RANGE_DAYS} days` });
+    }
+
+    res.json(await calendarConflicts({ schoolId, from, until }));
+  } catch (error) { next(error); }
+};
+
+module.exports = { getConflicts };
@@ -15,12 +15,29 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const refunds = require('../services/refunds');
+const { eventConflicts, requireSchoolRoom, assertNoConflicts, conflictResponse } = require('../services/scheduleConflicts');
+
+/** Venue and room double-bookings block the save unless overridden. */
+async function checkEventConflicts(event, override) {
+  await requireSchoolRoom(event.roomId, event.schoolId);
+  const conflicts = await eventConflicts(event);
+  assertNoConflicts(conflicts, override === true);
+  return conflicts;
+}
+
+const handleConflict = (res, next, error) => {
+  const conflict = conflictResponse(error);
+  if (conflict) return res.status(409).json(conflict);
+  if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+  return next(error);
+};
 
 // ─── Field whitelists ────────────────────────────────────
 const EVENT_FIELDS = [
   'name', 'description', 'eventType', 'scope', 'isPublic',
   'startDate', 'endDate', 'registrationDeadline',
-  'ticketPrice', 'maxCapacity', 'imageUrl', 'schoolId', 'venueId',
+  'ticketPrice', 'maxCapacity', 'imageUrl', 'schoolId', 'venueId', 'roomId',
 ];
 
 const VALID_TICKET_STATUSES = ['RESERVED', 'PAID', 'CHECKED_IN', 'CANCELLED', 'REFUNDED'];
@@ -36,6 +53,8 @@ function pickEventFields(body) {
       data[key] = parseFloat(body[key]);
     } else if (key === 'maxCapacity') {
       data[key] = parseInt(body[key], 10);
+    } else if (key === 'roomId') {
+      data[key] = body[key] || null;
     } else {
       data[key] = body[key];
     }
@@ -131,13 +150,14 @@ const createEvent = async (req, res, next) => {
       return res.status(403).json({ error: 'Cannot create events for another school' });
     }
     if (!data.schoolId) data.schoolId = req.user.schoolId;
+    const conflicts = await checkEventConflicts(data, req.body.overrideConflicts);
 
     const event = await prisma.event.create({
       data,
-      include: { school: { select: { name: true } }, venue: { select: { name: true } } },
+      include: { school: { select: { name: true } }, venue: { select: { name: true } }, room: { select: { name: true } } },
     });
-    res.status(201).json(event);
-  } catch (error) { next(error); }
+    res.status(201).json({ ...event, conflicts });
+  } catch (error) { handleConflict(res, next, error); }
 };
 
 /**
@@ -153,9 +173,10 @@ const updateEvent = async (req, res, next) => {
     }
 
     const data = pickEventFields(req.body);
+    const conflicts = await checkEventConflicts({ ...existing, ...data }, req.body.overrideConflicts);
     const event = await prisma.event.update({ where: { id: req.params.id }, data });
-    res.json(event);
-  } catch (error) { next(error); }
+    res.json({ ...event, conflicts });
+  } catch (error) { handleConflict(res, next, error); }
 };
 
 /** @route DELETE /api/events/:id — Ownership check */
@@ -237,6 +258,34 @@ const updateTicketStatus = async (req, res, next) => {
   } catch (error) { next(error); }
 };
 
+/**
+ * Refund all or part of a paid ticket through the school's gateway.
+ * Body: { amount?, reason? } — amount defaults to the unrefunded balance.
+ * @route POST /api/events/tickets/:ticketId/refund
+ */
+const refundTicket = async (req, res, next) => {
+  try {
+    const ticket = await prisma.eventTicket.findUnique({
+      where: { id: req.params.ticketId },
+      include: { event: { select: { schoolId: true } } },
+    });
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    if (!isSuperRole(req.user) && ticket.event.schoolId && req.user.schoolId !== ticket.event.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await refunds.refundTicket(ticket.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      performedById: req.user.id,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
 // ─── Registrations ───────────────────────────────────────
 
 /** @route POST /api/events/:eventId/register */
@@ -333,7 +382,7 @@ const getStudentMedalStats = async (req, res, next) => {
 
 module.exports = {
   getEvents, getEvent, createEvent, updateEvent, deleteEvent,
-  purchaseTicket, updateTicketStatus,
+  purchaseTicket, updateTicketStatus, refundTicket,
   registerForEvent, cancelRegistration,
   addTournamentEntry, updateTournamentEntry, deleteTournamentEntry,
   getStudentMedalStats,
@@ -1,6 +1,9 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const { memberShares } = require('../services/familyBilling');
+
+const round2 = (n) => Math.round(n * 100) / 100;
 
 // ─── List families for a school ──────────────────────────
 
@@ -63,7 +66,7 @@ const getFamily = async (req, res, next) => {
                 id: true, firstName: true, lastName: true, email: true,
                 phone: true, role: true, beltRank: true,
                 enrollments: { select: { id: true, school: { select: { name: true } }, status: true } },
-                invoices: { where: { status: { in: ['SENT', 'PAST_DUE'] } }, select: { id: true, amount: true, status: true, dueDate: true } },
+                invoices: { where: { status: { in: ['SENT', 'PAST_DUE'] } }, select: { id: true, totalAmount: true, status: true, dueDate: true } },
                 subscriptions: { where: { status: 'ACTIVE' }, select: { id: true, plan: { select: { name: true, price: true } } } },
               },
             },
@@ -79,7 +82,7 @@ const getFamily = async (req, res, next) => {
     let totalOutstanding = 0;
     let activeSubscriptions = 0;
     for (const m of family.members) {
-      for (const inv of m.user.invoices) totalOutstanding += Number(inv.amount);
+      for (const inv of m.user.invoices) totalOutstanding += Number(inv.totalAmount);
       activeSubscriptions += m.user.subscriptions.length;
     }
 
@@ -119,7 +122,7 @@ const createFamily = async (req, res, next) => {
 const updateFamily = async (req, res, next) => {
   try {
     const { familyId } = req.params;
-    const { name, email, phone, notes, isActive } = req.body;
+    const { name, email, phone, notes, isActive, consolidatedBilling } = req.body;
 
     const family = await prisma.family.update({
       where: { id: familyId },
@@ -129,6 +132,7 @@ const updateFamily = async (req, res, next) => {
         ...(phone !== undefined && { phone }),
         ...(notes !== undefined && { notes }),
         ...(isActive !== undefined && { isActive }),
+        ...(consolidatedBilling !== undefined && { consolidatedBilling: !!consolidatedBilling }),
       },
       include: { members: { include: { user: { select: { id: true, firstName: true, lastName: true, email: true } } } } },
     });
@@ -207,8 +211,13 @@ const getMyFamilies = async (req, res, next) => {
   } catch (error) { next(error); }
 };
 
-// ─── Combined billing for a family ──────────────────────
+// ─── Household statement ────────────────────────────────
 
+/**
+ * Household invoices with each member's share, plus members' individual
+ * invoices, subscriptions and recent payments. Visible to school staff and
+ * to the family's own members.
+ */
 const getFamilyBilling = async (req, res, next) => {
   try {
     const { familyId } = req.params;
@@ -217,49 +226,116 @@ const getFamilyBilling = async (req, res, next) => {
       where: { id: familyId },
       include: {
         members: {
-          include: {
-            user: {
-              select: {
-                id: true, firstName: true, lastName: true,
-                invoices: { orderBy: { createdAt: 'desc' }, take: 20, select: { id: true, amount: true, status: true, dueDate: true, description: true, createdAt: true } },
-                subscriptions: { select: { id: true, status: true, plan: { select: { name: true, price: true, interval: true } } } },
-                payments: { orderBy: { createdAt: 'desc' }, take: 20, select: { id: true, amount: true, method: true, createdAt: true } },
-              },
-            },
-          },
+          include: { user: { select: { id: true, firstName: true, lastName: true } } },
+          orderBy: { familyRole: 'asc' },
         },
       },
     });
-
     if (!family) return res.status(404).json({ error: 'Family not found' });
 
-    // Flatten and aggregate
-    const allInvoices = [];
-    const allSubscriptions = [];
-    const allPayments = [];
+    const isMember = family.members.some((m) => m.userId === req.user.id);
+    if (!isMember && (req.user.role === 'STUDENT' || (!isSuperRole(req.user) && req.user.schoolId !== family.schoolId))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { schoolId } = family;
+    const memberIds = family.members.map((m) => m.userId);
+    const names = new Map(family.members.map((m) => [m.userId, `${m.user.firstName} ${m.user.lastName}`]));
+
+    const [householdInvoices, memberInvoices, subscriptions, payments, paidTotal, paymentConfig] = await Promise.all([
+      prisma.invoice.findMany({
+        where: { familyId },
+        orderBy: { createdAt: 'desc' },
+        include: {
+          lines: true,
+          payments: { select: { amount: true } },
+        },
+      }),
+      prisma.invoice.findMany({
+        where: { schoolId, studentId: { in: memberIds }, familyId: null },
+        orderBy: { createdAt: 'desc' },
+        take: 20,
+        select: { id: true, invoiceNumber: true, studentId: true, totalAmount: true, status: true, dueDate: true, notes: true, createdAt: true },
+      }),
+      prisma.subscription.findMany({
+        where: { schoolId, studentId: { in: memberIds }, status: { in: ['ACTIVE', 'PAUSED'] } },
+        select: { id: true, studentId: true, status: true, nextInvoiceDate: true, plan: { select: { name: true, price: true, billingCycle: true } } },
+      }),
+      prisma.payment.findMany({
+        where: { studentId: { in: memberIds }, invoice: { schoolId } },
+        orderBy: { paidAt: 'desc' },
+        take: 20,
+        select: {
+          id: true, studentId: true, amount: true, method: true, paidAt: true,
+          invoice: { select: { invoiceNumber: true, familyId: true } },
+          allocations: { select: { studentId: true, amount: true } },
+        },
+      }),
+      prisma.payment.aggregate({ where: { studentId: { in: memberIds }, invoice: { schoolId } }, _sum: { amount: true } }),
+      prisma.paymentConfig.findUnique({ where: { schoolId }, select: { siblingDiscounts: true } }),
+    ]);
+
+    // Per-member share of household billing — invoiced (incl. tax), paid and saved
+    const members = new Map(family.members.map((m) => [m.userId, {
+      userId: m.userId, name: names.get(m.userId), familyRole: m.familyRole, billed: 0, paid: 0, discount: 0,
+    }]));
     let totalOwed = 0;
-    let totalPaid = 0;
 
-    for (const m of family.members) {
-      for (const inv of m.user.invoices) {
-        allInvoices.push({ ...inv, memberName: `${m.user.firstName} ${m.user.lastName}` });
-        if (inv.status === 'SENT' || inv.status === 'PAST_DUE') totalOwed += Number(inv.amount);
-      }
-      for (const sub of m.user.subscriptions) {
-        allSubscriptions.push({ ...sub, memberName: `${m.user.firstName} ${m.user.lastName}` });
-      }
-      for (const pay of m.user.payments) {
-        allPayments.push({ ...pay, memberName: `${m.user.firstName} ${m.user.lastName}` });
-        totalPaid += Number(pay.amount);
+    const statement = householdInvoices.map((inv) => {
+      const paid = round2(inv.payments.reduce((sum, p) => sum + p.amount, 0));
+      if (inv.status === 'SENT' || inv.status === 'PAST_DUE') totalOwed += Math.max(0, inv.totalAmount - paid);
+      if (inv.status !== 'CANCELLED') {
+        for (const [studentId, fraction] of memberShares(inv.lines)) {
+          const member = members.get(studentId);
+          if (member) {
+            member.billed += inv.totalAmount * fraction;
+            member.paid += paid * fraction;
+          }
+        }
+        for (const line of inv.lines) {
+          if (members.has(line.studentId)) members.get(line.studentId).discount += line.discountAmount;
+        }
       }
+      const { payments: _payments, ...rest } = inv;
+      return {
+        ...rest,
+        paid,
+        lines: inv.lines.map((l) => ({ ...l, memberName: names.get(l.studentId) || 'Former member' })),
+      };
+    });
+
+    for (const inv of memberInvoices) {
+      if (inv.status === 'SENT' || inv.status === 'PAST_DUE') totalOwed += Number(inv.totalAmount);
     }
 
+    const primary = family.members.find((m) => m.familyRole === 'PRIMARY');
+    const memberSummaries = [...members.values()].map((m) => ({
+      ...m,
+      billed: round2(m.billed),
+      paid: round2(m.paid),
+      discount: round2(m.discount),
+    }));
+
     res.json({
       familyName: family.name,
-      invoices: allInvoices,
-      subscriptions: allSubscriptions,
-      payments: allPayments,
-      summary: { totalOwed, totalPaid, memberCount: family.members.length },
+      consolidatedBilling: family.consolidatedBilling,
+      primary: primary ? { id: primary.userId, name: names.get(primary.userId) } : null,
+      siblingDiscounts: paymentConfig?.siblingDiscounts || [],
+      householdInvoices: statement,
+      members: memberSummaries,
+      invoices: memberInvoices.map((inv) => ({ ...inv, memberName: names.get(inv.studentId) })),
+      subscriptions: subscriptions.map((sub) => ({ ...sub, memberName: names.get(sub.studentId) })),
+      payments: payments.map((p) => ({
+        ...p,
+        memberName: names.get(p.studentId),
+        allocations: p.allocations.map((a) => ({ ...a, memberName: names.get(a.studentId) || 'Former member' })),
+      })),
+      summary: {
+        totalOwed: round2(totalOwed),
+        totalPaid: paidTotal._sum.amount || 0,
+        totalSavings: round2(memberSummaries.reduce((sum, m) => sum + m.discount, 0)),
+        memberCount: family.members.length,
+      },
     });
   } catch (error) { next(error); }
 };
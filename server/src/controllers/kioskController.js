@@ -0,0 +1,441 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Kiosk Controller
+ * ──────────────────────────────────────────────────────────
+ * Front-desk tablets and how students identify themselves
+ * at them.
+ *
+ *   Staff     pair / unpair a school's kiosks and read each
+ *             kiosk's activity (from the audit log)
+ *   Members   issue a student's kiosk PIN and member card —
+ *             staff of the school, the student, or their
+ *             guardian (guardians get their own for family
+ *             check-in)
+ *   Device    the kiosk itself (X-Kiosk-Token): its school,
+ *             today's sessions, the rotating session QR and a
+ *             guardian's family. Check-in is POST
+ *             /api/checkins/kiosk (and /kiosk/family).
+ *
+ * Security:
+ *   - Device tokens and PINs are shown once; only hashes are
+ *     stored
+ *   - A kiosk only sees its own school's sessions
+ *   - Pairing, unpairing, PIN / card issues and every kiosk
+ *     check-in attempt are audit-logged
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const { isSuperRole, canManageSchool } = require('../utils/authorization');
+const { writeAudit } = require('../utils/audit');
+const { startOfToday } = require('../utils/dates');
+const { schoolTimeZone } = require('../services/schoolTime');
+const {
+  pairDevice: pair, issuePin, issueCard, findMember, offlineKey,
+} = require('../services/kioskDevices');
+const { issueQrToken } = require('../services/checkInQr');
+const { renderMemberCard } = require('../services/memberCard');
+const { manageableStudentIds } = require('../services/calendarFeeds');
+const { GUARDIAN_ROLES, findGuardianFamily, canAttend } = require('../services/familyCheckIn');
+const { evaluateEligibility } = require('../services/checkInEligibility');
+
+const STAFF_ROLES = ['OWNER', 'INSTRUCTOR'];
+const ACTIVITY_LIMIT = 100;
+
+const DEVICE_SELECT = {
+  id: true,
+  name: true,
+  schoolId: true,
+  lastSeenAt: true,
+  lastIp: true,
+  revokedAt: true,
+  createdAt: true,
+  school: { select: { id: true, name: true } },
+  pairedBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+// ─── Devices (staff) ─────────────────────────────────────
+
+/** @route GET /api/kiosk/devices?schoolId= — Paired kiosks (add includeRevoked=true for unpaired ones) */
+const getDevices = async (req, res, next) => {
+  try {
+    const schoolId = req.query.schoolId || req.user.schoolId;
+    if (!isSuperRole(req.user) || req.query.schoolId) {
+      if (!schoolId) return res.status(400).json({ error: 'schoolId is required' });
+      if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const devices = await prisma.kioskDevice.findMany({
+      where: {
+        ...(schoolId && { schoolId }),
+        ...(req.query.includeRevoked !== 'true' && { revokedAt: null }),
+      },
+      select: { ...DEVICE_SELECT, _count: { select: { checkIns: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(devices);
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route POST /api/kiosk/devices
+ * Body: { name, schoolId? }. Returns the device token — the tablet keeps it;
+ * it isn't shown again.
+ */
+const pairDevice = async (req, res, next) => {
+  try {
+    const schoolId = req.body.schoolId || req.user.schoolId;
+    if (!schoolId) return res.status(400).json({ error: 'schoolId is required' });
+    if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const school = await prisma.school.findUnique({ where: { id: schoolId }, select: { isActive: true } });
+    if (!school?.isActive) return res.status(404).json({ error: 'School not found' });
+
+    const { device, token } = await pair({ schoolId, name: req.body.name.trim(), pairedById: req.user.id });
+    await writeAudit(req.user.id, 'KIOSK_DEVICE_PAIRED', 'KioskDevice', device.id, { schoolId, name: device.name }, req);
+
+    const paired = await prisma.kioskDevice.findUnique({ where: { id: device.id }, select: DEVICE_SELECT });
+    res.status(201).json({ ...paired, token, message: 'Kiosk paired. This token is only shown once.' });
+  } catch (error) { next(error); }
+};
+
+/** @route DELETE /api/kiosk/devices/:id — Unpair a kiosk; it stops working immediately */
+const revokeDevice = async (req, res, next) => {
+  try {
+    const device = await prisma.kioskDevice.findUnique({ where: { id: req.params.id } });
+    if (!device || device.revokedAt) return res.status(404).json({ error: 'Kiosk not found' });
+    if (!(await canManageSchool(req.user, device.schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    await prisma.kioskDevice.update({ where: { id: device.id }, data: { revokedAt: new Date() } });
+    await writeAudit(req.user.id, 'KIOSK_DEVICE_REVOKED', 'KioskDevice', device.id, { schoolId: device.schoolId, name: device.name }, req);
+    res.json({ message: 'Kiosk unpaired' });
+  } catch (error) { next(error); }
+};
+
+/** @route GET /api/kiosk/devices/:id/activity — The kiosk's recent audit trail */
+const getDeviceActivity = async (req, res, next) => {
+  try {
+    const device = await prisma.kioskDevice.findUnique({ where: { id: req.params.id }, select: DEVICE_SELECT });
+    if (!device) return res.status(404).json({ error: 'Kiosk not found' });
+    if (!(await canManageSchool(req.user, device.schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const activity = await prisma.auditLog.findMany({
+      where: { targetType: 'KioskDevice', targetId: device.id },
+      select: {
+        id: true,
+        action: true,
+        details: true,
+        ipAddress: true,
+        createdAt: true,
+        performer: { select: { id: true, firstName: true, lastName: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: ACTIVITY_LIMIT,
+    });
+    res.json({ device, activity });
+  } catch (error) { next(error); }
+};
+
+// ─── Member PINs and cards ───────────────────────────────
+
+/**
+ * The school a member credential request is for, after checking the caller
+ * may manage the student's credentials there. Sends the error response and
+ * returns null if not.
+ */
+async function memberSchool(req, res) {
+  const { studentId } = req.params;
+  const requested = req.body?.schoolId || req.query.schoolId;
+  const self = req.user.id === studentId;
+  const staff = STAFF_ROLES.includes(req.user.role) || isSuperRole(req.user);
+
+  if (!self && !staff && !(await manageableStudentIds(req.user.id)).includes(studentId)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  const enrolled = await prisma.enrollment.findMany({
+    where: { studentId, status: 'ACTIVE', ...(requested && { schoolId: requested }) },
+    select: { schoolId: true, student: { select: { id: true, firstName: true, lastName: true } } },
+  });
+  // Guardians need a PIN / card at their family's school to check the family in
+  const guardianOf = await prisma.familyMember.findMany({
+    where: {
+      userId: studentId,
+      familyRole: { in: GUARDIAN_ROLES },
+      family: { isActive: true, ...(requested && { schoolId: requested }) },
+    },
+    select: { family: { select: { schoolId: true } }, user: { select: { id: true, firstName: true, lastName: true } } },
+  });
+  const enrollments = [...enrolled];
+  for (const g of guardianOf) {
+    if (!enrollments.some((e) => e.schoolId === g.family.schoolId)) {
+      enrollments.push({ schoolId: g.family.schoolId, student: g.user });
+    }
+  }
+  // Without a schoolId: the caller's own school, else the student's only one
+  const enrollment = enrollments.find((e) => e.schoolId === req.user.schoolId)
+    || (enrollments.length === 1 ? enrollments[0] : null);
+  if (!enrollment) {
+    if (enrollments.length > 1) res.status(400).json({ error: 'schoolId is required — the student belongs to several schools' });
+    else res.status(404).json({ error: 'Student is not enrolled at this school' });
+    return null;
+  }
+
+  const { schoolId, student } = enrollment;
+  if (staff && !self && !(await canManageSchool(req.user, schoolId))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return { schoolId, student };
+}
+
+/**
+ * @route POST /api/kiosk/members/:studentId/pin
+ * Body: { schoolId? }. Issues a new kiosk PIN (the old one stops working)
+ * and returns it once.
+ */
+const resetMemberPin = async (req, res, next) => {
+  try {
+    const member = await memberSchool(req, res);
+    if (!member) return;
+
+    const pin = await issuePin(member.student.id, member.schoolId);
+    await writeAudit(req.user.id, 'MEMBER_PIN_SET', 'User', member.student.id, { schoolId: member.schoolId }, req);
+    res.status(201).json({ pin, message: 'Keep this PIN safe — it is only shown once.' });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/kiosk/members/:studentId/card
+ * Body: { schoolId? }. Issues a new member card code; any printed card
+ * stops working.
+ */
+const reissueMemberCard = async (req, res, next) => {
+  try {
+    const member = await memberSchool(req, res);
+    if (!member) return;
+
+    const cardCode = await issueCard(member.student.id, member.schoolId);
+    await writeAudit(req.user.id, 'MEMBER_CARD_ISSUED', 'User', member.student.id, { schoolId: member.schoolId }, req);
+    res.status(201).json({ cardCode });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route GET /api/kiosk/members/:studentId/card?schoolId=
+ * The printable member card (PDF). Issues a card code on first download.
+ */
+const downloadMemberCard = async (req, res, next) => {
+  try {
+    const member = await memberSchool(req, res);
+    if (!member) return;
+
+    const { student, schoolId } = member;
+    const existing = await prisma.memberCredential.findUnique({
+      where: { studentId_schoolId: { studentId: student.id, schoolId } },
+      select: { cardCode: true },
+    });
+    let cardCode = existing?.cardCode;
+    if (!cardCode) {
+      cardCode = await issueCard(student.id, schoolId);
+      await writeAudit(req.user.id, 'MEMBER_CARD_ISSUED', 'User', student.id, { schoolId }, req);
+    }
+
+    const buffer = await renderMemberCard({ student, schoolId, cardCode });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="member-card-${student.firstName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.pdf"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(buffer);
+  } catch (error) { next(error); }
+};
+
+/** @route GET /api/kiosk/members/:studentId — Whether the student has a PIN / card (never the values) */
+const getMemberCredential = async (req, res, next) => {
+  try {
+    const member = await memberSchool(req, res);
+    if (!member) return;
+
+    const credential = await prisma.memberCredential.findUnique({
+      where: { studentId_schoolId: { studentId: member.student.id, schoolId: member.schoolId } },
+      select: { pinHash: true, cardCode: true, updatedAt: true },
+    });
+    res.json({
+      schoolId: member.schoolId,
+      hasPin: Boolean(credential?.pinHash),
+      hasCard: Boolean(credential?.cardCode),
+      updatedAt: credential?.updatedAt || null,
+    });
+  } catch (error) { next(error); }
+};
+
+// ─── The kiosk itself (X-Kiosk-Token) ────────────────────
+
+/**
+ * @route GET /api/kiosk/device — Which kiosk this is, plus the key it seals
+ * credentials with when it queues check-ins offline
+ */
+const getCurrentDevice = async (req, res) => {
+  const { id, name, school } = req.kioskDevice;
+  res.json({ id, name, school: { id: school.id, name: school.name }, offlineKey: offlineKey(id).toString('base64url') });
+};
+
+/** "Ana L." — enough for the front desk, without full names on a public screen. */
+const shortName = (u) => `${u.firstName} ${u.lastName ? `${u.lastName[0]}.` : ''}`.trim();
+
+/** Today's open sessions at the kiosk's school, in its time zone. */
+const todaysSessionsWhere = (school) => ({
+  class: { schoolId: school.id },
+  sessionDate: startOfToday(new Date(), schoolTimeZone(school)),
+  status: { in: ['SCHEDULED', 'IN_PROGRESS'] },
+});
+
+/**
+ * @route GET /api/kiosk/sessions
+ * Today's sessions at the kiosk's school, in its time zone, each with its
+ * roster (who's booked and who's checked in) — the kiosk caches this to
+ * keep working offline.
+ */
+const getKioskSessions = async (req, res, next) => {
+  try {
+    const { school } = req.kioskDevice;
+    const sessions = await prisma.classSession.findMany({
+      where: todaysSessionsWhere(school),
+      select: {
+        id: true,
+        sessionDate: true,
+        startTime: true,
+        endTime: true,
+        status: true,
+        class: { select: { id: true, name: true, capacity: true } },
+        checkIns: { select: { studentId: true, checkedOutAt: true, student: { select: { firstName: true, lastName: true } } } },
+        reservations: {
+          where: { status: 'RESERVED' },
+          select: { studentId: true, student: { select: { firstName: true, lastName: true } } },
+        },
+        _count: { select: { checkIns: true } },
+      },
+      orderBy: { startTime: 'asc' },
+    });
+
+    res.json(sessions.map(({ checkIns, reservations, ...session }) => ({
+      ...session,
+      roster: [
+        ...checkIns.map((c) => ({ studentId: c.studentId, name: shortName(c.student), status: c.checkedOutAt ? 'CHECKED_OUT' : 'CHECKED_IN' })),
+        ...reservations.map((r) => ({ studentId: r.studentId, name: shortName(r.student), status: 'RESERVED' })),
+      ],
+    })));
+  } catch (error) { next(error); }
+};
+
+/** @route GET /api/kiosk/sessions/:id/qr — The rotating check-in QR token for a session here */
+const getKioskSessionQr = async (req, res, next) => {
+  try {
+    const session = await prisma.classSession.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, qrCode: true, class: { select: { schoolId: true } } },
+    });
+    if (!session || session.class.schoolId !== req.kioskDevice.schoolId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ sessionId: session.id, ...issueQrToken(session) });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route POST /api/kiosk/family
+ * Body: { pin } or { cardCode } — a guardian's own. Lists their family
+ * members at this school with the sessions each can check into today
+ * (OPEN, RESERVED or already CHECKED_IN), anything a check-in rule would
+ * stop, and who is still here — on the mat, or a child not yet picked up.
+ * Check-in and check-out are POST /api/checkins/kiosk/family[/checkout].
+ */
+const getKioskFamily = async (req, res, next) => {
+  try {
+    const { school } = req.kioskDevice;
+    const via = req.body.cardCode ? 'CARD' : 'PIN';
+    const guardian = await findMember(school.id, req.body);
+    if (!guardian) {
+      res.locals.unknownCredential = true;
+      await writeAudit(null, 'KIOSK_CHECK_IN_FAILED', 'KioskDevice', req.kioskDevice.id, { via, reason: 'UNKNOWN_CREDENTIAL', family: true }, req);
+      return res.status(404).json({ error: via === 'CARD' ? 'Card not recognised' : 'PIN not recognised' });
+    }
+    const family = await findGuardianFamily(school.id, guardian.id);
+    if (!family) {
+      return res.status(404).json({ error: 'No family is linked to this member — check in with your own PIN or card', reason: 'NOT_A_GUARDIAN' });
+    }
+
+    const studentIds = [...family.members.keys()];
+    const sessions = await prisma.classSession.findMany({
+      where: todaysSessionsWhere(school),
+      select: {
+        id: true,
+        startTime: true,
+        endTime: true,
+        status: true,
+        class: { select: { name: true, programId: true } },
+        checkIns: { where: { studentId: { in: studentIds } }, select: { studentId: true } },
+        reservations: { where: { studentId: { in: studentIds }, status: 'RESERVED' }, select: { studentId: true } },
+      },
+      orderBy: { startTime: 'asc' },
+    });
+
+    // Still here today: on the mat, or a child waiting to be picked up
+    const here = await prisma.checkIn.findMany({
+      where: {
+        studentId: { in: studentIds },
+        pickedUpAt: null,
+        session: { class: { schoolId: school.id }, sessionDate: startOfToday(new Date(), schoolTimeZone(school)) },
+      },
+      select: { id: true, studentId: true, sessionId: true, checkedOutAt: true, session: { select: { class: { select: { name: true } } } } },
+    });
+
+    const members = [];
+    for (const member of family.members.values()) {
+      const { blocked, warnings } = await evaluateEligibility({ studentId: member.id, schoolId: school.id });
+      members.push({
+        studentId: member.id,
+        name: shortName(member),
+        familyRole: member.familyRole,
+        sessions: sessions.filter((s) => canAttend(member, s)).map((s) => ({
+          sessionId: s.id,
+          status: s.checkIns.some((c) => c.studentId === member.id) ? 'CHECKED_IN'
+            : s.reservations.some((r) => r.studentId === member.id) ? 'RESERVED' : 'OPEN',
+        })),
+        issues: blocked,
+        warnings,
+        isChild: member.familyRole === 'CHILD',
+        here: here
+          .filter((c) => c.studentId === member.id && (!c.checkedOutAt || member.familyRole === 'CHILD'))
+          .map((c) => ({ checkInId: c.id, sessionId: c.sessionId, className: c.session.class.name, checkedOutAt: c.checkedOutAt })),
+      });
+    }
+
+    res.json({
+      guardian: { id: guardian.id, firstName: guardian.firstName },
+      families: family.families,
+      sessions: sessions.map(({ id, startTime, endTime, status, class: c }) => ({ id, startTime, endTime, status, className: c.name })),
+      members,
+    });
+  } catch (error) { next(error); }
+};
+
+module.exports = {
+  getDevices,
+  pairDevice,
+  revokeDevice,
+  getDeviceActivity,
+  getMemberCredential,
+  resetMemberPin,
+  reissueMemberCard,
+  downloadMemberCard,
+  getCurrentDevice,
+  getKioskSessions,
+  getKioskSessionQr,
+  getKioskFamily,
+};
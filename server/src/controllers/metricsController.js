@@ -1,4 +1,7 @@
 const prisma = require('../config/database');
+const { DAY_MS, startOfToday, localDate, localMidnight } = require('../utils/dates');
+const { getSchoolTimeZone } = require('../services/schoolTime');
+const { FULL_ATTENDANCE_WHERE } = require('../services/checkOuts');
 
 /**
  * GET /api/metrics/super-admin
@@ -108,14 +111,18 @@ const getSuperAdminMetrics = async (req, res, next) => {
 
 /**
  * GET /api/metrics/school/:schoolId
- * Granular metrics for a specific school (OWNER/INSTRUCTOR)
+ * Granular metrics for a specific school (OWNER/INSTRUCTOR).
+ * ?fullOnly=true counts only full attendances.
  */
 const getSchoolMetrics = async (req, res, next) => {
   try {
     const { schoolId } = req.params;
-    const today = new Date();
-    const last30Days = new Date();
-    last30Days.setDate(last30Days.getDate() - 30);
+    const counted = req.query.fullOnly === 'true' ? FULL_ATTENDANCE_WHERE : {};
+    // Days are the school's: the 30-day window starts at its midnight
+    const timeZone = await getSchoolTimeZone(schoolId);
+    const now = new Date();
+    const today = startOfToday(now, timeZone);
+    const last30Days = localMidnight(new Date(now.getTime() - 30 * DAY_MS), timeZone);
 
     // Verify access
     if (req.user.role === 'OWNER') {
@@ -138,8 +145,11 @@ const getSchoolMetrics = async (req, res, next) => {
       include: {
         instructor: { select: { firstName: true, lastName: true } },
         sessions: {
-          where: { sessionDate: { gte: last30Days } },
-          include: { _count: { select: { checkIns: true } } },
+          where: { sessionDate: { gte: new Date(today.getTime() - 30 * DAY_MS) } },
+          include: {
+            instructor: { select: { firstName: true, lastName: true } },
+            _count: { select: { checkIns: { where: counted } } },
+          },
         },
       },
     });
@@ -162,11 +172,27 @@ const getSchoolMetrics = async (req, res, next) => {
       };
     });
 
+    // Sessions taught per instructor — substitutes get credit for the
+    // sessions they covered, not the class's regular instructor
+    const taught = {};
+    for (const cls of classes) {
+      for (const session of cls.sessions) {
+        if (session.status === 'CANCELLED' || session.sessionDate > today) continue;
+        const id = session.instructorId || cls.instructorId;
+        const who = session.instructor || cls.instructor;
+        taught[id] = taught[id] || { id, name: `${who.firstName} ${who.lastName}`, sessions: 0, substitutions: 0, attendance: 0 };
+        taught[id].sessions += 1;
+        taught[id].attendance += session._count.checkIns;
+        if (session.instructorId && session.instructorId !== cls.instructorId) taught[id].substitutions += 1;
+      }
+    }
+
     // Total check-ins over time (last 30 days, daily breakdown)
     const checkIns = await prisma.checkIn.findMany({
       where: {
         checkedInAt: { gte: last30Days },
         session: { class: { schoolId } },
+        ...counted,
       },
       select: { checkedInAt: true },
       orderBy: { checkedInAt: 'asc' },
@@ -175,7 +201,7 @@ const getSchoolMetrics = async (req, res, next) => {
     // Group by date
     const dailyCheckIns = {};
     for (const ci of checkIns) {
-      const date = ci.checkedInAt.toISOString().split('T')[0];
+      const date = localDate(ci.checkedInAt, timeZone).toISOString().split('T')[0];
       dailyCheckIns[date] = (dailyCheckIns[date] || 0) + 1;
     }
 
@@ -185,6 +211,7 @@ const getSchoolMetrics = async (req, res, next) => {
       where: {
         checkedInAt: { gte: last30Days },
         session: { class: { schoolId } },
+        ...counted,
       },
       _count: { id: true },
       orderBy: { _count: { id: 'desc' } },
@@ -220,8 +247,10 @@ const getSchoolMetrics = async (req, res, next) => {
         newEnrollments30d: newEnrollments,
       },
       classes: classMetrics,
+      instructors: Object.values(taught).sort((x, y) => y.sessions - x.sessions),
       dailyCheckIns,
       topStudents: topStudentDetails,
+      fullOnly: req.query.fullOnly === 'true',
     });
   } catch (error) {
     next(error);
@@ -1,6 +1,8 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const { SESSION_SELECT, effectiveInstructorId } = require('../services/instructorCoverage');
+const { sessionStartsAt, sessionEndsAt } = require('../services/schoolTime');
 
 const getPayrollEntries = async (req, res, next) => {
   try {
@@ -41,11 +43,29 @@ const getPayrollEntries = async (req, res, next) => {
 const createEntry = async (req, res, next) => {
   try {
     const { schoolId } = req.params;
-    const { instructorId, sessionId, hoursWorked, hourlyRate, date, notes } = req.body;
+    const { sessionId, hourlyRate, notes } = req.body;
+    let { instructorId, hoursWorked, date } = req.body;
+
+    // Session pay goes to whoever actually taught it (the substitute, if any);
+    // hours and date default from the session
+    if (sessionId) {
+      const session = await prisma.classSession.findUnique({ where: { id: sessionId }, select: SESSION_SELECT });
+      if (!session || session.class.schoolId !== schoolId) return res.status(404).json({ error: 'Session not found' });
+      const taughtBy = effectiveInstructorId(session);
+      if (instructorId && instructorId !== taughtBy) {
+        return res.status(400).json({ error: 'This session was taught by a different instructor', instructorId: taughtBy });
+      }
+      instructorId = taughtBy;
+      hoursWorked = hoursWorked ?? (sessionEndsAt(session) - sessionStartsAt(session)) / 3600000;
+      date = date || session.sessionDate;
+    }
+    if (!instructorId) return res.status(400).json({ error: 'instructorId or sessionId is required' });
+    if (!(hoursWorked > 0) || !date) return res.status(400).json({ error: 'hoursWorked and date are required without a session' });
+
     const totalPay = Math.round(hoursWorked * hourlyRate * 100) / 100;
 
     const entry = await prisma.payrollEntry.create({
-      data: { schoolId, instructorId, sessionId, hoursWorked, hourlyRate, totalPay, date: new Date(date), notes },
+      data: { schoolId, instructorId, sessionId: sessionId || null, hoursWorked, hourlyRate, totalPay, date: new Date(date), notes },
       include: { instructor: { select: { firstName: true, lastName: true } } },
     });
     res.status(201).json(entry);
@@ -9,6 +9,22 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const { syncSchedule, removeFutureSessions } = require('../services/sessionGenerator');
+const {
+  scheduleConflicts,
+  classConflicts,
+  requireSchoolRoom,
+  assertNoConflicts,
+  conflictResponse,
+} = require('../services/scheduleConflicts');
+
+/** 409 with the conflict list, 400 for a bad room, else the error handler. */
+const handleError = (res, next, error) => {
+  const conflict = conflictResponse(error);
+  if (conflict) return res.status(409).json(conflict);
+  if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+  return next(error);
+};
 
 /**
  * POST /api/programs
@@ -16,7 +32,7 @@ const { parsePagination, paginatedResponse } = require('../utils/pagination');
  */
 const createProgram = async (req, res, next) => {
   try {
-    const { name, programId, skillLevel, capacity, description, instructorId, schoolId, schedules } = req.body;
+    const { name, programId, skillLevel, capacity, description, instructorId, roomId, schoolId, schedules, overrideConflicts } = req.body;
 
     // Determine school — SUPER_ADMIN can specify any school, OWNER uses their school, INSTRUCTOR uses their affiliated school
     let resolvedSchoolId = schoolId;
@@ -37,6 +53,14 @@ const createProgram = async (req, res, next) => {
     const assignedInstructor =
       req.user.role === 'INSTRUCTOR' ? req.user.id : instructorId || req.user.id;
 
+    await requireSchoolRoom(roomId, resolvedSchoolId);
+    const planned = { instructorId: assignedInstructor, roomId: roomId || null, schoolId: resolvedSchoolId };
+    const conflicts = [];
+    for (const s of schedules || []) {
+      conflicts.push(...await scheduleConflicts({ ...s, effectiveFrom: s.effectiveFrom ? new Date(s.effectiveFrom) : null }, planned));
+    }
+    assertNoConflicts(conflicts, overrideConflicts === true);
+
     const newProgram = await prisma.class.create({
       data: {
         name,
@@ -45,6 +69,7 @@ const createProgram = async (req, res, next) => {
         capacity,
         description: description || null,
         instructorId: assignedInstructor,
+        roomId: roomId || null,
         schoolId: resolvedSchoolId,
         schedules: schedules
           ? {
@@ -61,14 +86,18 @@ const createProgram = async (req, res, next) => {
       include: {
         program: { select: { id: true, name: true } },
         instructor: { select: { id: true, firstName: true, lastName: true } },
+        room: { select: { id: true, name: true } },
         school: { select: { id: true, name: true } },
         schedules: true,
       },
     });
 
-    res.status(201).json(newProgram);
+    // Fill the calendar for any schedules created with it
+    for (const schedule of newProgram.schedules) await syncSchedule(schedule);
+
+    res.status(201).json({ ...newProgram, conflicts });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
@@ -110,6 +139,7 @@ const getPrograms = async (req, res, next) => {
         include: {
           program: { select: { id: true, name: true } },
           instructor: { select: { id: true, firstName: true, lastName: true } },
+          room: { select: { id: true, name: true } },
           school: { select: { id: true, name: true } },
           schedules: true,
           _count: { select: { sessions: true } },
@@ -145,6 +175,7 @@ const getProgramById = async (req, res, next) => {
           } 
         },
         instructor: { select: { id: true, firstName: true, lastName: true, email: true } },
+        room: { select: { id: true, name: true } },
         school: { select: { id: true, name: true } },
         schedules: true,
         sessions: {
@@ -178,7 +209,19 @@ const updateProgram = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { name, programId, skillLevel, capacity, description, instructorId, isActive } = req.body;
+    const { name, programId, skillLevel, capacity, description, instructorId, roomId, isActive, overrideConflicts } = req.body;
+    if (roomId) await requireSchoolRoom(roomId, existing.schoolId);
+
+    // A new instructor or room has to fit every upcoming class
+    const moving = (instructorId !== undefined && instructorId !== existing.instructorId)
+      || (roomId !== undefined && (roomId || null) !== existing.roomId);
+    const conflicts = moving
+      ? await classConflicts(existing.id, {
+        ...(instructorId !== undefined && { instructorId }),
+        ...(roomId !== undefined && { roomId: roomId || null }),
+      })
+      : [];
+    assertNoConflicts(conflicts, overrideConflicts === true);
 
     const updated = await prisma.class.update({
       where: { id: req.params.id },
@@ -189,19 +232,21 @@ const updateProgram = async (req, res, next) => {
         ...(capacity !== undefined && { capacity }),
         ...(description !== undefined && { description }),
         ...(instructorId !== undefined && { instructorId }),
+        ...(roomId !== undefined && { roomId: roomId || null }),
         ...(isActive !== undefined && { isActive }),
       },
       include: {
         program: { select: { id: true, name: true } },
         instructor: { select: { id: true, firstName: true, lastName: true } },
+        room: { select: { id: true, name: true } },
         school: { select: { id: true, name: true } },
         schedules: true,
       },
     });
 
-    res.json(updated);
+    res.json({ ...updated, conflicts });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
@@ -231,12 +276,12 @@ const deleteProgram = async (req, res, next) => {
 
 /**
  * POST /api/programs/:id/schedules
- * Add a recurring schedule to a program and auto-generate classes for next 4 weeks
+ * Add a recurring schedule to a program and generate its classes up to the rolling horizon
  */
 const addSchedule = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil, weeksToGenerate = 4 } = req.body;
+    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil, overrideConflicts } = req.body;
 
     // Verify program exists and user has access
     const prog = await prisma.class.findUnique({ where: { id } });
@@ -245,81 +290,42 @@ const addSchedule = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const schedule = await prisma.classSchedule.create({
-      data: {
-        classId: id,
-        dayOfWeek,
-        startTime,
-        endTime,
-        effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
-        effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null,
-      },
-    });
+    const data = {
+      classId: id,
+      dayOfWeek,
+      startTime,
+      endTime,
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null,
+    };
+    // Instructor and room double-bookings block; time off and availability gaps are reported
+    const conflicts = await scheduleConflicts(data, prog);
+    assertNoConflicts(conflicts, overrideConflicts === true);
 
-    // Auto-generate classes for the next X weeks
-    const dayMap = { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 };
-    const targetDay = dayMap[dayOfWeek];
-    const classesToCreate = [];
-    const startDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
-    const endDate = effectiveUntil ? new Date(effectiveUntil) : null;
-
-    // Find the first occurrence of this day of week from start date
-    let currentDate = new Date(startDate);
-    const currentDayOfWeek = currentDate.getDay();
-    const daysUntilTarget = (targetDay - currentDayOfWeek + 7) % 7;
-    currentDate.setDate(currentDate.getDate() + (daysUntilTarget === 0 && currentDate >= new Date() ? 0 : daysUntilTarget || 7));
-
-    // Generate classes for the specified number of weeks
-    for (let week = 0; week < weeksToGenerate; week++) {
-      const classDate = new Date(currentDate);
-      classDate.setDate(classDate.getDate() + (week * 7));
-
-      // Skip if past effectiveUntil
-      if (endDate && classDate > endDate) break;
-
-      // Skip past dates
-      if (classDate < new Date().setHours(0, 0, 0, 0)) continue;
-
-      // Generate unique QR code
-      const qrCode = `${prog.id}-${classDate.toISOString().split('T')[0]}-${schedule.id}`.slice(0, 50);
-
-      classesToCreate.push({
-        classId: id,
-        scheduleId: schedule.id,
-        sessionDate: classDate,
-        startTime,
-        endTime,
-        status: 'SCHEDULED',
-        qrCode,
-      });
-    }
+    const schedule = await prisma.classSchedule.create({ data });
 
-    // Create all classes
-    if (classesToCreate.length > 0) {
-      await prisma.classSession.createMany({
-        data: classesToCreate,
-        skipDuplicates: true,
-      });
-    }
+    // Generate sessions up to the rolling horizon; the daily job keeps it topped up
+    const { created } = await syncSchedule(schedule);
 
     res.status(201).json({
       schedule,
-      classesGenerated: classesToCreate.length,
-      message: `Schedule created with ${classesToCreate.length} classes generated`,
+      classesGenerated: created,
+      conflicts,
+      message: `Schedule created with ${created} classes generated`,
     });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
 /**
  * PUT /api/programs/:id/schedules/:scheduleId
- * Update a schedule
+ * Update a schedule; upcoming unused sessions follow the new day/times
  */
 const updateSchedule = async (req, res, next) => {
   try {
     const { id, scheduleId } = req.params;
-    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil } = req.body;
+    const { dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil, overrideConflicts } = req.body;
 
     // Verify program
     const prog = await prisma.class.findUnique({ where: { id } });
@@ -328,26 +334,33 @@ const updateSchedule = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const schedule = await prisma.classSchedule.update({
-      where: { id: scheduleId },
-      data: {
-        ...(dayOfWeek && { dayOfWeek }),
-        ...(startTime && { startTime }),
-        ...(endTime && { endTime }),
-        ...(effectiveFrom !== undefined && { effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : null }),
-        ...(effectiveUntil !== undefined && { effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null }),
-      },
-    });
+    const existing = await prisma.classSchedule.findFirst({ where: { id: scheduleId, classId: id } });
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+
+    const data = {
+      ...(dayOfWeek && { dayOfWeek }),
+      ...(startTime && { startTime }),
+      ...(endTime && { endTime }),
+      ...(effectiveFrom && { effectiveFrom: new Date(effectiveFrom) }),
+      ...(effectiveUntil !== undefined && { effectiveUntil: effectiveUntil ? new Date(effectiveUntil) : null }),
+    };
+    const conflicts = await scheduleConflicts({ ...existing, ...data }, prog);
+    assertNoConflicts(conflicts, overrideConflicts === true);
+
+    const schedule = await prisma.classSchedule.update({ where: { id: scheduleId }, data });
 
-    res.json(schedule);
+    // Move, retime or drop upcoming sessions to match
+    const sessions = await syncSchedule(schedule);
+
+    res.json({ ...schedule, sessions, conflicts });
   } catch (error) {
-    next(error);
+    handleError(res, next, error);
   }
 };
 
 /**
  * DELETE /api/programs/:id/schedules/:scheduleId
- * Remove a schedule
+ * Remove a schedule and its unused upcoming sessions
  */
 const deleteSchedule = async (req, res, next) => {
   try {
@@ -360,8 +373,13 @@ const deleteSchedule = async (req, res, next) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
+    const existing = await prisma.classSchedule.findFirst({ where: { id: scheduleId, classId: id } });
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+
+    // Upcoming sessions nobody has used go with it; past ones stay for history
+    const sessionsRemoved = await removeFutureSessions(scheduleId);
     await prisma.classSchedule.delete({ where: { id: scheduleId } });
-    res.json({ message: 'Schedule deleted' });
+    res.json({ message: 'Schedule deleted', sessionsRemoved });
   } catch (error) {
     next(error);
   }
@@ -1,4 +1,8 @@
 const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { issueForPromotion } = require('../services/certificateRenderer');
+const { AUTOMATIC_TYPES, refreshBeltProgress, eligibilityReport } = require('../services/beltProgress');
+const { canManageSchool } = require('../utils/authorization');
 
 // ─────────────────────────────────────────────────────────
 // Programs — global (Shaolin Wing Chun) + school-specific
@@ -227,7 +231,7 @@ const deleteBelt = async (req, res, next) => {
 const createRequirement = async (req, res, next) => {
   try {
     const { beltId } = req.params;
-    const { type, description, value, isRequired } = req.body;
+    const { type, description, value, isRequired, fullAttendanceOnly } = req.body;
 
     const belt = await prisma.belt.findUnique({ where: { id: beltId }, include: { program: true } });
     if (!belt) return res.status(404).json({ error: 'Belt not found' });
@@ -242,6 +246,8 @@ const createRequirement = async (req, res, next) => {
         description,
         value: value != null ? parseFloat(value) : null,
         isRequired: isRequired !== false,
+        // Only attendance counts can be limited to full attendances
+        fullAttendanceOnly: type === 'MIN_ATTENDANCE' && fullAttendanceOnly === true,
       },
     });
 
@@ -257,7 +263,7 @@ const createRequirement = async (req, res, next) => {
 const updateRequirement = async (req, res, next) => {
   try {
     const { requirementId } = req.params;
-    const { type, description, value, isRequired } = req.body;
+    const { type, description, value, isRequired, fullAttendanceOnly } = req.body;
 
     const updated = await prisma.beltRequirement.update({
       where: { id: requirementId },
@@ -266,6 +272,8 @@ const updateRequirement = async (req, res, next) => {
         ...(description !== undefined && { description }),
         ...(value !== undefined && { value: value != null ? parseFloat(value) : null }),
         ...(isRequired !== undefined && { isRequired }),
+        ...(fullAttendanceOnly !== undefined && { fullAttendanceOnly }),
+        ...(type !== undefined && type !== 'MIN_ATTENDANCE' && { fullAttendanceOnly: false }),
       },
     });
 
@@ -483,13 +491,29 @@ const getStudentProgress = async (req, res, next) => {
 
 /**
  * PATCH /api/promotions/progress/:enrollmentId
- * Update requirement progress for a student (Sifu/Instructor only)
+ * Update requirement progress for a student (Sifu/Instructor only).
+ * Attendance, time in rank and age are worked out automatically (see
+ * beltProgress) — those can only be signed off, not given a value.
  */
 const updateProgress = async (req, res, next) => {
   try {
     const { enrollmentId } = req.params;
     const { requirementId, currentValue, isComplete } = req.body;
 
+    const requirement = await prisma.beltRequirement.findUnique({ where: { id: requirementId }, select: { type: true } });
+    if (!requirement) return res.status(404).json({ error: 'Requirement not found' });
+    const automatic = AUTOMATIC_TYPES.includes(requirement.type);
+    if (automatic && currentValue !== undefined) {
+      return res.status(400).json({
+        error: `${requirement.type} progress is worked out automatically — it can only be signed off`,
+        reason: 'AUTOMATIC_REQUIREMENT',
+      });
+    }
+    if (!automatic && currentValue === undefined) {
+      return res.status(400).json({ error: 'Current value is required' });
+    }
+
+    const value = currentValue !== undefined ? { currentValue: parseFloat(currentValue) } : {};
     const progress = await prisma.requirementProgress.upsert({
       where: {
         programEnrollmentId_requirementId: {
@@ -500,12 +524,12 @@ const updateProgress = async (req, res, next) => {
       create: {
         programEnrollmentId: enrollmentId,
         requirementId,
-        currentValue: parseFloat(currentValue),
+        ...value,
         isComplete: !!isComplete,
         completedAt: isComplete ? new Date() : null,
       },
       update: {
-        currentValue: parseFloat(currentValue),
+        ...value,
         isComplete: !!isComplete,
         completedAt: isComplete ? new Date() : null,
       },
@@ -576,7 +600,35 @@ const promoteStudent = async (req, res, next) => {
       }),
     ]);
 
-    res.status(201).json(promotion);
+    // Issue the belt certificate; a rendering failure doesn't undo the promotion
+    const certificate = await issueForPromotion(promotion.id);
+
+    // Start counting toward the belt after this one
+    await refreshBeltProgress({ studentIds: [pe.studentId], schoolId: pe.schoolId })
+      .catch((err) => logger.error(`[BeltProgress] Refresh after promotion ${promotion.id} failed: ${err.message}`));
+
+    res.status(201).json({ ...promotion, certificate });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/promotions/eligibility/:schoolId
+ * Who at a school is eligible for their next belt, and what everyone else
+ * is still missing. Query: ?programId=...
+ */
+const getEligibility = async (req, res, next) => {
+  try {
+    const { schoolId } = req.params;
+    if (!(await canManageSchool(req.user, schoolId))) return res.status(403).json({ error: 'Access denied' });
+
+    const students = await eligibilityReport(schoolId, { programId: req.query.programId });
+    res.json({
+      schoolId,
+      students,
+      summary: { students: students.length, eligible: students.filter((s) => s.eligible).length },
+    });
   } catch (error) {
     next(error);
   }
@@ -677,7 +729,7 @@ const updateTest = async (req, res, next) => {
         include: { enrollment: true },
       });
 
-      await prisma.$transaction([
+      const [promotion] = await prisma.$transaction([
         prisma.promotion.create({
           data: {
             programEnrollmentId: test.programEnrollmentId,
@@ -692,6 +744,7 @@ const updateTest = async (req, res, next) => {
           data: { currentBeltId: test.beltId },
         }),
       ]);
+      await issueForPromotion(promotion.id);
     }
 
     res.json(updated);
@@ -789,6 +842,7 @@ module.exports = {
   getStudentProgress,
   updateProgress,
   promoteStudent,
+  getEligibility,
   getTests,
   createTest,
   updateTest,
@@ -1,4 +1,6 @@
 const prisma = require('../config/database');
+const { verifyCertificate: lookupCertificate } = require('../services/certificateRenderer');
+const { findFeed, renderFeed } = require('../services/calendarFeeds');
 
 // ─── Public Events (no auth required) ────────────────────
 
@@ -202,7 +204,43 @@ const getPublicSchools = async (req, res, next) => {
   } catch (error) { next(error); }
 };
 
+// ─── Certificate Verification ────────────────────────────
+
+/**
+ * GET /api/public/certificates/:code
+ * Confirms a rank certificate from the code (or QR) printed on it.
+ * Revoked certificates are still found, with status REVOKED.
+ */
+const verifyCertificate = async (req, res, next) => {
+  try {
+    const result = await lookupCertificate(req.params.code);
+    if (!result) return res.status(404).json({ error: 'No certificate matches this code', valid: false });
+    res.set('Cache-Control', 'no-store');
+    res.json(result);
+  } catch (error) { next(error); }
+};
+
+// ─── Calendar Feeds ──────────────────────────────────────
+
+/**
+ * GET /api/public/calendar/:token.ics
+ * An .ics subscription feed. The secret token in the URL is the only
+ * credential; revoked or unknown tokens get a 404.
+ */
+const getCalendarFeed = async (req, res, next) => {
+  try {
+    const feed = await findFeed(req.params.token);
+    if (!feed) return res.status(404).type('text/plain').send('Calendar feed not found');
+    const ics = await renderFeed(feed);
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.type('text/calendar; charset=utf-8').send(ics);
+  } catch (error) { next(error); }
+};
+
 module.exports = {
   getPublicEvents, getPublicEvent, purchaseGuestTicket,
   getPublicProducts, createGuestOrder, getPublicSchools,
+  verifyCertificate,
+  getCalendarFeed,
 };
@@ -1,4 +1,23 @@
 const prisma = require('../config/database');
+const { dayRange, zonedParts } = require('../utils/dates');
+const { getSchoolTimeZone } = require('../services/schoolTime');
+
+/**
+ * Timestamp filter covering whole calendar days startDate..endDate
+ * (inclusive, YYYY-MM-DD) in the school's time zone.
+ */
+function daysFilter(startDate, endDate, timeZone) {
+  const filter = {};
+  if (startDate) filter.gte = dayRange(startDate, startDate, timeZone).gte;
+  if (endDate) filter.lt = dayRange(endDate, endDate, timeZone).lt;
+  return filter;
+}
+
+/** "YYYY-MM" of an instant, at the school. */
+function monthKey(instant, timeZone) {
+  const { year, month } = zonedParts(instant, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
 
 // ─── Revenue Dashboard ───────────────────────────────────
 
@@ -7,9 +26,9 @@ const getRevenueDashboard = async (req, res, next) => {
     const { schoolId } = req.params;
     const { startDate, endDate } = req.query;
 
-    const dateFilter = {};
-    if (startDate) dateFilter.gte = new Date(startDate);
-    if (endDate) dateFilter.lte = new Date(endDate);
+    // "All schools" reports in the default zone
+    const timeZone = await getSchoolTimeZone(schoolId === 'all' ? null : schoolId);
+    const dateFilter = daysFilter(startDate, endDate, timeZone);
 
     const where = { schoolId: schoolId === 'all' ? undefined : schoolId };
     const paymentWhere = { invoice: where };
@@ -22,6 +41,15 @@ const getRevenueDashboard = async (req, res, next) => {
       _count: true,
     });
 
+    // Refunds on invoice payments — revenue figures below are net of these
+    const refundWhere = { paymentId: { not: null }, schoolId: where.schoolId };
+    if (startDate || endDate) refundWhere.createdAt = dateFilter;
+    const refunds = await prisma.refund.aggregate({
+      where: refundWhere,
+      _sum: { amount: true },
+      _count: true,
+    });
+
     // Outstanding balances
     const outstanding = await prisma.invoice.aggregate({
       where: { ...where, status: { in: ['SENT', 'PAST_DUE'] } },
@@ -39,10 +67,19 @@ const getRevenueDashboard = async (req, res, next) => {
 
     const byMonth = {};
     monthlyPayments.forEach((p) => {
-      const key = `${p.paidAt.getFullYear()}-${String(p.paidAt.getMonth() + 1).padStart(2, '0')}`;
+      const key = monthKey(p.paidAt, timeZone);
       byMonth[key] = (byMonth[key] || 0) + Number(p.amount);
     });
 
+    const monthlyRefunds = await prisma.refund.findMany({
+      where: { ...refundWhere, createdAt: { ...refundWhere.createdAt, gte: twelveMonthsAgo } },
+      select: { amount: true, createdAt: true },
+    });
+    monthlyRefunds.forEach((r) => {
+      const key = monthKey(r.createdAt, timeZone);
+      byMonth[key] = (byMonth[key] || 0) - Number(r.amount);
+    });
+
     // Invoice status breakdown
     const invoicesByStatus = await prisma.invoice.groupBy({
       by: ['status'],
@@ -69,7 +106,10 @@ const getRevenueDashboard = async (req, res, next) => {
     const activeSubscriptions = await prisma.subscription.count({ where: { ...where, status: 'ACTIVE' } });
 
     res.json({
-      totalRevenue: payments._sum.amount || 0,
+      totalRevenue: (payments._sum.amount || 0) - (refunds._sum.amount || 0),
+      grossRevenue: payments._sum.amount || 0,
+      totalRefunded: refunds._sum.amount || 0,
+      totalRefunds: refunds._count,
       totalPayments: payments._count,
       outstandingBalance: outstanding._sum.totalAmount || 0,
       outstandingInvoices: outstanding._count,
@@ -92,6 +132,14 @@ const getRevenueBySchool = async (req, res, next) => {
       _count: true,
     });
 
+    // Partial refunds on invoices that are still PAID (fully refunded ones are REFUNDED)
+    const refundsBySchool = await prisma.refund.groupBy({
+      by: ['schoolId'],
+      where: { payment: { invoice: { status: 'PAID' } } },
+      _sum: { amount: true },
+    });
+    const refundMap = Object.fromEntries(refundsBySchool.map((r) => [r.schoolId, r._sum.amount || 0]));
+
     const schools = await prisma.school.findMany({
       where: { id: { in: revenueBySchool.map((r) => r.schoolId) } },
       select: { id: true, name: true },
@@ -101,7 +149,8 @@ const getRevenueBySchool = async (req, res, next) => {
     res.json(revenueBySchool.map((r) => ({
       schoolId: r.schoolId,
       schoolName: schoolMap[r.schoolId] || 'Unknown',
-      revenue: r._sum.totalAmount || 0,
+      revenue: (r._sum.totalAmount || 0) - (refundMap[r.schoolId] || 0),
+      refunded: refundMap[r.schoolId] || 0,
       invoiceCount: r._count,
     })));
   } catch (error) { next(error); }
@@ -121,7 +170,22 @@ const getPaymentMethodStats = async (req, res, next) => {
       _count: true,
     });
 
-    res.json(byMethod.map((m) => ({ method: m.method, count: m._count, amount: m._sum.amount || 0 })));
+    // Refunds go back through the original payment's method
+    const refunds = await prisma.refund.findMany({
+      where: { paymentId: { not: null }, ...(schoolId !== 'all' && { schoolId }) },
+      select: { amount: true, payment: { select: { method: true } } },
+    });
+    const refundedByMethod = {};
+    refunds.forEach((r) => {
+      refundedByMethod[r.payment.method] = (refundedByMethod[r.payment.method] || 0) + r.amount;
+    });
+
+    res.json(byMethod.map((m) => ({
+      method: m.method,
+      count: m._count,
+      amount: m._sum.amount || 0,
+      refunded: refundedByMethod[m.method] || 0,
+    })));
   } catch (error) { next(error); }
 };
 
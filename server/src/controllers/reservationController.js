@@ -0,0 +1,164 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Reservation Controller
+ * ──────────────────────────────────────────────────────────
+ * Class bookings and waitlists. Capacity, waitlist promotion,
+ * the cancellation cutoff and notifications live in
+ * services/reservations.js.
+ *
+ * Security:
+ *   - Students book and cancel only for themselves, at
+ *     schools they're actively enrolled in
+ *   - Staff act on students at their own school
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const { isSuperRole } = require('../utils/authorization');
+const { startOfToday } = require('../utils/dates');
+const { getSchoolTimeZone } = require('../services/schoolTime');
+const {
+  SESSION_SELECT,
+  occupiedSpots,
+  waitlistPosition,
+  reserve,
+  cancelReservation: cancelBooking,
+} = require('../services/reservations');
+
+const STAFF_ROLES = ['SUPER_ADMIN', 'IT_ADMIN', 'OWNER', 'INSTRUCTOR', 'SCHOOL_STAFF'];
+
+const isStaff = (user) => STAFF_ROLES.includes(user.role);
+const canManageSchool = (user, schoolId) => isSuperRole(user) || user.schoolId === schoolId;
+
+/**
+ * @route POST /api/reservations
+ * Book a session. Students book themselves; staff pass studentId.
+ */
+const createReservation = async (req, res, next) => {
+  try {
+    const { sessionId } = req.body;
+    const session = await prisma.classSession.findUnique({ where: { id: sessionId }, select: SESSION_SELECT });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const { schoolId } = session.class;
+
+    let studentId = req.user.id;
+    if (isStaff(req.user)) {
+      if (!req.body.studentId) return res.status(400).json({ error: 'studentId is required' });
+      if (!canManageSchool(req.user, schoolId)) return res.status(403).json({ error: 'Insufficient permissions' });
+      studentId = req.body.studentId;
+    }
+
+    const enrolled = await prisma.enrollment.findFirst({ where: { studentId, schoolId, status: 'ACTIVE' } });
+    if (!enrolled) {
+      return res.status(403).json({ error: isStaff(req.user) ? 'Student is not enrolled at this school' : 'You are not enrolled at this school' });
+    }
+
+    const reservation = await reserve({ sessionId, studentId });
+    res.status(201).json({
+      ...reservation,
+      message: reservation.position
+        ? `Class is full — added to the waitlist (#${reservation.position})`
+        : 'Spot reserved',
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/reservations/:id/cancel
+ * Cancel a booking or leave the waitlist. Students are held to the
+ * cancellation cutoff; staff are not.
+ */
+const cancelReservation = async (req, res, next) => {
+  try {
+    const reservation = await prisma.reservation.findUnique({
+      where: { id: req.params.id },
+      include: { session: { select: SESSION_SELECT } },
+    });
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+    const staff = isStaff(req.user) && canManageSchool(req.user, reservation.session.class.schoolId);
+    if (!staff && reservation.studentId !== req.user.id) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await cancelBooking(reservation, { enforceCutoff: !staff });
+    res.json({
+      id: result.id,
+      status: result.status,
+      cancelledAt: result.cancelledAt,
+      promoted: result.promoted,
+      message: 'Booking cancelled',
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/reservations/my
+ * The signed-in student's upcoming bookings, with waitlist places.
+ */
+const getMyReservations = async (req, res, next) => {
+  try {
+    const today = startOfToday(new Date(), await getSchoolTimeZone(req.user.schoolId));
+    const reservations = await prisma.reservation.findMany({
+      where: {
+        studentId: req.user.id,
+        status: { in: ['RESERVED', 'WAITLISTED'] },
+        session: { sessionDate: { gte: today } },
+      },
+      include: { session: { select: SESSION_SELECT } },
+      orderBy: { session: { sessionDate: 'asc' } },
+    });
+
+    const withPositions = [];
+    for (const r of reservations) {
+      withPositions.push({ ...r, position: await waitlistPosition(prisma, r) });
+    }
+    res.json(withPositions);
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route GET /api/reservations/session/:sessionId
+ * Booking roster for staff: held spots, the waitlist in order, and
+ * how much room is left.
+ */
+const getSessionReservations = async (req, res, next) => {
+  try {
+    const session = await prisma.classSession.findUnique({
+      where: { id: req.params.sessionId },
+      select: SESSION_SELECT,
+    });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!canManageSchool(req.user, session.class.schoolId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const [reservations, occupied] = await Promise.all([
+      prisma.reservation.findMany({
+        where: { sessionId: session.id },
+        include: { student: { select: { id: true, firstName: true, lastName: true, email: true } } },
+        orderBy: { bookedAt: 'asc' },
+      }),
+      occupiedSpots(prisma, session.id),
+    ]);
+
+    const waitlist = reservations.filter((r) => r.status === 'WAITLISTED');
+    res.json({
+      session,
+      capacity: session.class.capacity,
+      spotsRemaining: Math.max(session.class.capacity - occupied, 0),
+      reserved: reservations.filter((r) => r.status === 'RESERVED'),
+      waitlist: waitlist.map((r, i) => ({ ...r, position: i + 1 })),
+      attended: reservations.filter((r) => r.status === 'ATTENDED'),
+      noShows: reservations.filter((r) => r.status === 'NO_SHOW'),
+      cancelled: reservations.filter((r) => r.status === 'CANCELLED'),
+    });
+  } catch (error) { next(error); }
+};
+
+module.exports = { createReservation, cancelReservation, getMyReservations, getSessionReservations };
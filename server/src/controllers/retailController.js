@@ -16,6 +16,7 @@
 const prisma = require('../config/database');
 const { isSuperRole } = require('../utils/authorization');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const refunds = require('../services/refunds');
 
 // ─── Products ────────────────────────────────────────────
 
@@ -276,4 +277,29 @@ const updateOrderStatus = async (req, res, next) => {
   } catch (error) { next(error); }
 };
 
-module.exports = { getProducts, createProduct, updateProduct, updateInventory, getLowStock, getOrders, createOrder, updateOrderStatus };
+/**
+ * Refund all or part of a paid order through the school's gateway.
+ * Body: { amount?, reason? } — amount defaults to the unrefunded balance.
+ * @route POST /api/retail/orders/:id/refund
+ */
+const refundOrder = async (req, res, next) => {
+  try {
+    const existing = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== existing.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await refunds.refundOrder(existing.schoolId, existing.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      performedById: req.user.id,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    next(error);
+  }
+};
+
+module.exports = { getProducts, createProduct, updateProduct, updateInventory, getLowStock, getOrders, createOrder, updateOrderStatus, refundOrder };
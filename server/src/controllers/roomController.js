@@ -0,0 +1,98 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Room Controller
+ * ──────────────────────────────────────────────────────────
+ * Bookable rooms / mats inside a school. Classes get a regular
+ * room, sessions and events can book one; double-bookings are
+ * caught by services/scheduleConflicts.js.
+ *
+ * Security:
+ *   - Explicit field whitelisting (no mass assignment)
+ *   - Staff see their own school's rooms
+ *   - Ownership verified before update/delete
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const { isSuperRole } = require('../utils/authorization');
+
+/** @route GET /api/rooms — Rooms for the user's school (any school for super roles) */
+const getRooms = async (req, res, next) => {
+  try {
+    const { schoolId, includeInactive } = req.query;
+    const where = {};
+    if (isSuperRole(req.user)) {
+      if (schoolId) where.schoolId = schoolId;
+    } else {
+      where.schoolId = req.user.schoolId;
+    }
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const rooms = await prisma.room.findMany({
+      where,
+      include: { _count: { select: { classes: true } } },
+      orderBy: { name: 'asc' },
+    });
+    res.json(rooms);
+  } catch (error) { next(error); }
+};
+
+/** @route POST /api/rooms */
+const createRoom = async (req, res, next) => {
+  try {
+    const { name, capacity, notes, schoolId } = req.body;
+    const effectiveSchoolId = isSuperRole(req.user) ? schoolId : req.user.schoolId;
+    if (!effectiveSchoolId) return res.status(400).json({ error: 'School ID is required' });
+
+    const room = await prisma.room.create({
+      data: { name, capacity: capacity ?? null, notes: notes || null, schoolId: effectiveSchoolId },
+    });
+    res.status(201).json(room);
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ error: 'A room with this name already exists' });
+    next(error);
+  }
+};
+
+/** @route PUT /api/rooms/:id — Ownership check + field whitelist */
+const updateRoom = async (req, res, next) => {
+  try {
+    const existing = await prisma.room.findUnique({ where: { id: req.params.id } });
+    if (!existing) return res.status(404).json({ error: 'Room not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== existing.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { name, capacity, notes, isActive } = req.body;
+    const room = await prisma.room.update({
+      where: { id: req.params.id },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(capacity !== undefined && { capacity }),
+        ...(notes !== undefined && { notes }),
+        ...(isActive !== undefined && { isActive }),
+      },
+    });
+    res.json(room);
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ error: 'A room with this name already exists' });
+    next(error);
+  }
+};
+
+/**
+ * @route DELETE /api/rooms/:id
+ * Classes, sessions and events in the room keep running, just without one.
+ */
+const deleteRoom = async (req, res, next) => {
+  try {
+    const existing = await prisma.room.findUnique({ where: { id: req.params.id } });
+    if (!existing) return res.status(404).json({ error: 'Room not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== existing.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    await prisma.room.delete({ where: { id: req.params.id } });
+    res.json({ message: 'Room deleted' });
+  } catch (error) { next(error); }
+};
+
+module.exports = { getRooms, createRoom, updateRoom, deleteRoom };
@@ -6,7 +6,7 @@ const prisma = require('../config/database');
  */
 const createSchool = async (req, res, next) => {
   try {
-    const { name, address, city, state, zip, phone, email, ownerId } = req.body;
+    const { name, address, city, state, zip, phone, email, timezone, ownerId } = req.body;
 
     // Validate owner exists and has OWNER role
     if (ownerId) {
@@ -25,6 +25,7 @@ const createSchool = async (req, res, next) => {
         zip: zip || null,
         phone: phone || null,
         email: email || null,
+        timezone: timezone || null,
         ownerId: ownerId || req.user.id,
       },
       include: {
@@ -122,7 +123,7 @@ const getSchoolById = async (req, res, next) => {
  */
 const updateSchool = async (req, res, next) => {
   try {
-    const { name, address, city, state, zip, phone, email, ownerId, isActive } = req.body;
+    const { name, address, city, state, zip, phone, email, timezone, ownerId, isActive } = req.body;
 
     // OWNER can only update their own school
     if (req.user.role === 'OWNER') {
@@ -142,6 +143,7 @@ const updateSchool = async (req, res, next) => {
         ...(zip !== undefined && { zip }),
         ...(phone !== undefined && { phone }),
         ...(email !== undefined && { email }),
+        ...(timezone !== undefined && { timezone: timezone || null }),
         ...(ownerId !== undefined && { ownerId }),
         ...(isActive !== undefined && { isActive }),
       },
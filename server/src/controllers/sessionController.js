@@ -1,6 +1,11 @@
 const { v4: uuidv4 } = require('uuid');
 const prisma = require('../config/database');
 const { parsePagination, paginatedResponse } = require('../utils/pagination');
+const { slotConflicts, requireSchoolRoom, assertNoConflicts, conflictResponse } = require('../services/scheduleConflicts');
+const { startOfToday } = require('../utils/dates');
+const { getSchoolTimeZone } = require('../services/schoolTime');
+const { issueQrToken } = require('../services/checkInQr');
+const { onSessionCompleted } = require('../services/sessionLifecycle');
 
 const VALID_SESSION_STATUSES = ['SCHEDULED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
 
@@ -10,7 +15,7 @@ const VALID_SESSION_STATUSES = ['SCHEDULED', 'IN_PROGRESS', 'COMPLETED', 'CANCEL
  */
 const createSession = async (req, res, next) => {
   try {
-    const { classId, scheduleId, sessionDate, startTime, endTime } = req.body;
+    const { classId, scheduleId, sessionDate, startTime, endTime, roomId, overrideConflicts } = req.body;
 
     const cls = await prisma.class.findUnique({ where: { id: classId } });
     if (!cls) {
@@ -19,6 +24,16 @@ const createSession = async (req, res, next) => {
 
     const qrCode = `FLOW-${uuidv4().slice(0, 8).toUpperCase()}`;
 
+    await requireSchoolRoom(roomId, cls.schoolId);
+    const conflicts = await slotConflicts({
+      sessionDate: new Date(sessionDate),
+      startTime,
+      endTime,
+      instructorId: cls.instructorId,
+      roomId: roomId || cls.roomId,
+    }, { schoolId: cls.schoolId });
+    assertNoConflicts(conflicts, overrideConflicts === true);
+
     const session = await prisma.classSession.create({
       data: {
         classId,
@@ -26,6 +41,7 @@ const createSession = async (req, res, next) => {
         sessionDate: new Date(sessionDate),
         startTime,
         endTime,
+        roomId: roomId || null,
         qrCode,
       },
       include: {
@@ -34,25 +50,33 @@ const createSession = async (req, res, next) => {
       },
     });
 
-    res.status(201).json(session);
+    res.status(201).json({ ...session, conflicts });
   } catch (error) {
+    const conflict = conflictResponse(error);
+    if (conflict) return res.status(409).json(conflict);
+    if (error.status) return res.status(error.status).json({ error: error.message, reason: error.reason });
     next(error);
   }
 };
 
 /**
  * GET /api/sessions
- * List sessions, optionally filtered by classId, date range, status
+ * List sessions, optionally filtered by classId, schoolId, date range, status.
+ * `today=true` means today at the school (schoolId, else the user's) in its
+ * own time zone — what kiosks and the front desk show.
  */
 const getSessions = async (req, res, next) => {
   try {
-    const { classId, status, from, to } = req.query;
+    const { classId, schoolId, status, from, to, today } = req.query;
     const { skip, take, page, limit } = parsePagination(req.query);
 
     const where = {};
     if (classId) where.classId = classId;
+    if (schoolId) where.class = { schoolId };
     if (status) where.status = status;
-    if (from || to) {
+    if (today === 'true') {
+      where.sessionDate = startOfToday(new Date(), await getSchoolTimeZone(schoolId || req.user.schoolId));
+    } else if (from || to) {
       where.sessionDate = {};
       if (from) where.sessionDate.gte = new Date(from);
       if (to) where.sessionDate.lte = new Date(to);
@@ -63,8 +87,9 @@ const getSessions = async (req, res, next) => {
         where,
         include: {
           class: {
-            select: { id: true, name: true, discipline: true, capacity: true, school: { select: { id: true, name: true } }, instructor: { select: { id: true, firstName: true, lastName: true } } },
+            select: { id: true, name: true, discipline: true, capacity: true, school: { select: { id: true, name: true, timezone: true } }, instructor: { select: { id: true, firstName: true, lastName: true } } },
           },
+          instructor: { select: { id: true, firstName: true, lastName: true } }, // substitute, if any
           _count: { select: { checkIns: true } },
         },
         orderBy: [{ sessionDate: 'desc' }, { startTime: 'desc' }],
@@ -90,8 +115,9 @@ const getSessionById = async (req, res, next) => {
       where: { id: req.params.id },
       include: {
         class: {
-          select: { id: true, name: true, discipline: true, capacity: true, skillLevel: true },
+          select: { id: true, name: true, discipline: true, capacity: true, skillLevel: true, instructor: { select: { id: true, firstName: true, lastName: true } } },
         },
+        instructor: { select: { id: true, firstName: true, lastName: true } }, // substitute, if any
         checkIns: {
           include: {
             student: { select: { id: true, firstName: true, lastName: true, email: true } },
@@ -130,8 +156,11 @@ const updateSessionStatus = async (req, res, next) => {
 
     const session = await prisma.classSession.update({
       where: { id: req.params.id },
-      data: { status },
+      // Reinstating a class called off by a closure detaches it from the closure
+      data: { status, ...(status !== 'CANCELLED' && { closureId: null }) },
     });
+    // Ending a class by hand runs the same follow-ups as the lifecycle scheduler
+    if (status === 'COMPLETED') await onSessionCompleted(session.id);
 
     res.json(session);
   } catch (error) {
@@ -141,7 +170,7 @@ const updateSessionStatus = async (req, res, next) => {
 
 /**
  * GET /api/sessions/:id/qr
- * Get the QR code value for a session
+ * Get the current rotating check-in QR token for a session
  */
 const getSessionQr = async (req, res, next) => {
   try {
@@ -154,10 +183,11 @@ const getSessionQr = async (req, res, next) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    // Return QR data — the frontend will generate the QR image
+    // Return QR data — the frontend will generate the QR image and
+    // fetch a fresh token after refreshInSeconds
     res.json({
       sessionId: session.id,
-      qrCode: session.qrCode,
+      ...issueQrToken(session),
       className: session.class.name,
       sessionDate: session.sessionDate,
       startTime: session.startTime,
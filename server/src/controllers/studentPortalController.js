@@ -1,4 +1,7 @@
 const prisma = require('../config/database');
+const config = require('../config');
+const { closureOccurrences } = require('../services/schoolClosures');
+const { waitlistPosition } = require('../services/reservations');
 
 // ─── Student Dashboard (self-service) ────────────────────
 
@@ -29,7 +32,7 @@ const getStudentPortal = async (req, res, next) => {
       }),
       prisma.payment.findMany({
         where: { studentId: userId },
-        include: { invoice: { select: { invoiceNumber: true, notes: true } } },
+        include: { invoice: { select: { invoiceNumber: true, notes: true, schoolId: true } } },
         orderBy: { paidAt: 'desc' },
         take: 30,
       }),
@@ -126,6 +129,9 @@ const getStudentPortal = async (req, res, next) => {
 };
 
 // ─── Get class schedule for a student ────────────────────
+// Returns { data: sessions, closures }. Sessions cancelled by a school
+// closure stay in the list (with `closure`) so students see why. Each
+// session carries the student's booking (if any) and spots left.
 
 const getStudentSchedule = async (req, res, next) => {
   try {
@@ -139,27 +145,57 @@ const getStudentSchedule = async (req, res, next) => {
 
     const where = {
       class: { schoolId: { in: schoolIds } },
-      status: { in: ['SCHEDULED', 'IN_PROGRESS'] },
+      OR: [{ status: { in: ['SCHEDULED', 'IN_PROGRESS'] } }, { closureId: { not: null } }],
     };
 
     if (startDate) where.sessionDate = { ...where.sessionDate, gte: new Date(startDate) };
     if (endDate) where.sessionDate = { ...where.sessionDate, lte: new Date(endDate) };
     if (!startDate && !endDate) where.sessionDate = { gte: new Date() };
 
-    const sessions = await prisma.classSession.findMany({
-      where,
-      include: {
-        class: { select: { name: true, school: { select: { name: true } }, instructor: { select: { firstName: true, lastName: true } } } },
-        checkIns: { where: { studentId: userId }, select: { id: true } },
-      },
-      orderBy: { sessionDate: 'asc' },
-      take: 50,
-    });
+    const [sessions, closures] = await Promise.all([
+      prisma.classSession.findMany({
+        where,
+        include: {
+          class: { select: { name: true, capacity: true, school: { select: { name: true } }, instructor: { select: { firstName: true, lastName: true } } } },
+          instructor: { select: { firstName: true, lastName: true } }, // substitute, if any
+          checkIns: { where: { studentId: userId }, select: { id: true } },
+          closure: { select: { id: true, name: true } },
+          reservations: { where: { studentId: userId, status: { not: 'CANCELLED' } }, select: { id: true, sessionId: true, status: true, bookedAt: true } },
+          _count: { select: { checkIns: true, reservations: { where: { status: 'RESERVED' } } } },
+        },
+        orderBy: { sessionDate: 'asc' },
+        take: 50,
+      }),
+      prisma.schoolClosure.findMany({
+        where: { schoolId: { in: schoolIds } },
+        include: { school: { select: { name: true } } },
+      }),
+    ]);
 
-    res.json(sessions.map((s) => ({
-      ...s,
-      attended: s.checkIns.length > 0,
-    })));
+    const from = startDate ? new Date(startDate) : new Date();
+    const until = endDate
+      ? new Date(endDate)
+      : new Date(from.getTime() + config.sessionHorizonWeeks * 7 * 24 * 60 * 60 * 1000);
+
+    const data = [];
+    for (const { reservations, _count, ...s } of sessions) {
+      const reservation = reservations[0] || null;
+      data.push({
+        ...s,
+        attended: s.checkIns.length > 0,
+        spotsRemaining: Math.max(s.class.capacity - _count.checkIns - _count.reservations, 0),
+        reservation: reservation && { ...reservation, position: await waitlistPosition(prisma, reservation) },
+      });
+    }
+
+    res.json({
+      data,
+      closures: closures
+        .flatMap((c) => closureOccurrences(c, from, until).map((o) => ({
+          id: c.id, name: c.name, school: c.school, recurrence: c.recurrence, ...o,
+        })))
+        .sort((a, b) => a.startDate - b.startDate),
+    });
   } catch (error) { next(error); }
 };
 
@@ -0,0 +1,353 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Substitution Controller
+ * ──────────────────────────────────────────────────────────
+ * Instructor availability, time off, substitute requests and
+ * per-session instructor overrides. Conflict checks and the
+ * request lifecycle live in services/instructorCoverage.js.
+ *
+ * Security:
+ *   - Instructors manage their own availability and time off;
+ *     owners manage anyone at their school
+ *   - Requests are visible to the school's teaching staff
+ *   - Only owners set a session's instructor directly
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const { isSuperRole } = require('../utils/authorization');
+const { DAY_MS, startOfToday, localMidnight } = require('../utils/dates');
+const { getSchoolTimeZone, sessionStartsAt, sessionEndsAt } = require('../services/schoolTime');
+const {
+  SESSION_SELECT,
+  effectiveInstructorId,
+  assignInstructor,
+  requestSubstitute,
+  acceptRequest: accept,
+  declineRequest: decline,
+  cancelRequest: cancel,
+} = require('../services/instructorCoverage');
+const { conflictResponse } = require('../services/scheduleConflicts');
+
+const USER_SELECT = { id: true, firstName: true, lastName: true };
+
+const REQUEST_INCLUDE = {
+  session: { select: SESSION_SELECT },
+  requestedBy: { select: USER_SELECT },
+  originalInstructor: { select: USER_SELECT },
+  substitute: { select: USER_SELECT },
+};
+
+const isOwner = (user, schoolId) => isSuperRole(user) || (user.role === 'OWNER' && user.schoolId === schoolId);
+
+/** The instructor being managed, if the user may manage them. */
+async function managedInstructor(user, instructorId) {
+  const instructor = await prisma.user.findUnique({
+    where: { id: instructorId },
+    select: { ...USER_SELECT, role: true, schoolId: true },
+  });
+  if (!instructor) return { status: 404, error: 'Instructor not found' };
+  if (instructor.id !== user.id && !isOwner(user, instructor.schoolId)) {
+    return { status: 403, error: 'Insufficient permissions' };
+  }
+  if (!instructor.schoolId) return { status: 400, error: 'Instructor is not assigned to a school' };
+  return { instructor };
+}
+
+const sendError = (res, error) => res.status(error.status).json(conflictResponse(error) || { error: error.message, reason: error.reason });
+
+// ─── Availability ────────────────────────────────────────
+
+/**
+ * @route GET /api/substitutions/availability/:instructorId
+ * Weekly windows an instructor is available to teach.
+ */
+const getAvailability = async (req, res, next) => {
+  try {
+    const instructor = await prisma.user.findUnique({ where: { id: req.params.instructorId }, select: { id: true, schoolId: true } });
+    if (!instructor) return res.status(404).json({ error: 'Instructor not found' });
+    if (!isSuperRole(req.user) && req.user.schoolId !== instructor.schoolId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const windows = await prisma.instructorAvailability.findMany({
+      where: { instructorId: instructor.id },
+      orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }],
+    });
+    res.json(windows);
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route PUT /api/substitutions/availability/:instructorId
+ * Replace an instructor's weekly availability. An empty list means
+ * "available any time".
+ */
+const setAvailability = async (req, res, next) => {
+  try {
+    const { instructor, status, error } = await managedInstructor(req.user, req.params.instructorId);
+    if (!instructor) return res.status(status).json({ error });
+
+    const windows = req.body.windows || [];
+    const bad = windows.find((w) => w.endTime <= w.startTime);
+    if (bad) return res.status(400).json({ error: `End time must be after start time (${bad.dayOfWeek})` });
+
+    const saved = await prisma.$transaction(async (tx) => {
+      await tx.instructorAvailability.deleteMany({ where: { instructorId: instructor.id, schoolId: instructor.schoolId } });
+      await tx.instructorAvailability.createMany({
+        data: windows.map((w) => ({
+          instructorId: instructor.id,
+          schoolId: instructor.schoolId,
+          dayOfWeek: w.dayOfWeek,
+          startTime: w.startTime,
+          endTime: w.endTime,
+        })),
+      });
+      return tx.instructorAvailability.findMany({
+        where: { instructorId: instructor.id },
+        orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }],
+      });
+    });
+    res.json(saved);
+  } catch (error) { next(error); }
+};
+
+// ─── Time off ────────────────────────────────────────────
+
+/**
+ * @route GET /api/substitutions/time-off
+ * Time off at the user's school (or for one instructor), current and upcoming
+ * unless `from` says otherwise.
+ */
+const getTimeOff = async (req, res, next) => {
+  try {
+    const { instructorId, schoolId, from } = req.query;
+    const scope = isSuperRole(req.user) ? schoolId : req.user.schoolId;
+    const since = from ? new Date(from) : localMidnight(new Date(), await getSchoolTimeZone(scope));
+    const where = { endsAt: { gte: since } };
+    if (instructorId) where.instructorId = instructorId;
+    if (scope || !isSuperRole(req.user)) where.schoolId = scope;
+
+    const entries = await prisma.instructorTimeOff.findMany({
+      where,
+      include: { instructor: { select: USER_SELECT } },
+      orderBy: { startsAt: 'asc' },
+    });
+    res.json(entries);
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route POST /api/substitutions/time-off
+ * Record time off. Returns the sessions it affects so cover can be arranged.
+ */
+const createTimeOff = async (req, res, next) => {
+  try {
+    const { instructor, status, error } = await managedInstructor(req.user, req.body.instructorId || req.user.id);
+    if (!instructor) return res.status(status).json({ error });
+
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+    if (endsAt <= startsAt) return res.status(400).json({ error: 'End must be after start' });
+
+    const entry = await prisma.instructorTimeOff.create({
+      data: { instructorId: instructor.id, schoolId: instructor.schoolId, startsAt, endsAt, reason: req.body.reason || null },
+      include: { instructor: { select: USER_SELECT } },
+    });
+
+    // Sessions they're down to teach inside the window (a day of slack for
+    // local vs UTC dates; the exact overlap is checked below)
+    const candidates = await prisma.classSession.findMany({
+      where: {
+        status: 'SCHEDULED',
+        sessionDate: { gte: new Date(startsAt.getTime() - DAY_MS), lte: endsAt },
+        OR: [{ instructorId: instructor.id }, { instructorId: null, class: { instructorId: instructor.id } }],
+      },
+      select: SESSION_SELECT,
+      orderBy: [{ sessionDate: 'asc' }, { startTime: 'asc' }],
+    });
+    const affectedSessions = candidates.filter((s) => effectiveInstructorId(s) === instructor.id
+      && sessionStartsAt(s) < endsAt && sessionEndsAt(s) > startsAt);
+
+    res.status(201).json({ ...entry, affectedSessions });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route DELETE /api/substitutions/time-off/:id
+ */
+const deleteTimeOff = async (req, res, next) => {
+  try {
+    const entry = await prisma.instructorTimeOff.findUnique({ where: { id: req.params.id } });
+    if (!entry) return res.status(404).json({ error: 'Time off not found' });
+    if (entry.instructorId !== req.user.id && !isOwner(req.user, entry.schoolId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    await prisma.instructorTimeOff.delete({ where: { id: entry.id } });
+    res.json({ message: 'Time off removed' });
+  } catch (error) { next(error); }
+};
+
+// ─── Substitute requests ─────────────────────────────────
+
+/**
+ * @route GET /api/substitutions/requests
+ * Requests at the user's school for upcoming sessions. `mine=true` narrows
+ * to requests the user made, is covering for, or can pick up.
+ */
+const getRequests = async (req, res, next) => {
+  try {
+    const { status, mine, schoolId } = req.query;
+    const scope = isSuperRole(req.user) ? schoolId : req.user.schoolId;
+    const today = startOfToday(new Date(), await getSchoolTimeZone(scope));
+    const where = {
+      session: { sessionDate: { gte: today }, ...(scope && { class: { schoolId: scope } }) },
+      ...(status && { status }),
+    };
+    if (mine === 'true') {
+      where.OR = [
+        { requestedById: req.user.id },
+        { originalInstructorId: req.user.id },
+        { substituteId: req.user.id },
+        { substituteId: null, status: 'OPEN' },
+      ];
+    }
+
+    const requests = await prisma.substituteRequest.findMany({
+      where,
+      include: REQUEST_INCLUDE,
+      orderBy: { session: { sessionDate: 'asc' } },
+    });
+    res.json(requests);
+  } catch (error) { next(error); }
+};
+
+/**
+ * @route POST /api/substitutions/requests
+ * Ask for cover. The session's instructor or an owner can ask; leave out
+ * substituteId to ask the whole school.
+ */
+const createRequest = async (req, res, next) => {
+  try {
+    const { sessionId, substituteId, reason } = req.body;
+    const session = await prisma.classSession.findUnique({ where: { id: sessionId }, select: SESSION_SELECT });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (effectiveInstructorId(session) !== req.user.id && !isOwner(req.user, session.class.schoolId)) {
+      return res.status(403).json({ error: 'Only the session instructor or an owner can request a substitute' });
+    }
+
+    const request = await requestSubstitute({ session, requestedById: req.user.id, substituteId, reason });
+    res.status(201).json({
+      ...request,
+      message: substituteId ? 'Substitute request sent' : `Substitute request sent to ${request.asked} instructor${request.asked === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    next(error);
+  }
+};
+
+async function loadRequest(id) {
+  return prisma.substituteRequest.findUnique({ where: { id }, include: { session: { select: SESSION_SELECT } } });
+}
+
+/**
+ * @route POST /api/substitutions/requests/:id/accept
+ * Take the session. Conflicts don't block; they come back as warnings.
+ */
+const acceptRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Substitute request not found' });
+
+    const result = await accept(request, req.user.id);
+    res.json({ ...result, message: "You're covering this session" });
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/substitutions/requests/:id/decline
+ */
+const declineRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Substitute request not found' });
+
+    const result = await decline(request, req.user.id);
+    res.json({ id: result.id, status: result.status, message: 'Request declined' });
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/substitutions/requests/:id/cancel
+ * Withdraw a request. The requester or an owner can.
+ */
+const cancelRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Substitute request not found' });
+    if (request.requestedById !== req.user.id && !isOwner(req.user, request.session.class.schoolId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await cancel(request);
+    res.json({ id: result.id, status: result.status, message: 'Request withdrawn' });
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    next(error);
+  }
+};
+
+// ─── Direct assignment ───────────────────────────────────
+
+/**
+ * @route PUT /api/substitutions/sessions/:sessionId/instructor
+ * Set who teaches a single session. null (or the class's instructor)
+ * clears the override. A double-booking is refused (409) unless
+ * overrideConflicts is set; other clashes come back as warnings.
+ */
+const setSessionInstructor = async (req, res, next) => {
+  try {
+    const session = await prisma.classSession.findUnique({ where: { id: req.params.sessionId }, select: SESSION_SELECT });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!isOwner(req.user, session.class.schoolId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { session: updated, warnings } = await assignInstructor(session, req.body.instructorId || null, {
+      overrideConflicts: req.body.overrideConflicts === true,
+    });
+
+    // A direct assignment settles any request still waiting for cover
+    if (updated.instructorId !== session.instructorId) {
+      await prisma.substituteRequest.updateMany({
+        where: { sessionId: session.id, status: 'OPEN' },
+        data: { status: 'CANCELLED', respondedAt: new Date() },
+      });
+    }
+
+    res.json({ session: updated, warnings, message: updated.instructorId ? 'Substitute assigned' : 'Regular instructor restored' });
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAvailability,
+  setAvailability,
+  getTimeOff,
+  createTimeOff,
+  deleteTimeOff,
+  getRequests,
+  createRequest,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
+  setSessionInstructor,
+};
@@ -0,0 +1,95 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Payment Gateway Webhooks (public, no auth)
+ * ──────────────────────────────────────────────────────────
+ * One endpoint per gateway per school:
+ *   POST /api/webhooks/stripe/:schoolId
+ *   POST /api/webhooks/square/:schoolId
+ *
+ * Security:
+ *  - Signature verified against the school's PaymentConfig.webhookSecret
+ *    using the raw request bytes (captured by the JSON parser in index.js)
+ *  - Stripe timestamps older than 5 minutes are rejected (replay)
+ *  - Each provider event ID is stored once (WebhookEvent unique key), so
+ *    redelivered events are acknowledged without being applied twice
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { adapters } = require('../services/paymentGateway');
+const { processGatewayEvent } = require('../services/paymentWebhooks');
+
+/**
+ * The URL Square signed. Behind a proxy the Host header may differ from the
+ * public address, so PUBLIC_API_URL can pin the origin.
+ */
+function notificationUrl(req) {
+  const origin = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${origin.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+/**
+ * Build the handler for one gateway.
+ */
+function handleWebhook(gateway) {
+  const adapter = adapters[gateway];
+
+  return async (req, res, next) => {
+    let stored = null;
+    try {
+      const { schoolId } = req.params;
+
+      const config = await prisma.paymentConfig.findUnique({ where: { schoolId } });
+      if (!config || config.gateway !== gateway || !config.webhookSecret) {
+        return res.status(404).json({ error: 'Webhook not configured for this school' });
+      }
+
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+      const verified = adapter.verifyWebhook(config, {
+        rawBody,
+        headers: req.headers,
+        notificationUrl: notificationUrl(req),
+      });
+      if (!verified) {
+        logger.warn(`[Webhook] Rejected ${gateway} delivery for school ${schoolId}: invalid signature`);
+        return res.status(400).json({ error: 'Invalid signature' });
+      }
+
+      const evt = adapter.parseWebhookEvent(req.body || {});
+      if (!evt.eventId) {
+        return res.status(400).json({ error: 'Event ID missing from payload' });
+      }
+
+      // Claim the event — a duplicate delivery hits the unique key
+      try {
+        stored = await prisma.webhookEvent.create({
+          data: { gateway, eventId: evt.eventId, schoolId, type: evt.type || 'unknown' },
+        });
+      } catch (error) {
+        if (error.code === 'P2002') {
+          return res.json({ received: true, duplicate: true });
+        }
+        throw error;
+      }
+
+      const result = await processGatewayEvent(schoolId, evt);
+      await prisma.webhookEvent.update({
+        where: { id: stored.id },
+        data: { status: result.status, result: result.updated },
+      });
+
+      res.json({ received: true, status: result.status });
+    } catch (error) {
+      // Release the claim so the provider's retry can process the event
+      if (stored) {
+        await prisma.webhookEvent.delete({ where: { id: stored.id } }).catch(() => {});
+      }
+      next(error);
+    }
+  };
+}
+
+const handleStripeWebhook = handleWebhook('STRIPE');
+const handleSquareWebhook = handleWebhook('SQUARE');
+
+module.exports = { handleStripeWebhook, handleSquareWebhook };
@@ -50,10 +50,18 @@ const trainingPlanRoutes = require('./routes/trainingPlans');
 const payrollRoutes = require('./routes/payroll');
 const eventRoutes = require('./routes/events');
 const venueRoutes = require('./routes/venues');
+const closureRoutes = require('./routes/closures');
+const reservationRoutes = require('./routes/reservations');
+const substitutionRoutes = require('./routes/substitutions');
+const roomRoutes = require('./routes/rooms');
+const conflictRoutes = require('./routes/conflicts');
+const calendarFeedRoutes = require('./routes/calendarFeeds');
+const kioskRoutes = require('./routes/kiosk');
 const certificationRoutes = require('./routes/certifications');
 const brandingRoutes = require('./routes/branding');
 const helpRoutes = require('./routes/help');
 const publicRoutes = require('./routes/public');
+const webhookRoutes = require('./routes/webhooks');
 const virtualRoutes = require('./routes/virtual');
 const competitionRoutes = require('./routes/competitions');
 const adminRoutes = require('./routes/admin');
@@ -86,7 +94,7 @@ const corsOptions = {
     ? '*'
     : config.corsOrigin.split(',').map((o) => o.trim()),
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Kiosk-Token'],
   credentials: true,
   maxAge: 600,  // Pre-flight cache: 10 minutes
 };
@@ -109,8 +117,15 @@ app.use(hpp());
 /**
  * Body parser with size limit.
  * Mitigates: denial-of-service via oversized JSON payloads.
+ * Gateway webhooks also keep the raw bytes — signatures are computed
+ * over the exact payload, not the re-serialised JSON.
  */
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  },
+}));
 
 /**
  * HTTP request logger — structured access logs for observability.
@@ -155,6 +170,8 @@ const globalLimiter = rateLimit({
   legacyHeaders: false,
   store: buildRateLimitStore('rl-global'),
   message: { error: 'Too many requests. Please try again later.' },
+  // Gateway webhooks arrive in bursts from a few provider IPs and are signature-checked
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks/'),
 });
 app.use(globalLimiter);
 
@@ -302,6 +319,13 @@ app.use('/api/training-plans', trainingPlanRoutes);
 app.use('/api/payroll', payrollRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/venues', venueRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/substitutions', substitutionRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/conflicts', conflictRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
+app.use('/api/kiosk', kioskRoutes);
 app.use('/api/certifications', certificationRoutes);
 app.use('/api/branding', brandingRoutes);
 app.use('/api/help', helpRoutes);
@@ -315,6 +339,9 @@ app.use('/api/sre', sreRoutes);
 // Public routes — stricter rate limit on writes, global limit on reads
 app.use('/api/public', publicWriteLimiter, publicRoutes);
 
+// Payment gateway webhooks — public, authenticated by provider signature
+app.use('/api/webhooks', webhookRoutes);
+
 // ─── 404 handler ─────────────────────────────────────────
 app.use((_req, res) => {
   res.status(404).json({ error: 'Route not found' });
@@ -328,6 +355,11 @@ app.use(errorHandler);
 // ──────────────────────────────────────────────────────────
 const { startScheduler } = require('./services/autoInvoice');
 const { startNotificationScheduler } = require('./services/notificationService');
+const { startFreezeScheduler } = require('./services/subscriptionFreezes');
+const { startSessionScheduler } = require('./services/sessionGenerator');
+const { startReservationScheduler } = require('./services/reservations');
+const { startLifecycleScheduler } = require('./services/sessionLifecycle');
+const { startBeltProgressScheduler } = require('./services/beltProgress');
 
 const server = app.listen(config.port, () => {
   logger.info(`🥋 FlowApp API running on http://localhost:${config.port}`);
@@ -335,6 +367,11 @@ const server = app.listen(config.port, () => {
   logger.info(`   CORS origin: ${config.corsOrigin}`);
   startScheduler();
   startNotificationScheduler();
+  startFreezeScheduler();
+  startSessionScheduler();
+  startReservationScheduler();
+  startLifecycleScheduler();
+  startBeltProgressScheduler();
 });
 
 // ─── Graceful shutdown ───────────────────────────────────
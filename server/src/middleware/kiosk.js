@@ -0,0 +1,84 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Kiosk Device Middleware
+ * ──────────────────────────────────────────────────────────
+ * Security design:
+ *   - authenticateKiosk: verifies the X-Kiosk-Token header
+ *     against a paired, unrevoked device and attaches it as
+ *     `req.kioskDevice` (with its school)
+ *   - kioskLimiter: caps all requests per device
+ *   - kioskCredentialLimiter: caps wrong PINs / cards per
+ *     device, so a tablet can't be used to guess PINs. A
+ *     batch sync counts each wrong one, not just the request
+ *
+ * Limits count per device rather than per IP — several
+ * kiosks often share one front-desk connection.
+ * ──────────────────────────────────────────────────────────
+ */
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { findDevice } = require('../services/kioskDevices');
+
+/**
+ * @returns 401 if the token is missing, unknown or revoked
+ */
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const device = await findDevice(req.get('X-Kiosk-Token'), req.ip);
+    if (!device) {
+      return res.status(401).json({ error: 'This kiosk is not paired — ask staff to set it up again' });
+    }
+    req.kioskDevice = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deviceKey = (req) => req.kioskDevice.id;
+
+const kioskLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyGenerator: deviceKey,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests from this kiosk. Please wait a moment.' },
+});
+
+// Shared with countUnknownCredential, which adds a batch's extra wrong PINs
+const credentialStore = new MemoryStore();
+
+const kioskCredentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: deviceKey,
+  store: credentialStore,
+  requestPropertyName: 'credentialLimit',
+  // Only wrong PINs / cards count (the controller flags them)
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => !res.locals.unknownCredential,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many unrecognised PINs or cards. Please ask the front desk for help.' },
+});
+
+/**
+ * How many unrecognised PINs / cards a request may still try before the
+ * device hits its limit. Its own hit on kioskCredentialLimiter covers the first.
+ */
+const unknownCredentialBudget = (req) => (req.credentialLimit?.remaining ?? 0) + 1;
+
+/**
+ * Count one more unrecognised PIN / card against the device, for requests
+ * that try several (a batch sync) — beyond the first, which the request's
+ * own hit counts.
+ */
+const countUnknownCredential = (req) => credentialStore.increment(deviceKey(req));
+
+module.exports = {
+  authenticateKiosk,
+  kioskLimiter,
+  kioskCredentialLimiter,
+  unknownCredentialBudget,
+  countUnknownCredential,
+};
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getPaymentConfig,
   upsertPaymentConfig,
@@ -10,13 +10,24 @@ const {
   getInvoices,
   createInvoice,
   updateInvoiceStatus,
+  setLateFeeWaived,
   recordPayment,
   getPayments,
+  refundPayment,
+  getRefunds,
+  downloadInvoicePdf,
+  downloadReceiptPdf,
   getBillingSummary,
   getSubscriptions,
   createSubscription,
   updateSubscription,
   cancelSubscription,
+  previewProration,
+  getFreezes,
+  createFreeze,
+  endFreeze,
+  getSubscriptionCredits,
+  adjustSubscriptionCredits,
   triggerAutoInvoice,
 } = require('../controllers/billingController');
 const { authenticate, authorize } = require('../middleware/auth');
@@ -36,7 +47,11 @@ router.get(
 router.put(
   '/config/:schoolId',
   authorize('SUPER_ADMIN', 'OWNER'),
-  [body('gateway').optional().isIn(['STRIPE', 'SQUARE', 'MANUAL']).withMessage('Invalid gateway')],
+  [
+    body('gateway').optional().isIn(['STRIPE', 'SQUARE', 'MANUAL']).withMessage('Invalid gateway'),
+    body('siblingDiscounts').optional().isArray({ max: 10 }).withMessage('Sibling discounts must be a list'),
+    body('siblingDiscounts.*').isFloat({ min: 0, max: 100 }).withMessage('Sibling discounts must be percentages between 0 and 100'),
+  ],
   validate,
   upsertPaymentConfig
 );
@@ -97,6 +112,20 @@ router.patch(
   updateInvoiceStatus
 );
 
+router.patch(
+  '/invoices/:schoolId/:invoiceId/late-fee',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  [body('waived').isBoolean().withMessage('waived must be true or false').toBoolean()],
+  validate,
+  setLateFeeWaived
+);
+
+router.get(
+  '/invoices/:schoolId/:invoiceId/pdf',
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR', 'STUDENT'),
+  downloadInvoicePdf
+);
+
 // ─── Payments ────────────────────────────────────────────
 router.get(
   '/payments/:schoolId',
@@ -116,6 +145,30 @@ router.post(
   recordPayment
 );
 
+router.get(
+  '/payments/:schoolId/:paymentId/receipt',
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR', 'STUDENT'),
+  downloadReceiptPdf
+);
+
+// ─── Refunds ─────────────────────────────────────────────
+router.post(
+  '/payments/:schoolId/:paymentId/refund',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  [
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be at least 0.01').toFloat(),
+    body('reason').optional().isString().isLength({ max: 500 }),
+  ],
+  validate,
+  refundPayment
+);
+
+router.get(
+  '/refunds/:schoolId',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  getRefunds
+);
+
 // ─── Summary ─────────────────────────────────────────────
 router.get(
   '/summary/:schoolId',
@@ -144,15 +197,72 @@ router.post(
 router.patch(
   '/subscriptions/:schoolId/:subscriptionId',
   authorize('SUPER_ADMIN', 'OWNER'),
+  [
+    body('status').optional().isIn(['ACTIVE', 'PAUSED', 'CANCELLED']).withMessage('Invalid status'),
+    body('proration').optional().isIn(['NEXT_INVOICE', 'IMMEDIATE', 'REFUND', 'NONE']).withMessage('Invalid proration mode'),
+  ],
+  validate,
   updateSubscription
 );
 
 router.delete(
   '/subscriptions/:schoolId/:subscriptionId',
   authorize('SUPER_ADMIN', 'OWNER'),
+  [query('proration').optional().isIn(['NEXT_INVOICE', 'REFUND', 'NONE']).withMessage('Invalid proration mode')],
+  validate,
   cancelSubscription
 );
 
+router.get(
+  '/subscriptions/:schoolId/:subscriptionId/proration',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  previewProration
+);
+
+// ─── Freezes (injury, vacation…) ─────────────────────────
+router.get(
+  '/subscriptions/:schoolId/:subscriptionId/freezes',
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR', 'STUDENT'),
+  getFreezes
+);
+
+router.post(
+  '/subscriptions/:schoolId/:subscriptionId/freezes',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  [
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('endDate').isISO8601().withMessage('Valid end date is required'),
+    body('reason').isIn(['INJURY', 'VACATION', 'MEDICAL', 'FINANCIAL', 'OTHER']).withMessage('Invalid freeze reason'),
+    body('notes').optional().isString().isLength({ max: 500 }),
+  ],
+  validate,
+  createFreeze
+);
+
+router.delete(
+  '/subscriptions/:schoolId/:subscriptionId/freezes/:freezeId',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  endFreeze
+);
+
+// ─── Class Credits (punch-card plans) ────────────────────
+router.get(
+  '/subscriptions/:schoolId/:subscriptionId/credits',
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR', 'STUDENT'),
+  getSubscriptionCredits
+);
+
+router.post(
+  '/subscriptions/:schoolId/:subscriptionId/credits',
+  authorize('SUPER_ADMIN', 'OWNER'),
+  [
+    body('change').isInt({ min: -1000, max: 1000 }).not().equals('0').withMessage('Non-zero credit change is required'),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ],
+  validate,
+  adjustSubscriptionCredits
+);
+
 // ─── Auto-Invoice Manual Trigger ─────────────────────────
 router.post(
   '/auto-invoice/run',
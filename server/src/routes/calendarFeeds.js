@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const c = require('../controllers/calendarFeedController');
+
+// Issuing feeds needs a login; the feeds themselves are served from /api/public/calendar
+router.use(authenticate);
+
+router.get('/', c.getFeeds);
+router.post('/', [
+  body('type').isIn(['STUDENT', 'INSTRUCTOR', 'SCHOOL']).withMessage('type must be STUDENT, INSTRUCTOR or SCHOOL'),
+  body('studentId').optional().isUUID().withMessage('Valid studentId required'),
+  body('schoolId').optional().isUUID().withMessage('Valid schoolId required'),
+], validate, c.createCalendarFeed);
+router.delete('/:id', c.revokeFeed);
+
+module.exports = router;
@@ -10,20 +10,32 @@ const templateRules = [
   body('name').trim().notEmpty().withMessage('name is required').isLength({ max: 200 }),
   body('description').optional().trim().isLength({ max: 2000 }),
   body('schoolId').optional().isUUID().withMessage('schoolId must be a valid UUID'),
+  body('backgroundUrl').optional({ values: 'falsy' }).isURL({ require_protocol: true }).withMessage('backgroundUrl must be a URL'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+];
+const previewRules = [
+  body('schoolId').isUUID().withMessage('schoolId must be a valid UUID'),
+  body('backgroundUrl').optional({ values: 'falsy' }).isURL({ require_protocol: true }).withMessage('backgroundUrl must be a URL'),
+];
+const revokeRules = [
+  body('reason').trim().notEmpty().withMessage('reason is required').isLength({ max: 500 }),
 ];
 const issueRules = [
-  body('templateId').isUUID().withMessage('templateId must be a valid UUID'),
-  body('userId').isUUID().withMessage('userId must be a valid UUID'),
-  body('schoolId').optional().isUUID().withMessage('schoolId must be a valid UUID'),
+  body('promotionId').isUUID().withMessage('promotionId must be a valid UUID'),
+  body('templateId').optional({ values: 'falsy' }).isUUID().withMessage('templateId must be a valid UUID'),
 ];
 
 router.use(authenticate);
 
 router.get('/templates/:schoolId?', c.getTemplates);
+router.post('/templates/preview', authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'), previewRules, validate, c.previewTemplate);
 router.post('/templates', authorize('SUPER_ADMIN', 'OWNER'), templateRules, validate, c.createTemplate);
 router.put('/templates/:id', authorize('SUPER_ADMIN', 'OWNER'), templateRules, validate, c.updateTemplate);
 router.delete('/templates/:id', authorize('SUPER_ADMIN', 'OWNER'), c.deleteTemplate);
 router.get('/', c.getCertificates);
+router.get('/my', c.getMyCertificates);
+router.get('/:id/pdf', c.downloadCertificatePdf);
+router.post('/:id/revoke', authorize('SUPER_ADMIN', 'OWNER'), revokeRules, validate, c.revokeCertificate);
 router.post('/generate', authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'), issueRules, validate, c.issueCertificate);
 
 module.exports = router;
@@ -1,14 +1,41 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   checkIn,
   checkInByQr,
   checkInByKiosk,
+  checkInBatchByKiosk,
+  checkInFamilyByKiosk,
   removeCheckIn,
   getAttendance,
+  getCheckInPolicy,
+  updateCheckInPolicy,
+  staffCheckOut,
+  checkOutByQr,
+  checkOutByKiosk,
+  checkOutFamilyByKiosk,
+  getRoster,
+  getFlaggedCheckIns,
+  reviewCheckIn,
 } = require('../controllers/checkInController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { authenticateKiosk, kioskLimiter, kioskCredentialLimiter } = require('../middleware/kiosk');
 const validate = require('../middleware/validate');
+const { PIN_LENGTH } = require('../services/kioskDevices');
+const { RULE_ACTIONS, RULE_FIELDS } = require('../services/checkInEligibility');
+
+const MAX_BATCH = 50;
+const MAX_FAMILY_CHECK_INS = 20;
+
+// A member's PIN or card, for the kiosk routes
+const memberCredential = [
+  body('pin').optional().matches(new RegExp(`^\\d{${PIN_LENGTH}}$`)).withMessage(`PIN must be ${PIN_LENGTH} digits`),
+  body('cardCode').optional().isString().isLength({ min: 4, max: 64 }).withMessage('Invalid member card'),
+  body().custom((value) => {
+    if (!value.pin === !value.cardCode) throw new Error('Enter your PIN or scan your member card');
+    return true;
+  }),
+];
 
 const router = express.Router();
 
@@ -20,38 +47,187 @@ router.post(
   [
     body('sessionId').isUUID().withMessage('Valid session ID required'),
     body('studentId').isUUID().withMessage('Valid student ID required'),
+    body('overrideCredits').optional().isBoolean().withMessage('overrideCredits must be a boolean').toBoolean(),
+    body('overrideEligibility').optional().isBoolean().withMessage('overrideEligibility must be a boolean').toBoolean(),
   ],
   validate,
   checkIn
 );
 
-// QR code check-in — requires auth (student scans + is logged in)
+// QR code check-in — requires auth (the logged-in student scans the
+// kiosk's rotating code and checks themselves in)
 router.post(
   '/qr',
   authenticate,
   [
-    body('qrCode').notEmpty().withMessage('QR code is required'),
+    body('qrCode').isString().notEmpty().withMessage('QR code is required'),
   ],
   validate,
-  (req, res, next) => {
-    // Auto-fill studentId from the logged-in user
-    req.body.studentId = req.user.id;
-    next();
-  },
   checkInByQr
 );
 
-// Kiosk check-in — no auth required (self-service)
+// Kiosk check-in — a paired kiosk (X-Kiosk-Token), no user login; the
+// student identifies themselves with their member PIN or card
 router.post(
   '/kiosk',
+  authenticateKiosk,
+  kioskLimiter,
+  kioskCredentialLimiter,
   [
     body('sessionId').isUUID().withMessage('Valid session ID required'),
-    body('email').isEmail().withMessage('Valid email is required'),
+    ...memberCredential,
   ],
   validate,
   checkInByKiosk
 );
 
+// Check-ins the kiosk queued while offline — idempotent per item clientId
+router.post(
+  '/kiosk/batch',
+  authenticateKiosk,
+  kioskLimiter,
+  kioskCredentialLimiter,
+  [
+    body('items').isArray({ min: 1, max: MAX_BATCH }).withMessage(`items must be a list of 1–${MAX_BATCH} check-ins`),
+    body('items.*.clientId').isUUID().withMessage('Each item needs a clientId (UUID)'),
+    body('items.*.sessionId').isUUID().withMessage('Valid session ID required'),
+    body('items.*.pin').optional().matches(new RegExp(`^\\d{${PIN_LENGTH}}$`)).withMessage(`PIN must be ${PIN_LENGTH} digits`),
+    body('items.*.cardCode').optional().isString().isLength({ min: 4, max: 64 }).withMessage('Invalid member card'),
+    // A PIN or card sealed with the kiosk's offline key — what current kiosks queue
+    body('items.*.sealed.iv').optional().isBase64({ urlSafe: true }).isLength({ max: 32 }).withMessage('Invalid sealed credential'),
+    body('items.*.sealed.data').optional().isBase64({ urlSafe: true }).isLength({ max: 256 }).withMessage('Invalid sealed credential'),
+    body('items.*.checkedInAt').optional().isISO8601().withMessage('checkedInAt must be a date-time'),
+    body('items.*').custom((item) => {
+      const given = [item.pin, item.cardCode, item.sealed].filter(Boolean).length;
+      if (given !== 1) throw new Error('Each item needs a PIN or a member card');
+      if (item.sealed && !(item.sealed.iv && item.sealed.data)) throw new Error('Invalid sealed credential');
+      return true;
+    }),
+  ],
+  validate,
+  checkInBatchByKiosk
+);
+
+// Family check-in — a guardian identifies once with their own PIN or card
+// and checks family members into today's sessions, a result per child
+router.post(
+  '/kiosk/family',
+  authenticateKiosk,
+  kioskLimiter,
+  kioskCredentialLimiter,
+  [
+    ...memberCredential,
+    body('checkIns').isArray({ min: 1, max: MAX_FAMILY_CHECK_INS }).withMessage(`checkIns must be a list of 1–${MAX_FAMILY_CHECK_INS} check-ins`),
+    body('checkIns.*.studentId').isUUID().withMessage('Valid student ID required'),
+    body('checkIns.*.sessionId').isUUID().withMessage('Valid session ID required'),
+  ],
+  validate,
+  checkInFamilyByKiosk
+);
+
+// ─── Check-out ───────────────────────────────────────────
+// Sessions also check everyone out automatically when they end
+
+// QR check-out — the logged-in student scans the session's rotating code again
+router.post(
+  '/qr/checkout',
+  authenticate,
+  [
+    body('qrCode').isString().notEmpty().withMessage('QR code is required'),
+  ],
+  validate,
+  checkOutByQr
+);
+
+// Kiosk check-out with the student's own PIN or card
+router.post(
+  '/kiosk/checkout',
+  authenticateKiosk,
+  kioskLimiter,
+  kioskCredentialLimiter,
+  [
+    body('sessionId').isUUID().withMessage('Valid session ID required'),
+    ...memberCredential,
+  ],
+  validate,
+  checkOutByKiosk
+);
+
+// A guardian checks family members out, confirming children's pickup
+router.post(
+  '/kiosk/family/checkout',
+  authenticateKiosk,
+  kioskLimiter,
+  kioskCredentialLimiter,
+  [
+    ...memberCredential,
+    body('checkInIds').isArray({ min: 1, max: MAX_FAMILY_CHECK_INS }).withMessage(`checkInIds must be a list of 1–${MAX_FAMILY_CHECK_INS} check-ins`),
+    body('checkInIds.*').isUUID().withMessage('Valid check-in ID required'),
+  ],
+  validate,
+  checkOutFamilyByKiosk
+);
+
+// Staff check-out; pickedUpById confirms a child's pickup by that guardian
+router.post(
+  '/:id/checkout',
+  authenticate,
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [
+    param('id').isUUID().withMessage('Valid check-in ID required'),
+    body('pickedUpById').optional().isUUID().withMessage('pickedUpById must be a user ID'),
+  ],
+  validate,
+  staffCheckOut
+);
+
+// Live roster — on the mat, awaiting pickup, left
+router.get(
+  '/roster/:sessionId',
+  authenticate,
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [param('sessionId').isUUID().withMessage('Valid session ID required')],
+  validate,
+  getRoster
+);
+
+// Offline kiosk check-ins recorded past a rule, awaiting staff review
+router.get(
+  '/review/:schoolId',
+  authenticate,
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  getFlaggedCheckIns
+);
+
+router.post(
+  '/:id/review',
+  authenticate,
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [param('id').isUUID().withMessage('Valid check-in ID required')],
+  validate,
+  reviewCheckIn
+);
+
+// Check-in eligibility rules — staff can read them, owners set them
+router.get(
+  '/policy/:schoolId',
+  authenticate,
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  getCheckInPolicy
+);
+
+router.put(
+  '/policy/:schoolId',
+  authenticate,
+  authorize('SUPER_ADMIN', 'OWNER'),
+  [
+    ...Object.values(RULE_FIELDS).map((field) => body(field).optional().isIn(RULE_ACTIONS).withMessage(`${field} must be one of ${RULE_ACTIONS.join(', ')}`)),
+    body('overdueInvoiceDays').optional().isInt({ min: 0, max: 365 }).withMessage('overdueInvoiceDays must be 0–365').toInt(),
+  ],
+  validate,
+  updateCheckInPolicy
+);
+
 // Remove check-in — requires auth
 router.delete(
   '/:id',
@@ -24,7 +24,8 @@ router.use(authenticate);
 
 router.get('/', getClasses);
 router.get('/:id', getClassById);
-router.get('/:id/qr', getClassQr);
+// Only staff display the rotating check-in code (on the kiosk)
+router.get('/:id/qr', authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'), getClassQr);
 
 router.post(
   '/',
@@ -45,6 +46,8 @@ router.post(
     }),
     body('startTime').matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:mm'),
     body('endTime').matches(/^\d{2}:\d{2}$/).withMessage('End time must be HH:mm'),
+    body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
   ],
   validate,
   createClass
@@ -28,6 +28,8 @@ router.post(
     body('name').notEmpty().withMessage('Class name is required'),
     body('discipline').notEmpty().withMessage('Discipline is required'),
     body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
   ],
   validate,
   createClass
@@ -36,6 +38,11 @@ router.post(
 router.put(
   '/:id',
   authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [
+    body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
+  ],
+  validate,
   updateClass
 );
 
@@ -53,6 +60,7 @@ router.post(
     body('dayOfWeek').isIn(['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']).withMessage('Invalid day of week'),
     body('startTime').matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:mm format'),
     body('endTime').matches(/^\d{2}:\d{2}$/).withMessage('End time must be HH:mm format'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
   ],
   validate,
   addSchedule
@@ -61,6 +69,13 @@ router.post(
 router.put(
   '/:id/schedules/:scheduleId',
   authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [
+    body('dayOfWeek').optional().isIn(['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']).withMessage('Invalid day of week'),
+    body('startTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:mm format'),
+    body('endTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('End time must be HH:mm format'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
+  ],
+  validate,
   updateSchedule
 );
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const c = require('../controllers/closureController');
+
+router.use(authenticate);
+
+router.get('/', [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+], validate, c.getClosures);
+
+router.post('/', authorize('SUPER_ADMIN', 'OWNER'), [
+  body('name').trim().notEmpty().withMessage('Closure name is required').isLength({ max: 120 }),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date'),
+  body('recurrence').optional().isIn(['NONE', 'YEARLY']).withMessage('Recurrence must be NONE or YEARLY'),
+  body('notes').optional({ values: 'falsy' }).isString().isLength({ max: 500 }),
+  body('schoolId').optional().isUUID(),
+], validate, c.createClosure);
+
+router.delete('/:id', authorize('SUPER_ADMIN', 'OWNER'), c.deleteClosure);
+
+module.exports = router;
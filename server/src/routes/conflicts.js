@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const c = require('../controllers/conflictController');
+
+router.use(authenticate);
+
+router.get('/', authorize('SUPER_ADMIN', 'IT_ADMIN', 'OWNER', 'INSTRUCTOR', 'SCHOOL_STAFF', 'EVENT_COORDINATOR'), [
+  query('startDate').isISO8601().withMessage('Valid startDate required'),
+  query('endDate').isISO8601().withMessage('Valid endDate required'),
+  query('schoolId').optional().isUUID(),
+], validate, c.getConflicts);
+
+module.exports = router;
@@ -15,8 +15,13 @@ router.post('/', authorize('SUPER_ADMIN', 'OWNER', 'EVENT_COORDINATOR'), [
   body('eventType').notEmpty().withMessage('Event type is required'),
   body('startDate').isISO8601().withMessage('Valid start date required'),
   body('schoolId').optional().isUUID(),
+  body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+  body('overrideConflicts').optional().isBoolean(),
 ], validate, c.createEvent);
-router.put('/:id', authorize('SUPER_ADMIN', 'OWNER', 'EVENT_COORDINATOR'), c.updateEvent);
+router.put('/:id', authorize('SUPER_ADMIN', 'OWNER', 'EVENT_COORDINATOR'), [
+  body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+  body('overrideConflicts').optional().isBoolean(),
+], validate, c.updateEvent);
 router.delete('/:id', authorize('SUPER_ADMIN', 'OWNER'), c.deleteEvent);
 
 // Tickets
@@ -26,6 +31,10 @@ router.post('/:eventId/tickets', [
 router.patch('/tickets/:ticketId/status', authorize('SUPER_ADMIN', 'OWNER', 'EVENT_COORDINATOR'), [
   body('status').isIn(['RESERVED', 'PAID', 'CHECKED_IN', 'CANCELLED', 'REFUNDED']).withMessage('Invalid ticket status'),
 ], validate, c.updateTicketStatus);
+router.post('/tickets/:ticketId/refund', authorize('SUPER_ADMIN', 'OWNER', 'EVENT_COORDINATOR'), [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be at least 0.01').toFloat(),
+  body('reason').optional().isString().isLength({ max: 500 }),
+], validate, c.refundTicket);
 
 // Registrations
 router.post('/:eventId/register', c.registerForEvent);
@@ -44,10 +44,12 @@ router.post(
 router.put(
   '/:familyId',
   authorize('SUPER_ADMIN', 'OWNER'),
+  [body('consolidatedBilling').optional().isBoolean().withMessage('consolidatedBilling must be true or false')],
+  validate,
   updateFamily
 );
 
-// ─── Family billing ──────────────────────────────────────
+// ─── Household statement ─────────────────────────────────
 router.get('/:familyId/billing', getFamilyBilling);
 
 // ─── Add member ──────────────────────────────────────────
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const { authenticateKiosk, kioskLimiter, kioskCredentialLimiter } = require('../middleware/kiosk');
+const { PIN_LENGTH } = require('../services/kioskDevices');
+const validate = require('../middleware/validate');
+const c = require('../controllers/kioskController');
+
+// ─── The kiosk itself — device token (X-Kiosk-Token), no user login ──
+const device = [authenticateKiosk, kioskLimiter];
+router.get('/device', device, c.getCurrentDevice);
+router.get('/sessions', device, c.getKioskSessions);
+router.get('/sessions/:id/qr', device, [param('id').isUUID().withMessage('Valid session ID required')], validate, c.getKioskSessionQr);
+router.post('/family', device, kioskCredentialLimiter, [
+  body('pin').optional().matches(new RegExp(`^\\d{${PIN_LENGTH}}$`)).withMessage(`PIN must be ${PIN_LENGTH} digits`),
+  body('cardCode').optional().isString().isLength({ min: 4, max: 64 }).withMessage('Invalid member card'),
+  body().custom((value) => {
+    if (!value.pin === !value.cardCode) throw new Error('Enter your PIN or scan your member card');
+    return true;
+  }),
+], validate, c.getKioskFamily);
+
+// ─── Everything else needs a login ───────────────────────
+router.use(authenticate);
+
+// Pairing and managing a school's kiosks
+const staff = authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR');
+router.get('/devices', staff, c.getDevices);
+router.post('/devices', staff, [
+  body('name').isString().trim().isLength({ min: 1, max: 80 }).withMessage('Kiosk name is required (max 80 characters)'),
+  body('schoolId').optional().isUUID().withMessage('Valid schoolId required'),
+], validate, c.pairDevice);
+router.delete('/devices/:id', staff, c.revokeDevice);
+router.get('/devices/:id/activity', staff, c.getDeviceActivity);
+
+// Member PINs and cards — staff, the student, or their guardian
+const member = [param('studentId').isUUID().withMessage('Valid student ID required'), body('schoolId').optional().isUUID().withMessage('Valid schoolId required')];
+router.get('/members/:studentId', member, validate, c.getMemberCredential);
+router.post('/members/:studentId/pin', member, validate, c.resetMemberPin);
+router.post('/members/:studentId/card', member, validate, c.reissueMemberCard);
+router.get('/members/:studentId/card', member, validate, c.downloadMemberCard);
+
+module.exports = router;
@@ -11,10 +11,11 @@ router.use(authorize('SUPER_ADMIN', 'OWNER'));
 router.get('/school/:schoolId', c.getPayrollEntries);
 router.get('/summary/:schoolId', c.getPayrollSummary);
 router.post('/school/:schoolId', [
-  body('instructorId').isUUID().withMessage('Valid instructorId required'),
-  body('hoursWorked').isFloat({ min: 0.1 }).withMessage('Hours must be positive'),
+  body('instructorId').optional({ values: 'falsy' }).isUUID().withMessage('Valid instructorId required'),
+  body('sessionId').optional({ values: 'falsy' }).isUUID().withMessage('Valid sessionId required'),
+  body('hoursWorked').optional({ values: 'null' }).isFloat({ min: 0.1 }).withMessage('Hours must be positive'),
   body('hourlyRate').isFloat({ min: 0 }).withMessage('Rate must be non-negative'),
-  body('date').isISO8601().withMessage('Valid date required'),
+  body('date').optional({ values: 'falsy' }).isISO8601().withMessage('Valid date required'),
 ], validate, c.createEntry);
 router.post('/approve', [
   body('ids').isArray({ min: 1 }).withMessage('At least one entry ID required'),
@@ -38,6 +38,8 @@ router.post(
   [
     body('name').notEmpty().withMessage('Program name is required'),
     body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
   ],
   validate,
   createProgram
@@ -46,6 +48,11 @@ router.post(
 router.put(
   '/:id',
   authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [
+    body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
+  ],
+  validate,
   updateProgram
 );
 
@@ -63,6 +70,7 @@ router.post(
     body('dayOfWeek').isIn(['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']).withMessage('Invalid day'),
     body('startTime').matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:mm'),
     body('endTime').matches(/^\d{2}:\d{2}$/).withMessage('End time must be HH:mm'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
   ],
   validate,
   addSchedule
@@ -71,6 +79,13 @@ router.post(
 router.put(
   '/:id/schedules/:scheduleId',
   authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [
+    body('dayOfWeek').optional().isIn(['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']).withMessage('Invalid day'),
+    body('startTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:mm'),
+    body('endTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('End time must be HH:mm'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
+  ],
+  validate,
   updateSchedule
 );
 
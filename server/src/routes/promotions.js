@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getPrograms,
   getProgram,
@@ -16,6 +16,7 @@ const {
   getStudentProgress,
   updateProgress,
   promoteStudent,
+  getEligibility,
   getTests,
   createTest,
   updateTest,
@@ -99,6 +100,7 @@ router.post(
     body('description').trim().notEmpty().withMessage('Description is required'),
     body('value').optional().isFloat({ min: 0 }),
     body('isRequired').optional().isBoolean(),
+    body('fullAttendanceOnly').optional().isBoolean().withMessage('fullAttendanceOnly must be a boolean').toBoolean(),
   ],
   validate,
   createRequirement
@@ -107,6 +109,10 @@ router.post(
 router.put(
   '/requirements/:requirementId',
   authorize('SUPER_ADMIN', 'OWNER'),
+  [
+    body('fullAttendanceOnly').optional().isBoolean().withMessage('fullAttendanceOnly must be a boolean').toBoolean(),
+  ],
+  validate,
   updateRequirement
 );
 
@@ -146,7 +152,7 @@ router.patch(
   authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
   [
     body('requirementId').isUUID().withMessage('Valid requirement ID is required'),
-    body('currentValue').isFloat({ min: 0 }).withMessage('Current value must be ≥ 0'),
+    body('currentValue').optional().isFloat({ min: 0 }).withMessage('Current value must be ≥ 0'),
     body('isComplete').optional().isBoolean(),
   ],
   validate,
@@ -162,6 +168,15 @@ router.post(
   promoteStudent
 );
 
+// Who is eligible for their next belt, and what the rest are missing
+router.get(
+  '/eligibility/:schoolId',
+  authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'),
+  [query('programId').optional().isUUID().withMessage('programId must be a program ID')],
+  validate,
+  getEligibility
+);
+
 // ─── Belt Tests ──────────────────────────────────────────
 router.get(
   '/tests/:schoolId',
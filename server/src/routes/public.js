@@ -29,4 +29,10 @@ router.post('/shop/orders', [
 // Public schools
 router.get('/schools', c.getPublicSchools);
 
+// Certificate verification (code printed on the certificate / in its QR)
+router.get('/certificates/:code', c.verifyCertificate);
+
+// .ics subscription feeds (token issued from /api/calendar-feeds)
+router.get('/calendar/:token.ics', c.getCalendarFeed);
+
 module.exports = router;
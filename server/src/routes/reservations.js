@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const validate = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const c = require('../controllers/reservationController');
+
+router.use(authenticate);
+
+router.get('/my', c.getMyReservations);
+router.get('/session/:sessionId',
+  authorize('SUPER_ADMIN', 'IT_ADMIN', 'OWNER', 'INSTRUCTOR', 'SCHOOL_STAFF'),
+  [param('sessionId').isUUID().withMessage('Valid session ID required')],
+  validate,
+  c.getSessionReservations);
+
+router.post('/', [
+  body('sessionId').isUUID().withMessage('Valid session ID required'),
+  body('studentId').optional().isUUID().withMessage('Valid student ID required'),
+], validate, c.createReservation);
+
+router.post('/:id/cancel', [
+  param('id').isUUID().withMessage('Valid reservation ID required'),
+], validate, c.cancelReservation);
+
+module.exports = router;
@@ -29,5 +29,9 @@ router.post('/orders/:schoolId', [
   body('items.*.quantity').isInt({ min: 1, max: 100 }).withMessage('Quantity must be 1-100'),
 ], validate, c.createOrder);
 router.patch('/orders/:id/status', authorize('SUPER_ADMIN', 'OWNER'), c.updateOrderStatus);
+router.post('/orders/:id/refund', authorize('SUPER_ADMIN', 'OWNER'), [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be at least 0.01').toFloat(),
+  body('reason').optional().isString().isLength({ max: 500 }),
+], validate, c.refundOrder);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const c = require('../controllers/roomController');
+
+// ─── Validation schemas ──────────────────────────────────
+const roomRules = (optional) => [
+  optional
+    ? body('name').optional().trim().notEmpty().withMessage('name cannot be empty').isLength({ max: 100 })
+    : body('name').trim().notEmpty().withMessage('name is required').isLength({ max: 100 }),
+  body('capacity').optional({ values: 'null' }).isInt({ min: 1, max: 10000 }).toInt(),
+  body('notes').optional({ values: 'null' }).trim().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean(),
+  body('schoolId').optional().isUUID(),
+];
+
+router.use(authenticate);
+
+router.get('/', authorize('SUPER_ADMIN', 'IT_ADMIN', 'OWNER', 'INSTRUCTOR', 'SCHOOL_STAFF', 'EVENT_COORDINATOR'), c.getRooms);
+router.post('/', authorize('SUPER_ADMIN', 'OWNER'), roomRules(false), validate, c.createRoom);
+router.put('/:id', authorize('SUPER_ADMIN', 'OWNER'), roomRules(true), validate, c.updateRoom);
+router.delete('/:id', authorize('SUPER_ADMIN', 'OWNER'), c.deleteRoom);
+
+module.exports = router;
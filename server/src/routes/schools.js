@@ -9,9 +9,13 @@ const {
 } = require('../controllers/schoolController');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { isValidTimeZone } = require('../utils/dates');
 
 const router = express.Router();
 
+const timezoneRule = body('timezone').optional({ values: 'falsy' })
+  .custom(isValidTimeZone).withMessage('timezone must be an IANA time zone, e.g. America/Chicago');
+
 router.use(authenticate);
 
 router.get('/', authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'), getSchools);
@@ -23,6 +27,7 @@ router.post(
   [
     body('name').notEmpty().withMessage('School name is required'),
     body('ownerId').isUUID().withMessage('Valid owner ID is required'),
+    timezoneRule,
   ],
   validate,
   createSchool
@@ -31,6 +36,8 @@ router.post(
 router.put(
   '/:id',
   authorize('SUPER_ADMIN', 'OWNER'),
+  [timezoneRule],
+  validate,
   updateSchool
 );
 
@@ -16,7 +16,8 @@ router.use(authenticate);
 
 router.get('/', getSessions);
 router.get('/:id', getSessionById);
-router.get('/:id/qr', getSessionQr);
+// Only staff display the rotating check-in code (on the kiosk)
+router.get('/:id/qr', authorize('SUPER_ADMIN', 'OWNER', 'INSTRUCTOR'), getSessionQr);
 
 router.post(
   '/',
@@ -26,6 +27,8 @@ router.post(
     body('sessionDate').isISO8601().withMessage('Valid session date is required'),
     body('startTime').matches(/^\d{2}:\d{2}$/).withMessage('Start time must be HH:mm format'),
     body('endTime').matches(/^\d{2}:\d{2}$/).withMessage('End time must be HH:mm format'),
+    body('roomId').optional({ values: 'falsy' }).isUUID().withMessage('Valid room ID required'),
+    body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
   ],
   validate,
   createSession
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const c = require('../controllers/substitutionController');
+
+const TIME = /^\d{2}:\d{2}$/;
+const DAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+router.use(authenticate);
+router.use(authorize('SUPER_ADMIN', 'IT_ADMIN', 'OWNER', 'INSTRUCTOR'));
+
+router.get('/availability/:instructorId', [
+  param('instructorId').isUUID().withMessage('Valid instructor ID required'),
+], validate, c.getAvailability);
+router.put('/availability/:instructorId', [
+  param('instructorId').isUUID().withMessage('Valid instructor ID required'),
+  body('windows').isArray().withMessage('windows must be an array'),
+  body('windows.*.dayOfWeek').isIn(DAYS).withMessage('Invalid day of week'),
+  body('windows.*.startTime').matches(TIME).withMessage('Start time must be HH:mm'),
+  body('windows.*.endTime').matches(TIME).withMessage('End time must be HH:mm'),
+], validate, c.setAvailability);
+
+router.get('/time-off', [
+  query('instructorId').optional().isUUID(),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+], validate, c.getTimeOff);
+router.post('/time-off', [
+  body('instructorId').optional().isUUID().withMessage('Valid instructor ID required'),
+  body('startsAt').isISO8601().withMessage('Valid start required'),
+  body('endsAt').isISO8601().withMessage('Valid end required'),
+  body('reason').optional({ values: 'falsy' }).isString().isLength({ max: 200 }),
+], validate, c.createTimeOff);
+router.delete('/time-off/:id', [
+  param('id').isUUID().withMessage('Valid time off ID required'),
+], validate, c.deleteTimeOff);
+
+router.get('/requests', [
+  query('status').optional().isIn(['OPEN', 'ACCEPTED', 'DECLINED', 'CANCELLED']).withMessage('Invalid status'),
+], validate, c.getRequests);
+router.post('/requests', [
+  body('sessionId').isUUID().withMessage('Valid session ID required'),
+  body('substituteId').optional({ values: 'falsy' }).isUUID().withMessage('Valid substitute ID required'),
+  body('reason').optional({ values: 'falsy' }).isString().isLength({ max: 500 }),
+], validate, c.createRequest);
+const requestId = [param('id').isUUID().withMessage('Valid request ID required')];
+router.post('/requests/:id/accept', requestId, validate, c.acceptRequest);
+router.post('/requests/:id/decline', requestId, validate, c.declineRequest);
+router.post('/requests/:id/cancel', requestId, validate, c.cancelRequest);
+
+router.put('/sessions/:sessionId/instructor', authorize('SUPER_ADMIN', 'OWNER'), [
+  param('sessionId').isUUID().withMessage('Valid session ID required'),
+  body('instructorId').optional({ values: 'null' }).isUUID().withMessage('Valid instructor ID required'),
+  body('overrideConflicts').optional().isBoolean().withMessage('overrideConflicts must be true or false'),
+], validate, c.setSessionInstructor);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const c = require('../controllers/webhookController');
+
+// No authentication — requests are verified by the gateway signature instead.
+// req.rawBody is captured by the JSON body parser in index.js.
+router.post('/stripe/:schoolId', c.handleStripeWebhook);
+router.post('/square/:schoolId', c.handleSquareWebhook);
+
+module.exports = router;
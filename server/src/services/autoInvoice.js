@@ -1,41 +1,49 @@
 /**
  * Auto-Invoicing Service
  *
- * Runs on a cron schedule (1st of every month at midnight) and generates
- * invoices for all active subscriptions whose nextInvoiceDate has arrived.
+ * Runs hourly and generates invoices for all active subscriptions whose
+ * nextInvoiceDate has arrived at their school — billing dates are calendar
+ * days in the school's time zone. Most dates fall on the 1st; frozen
+ * subscriptions resume on dates pushed back by their freeze.
+ * Members of consolidated-billing families share one household invoice
+ * (see familyBilling).
+ *
+ * Invoices are due on the last day of the month at the school, and go past
+ * due once that day is over in the school's time zone.
  *
  * Can also be triggered manually via POST /api/billing/auto-invoice/run
  */
 const cron = require('node-cron');
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { resetCredits } = require('./classCredits');
+const { sendNotification } = require('./notificationService');
+const { siblingDiscountFor, rankMembers, findBillingFamilies } = require('./familyBilling');
+const { DAY_MS, startOfToday, dateOnly, endOfMonth, addMonths } = require('../utils/dates');
+const { TIME_ZONE_SELECT, schoolTimeZone, getSchoolTimeZone } = require('./schoolTime');
+
+const round2 = (n) => Math.round(n * 100) / 100;
 
 /**
  * Calculate the next invoice date based on a billing cycle.
- * Moves forward from `fromDate` by one cycle period.
+ * Moves forward from `fromDate` by one cycle period, on the UTC calendar
+ * (billing dates are UTC-midnight calendar days). A date past the end of a
+ * shorter month lands on its last day.
  */
 function calculateNextInvoiceDate(fromDate, billingCycle) {
-  const d = new Date(fromDate);
   switch (billingCycle) {
     case 'WEEKLY':
-      d.setDate(d.getDate() + 7);
-      break;
-    case 'MONTHLY':
-      d.setMonth(d.getMonth() + 1);
-      break;
+      return new Date(new Date(fromDate).getTime() + 7 * DAY_MS);
     case 'QUARTERLY':
-      d.setMonth(d.getMonth() + 3);
-      break;
+      return addMonths(fromDate, 3);
     case 'SEMI_ANNUAL':
-      d.setMonth(d.getMonth() + 6);
-      break;
+      return addMonths(fromDate, 6);
     case 'ANNUAL':
-      d.setFullYear(d.getFullYear() + 1);
-      break;
+      return addMonths(fromDate, 12);
+    case 'MONTHLY':
     default:
-      d.setMonth(d.getMonth() + 1);
+      return addMonths(fromDate, 1);
   }
-  return d;
 }
 
 /**
@@ -53,25 +61,155 @@ async function nextInvoiceNumber(schoolId) {
 }
 
 /**
- * Generate invoices for all active subscriptions whose nextInvoiceDate <= now.
- * Returns a summary of what was generated.
+ * Bill a household's due subscriptions on one invoice to its PRIMARY member.
+ * Each subscription is a line with the member's sibling discount; every
+ * member's pending adjustments — including credit carried forward to the
+ * primary — are added as lines of their own.
+ */
+async function generateFamilyInvoice(family, dueSubs, now) {
+  const { schoolId } = family;
+  const primary = family.members.find((m) => m.familyRole === 'PRIMARY');
+  const names = new Map(family.members.map((m) => [m.userId, `${m.user.firstName} ${m.user.lastName}`]));
+
+  const paymentConfig = await prisma.paymentConfig.findUnique({ where: { schoolId } });
+  const taxRate = paymentConfig?.taxRate || 0;
+  const discounts = paymentConfig?.siblingDiscounts || [];
+
+  // Rank against every active membership in the household, not just the ones due today
+  const activeSubs = await prisma.subscription.findMany({
+    where: { schoolId, status: 'ACTIVE', studentId: { in: family.members.map((m) => m.userId) } },
+    include: { plan: { select: { price: true } } },
+  });
+  const ranks = rankMembers(activeSubs);
+
+  const lines = dueSubs.map((sub) => {
+    const discountPercent = siblingDiscountFor(discounts, ranks.get(sub.studentId) ?? 0);
+    const discountAmount = round2(sub.plan.price * (discountPercent / 100));
+    return {
+      studentId: sub.studentId,
+      subscriptionId: sub.id,
+      description: `${sub.plan.name} — ${names.get(sub.studentId)}${discountPercent ? ` (${discountPercent}% sibling discount)` : ''}`,
+      amount: round2(sub.plan.price - discountAmount),
+      discountPercent,
+      discountAmount,
+    };
+  });
+
+  const adjustments = await prisma.billingAdjustment.findMany({
+    where: { schoolId, studentId: { in: family.members.map((m) => m.userId) }, invoiceId: null },
+    orderBy: { createdAt: 'asc' },
+  });
+  for (const a of adjustments) {
+    lines.push({
+      studentId: a.studentId,
+      subscriptionId: a.subscriptionId,
+      description: `${a.description} — ${names.get(a.studentId)}`,
+      amount: a.amount,
+    });
+  }
+
+  const net = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const carryForward = net < 0 ? net : 0;
+  const subtotal = Math.max(0, net);
+  const taxAmount = round2(subtotal * (taxRate / 100));
+  const totalAmount = round2(subtotal + taxAmount);
+  const discountTotal = round2(lines.reduce((sum, l) => sum + (l.discountAmount || 0), 0));
+
+  const invoiceNumber = await nextInvoiceNumber(schoolId);
+  const dueDate = endOfMonth(startOfToday(now, schoolTimeZone(dueSubs[0].school)));
+  const notes = [
+    `Household invoice for ${family.name}`,
+    ...(discountTotal > 0 ? [`Sibling discounts: −$${discountTotal.toFixed(2)}`] : []),
+    ...(carryForward < 0 ? [`Credit of $${(-carryForward).toFixed(2)} carried to the next invoice`] : []),
+  ].join('\n');
+
+  await prisma.$transaction(async (tx) => {
+    const invoice = await tx.invoice.create({
+      data: {
+        invoiceNumber,
+        schoolId,
+        studentId: primary.userId,
+        familyId: family.id,
+        subtotal,
+        taxAmount,
+        totalAmount,
+        status: totalAmount > 0 ? 'SENT' : 'PAID',
+        ...(totalAmount <= 0 && { paidAt: now }),
+        dueDate,
+        notes,
+        lines: { create: lines },
+      },
+    });
+
+    if (adjustments.length > 0) {
+      await tx.billingAdjustment.updateMany({
+        where: { id: { in: adjustments.map((a) => a.id) } },
+        data: { invoiceId: invoice.id, appliedAt: now },
+      });
+    }
+    if (carryForward < 0) {
+      await tx.billingAdjustment.create({
+        data: {
+          schoolId,
+          studentId: primary.userId,
+          amount: carryForward,
+          reason: adjustments[adjustments.length - 1].reason,
+          description: `Credit carried forward from ${invoiceNumber}`,
+        },
+      });
+    }
+
+    for (const sub of dueSubs) {
+      await tx.subscription.update({
+        where: { id: sub.id },
+        data: {
+          nextInvoiceDate: calculateNextInvoiceDate(sub.nextInvoiceDate, sub.plan.billingCycle),
+          currentPeriodStart: sub.nextInvoiceDate,
+        },
+      });
+    }
+  });
+
+  for (const sub of dueSubs) {
+    if (sub.plan.classCredits != null) {
+      await resetCredits(prisma, sub.id, sub.plan.classCredits, { note: `Billing cycle reset (${invoiceNumber})` });
+    }
+  }
+
+  logger.info(`[AutoInvoice] Created household ${invoiceNumber} for ${family.name} (${dueSubs.length} subscriptions) — $${totalAmount}`);
+  return {
+    invoiceNumber,
+    student: names.get(primary.userId),
+    family: family.name,
+    school: dueSubs[0].school.name,
+    plan: dueSubs.map((s) => s.plan.name).join(', '),
+    total: totalAmount,
+    siblingDiscount: discountTotal,
+    adjustments: adjustments.length,
+  };
+}
+
+/**
+ * Generate invoices for all active subscriptions whose nextInvoiceDate is
+ * today or earlier at their school. Returns a summary of what was generated.
  */
-async function generateAutoInvoices() {
-  const now = new Date();
+async function generateAutoInvoices(now = new Date()) {
   logger.info(`[AutoInvoice] Running auto-invoice generation at ${now.toISOString()}`);
 
-  // Find all active subscriptions due for invoicing
-  const subscriptions = await prisma.subscription.findMany({
+  // Nowhere is it later than tomorrow in UTC; each school's own today decides below
+  const candidates = await prisma.subscription.findMany({
     where: {
       status: 'ACTIVE',
-      nextInvoiceDate: { lte: now },
+      nextInvoiceDate: { lt: new Date(startOfToday(now, 'UTC').getTime() + 2 * DAY_MS) },
     },
     include: {
       plan: true,
       student: { select: { id: true, firstName: true, lastName: true, email: true } },
-      school: { select: { id: true, name: true } },
+      school: { select: { id: true, name: true, ...TIME_ZONE_SELECT } },
     },
   });
+  const subscriptions = candidates.filter((sub) =>
+    dateOnly(sub.nextInvoiceDate) <= startOfToday(now, schoolTimeZone(sub.school)));
 
   if (subscriptions.length === 0) {
     logger.info('[AutoInvoice] No subscriptions due for invoicing.');
@@ -84,7 +222,34 @@ async function generateAutoInvoices() {
   let errors = 0;
   const details = [];
 
-  for (const sub of subscriptions) {
+  // Consolidated-billing households are invoiced together; everyone else individually
+  const households = new Map();
+  const individual = [];
+  for (const schoolId of new Set(subscriptions.map((s) => s.schoolId))) {
+    const schoolSubs = subscriptions.filter((s) => s.schoolId === schoolId);
+    const families = await findBillingFamilies(schoolId, schoolSubs.map((s) => s.studentId));
+    for (const sub of schoolSubs) {
+      const family = families.get(sub.studentId);
+      if (!family) {
+        individual.push(sub);
+        continue;
+      }
+      if (!households.has(family.id)) households.set(family.id, { family, subs: [] });
+      households.get(family.id).subs.push(sub);
+    }
+  }
+
+  for (const { family, subs } of households.values()) {
+    try {
+      details.push(await generateFamilyInvoice(family, subs, now));
+      generated++;
+    } catch (err) {
+      errors++;
+      logger.error(`[AutoInvoice] Error processing household ${family.id}: ${err.message}`);
+    }
+  }
+
+  for (const sub of individual) {
     try {
       // Get school's tax rate
       const paymentConfig = await prisma.paymentConfig.findUnique({
@@ -92,37 +257,83 @@ async function generateAutoInvoices() {
       });
       const taxRate = paymentConfig?.taxRate || 0;
 
-      const subtotal = sub.plan.price;
+      // Pending prorations (plan changes, pauses, cancellations) ride on this invoice
+      const adjustments = await prisma.billingAdjustment.findMany({
+        where: { schoolId: sub.schoolId, studentId: sub.studentId, invoiceId: null },
+        orderBy: { createdAt: 'asc' },
+      });
+      const adjustmentTotal = adjustments.reduce((sum, a) => sum + a.amount, 0);
+      const adjusted = Math.round((sub.plan.price + adjustmentTotal) * 100) / 100;
+      // A credit larger than the invoice carries the remainder to the next one
+      const carryForward = adjusted < 0 ? adjusted : 0;
+
+      const subtotal = Math.max(0, adjusted);
       const taxAmount = Math.round(subtotal * (taxRate / 100) * 100) / 100;
       const totalAmount = Math.round((subtotal + taxAmount) * 100) / 100;
 
       const invoiceNumber = await nextInvoiceNumber(sub.schoolId);
 
-      // Due date = end of the current month (last day)
-      const dueDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+      // Due date = end of the current month (last day) at the school
+      const dueDate = endOfMonth(startOfToday(now, schoolTimeZone(sub.school)));
 
-      const invoice = await prisma.invoice.create({
-        data: {
-          invoiceNumber,
-          schoolId: sub.schoolId,
-          studentId: sub.studentId,
-          planId: sub.planId,
-          subtotal,
-          taxAmount,
-          totalAmount,
-          status: 'SENT',
-          dueDate,
-          notes: `Auto-generated for ${sub.plan.name} subscription`,
-        },
-      });
+      const notes = [
+        `Auto-generated for ${sub.plan.name} subscription`,
+        ...adjustments.map((a) => `${a.description}: ${a.amount < 0 ? '−' : '+'}$${Math.abs(a.amount).toFixed(2)}`),
+        ...(carryForward < 0 ? [`Credit of $${(-carryForward).toFixed(2)} carried to the next invoice`] : []),
+      ].join('\n');
 
-      // Advance the subscription's nextInvoiceDate
       const nextDate = calculateNextInvoiceDate(sub.nextInvoiceDate, sub.plan.billingCycle);
-      await prisma.subscription.update({
-        where: { id: sub.id },
-        data: { nextInvoiceDate: nextDate },
+
+      await prisma.$transaction(async (tx) => {
+        const invoice = await tx.invoice.create({
+          data: {
+            invoiceNumber,
+            schoolId: sub.schoolId,
+            studentId: sub.studentId,
+            planId: sub.planId,
+            subtotal,
+            taxAmount,
+            totalAmount,
+            // Fully covered by credit → nothing to collect
+            status: totalAmount > 0 ? 'SENT' : 'PAID',
+            ...(totalAmount <= 0 && { paidAt: now }),
+            dueDate,
+            notes,
+          },
+        });
+
+        if (adjustments.length > 0) {
+          await tx.billingAdjustment.updateMany({
+            where: { id: { in: adjustments.map((a) => a.id) } },
+            data: { invoiceId: invoice.id, appliedAt: now },
+          });
+        }
+        if (carryForward < 0) {
+          await tx.billingAdjustment.create({
+            data: {
+              schoolId: sub.schoolId,
+              studentId: sub.studentId,
+              subscriptionId: sub.id,
+              amount: carryForward,
+              reason: adjustments[adjustments.length - 1].reason,
+              description: `Credit carried forward from ${invoiceNumber}`,
+            },
+          });
+        }
+
+        // Advance the subscription's nextInvoiceDate; the period just billed
+        // starts at the old one (proration uses it as the cycle boundary)
+        await tx.subscription.update({
+          where: { id: sub.id },
+          data: { nextInvoiceDate: nextDate, currentPeriodStart: sub.nextInvoiceDate },
+        });
       });
 
+      // New billing cycle → reset class credits for punch-card plans
+      if (sub.plan.classCredits != null) {
+        await resetCredits(prisma, sub.id, sub.plan.classCredits, { note: `Billing cycle reset (${invoiceNumber})` });
+      }
+
       generated++;
       details.push({
         invoiceNumber,
@@ -130,6 +341,7 @@ async function generateAutoInvoices() {
         school: sub.school.name,
         plan: sub.plan.name,
         total: totalAmount,
+        adjustments: adjustments.length,
         nextInvoiceDate: nextDate.toISOString(),
       });
 
@@ -145,15 +357,18 @@ async function generateAutoInvoices() {
 }
 
 /**
- * Mark overdue invoices — invoices past their due date that are still SENT.
+ * Mark overdue invoices — still SENT after their due date has ended at the school.
  */
-async function markOverdueInvoices() {
-  const now = new Date();
+async function markOverdueInvoices(now = new Date()) {
+  // Nowhere is it later than tomorrow in UTC; the school's own today decides
+  const candidates = await prisma.invoice.findMany({
+    where: { status: 'SENT', dueDate: { lt: new Date(startOfToday(now, 'UTC').getTime() + DAY_MS) } },
+    select: { id: true, dueDate: true, school: { select: TIME_ZONE_SELECT } },
+  });
+  const overdue = candidates.filter((inv) => inv.dueDate < startOfToday(now, schoolTimeZone(inv.school)));
+
   const result = await prisma.invoice.updateMany({
-    where: {
-      status: 'SENT',
-      dueDate: { lt: now },
-    },
+    where: { id: { in: overdue.map((inv) => inv.id) }, status: 'SENT' },
     data: { status: 'PAST_DUE' },
   });
 
@@ -164,13 +379,99 @@ async function markOverdueInvoices() {
 }
 
 /**
- * Start the cron scheduler.
- * - 1st of every month at 00:05 → generate auto-invoices
- * - Daily at 01:00 → mark overdue invoices
+ * Apply late fees to PAST_DUE invoices once the school's grace period has passed.
+ *
+ * The fee is added to the invoice total and stamped with lateFeeAppliedAt; the
+ * conditional update on that column makes the charge idempotent, so re-running
+ * the job (or a waived fee) never charges the same invoice twice.
+ */
+async function applyLateFees(now = new Date()) {
+  const configs = await prisma.paymentConfig.findMany({
+    where: { lateFeeAmount: { gt: 0 } },
+  });
+
+  let applied = 0;
+
+  for (const config of configs) {
+    const today = startOfToday(now, await getSchoolTimeZone(config.schoolId));
+    const cutoff = new Date(today.getTime() - config.gracePeriodDays * DAY_MS);
+
+    const invoices = await prisma.invoice.findMany({
+      where: {
+        schoolId: config.schoolId,
+        status: 'PAST_DUE',
+        lateFeeAppliedAt: null,
+        dueDate: { lt: cutoff },
+      },
+    });
+
+    for (const inv of invoices) {
+      try {
+        const fee = Math.round(config.lateFeeAmount * 100) / 100;
+        const result = await prisma.invoice.updateMany({
+          where: { id: inv.id, lateFeeAppliedAt: null },
+          data: {
+            lateFeeAmount: fee,
+            lateFeeAppliedAt: now,
+            totalAmount: { increment: fee },
+          },
+        });
+        if (result.count === 0) continue; // another run got there first
+
+        applied++;
+        const newTotal = (Math.round((inv.totalAmount + fee) * 100) / 100).toFixed(2);
+        const vars = {
+          invoiceNumber: inv.invoiceNumber,
+          fee: fee.toFixed(2),
+          amount: newTotal,
+          dueDate: inv.dueDate.toLocaleDateString('en-US', { timeZone: 'UTC' }),
+        };
+
+        await sendNotification({
+          userId: inv.studentId,
+          schoolId: inv.schoolId,
+          type: 'PAYMENT_REMINDER',
+          channel: 'EMAIL',
+          vars: {
+            ...vars,
+            subject: 'Late fee added to invoice {{invoiceNumber}}',
+            body: 'Hi {{firstName}}, invoice {{invoiceNumber}} was due on {{dueDate}} and is now past due. A late fee of ${{fee}} has been added — the balance is now ${{amount}}. Please make your payment as soon as possible.',
+          },
+          metadata: { invoiceId: inv.id, lateFee: fee },
+        });
+        await sendNotification({
+          userId: inv.studentId,
+          schoolId: inv.schoolId,
+          type: 'PAYMENT_REMINDER',
+          channel: 'IN_APP',
+          vars: {
+            body: `⚠️ Late fee of $${vars.fee} added to ${inv.invoiceNumber} — balance $${newTotal}`,
+          },
+          metadata: { invoiceId: inv.id, lateFee: fee },
+        });
+
+        logger.info(`[AutoInvoice] Late fee $${fee} applied to ${inv.invoiceNumber}`);
+      } catch (err) {
+        logger.error(`[AutoInvoice] Error applying late fee to ${inv.invoiceNumber}: ${err.message}`);
+      }
+    }
+  }
+
+  if (applied > 0) {
+    logger.info(`[AutoInvoice] Applied late fees to ${applied} invoices.`);
+  }
+  return applied;
+}
+
+/**
+ * Start the cron scheduler. Both run hourly — each school's day starts and
+ * ends at a different hour:
+ * - :05 → generate auto-invoices for subscriptions that are due
+ * - :15 → mark overdue invoices, then apply late fees
  */
 function startScheduler() {
-  // Generate invoices on the 1st of every month at 00:05
-  cron.schedule('5 0 1 * *', async () => {
+  // Generate due invoices hourly; a subscription's nextInvoiceDate moves on once billed
+  cron.schedule('5 * * * *', async () => {
     try {
       await generateAutoInvoices();
     } catch (err) {
@@ -178,21 +479,24 @@ function startScheduler() {
     }
   });
 
-  // Check for overdue invoices daily at 1 AM
-  cron.schedule('0 1 * * *', async () => {
+  // Check for overdue invoices hourly; both steps are idempotent
+  cron.schedule('15 * * * *', async () => {
     try {
       await markOverdueInvoices();
+      await applyLateFees();
     } catch (err) {
       logger.error(`[AutoInvoice] Scheduler error (overdue check): ${err.message}`);
     }
   });
 
-  logger.info('📅 Auto-invoice scheduler started (1st of month @ 00:05, overdue check daily @ 01:00)');
+  logger.info('📅 Auto-invoice scheduler started (due invoices hourly @ :05, overdue check hourly @ :15)');
 }
 
 module.exports = {
   generateAutoInvoices,
   markOverdueInvoices,
+  applyLateFees,
   calculateNextInvoiceDate,
+  nextInvoiceNumber,
   startScheduler,
 };
@@ -0,0 +1,265 @@
+/**
+ * Belt Progress Service
+ *
+ * Works out the belt requirements existing data can answer, toward each
+ * student's next belt in every program they're enrolled in at a school:
+ *
+ * - MIN_ATTENDANCE — classes attended since they reached their current
+ *   rank (their last promotion, or enrolling): classes of that program,
+ *   plus classes not linked to any program. A requirement can count full
+ *   attendances only (fullAttendanceOnly — see checkOuts); those are
+ *   settled once the class is completed.
+ * - TIME_IN_RANK — whole months at their current rank
+ * - MIN_AGE — age in whole years, from User.dateOfBirth (0 until it's on file)
+ *
+ * Months and ages run on the school's calendar. Progress is recounted when
+ * a class is completed, when a completed class's check-ins change, after a
+ * promotion, and nightly for every school (time in rank and age move on
+ * their own). Other requirement types are still recorded by instructors.
+ *
+ * The value is recomputed each time, but a completed requirement stays
+ * complete — including one an instructor signed off by hand.
+ */
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { startOfToday, localDate, dateOnly } = require('../utils/dates');
+const { getSchoolTimeZone, activeSchools } = require('./schoolTime');
+const { FULL_ATTENDANCE_WHERE } = require('./checkOuts');
+
+/** Requirement types worked out here rather than recorded by instructors. */
+const AUTOMATIC_TYPES = ['MIN_ATTENDANCE', 'TIME_IN_RANK', 'MIN_AGE'];
+
+/** The belt after `currentBelt` in a program's ladder (belts ordered ascending). */
+function nextBeltOf(belts, currentBelt) {
+  if (!currentBelt) return belts[0] || null;
+  return belts.find((b) => b.displayOrder === currentBelt.displayOrder + 1) || null;
+}
+
+/** Whole calendar months from one UTC-midnight date to a later one. */
+function wholeMonthsBetween(from, to) {
+  let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  if (to.getUTCDate() < from.getUTCDate()) months -= 1;
+  return Math.max(0, months);
+}
+
+/** When the student reached their current rank in this program enrollment. */
+async function rankSince(enrollment) {
+  const last = await prisma.promotion.findFirst({
+    where: { programEnrollmentId: enrollment.id },
+    orderBy: { promotedAt: 'desc' },
+    select: { promotedAt: true },
+  });
+  return last?.promotedAt || enrollment.enrolledAt;
+}
+
+/** Classes attended at the school toward this program since `since` (optionally full attendances only). */
+function countAttendance(enrollment, since, fullOnly = false) {
+  return prisma.checkIn.count({
+    where: {
+      studentId: enrollment.studentId,
+      checkedInAt: { gte: since },
+      ...(fullOnly && FULL_ATTENDANCE_WHERE),
+      session: {
+        status: fullOnly ? 'COMPLETED' : { not: 'CANCELLED' },
+        class: {
+          schoolId: enrollment.schoolId,
+          OR: [{ programId: enrollment.programId }, { programId: null }],
+        },
+      },
+    },
+  });
+}
+
+/**
+ * The current value of each automatic requirement toward an enrollment's
+ * next belt, by requirement ID.
+ * @param {Object} enrollment - with `student.dateOfBirth`
+ * @param {Object[]} requirements - AUTOMATIC_TYPES only
+ * @param {Date} today - the school's calendar date (UTC midnight)
+ * @param {string} timeZone - the school's time zone
+ * @returns {Promise<Map<string, number>>}
+ */
+async function measure(enrollment, requirements, today, timeZone) {
+  const since = await rankSince(enrollment);
+  const counts = {};
+  const values = new Map();
+  for (const requirement of requirements) {
+    if (requirement.type === 'MIN_ATTENDANCE') {
+      const fullOnly = requirement.fullAttendanceOnly;
+      counts[fullOnly] ??= await countAttendance(enrollment, since, fullOnly);
+      values.set(requirement.id, counts[fullOnly]);
+    } else if (requirement.type === 'TIME_IN_RANK') {
+      values.set(requirement.id, wholeMonthsBetween(localDate(since, timeZone), today));
+    } else if (requirement.type === 'MIN_AGE') {
+      const born = enrollment.student.dateOfBirth;
+      values.set(requirement.id, born ? Math.floor(wholeMonthsBetween(dateOnly(born), today) / 12) : 0);
+    }
+  }
+  return values;
+}
+
+/**
+ * Recalculate MIN_ATTENDANCE, TIME_IN_RANK and MIN_AGE progress toward the
+ * next belt for program enrollments at a school — these students', or
+ * everyone's when `studentIds` is left out.
+ * @param {Object} params
+ * @param {string} params.schoolId
+ * @param {string[]} [params.studentIds]
+ * @param {Date} [params.now]
+ * @returns {Promise<number>} how many requirements were newly completed
+ */
+async function refreshBeltProgress({ schoolId, studentIds, now = new Date() }) {
+  if (!schoolId || (studentIds && studentIds.length === 0)) return 0;
+
+  const enrollments = await prisma.programEnrollment.findMany({
+    where: { schoolId, ...(studentIds && { studentId: { in: studentIds } }) },
+    include: {
+      student: { select: { dateOfBirth: true } },
+      currentBelt: true,
+      program: {
+        include: {
+          belts: {
+            orderBy: { displayOrder: 'asc' },
+            include: { requirements: { where: { type: { in: AUTOMATIC_TYPES } } } },
+          },
+        },
+      },
+      progress: true,
+    },
+  });
+  if (enrollments.length === 0) return 0;
+
+  const timeZone = await getSchoolTimeZone(schoolId);
+  const today = startOfToday(now, timeZone);
+
+  let completed = 0;
+  for (const enrollment of enrollments) {
+    const requirements = nextBeltOf(enrollment.program.belts, enrollment.currentBelt)?.requirements || [];
+    if (requirements.length === 0) continue;
+
+    const values = await measure(enrollment, requirements, today, timeZone);
+    for (const requirement of requirements) {
+      const currentValue = values.get(requirement.id);
+      const existing = enrollment.progress.find((p) => p.requirementId === requirement.id);
+      const isComplete = existing?.isComplete || currentValue >= (requirement.value ?? 0);
+      if (existing && existing.currentValue === currentValue && existing.isComplete === isComplete) continue;
+
+      const completedAt = isComplete ? existing?.completedAt || now : null;
+      await prisma.requirementProgress.upsert({
+        where: { programEnrollmentId_requirementId: { programEnrollmentId: enrollment.id, requirementId: requirement.id } },
+        create: { programEnrollmentId: enrollment.id, requirementId: requirement.id, currentValue, isComplete, completedAt },
+        update: { currentValue, isComplete, completedAt },
+      });
+      if (isComplete && !existing?.isComplete) completed++;
+    }
+  }
+
+  if (completed) logger.info(`[BeltProgress] ${completed} belt requirements completed`);
+  return completed;
+}
+
+/**
+ * Each student's standing toward their next belt at a school, from the
+ * recorded progress: every requirement, the required ones still missing
+ * (with how far off numeric ones are), and whether they're eligible for
+ * promotion. Students at the top of their program are left out.
+ * @param {string} schoolId
+ * @param {Object} [filters]
+ * @param {string} [filters.programId]
+ */
+async function eligibilityReport(schoolId, { programId } = {}) {
+  const enrollments = await prisma.programEnrollment.findMany({
+    where: { schoolId, ...(programId && { programId }), student: { isActive: true } },
+    include: {
+      student: { select: { id: true, firstName: true, lastName: true, dateOfBirth: true } },
+      program: {
+        select: {
+          id: true,
+          name: true,
+          belts: { orderBy: { displayOrder: 'asc' }, include: { requirements: { orderBy: { createdAt: 'asc' } } } },
+        },
+      },
+      currentBelt: { select: { id: true, name: true, color: true, displayOrder: true } },
+      progress: true,
+    },
+    orderBy: [{ program: { name: 'asc' } }, { student: { lastName: 'asc' } }],
+  });
+
+  return enrollments.flatMap(({ id, student, program, currentBelt, progress }) => {
+    const nextBelt = nextBeltOf(program.belts, currentBelt);
+    if (!nextBelt) return [];
+
+    const requirements = nextBelt.requirements.map((r) => {
+      const recorded = progress.find((p) => p.requirementId === r.id);
+      return {
+        id: r.id,
+        type: r.type,
+        description: r.description,
+        value: r.value,
+        isRequired: r.isRequired,
+        fullAttendanceOnly: r.fullAttendanceOnly,
+        automatic: AUTOMATIC_TYPES.includes(r.type),
+        currentValue: recorded?.currentValue ?? 0,
+        isComplete: recorded?.isComplete ?? false,
+        ...(r.type === 'MIN_AGE' && !student.dateOfBirth && { reason: 'NO_DATE_OF_BIRTH' }),
+      };
+    });
+    const missing = requirements
+      .filter((r) => r.isRequired && !r.isComplete)
+      .map((r) => ({ ...r, ...(r.value != null && { remaining: Math.max(0, Math.ceil(r.value - r.currentValue)) }) }));
+
+    return [{
+      enrollmentId: id,
+      student: { id: student.id, firstName: student.firstName, lastName: student.lastName },
+      program: { id: program.id, name: program.name },
+      currentBelt,
+      nextBelt: { id: nextBelt.id, name: nextBelt.name, color: nextBelt.color, displayOrder: nextBelt.displayOrder },
+      // As on the progress page: a belt without requirements is promoted by hand
+      eligible: requirements.length > 0 && missing.length === 0,
+      requirements,
+      missing,
+    }];
+  });
+}
+
+/** Recalculate every active school's belt progress (time in rank and age advance daily). */
+async function refreshAllBeltProgress(now = new Date()) {
+  let completed = 0;
+  for (const school of await activeSchools({ now })) {
+    try {
+      completed += await refreshBeltProgress({ schoolId: school.id, now });
+    } catch (err) {
+      logger.error(`[BeltProgress] Refresh failed for school ${school.id}: ${err.message}`);
+    }
+  }
+  return completed;
+}
+
+/**
+ * Start the belt progress scheduler — daily at 00:45, after the session
+ * generator, plus once at startup so new requirement types take effect
+ * without waiting a day.
+ */
+function startBeltProgressScheduler() {
+  cron.schedule('45 0 * * *', async () => {
+    try {
+      await refreshAllBeltProgress();
+    } catch (err) {
+      logger.error(`[BeltProgress] Scheduler error: ${err.message}`);
+    }
+  });
+
+  refreshAllBeltProgress().catch((err) => logger.error(`[BeltProgress] Startup run error: ${err.message}`));
+  logger.info('🥋 Belt progress scheduler started (daily @ 00:45)');
+}
+
+module.exports = {
+  AUTOMATIC_TYPES,
+  nextBeltOf,
+  wholeMonthsBetween,
+  refreshBeltProgress,
+  refreshAllBeltProgress,
+  eligibilityReport,
+  startBeltProgressScheduler,
+};
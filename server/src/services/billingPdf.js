@@ -0,0 +1,399 @@
+/**
+ * Billing PDF Service
+ *
+ * Renders printable invoices and payment receipts with pdfkit, entirely
+ * in-process. The header uses the school's branding (logo, primary and
+ * secondary colours), falling back to the organisation's; the footer carries
+ * the org tagline. Tax is labelled with PaymentConfig.taxRate.
+ *
+ * Logos are read from data: URLs or fetched once from their http(s) URL and
+ * cached; if a logo can't be loaded the school name is printed on its own.
+ * Errors carry an HTTP `status` for the controller to surface.
+ */
+const PDFDocument = require('pdfkit');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { sumRefunds } = require('./refunds');
+const { TIME_ZONE_SELECT } = require('./schoolTime');
+
+const DEFAULT_PRIMARY = '#1a1a2e';
+const DEFAULT_SECONDARY = '#e94560';
+const LOGO_TIMEOUT_MS = 3000;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+
+const PAGE_MARGIN = 50;
+const CONTENT_WIDTH = 612 - PAGE_MARGIN * 2; // US Letter
+
+const logoCache = new Map();
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const isColor = (c) => typeof c === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(c);
+
+/** The standard PDF fonts only cover WinAnsi — swap or drop anything else. */
+function clean(text) {
+  return String(text ?? '')
+    .replace(/−/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•…€™\n]/g, '');
+}
+
+const fmtDate = (d) => new Date(d).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// ─── Branding ────────────────────────────────────────────
+
+/** Load a logo as a PNG/JPEG buffer, or null. */
+async function loadLogo(url) {
+  if (!url) return null;
+  if (logoCache.has(url)) return logoCache.get(url);
+
+  let buffer = null;
+  try {
+    const dataUrl = url.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+    if (dataUrl) {
+      buffer = Buffer.from(dataUrl[2], 'base64');
+    } else if (/^https?:\/\//i.test(url)) {
+      const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+      const type = response.headers.get('content-type') || '';
+      if (response.ok && /image\/(png|jpe?g)/i.test(type)) {
+        const bytes = Buffer.from(await response.arrayBuffer());
+        if (bytes.length <= LOGO_MAX_BYTES) buffer = bytes;
+      }
+    }
+  } catch (err) {
+    logger.warn(`[BillingPdf] Could not load logo ${url}: ${err.message}`);
+  }
+
+  logoCache.set(url, buffer);
+  return buffer;
+}
+
+/** School details, merged school/org branding and payment settings. */
+async function loadBranding(schoolId) {
+  const [school, schoolBranding, orgBranding, paymentConfig] = await Promise.all([
+    prisma.school.findUnique({
+      where: { id: schoolId },
+      select: { name: true, address: true, city: true, state: true, zip: true, phone: true, email: true, ...TIME_ZONE_SELECT },
+    }),
+    prisma.schoolBranding.findUnique({ where: { schoolId } }),
+    prisma.orgBranding.findFirst(),
+    prisma.paymentConfig.findUnique({ where: { schoolId }, select: { currency: true, taxRate: true } }),
+  ]);
+
+  const primary = [schoolBranding?.primaryColor, orgBranding?.primaryColor].find(isColor) || DEFAULT_PRIMARY;
+  const secondary = [schoolBranding?.secondaryColor, orgBranding?.secondaryColor].find(isColor) || DEFAULT_SECONDARY;
+  const currency = paymentConfig?.currency || 'USD';
+  const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+
+  return {
+    school,
+    primary,
+    secondary,
+    logo: await loadLogo(schoolBranding?.logoUrl || orgBranding?.logoUrl),
+    tagline: orgBranding?.tagline || null,
+    taxRate: paymentConfig?.taxRate || 0,
+    money: (n) => formatter.format(n).replace(/−/g, '-'),
+  };
+}
+
+// ─── Layout helpers ──────────────────────────────────────
+
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+/** Coloured band with logo, school name/address and the document title. */
+function drawHeader(doc, brand, title, number) {
+  doc.rect(0, 0, doc.page.width, 110).fill(brand.primary);
+  doc.rect(0, 110, doc.page.width, 4).fill(brand.secondary);
+
+  let textX = PAGE_MARGIN;
+  if (brand.logo) {
+    try {
+      doc.image(brand.logo, PAGE_MARGIN, 25, { fit: [120, 60] });
+      textX = PAGE_MARGIN + 135;
+    } catch (err) {
+      logger.warn(`[BillingPdf] Logo could not be drawn: ${err.message}`);
+    }
+  }
+
+  const { school } = brand;
+  const cityLine = [school.city, [school.state, school.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(16).text(clean(school.name), textX, 28, { width: 260 });
+  doc.font('Helvetica').fontSize(9);
+  for (const line of [school.address, cityLine, school.phone, school.email].filter(Boolean)) {
+    doc.text(clean(line), { width: 260 });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(22).text(title, PAGE_MARGIN, 30, { width: CONTENT_WIDTH, align: 'right' });
+  doc.font('Helvetica').fontSize(10).text(clean(number), PAGE_MARGIN, 60, { width: CONTENT_WIDTH, align: 'right' });
+
+  doc.fillColor('#222222');
+  doc.y = 135;
+}
+
+/** Two-column block: who it's for on the left, key/value facts on the right. */
+function drawParties(doc, brand, billTo, facts) {
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(brand.primary).text('BILL TO', PAGE_MARGIN, top);
+  doc.font('Helvetica').fontSize(10).fillColor('#222222');
+  for (const line of billTo.filter(Boolean)) doc.text(clean(line), PAGE_MARGIN, doc.y, { width: 250 });
+  const leftBottom = doc.y;
+
+  let y = top;
+  for (const [label, value] of facts) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#666666').text(label, 330, y, { width: 90 });
+    doc.font('Helvetica').fontSize(10).fillColor('#222222').text(clean(value), 420, y, { width: 142, align: 'right' });
+    y += 16;
+  }
+
+  doc.y = Math.max(leftBottom, y) + 20;
+}
+
+/** Description/amount table with alternating row shading. */
+function drawItems(doc, brand, rows) {
+  const amountX = PAGE_MARGIN + CONTENT_WIDTH - 110;
+  let y = doc.y;
+
+  doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, 20).fill(brand.primary);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9);
+  doc.text('DESCRIPTION', PAGE_MARGIN + 8, y + 6);
+  doc.text('AMOUNT', amountX, y + 6, { width: 102, align: 'right' });
+  y += 20;
+
+  doc.font('Helvetica').fontSize(10);
+  rows.forEach((row, i) => {
+    const description = clean(row.description);
+    const height = Math.max(20, doc.heightOfString(description, { width: amountX - PAGE_MARGIN - 20 }) + 10);
+    if (y + height > doc.page.height - 120) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    if (i % 2 === 1) doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, height).fill('#f4f5f7');
+    doc.fillColor('#222222').text(description, PAGE_MARGIN + 8, y + 5, { width: amountX - PAGE_MARGIN - 20 });
+    doc.text(brand.money(row.amount), amountX, y + 5, { width: 102, align: 'right' });
+    y += height;
+  });
+
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  doc.y = y + 10;
+}
+
+/** Right-aligned label/amount rows; `strong` rows are bold and coloured. */
+function drawTotals(doc, brand, rows) {
+  let y = doc.y;
+  for (const { label, amount, strong } of rows) {
+    doc.font(strong ? 'Helvetica-Bold' : 'Helvetica').fontSize(strong ? 12 : 10)
+      .fillColor(strong ? brand.primary : '#222222');
+    doc.text(clean(label), 300, y, { width: 150, align: 'right' });
+    doc.text(brand.money(amount), 452, y, { width: 102, align: 'right' });
+    y += strong ? 20 : 16;
+  }
+  doc.fillColor('#222222');
+  doc.y = y + 10;
+}
+
+function drawNotes(doc, title, lines) {
+  if (lines.length === 0) return;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#666666').text(title, PAGE_MARGIN, doc.y + 10);
+  doc.font('Helvetica').fontSize(9).fillColor('#444444');
+  for (const line of lines) doc.text(clean(line), PAGE_MARGIN, doc.y, { width: CONTENT_WIDTH });
+}
+
+function drawFooter(doc, brand, text) {
+  const y = doc.page.height - 60;
+  // The footer sits inside the bottom margin — stop pdfkit from paging over it
+  doc.page.margins.bottom = 0;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y).lineWidth(1).strokeColor(brand.secondary).stroke();
+  doc.font('Helvetica').fontSize(8).fillColor('#888888');
+  doc.text(clean(text), PAGE_MARGIN, y + 8, { width: CONTENT_WIDTH, align: 'center', lineBreak: false });
+  if (brand.tagline) {
+    doc.text(clean(brand.tagline), PAGE_MARGIN, y + 20, { width: CONTENT_WIDTH, align: 'center', lineBreak: false });
+  }
+}
+
+// ─── Documents ───────────────────────────────────────────
+
+/**
+ * Line items for an invoice: household lines when present, otherwise the
+ * plan and each adjustment billed with it. A credit bigger than the plan
+ * leaves a zero subtotal, with the remainder shown as carried forward.
+ */
+function invoiceItems(invoice) {
+  if (invoice.lines.length > 0) {
+    return invoice.lines.map((l) => ({ description: l.description, amount: l.amount }));
+  }
+
+  const adjustmentTotal = invoice.adjustments.reduce((sum, a) => sum + a.amount, 0);
+  const base = invoice.subtotal > 0 || invoice.adjustments.length === 0
+    ? round2(invoice.subtotal - adjustmentTotal)
+    : invoice.plan?.price ?? 0;
+  const baseLabel = invoice.plan?.name
+    ? `${invoice.plan.name} membership`
+    : (invoice.notes || '').split('\n')[0] || 'Services';
+
+  // Adjustment-only invoices (immediate prorations) have no base charge
+  const items = Math.abs(base) >= 0.01 || invoice.adjustments.length === 0
+    ? [{ description: baseLabel, amount: base }]
+    : [];
+  for (const a of invoice.adjustments) items.push({ description: a.description, amount: a.amount });
+
+  const carried = round2(invoice.subtotal - base - adjustmentTotal);
+  if (Math.abs(carried) >= 0.01) items.push({ description: 'Credit carried to next invoice', amount: carried });
+  return items;
+}
+
+/**
+ * Render an invoice as a PDF.
+ * @param {string} schoolId
+ * @param {string} invoiceId
+ * @returns {Promise<{ buffer: Buffer, filename: string, invoice: Object }>}
+ */
+async function renderInvoicePdf(schoolId, invoiceId) {
+  const invoice = await prisma.invoice.findFirst({
+    where: { id: invoiceId, schoolId },
+    include: {
+      student: { select: { firstName: true, lastName: true, email: true } },
+      family: { select: { name: true } },
+      plan: { select: { name: true, price: true } },
+      lines: true,
+      adjustments: { orderBy: { createdAt: 'asc' } },
+      payments: { include: { refunds: true }, orderBy: { paidAt: 'asc' } },
+    },
+  });
+  if (!invoice) throw httpError(404, 'Invoice not found');
+
+  const brand = await loadBranding(schoolId);
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+  const done = toBuffer(doc);
+
+  drawHeader(doc, brand, 'INVOICE', invoice.invoiceNumber);
+  drawParties(
+    doc,
+    brand,
+    [
+      `${invoice.student.firstName} ${invoice.student.lastName}`,
+      invoice.family ? `${invoice.family.name} household` : null,
+      invoice.student.email,
+    ],
+    [
+      ['Issued', fmtDate(invoice.createdAt)],
+      ['Due', fmtDate(invoice.dueDate)],
+      ['Status', invoice.status.replace('_', ' ')],
+    ],
+  );
+
+  drawItems(doc, brand, invoiceItems(invoice));
+
+  const paid = invoice.payments.reduce((sum, p) => sum + p.amount - sumRefunds(p.refunds), 0);
+  const lateFee = invoice.lateFeeAppliedAt && !invoice.lateFeeWaivedAt ? invoice.lateFeeAmount : 0;
+  drawTotals(doc, brand, [
+    { label: 'Subtotal', amount: invoice.subtotal },
+    { label: `Tax (${brand.taxRate}%)`, amount: invoice.taxAmount },
+    ...(lateFee > 0 ? [{ label: 'Late fee', amount: lateFee }] : []),
+    { label: 'Total', amount: invoice.totalAmount, strong: true },
+    ...(paid > 0 ? [{ label: 'Paid', amount: -paid }] : []),
+    { label: 'Balance due', amount: Math.max(0, invoice.totalAmount - paid), strong: true },
+  ]);
+
+  drawNotes(doc, 'PAYMENTS', invoice.payments.map((p) => {
+    const refunded = sumRefunds(p.refunds);
+    return `${fmtDate(p.paidAt)} — ${brand.money(p.amount)} by ${p.method.toLowerCase()}${refunded > 0 ? ` (${brand.money(refunded)} refunded)` : ''}`;
+  }));
+
+  drawFooter(doc, brand, `Questions about this invoice? Contact ${brand.school.email || brand.school.phone || brand.school.name}.`);
+  doc.end();
+
+  return { buffer: await done, filename: `${invoice.invoiceNumber}.pdf`, invoice };
+}
+
+/**
+ * Render a payment receipt as a PDF — suitable for tax/FSA records.
+ * @param {string} schoolId
+ * @param {string} paymentId
+ * @returns {Promise<{ buffer: Buffer, filename: string, payment: Object }>}
+ */
+async function renderReceiptPdf(schoolId, paymentId) {
+  const payment = await prisma.payment.findFirst({
+    where: { id: paymentId, invoice: { schoolId } },
+    include: {
+      student: { select: { firstName: true, lastName: true, email: true } },
+      invoice: {
+        include: {
+          family: { select: { name: true } },
+          plan: { select: { name: true, price: true } },
+          lines: true,
+          adjustments: { orderBy: { createdAt: 'asc' } },
+          payments: { include: { refunds: true } },
+        },
+      },
+      allocations: { include: { student: { select: { firstName: true, lastName: true } } } },
+      refunds: { orderBy: { createdAt: 'asc' } },
+    },
+  });
+  if (!payment) throw httpError(404, 'Payment not found');
+
+  const { invoice } = payment;
+  const brand = await loadBranding(schoolId);
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, info: { Title: `Receipt for ${invoice.invoiceNumber}` } });
+  const done = toBuffer(doc);
+
+  const receiptNumber = `RCPT-${invoice.invoiceNumber.replace(/^INV-/, '')}-${payment.id.slice(0, 6).toUpperCase()}`;
+  drawHeader(doc, brand, 'RECEIPT', receiptNumber);
+  drawParties(
+    doc,
+    brand,
+    [
+      `${payment.student.firstName} ${payment.student.lastName}`,
+      invoice.family ? `${invoice.family.name} household` : null,
+      payment.student.email,
+    ],
+    [
+      ['Paid on', fmtDate(payment.paidAt)],
+      ['Method', payment.method.toLowerCase()],
+      ['Invoice', invoice.invoiceNumber],
+      ...(payment.gatewayTransactionId ? [['Reference', payment.gatewayTransactionId]] : []),
+    ],
+  );
+
+  drawItems(doc, brand, invoiceItems(invoice));
+
+  const refunded = sumRefunds(payment.refunds);
+  const paidOnInvoice = invoice.payments.reduce((sum, p) => sum + p.amount - sumRefunds(p.refunds), 0);
+  drawTotals(doc, brand, [
+    { label: 'Invoice subtotal', amount: invoice.subtotal },
+    { label: `Tax (${brand.taxRate}%)`, amount: invoice.taxAmount },
+    { label: 'Invoice total', amount: invoice.totalAmount },
+    { label: 'Amount paid', amount: payment.amount, strong: true },
+    ...(refunded > 0 ? [{ label: 'Refunded', amount: -refunded }] : []),
+    { label: 'Remaining balance', amount: Math.max(0, invoice.totalAmount - paidOnInvoice) },
+  ]);
+
+  drawNotes(doc, 'PAYMENT APPLIED TO', payment.allocations.map((a) =>
+    `${a.student.firstName} ${a.student.lastName} — ${brand.money(a.amount)}`));
+  drawNotes(doc, 'REFUNDS', payment.refunds.map((r) =>
+    `${fmtDate(r.createdAt)} — ${brand.money(r.amount)}${r.reason ? ` (${r.reason})` : ''}`));
+
+  drawFooter(doc, brand, `Thank you for your payment. ${brand.school.name}`);
+  doc.end();
+
+  return { buffer: await done, filename: `${receiptNumber}.pdf`, payment };
+}
+
+module.exports = {
+  renderInvoicePdf,
+  renderReceiptPdf,
+  // Shared with the certificate renderer
+  loadBranding,
+  loadLogo,
+  clean,
+  toBuffer,
+};
@@ -0,0 +1,302 @@
+/**
+ * Calendar Feed Service
+ *
+ * Secret .ics URLs that calendar apps poll:
+ *
+ *   STUDENT     classes in the student's programs (or every class at a school
+ *               they're enrolled in without programs), sessions they booked,
+ *               their belt tests and the events they registered or hold tickets for
+ *   INSTRUCTOR  sessions they teach — substitutions count — and belt tests they run
+ *   SCHOOL      the school's timetable and public events
+ *
+ * The URL token is only stored hashed; creating a new feed of the same kind
+ * revokes the old URL. Entries keep their UID for life and carry a SEQUENCE
+ * that grows on every edit, so a retimed or cancelled class updates in place
+ * (cancellations stay in the feed as STATUS:CANCELLED).
+ */
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const config = require('../config');
+const { DAY_MS, startOfToday } = require('../utils/dates');
+const { buildCalendar, sequenceOf } = require('../utils/ics');
+const { TIME_ZONE_SELECT, sessionStartsAt, sessionEndsAt } = require('./schoolTime');
+
+/** How far back feeds go, so last week's classes don't vanish from calendars. */
+const PAST_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const UID_DOMAIN = 'flowapp';
+const ACTIVE_BOOKINGS = ['RESERVED', 'WAITLISTED', 'ATTENDED'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/** The public URL for a feed token (served by routes/public.js). */
+function feedUrl(token) {
+  return `${config.publicAppUrl}/api/public/calendar/${token}.ics`;
+}
+
+const fullName = (u) => (u ? `${u.firstName} ${u.lastName}` : null);
+
+const place = (...parts) => parts.filter(Boolean).join(', ');
+
+// ─── Feed management ─────────────────────────────────────
+
+/** Student IDs a user may subscribe to: themselves and, for guardians, their family. */
+async function manageableStudentIds(userId) {
+  const guardianOf = await prisma.familyMember.findMany({
+    where: { userId, familyRole: { in: ['PRIMARY', 'SECONDARY'] } },
+    select: { family: { select: { members: { select: { userId: true } } } } },
+  });
+  return [...new Set([userId, ...guardianOf.flatMap((m) => m.family.members.map((x) => x.userId))])];
+}
+
+/**
+ * Issue a feed URL, revoking any earlier feed for the same calendar.
+ * The token is returned once — only its hash is kept.
+ * @param {Object} spec - { type, userId?, schoolId?, createdById }
+ * @returns {Promise<{ feed: Object, url: string }>}
+ */
+async function createFeed({ type, userId = null, schoolId = null, createdById }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const subject = type === 'SCHOOL' ? { schoolId } : { userId };
+
+  const feed = await prisma.$transaction(async (tx) => {
+    await tx.calendarFeed.updateMany({
+      where: { type, ...subject, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return tx.calendarFeed.create({
+      data: { type, ...subject, createdById, tokenHash: hashToken(token) },
+    });
+  });
+  return { feed, url: feedUrl(token) };
+}
+
+/** The live feed behind a URL token, or null. Records the fetch. */
+async function findFeed(token) {
+  const feed = await prisma.calendarFeed.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: { select: { id: true, firstName: true, lastName: true, isActive: true } },
+      school: { select: { id: true, name: true, isActive: true } },
+    },
+  });
+  if (!feed || feed.revokedAt) return null;
+  if (feed.user && !feed.user.isActive) return null;
+  if (feed.school && !feed.school.isActive) return null;
+
+  await prisma.calendarFeed.update({ where: { id: feed.id }, data: { lastFetchedAt: new Date() } });
+  return feed;
+}
+
+// ─── Entries ─────────────────────────────────────────────
+
+const SESSION_INCLUDE = {
+  class: {
+    select: {
+      name: true,
+      instructor: { select: { firstName: true, lastName: true } },
+      room: { select: { name: true } },
+      school: { select: { name: true, address: true, city: true, state: true, ...TIME_ZONE_SELECT } },
+    },
+  },
+  instructor: { select: { firstName: true, lastName: true } }, // substitute, if any
+  room: { select: { name: true } },
+  closure: { select: { name: true } },
+};
+
+/**
+ * @param {Object} session - ClassSession with SESSION_INCLUDE (+ reservations for students)
+ */
+function sessionEntry(session) {
+  const cancelled = session.status === 'CANCELLED';
+  const booking = session.reservations?.[0];
+  const sub = session.instructor;
+  const room = session.room || session.class.room;
+  const { school } = session.class;
+
+  const notes = [];
+  if (cancelled) notes.push(session.closure ? `Cancelled — ${session.closure.name}` : 'This class is cancelled');
+  const teacher = fullName(sub || session.class.instructor);
+  if (teacher) notes.push(`Instructor: ${teacher}${sub ? ' (substitute)' : ''}`);
+  if (booking) notes.push(booking.status === 'WAITLISTED' ? 'You are on the waitlist' : 'You have a spot booked');
+
+  return {
+    uid: `session-${session.id}@${UID_DOMAIN}`,
+    start: sessionStartsAt(session),
+    end: sessionEndsAt(session),
+    summary: `${cancelled ? 'Cancelled: ' : ''}${session.class.name}`,
+    description: notes.join('\n'),
+    location: place(room?.name, school.name, school.address, school.city, school.state),
+    status: cancelled ? 'CANCELLED' : booking?.status === 'WAITLISTED' ? 'TENTATIVE' : 'CONFIRMED',
+    sequence: sequenceOf(session),
+    updatedAt: session.updatedAt,
+  };
+}
+
+const EVENT_INCLUDE = {
+  venue: { select: { name: true, address: true, city: true, state: true } },
+  room: { select: { name: true } },
+  school: { select: { name: true } },
+};
+
+function eventEntry(event) {
+  const venue = event.venue;
+  return {
+    uid: `event-${event.id}@${UID_DOMAIN}`,
+    start: event.startDate,
+    end: event.endDate || new Date(event.startDate.getTime() + HOUR_MS),
+    summary: event.name,
+    description: event.description || '',
+    location: venue
+      ? place(venue.name, venue.address, venue.city, venue.state)
+      : place(event.room?.name, event.school?.name),
+    sequence: sequenceOf(event),
+    updatedAt: event.updatedAt,
+  };
+}
+
+function beltTestEntry(test) {
+  return {
+    uid: `belt-test-${test.id}@${UID_DOMAIN}`,
+    start: test.testDate,
+    end: new Date(test.testDate.getTime() + HOUR_MS),
+    summary: `Belt test: ${test.belt.name}`,
+    description: [
+      test.enrollment.program?.name,
+      test.enrollment.student && `Student: ${fullName(test.enrollment.student)}`,
+      ['PASSED', 'FAILED'].includes(test.status) && `Result: ${test.status === 'PASSED' ? 'Passed' : 'Not passed'}`,
+    ].filter(Boolean).join('\n'),
+    location: test.enrollment.school?.name,
+    sequence: sequenceOf(test),
+    updatedAt: test.updatedAt,
+  };
+}
+
+const BELT_TEST_INCLUDE = (withStudent) => ({
+  belt: { select: { name: true } },
+  enrollment: {
+    select: {
+      program: { select: { name: true } },
+      school: { select: { name: true } },
+      ...(withStudent && { student: { select: { firstName: true, lastName: true } } }),
+    },
+  },
+});
+
+// ─── Feeds ───────────────────────────────────────────────
+
+async function studentEntries(studentId, { from, until }) {
+  const [enrollments, programs] = await Promise.all([
+    prisma.enrollment.findMany({ where: { studentId, status: 'ACTIVE' }, select: { schoolId: true } }),
+    prisma.programEnrollment.findMany({ where: { studentId }, select: { schoolId: true, programId: true } }),
+  ]);
+
+  // Classes in their programs; schools that don't use programs show everything
+  const classScopes = enrollments.map(({ schoolId }) => {
+    const programIds = programs.filter((p) => p.schoolId === schoolId).map((p) => p.programId);
+    return { class: { schoolId, isActive: true, ...(programIds.length && { programId: { in: programIds } }) } };
+  });
+
+  const [sessions, tests, registrations, tickets] = await Promise.all([
+    prisma.classSession.findMany({
+      where: {
+        sessionDate: { gte: from, lte: until },
+        OR: [...classScopes, { reservations: { some: { studentId, status: { in: ACTIVE_BOOKINGS } } } }],
+      },
+      include: {
+        ...SESSION_INCLUDE,
+        reservations: { where: { studentId, status: { in: ACTIVE_BOOKINGS } }, select: { status: true } },
+      },
+      orderBy: [{ sessionDate: 'asc' }, { startTime: 'asc' }],
+    }),
+    prisma.beltTest.findMany({
+      where: { enrollment: { studentId }, testDate: { gte: from, lte: until } },
+      include: BELT_TEST_INCLUDE(false),
+    }),
+    prisma.eventRegistration.findMany({
+      where: { userId: studentId, status: { not: 'CANCELLED' }, event: { startDate: { gte: from } } },
+      select: { eventId: true },
+    }),
+    prisma.eventTicket.findMany({
+      where: { userId: studentId, status: { in: ['RESERVED', 'PAID', 'CHECKED_IN'] }, event: { startDate: { gte: from } } },
+      select: { eventId: true },
+    }),
+  ]);
+
+  const eventIds = [...new Set([...registrations, ...tickets].map((r) => r.eventId))];
+  const events = eventIds.length
+    ? await prisma.event.findMany({ where: { id: { in: eventIds } }, include: EVENT_INCLUDE })
+    : [];
+
+  return [...sessions.map(sessionEntry), ...tests.map(beltTestEntry), ...events.map(eventEntry)];
+}
+
+async function instructorEntries(instructorId, { from, until }) {
+  const [sessions, tests] = await Promise.all([
+    prisma.classSession.findMany({
+      where: {
+        sessionDate: { gte: from, lte: until },
+        OR: [{ instructorId }, { instructorId: null, class: { instructorId } }],
+      },
+      include: SESSION_INCLUDE,
+      orderBy: [{ sessionDate: 'asc' }, { startTime: 'asc' }],
+    }),
+    prisma.beltTest.findMany({
+      where: { testedById: instructorId, testDate: { gte: from, lte: until } },
+      include: BELT_TEST_INCLUDE(true),
+    }),
+  ]);
+  return [...sessions.map(sessionEntry), ...tests.map(beltTestEntry)];
+}
+
+async function schoolEntries(schoolId, { from, until }) {
+  const [sessions, events] = await Promise.all([
+    prisma.classSession.findMany({
+      where: { sessionDate: { gte: from, lte: until }, class: { schoolId, isActive: true } },
+      include: SESSION_INCLUDE,
+      orderBy: [{ sessionDate: 'asc' }, { startTime: 'asc' }],
+    }),
+    prisma.event.findMany({
+      where: { schoolId, isPublic: true, startDate: { gte: from, lte: until } },
+      include: EVENT_INCLUDE,
+    }),
+  ]);
+  return [...sessions.map(sessionEntry), ...events.map(eventEntry)];
+}
+
+/**
+ * Render a feed as .ics text.
+ * @param {Object} feed - from findFeed()
+ */
+async function renderFeed(feed, now = new Date()) {
+  const today = startOfToday(now).getTime();
+  const range = {
+    from: new Date(today - PAST_DAYS * DAY_MS),
+    until: new Date(today + config.sessionHorizonWeeks * 7 * DAY_MS),
+  };
+
+  let name;
+  let entries;
+  if (feed.type === 'STUDENT') {
+    name = `${fullName(feed.user)} — Classes`;
+    entries = await studentEntries(feed.userId, range);
+  } else if (feed.type === 'INSTRUCTOR') {
+    name = `${fullName(feed.user)} — Teaching`;
+    entries = await instructorEntries(feed.userId, range);
+  } else {
+    name = `${feed.school.name} — Timetable`;
+    entries = await schoolEntries(feed.schoolId, range);
+  }
+  return buildCalendar({ name, entries }, now);
+}
+
+module.exports = {
+  PAST_DAYS,
+  hashToken,
+  feedUrl,
+  manageableStudentIds,
+  createFeed,
+  findFeed,
+  renderFeed,
+  sessionEntry,
+};
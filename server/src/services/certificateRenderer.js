@@ -0,0 +1,540 @@
+/**
+ * Certificate Renderer
+ *
+ * Turns a CertificateTemplate.layoutJson into a landscape (or portrait) PDF
+ * with pdfkit and stores it on the Certificate row, so it survives the
+ * read-only container filesystem. Certificates are issued automatically
+ * whenever a Promotion is recorded and can be re-issued by staff.
+ *
+ * A layout is either the simple form the template editor starts from —
+ *
+ *   { "header": "Certificate of Achievement", "title": "[Student Name]",
+ *     "subtitle": "has been promoted to", "beltText": "[Belt Name]",
+ *     "footer": "Presented by [School Name]" }
+ *
+ * — laid out on the built-in design, or an explicit `elements` array of
+ * text / signature / logo / line blocks positioned in page fractions (0–1),
+ * so one layout works in either orientation. Text may use the placeholders
+ * [Student Name], [Belt Name], [Program], [School Name], [Date] and
+ * [Instructor]. Colours are hex or "primary"/"secondary" for the school's
+ * branding. Errors carry an HTTP `status` for the controller to surface.
+ *
+ * Every certificate carries a random verification code, printed as text and
+ * as a QR code linking to the public verify page. Layouts may place it with
+ * a `verification` element; otherwise it goes bottom-centre. Revoked
+ * certificates render with a REVOKED watermark.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { writeAudit } = require('../utils/audit');
+const { loadBranding, loadLogo, clean, toBuffer } = require('./billingPdf');
+const { localDate, startOfToday } = require('../utils/dates');
+const { TIME_ZONE_SELECT, schoolTimeZone } = require('./schoolTime');
+
+const ELEMENT_TYPES = ['text', 'signature', 'logo', 'line', 'verification'];
+
+// No 0/O or 1/I — codes get read aloud and typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const DEFAULT_VERIFICATION = { type: 'verification', x: 0.42, y: 0.79, width: 0.16 };
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  serif: 'Times-Roman',
+  'serif-bold': 'Times-Bold',
+  'serif-italic': 'Times-Italic',
+  script: 'Times-BoldItalic',
+};
+
+const PLACEHOLDERS = {
+  'student name': 'studentName',
+  student: 'studentName',
+  'belt name': 'beltName',
+  belt: 'beltName',
+  program: 'programName',
+  'program name': 'programName',
+  'school name': 'schoolName',
+  school: 'schoolName',
+  date: 'date',
+  instructor: 'instructorName',
+  'instructor name': 'instructorName',
+};
+
+// Returned to callers — the PDF bytes are only read by certificatePdf
+const CERTIFICATE_FIELDS = {
+  id: true,
+  templateId: true,
+  promotionId: true,
+  studentName: true,
+  beltName: true,
+  programName: true,
+  schoolName: true,
+  instructorName: true,
+  verificationCode: true,
+  revokedAt: true,
+  revokeReason: true,
+  awardedDate: true,
+  pdfUrl: true,
+  createdAt: true,
+};
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const isColor = (c) => typeof c === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(c);
+const fraction = (n, fallback) => (Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : fallback);
+// Certificate dates are calendar days (UTC midnight) — format them as such
+const fmtLongDate = (d) => new Date(d).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' });
+const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// ─── Verification codes ──────────────────────────────────
+
+/** A random code like "K7PM-Q2XD-9WHT" (60 bits). */
+function generateVerificationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = [...bytes].map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+}
+
+/** Canonical form of a typed or scanned code, or null if it can't be one. */
+function normalizeVerificationCode(input) {
+  const chars = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length === CODE_LENGTH ? chars.match(/.{4}/g).join('-') : null;
+}
+
+/** Public page that confirms a certificate — what the QR code points at. */
+function verificationUrl(code) {
+  return `${config.publicAppUrl}/public/verify/${code}`;
+}
+
+// ─── Layout ──────────────────────────────────────────────
+
+/**
+ * Parse and sanity-check a template layout (JSON string or object).
+ * Returns the raw layout object; throws a 400 if it can't be used.
+ */
+function parseLayout(layout) {
+  let raw = layout;
+  if (typeof raw === 'string') {
+    try {
+      raw = raw.trim() ? JSON.parse(raw) : {};
+    } catch {
+      throw httpError(400, 'Layout is not valid JSON');
+    }
+  }
+  if (raw == null) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw httpError(400, 'Layout must be a JSON object');
+
+  if (raw.elements !== undefined) {
+    if (!Array.isArray(raw.elements)) throw httpError(400, 'layout.elements must be an array');
+    for (const el of raw.elements) {
+      if (!ELEMENT_TYPES.includes(el?.type)) {
+        throw httpError(400, `Unknown layout element type "${el?.type}" (expected ${ELEMENT_TYPES.join(', ')})`);
+      }
+    }
+  }
+  return raw;
+}
+
+/** The built-in design, with text taken from the simple layout keys. */
+function defaultElements(l) {
+  return [
+    { type: 'logo', x: 0.4, y: 0.07, width: 0.2, height: 0.12 },
+    { type: 'text', text: l.header ?? 'Certificate of Achievement', y: 0.22, size: 16, font: 'bold', color: 'primary', uppercase: true, spacing: 3 },
+    { type: 'text', text: l.intro ?? 'This certifies that', y: 0.3, size: 13, font: 'serif-italic', color: '#555555' },
+    { type: 'text', text: l.title ?? '[Student Name]', y: 0.36, size: 36, font: 'serif-bold', color: 'primary' },
+    { type: 'line', x: 0.25, y: 0.47, width: 0.5, color: 'secondary' },
+    { type: 'text', text: l.subtitle ?? 'has been promoted to', y: 0.5, size: 13, font: 'serif-italic', color: '#555555' },
+    { type: 'text', text: l.beltText ?? '[Belt Name]', y: 0.56, size: 28, font: 'serif-bold', color: 'secondary' },
+    { type: 'text', text: l.programText ?? 'in [Program]', y: 0.65, size: 13, font: 'serif', color: '#333333' },
+    { type: 'text', text: l.footer ?? 'Presented by [School Name]', y: 0.7, size: 11, font: 'regular', color: '#555555' },
+    { type: 'signature', text: '[Date]', label: 'Date', x: 0.12, y: 0.8, width: 0.28, font: 'serif' },
+    { type: 'signature', text: '[Instructor]', label: l.signatureLabel ?? 'Instructor', x: 0.6, y: 0.8, width: 0.28 },
+  ];
+}
+
+/** Fill in defaults for page-level settings and elements. */
+function resolveLayout(raw) {
+  return {
+    orientation: raw.orientation === 'portrait' ? 'portrait' : 'landscape',
+    backgroundColor: isColor(raw.backgroundColor) ? raw.backgroundColor : '#fffdf7',
+    backgroundUrl: typeof raw.backgroundUrl === 'string' && raw.backgroundUrl ? raw.backgroundUrl : null,
+    border: raw.border !== false,
+    elements: raw.elements?.length ? raw.elements : defaultElements(raw),
+  };
+}
+
+/** Replace [Placeholder] tokens; unknown tokens are left as typed. */
+function fillPlaceholders(text, values) {
+  return String(text ?? '').replace(/\[([A-Za-z ]+)\]/g, (match, key) => {
+    const field = PLACEHOLDERS[key.trim().toLowerCase()];
+    return field ? (values[field] ?? '') : match;
+  });
+}
+
+// ─── Drawing ─────────────────────────────────────────────
+
+function colorFor(value, brand, fallback = '#222222') {
+  if (value === 'primary') return brand.primary;
+  if (value === 'secondary') return brand.secondary;
+  return isColor(value) ? value : fallback;
+}
+
+/** Single-line text, shrunk until it fits its box (long names). */
+function drawText(doc, el, text, box) {
+  let size = Number.isFinite(el.size) ? el.size : 14;
+  const characterSpacing = Number.isFinite(el.spacing) ? el.spacing : 0;
+  doc.font(FONTS[el.font] || FONTS.regular);
+  while (size > 8 && doc.fontSize(size).widthOfString(text, { characterSpacing }) > box.width) size -= 1;
+  doc.text(text, box.x, box.y, {
+    width: box.width,
+    align: ['left', 'right', 'center'].includes(el.align) ? el.align : 'center',
+    characterSpacing,
+    lineBreak: false,
+  });
+}
+
+function drawElement(doc, el, values, brand, qr) {
+  const { width: pageW, height: pageH } = doc.page;
+  const box = {
+    x: fraction(el.x, 0.08) * pageW,
+    y: fraction(el.y, 0.5) * pageH,
+    width: fraction(el.width, 0.84) * pageW,
+  };
+
+  if (el.type === 'text') {
+    let text = clean(fillPlaceholders(el.text, values));
+    if (el.uppercase) text = text.toUpperCase();
+    if (!text) return;
+    doc.fillColor(colorFor(el.color, brand));
+    drawText(doc, el, text, box);
+  } else if (el.type === 'signature') {
+    const signed = clean(fillPlaceholders(el.text ?? '[Instructor]', values));
+    doc.fillColor(colorFor(el.color, brand, '#1f2937'));
+    if (signed) drawText(doc, { size: 20, font: 'script', ...el, align: 'center' }, signed, box);
+    const lineY = box.y + 28;
+    doc.moveTo(box.x, lineY).lineTo(box.x + box.width, lineY).lineWidth(0.75).strokeColor('#555555').stroke();
+    doc.font(FONTS.regular).fontSize(9).fillColor('#666666')
+      .text(clean(fillPlaceholders(el.label ?? 'Instructor', values)), box.x, lineY + 5, { width: box.width, align: 'center', lineBreak: false });
+  } else if (el.type === 'logo') {
+    if (!brand.logo) return;
+    const height = fraction(el.height, 0.12) * pageH;
+    try {
+      doc.image(brand.logo, box.x, box.y, { fit: [box.width, height], align: 'center', valign: 'center' });
+    } catch (err) {
+      logger.warn(`[Certificates] Logo could not be drawn: ${err.message}`);
+    }
+  } else if (el.type === 'verification') {
+    if (!qr) return;
+    const size = Math.min(box.width, 64);
+    doc.image(qr, box.x + (box.width - size) / 2, box.y, { width: size });
+    const textY = box.y + size + 2;
+    doc.font(FONTS.bold).fontSize(7).fillColor('#444444')
+      .text(values.verificationCode, box.x - 40, textY, { width: box.width + 80, align: 'center', lineBreak: false });
+    doc.font(FONTS.regular).fontSize(6).fillColor('#777777')
+      .text(clean(`Verify at ${verificationUrl('').replace(/^https?:\/\//, '').replace(/\/$/, '')}`), box.x - 40, textY + 9, { width: box.width + 80, align: 'center', lineBreak: false });
+  } else if (el.type === 'line') {
+    doc.moveTo(box.x, box.y).lineTo(box.x + box.width, box.y)
+      .lineWidth(Number.isFinite(el.thickness) ? el.thickness : 1)
+      .strokeColor(colorFor(el.color, brand)).stroke();
+  }
+}
+
+/**
+ * Render a certificate PDF.
+ * @param {string|Object} layoutSource - CertificateTemplate.layoutJson or a parsed layout
+ * @param {Object} values - studentName, beltName, programName, schoolName, date, instructorName,
+ *   verificationCode and `revoked`
+ * @param {Object} brand - from billingPdf.loadBranding
+ * @returns {Promise<Buffer>}
+ */
+async function renderCertificatePdf(layoutSource, values, brand) {
+  const layout = resolveLayout(parseLayout(layoutSource));
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    layout: layout.orientation,
+    margin: 0,
+    info: { Title: clean(`Certificate - ${values.studentName} - ${values.beltName}`) },
+  });
+  const done = toBuffer(doc);
+  const { width, height } = doc.page;
+
+  doc.rect(0, 0, width, height).fill(layout.backgroundColor);
+  const background = await loadLogo(layout.backgroundUrl);
+  if (background) {
+    try {
+      doc.image(background, 0, 0, { cover: [width, height], align: 'center', valign: 'center' });
+    } catch (err) {
+      logger.warn(`[Certificates] Background could not be drawn: ${err.message}`);
+    }
+  }
+
+  if (layout.border) {
+    doc.rect(18, 18, width - 36, height - 36).lineWidth(6).strokeColor(brand.secondary).stroke();
+    doc.rect(30, 30, width - 60, height - 60).lineWidth(1).strokeColor(brand.primary).stroke();
+  }
+
+  const qr = values.verificationCode
+    ? await QRCode.toBuffer(verificationUrl(values.verificationCode), { type: 'png', margin: 1, width: 256, errorCorrectionLevel: 'M' })
+    : null;
+  const elements = layout.elements.some((el) => el.type === 'verification')
+    ? layout.elements
+    : [...layout.elements, DEFAULT_VERIFICATION];
+  for (const el of elements) drawElement(doc, el, values, brand, qr);
+
+  if (values.revoked) {
+    doc.save();
+    doc.rotate(-30, { origin: [width / 2, height / 2] });
+    doc.font(FONTS.bold).fontSize(96).fillColor('#dc2626').fillOpacity(0.25)
+      .text('REVOKED', 0, height / 2 - 48, { width, align: 'center', lineBreak: false });
+    doc.restore();
+  }
+
+  doc.end();
+  return done;
+}
+
+// ─── Issuing ─────────────────────────────────────────────
+
+/**
+ * The template to issue with: the one asked for, else the school's default,
+ * else the global default, else any school then global template. Schools
+ * with no templates at all get a global "Classic" template created on first
+ * use.
+ */
+async function resolveTemplate(schoolId, templateId) {
+  const visible = { OR: [{ schoolId }, { schoolId: null }] };
+  if (templateId) {
+    const template = await prisma.certificateTemplate.findFirst({ where: { id: templateId, ...visible } });
+    if (!template) throw httpError(404, 'Template not found');
+    return template;
+  }
+
+  const template = await prisma.certificateTemplate.findFirst({
+    where: visible,
+    orderBy: [{ isDefault: 'desc' }, { schoolId: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+  });
+  if (template) return template;
+
+  return prisma.certificateTemplate.create({
+    data: { name: 'Classic', description: 'Built-in certificate design', layoutJson: '{}', isDefault: true },
+  });
+}
+
+/** Values for a certificate's placeholders. */
+function certificateValues(certificate) {
+  return {
+    studentName: certificate.studentName,
+    beltName: certificate.beltName,
+    programName: certificate.programName,
+    schoolName: certificate.schoolName,
+    instructorName: certificate.instructorName || '',
+    date: fmtLongDate(certificate.awardedDate),
+    verificationCode: certificate.verificationCode,
+    revoked: !!certificate.revokedAt,
+  };
+}
+
+/**
+ * Issue a certificate for a promotion: snapshot the names, render the PDF
+ * and store it. Staff can issue more than one per promotion (e.g. with a
+ * different template).
+ * @param {string} promotionId
+ * @param {Object} [opts]
+ * @param {string} [opts.templateId] - defaults to the school's default template
+ * @returns {Promise<Object>} the Certificate, without its PDF bytes
+ */
+async function issueCertificate(promotionId, { templateId } = {}) {
+  const promotion = await prisma.promotion.findUnique({
+    where: { id: promotionId },
+    include: {
+      toBelt: { select: { name: true } },
+      promotedBy: { select: { firstName: true, lastName: true } },
+      enrollment: {
+        include: {
+          student: { select: { firstName: true, lastName: true } },
+          program: { select: { name: true } },
+          school: { select: { name: true, ...TIME_ZONE_SELECT } },
+        },
+      },
+    },
+  });
+  if (!promotion) throw httpError(404, 'Promotion not found');
+
+  const { enrollment } = promotion;
+  const template = await resolveTemplate(enrollment.schoolId, templateId);
+  const id = uuidv4();
+  const snapshot = {
+    studentName: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
+    beltName: promotion.toBelt.name,
+    programName: enrollment.program.name,
+    schoolName: enrollment.school.name,
+    instructorName: promotion.promotedBy ? `${promotion.promotedBy.firstName} ${promotion.promotedBy.lastName}` : null,
+    // The day of the promotion at the school
+    awardedDate: localDate(promotion.promotedAt, schoolTimeZone(enrollment.school)),
+    verificationCode: generateVerificationCode(),
+  };
+
+  const brand = await loadBranding(enrollment.schoolId);
+  const pdfData = await renderCertificatePdf(template.layoutJson, certificateValues(snapshot), brand);
+
+  const certificate = await prisma.certificate.create({
+    data: {
+      id,
+      templateId: template.id,
+      promotionId,
+      ...snapshot,
+      pdfUrl: `/api/certificates/${id}/pdf`,
+      pdfData,
+    },
+    select: CERTIFICATE_FIELDS,
+  });
+
+  logger.info(`[Certificates] Issued ${snapshot.beltName} certificate for ${snapshot.studentName} (${template.name})`);
+  return certificate;
+}
+
+/**
+ * Issue the certificate for a newly recorded promotion. Never throws — a
+ * rendering failure must not undo the promotion; staff can re-issue later.
+ */
+async function issueForPromotion(promotionId) {
+  try {
+    const existing = await prisma.certificate.findFirst({ where: { promotionId }, select: CERTIFICATE_FIELDS });
+    return existing || await issueCertificate(promotionId);
+  } catch (err) {
+    logger.error(`[Certificates] Could not issue certificate for promotion ${promotionId}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * The stored PDF for a certificate, re-rendered (and stored) if missing —
+ * revoking clears it so the watermark is added.
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+async function certificatePdf(certificateId) {
+  const certificate = await prisma.certificate.findUnique({
+    where: { id: certificateId },
+    include: {
+      template: { select: { layoutJson: true } },
+      promotion: { select: { enrollment: { select: { schoolId: true } } } },
+    },
+  });
+  if (!certificate) throw httpError(404, 'Certificate not found');
+
+  let buffer = certificate.pdfData ? Buffer.from(certificate.pdfData) : null;
+  if (!buffer) {
+    const brand = await loadBranding(certificate.promotion.enrollment.schoolId);
+    buffer = await renderCertificatePdf(certificate.template.layoutJson, certificateValues(certificate), brand);
+    await prisma.certificate.update({ where: { id: certificate.id }, data: { pdfData: buffer } });
+  }
+
+  return { buffer, filename: `certificate-${slug(certificate.studentName)}-${slug(certificate.beltName)}.pdf` };
+}
+
+/**
+ * Render a layout with sample values for the template editor's preview.
+ * @param {string} schoolId - branding to preview with
+ * @param {string|Object} layout
+ * @param {string} [instructorName]
+ * @returns {Promise<Buffer>}
+ */
+async function renderPreview(schoolId, layout, instructorName = 'Instructor Name') {
+  const brand = await loadBranding(schoolId);
+  if (!brand.school) throw httpError(404, 'School not found');
+  return renderCertificatePdf(layout, {
+    studentName: 'Alex Morgan',
+    beltName: 'Blue Belt',
+    programName: 'Brazilian Jiu-Jitsu',
+    schoolName: brand.school.name,
+    instructorName,
+    date: fmtLongDate(startOfToday(new Date(), schoolTimeZone(brand.school))),
+    verificationCode: 'XXXX-XXXX-XXXX',
+  }, brand);
+}
+
+/**
+ * Revoke a certificate and record it in the audit log. The stored PDF is
+ * dropped so the next download carries the REVOKED watermark.
+ * @returns {Promise<Object>} the updated Certificate, without its PDF bytes
+ */
+async function revokeCertificate(certificateId, { reason, performedBy, req }) {
+  return prisma.$transaction(async (tx) => {
+    const certificate = await tx.certificate.findUnique({ where: { id: certificateId }, select: CERTIFICATE_FIELDS });
+    if (!certificate) throw httpError(404, 'Certificate not found');
+    if (certificate.revokedAt) throw httpError(409, 'Certificate is already revoked');
+
+    const revoked = await tx.certificate.update({
+      where: { id: certificateId },
+      data: { revokedAt: new Date(), revokedById: performedBy, revokeReason: reason, pdfData: null },
+      select: CERTIFICATE_FIELDS,
+    });
+    await writeAudit(performedBy, 'CERTIFICATE_REVOKED', 'Certificate', certificateId, {
+      reason,
+      verificationCode: certificate.verificationCode,
+      studentName: certificate.studentName,
+      beltName: certificate.beltName,
+      programName: certificate.programName,
+      promotionId: certificate.promotionId,
+    }, req, tx);
+
+    logger.info(`[Certificates] Revoked ${certificate.verificationCode} (${certificate.studentName}, ${certificate.beltName})`);
+    return revoked;
+  });
+}
+
+/**
+ * What the public verify page shows for a code, or null if no certificate
+ * has it. Revoked certificates are reported as such, never hidden.
+ */
+async function verifyCertificate(code) {
+  const verificationCode = normalizeVerificationCode(code);
+  if (!verificationCode) return null;
+
+  const certificate = await prisma.certificate.findUnique({
+    where: { verificationCode },
+    select: {
+      studentName: true, beltName: true, programName: true, schoolName: true,
+      awardedDate: true, instructorName: true, revokedAt: true, verificationCode: true,
+    },
+  });
+  if (!certificate) return null;
+
+  return {
+    verificationCode: certificate.verificationCode,
+    status: certificate.revokedAt ? 'REVOKED' : 'VALID',
+    valid: !certificate.revokedAt,
+    holder: certificate.studentName,
+    belt: certificate.beltName,
+    program: certificate.programName,
+    school: certificate.schoolName,
+    instructor: certificate.instructorName,
+    issuedDate: certificate.awardedDate,
+    revokedAt: certificate.revokedAt,
+  };
+}
+
+module.exports = {
+  CERTIFICATE_FIELDS,
+  parseLayout,
+  renderCertificatePdf,
+  renderPreview,
+  resolveTemplate,
+  issueCertificate,
+  issueForPromotion,
+  certificatePdf,
+  revokeCertificate,
+  verifyCertificate,
+  normalizeVerificationCode,
+  verificationUrl,
+};
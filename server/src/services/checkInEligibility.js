@@ -0,0 +1,155 @@
+/**
+ * Check-In Eligibility Service
+ *
+ * Each school decides what a student must have in order to check in
+ * (CheckInPolicy). Every rule is BLOCK, WARN or IGNORE:
+ *
+ *   WAIVER           every required, active waiver template signed and unexpired
+ *   ENROLLMENT       an ACTIVE enrollment at the school
+ *   OVERDUE_INVOICE  no unpaid invoice more than overdueInvoiceDays past due
+ *                    (household invoices count for every member on them)
+ *   MEMBERSHIP       an active (or frozen) subscription with credits left
+ *
+ * A BLOCK refuses the check-in with reason NOT_ELIGIBLE and the failed
+ * rules; staff may check the student in anyway, which is audit-logged.
+ * A WARN lets the check-in through with a warning. Schools without a
+ * policy have every rule off.
+ */
+const prisma = require('../config/database');
+const { DAY_MS, startOfToday } = require('../utils/dates');
+const { getSchoolTimeZone } = require('./schoolTime');
+
+const RULE_ACTIONS = ['BLOCK', 'WARN', 'IGNORE'];
+
+/** Policy field for each rule. */
+const RULE_FIELDS = {
+  WAIVER: 'waiverRule',
+  ENROLLMENT: 'enrollmentRule',
+  OVERDUE_INVOICE: 'overdueInvoiceRule',
+  MEMBERSHIP: 'membershipRule',
+};
+
+const DEFAULT_POLICY = {
+  waiverRule: 'IGNORE',
+  enrollmentRule: 'IGNORE',
+  overdueInvoiceRule: 'IGNORE',
+  overdueInvoiceDays: 30,
+  membershipRule: 'IGNORE',
+};
+
+const httpError = (status, message, reason, extra = {}) => Object.assign(new Error(message), { status, reason, ...extra });
+
+/** A school's policy, or the all-off default. */
+async function getPolicy(schoolId, db = prisma) {
+  const policy = await db.checkInPolicy.findUnique({ where: { schoolId } });
+  return policy || { schoolId, ...DEFAULT_POLICY };
+}
+
+// ─── Rules ───────────────────────────────────────────────
+// Each returns a problem message, or null when the student passes.
+
+async function checkWaivers(db, { studentId, schoolId, now }) {
+  const templates = await db.waiverTemplate.findMany({
+    where: { schoolId, isActive: true, isRequired: true },
+    select: { id: true, title: true },
+  });
+  if (templates.length === 0) return null;
+
+  const signed = await db.waiver.findMany({
+    where: {
+      userId: studentId,
+      templateId: { in: templates.map((t) => t.id) },
+      status: 'SIGNED',
+      OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+    },
+    select: { templateId: true },
+  });
+  const have = new Set(signed.map((w) => w.templateId));
+  const missing = templates.filter((t) => !have.has(t.id)).map((t) => t.title);
+  return missing.length ? `No signed, current waiver: ${missing.join(', ')}` : null;
+}
+
+async function checkEnrollment(db, { studentId, schoolId }) {
+  const enrollment = await db.enrollment.findFirst({
+    where: { studentId, schoolId, status: 'ACTIVE' },
+    select: { id: true },
+  });
+  return enrollment ? null : 'No active enrollment at this school';
+}
+
+async function checkOverdueInvoices(db, { studentId, schoolId, now }, policy) {
+  const today = startOfToday(now, await getSchoolTimeZone(schoolId));
+  const cutoff = new Date(today.getTime() - policy.overdueInvoiceDays * DAY_MS);
+  const invoice = await db.invoice.findFirst({
+    where: {
+      schoolId,
+      status: { in: ['SENT', 'PAST_DUE'] },
+      dueDate: { lt: cutoff },
+      OR: [{ studentId }, { lines: { some: { studentId } } }],
+    },
+    orderBy: { dueDate: 'asc' },
+    select: { invoiceNumber: true, dueDate: true },
+  });
+  if (!invoice) return null;
+  const days = Math.floor((today - invoice.dueDate) / DAY_MS);
+  return `Invoice ${invoice.invoiceNumber} is ${days} days overdue`;
+}
+
+async function checkMembership(db, { studentId, schoolId }) {
+  const subscriptions = await db.subscription.findMany({
+    where: { studentId, schoolId, status: { in: ['ACTIVE', 'PAUSED'] } },
+    select: { creditsRemaining: true, plan: { select: { name: true } } },
+  });
+  if (subscriptions.length === 0) return 'No active membership';
+  // Unlimited plans have no balance
+  if (subscriptions.some((s) => s.creditsRemaining === null || s.creditsRemaining > 0)) return null;
+  return `No class credits left on ${subscriptions[0].plan.name}`;
+}
+
+const CHECKS = {
+  WAIVER: checkWaivers,
+  ENROLLMENT: checkEnrollment,
+  OVERDUE_INVOICE: checkOverdueInvoices,
+  MEMBERSHIP: checkMembership,
+};
+
+/**
+ * Run a school's check-in rules for a student.
+ * @param {Object} params
+ * @param {string} params.studentId
+ * @param {string} params.schoolId
+ * @param {Date} [params.now]
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<{ blocked: Array<{ rule: string, message: string }>, warnings: Array<{ rule: string, message: string }> }>}
+ */
+async function evaluateEligibility({ studentId, schoolId, now = new Date() }, db = prisma) {
+  const result = { blocked: [], warnings: [] };
+  if (!schoolId) return result;
+
+  const policy = await getPolicy(schoolId, db);
+  for (const [rule, field] of Object.entries(RULE_FIELDS)) {
+    const action = policy[field];
+    if (action === 'IGNORE') continue;
+    const message = await CHECKS[rule](db, { studentId, schoolId, now }, policy);
+    if (!message) continue;
+    (action === 'BLOCK' ? result.blocked : result.warnings).push({ rule, message });
+  }
+  return result;
+}
+
+/** The 403 for a check-in the policy blocks; `issues` lists the failed rules. */
+function notEligibleError(blocked, { canOverride = false } = {}) {
+  return httpError(403, `Can't check in: ${blocked.map((i) => i.message).join('; ')}`, 'NOT_ELIGIBLE', {
+    issues: blocked,
+    canOverride,
+  });
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  RULE_FIELDS,
+  DEFAULT_POLICY,
+  getPolicy,
+  evaluateEligibility,
+  notEligibleError,
+};
@@ -0,0 +1,75 @@
+/**
+ * Check-in QR Tokens
+ *
+ * The kiosk's QR code changes every QR_TOKEN_TTL_SECONDS. A token names the
+ * session and the time step it was issued in, signed with the server secret
+ * and the session's own qrCode:
+ *
+ *   <sessionId>.<step>.<signature>
+ *
+ * A token is accepted during its step and the one after (so a code scanned
+ * just before it rotates still works), which means a photo of the screen
+ * is useless a minute later and a token can't be reused for another session.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+
+const SIGNATURE_LENGTH = 22; // base64url chars — 128 bits
+
+const stepMs = () => config.qrTokenTtlSeconds * 1000;
+
+function sign(session, step) {
+  return crypto
+    .createHmac('sha256', config.jwtSecret)
+    .update(`${session.id}.${step}.${session.qrCode}`)
+    .digest('base64url')
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+const qrError = (message, reason) => Object.assign(new Error(message), { status: 400, reason });
+
+/**
+ * Issue the current token for a session.
+ * @param {{ id: string, qrCode: string }} session
+ * @returns {{ token: string, expiresAt: Date, refreshInSeconds: number }}
+ */
+function issueQrToken(session, now = new Date()) {
+  const step = Math.floor(now.getTime() / stepMs());
+  const rotatesAt = (step + 1) * stepMs();
+  return {
+    token: `${session.id}.${step}.${sign(session, step)}`,
+    expiresAt: new Date(rotatesAt + stepMs()),
+    refreshInSeconds: Math.max(1, Math.ceil((rotatesAt - now.getTime()) / 1000)),
+  };
+}
+
+/** The session ID a token claims to be for, or null if it isn't shaped like a token. */
+function qrTokenSessionId(token) {
+  const match = /^([0-9a-f-]{36})\.\d+\.[\w-]+$/i.exec(String(token || '').trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Throw (400, reason INVALID_QR / EXPIRED_QR) unless `token` is a live token
+ * for `session`.
+ */
+function verifyQrToken(token, session, now = new Date()) {
+  const [sessionId, stepText, signature] = String(token).trim().split('.');
+  const step = Number(stepText);
+  const expected = sign(session, step);
+  if (
+    sessionId !== session.id ||
+    !Number.isSafeInteger(step) ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw qrError('Invalid QR code', 'INVALID_QR');
+  }
+
+  const current = Math.floor(now.getTime() / stepMs());
+  if (step > current || step < current - 1) {
+    throw qrError('This QR code has expired — scan the code on the screen again', 'EXPIRED_QR');
+  }
+}
+
+module.exports = { issueQrToken, qrTokenSessionId, verifyQrToken };
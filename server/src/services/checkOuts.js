@@ -0,0 +1,184 @@
+/**
+ * Check-Out Service
+ *
+ * A check-in stays open until the student checks out — at the kiosk, by
+ * scanning the session QR code, through staff, or automatically (AUTO) at
+ * the session's end time once it's over. Checking out records the minutes
+ * on the mat and whether it was a full attendance: on the mat for at least
+ * FULL_ATTENDANCE_PERCENT of the class's scheduled time.
+ *
+ * Check-ins from before check-outs existed, and attendance staff record
+ * after a class has ended, have no check-out. They count as full
+ * (FULL_ATTENDANCE_WHERE) rather than being held against the student.
+ *
+ * Children also need a pickup confirmed by — or, through staff, on behalf
+ * of — a guardian (see familyCheckIn). Confirming a pickup checks the child
+ * out first if they're still on the mat.
+ */
+const prisma = require('../config/database');
+const config = require('../config');
+const { TIME_ZONE_SELECT, sessionStartsAt, sessionEndsAt } = require('./schoolTime');
+const { guardiansOfChildren } = require('./familyCheckIn');
+
+const MINUTE_MS = 60 * 1000;
+
+/** Check-ins that count as a full attendance — not known to be partial. */
+const FULL_ATTENDANCE_WHERE = { OR: [{ fullAttendance: true }, { fullAttendance: null }] };
+
+/** What check-outs need of a session: its times, in the school's zone. */
+const CHECK_OUT_SESSION_SELECT = {
+  id: true,
+  sessionDate: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  class: { select: { name: true, schoolId: true, school: { select: TIME_ZONE_SELECT } } },
+};
+
+const httpError = (status, message, reason) => Object.assign(new Error(message), { status, reason });
+
+/**
+ * Minutes on the mat, and whether that makes a full attendance, for a
+ * check-in closed at `checkedOutAt`. Only time within the class's
+ * scheduled hours counts toward a full attendance.
+ */
+function attendanceOf(session, checkedInAt, checkedOutAt) {
+  const start = sessionStartsAt(session);
+  const end = sessionEndsAt(session);
+  const scheduled = end - start;
+  const onMat = Math.min(checkedOutAt, end) - Math.max(checkedInAt, start);
+  return {
+    durationMinutes: Math.max(0, Math.round((checkedOutAt - checkedInAt) / MINUTE_MS)),
+    fullAttendance: scheduled <= 0 || onMat >= scheduled * (config.fullAttendancePercent / 100),
+  };
+}
+
+/**
+ * Close a check-in. Guarded by the open state, so two check-outs can't
+ * both win.
+ * @param {{ id: string, checkedInAt: Date }} checkIn
+ * @param {Object} session - selected with CHECK_OUT_SESSION_SELECT
+ * @param {Object} params
+ * @param {string} params.method - CheckOutMethod
+ * @param {string} [params.by] - the staff member or guardian who checked them out
+ * @param {Date} [params.at]
+ * @throws 409 ALREADY_CHECKED_OUT
+ */
+async function checkOut(checkIn, session, { method, by = null, at = new Date() }, db = prisma) {
+  const { count } = await db.checkIn.updateMany({
+    where: { id: checkIn.id, checkedOutAt: null },
+    data: {
+      checkedOutAt: at,
+      checkOutMethod: method,
+      checkedOutBy: by,
+      ...attendanceOf(session, checkIn.checkedInAt, at),
+    },
+  });
+  if (count === 0) throw httpError(409, 'Already checked out', 'ALREADY_CHECKED_OUT');
+  return db.checkIn.findUnique({ where: { id: checkIn.id } });
+}
+
+/**
+ * Check out everyone still on the mat when a session has ended, at its end
+ * time. Check-ins recorded after the end (staff catching up) stay open.
+ * @returns {Promise<number>} how many were checked out
+ */
+async function autoCheckOut(session) {
+  const end = sessionEndsAt(session);
+  const open = await prisma.checkIn.findMany({
+    where: { sessionId: session.id, checkedOutAt: null, checkedInAt: { lte: end } },
+    select: { id: true, checkedInAt: true },
+  });
+
+  let closed = 0;
+  for (const checkIn of open) {
+    try {
+      await checkOut(checkIn, session, { method: 'AUTO', at: end });
+      closed++;
+    } catch (error) {
+      if (error.reason !== 'ALREADY_CHECKED_OUT') throw error; // someone checked out meanwhile
+    }
+  }
+  return closed;
+}
+
+/**
+ * Confirm a guardian collected a child, checking the child out first if
+ * they're still on the mat.
+ * @param {{ id: string, checkedInAt: Date, checkedOutAt: Date|null }} checkIn
+ * @param {Object} session - selected with CHECK_OUT_SESSION_SELECT
+ * @param {Object} params
+ * @param {string} params.guardianId - who collected the child
+ * @param {string} params.method - CheckOutMethod, if the child is still checked in
+ * @param {string} [params.by] - who recorded it (staff, or the guardian at the kiosk)
+ * @throws 409 ALREADY_PICKED_UP
+ */
+async function confirmPickup(checkIn, session, { guardianId, method, by = null, at = new Date() }) {
+  if (!checkIn.checkedOutAt) {
+    try {
+      await checkOut(checkIn, session, { method, by, at });
+    } catch (error) {
+      if (error.reason !== 'ALREADY_CHECKED_OUT') throw error;
+    }
+  }
+  const { count } = await prisma.checkIn.updateMany({
+    where: { id: checkIn.id, pickedUpAt: null },
+    data: { pickedUpAt: at, pickedUpById: guardianId },
+  });
+  if (count === 0) throw httpError(409, 'Already picked up', 'ALREADY_PICKED_UP');
+  return prisma.checkIn.findUnique({ where: { id: checkIn.id } });
+}
+
+/**
+ * A session's live roster: who's on the mat now (with minutes so far),
+ * which children are waiting to be picked up (with their guardians), and
+ * who has left.
+ * @param {Object} session - selected with CHECK_OUT_SESSION_SELECT
+ * @returns {Promise<{ onMat: Object[], awaitingPickup: Object[], left: Object[] }>}
+ */
+async function sessionRoster(session, now = new Date()) {
+  const checkIns = await prisma.checkIn.findMany({
+    where: { sessionId: session.id },
+    select: {
+      id: true,
+      method: true,
+      checkedInAt: true,
+      checkedOutAt: true,
+      checkOutMethod: true,
+      durationMinutes: true,
+      fullAttendance: true,
+      pickedUpAt: true,
+      student: { select: { id: true, firstName: true, lastName: true } },
+      pickedUpBy: { select: { id: true, firstName: true, lastName: true } },
+    },
+    orderBy: { checkedInAt: 'asc' },
+  });
+  const guardians = await guardiansOfChildren(session.class.schoolId, checkIns.map((c) => c.student.id));
+  const ended = ['COMPLETED', 'CANCELLED'].includes(session.status) || sessionEndsAt(session) <= now;
+
+  const roster = { onMat: [], awaitingPickup: [], left: [] };
+  for (const checkIn of checkIns) {
+    const isChild = guardians.has(checkIn.student.id);
+    const onMat = !checkIn.checkedOutAt && !ended;
+    const entry = {
+      ...checkIn,
+      minutes: onMat ? Math.max(0, Math.round((now - checkIn.checkedInAt) / MINUTE_MS)) : checkIn.durationMinutes,
+      isChild,
+      ...(isChild && { guardians: guardians.get(checkIn.student.id) }),
+    };
+    if (onMat) roster.onMat.push(entry);
+    else if (isChild && !checkIn.pickedUpAt) roster.awaitingPickup.push(entry);
+    else roster.left.push(entry);
+  }
+  return roster;
+}
+
+module.exports = {
+  FULL_ATTENDANCE_WHERE,
+  CHECK_OUT_SESSION_SELECT,
+  attendanceOf,
+  checkOut,
+  autoCheckOut,
+  confirmPickup,
+  sessionRoster,
+};
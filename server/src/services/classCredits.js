@@ -0,0 +1,192 @@
+/**
+ * Class Credit Service
+ *
+ * Punch-card style plans (MembershipPlan.classCredits != null) give each
+ * Subscription a credit balance. Check-ins take one credit, removing a
+ * check-in gives it back, and the balance resets every billing cycle.
+ *
+ * Every balance change writes a ClassCreditTransaction so the ledger can be
+ * audited. Functions accept a Prisma client or transaction client (`db`) so
+ * callers can bundle the credit movement with the check-in write.
+ */
+const prisma = require('../config/database');
+
+/**
+ * Find the credit-based subscription to charge for a student at a school.
+ * Returns null when the student has no active punch-card plan (unlimited).
+ * When several exist, the one with the most credits left is used first.
+ */
+async function findCreditSubscription(db, studentId, schoolId) {
+  if (!schoolId) return null;
+  return db.subscription.findFirst({
+    where: {
+      studentId,
+      schoolId,
+      status: 'ACTIVE',
+      creditsRemaining: { not: null },
+    },
+    include: { plan: { select: { id: true, name: true, classCredits: true } } },
+    orderBy: [{ creditsRemaining: 'desc' }, { createdAt: 'asc' }],
+  });
+}
+
+/**
+ * Take one credit for a check-in.
+ *
+ * Throws a 402 error when the balance is exhausted, unless `allowOverdraw`
+ * is set (staff override), in which case the balance goes negative.
+ *
+ * @returns {Promise<Object|null>} credit summary, or null if the student is not on a credit plan
+ */
+async function consumeCredit(db, { studentId, schoolId, checkInId, performedById = null, allowOverdraw = false }) {
+  const sub = await findCreditSubscription(db, studentId, schoolId);
+  if (!sub) return null;
+
+  if (allowOverdraw) {
+    await db.subscription.update({
+      where: { id: sub.id },
+      data: { creditsRemaining: { decrement: 1 } },
+    });
+  } else {
+    // Conditional decrement guards against two concurrent check-ins spending the last credit
+    const result = await db.subscription.updateMany({
+      where: { id: sub.id, creditsRemaining: { gt: 0 } },
+      data: { creditsRemaining: { decrement: 1 } },
+    });
+    if (result.count === 0) {
+      throw Object.assign(new Error(`No class credits remaining on ${sub.plan.name}`), {
+        status: 402,
+        reason: 'NO_CREDITS',
+      });
+    }
+  }
+
+  const { creditsRemaining } = await db.subscription.findUnique({
+    where: { id: sub.id },
+    select: { creditsRemaining: true },
+  });
+
+  await db.classCreditTransaction.create({
+    data: {
+      subscriptionId: sub.id,
+      checkInId,
+      type: 'CHECK_IN',
+      change: -1,
+      balanceAfter: creditsRemaining,
+      note: creditsRemaining < 0 ? 'Staff override — no credits remaining' : null,
+      performedById,
+    },
+  });
+
+  return {
+    subscriptionId: sub.id,
+    planName: sub.plan.name,
+    remaining: creditsRemaining,
+    overdrawn: creditsRemaining < 0,
+  };
+}
+
+/**
+ * Give back the credit taken by a check-in. Must run before the check-in row
+ * is deleted (the ledger link is nulled on delete). Safe to call for check-ins
+ * that never consumed a credit.
+ */
+async function refundCreditForCheckIn(db, checkInId, performedById = null) {
+  const charge = await db.classCreditTransaction.findFirst({
+    where: { checkInId, type: 'CHECK_IN' },
+  });
+  if (!charge) return null;
+
+  const already = await db.classCreditTransaction.findFirst({
+    where: { checkInId, type: 'CHECK_IN_REFUND' },
+  });
+  if (already) return null;
+
+  const sub = await db.subscription.update({
+    where: { id: charge.subscriptionId },
+    data: { creditsRemaining: { increment: 1 } },
+    select: { id: true, creditsRemaining: true },
+  });
+
+  await db.classCreditTransaction.create({
+    data: {
+      subscriptionId: sub.id,
+      checkInId,
+      type: 'CHECK_IN_REFUND',
+      change: 1,
+      balanceAfter: sub.creditsRemaining,
+      note: 'Check-in removed',
+      performedById,
+    },
+  });
+
+  return { subscriptionId: sub.id, remaining: sub.creditsRemaining };
+}
+
+/**
+ * Reset a subscription's balance to the plan allowance (start of a billing
+ * cycle, new subscription, or plan change). Plans without classCredits clear
+ * the balance back to unlimited.
+ */
+async function resetCredits(db, subscriptionId, classCredits, { note = null, performedById = null } = {}) {
+  const sub = await db.subscription.findUnique({
+    where: { id: subscriptionId },
+    select: { creditsRemaining: true },
+  });
+  if (!sub) return null;
+
+  const allowance = classCredits ?? null;
+  await db.subscription.update({
+    where: { id: subscriptionId },
+    data: { creditsRemaining: allowance },
+  });
+
+  if (allowance === null) return null;
+
+  await db.classCreditTransaction.create({
+    data: {
+      subscriptionId,
+      type: 'CYCLE_RESET',
+      change: allowance - (sub.creditsRemaining ?? 0),
+      balanceAfter: allowance,
+      note,
+      performedById,
+    },
+  });
+
+  return { subscriptionId, remaining: allowance };
+}
+
+/**
+ * Manually add or remove credits (staff correction).
+ */
+async function adjustCredits(subscriptionId, change, { note = null, performedById = null } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const sub = await tx.subscription.update({
+      where: { id: subscriptionId },
+      data: { creditsRemaining: { increment: change } },
+      select: { id: true, creditsRemaining: true },
+    });
+
+    await tx.classCreditTransaction.create({
+      data: {
+        subscriptionId,
+        type: 'ADJUSTMENT',
+        change,
+        balanceAfter: sub.creditsRemaining,
+        note,
+        performedById,
+      },
+    });
+
+    return { subscriptionId, remaining: sub.creditsRemaining };
+  });
+}
+
+module.exports = {
+  findCreditSubscription,
+  consumeCredit,
+  refundCreditForCheckIn,
+  resetCredits,
+  adjustCredits,
+};
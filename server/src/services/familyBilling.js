@@ -0,0 +1,115 @@
+/**
+ * Family Billing Service
+ *
+ * Households with consolidatedBilling on get one invoice per billing run,
+ * addressed to their PRIMARY member, with a line per member subscription.
+ * Sibling discounts come from PaymentConfig.siblingDiscounts — percentages
+ * for the 2nd, 3rd… member, the last value repeating — e.g. [10, 20] gives
+ * 10% off the second member and 20% off the third and beyond. Members are
+ * ranked by their most expensive active plan, so the full price is always
+ * paid on the priciest membership.
+ *
+ * Payments on a household invoice are allocated across members in
+ * proportion to their lines, so each member's statement balances.
+ */
+const prisma = require('../config/database');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Discount percentage for the member at `position` (0 = full price). */
+function siblingDiscountFor(discounts, position) {
+  if (position <= 0 || !discounts?.length) return 0;
+  return discounts[Math.min(position, discounts.length) - 1] || 0;
+}
+
+/**
+ * Rank family members for sibling discounts: most expensive active plan
+ * first, earliest subscriber breaking ties. Returns Map<studentId, position>.
+ */
+function rankMembers(subscriptions) {
+  const best = new Map();
+  for (const sub of subscriptions) {
+    const current = best.get(sub.studentId);
+    if (!current || sub.plan.price > current.price
+      || (sub.plan.price === current.price && sub.createdAt < current.createdAt)) {
+      best.set(sub.studentId, { price: sub.plan.price, createdAt: sub.createdAt });
+    }
+  }
+  const ordered = [...best.entries()].sort(([, a], [, b]) => b.price - a.price || a.createdAt - b.createdAt);
+  return new Map(ordered.map(([studentId], i) => [studentId, i]));
+}
+
+/**
+ * Consolidated-billing households at a school for the given students.
+ * Families without a PRIMARY member are left out — their members are
+ * invoiced individually. Returns Map<studentId, family>.
+ */
+async function findBillingFamilies(schoolId, studentIds) {
+  const families = await prisma.family.findMany({
+    where: {
+      schoolId,
+      isActive: true,
+      consolidatedBilling: true,
+      members: { some: { userId: { in: studentIds } } },
+    },
+    include: {
+      members: {
+        include: { user: { select: { id: true, firstName: true, lastName: true } } },
+      },
+    },
+  });
+
+  const byStudent = new Map();
+  for (const family of families) {
+    if (!family.members.some((m) => m.familyRole === 'PRIMARY')) continue;
+    for (const m of family.members) {
+      if (!byStudent.has(m.userId)) byStudent.set(m.userId, family);
+    }
+  }
+  return byStudent;
+}
+
+/**
+ * Each member's share of a household invoice, from their net line totals.
+ * Members whose lines net to a credit carry no share. Returns
+ * [[studentId, fraction]] sorted largest first.
+ */
+function memberShares(lines) {
+  const byMember = new Map();
+  for (const line of lines) byMember.set(line.studentId, (byMember.get(line.studentId) || 0) + line.amount);
+  const positive = [...byMember.entries()].filter(([, amount]) => amount > 0);
+  const total = positive.reduce((sum, [, amount]) => sum + amount, 0);
+  if (total <= 0) return [];
+  return positive
+    .sort(([, a], [, b]) => b - a)
+    .map(([studentId, amount]) => [studentId, amount / total]);
+}
+
+/**
+ * Split a payment on a household invoice across its members. No-op for
+ * ordinary invoices. Rounding pennies land on the largest share.
+ */
+async function allocatePayment(db, payment) {
+  const lines = await db.invoiceLine.findMany({ where: { invoiceId: payment.invoiceId } });
+  const shares = memberShares(lines);
+  if (shares.length === 0) return [];
+
+  const allocations = shares.map(([studentId, fraction]) => ({
+    paymentId: payment.id,
+    studentId,
+    amount: round2(payment.amount * fraction),
+  }));
+  const drift = round2(payment.amount - allocations.reduce((sum, a) => sum + a.amount, 0));
+  allocations[0].amount = round2(allocations[0].amount + drift);
+
+  await db.paymentAllocation.createMany({ data: allocations });
+  return allocations;
+}
+
+module.exports = {
+  siblingDiscountFor,
+  rankMembers,
+  findBillingFamilies,
+  memberShares,
+  allocatePayment,
+};
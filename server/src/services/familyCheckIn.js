@@ -0,0 +1,104 @@
+/**
+ * Family Check-In Service
+ *
+ * A guardian (a PRIMARY or SECONDARY family member) identifies once at the
+ * kiosk with their own PIN or card and checks the family in. Their family
+ * at the kiosk's school is every member of their active families there who
+ * is actively enrolled at the school — the guardian too, if they train.
+ *
+ * Each member is offered today's open sessions, except classes linked to a
+ * program the member isn't enrolled in. The same rule decides which
+ * check-ins the kiosk accepts for them.
+ *
+ * CHILD members also have to be picked up: a guardian confirms it at the
+ * kiosk, or staff record which guardian collected them.
+ */
+const prisma = require('../config/database');
+
+const GUARDIAN_ROLES = ['PRIMARY', 'SECONDARY'];
+
+/**
+ * The family a guardian can check in at a school, or null if they aren't
+ * a guardian in an active family there.
+ * @param {string} schoolId
+ * @param {string} guardianId
+ * @returns {Promise<{ families: Array<{ id: string, name: string }>, members: Map<string, Object> }|null>}
+ *   members by user ID: { id, firstName, lastName, familyRole, programIds }
+ */
+async function findGuardianFamily(schoolId, guardianId) {
+  const families = await prisma.family.findMany({
+    where: {
+      schoolId,
+      isActive: true,
+      members: { some: { userId: guardianId, familyRole: { in: GUARDIAN_ROLES } } },
+    },
+    select: {
+      id: true,
+      name: true,
+      members: {
+        where: { user: { isActive: true, enrollments: { some: { schoolId, status: 'ACTIVE' } } } },
+        select: {
+          familyRole: true,
+          user: { select: { id: true, firstName: true, lastName: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+  if (families.length === 0) return null;
+
+  const members = new Map();
+  for (const family of families) {
+    for (const { familyRole, user } of family.members) {
+      if (!members.has(user.id)) members.set(user.id, { ...user, familyRole, programIds: [] });
+    }
+  }
+
+  const programs = await prisma.programEnrollment.findMany({
+    where: { schoolId, studentId: { in: [...members.keys()] } },
+    select: { studentId: true, programId: true },
+  });
+  for (const { studentId, programId } of programs) members.get(studentId).programIds.push(programId);
+
+  return { families: families.map(({ id, name }) => ({ id, name })), members };
+}
+
+/** Whether a family member may take a session's class (needs `class.programId`). */
+function canAttend(member, session) {
+  return !session.class.programId || member.programIds.includes(session.class.programId);
+}
+
+/**
+ * The guardians of whichever of these students are children in an active
+ * family at the school — the students who need a pickup confirmed.
+ * @returns {Promise<Map<string, Array<{ id: string, firstName: string, lastName: string }>>>}
+ *   guardians by child ID
+ */
+async function guardiansOfChildren(schoolId, studentIds) {
+  const childOf = await prisma.familyMember.findMany({
+    where: { userId: { in: studentIds }, familyRole: 'CHILD', family: { schoolId, isActive: true } },
+    select: {
+      userId: true,
+      family: {
+        select: {
+          members: {
+            where: { familyRole: { in: GUARDIAN_ROLES } },
+            select: { user: { select: { id: true, firstName: true, lastName: true } } },
+          },
+        },
+      },
+    },
+  });
+
+  const guardians = new Map();
+  for (const { userId, family } of childOf) {
+    const list = guardians.get(userId) || [];
+    for (const { user } of family.members) {
+      if (!list.some((g) => g.id === user.id)) list.push(user);
+    }
+    guardians.set(userId, list);
+  }
+  return guardians;
+}
+
+module.exports = { GUARDIAN_ROLES, findGuardianFamily, canAttend, guardiansOfChildren };
@@ -0,0 +1,235 @@
+/**
+ * Instructor Coverage Service
+ *
+ * Who actually teaches a session. A Class has one regular instructor; a
+ * ClassSession can override it with a substitute (session.instructorId).
+ * Everything that credits an instructor — payroll, attendance metrics,
+ * conflict checks — goes through effectiveInstructorId() (scheduleConflicts).
+ *
+ * Instructors record weekly availability windows and time off. Neither
+ * blocks an assignment; clashes come back as warnings so the owner decides.
+ * Only a double-booking blocks a direct assignment, and owners can override.
+ *
+ * Substitute requests:
+ *
+ *   OPEN ──named sub or any school instructor accepts──▶ ACCEPTED (override set)
+ *     │  └──named sub declines──▶ DECLINED
+ *     └──requester/owner withdraws──▶ CANCELLED
+ */
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { sendNotification } = require('./notificationService');
+const { effectiveInstructorId, slotConflicts, assertNoConflicts } = require('./scheduleConflicts');
+const { TIME_ZONE_SELECT, sessionEndsAt } = require('./schoolTime');
+
+const TEACHING_ROLES = ['INSTRUCTOR', 'OWNER'];
+
+const httpError = (status, message, reason) => Object.assign(new Error(message), { status, reason });
+
+const fmtDate = (d) => new Date(d).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+
+function sessionLabel(session) {
+  return `${session.class.name} on ${fmtDate(session.sessionDate)} at ${session.startTime}`;
+}
+
+// ─── Assignment ──────────────────────────────────────────
+
+const SESSION_SELECT = {
+  id: true,
+  sessionDate: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  instructorId: true,
+  class: { select: { id: true, name: true, schoolId: true, instructorId: true, school: { select: TIME_ZONE_SELECT } } },
+};
+
+/** Someone who can teach at the school, or a 400. */
+async function requireSchoolInstructor(userId, schoolId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, role: true, schoolId: true, isActive: true, firstName: true, lastName: true },
+  });
+  if (!user || !user.isActive || !TEACHING_ROLES.includes(user.role) || user.schoolId !== schoolId) {
+    throw httpError(400, 'Substitute must be an active instructor at this school', 'NOT_SCHOOL_INSTRUCTOR');
+  }
+  return user;
+}
+
+function requireUpcoming(session, now = new Date()) {
+  if (session.status === 'CANCELLED') throw httpError(400, 'Session is cancelled');
+  if (sessionEndsAt(session) <= now) throw httpError(400, 'Session has already ended');
+}
+
+/**
+ * Set who teaches a session. Passing the class's own instructor (or null)
+ * clears the override. A double-booking blocks unless `overrideConflicts`;
+ * everything found comes back as warnings.
+ * @param {Object} session - ClassSession with SESSION_SELECT fields
+ */
+async function assignInstructor(session, instructorId, { notify = true, overrideConflicts = false } = {}) {
+  requireUpcoming(session);
+  const regular = session.class.instructorId;
+  const override = instructorId && instructorId !== regular ? instructorId : null;
+  if (override) await requireSchoolInstructor(override, session.class.schoolId);
+
+  const previous = effectiveInstructorId(session);
+  const current = override || regular;
+  const warnings = await slotConflicts({
+    sessionId: session.id,
+    sessionDate: session.sessionDate,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    instructorId: current,
+  }, { schoolId: session.class.schoolId });
+  assertNoConflicts(warnings, overrideConflicts);
+
+  const updated = await prisma.classSession.update({
+    where: { id: session.id },
+    data: { instructorId: override },
+    select: { ...SESSION_SELECT, instructor: { select: { id: true, firstName: true, lastName: true } } },
+  });
+
+  if (notify && current !== previous) {
+    const label = sessionLabel(session);
+    const notes = [
+      { userId: current, body: `📋 You're now teaching ${label}` },
+      { userId: previous, body: `📋 You're no longer teaching ${label} — someone else is covering` },
+    ];
+    for (const n of notes.filter((x) => x.userId)) {
+      await sendNotification({
+        userId: n.userId,
+        schoolId: session.class.schoolId,
+        type: 'CLASS_CHANGE',
+        channel: 'IN_APP',
+        vars: { body: n.body },
+        metadata: { sessionId: session.id },
+      });
+    }
+  }
+
+  return { session: updated, warnings };
+}
+
+// ─── Substitute requests ─────────────────────────────────
+
+async function notifyRequest(request, session, type, recipients, body) {
+  for (const userId of recipients) {
+    const base = {
+      userId,
+      schoolId: session.class.schoolId,
+      type,
+      metadata: { substituteRequestId: request.id, sessionId: session.id },
+    };
+    await sendNotification({ ...base, channel: 'IN_APP', vars: { body: `🔁 ${body}` } });
+    await sendNotification({ ...base, channel: 'EMAIL', vars: { subject: body, body: `Hi {{firstName}}, ${body}.` } });
+  }
+}
+
+/**
+ * Ask for cover for a session. With `substituteId` only that instructor is
+ * asked; otherwise every other instructor at the school is.
+ */
+async function requestSubstitute({ session, requestedById, substituteId = null, reason = null }) {
+  requireUpcoming(session);
+  const original = effectiveInstructorId(session);
+  const { schoolId } = session.class;
+
+  if (substituteId) {
+    if (substituteId === original) throw httpError(400, 'Substitute is already teaching this session');
+    await requireSchoolInstructor(substituteId, schoolId);
+  }
+
+  const pending = await prisma.substituteRequest.findFirst({ where: { sessionId: session.id, status: 'OPEN' } });
+  if (pending) throw httpError(409, 'This session already has an open substitute request');
+
+  const request = await prisma.substituteRequest.create({
+    data: { sessionId: session.id, requestedById, originalInstructorId: original, substituteId, reason },
+  });
+
+  const recipients = substituteId
+    ? [substituteId]
+    : (await prisma.user.findMany({
+      where: { schoolId, role: { in: TEACHING_ROLES }, isActive: true, id: { not: original } },
+      select: { id: true },
+    })).map((u) => u.id);
+
+  await notifyRequest(request, session, 'SUBSTITUTE_REQUESTED', recipients,
+    `Cover needed for ${sessionLabel(session)}${reason ? ` — ${reason}` : ''}`);
+  logger.info(`[Coverage] Substitute requested for session ${session.id} (${recipients.length} asked)`);
+  return { ...request, asked: recipients.length };
+}
+
+/** Claim an OPEN request, guarding against two instructors accepting at once. */
+async function respond(request, status, data) {
+  const { count } = await prisma.substituteRequest.updateMany({
+    where: { id: request.id, status: 'OPEN' },
+    data: { status, respondedAt: new Date(), ...data },
+  });
+  if (count === 0) throw httpError(409, 'This request has already been answered');
+}
+
+/**
+ * Accept a request: the accepting instructor becomes the session's
+ * substitute. Returns their conflict warnings.
+ * @param {Object} request - SubstituteRequest with `session` (SESSION_SELECT)
+ */
+async function acceptRequest(request, userId) {
+  const { session } = request;
+  if (request.status !== 'OPEN') throw httpError(400, 'This request is no longer open');
+  if (request.substituteId && request.substituteId !== userId) {
+    throw httpError(403, 'This request was sent to another instructor');
+  }
+  if (userId === request.originalInstructorId) throw httpError(400, "You can't cover your own session");
+  requireUpcoming(session);
+  await requireSchoolInstructor(userId, session.class.schoolId);
+
+  await respond(request, 'ACCEPTED', { substituteId: userId });
+  // They volunteered — report clashes rather than refuse
+  const { session: updated, warnings } = await assignInstructor(session, userId, { notify: false, overrideConflicts: true });
+
+  const sub = await prisma.user.findUnique({ where: { id: userId }, select: { firstName: true, lastName: true } });
+  await notifyRequest(request, session, 'SUBSTITUTE_ACCEPTED',
+    [...new Set([request.requestedById, request.originalInstructorId])].filter((id) => id !== userId),
+    `${sub.firstName} ${sub.lastName} will cover ${sessionLabel(session)}`);
+  await sendNotification({
+    userId,
+    schoolId: session.class.schoolId,
+    type: 'CLASS_CHANGE',
+    channel: 'IN_APP',
+    vars: { body: `📋 You're now teaching ${sessionLabel(session)}` },
+    metadata: { sessionId: session.id, substituteRequestId: request.id },
+  });
+
+  return { ...request, status: 'ACCEPTED', substituteId: userId, session: updated, warnings };
+}
+
+/** The named substitute turns a request down. */
+async function declineRequest(request, userId) {
+  if (request.status !== 'OPEN') throw httpError(400, 'This request is no longer open');
+  if (!request.substituteId) throw httpError(400, 'Open requests to the whole school can only be accepted or withdrawn');
+  if (request.substituteId !== userId) throw httpError(403, 'This request was sent to another instructor');
+
+  await respond(request, 'DECLINED', {});
+  const sub = await prisma.user.findUnique({ where: { id: userId }, select: { firstName: true, lastName: true } });
+  await notifyRequest(request, request.session, 'SUBSTITUTE_DECLINED', [request.requestedById],
+    `${sub.firstName} ${sub.lastName} can't cover ${sessionLabel(request.session)}`);
+  return { ...request, status: 'DECLINED' };
+}
+
+/** Withdraw an OPEN request. */
+async function cancelRequest(request) {
+  if (request.status !== 'OPEN') throw httpError(400, 'This request is no longer open');
+  await respond(request, 'CANCELLED', {});
+  return { ...request, status: 'CANCELLED' };
+}
+
+module.exports = {
+  SESSION_SELECT,
+  effectiveInstructorId,
+  assignInstructor,
+  requestSubstitute,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
+};
@@ -0,0 +1,176 @@
+/**
+ * Kiosk Device Service
+ *
+ * A kiosk is a tablet paired with one school. Staff pair it once and the
+ * tablet keeps the returned device token; every kiosk request sends it as
+ * X-Kiosk-Token, and the kiosk only ever sees its own school's sessions.
+ * Like calendar feed tokens, only the token's hash is stored.
+ *
+ * Students identify themselves at the kiosk with a member credential for
+ * that school:
+ *
+ *   PIN   6 digits, issued by the server and shown once. Stored as an HMAC
+ *         keyed with the server secret so it can be looked up (it is unique
+ *         within the school) without being readable.
+ *   Card  a random code printed as a QR barcode on the member card.
+ *         Reissuing a card makes the old one stop working.
+ *
+ * A wrong PIN or card gets the same answer whether or not anyone has it,
+ * so the kiosk never reveals who is a member.
+ *
+ * A kiosk that queues check-ins offline seals each PIN or card code with
+ * its offline key (AES-256-GCM) before storing it, so the tablet never
+ * holds a readable credential. The key is derived from the server secret
+ * and the device, and the kiosk keeps it as a non-extractable WebCrypto key.
+ */
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const config = require('../config');
+
+const PIN_LENGTH = 6;
+const PIN_ATTEMPTS = 10; // retries when a fresh PIN collides with another member's
+const CARD_PREFIX = 'FM';
+const CARD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I — easy to type
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPin = (schoolId, pin) => crypto
+  .createHmac('sha256', config.jwtSecret)
+  .update(`${schoolId}:${pin}`)
+  .digest('hex');
+
+/** The key a kiosk seals queued credentials with — derived, never stored. */
+const offlineKey = (deviceId) => crypto
+  .createHmac('sha256', config.jwtSecret)
+  .update(`kiosk-offline:${deviceId}`)
+  .digest();
+
+const GCM_TAG_BYTES = 16;
+
+function randomPin() {
+  return String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+}
+
+function randomCardCode() {
+  const bytes = crypto.randomBytes(10);
+  return CARD_PREFIX + [...bytes].map((b) => CARD_ALPHABET[b % CARD_ALPHABET.length]).join('');
+}
+
+// ─── Devices ─────────────────────────────────────────────
+
+/**
+ * Pair a new kiosk with a school. The token is returned once.
+ * @returns {Promise<{ device: Object, token: string }>}
+ */
+async function pairDevice({ schoolId, name, pairedById }) {
+  const token = `kiosk_${crypto.randomBytes(24).toString('base64url')}`;
+  const device = await prisma.kioskDevice.create({
+    data: { schoolId, name, pairedById, tokenHash: hashToken(token) },
+  });
+  return { device, token };
+}
+
+/**
+ * The live device behind a token, or null. Records when and from where it
+ * was last seen.
+ */
+async function findDevice(token, ip) {
+  if (!token) return null;
+  const device = await prisma.kioskDevice.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { school: { select: { id: true, name: true, isActive: true, timezone: true } } },
+  });
+  if (!device || device.revokedAt || !device.school.isActive) return null;
+
+  await prisma.kioskDevice.update({
+    where: { id: device.id },
+    data: { lastSeenAt: new Date(), lastIp: ip || null },
+  });
+  return device;
+}
+
+// ─── Member credentials ──────────────────────────────────
+
+/**
+ * Give a student a new kiosk PIN at a school, replacing any old one.
+ * @returns {Promise<string>} the PIN — it can't be retrieved later
+ */
+async function issuePin(studentId, schoolId) {
+  for (let attempt = 0; attempt < PIN_ATTEMPTS; attempt += 1) {
+    const pin = randomPin();
+    const pinHash = hashPin(schoolId, pin);
+    try {
+      await prisma.memberCredential.upsert({
+        where: { studentId_schoolId: { studentId, schoolId } },
+        create: { studentId, schoolId, pinHash },
+        update: { pinHash },
+      });
+      return pin;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error; // someone else at the school has it — draw again
+    }
+  }
+  throw Object.assign(new Error('Could not issue a unique PIN — try again'), { status: 503 });
+}
+
+/**
+ * Give a student a new member card code at a school, replacing any old card.
+ * @returns {Promise<string>} the card code
+ */
+async function issueCard(studentId, schoolId) {
+  const cardCode = randomCardCode();
+  await prisma.memberCredential.upsert({
+    where: { studentId_schoolId: { studentId, schoolId } },
+    create: { studentId, schoolId, cardCode },
+    update: { cardCode },
+  });
+  return cardCode;
+}
+
+/**
+ * The student a PIN or card code belongs to at a school, or null.
+ * @param {string} schoolId
+ * @param {{ pin?: string, cardCode?: string }} credential
+ */
+async function findMember(schoolId, { pin, cardCode }) {
+  const where = cardCode
+    ? { cardCode: String(cardCode).trim().toUpperCase(), schoolId }
+    : { schoolId, pinHash: hashPin(schoolId, String(pin)) };
+  const credential = await prisma.memberCredential.findFirst({
+    where,
+    include: { student: { select: { id: true, firstName: true, lastName: true, isActive: true } } },
+  });
+  return credential?.student?.isActive ? credential.student : null;
+}
+
+/**
+ * Open a credential a kiosk sealed while offline: `{ iv, data }` in base64url,
+ * `data` being the ciphertext followed by the GCM tag, as WebCrypto returns it.
+ * @returns {{ pin?: string, cardCode?: string }|null} null if it doesn't open
+ */
+function openSealedCredential(deviceId, { iv, data }) {
+  try {
+    const sealed = Buffer.from(data, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', offlineKey(deviceId), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(sealed.subarray(sealed.length - GCM_TAG_BYTES));
+    const plain = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - GCM_TAG_BYTES)), decipher.final()]);
+    const { pin, cardCode } = JSON.parse(plain.toString('utf8'));
+    if (pin) return { pin: String(pin) };
+    if (cardCode) return { cardCode: String(cardCode) };
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  PIN_LENGTH,
+  hashToken,
+  offlineKey,
+  openSealedCredential,
+  pairDevice,
+  findDevice,
+  issuePin,
+  issueCard,
+  findMember,
+};
@@ -0,0 +1,63 @@
+/**
+ * Member Card Renderer
+ *
+ * A wallet-sized PDF (3.375" × 2.125") in the school's colours with the
+ * student's name and their card code as a QR barcode, for scanning at the
+ * school's kiosk. Print it, or show it on a phone.
+ */
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const logger = require('../utils/logger');
+const { loadBranding, clean, toBuffer } = require('./billingPdf');
+
+const CARD_WIDTH = 243;
+const CARD_HEIGHT = 153;
+const BAND_HEIGHT = 38;
+const QR_SIZE = 84;
+
+/**
+ * @param {Object} params
+ * @param {{ firstName: string, lastName: string }} params.student
+ * @param {string} params.schoolId
+ * @param {string} params.cardCode
+ * @returns {Promise<Buffer>}
+ */
+async function renderMemberCard({ student, schoolId, cardCode }) {
+  const brand = await loadBranding(schoolId);
+  const name = `${student.firstName} ${student.lastName}`;
+  const doc = new PDFDocument({ size: [CARD_WIDTH, CARD_HEIGHT], margin: 0, info: { Title: clean(`Member card - ${name}`) } });
+  const done = toBuffer(doc);
+
+  doc.rect(0, 0, CARD_WIDTH, BAND_HEIGHT).fill(brand.primary);
+  doc.rect(0, BAND_HEIGHT, CARD_WIDTH, 3).fill(brand.secondary);
+
+  let textX = 12;
+  if (brand.logo) {
+    try {
+      doc.image(brand.logo, 10, 6, { fit: [40, 26] });
+      textX = 56;
+    } catch (err) {
+      logger.warn(`[MemberCard] Logo could not be drawn: ${err.message}`);
+    }
+  }
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(11)
+    .text(clean(brand.school?.name || 'Member'), textX, 13, { width: CARD_WIDTH - textX - 10, height: 14, ellipsis: true });
+
+  const qr = await QRCode.toBuffer(cardCode, { type: 'png', margin: 0, width: 256, errorCorrectionLevel: 'M' });
+  const qrX = CARD_WIDTH - QR_SIZE - 12;
+  const qrY = BAND_HEIGHT + 14;
+  doc.image(qr, qrX, qrY, { width: QR_SIZE, height: QR_SIZE });
+
+  const leftWidth = qrX - 24;
+  doc.fillColor('#222222').font('Helvetica-Bold').fontSize(12).text(clean(name), 12, BAND_HEIGHT + 18, { width: leftWidth });
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text('MEMBER CARD', 12, doc.y + 4, { width: leftWidth, characterSpacing: 1 });
+  doc.font('Courier').fontSize(8).fillColor('#222222').text(cardCode, 12, qrY + QR_SIZE - 8, { width: leftWidth });
+  doc.font('Helvetica').fontSize(6).fillColor('#666666')
+    .text('Scan at the front-desk kiosk to check in', 12, CARD_HEIGHT - 12, { width: CARD_WIDTH - 24 });
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderMemberCard };
@@ -3,8 +3,11 @@
  * Handles sending notifications via EMAIL, SMS, and IN_APP channels.
  * Uses placeholder transports (mock) — swap in SendGrid/Twilio later.
  */
+const { Prisma } = require('@prisma/client');
 const prisma = require('../config/database');
 const logger = require('../utils/logger'); // EA Standard: Structured logging
+const { DAY_MS, startOfToday, zonedParts } = require('../utils/dates');
+const { schoolTimeZone } = require('./schoolTime');
 
 // ─── Template variable replacer ──────────────────────────
 function interpolate(template, vars) {
@@ -114,21 +117,45 @@ async function notifySchoolStudents(schoolId, type, vars, channel = 'IN_APP') {
 }
 
 // ─── Scheduled jobs ──────────────────────────────────────
+//
+// The daily jobs run hourly and act on each school when its own clock
+// reaches the job's hour (`hour`); without `hour` — a manual run — they act
+// everywhere at once. "Today" is always the school's.
+
+/** Whether a job for `hour` should act in `timeZone` right now. */
+const isLocalHour = (timeZone, hour, now) => hour === undefined || zonedParts(now, timeZone).hour === hour;
+
+const mmdd = (d) => `${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
 
 /**
- * Birthday check — find users with birthday today, send greeting.
+ * Birthday check — greet users whose birthday it is where they train
+ * (their own school, else the school they're enrolled at).
  */
-async function checkBirthdays() {
-  const today = new Date();
-  const month = today.getMonth() + 1;
-  const day = today.getDate();
-
-  const users = await prisma.$queryRaw`
-    SELECT id, first_name, email FROM users
-    WHERE date_of_birth IS NOT NULL
-      AND EXTRACT(MONTH FROM date_of_birth) = ${month}
-      AND EXTRACT(DAY FROM date_of_birth) = ${day}
+async function checkBirthdays({ hour, now = new Date() } = {}) {
+  // Every calendar date it can be somewhere right now
+  const utcToday = startOfToday(now, 'UTC').getTime();
+  const days = [-1, 0, 1].map((n) => mmdd(new Date(utcToday + n * DAY_MS)));
+
+  const candidates = await prisma.$queryRaw`
+    SELECT u.id, u.date_of_birth,
+      COALESCE(s.timezone, (
+        SELECT es.timezone FROM enrollments e JOIN schools es ON es.id = e.school_id
+        WHERE e.student_id = u.id AND e.status = 'ACTIVE'
+        ORDER BY e.enrolled_at LIMIT 1
+      )) AS timezone
+    FROM users u LEFT JOIN schools s ON s.id = u.school_id
+    WHERE u.date_of_birth IS NOT NULL
+      AND to_char(u.date_of_birth, 'MM-DD') IN (${Prisma.join(days)})
+      AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.user_id = u.id AND n.type = 'BIRTHDAY'
+          AND n.created_at > ${new Date(now.getTime() - 2 * DAY_MS)}
+      )
   `;
+  const users = candidates.filter((u) => {
+    const timeZone = schoolTimeZone(u);
+    return isLocalHour(timeZone, hour, now) && mmdd(startOfToday(now, timeZone)) === mmdd(new Date(u.date_of_birth));
+  });
 
   for (const u of users) {
     await sendNotification({
@@ -150,13 +177,13 @@ async function checkBirthdays() {
 /**
  * Missed-class alert — students who haven't checked in for 7+ days.
  */
-async function checkMissedClasses() {
-  const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+async function checkMissedClasses({ hour, now = new Date() } = {}) {
+  const sevenDaysAgo = new Date(now.getTime() - 7 * DAY_MS);
 
   // Find active students with no check-in in the past week
-  const students = await prisma.$queryRaw`
-    SELECT DISTINCT e.student_id, e.school_id
-    FROM enrollments e
+  const candidates = await prisma.$queryRaw`
+    SELECT DISTINCT e.student_id, e.school_id, s.timezone
+    FROM enrollments e JOIN schools s ON s.id = e.school_id
     WHERE e.status = 'ACTIVE'
       AND NOT EXISTS (
         SELECT 1 FROM check_ins ci
@@ -170,6 +197,7 @@ async function checkMissedClasses() {
           AND n.created_at > ${sevenDaysAgo}
       )
   `;
+  const students = candidates.filter((s) => isLocalHour(schoolTimeZone(s), hour, now));
 
   for (const s of students) {
     await sendNotification({
@@ -194,26 +222,30 @@ async function checkMissedClasses() {
 }
 
 /**
- * Payment reminders — invoices due within 3 days.
+ * Payment reminders — invoices due today or in the next 3 days (school time).
  */
-async function checkPaymentReminders() {
-  const threeDaysFromNow = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-  const now = new Date();
+async function checkPaymentReminders({ hour, now = new Date() } = {}) {
+  const utcToday = startOfToday(now, 'UTC').getTime();
 
-  const invoices = await prisma.invoice.findMany({
+  const candidates = await prisma.invoice.findMany({
     where: {
       status: { in: ['SENT', 'PAST_DUE'] },
-      dueDate: { lte: threeDaysFromNow, gte: now },
+      dueDate: { gte: new Date(utcToday - DAY_MS), lte: new Date(utcToday + 4 * DAY_MS) },
     },
     include: { student: true, school: true },
   });
+  const invoices = candidates.filter((inv) => {
+    const timeZone = schoolTimeZone(inv.school);
+    const today = startOfToday(now, timeZone).getTime();
+    return isLocalHour(timeZone, hour, now) && inv.dueDate >= today && inv.dueDate <= today + 3 * DAY_MS;
+  });
 
   for (const inv of invoices) {
     const exists = await prisma.notification.findFirst({
       where: {
         userId: inv.studentId,
         type: 'PAYMENT_REMINDER',
-        createdAt: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+        createdAt: { gte: new Date(now.getTime() - DAY_MS) },
         metadata: { path: ['invoiceId'], equals: inv.id },
       },
     });
@@ -227,7 +259,7 @@ async function checkPaymentReminders() {
       vars: {
         subject: 'Payment reminder — ${{amount}} due {{dueDate}}',
         amount: Number(inv.amount).toFixed(2),
-        dueDate: inv.dueDate.toLocaleDateString(),
+        dueDate: inv.dueDate.toLocaleDateString('en-US', { timeZone: 'UTC' }),
         body: 'Hi {{firstName}}, your payment of ${{amount}} is due on {{dueDate}}. Please make your payment at your earliest convenience.',
       },
       metadata: { invoiceId: inv.id },
@@ -238,7 +270,7 @@ async function checkPaymentReminders() {
       type: 'PAYMENT_REMINDER',
       channel: 'IN_APP',
       vars: {
-        body: '💰 Payment reminder: $' + Number(inv.amount).toFixed(2) + ' due ' + inv.dueDate.toLocaleDateString(),
+        body: '💰 Payment reminder: $' + Number(inv.amount).toFixed(2) + ' due ' + inv.dueDate.toLocaleDateString('en-US', { timeZone: 'UTC' }),
       },
       metadata: { invoiceId: inv.id },
     });
@@ -298,22 +330,12 @@ module.exports = {
 function startNotificationScheduler() {
   const cron = require('node-cron');
 
-  // Birthdays — daily at 8:00 AM
-  cron.schedule('0 8 * * *', () => {
-    logger.info('🎂 Running birthday check...');
-    checkBirthdays().catch(err => logger.error(`Birthday check error: ${err.message}`));
-  });
-
-  // Missed-class alerts — daily at 9:00 AM
-  cron.schedule('0 9 * * *', () => {
-    logger.info('🚫 Running missed-class check...');
-    checkMissedClasses().catch(err => logger.error(`Missed-class check error: ${err.message}`));
-  });
-
-  // Payment reminders — daily at 10:00 AM
-  cron.schedule('0 10 * * *', () => {
-    logger.info('💰 Running payment reminder check...');
-    checkPaymentReminders().catch(err => logger.error(`Payment reminder check error: ${err.message}`));
+  // Hourly, each acting on schools where it's now the job's local hour:
+  // birthdays at 8:00 AM, missed-class alerts at 9:00 AM, payment reminders at 10:00 AM
+  cron.schedule('0 * * * *', () => {
+    checkBirthdays({ hour: 8 }).catch(err => logger.error(`Birthday check error: ${err.message}`));
+    checkMissedClasses({ hour: 9 }).catch(err => logger.error(`Missed-class check error: ${err.message}`));
+    checkPaymentReminders({ hour: 10 }).catch(err => logger.error(`Payment reminder check error: ${err.message}`));
   });
 
   // Welcome emails — every hour
@@ -7,7 +7,27 @@
  *
  * When no gateway SDK is installed yet (or config.isActive is false),
  * all charge/refund calls gracefully return a "manual" result.
+ *
+ * Stripe and Square adapters also verify inbound webhook signatures and
+ * normalise provider events into a common shape (see parseWebhookEvent),
+ * so the webhook processor never deals with provider-specific payloads.
  */
+const crypto = require('crypto');
+
+/** Constant-time comparison of two strings (false on length mismatch). */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/** Convert a minor-unit integer (cents) to a decimal amount. */
+function fromMinor(value) {
+  return value == null ? null : Number(value) / 100;
+}
+
+/** Tolerance for Stripe's signed timestamp — rejects replayed deliveries. */
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
 
 // ─── Stripe Adapter ──────────────────────────────────────
 
@@ -17,13 +37,14 @@ const stripeAdapter = {
    * @param {object} config - PaymentConfig row (has gatewaySecretKey)
    * @param {object} params - { amount, currency, description, token }
    */
-  async charge(config, { amount, currency, description, token }) {
+  async charge(config, { amount, currency, description, token, reference }) {
     try {
       const stripe = require('stripe')(config.gatewaySecretKey);
       const paymentIntent = await stripe.paymentIntents.create({
         amount: Math.round(amount * 100), // cents
         currency: currency || config.currency || 'usd',
         description,
+        ...(reference && { metadata: { reference } }), // echoed back in webhooks
         payment_method: token,
         confirm: true,
         automatic_payment_methods: { enabled: true, allow_redirects: 'never' },
@@ -50,12 +71,77 @@ const stripeAdapter = {
       return { success: false, error: err.message };
     }
   },
+
+  /**
+   * Verify the `Stripe-Signature` header: `t=<unix>,v1=<hex hmac>[,v1=…]`.
+   * The signed payload is `${t}.${rawBody}`, HMAC-SHA256 with the endpoint secret.
+   */
+  verifyWebhook(config, { rawBody, headers }) {
+    const header = headers['stripe-signature'];
+    if (!header || !config.webhookSecret) return false;
+
+    const parts = header.split(',').map((p) => p.split('='));
+    const timestamp = parts.find(([k]) => k === 't')?.[1];
+    const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+    if (!timestamp || signatures.length === 0) return false;
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > STRIPE_SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = crypto
+      .createHmac('sha256', config.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return signatures.some((sig) => safeEqual(sig, expected));
+  },
+
+  /**
+   * Normalise a Stripe event. Returns { eventId, type, kind, transactionId,
+   * amount, amountRefunded, fullyRefunded, refundId, cumulative, reference }
+   * where `kind` is one of
+   * payment_succeeded | payment_failed | refunded | dispute_opened | dispute_won | dispute_lost,
+   * or null for event types FlowApp does not act on. `cumulative` is true when
+   * amountRefunded is the running total for the charge rather than one refund.
+   */
+  parseWebhookEvent(event) {
+    const obj = event.data?.object || {};
+    const base = { eventId: event.id, type: event.type, kind: null, reference: obj.metadata?.reference || null };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return { ...base, kind: 'payment_succeeded', transactionId: obj.id, amount: fromMinor(obj.amount_received ?? obj.amount) };
+      case 'payment_intent.payment_failed':
+        return { ...base, kind: 'payment_failed', transactionId: obj.id, amount: fromMinor(obj.amount) };
+      case 'charge.refunded':
+        return {
+          ...base,
+          kind: 'refunded',
+          transactionId: obj.payment_intent || obj.id,
+          amount: fromMinor(obj.amount),
+          amountRefunded: fromMinor(obj.amount_refunded),
+          fullyRefunded: obj.refunded === true,
+          refundId: obj.refunds?.data?.[0]?.id || null, // newest first
+          cumulative: true,
+        };
+      case 'charge.dispute.created':
+        return { ...base, kind: 'dispute_opened', transactionId: obj.payment_intent || obj.charge, amount: fromMinor(obj.amount) };
+      case 'charge.dispute.closed':
+        return {
+          ...base,
+          kind: obj.status === 'won' ? 'dispute_won' : 'dispute_lost',
+          transactionId: obj.payment_intent || obj.charge,
+          amount: fromMinor(obj.amount),
+        };
+      default:
+        return base;
+    }
+  },
 };
 
 // ─── Square Adapter ──────────────────────────────────────
 
 const squareAdapter = {
-  async charge(config, { amount, currency, description, token }) {
+  async charge(config, { amount, currency, description, token, reference }) {
     try {
       const { Client, Environment } = require('square');
       const client = new Client({
@@ -71,6 +157,7 @@ const squareAdapter = {
         locationId: config.gatewayMerchantId,
         idempotencyKey: require('crypto').randomUUID(),
         note: description,
+        ...(reference && { referenceId: reference }), // echoed back in webhooks
       });
       return {
         success: true,
@@ -104,6 +191,69 @@ const squareAdapter = {
       return { success: false, error: err.message || 'Square refund failed' };
     }
   },
+
+  /**
+   * Verify the `x-square-hmacsha256-signature` header: base64 HMAC-SHA256 of
+   * notificationUrl + rawBody, keyed with the subscription's signature key.
+   */
+  verifyWebhook(config, { rawBody, headers, notificationUrl }) {
+    const signature = headers['x-square-hmacsha256-signature'];
+    if (!signature || !config.webhookSecret) return false;
+
+    const expected = crypto
+      .createHmac('sha256', config.webhookSecret)
+      .update(notificationUrl + rawBody)
+      .digest('base64');
+    return safeEqual(signature, expected);
+  },
+
+  /** Normalise a Square event — same shape as the Stripe adapter. */
+  parseWebhookEvent(event) {
+    const obj = event.data?.object || {};
+    const base = { eventId: event.event_id, type: event.type, kind: null, reference: null };
+
+    if (event.type === 'payment.created' || event.type === 'payment.updated') {
+      const payment = obj.payment || {};
+      const kind = payment.status === 'COMPLETED' ? 'payment_succeeded'
+        : ['FAILED', 'CANCELED'].includes(payment.status) ? 'payment_failed'
+          : null;
+      return {
+        ...base,
+        kind,
+        reference: payment.reference_id || null,
+        transactionId: payment.id,
+        amount: fromMinor(payment.amount_money?.amount),
+      };
+    }
+
+    if (event.type === 'refund.created' || event.type === 'refund.updated') {
+      const refund = obj.refund || {};
+      return {
+        ...base,
+        kind: refund.status === 'COMPLETED' ? 'refunded' : null,
+        transactionId: refund.payment_id,
+        amountRefunded: fromMinor(refund.amount_money?.amount),
+        fullyRefunded: null, // Square refund events don't carry the original amount
+        refundId: refund.id || null,
+        cumulative: false,
+      };
+    }
+
+    if (event.type === 'dispute.created' || event.type === 'dispute.state.changed') {
+      const dispute = obj.dispute || {};
+      const kind = dispute.state === 'WON' ? 'dispute_won'
+        : dispute.state === 'LOST' ? 'dispute_lost'
+          : 'dispute_opened';
+      return {
+        ...base,
+        kind,
+        transactionId: dispute.disputed_payment?.payment_id,
+        amount: fromMinor(dispute.amount_money?.amount),
+      };
+    }
+
+    return base;
+  },
 };
 
 // ─── Manual (no gateway) ─────────────────────────────────
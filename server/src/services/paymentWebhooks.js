@@ -0,0 +1,251 @@
+/**
+ * Payment Webhook Processor
+ *
+ * Applies a normalised gateway event (see paymentGateway parseWebhookEvent)
+ * to the records it concerns: invoice Payments, EventTickets and Orders.
+ *
+ * Records are matched by gateway transaction ID (Payment.gatewayTransactionId,
+ * EventTicket.paymentRef, Order.paymentRef) and, as a fallback, by the
+ * `reference` FlowApp attaches when charging — `invoice:<id>`, `order:<id>`
+ * or `ticket:<id>`.
+ *
+ * Idempotency is handled by the caller (WebhookEvent unique key); every
+ * transition here is also guarded by the current status so a replayed event
+ * is harmless.
+ */
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { recordGatewayRefund } = require('./refunds');
+const { allocatePayment } = require('./familyBilling');
+
+/** Split a `type:id` reference into its parts. */
+function parseReference(reference) {
+  if (!reference || typeof reference !== 'string') return {};
+  const [type, id] = reference.split(':');
+  return type && id ? { [type]: id } : {};
+}
+
+/** Append a line to a free-text notes field. */
+function appendNote(existing, line) {
+  return existing ? `${existing}\n${line}` : line;
+}
+
+/**
+ * Load every record the event refers to, scoped to the school whose
+ * webhook endpoint received it.
+ */
+async function findTargets(schoolId, evt) {
+  const ref = parseReference(evt.reference);
+  const txn = evt.transactionId || undefined;
+
+  const [payments, invoice, tickets, orders] = await Promise.all([
+    txn
+      ? prisma.payment.findMany({
+        where: { gatewayTransactionId: txn, invoice: { schoolId } },
+        include: { invoice: true },
+      })
+      : [],
+    ref.invoice ? prisma.invoice.findFirst({ where: { id: ref.invoice, schoolId } }) : null,
+    prisma.eventTicket.findMany({
+      where: {
+        event: { schoolId },
+        OR: [
+          ...(txn ? [{ paymentRef: txn }] : []),
+          ...(ref.ticket ? [{ id: ref.ticket }] : []),
+        ],
+      },
+    }),
+    prisma.order.findMany({
+      where: {
+        schoolId,
+        OR: [
+          ...(txn ? [{ paymentRef: txn }] : []),
+          ...(ref.order ? [{ id: ref.order }] : []),
+        ],
+      },
+    }),
+  ]);
+
+  // Invoices reached through recorded payments, plus one named by reference
+  const invoices = new Map(payments.map((p) => [p.invoice.id, p.invoice]));
+  if (invoice) invoices.set(invoice.id, invoice);
+
+  return { payments, invoices: [...invoices.values()], tickets, orders };
+}
+
+/**
+ * Gateway confirmed the charge. Records a Payment for a referenced invoice that
+ * has none yet (payment confirmed after the synchronous call returned), and
+ * marks tickets/orders paid.
+ */
+async function handlePaymentSucceeded(targets, evt, updated) {
+  for (const invoice of targets.invoices) {
+    const recorded = targets.payments.some((p) => p.invoiceId === invoice.id);
+    if (!recorded && evt.amount && ['SENT', 'PAST_DUE', 'DRAFT'].includes(invoice.status)) {
+      const payment = await prisma.payment.create({
+        data: {
+          invoiceId: invoice.id,
+          studentId: invoice.studentId,
+          amount: evt.amount,
+          method: 'GATEWAY',
+          gatewayTransactionId: evt.transactionId,
+          notes: `Confirmed by webhook ${evt.eventId}`,
+        },
+      });
+      await allocatePayment(prisma, payment);
+      updated.payments.push(invoice.id);
+    }
+
+    const totalPaid = await prisma.payment.aggregate({
+      where: { invoiceId: invoice.id },
+      _sum: { amount: true },
+    });
+    if ((totalPaid._sum.amount || 0) >= invoice.totalAmount && invoice.status !== 'PAID') {
+      await prisma.invoice.update({
+        where: { id: invoice.id },
+        data: { status: 'PAID', paidAt: new Date() },
+      });
+      updated.invoices.push(invoice.id);
+    }
+  }
+
+  for (const ticket of targets.tickets) {
+    if (ticket.status !== 'RESERVED') continue;
+    await prisma.eventTicket.update({
+      where: { id: ticket.id },
+      data: { status: 'PAID', purchasedAt: new Date(), paymentRef: evt.transactionId || ticket.paymentRef },
+    });
+    updated.tickets.push(ticket.id);
+  }
+
+  for (const order of targets.orders) {
+    if (order.status !== 'PENDING') continue;
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { status: 'PAID', paymentRef: evt.transactionId || order.paymentRef },
+    });
+    updated.orders.push(order.id);
+  }
+}
+
+/**
+ * Money went back to the customer — either a refund issued in the provider
+ * dashboard or a lost dispute. Each refund is stored as a GATEWAY Refund
+ * record; fully refunded payments/orders/tickets move to REFUNDED.
+ *
+ * Refunds issued from FlowApp already have a Refund row with the provider's
+ * refund ID, so their webhook echo is skipped.
+ */
+async function handleRefunded(schoolId, targets, evt, updated, label) {
+  if (evt.refundId && await prisma.refund.findUnique({ where: { gatewayRefundId: evt.refundId } })) {
+    return;
+  }
+
+  const opts = {
+    amount: evt.fullyRefunded ? null : evt.amountRefunded,
+    cumulative: evt.cumulative,
+    reason: `${label} via gateway — event ${evt.eventId}`,
+    gatewayRefundId: evt.refundId || null,
+  };
+
+  for (const payment of targets.payments) {
+    const status = await recordGatewayRefund(schoolId, 'payment', payment, opts);
+    updated.payments.push(payment.id);
+    if (status) updated.invoices.push(payment.invoiceId);
+    // A refund ID can only be stored once — further targets share the event
+    opts.gatewayRefundId = null;
+  }
+  for (const ticket of targets.tickets) {
+    if (ticket.status === 'REFUNDED') continue;
+    await recordGatewayRefund(schoolId, 'ticket', ticket, opts);
+    updated.tickets.push(ticket.id);
+    opts.gatewayRefundId = null;
+  }
+  for (const order of targets.orders) {
+    if (order.status === 'REFUNDED') continue;
+    await recordGatewayRefund(schoolId, 'order', order, opts);
+    updated.orders.push(order.id);
+    opts.gatewayRefundId = null;
+  }
+}
+
+/**
+ * Customer opened a chargeback — the invoice is no longer settled until the
+ * dispute is won.
+ */
+async function handleDisputeOpened(targets, evt, updated) {
+  const note = `Payment disputed — event ${evt.eventId}`;
+  for (const invoice of targets.invoices) {
+    if (invoice.status !== 'PAID') continue;
+    await prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { status: 'PAST_DUE', notes: appendNote(invoice.notes, note) },
+    });
+    updated.invoices.push(invoice.id);
+  }
+  for (const order of targets.orders) {
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { notes: appendNote(order.notes, note) },
+    });
+    updated.orders.push(order.id);
+  }
+}
+
+/** Dispute resolved in the school's favour — restore PAID. */
+async function handleDisputeWon(targets, evt, updated) {
+  const note = `Dispute won — event ${evt.eventId}`;
+  for (const invoice of targets.invoices) {
+    if (invoice.status !== 'PAST_DUE') continue;
+    await prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { status: 'PAID', notes: appendNote(invoice.notes, note) },
+    });
+    updated.invoices.push(invoice.id);
+  }
+}
+
+/**
+ * Apply a normalised gateway event for a school.
+ * @returns {Promise<{ status: 'PROCESSED'|'IGNORED', updated: Object }>}
+ */
+async function processGatewayEvent(schoolId, evt) {
+  const updated = { invoices: [], payments: [], tickets: [], orders: [] };
+  if (!evt.kind) return { status: 'IGNORED', updated };
+
+  const targets = await findTargets(schoolId, evt);
+  const matched = targets.payments.length + targets.invoices.length + targets.tickets.length + targets.orders.length;
+  if (matched === 0) {
+    logger.warn(`[Webhook] ${evt.type} ${evt.eventId}: no records match transaction ${evt.transactionId}`);
+    return { status: 'IGNORED', updated };
+  }
+
+  switch (evt.kind) {
+    case 'payment_succeeded':
+      await handlePaymentSucceeded(targets, evt, updated);
+      break;
+    case 'refunded':
+      await handleRefunded(schoolId, targets, evt, updated, 'Refunded');
+      break;
+    case 'dispute_opened':
+      await handleDisputeOpened(targets, evt, updated);
+      break;
+    case 'dispute_won':
+      await handleDisputeWon(targets, evt, updated);
+      break;
+    case 'dispute_lost':
+      await handleRefunded(schoolId, targets, { ...evt, fullyRefunded: true }, updated, 'Dispute lost');
+      break;
+    case 'payment_failed':
+      // Nothing is marked paid until a success event, so a failure only needs logging
+      logger.info(`[Webhook] Payment ${evt.transactionId} failed (${evt.eventId})`);
+      break;
+    default:
+      return { status: 'IGNORED', updated };
+  }
+
+  logger.info(`[Webhook] ${evt.type} ${evt.eventId} applied: ${JSON.stringify(updated)}`);
+  return { status: 'PROCESSED', updated };
+}
+
+module.exports = { processGatewayEvent, parseReference };
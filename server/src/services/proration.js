@@ -0,0 +1,261 @@
+/**
+ * Proration Service
+ *
+ * Works out the money owed or owed back when a subscription changes plan,
+ * pauses or cancels part-way through a period it has already been invoiced
+ * for. The current period runs from currentPeriodStart (stamped by
+ * generateAutoInvoices) to nextInvoiceDate; each plan's share of it is priced
+ * against that plan's own cycle length from calculateNextInvoiceDate.
+ *
+ * The result is settled one of three ways:
+ *   NEXT_INVOICE — a pending BillingAdjustment added to the student's next
+ *                  auto-invoice (credits go this way while there is one)
+ *   IMMEDIATE    — a charge is billed right away as its own adjustment invoice
+ *   REFUND       — a cancellation credit is paid back on the invoice that
+ *                  billed the period, when no next invoice is coming
+ */
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { calculateNextInvoiceDate, nextInvoiceNumber } = require('./autoInvoice');
+const { refundPayment, sumRefunds } = require('./refunds');
+const { findBillingFamilies } = require('./familyBilling');
+const { getSchoolTimeZone } = require('./schoolTime');
+const { startOfToday, addDays } = require('../utils/dates');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const fmt = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * The billed period a subscription is currently in, or null if nothing has
+ * been invoiced for it yet (new, paused or cancelled subscriptions).
+ */
+function currentPeriod(sub, plan, at = new Date()) {
+  if (!sub.currentPeriodStart || sub.status !== 'ACTIVE') return null;
+  const start = new Date(sub.currentPeriodStart);
+  const end = sub.nextInvoiceDate
+    ? new Date(sub.nextInvoiceDate)
+    : calculateNextInvoiceDate(start, plan.billingCycle);
+  if (at < start || at >= end) return null;
+  return { start, end };
+}
+
+/** Price of `plan` for `ms` milliseconds, measured against one of its cycles from `from`. */
+function priceFor(plan, from, ms) {
+  const cycleMs = calculateNextInvoiceDate(from, plan.billingCycle) - from;
+  return round2(plan.price * (ms / cycleMs));
+}
+
+/**
+ * Price a mid-period change.
+ *
+ * The unused share of the old plan is credited; when switching plans the new
+ * plan is charged for the rest of the period. Each share is measured against
+ * the plan's own cycle, so a monthly → annual switch with half a month left
+ * charges roughly 1/24th of the annual price. Amounts are pre-tax.
+ *
+ * @param {Object} sub - Subscription with currentPeriodStart, nextInvoiceDate and status
+ * @param {Object} oldPlan - MembershipPlan currently billed
+ * @param {Object|null} newPlan - plan being switched to; null for pause/cancel
+ * @returns {Object|null} null when there is no billed period to prorate
+ */
+function calculateProration(sub, oldPlan, newPlan = null, at = new Date()) {
+  const period = currentPeriod(sub, oldPlan, at);
+  if (!period) return null;
+
+  const remainingMs = period.end - at;
+  const credit = priceFor(oldPlan, period.start, remainingMs);
+  const charge = newPlan ? priceFor(newPlan, period.start, remainingMs) : 0;
+
+  return {
+    periodStart: period.start,
+    periodEnd: period.end,
+    fractionRemaining: Math.round((remainingMs / (period.end - period.start)) * 10000) / 10000,
+    credit,
+    charge,
+    net: round2(charge - credit),
+  };
+}
+
+/**
+ * Record a proration. Runs inside the caller's transaction so the adjustment
+ * lands with the subscription change.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} opts
+ * @param {Object} opts.sub - the Subscription being changed
+ * @param {Object} opts.proration - result of calculateProration
+ * @param {'PLAN_CHANGE'|'PAUSE'|'CANCELLATION'} opts.reason
+ * @param {string} opts.description - shown on the invoice
+ * @param {string} [opts.mode] - NEXT_INVOICE | IMMEDIATE | NONE
+ * @returns {Promise<Object|null>} { mode, adjustment, invoice? }
+ */
+async function applyProration(tx, { sub, proration, reason, description, mode = 'NEXT_INVOICE', performedById = null }) {
+  if (!proration || mode === 'NONE' || Math.abs(proration.net) < 0.01) return null;
+
+  const base = {
+    schoolId: sub.schoolId,
+    studentId: sub.studentId,
+    subscriptionId: sub.id,
+    amount: proration.net,
+    reason,
+    description: `${description} (${fmt(proration.periodStart)} – ${fmt(proration.periodEnd)})`,
+    createdById: performedById,
+  };
+
+  // Credits can't be invoiced — they always wait for the next invoice
+  if (mode !== 'IMMEDIATE' || proration.net < 0) {
+    const adjustment = await tx.billingAdjustment.create({ data: base });
+    return { mode: 'NEXT_INVOICE', adjustment };
+  }
+
+  const paymentConfig = await tx.paymentConfig.findUnique({ where: { schoolId: sub.schoolId } });
+  const taxRate = paymentConfig?.taxRate || 0;
+  const taxAmount = round2(proration.net * (taxRate / 100));
+  const now = new Date();
+  const today = startOfToday(now, await getSchoolTimeZone(sub.schoolId));
+
+  const invoice = await tx.invoice.create({
+    data: {
+      invoiceNumber: await nextInvoiceNumber(sub.schoolId),
+      schoolId: sub.schoolId,
+      studentId: sub.studentId,
+      planId: sub.planId,
+      subtotal: proration.net,
+      taxAmount,
+      totalAmount: round2(proration.net + taxAmount),
+      status: 'SENT',
+      dueDate: addDays(today, 14),
+      notes: `Adjustment: ${base.description}`,
+    },
+  });
+  const adjustment = await tx.billingAdjustment.create({
+    data: { ...base, invoiceId: invoice.id, appliedAt: now },
+  });
+
+  logger.info(`[Proration] ${invoice.invoiceNumber} issued for $${invoice.totalAmount} (${reason})`);
+  return { mode: 'IMMEDIATE', adjustment, invoice };
+}
+
+/**
+ * Whether a credit for `sub` has a next invoice to wait for: another
+ * active subscription at the school — the student's, or for a
+ * consolidated-billing household, any member's.
+ */
+async function hasNextInvoice(sub) {
+  const family = (await findBillingFamilies(sub.schoolId, [sub.studentId])).get(sub.studentId);
+  const studentIds = family ? family.members.map((m) => m.userId) : [sub.studentId];
+  const other = await prisma.subscription.findFirst({
+    where: { schoolId: sub.schoolId, studentId: { in: studentIds }, status: 'ACTIVE', id: { not: sub.id } },
+    select: { id: true },
+  });
+  return Boolean(other);
+}
+
+/**
+ * Work out a cancellation credit's refund: the payments on the invoice that
+ * billed the period (the first one since it started), newest first, and how
+ * much of each to give back. The credit is pre-tax, so its share of the
+ * invoice's tax goes back with it. Refunds already linked to the subscription
+ * on that invoice count towards it, so a cancellation retried after a failure
+ * only pays back what's still owed (possibly nothing — an empty plan). Null
+ * when what's left of those payments doesn't cover it.
+ * @returns {Promise<Array<{ paymentId: string, amount: number }>|null>}
+ */
+async function planRefund(sub, proration) {
+  const invoice = await prisma.invoice.findFirst({
+    where: {
+      schoolId: sub.schoolId,
+      createdAt: { gte: proration.periodStart },
+      OR: [
+        { studentId: sub.studentId, familyId: null, planId: { not: null } },
+        { lines: { some: { subscriptionId: sub.id } } },
+      ],
+    },
+    include: { payments: { include: { refunds: true }, orderBy: { paidAt: 'desc' } } },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (!invoice || !(invoice.subtotal > 0)) return null;
+
+  const credit = round2(-proration.net * (1 + invoice.taxAmount / invoice.subtotal));
+  const earlier = invoice.payments.flatMap((p) => p.refunds.filter((r) => r.subscriptionId === sub.id));
+  let owed = round2(credit - sumRefunds(earlier));
+  const parts = [];
+  if (owed < 0.01) return parts;
+  for (const payment of invoice.payments) {
+    const amount = Math.min(owed, round2(payment.amount - sumRefunds(payment.refunds)));
+    if (amount < 0.01) continue;
+    parts.push({ paymentId: payment.id, amount });
+    owed = round2(owed - amount);
+    if (owed < 0.01) return parts;
+  }
+  return null;
+}
+
+/**
+ * Decide how a cancellation's proration is settled. A credit only waits for
+ * the next invoice while there is one (see hasNextInvoice); otherwise it's
+ * refunded, which is also the default. Errors carry an HTTP `status`.
+ * @param {Object} sub - the Subscription being cancelled
+ * @param {Object|null} proration - result of calculateProration
+ * @param {string} [requested] - NEXT_INVOICE | IMMEDIATE | REFUND | NONE
+ * @returns {Promise<{ mode: string, refund?: Array }>} `refund` as from planRefund
+ */
+async function cancellationSettlement(sub, proration, requested) {
+  const isCredit = proration && proration.net <= -0.01;
+  if (!isCredit || requested === 'NONE') return { mode: requested || 'NEXT_INVOICE' };
+  if (requested !== 'REFUND' && await hasNextInvoice(sub)) return { mode: 'NEXT_INVOICE' };
+  if (requested === 'NEXT_INVOICE') {
+    throw Object.assign(new Error('No next invoice to credit — the student has no other active subscription'), {
+      status: 409,
+      reason: 'NO_NEXT_INVOICE',
+    });
+  }
+
+  const refund = await planRefund(sub, proration);
+  if (!refund) {
+    throw Object.assign(new Error("The period's payments don't cover the credit — cancel without proration and settle it by hand"), {
+      status: 409,
+      reason: 'NOTHING_TO_REFUND',
+    });
+  }
+  return { mode: 'REFUND', refund };
+}
+
+/**
+ * Pay back a cancellation credit as planned by cancellationSettlement.
+ * Runs before the cancellation is saved, so a declined refund leaves the
+ * subscription as it was. Each refund is linked to the subscription, so if
+ * a later part or the cancellation itself fails, a retry skips the parts
+ * already paid (see planRefund); the result covers those too.
+ * @returns {Promise<Object>} { mode: 'REFUND', amount, refunds }
+ */
+async function refundProration(sub, parts, { description, performedById = null }) {
+  for (const { paymentId, amount } of parts) {
+    await refundPayment(sub.schoolId, paymentId, { amount, reason: description, performedById, subscriptionId: sub.id });
+  }
+  const refunds = await prisma.refund.findMany({
+    where: { subscriptionId: sub.id, createdAt: { gte: sub.currentPeriodStart } },
+    orderBy: { createdAt: 'asc' },
+  });
+  const amount = sumRefunds(refunds);
+  logger.info(`[Proration] $${amount} refunded for cancelled subscription ${sub.id}`);
+  return { mode: 'REFUND', amount, refunds };
+}
+
+/** Unbilled adjustments for a student at a school. */
+async function getPendingAdjustments(schoolId, studentId) {
+  return prisma.billingAdjustment.findMany({
+    where: { schoolId, studentId, invoiceId: null },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+module.exports = {
+  currentPeriod,
+  calculateProration,
+  applyProration,
+  hasNextInvoice,
+  cancellationSettlement,
+  refundProration,
+  getPendingAdjustments,
+};
@@ -0,0 +1,75 @@
+/**
+ * Queued Check-In Service
+ *
+ * Rules for check-ins a kiosk queued while offline and syncs later. A
+ * queued check-in already happened, so a class that filled up meanwhile,
+ * an empty credit balance or a failed check-in rule doesn't undo it — but
+ * only when the kiosk's own time for it is believable:
+ *
+ * - the session is on or before the sync date, and ended no longer than
+ *   MAX_QUEUE_AGE_MS ago
+ * - the kiosk's checkedInAt falls within the session's kiosk window: from
+ *   the start of its day (the kiosk lists today's sessions) to its end
+ *
+ * An item without a usable checkedInAt is a check-in happening now, held
+ * to the same rules as a live one.
+ */
+const { atTime } = require('../utils/dates');
+const { schoolTimeZone, sessionEndsAt } = require('./schoolTime');
+
+/** Queued check-ins older than this can't be synced as having happened offline. */
+const MAX_QUEUE_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * When a queued check-in happened: the kiosk's clock, if it's plausible —
+ * not in the future and not older than MAX_QUEUE_AGE_MS — else null.
+ */
+function queuedAt(value, now = new Date()) {
+  if (!value) return null;
+  const at = new Date(value);
+  if (Number.isNaN(at.getTime()) || at > now || now - at > MAX_QUEUE_AGE_MS) return null;
+  return at;
+}
+
+/**
+ * When a kiosk could check into a session: from the start of the session's
+ * day to its end, in the school's time zone. Needs `class.school.timezone`.
+ * @returns {{ opens: Date, ends: Date }}
+ */
+function kioskWindow(session) {
+  return {
+    opens: atTime(session.sessionDate, '00:00', schoolTimeZone(session.class?.school)),
+    ends: sessionEndsAt(session),
+  };
+}
+
+/**
+ * Decide how a queued item for this session may be recorded.
+ * @param {Object} session - with `class.school.timezone`
+ * @param {string} [checkedInAt] - the kiosk's time for the check-in
+ * @returns {{ offline: { checkedInAt: Date }|null }|{ reason: string, error: string }}
+ *   `offline` when the kiosk's time is trusted; null to check in as of now
+ *   under the live rules; a `reason` when the item can't be synced
+ */
+function reviewQueuedItem(session, checkedInAt, now = new Date()) {
+  const { opens, ends } = kioskWindow(session);
+  if (opens > now || now - ends > MAX_QUEUE_AGE_MS) {
+    return { reason: 'SESSION_OUT_OF_RANGE', error: "Only check-ins for today's or recent sessions can be synced" };
+  }
+
+  const at = queuedAt(checkedInAt, now);
+  if (at) {
+    if (at < opens || at > ends) {
+      return { reason: 'OUTSIDE_SESSION', error: 'Check-in time is outside the session' };
+    }
+    return { offline: { checkedInAt: at } };
+  }
+
+  // No believable kiosk time: a check-in now, which a live kiosk only allows until the class is over
+  if (session.status === 'COMPLETED' || now > ends) {
+    return { reason: 'SESSION_INACTIVE', error: 'Session is not active' };
+  }
+  return { offline: null };
+}
+
+module.exports = { MAX_QUEUE_AGE_MS, queuedAt, kioskWindow, reviewQueuedItem };
@@ -0,0 +1,272 @@
+/**
+ * Refund Service
+ *
+ * Returns money for invoice Payments, retail Orders and EventTickets.
+ * Gateway-paid items are refunded through the school's adapter
+ * (getAdapter(config).refund); cash/check/manual items go through the
+ * manual adapter so the refund is still recorded.
+ *
+ * Every refund writes a Refund row and then re-settles the parent record:
+ * fully refunded → REFUNDED, partially refunded → status unchanged.
+ * Each record keeps a running refundedAmount; a refund claims its share with
+ * a conditional update before the gateway is called, so two at once (a
+ * double-click) can't both go out. Errors carry an HTTP `status` for the
+ * controllers to surface.
+ */
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { getAdapter, adapters } = require('./paymentGateway');
+
+// Amounts are floats in the schema — compare with a half-cent tolerance
+const EPSILON = 0.005;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sumRefunds = (refunds) => round2(refunds.reduce((sum, r) => sum + r.amount, 0));
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// The Prisma model and amount column behind each kind of refundable record
+const REFUNDABLE = {
+  payment: { model: 'payment', total: 'amount' },
+  order: { model: 'order', total: 'totalAmount' },
+  ticket: { model: 'eventTicket', total: 'totalPrice' },
+};
+
+/**
+ * Claim `amount` of a record's refundable balance — only while what's
+ * already refunded leaves room for it. Throws 409 when another refund got
+ * there first.
+ */
+async function claimRefund(db, kind, record, amount) {
+  const { model, total } = REFUNDABLE[kind];
+  const { count } = await db[model].updateMany({
+    where: { id: record.id, refundedAmount: { lte: record[total] - amount + EPSILON } },
+    data: { refundedAmount: { increment: amount } },
+  });
+  if (count === 0) throw httpError(409, 'Another refund was just made here — refresh and try again');
+}
+
+/** Give back a claim whose refund didn't go through. */
+async function releaseRefund(kind, record, amount) {
+  const { model } = REFUNDABLE[kind];
+  await prisma[model].update({ where: { id: record.id }, data: { refundedAmount: { decrement: amount } } });
+}
+
+/**
+ * Validate a requested refund amount against what is still refundable.
+ * Omitted amount = refund the full remaining balance.
+ */
+function resolveAmount(requested, original, alreadyRefunded) {
+  const refundable = round2(original - alreadyRefunded);
+  if (refundable <= EPSILON) throw httpError(400, 'Nothing left to refund');
+
+  const amount = requested === undefined || requested === null ? refundable : round2(Number(requested));
+  if (!(amount > 0)) throw httpError(400, 'Refund amount must be greater than zero');
+  if (amount > refundable + EPSILON) {
+    throw httpError(400, `Refund amount exceeds refundable balance of $${refundable.toFixed(2)}`);
+  }
+  return amount;
+}
+
+/**
+ * Send the refund to the gateway (or the manual adapter when the original
+ * charge did not go through one). Returns the gateway refund ID, if any.
+ */
+async function callGateway(schoolId, transactionId, amount) {
+  const isGatewayCharge = transactionId && !transactionId.startsWith('MANUAL-');
+  const config = schoolId && isGatewayCharge
+    ? await prisma.paymentConfig.findUnique({ where: { schoolId } })
+    : null;
+  const adapter = isGatewayCharge ? getAdapter(config) : adapters.MANUAL;
+
+  const result = await adapter.refund(config, { transactionId, amount });
+  if (!result.success) {
+    throw httpError(402, result.error || 'Refund was declined by the payment gateway');
+  }
+  // Manual refund IDs are timestamps, not provider IDs — don't store them
+  return adapter === adapters.MANUAL ? null : result.refundId;
+}
+
+/**
+ * Claim the amount, send the refund to the gateway and record it. A declined
+ * refund releases its claim; once the money has moved the claim stays.
+ * @returns {Promise<{ refund: Object, status: string|null }>} status from `settle`
+ */
+async function issueRefund(kind, record, amount, { schoolId, transactionId, data, settle }) {
+  await claimRefund(prisma, kind, record, amount);
+  let gatewayRefundId;
+  try {
+    gatewayRefundId = await callGateway(schoolId, transactionId, amount);
+  } catch (err) {
+    await releaseRefund(kind, record, amount);
+    throw err;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const refund = await tx.refund.create({
+      data: { schoolId, [`${kind}Id`]: record.id, amount, gatewayRefundId, ...data },
+    });
+    return { refund, status: await settle(tx) };
+  });
+}
+
+// ─── Settling parent records ─────────────────────────────
+
+/** Mark an invoice REFUNDED once every payment on it is fully refunded. */
+async function settleInvoice(db, invoiceId) {
+  const payments = await db.payment.findMany({
+    where: { invoiceId },
+    include: { refunds: true },
+  });
+  const paid = payments.reduce((sum, p) => sum + p.amount, 0);
+  const refunded = payments.reduce((sum, p) => sum + sumRefunds(p.refunds), 0);
+  if (paid > 0 && refunded >= paid - EPSILON) {
+    await db.invoice.update({ where: { id: invoiceId }, data: { status: 'REFUNDED' } });
+    return 'REFUNDED';
+  }
+  return null;
+}
+
+async function settleOrder(db, order) {
+  const refunds = await db.refund.findMany({ where: { orderId: order.id } });
+  if (sumRefunds(refunds) >= order.totalAmount - EPSILON) {
+    await db.order.update({ where: { id: order.id }, data: { status: 'REFUNDED' } });
+    return 'REFUNDED';
+  }
+  return null;
+}
+
+async function settleTicket(db, ticket) {
+  const refunds = await db.refund.findMany({ where: { ticketId: ticket.id } });
+  if (sumRefunds(refunds) >= ticket.totalPrice - EPSILON) {
+    await db.eventTicket.update({ where: { id: ticket.id }, data: { status: 'REFUNDED' } });
+    return 'REFUNDED';
+  }
+  return null;
+}
+
+// ─── Staff-initiated refunds ─────────────────────────────
+
+/**
+ * Refund (part of) an invoice payment.
+ * @param {string} schoolId
+ * @param {string} paymentId
+ * @param {{ amount?: number, reason?: string, performedById?: string, subscriptionId?: string }} opts
+ *   subscriptionId marks a cancellation credit paid back for that subscription
+ */
+async function refundPayment(schoolId, paymentId, { amount, reason = null, performedById = null, subscriptionId = null } = {}) {
+  const payment = await prisma.payment.findFirst({
+    where: { id: paymentId, invoice: { schoolId } },
+    include: { invoice: true, refunds: true },
+  });
+  if (!payment) throw httpError(404, 'Payment not found');
+
+  const refundAmount = resolveAmount(amount, payment.amount, sumRefunds(payment.refunds));
+  const { refund, status } = await issueRefund('payment', payment, refundAmount, {
+    schoolId,
+    transactionId: payment.method === 'GATEWAY' ? payment.gatewayTransactionId : null,
+    data: { reason, processedById: performedById, subscriptionId },
+    settle: (tx) => settleInvoice(tx, payment.invoiceId),
+  });
+  logger.info(`[Refund] $${refundAmount} refunded on payment ${paymentId} (${payment.invoice.invoiceNumber})`);
+  return { refund, invoiceStatus: status || payment.invoice.status };
+}
+
+/** Refund (part of) a paid retail order. */
+async function refundOrder(schoolId, orderId, { amount, reason = null, performedById = null } = {}) {
+  const order = await prisma.order.findFirst({
+    where: { id: orderId, schoolId },
+    include: { refunds: true },
+  });
+  if (!order) throw httpError(404, 'Order not found');
+  if (!['PAID', 'SHIPPED', 'DELIVERED'].includes(order.status)) {
+    throw httpError(400, `Cannot refund an order that is ${order.status.toLowerCase()}`);
+  }
+
+  const refundAmount = resolveAmount(amount, order.totalAmount, sumRefunds(order.refunds));
+  const { refund, status } = await issueRefund('order', order, refundAmount, {
+    schoolId,
+    transactionId: order.paymentRef,
+    data: { reason, processedById: performedById },
+    settle: (tx) => settleOrder(tx, order),
+  });
+  logger.info(`[Refund] $${refundAmount} refunded on order ${order.orderNumber}`);
+  return { refund, orderStatus: status || order.status };
+}
+
+/** Refund (part of) a paid event ticket. */
+async function refundTicket(ticketId, { amount, reason = null, performedById = null } = {}) {
+  const ticket = await prisma.eventTicket.findUnique({
+    where: { id: ticketId },
+    include: { refunds: true, event: { select: { schoolId: true } } },
+  });
+  if (!ticket) throw httpError(404, 'Ticket not found');
+  if (!['PAID', 'CHECKED_IN'].includes(ticket.status)) {
+    throw httpError(400, `Cannot refund a ticket that is ${ticket.status.toLowerCase()}`);
+  }
+
+  const schoolId = ticket.event.schoolId;
+  const refundAmount = resolveAmount(amount, ticket.totalPrice, sumRefunds(ticket.refunds));
+  const { refund, status } = await issueRefund('ticket', ticket, refundAmount, {
+    schoolId,
+    transactionId: ticket.paymentRef,
+    data: { reason, processedById: performedById },
+    settle: (tx) => settleTicket(tx, ticket),
+  });
+  logger.info(`[Refund] $${refundAmount} refunded on ticket ${ticketId}`);
+  return { refund, ticketStatus: status || ticket.status };
+}
+
+// ─── Gateway-initiated refunds (webhooks) ────────────────
+
+/**
+ * Record a refund the provider reports (dashboard refund or lost dispute).
+ * No gateway call — the money has already moved. Returns the new status of
+ * the parent record, or null if nothing changed.
+ *
+ * @param {string} schoolId
+ * @param {'payment'|'order'|'ticket'} kind
+ * @param {Object} record - the Payment, Order or EventTicket
+ * @param {Object} opts
+ * @param {number|null} opts.amount - refunded amount; null = whatever is left
+ * @param {boolean} [opts.cumulative] - amount is the running total for the charge
+ * @param {string} [opts.reason]
+ * @param {string} [opts.gatewayRefundId]
+ */
+async function recordGatewayRefund(schoolId, kind, record, { amount, cumulative = false, reason = null, gatewayRefundId = null }) {
+  const amountOnFile = { payment: record.amount, order: record.totalAmount, ticket: record.totalPrice }[kind];
+  const existing = await prisma.refund.findMany({ where: { [`${kind}Id`]: record.id } });
+  const alreadyRefunded = sumRefunds(existing);
+  const remaining = amountOnFile - alreadyRefunded;
+
+  let refundAmount = amount == null ? remaining : cumulative ? amount - alreadyRefunded : amount;
+  refundAmount = round2(Math.min(refundAmount, remaining));
+  if (refundAmount <= EPSILON) return null;
+
+  return prisma.$transaction(async (tx) => {
+    await claimRefund(tx, kind, record, refundAmount);
+    await tx.refund.create({
+      data: {
+        schoolId,
+        [`${kind}Id`]: record.id,
+        amount: refundAmount,
+        reason,
+        source: 'GATEWAY',
+        gatewayRefundId,
+      },
+    });
+    if (kind === 'payment') return settleInvoice(tx, record.invoiceId);
+    if (kind === 'order') return settleOrder(tx, record);
+    return settleTicket(tx, record);
+  });
+}
+
+module.exports = {
+  refundPayment,
+  refundOrder,
+  refundTicket,
+  recordGatewayRefund,
+  sumRefunds,
+};
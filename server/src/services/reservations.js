@@ -0,0 +1,293 @@
+/**
+ * Reservation Service
+ *
+ * Students book a spot in a ClassSession ahead of time. A session's capacity
+ * is shared by check-ins and RESERVED bookings; once it's full, new bookings
+ * join a waitlist and are promoted in bookedAt order whenever a spot frees up
+ * (a cancellation, an undone walk-in check-in).
+ *
+ *   WAITLISTED ──spot frees──▶ RESERVED ──check-in──▶ ATTENDED
+ *                                 │  └──class ends, no check-in──▶ NO_SHOW
+ *                                 └──cancel──▶ CANCELLED
+ *
+ * Students can't cancel a held spot within RESERVATION_CANCEL_CUTOFF_HOURS
+ * of class; staff can. Every change notifies the student.
+ *
+ * Capacity decisions lock the session row (SELECT … FOR UPDATE) so two
+ * bookings can't take the last spot at once.
+ */
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { DAY_MS, startOfToday } = require('../utils/dates');
+const { sendNotification } = require('./notificationService');
+const { TIME_ZONE_SELECT, sessionStartsAt, sessionEndsAt } = require('./schoolTime');
+
+const OPEN_STATUSES = ['SCHEDULED', 'IN_PROGRESS'];
+
+const SESSION_SELECT = {
+  id: true,
+  sessionDate: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  class: { select: { id: true, name: true, capacity: true, schoolId: true, school: { select: TIME_ZONE_SELECT } } },
+};
+
+const httpError = (status, message, reason) => Object.assign(new Error(message), { status, reason });
+
+/** Serialize capacity decisions for a session within a transaction. */
+async function lockSession(tx, sessionId) {
+  await tx.$queryRaw`SELECT id FROM class_sessions WHERE id = ${sessionId} FOR UPDATE`;
+}
+
+/** Spots taken: check-ins plus bookings still holding a spot. */
+async function occupiedSpots(db, sessionId) {
+  const checkIns = await db.checkIn.count({ where: { sessionId } });
+  const held = await db.reservation.count({ where: { sessionId, status: 'RESERVED' } });
+  return checkIns + held;
+}
+
+/** 1-based place in the waitlist, or null when not waitlisted. */
+async function waitlistPosition(db, reservation) {
+  if (reservation.status !== 'WAITLISTED') return null;
+  const ahead = await db.reservation.count({
+    where: { sessionId: reservation.sessionId, status: 'WAITLISTED', bookedAt: { lt: reservation.bookedAt } },
+  });
+  return ahead + 1;
+}
+
+// ─── Notifications ───────────────────────────────────────
+
+const MESSAGES = {
+  RESERVATION_CONFIRMED: (label) => `✅ You're booked for ${label}`,
+  RESERVATION_WAITLISTED: (label, position) => `⏳ ${label} is full — you're #${position} on the waitlist`,
+  RESERVATION_PROMOTED: (label) => `🎉 A spot opened up — you're now booked for ${label}`,
+  RESERVATION_CANCELLED: (label) => `Your booking for ${label} has been cancelled`,
+  RESERVATION_NO_SHOW: (label) => `We missed you at ${label} — your booking was marked as a no-show`,
+};
+
+// Changes the student didn't make themselves also go out by email
+const EMAILED = ['RESERVATION_PROMOTED', 'RESERVATION_NO_SHOW'];
+
+function sessionLabel(session) {
+  const date = new Date(session.sessionDate).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+  return `${session.class.name} on ${date} at ${session.startTime}`;
+}
+
+async function notify(reservation, session, type, position = null) {
+  const body = MESSAGES[type](sessionLabel(session), position);
+  const base = {
+    userId: reservation.studentId,
+    schoolId: session.class.schoolId,
+    type,
+    metadata: { reservationId: reservation.id, sessionId: session.id },
+  };
+  await sendNotification({ ...base, channel: 'IN_APP', vars: { body } });
+  if (EMAILED.includes(type)) {
+    await sendNotification({ ...base, channel: 'EMAIL', vars: { subject: body, body: `Hi {{firstName}}, ${body.charAt(0).toLowerCase()}${body.slice(1)}.` } });
+  }
+}
+
+// ─── Booking ─────────────────────────────────────────────
+
+/**
+ * Book a student into a session — a held spot if there's room, otherwise
+ * the end of the waitlist. Re-booking after a cancellation reuses the row
+ * and goes to the back of the queue.
+ * @returns {Promise<Object>} reservation with `position` (waitlist place) and `session`
+ */
+async function reserve({ sessionId, studentId, now = new Date() }) {
+  const session = await prisma.classSession.findUnique({ where: { id: sessionId }, select: SESSION_SELECT });
+  if (!session) throw httpError(404, 'Session not found');
+  if (!OPEN_STATUSES.includes(session.status)) throw httpError(400, 'Session is not open for booking');
+  if (sessionEndsAt(session) <= now) throw httpError(400, 'Session has already ended');
+
+  const reservation = await prisma.$transaction(async (tx) => {
+    await lockSession(tx, sessionId);
+
+    const key = { sessionId_studentId: { sessionId, studentId } };
+    if (await tx.checkIn.findUnique({ where: key })) throw httpError(409, 'Already checked in to this session');
+    const existing = await tx.reservation.findUnique({ where: key });
+    if (existing && existing.status !== 'CANCELLED') throw httpError(409, 'Already booked for this session');
+
+    const status = (await occupiedSpots(tx, sessionId)) < session.class.capacity ? 'RESERVED' : 'WAITLISTED';
+    const data = { status, bookedAt: now, promotedAt: null, cancelledAt: null, checkInId: null };
+    return existing
+      ? tx.reservation.update({ where: { id: existing.id }, data })
+      : tx.reservation.create({ data: { sessionId, studentId, ...data } });
+  });
+
+  const position = await waitlistPosition(prisma, reservation);
+  await notify(reservation, session, position ? 'RESERVATION_WAITLISTED' : 'RESERVATION_CONFIRMED', position);
+  return { ...reservation, position, session };
+}
+
+/**
+ * Fill free spots from the waitlist, oldest booking first.
+ * @returns {Promise<number>} how many were promoted
+ */
+async function promoteWaitlist(sessionId, now = new Date()) {
+  const session = await prisma.classSession.findUnique({ where: { id: sessionId }, select: SESSION_SELECT });
+  if (!session || !OPEN_STATUSES.includes(session.status)) return 0;
+  if (sessionEndsAt(session) <= now) return 0;
+
+  const promoted = await prisma.$transaction(async (tx) => {
+    await lockSession(tx, sessionId);
+    const free = session.class.capacity - (await occupiedSpots(tx, sessionId));
+    if (free <= 0) return [];
+
+    const next = await tx.reservation.findMany({
+      where: { sessionId, status: 'WAITLISTED' },
+      orderBy: { bookedAt: 'asc' },
+      take: free,
+    });
+    if (next.length > 0) {
+      await tx.reservation.updateMany({
+        where: { id: { in: next.map((r) => r.id) } },
+        data: { status: 'RESERVED', promotedAt: now },
+      });
+    }
+    return next;
+  });
+
+  for (const r of promoted) await notify(r, session, 'RESERVATION_PROMOTED');
+  if (promoted.length) logger.info(`[Reservations] Promoted ${promoted.length} from waitlist for session ${sessionId}`);
+  return promoted.length;
+}
+
+/**
+ * Cancel an active booking. With `enforceCutoff` (student self-service) a
+ * held spot can't be given up within the cutoff window; leaving the
+ * waitlist is always allowed. A freed spot goes to the waitlist.
+ * @param {Object} reservation - Reservation with `session` (SESSION_SELECT)
+ */
+async function cancelReservation(reservation, { enforceCutoff = false, now = new Date() } = {}) {
+  const { session } = reservation;
+  if (!['RESERVED', 'WAITLISTED'].includes(reservation.status)) {
+    throw httpError(400, 'Only active bookings can be cancelled');
+  }
+
+  const cutoffHours = config.reservationCancelCutoffHours;
+  if (enforceCutoff && reservation.status === 'RESERVED' && cutoffHours > 0) {
+    const cutoff = new Date(sessionStartsAt(session).getTime() - cutoffHours * 60 * 60 * 1000);
+    if (now >= cutoff) {
+      throw httpError(400, `Bookings can't be cancelled within ${cutoffHours} hour${cutoffHours === 1 ? '' : 's'} of class — please contact the school`, 'CUTOFF_PASSED');
+    }
+  }
+
+  const { count } = await prisma.reservation.updateMany({
+    where: { id: reservation.id, status: reservation.status },
+    data: { status: 'CANCELLED', cancelledAt: now },
+  });
+  if (count === 0) throw httpError(409, 'Booking was changed by someone else — refresh and try again');
+
+  await notify(reservation, session, 'RESERVATION_CANCELLED');
+  const promoted = reservation.status === 'RESERVED' ? await promoteWaitlist(session.id, now) : 0;
+  return { ...reservation, status: 'CANCELLED', cancelledAt: now, promoted };
+}
+
+// ─── Check-in integration ────────────────────────────────
+
+/**
+ * Capacity check for a check-in, run inside the check-in transaction.
+ * A student with a RESERVED booking uses their held spot; anyone else needs
+ * a spot nobody has booked. Returns the booking to mark attended, if any.
+ * @param {Object} session - needs id and class.capacity
+ */
+async function claimSpot(tx, session, studentId) {
+  await lockSession(tx, session.id);
+  const booking = await tx.reservation.findUnique({
+    where: { sessionId_studentId: { sessionId: session.id, studentId } },
+  });
+  if (booking?.status === 'RESERVED') return booking;
+
+  if ((await occupiedSpots(tx, session.id)) >= session.class.capacity) {
+    throw httpError(400, 'Class is at capacity', 'AT_CAPACITY');
+  }
+  // A waitlisted student who walks in while there's room counts as attended
+  return booking?.status === 'WAITLISTED' ? booking : null;
+}
+
+/** Link a booking to the check-in that fulfilled it. */
+async function markAttended(tx, booking, checkInId) {
+  if (!booking) return;
+  await tx.reservation.update({ where: { id: booking.id }, data: { status: 'ATTENDED', checkInId } });
+}
+
+/**
+ * Before a check-in is undone: a booked student gets their held spot back.
+ * @returns {Promise<boolean>} true when the spot is now free (walk-in)
+ */
+async function releaseCheckIn(tx, checkInId) {
+  const booking = await tx.reservation.findUnique({ where: { checkInId } });
+  if (!booking) return true;
+  await tx.reservation.update({ where: { id: booking.id }, data: { status: 'RESERVED', checkInId: null } });
+  return false;
+}
+
+// ─── No-shows ────────────────────────────────────────────
+
+/**
+ * Mark held spots as NO_SHOW once their class has ended without a check-in.
+ * With `sessionId`, that session is treated as finished regardless of time.
+ * @returns {Promise<number>} how many were marked
+ */
+async function markNoShows({ sessionId, now = new Date() } = {}) {
+  const candidates = await prisma.reservation.findMany({
+    where: {
+      status: 'RESERVED',
+      ...(sessionId
+        ? { sessionId }
+        // Today somewhere is at most tomorrow in UTC; the exact end time is checked below
+        : { session: { status: { not: 'CANCELLED' }, sessionDate: { lte: new Date(startOfToday(now, 'UTC').getTime() + DAY_MS) } } }),
+    },
+    include: { session: { select: SESSION_SELECT } },
+  });
+  const due = sessionId
+    ? candidates
+    : candidates.filter((r) => sessionEndsAt(r.session) <= now);
+  if (due.length === 0) return 0;
+
+  // One at a time, so only bookings still held (not checked in or cancelled meanwhile) are marked and notified
+  let marked = 0;
+  for (const r of due) {
+    const { count } = await prisma.reservation.updateMany({
+      where: { id: r.id, status: 'RESERVED' },
+      data: { status: 'NO_SHOW' },
+    });
+    if (count === 0) continue;
+    marked++;
+    await notify(r, r.session, 'RESERVATION_NO_SHOW');
+  }
+
+  if (marked) logger.info(`[Reservations] Marked ${marked} no-shows`);
+  return marked;
+}
+
+/** Start the no-show sweep — every 15 minutes. */
+function startReservationScheduler() {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await markNoShows();
+    } catch (err) {
+      logger.error(`[Reservations] No-show sweep error: ${err.message}`);
+    }
+  });
+  logger.info('🎟️ Reservation scheduler started (no-show sweep every 15 min)');
+}
+
+module.exports = {
+  SESSION_SELECT,
+  occupiedSpots,
+  waitlistPosition,
+  reserve,
+  promoteWaitlist,
+  cancelReservation,
+  claimSpot,
+  markAttended,
+  releaseCheckIn,
+  markNoShows,
+  startReservationScheduler,
+};
@@ -0,0 +1,410 @@
+/**
+ * Schedule Conflict Service
+ *
+ * Finds clashes when something is put on the calendar:
+ *
+ *   INSTRUCTOR   the instructor is already teaching another session   (blocking)
+ *   ROOM         the room/mat is taken by a session or an event        (blocking)
+ *   VENUE        another event is booked at the same venue             (blocking)
+ *   TIME_OFF     the instructor is on recorded time off               (warning)
+ *   UNAVAILABLE  outside the instructor's weekly availability         (warning)
+ *
+ * Blocking conflicts stop a save with a 409 unless the caller passes
+ * `overrideConflicts: true`; warnings are only reported. Substitutes and
+ * one-off room changes count — a session is taught by its effective
+ * instructor in its effective room.
+ *
+ * An event with no end date is treated as running to the end of its day.
+ * Session times are wall-clock times in the school's time zone.
+ */
+const prisma = require('../config/database');
+const config = require('../config');
+const { DAY_MS, startOfToday, dateOnly, localDate, atTime } = require('../utils/dates');
+const { scheduleDates } = require('./sessionGenerator');
+const { loadClosures, isClosed } = require('./schoolClosures');
+const { getSchoolTimeZone } = require('./schoolTime');
+
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const BLOCKING = ['INSTRUCTOR', 'ROOM', 'VENUE'];
+
+/** The instructor teaching a session: its substitute, else the class's instructor. */
+function effectiveInstructorId(session) {
+  return session.instructorId || session.class?.instructorId || null;
+}
+
+/** The room a session meets in: its one-off room, else the class's room. */
+function effectiveRoomId(session) {
+  return session.roomId || session.class?.roomId || null;
+}
+
+const minutes = (time) => {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+const fmtDate = (d) => new Date(d).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+
+/** [start, end) of an event; open-ended events run to the end of their (local) day. */
+function eventSpan(event, timeZone = config.defaultTimeZone) {
+  const start = new Date(event.startDate);
+  const end = event.endDate
+    ? new Date(event.endDate)
+    : atTime(new Date(localDate(start, timeZone).getTime() + DAY_MS), '00:00', timeZone);
+  return [start, end];
+}
+
+const conflict = (type, message, extra = {}) => ({ type, blocking: BLOCKING.includes(type), message, ...extra });
+
+// ─── Session slots ───────────────────────────────────────
+
+/**
+ * Check proposed session slots against other sessions, room bookings,
+ * time off and weekly availability. Batched so a whole schedule's worth of
+ * dates costs a handful of queries.
+ * @param {Object[]} slots - { sessionDate, startTime, endTime, instructorId?, roomId?,
+ *   sessionId? (skip itself), scheduleId? (skip sessions of the schedule being edited) }
+ * @param {Object} [opts]
+ * @param {string} [opts.schoolId] - limit availability windows to this school
+ * @param {string} [opts.timeZone] - the slots' time zone; the school's when omitted
+ * @returns {Promise<Object[][]>} per slot: [{ type, blocking, message, with? }]
+ */
+async function findConflicts(slots, { schoolId, timeZone } = {}) {
+  const wanted = slots.filter((s) => s.instructorId || s.roomId);
+  if (wanted.length === 0) return slots.map(() => []);
+  const tz = timeZone || await getSchoolTimeZone(schoolId);
+
+  const instructorIds = [...new Set(wanted.map((s) => s.instructorId).filter(Boolean))];
+  const roomIds = [...new Set(wanted.map((s) => s.roomId).filter(Boolean))];
+  const dates = [...new Set(wanted.map((s) => dateOnly(s.sessionDate).getTime()))].map((t) => new Date(t));
+  const starts = wanted.map((s) => atTime(s.sessionDate, s.startTime, tz));
+  const ends = wanted.map((s) => atTime(s.sessionDate, s.endTime, tz));
+  const earliest = new Date(Math.min(...starts));
+  const latest = new Date(Math.max(...ends));
+
+  const who = [];
+  if (instructorIds.length) {
+    who.push({ instructorId: { in: instructorIds } }, { instructorId: null, class: { instructorId: { in: instructorIds } } });
+  }
+  if (roomIds.length) {
+    who.push({ roomId: { in: roomIds } }, { roomId: null, class: { roomId: { in: roomIds } } });
+  }
+
+  const [sessions, events, rooms, timeOff, availability] = await Promise.all([
+    prisma.classSession.findMany({
+      where: { sessionDate: { in: dates }, status: { not: 'CANCELLED' }, OR: who },
+      select: {
+        id: true, scheduleId: true, sessionDate: true, startTime: true, endTime: true, instructorId: true, roomId: true,
+        class: { select: { id: true, name: true, instructorId: true, roomId: true } },
+      },
+    }),
+    roomIds.length
+      ? prisma.event.findMany({
+        where: {
+          roomId: { in: roomIds },
+          startDate: { lt: latest },
+          OR: [{ endDate: { gt: earliest } }, { endDate: null, startDate: { gt: new Date(earliest.getTime() - DAY_MS) } }],
+        },
+        select: { id: true, name: true, roomId: true, startDate: true, endDate: true },
+      })
+      : [],
+    roomIds.length ? prisma.room.findMany({ where: { id: { in: roomIds } }, select: { id: true, name: true } }) : [],
+    instructorIds.length
+      ? prisma.instructorTimeOff.findMany({
+        where: { instructorId: { in: instructorIds }, startsAt: { lt: latest }, endsAt: { gt: earliest } },
+      })
+      : [],
+    instructorIds.length
+      ? prisma.instructorAvailability.findMany({
+        where: { instructorId: { in: instructorIds }, ...(schoolId && { schoolId }) },
+      })
+      : [],
+  ]);
+  const roomName = Object.fromEntries(rooms.map((r) => [r.id, r.name]));
+
+  return slots.map((slot) => {
+    if (!slot.instructorId && !slot.roomId) return [];
+    const day = dateOnly(slot.sessionDate).getTime();
+    const from = minutes(slot.startTime);
+    const to = minutes(slot.endTime);
+    const start = atTime(slot.sessionDate, slot.startTime, tz);
+    const end = atTime(slot.sessionDate, slot.endTime, tz);
+    const found = [];
+
+    for (const other of sessions) {
+      if (other.id === slot.sessionId || (slot.scheduleId && other.scheduleId === slot.scheduleId)) continue;
+      if (dateOnly(other.sessionDate).getTime() !== day) continue;
+      if (!(minutes(other.startTime) < to && minutes(other.endTime) > from)) continue;
+      const ref = {
+        kind: 'SESSION', id: other.id, classId: other.class.id, name: other.class.name,
+        startTime: other.startTime, endTime: other.endTime,
+      };
+      if (slot.instructorId && effectiveInstructorId(other) === slot.instructorId) {
+        found.push(conflict('INSTRUCTOR', `Instructor is already teaching ${other.class.name} ${other.startTime}–${other.endTime}`, { with: ref }));
+      }
+      if (slot.roomId && effectiveRoomId(other) === slot.roomId) {
+        found.push(conflict('ROOM', `${roomName[slot.roomId] || 'Room'} is booked for ${other.class.name} ${other.startTime}–${other.endTime}`, { with: ref }));
+      }
+    }
+
+    for (const event of events) {
+      if (event.roomId !== slot.roomId) continue;
+      const [evStart, evEnd] = eventSpan(event, tz);
+      if (evStart < end && evEnd > start) {
+        found.push(conflict('ROOM', `${roomName[slot.roomId] || 'Room'} is booked for the event ${event.name}`, {
+          with: { kind: 'EVENT', id: event.id, name: event.name, startDate: event.startDate, endDate: event.endDate },
+        }));
+      }
+    }
+
+    for (const off of timeOff) {
+      if (off.instructorId !== slot.instructorId) continue;
+      if (off.startsAt < end && off.endsAt > start) {
+        found.push(conflict('TIME_OFF', `Instructor is on time off${off.reason ? ` (${off.reason})` : ''}`, {
+          with: { kind: 'TIME_OFF', id: off.id, startsAt: off.startsAt, endsAt: off.endsAt },
+        }));
+      }
+    }
+
+    // No windows recorded means no stated limits
+    const windows = availability.filter((a) => a.instructorId === slot.instructorId);
+    const weekday = DAY_NAMES[new Date(day).getUTCDay()];
+    if (windows.length > 0 && !windows.some((a) => a.dayOfWeek === weekday
+      && minutes(a.startTime) <= from && minutes(a.endTime) >= to)) {
+      found.push(conflict('UNAVAILABLE', `Outside the instructor's availability on ${weekday}`));
+    }
+
+    return found.map((c) => ({ ...c, sessionDate: dateOnly(slot.sessionDate) }));
+  });
+}
+
+/** Conflicts for one slot. */
+async function slotConflicts(slot, opts) {
+  const [found] = await findConflicts([slot], opts);
+  return found;
+}
+
+/**
+ * Collapse per-date conflicts for a recurring schedule into one entry per
+ * clash, with the dates it happens on.
+ */
+function summarize(perSlot) {
+  const groups = new Map();
+  for (const c of perSlot.flat()) {
+    const key = `${c.type}:${c.with?.kind || ''}:${c.with?.classId || c.with?.id || ''}`;
+    if (!groups.has(key)) groups.set(key, { ...c, dates: [] });
+    groups.get(key).dates.push(c.sessionDate);
+  }
+  return [...groups.values()].map(({ sessionDate, ...c }) => ({
+    ...c,
+    message: c.dates.length > 1 ? `${c.message} — ${c.dates.length} dates from ${fmtDate(c.dates[0])}` : `${c.message} on ${fmtDate(c.dates[0])}`,
+  }));
+}
+
+/**
+ * Conflicts for a recurring schedule over the session horizon, as it would
+ * be after saving. Closed days are skipped, like the generator does.
+ * @param {Object} schedule - { id?, dayOfWeek, startTime, endTime, effectiveFrom, effectiveUntil }
+ * @param {Object} cls - Class with instructorId, roomId, schoolId
+ */
+async function scheduleConflicts(schedule, cls, { now = new Date() } = {}) {
+  const timeZone = await getSchoolTimeZone(cls.schoolId);
+  const today = startOfToday(now, timeZone);
+  const horizon = new Date(today.getTime() + config.sessionHorizonWeeks * 7 * DAY_MS);
+  const closures = await loadClosures(cls.schoolId);
+  const dates = scheduleDates({ ...schedule, effectiveFrom: schedule.effectiveFrom || today }, today, horizon)
+    .filter((d) => !isClosed(closures, d));
+  if (dates.length === 0) return [];
+
+  const perSlot = await findConflicts(dates.map((sessionDate) => ({
+    sessionDate,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    instructorId: cls.instructorId,
+    roomId: cls.roomId,
+    scheduleId: schedule.id,
+  })), { schoolId: cls.schoolId, timeZone });
+  return summarize(perSlot);
+}
+
+/**
+ * Conflicts for a class's upcoming sessions — used before changing the
+ * class's instructor or room. `changes` is the class as it would be after.
+ * @param {Object} [changes] - { instructorId?, roomId? }
+ */
+async function classConflicts(classId, changes = {}, { now = new Date() } = {}) {
+  const cls = await prisma.class.findUnique({ where: { id: classId }, select: { schoolId: true } });
+  if (!cls) return [];
+  const timeZone = await getSchoolTimeZone(cls.schoolId);
+  const sessions = await prisma.classSession.findMany({
+    where: { classId, status: 'SCHEDULED', sessionDate: { gte: startOfToday(now, timeZone) } },
+    select: {
+      id: true, sessionDate: true, startTime: true, endTime: true, instructorId: true, roomId: true,
+      class: { select: { instructorId: true, roomId: true, schoolId: true } },
+    },
+    orderBy: { sessionDate: 'asc' },
+  });
+  if (sessions.length === 0) return [];
+
+  const perSlot = await findConflicts(sessions.map((s) => {
+    const planned = { ...s, class: { ...s.class, ...changes } };
+    return {
+      sessionId: s.id,
+      sessionDate: s.sessionDate,
+      startTime: s.startTime,
+      endTime: s.endTime,
+      instructorId: effectiveInstructorId(planned),
+      roomId: effectiveRoomId(planned),
+    };
+  }), { schoolId: cls.schoolId, timeZone });
+  return summarize(perSlot);
+}
+
+// ─── Events ──────────────────────────────────────────────
+
+/**
+ * Conflicts for an event at a venue and/or in a school room.
+ * @param {Object} event - { id?, schoolId?, venueId?, roomId?, startDate, endDate? }
+ * @param {Object} [opts]
+ * @param {string} [opts.timeZone] - the school's when omitted
+ */
+async function eventConflicts(event, { timeZone } = {}) {
+  if (!event.venueId && !event.roomId) return [];
+  const tz = timeZone || await getSchoolTimeZone(event.schoolId);
+  const [start, end] = eventSpan(event, tz);
+  const found = [];
+
+  const others = await prisma.event.findMany({
+    where: {
+      ...(event.id && { id: { not: event.id } }),
+      OR: [
+        ...(event.venueId ? [{ venueId: event.venueId }] : []),
+        ...(event.roomId ? [{ roomId: event.roomId }] : []),
+      ],
+      startDate: { lt: end },
+      AND: [{ OR: [{ endDate: { gt: start } }, { endDate: null, startDate: { gt: new Date(start.getTime() - DAY_MS) } }] }],
+    },
+    select: { id: true, name: true, venueId: true, roomId: true, startDate: true, endDate: true },
+  });
+  for (const other of others) {
+    const [oStart, oEnd] = eventSpan(other, tz);
+    if (!(oStart < end && oEnd > start)) continue;
+    const ref = { kind: 'EVENT', id: other.id, name: other.name, startDate: other.startDate, endDate: other.endDate };
+    if (event.venueId && other.venueId === event.venueId) {
+      found.push(conflict('VENUE', `Venue is already booked for ${other.name}`, { with: ref }));
+    }
+    if (event.roomId && other.roomId === event.roomId) {
+      found.push(conflict('ROOM', `Room is already booked for ${other.name}`, { with: ref }));
+    }
+  }
+
+  if (event.roomId) {
+    const sessions = await prisma.classSession.findMany({
+      where: {
+        status: { not: 'CANCELLED' },
+        sessionDate: { gte: dateOnly(new Date(start.getTime() - DAY_MS)), lte: end },
+        OR: [{ roomId: event.roomId }, { roomId: null, class: { roomId: event.roomId } }],
+      },
+      select: { id: true, sessionDate: true, startTime: true, endTime: true, roomId: true, class: { select: { id: true, name: true, roomId: true } } },
+    });
+    for (const s of sessions) {
+      if (effectiveRoomId(s) !== event.roomId) continue;
+      if (atTime(s.sessionDate, s.startTime, tz) < end && atTime(s.sessionDate, s.endTime, tz) > start) {
+        found.push(conflict('ROOM', `Room is booked for ${s.class.name} on ${fmtDate(s.sessionDate)} ${s.startTime}–${s.endTime}`, {
+          with: { kind: 'SESSION', id: s.id, classId: s.class.id, name: s.class.name, sessionDate: s.sessionDate, startTime: s.startTime, endTime: s.endTime },
+        }));
+      }
+    }
+  }
+  return found;
+}
+
+// ─── Calendar ────────────────────────────────────────────
+
+/**
+ * Everything on a school's calendar in [from, until] that clashes, keyed by
+ * session and event id, for highlighting. Cancelled sessions are ignored.
+ * @returns {Promise<{ sessions: Object<string, Object[]>, events: Object<string, Object[]> }>}
+ */
+async function calendarConflicts({ schoolId, from, until }) {
+  const timeZone = await getSchoolTimeZone(schoolId);
+  const [sessions, events] = await Promise.all([
+    prisma.classSession.findMany({
+      where: { class: { schoolId }, status: { not: 'CANCELLED' }, sessionDate: { gte: dateOnly(from), lte: until } },
+      select: {
+        id: true, sessionDate: true, startTime: true, endTime: true, instructorId: true, roomId: true,
+        class: { select: { instructorId: true, roomId: true } },
+      },
+    }),
+    prisma.event.findMany({
+      where: { schoolId, startDate: { lte: until }, OR: [{ venueId: { not: null } }, { roomId: { not: null } }] },
+      select: { id: true, venueId: true, roomId: true, startDate: true, endDate: true },
+    }),
+  ]);
+
+  const result = { sessions: {}, events: {} };
+  const perSlot = await findConflicts(sessions.map((s) => ({
+    sessionId: s.id,
+    sessionDate: s.sessionDate,
+    startTime: s.startTime,
+    endTime: s.endTime,
+    instructorId: effectiveInstructorId(s),
+    roomId: effectiveRoomId(s),
+  })), { schoolId, timeZone });
+  sessions.forEach((s, i) => {
+    if (perSlot[i].length) result.sessions[s.id] = perSlot[i];
+  });
+
+  for (const event of events) {
+    if (eventSpan(event, timeZone)[1] < from) continue;
+    const found = await eventConflicts(event, { timeZone });
+    if (found.length) result.events[event.id] = found;
+  }
+  return result;
+}
+
+// ─── Enforcement ─────────────────────────────────────────
+
+/** An active room at the school, or a 400. null/undefined passes (no room). */
+async function requireSchoolRoom(roomId, schoolId) {
+  if (!roomId) return null;
+  const room = await prisma.room.findUnique({ where: { id: roomId } });
+  if (!room || !room.isActive || room.schoolId !== schoolId) {
+    throw Object.assign(new Error('Room must be an active room at this school'), { status: 400, reason: 'INVALID_ROOM' });
+  }
+  return room;
+}
+
+/**
+ * Throw a 409 carrying the conflicts when any are blocking and the caller
+ * hasn't chosen to override.
+ */
+function assertNoConflicts(conflicts, override = false) {
+  if (override || !conflicts.some((c) => c.blocking)) return;
+  throw Object.assign(new Error('Scheduling conflict — pass overrideConflicts to save anyway'), {
+    status: 409,
+    reason: 'SCHEDULE_CONFLICT',
+    conflicts,
+  });
+}
+
+/** JSON body for a conflict error, or null for anything else. */
+function conflictResponse(error) {
+  if (error.reason !== 'SCHEDULE_CONFLICT') return null;
+  return { error: error.message, reason: error.reason, conflicts: error.conflicts, canOverride: true };
+}
+
+module.exports = {
+  effectiveInstructorId,
+  effectiveRoomId,
+  eventSpan,
+  findConflicts,
+  slotConflicts,
+  summarize,
+  scheduleConflicts,
+  classConflicts,
+  eventConflicts,
+  calendarConflicts,
+  requireSchoolRoom,
+  assertNoConflicts,
+  conflictResponse,
+};
@@ -0,0 +1,181 @@
+/**
+ * School Closure Service
+ *
+ * Holidays, snow days and other days a school is shut. A closure is a single
+ * date or an inclusive range; YEARLY closures repeat on the same month/day
+ * every year from their start date (ranges may wrap the new year, e.g.
+ * Dec 24 – Jan 2).
+ *
+ * Adding a closure cancels the upcoming SCHEDULED sessions it covers and
+ * tells the school's students and the affected instructors. Those sessions
+ * keep a closureId, so removing the closure puts them back on the calendar.
+ * The session generator skips closed days when topping up the horizon.
+ */
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { DAY_MS, startOfToday, dateOnly } = require('../utils/dates');
+const { sendNotification } = require('./notificationService');
+const { getSchoolTimeZone } = require('./schoolTime');
+
+const monthDay = (d) => d.getUTCMonth() * 100 + d.getUTCDate();
+
+/** Whether `date` falls inside the closure. */
+function closureCovers(closure, date) {
+  const day = dateOnly(date);
+  const start = dateOnly(closure.startDate);
+  if (day < start) return false;
+  if (closure.recurrence !== 'YEARLY') return day <= dateOnly(closure.endDate);
+
+  const from = monthDay(start);
+  const to = monthDay(dateOnly(closure.endDate));
+  const md = monthDay(day);
+  return from <= to ? md >= from && md <= to : md >= from || md <= to;
+}
+
+/** Whether any of the closures covers `date`. */
+function isClosed(closures, date) {
+  return closures.some((c) => closureCovers(c, date));
+}
+
+/**
+ * The closure's date ranges that overlap [from, until], as
+ * [{ startDate, endDate }] — one per year for YEARLY closures.
+ */
+function closureOccurrences(closure, from, until) {
+  const start = dateOnly(closure.startDate);
+  const end = dateOnly(closure.endDate);
+  const lo = dateOnly(from);
+  const hi = dateOnly(until);
+
+  if (closure.recurrence !== 'YEARLY') {
+    return start <= hi && end >= lo ? [{ startDate: start, endDate: end }] : [];
+  }
+
+  const spanDays = Math.round((Date.UTC(start.getUTCFullYear() + (monthDay(end) < monthDay(start) ? 1 : 0),
+    end.getUTCMonth(), end.getUTCDate()) - start) / DAY_MS);
+  const occurrences = [];
+  for (let year = Math.max(start.getUTCFullYear(), lo.getUTCFullYear() - 1); year <= hi.getUTCFullYear(); year++) {
+    const s = new Date(Date.UTC(year, start.getUTCMonth(), start.getUTCDate()));
+    const e = new Date(s.getTime() + spanDays * DAY_MS);
+    if (s <= hi && e >= lo) occurrences.push({ startDate: s, endDate: e });
+  }
+  return occurrences;
+}
+
+/** All closures for a school — small enough to match in memory. */
+async function loadClosures(schoolId, db = prisma) {
+  if (!schoolId) return [];
+  return db.schoolClosure.findMany({ where: { schoolId } });
+}
+
+/** Human-readable dates for notifications, e.g. "12/24/2026 – 1/2/2027". */
+function describeDates(closure) {
+  const fmt = (d) => new Date(d).toLocaleDateString('en-US', { timeZone: 'UTC' });
+  const fmtDay = (d) => new Date(d).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+  const single = dateOnly(closure.startDate).getTime() === dateOnly(closure.endDate).getTime();
+  if (closure.recurrence === 'YEARLY') {
+    return single ? `every ${fmtDay(closure.startDate)}` : `every ${fmtDay(closure.startDate)} – ${fmtDay(closure.endDate)}`;
+  }
+  return single ? fmt(closure.startDate) : `${fmt(closure.startDate)} – ${fmt(closure.endDate)}`;
+}
+
+/**
+ * Notify a school's active students, plus the instructors of the affected
+ * classes, about a closure. Each person hears once, by email and in-app.
+ */
+async function notifyClosure(closure, { type, instructorIds, subject, body, inApp }) {
+  const enrollments = await prisma.enrollment.findMany({
+    where: { schoolId: closure.schoolId, status: 'ACTIVE' },
+    select: { studentId: true },
+  });
+  const recipients = new Set([...enrollments.map((e) => e.studentId), ...instructorIds]);
+  const metadata = { closureId: closure.id };
+
+  for (const userId of recipients) {
+    await sendNotification({ userId, schoolId: closure.schoolId, type, channel: 'EMAIL', vars: { subject, body }, metadata });
+    await sendNotification({ userId, schoolId: closure.schoolId, type, channel: 'IN_APP', vars: { body: inApp }, metadata });
+  }
+  return recipients.size;
+}
+
+/**
+ * Cancel the upcoming sessions a new closure covers and send CLASS_CANCELLED.
+ * Sessions already under way, finished or cancelled are left alone.
+ * @returns {Promise<{ sessionsCancelled: number, notified: number }>}
+ */
+async function applyClosure(closure, now = new Date()) {
+  const today = startOfToday(now, await getSchoolTimeZone(closure.schoolId));
+  const from = dateOnly(closure.startDate) > today ? dateOnly(closure.startDate) : today;
+
+  const candidates = await prisma.classSession.findMany({
+    where: {
+      class: { schoolId: closure.schoolId },
+      status: 'SCHEDULED',
+      sessionDate: closure.recurrence === 'YEARLY' ? { gte: from } : { gte: from, lte: dateOnly(closure.endDate) },
+    },
+    select: { id: true, sessionDate: true, class: { select: { instructorId: true } } },
+  });
+  const affected = candidates.filter((s) => closureCovers(closure, s.sessionDate));
+  if (affected.length === 0) return { sessionsCancelled: 0, notified: 0 };
+
+  const { count } = await prisma.classSession.updateMany({
+    where: { id: { in: affected.map((s) => s.id) }, status: 'SCHEDULED' },
+    data: { status: 'CANCELLED', closureId: closure.id },
+  });
+
+  const school = await prisma.school.findUnique({ where: { id: closure.schoolId }, select: { name: true } });
+  const dates = describeDates(closure);
+  const notified = await notifyClosure(closure, {
+    type: 'CLASS_CANCELLED',
+    instructorIds: [...new Set(affected.map((s) => s.class.instructorId).filter(Boolean))],
+    subject: `${school?.name || 'Your school'} is closed ${dates}`,
+    body: `Hi {{firstName}}, ${school?.name || 'the school'} is closed ${dates} (${closure.name}). ${count} class${count === 1 ? '' : 'es'} on those days ${count === 1 ? 'has' : 'have'} been cancelled.`,
+    inApp: `🚫 Closed ${dates} (${closure.name}) — ${count} class${count === 1 ? '' : 'es'} cancelled`,
+  });
+
+  logger.info(`[Closures] "${closure.name}" cancelled ${count} sessions, notified ${notified} people`);
+  return { sessionsCancelled: count, notified };
+}
+
+/**
+ * Undo a closure that is being removed: its upcoming cancelled sessions go
+ * back to SCHEDULED (unless another closure covers the day) and everyone is
+ * told classes are back on.
+ * @returns {Promise<{ sessionsRestored: number, notified: number }>}
+ */
+async function liftClosure(closure, now = new Date()) {
+  const today = startOfToday(now, await getSchoolTimeZone(closure.schoolId));
+  const found = await prisma.classSession.findMany({
+    where: { closureId: closure.id, status: 'CANCELLED', sessionDate: { gte: today } },
+    select: { id: true, sessionDate: true, class: { select: { instructorId: true } } },
+  });
+  // Days another closure still covers stay cancelled
+  const others = (await loadClosures(closure.schoolId)).filter((c) => c.id !== closure.id);
+  const sessions = found.filter((s) => !isClosed(others, s.sessionDate));
+  if (sessions.length === 0) return { sessionsRestored: 0, notified: 0 };
+
+  const { count } = await prisma.classSession.updateMany({
+    where: { id: { in: sessions.map((s) => s.id) } },
+    data: { status: 'SCHEDULED', closureId: null },
+  });
+
+  const dates = describeDates(closure);
+  const notified = await notifyClosure(closure, {
+    type: 'CLASS_CHANGE',
+    instructorIds: [...new Set(sessions.map((s) => s.class.instructorId).filter(Boolean))],
+    subject: `Classes are back on ${dates}`,
+    body: `Hi {{firstName}}, the closure "${closure.name}" (${dates}) has been called off. ${count} class${count === 1 ? '' : 'es'} ${count === 1 ? 'is' : 'are'} back on the schedule.`,
+    inApp: `✅ "${closure.name}" called off — ${count} class${count === 1 ? '' : 'es'} back on`,
+  });
+
+  return { sessionsRestored: count, notified };
+}
+
+module.exports = {
+  closureCovers,
+  isClosed,
+  closureOccurrences,
+  loadClosures,
+  applyClosure,
+  liftClosure,
+};
@@ -0,0 +1,63 @@
+/**
+ * School Time Service
+ *
+ * Each school keeps its own clock: "today", class start times, due dates
+ * and report days are all in the school's IANA time zone (School.timezone),
+ * falling back to DEFAULT_TIMEZONE. Pass the zone from here into the
+ * helpers in utils/dates.
+ */
+const prisma = require('../config/database');
+const config = require('../config');
+const { zonedParts, atTime } = require('../utils/dates');
+
+/** Select this on a school relation to get what schoolTimeZone() needs. */
+const TIME_ZONE_SELECT = { timezone: true };
+
+/** @param {{ timezone?: string|null }|null} school */
+function schoolTimeZone(school) {
+  return school?.timezone || config.defaultTimeZone;
+}
+
+/**
+ * When a session starts and ends. Needs `class.school.timezone` on the
+ * session (select `school: { select: TIME_ZONE_SELECT }` on its class).
+ */
+function sessionStartsAt(session) {
+  return atTime(session.sessionDate, session.startTime, schoolTimeZone(session.class?.school));
+}
+
+function sessionEndsAt(session) {
+  return atTime(session.sessionDate, session.endTime, schoolTimeZone(session.class?.school));
+}
+
+/** The time zone of a school by id (the default for unknown / no school). */
+async function getSchoolTimeZone(schoolId) {
+  if (!schoolId) return config.defaultTimeZone;
+  const school = await prisma.school.findUnique({ where: { id: schoolId }, select: TIME_ZONE_SELECT });
+  return schoolTimeZone(school);
+}
+
+/**
+ * Active schools with their time zones, optionally only those where the
+ * local hour is `hour` right now — hourly jobs use this to run a "9 AM"
+ * task at 9 AM in each school.
+ * @returns {Promise<Array<{ id: string, name: string, timeZone: string }>>}
+ */
+async function activeSchools({ hour, now = new Date() } = {}) {
+  const schools = await prisma.school.findMany({
+    where: { isActive: true },
+    select: { id: true, name: true, timezone: true },
+  });
+  return schools
+    .map(({ timezone, ...s }) => ({ ...s, timeZone: schoolTimeZone({ timezone }) }))
+    .filter((s) => hour === undefined || zonedParts(now, s.timeZone).hour === hour);
+}
+
+module.exports = {
+  TIME_ZONE_SELECT,
+  schoolTimeZone,
+  sessionStartsAt,
+  sessionEndsAt,
+  getSchoolTimeZone,
+  activeSchools,
+};
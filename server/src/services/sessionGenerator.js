@@ -0,0 +1,270 @@
+/**
+ * Session Generator
+ *
+ * Keeps a rolling window of ClassSessions for every active ClassSchedule so
+ * classes never drop off the calendar. A daily job tops each schedule up to
+ * SESSION_HORIZON_WEEKS ahead (default 8); adding or editing a schedule
+ * syncs it straight away.
+ *
+ * Sessions are unique per (scheduleId, sessionDate), so re-runs never create
+ * duplicates. Syncing only ever moves or removes future sessions that are
+ * still SCHEDULED — anything staff cancelled, or that has check-ins or
+ * active bookings, stays put. Booked sessions still follow a new start or
+ * end time, and whoever booked them is told.
+ * Days the school is closed (see schoolClosures) are never generated.
+ * "Today" is the school's today, in its own time zone.
+ */
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { DAY_MS, startOfToday, dateOnly } = require('../utils/dates');
+const { loadClosures, isClosed } = require('./schoolClosures');
+const { TIME_ZONE_SELECT, schoolTimeZone } = require('./schoolTime');
+const { sendNotification } = require('./notificationService');
+
+const DAY_INDEX = { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 };
+
+/** Bookings that hold a session in place: a spot or a waitlist place. */
+const ACTIVE_BOOKING = { status: { in: ['RESERVED', 'WAITLISTED'] } };
+
+/** Whether a session on `date` belongs to the schedule as it stands now. */
+function fitsSchedule(schedule, date) {
+  const day = dateOnly(date);
+  if (day.getUTCDay() !== DAY_INDEX[schedule.dayOfWeek]) return false;
+  if (day < dateOnly(schedule.effectiveFrom)) return false;
+  return !schedule.effectiveUntil || day <= dateOnly(schedule.effectiveUntil);
+}
+
+/** Dates the schedule meets on in [from, until). */
+function scheduleDates(schedule, from, until) {
+  const start = new Date(Math.max(from, dateOnly(schedule.effectiveFrom)));
+  const offset = (DAY_INDEX[schedule.dayOfWeek] - start.getUTCDay() + 7) % 7;
+  const dates = [];
+  for (let t = start.getTime() + offset * DAY_MS; t < until; t += 7 * DAY_MS) {
+    const date = new Date(t);
+    if (schedule.effectiveUntil && date > dateOnly(schedule.effectiveUntil)) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+const sessionQrCode = () => `FLOW-${uuidv4().slice(0, 8).toUpperCase()}`;
+
+/**
+ * Delete sessions along with their cancelled bookings. Active bookings block
+ * the delete (the foreign key restricts it) — callers leave booked sessions out.
+ */
+async function deleteSessions(where) {
+  const [, result] = await prisma.$transaction([
+    prisma.reservation.deleteMany({ where: { status: 'CANCELLED', session: where } }),
+    prisma.classSession.deleteMany({ where }),
+  ]);
+  return result.count;
+}
+
+/**
+ * Tell everyone booked or waitlisted on retimed sessions about the new time,
+ * by email and in-app — they booked the old one.
+ * @param {Object[]} sessions - the sessions as they were, before the update
+ * @returns {Promise<number>} bookings notified
+ */
+async function notifyRetimed(sessions, schedule) {
+  const before = new Map(sessions.map((s) => [s.id, s]));
+  const bookings = await prisma.reservation.findMany({
+    where: { sessionId: { in: [...before.keys()] }, ...ACTIVE_BOOKING },
+    select: {
+      id: true,
+      studentId: true,
+      sessionId: true,
+      session: { select: { sessionDate: true, class: { select: { name: true, schoolId: true } } } },
+    },
+  });
+
+  for (const booking of bookings) {
+    const was = before.get(booking.sessionId);
+    const { name, schoolId } = booking.session.class;
+    const date = new Date(booking.session.sessionDate).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+    const base = {
+      userId: booking.studentId,
+      schoolId,
+      type: 'CLASS_CHANGE',
+      metadata: { reservationId: booking.id, sessionId: booking.sessionId },
+    };
+    await sendNotification({
+      ...base,
+      channel: 'EMAIL',
+      vars: {
+        subject: `${name} on ${date} has a new time`,
+        body: `Hi {{firstName}}, ${name} on ${date} now runs ${schedule.startTime}–${schedule.endTime} (it was ${was.startTime}–${was.endTime}). Your booking still stands — cancel it if the new time doesn't suit you.`,
+      },
+    });
+    await sendNotification({
+      ...base,
+      channel: 'IN_APP',
+      vars: { body: `🕒 ${name} on ${date} now runs ${schedule.startTime}–${schedule.endTime} (was ${was.startTime}–${was.endTime})` },
+    });
+  }
+  return bookings.length;
+}
+
+/**
+ * Bring a schedule's future sessions in line with it: drop sessions on days
+ * it no longer meets, retime the rest, and create any missing ones up to the
+ * horizon. People booked on a retimed session are notified.
+ * @param {Object} schedule - ClassSchedule row
+ * @param {Object} [opts]
+ * @param {number} [opts.weeks] - horizon; defaults to config.sessionHorizonWeeks
+ * @param {Object[]} [opts.closures] - the school's closures, loaded when omitted
+ * @param {string} [opts.timeZone] - the school's time zone, looked up when omitted
+ * @returns {Promise<{ created: number, updated: number, removed: number }>}
+ */
+async function syncSchedule(schedule, { weeks = config.sessionHorizonWeeks, now = new Date(), closures, timeZone } = {}) {
+  if (!closures || !timeZone) {
+    const cls = await prisma.class.findUnique({
+      where: { id: schedule.classId },
+      select: { schoolId: true, school: { select: TIME_ZONE_SELECT } },
+    });
+    closures = closures || (cls ? await loadClosures(cls.schoolId) : []);
+    timeZone = timeZone || schoolTimeZone(cls?.school);
+  }
+
+  const today = startOfToday(now, timeZone);
+  const horizon = new Date(today.getTime() + weeks * 7 * DAY_MS);
+
+  const future = await prisma.classSession.findMany({
+    where: { scheduleId: schedule.id, sessionDate: { gte: today } },
+    select: {
+      id: true, sessionDate: true, startTime: true, endTime: true, status: true,
+      _count: { select: { checkIns: true, reservations: { where: ACTIVE_BOOKING } } },
+    },
+  });
+
+  const movable = (s) => s.status === 'SCHEDULED' && s._count.checkIns === 0 && s._count.reservations === 0;
+  const stale = future.filter((s) => movable(s) && !fitsSchedule(schedule, s.sessionDate));
+  const kept = future.filter((s) => !stale.includes(s));
+  const retimed = kept.filter((s) => s.status === 'SCHEDULED'
+    && (s.startTime !== schedule.startTime || s.endTime !== schedule.endTime));
+
+  if (stale.length > 0) {
+    await deleteSessions({ id: { in: stale.map((s) => s.id) } });
+  }
+  if (retimed.length > 0) {
+    await prisma.classSession.updateMany({
+      where: { id: { in: retimed.map((s) => s.id) } },
+      data: { startTime: schedule.startTime, endTime: schedule.endTime },
+    });
+    const booked = retimed.filter((s) => s._count.reservations > 0);
+    if (booked.length > 0) {
+      const notified = await notifyRetimed(booked, schedule);
+      logger.info(`[Sessions] Schedule ${schedule.id} retimed ${booked.length} booked sessions, notified ${notified} bookings`);
+    }
+  }
+
+  const existing = new Set(kept.map((s) => dateOnly(s.sessionDate).getTime()));
+  const missing = scheduleDates(schedule, today, horizon)
+    .filter((d) => !existing.has(d.getTime()) && !isClosed(closures, d));
+  let created = 0;
+  if (missing.length > 0) {
+    const result = await prisma.classSession.createMany({
+      data: missing.map((sessionDate) => ({
+        classId: schedule.classId,
+        scheduleId: schedule.id,
+        sessionDate,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        status: 'SCHEDULED',
+        qrCode: sessionQrCode(),
+      })),
+      skipDuplicates: true,
+    });
+    created = result.count;
+  }
+
+  return { created, updated: retimed.length, removed: stale.length };
+}
+
+/**
+ * Remove a schedule's future sessions that haven't been used or booked,
+ * ahead of deleting the schedule itself. Returns the number removed.
+ */
+async function removeFutureSessions(scheduleId, now = new Date()) {
+  const schedule = await prisma.classSchedule.findUnique({
+    where: { id: scheduleId },
+    select: { class: { select: { school: { select: TIME_ZONE_SELECT } } } },
+  });
+  return deleteSessions({
+    scheduleId,
+    sessionDate: { gte: startOfToday(now, schoolTimeZone(schedule?.class.school)) },
+    status: 'SCHEDULED',
+    checkIns: { none: {} },
+    reservations: { none: ACTIVE_BOOKING },
+  });
+}
+
+/**
+ * Daily run: sync every schedule of an active class that hasn't ended.
+ * Errors on one schedule don't stop the rest.
+ */
+async function generateSessions({ weeks = config.sessionHorizonWeeks, now = new Date() } = {}) {
+  const schedules = await prisma.classSchedule.findMany({
+    where: {
+      class: { isActive: true },
+      // A day of slack for schools behind UTC; syncSchedule works from each school's today
+      OR: [{ effectiveUntil: null }, { effectiveUntil: { gte: new Date(startOfToday(now, 'UTC').getTime() - DAY_MS) } }],
+    },
+    include: { class: { select: { schoolId: true, school: { select: TIME_ZONE_SELECT } } } },
+  });
+  const closuresBySchool = new Map();
+
+  const summary = { schedules: schedules.length, created: 0, updated: 0, removed: 0 };
+  for (const schedule of schedules) {
+    try {
+      const { schoolId } = schedule.class;
+      if (!closuresBySchool.has(schoolId)) closuresBySchool.set(schoolId, await loadClosures(schoolId));
+      const result = await syncSchedule(schedule, {
+        weeks,
+        now,
+        closures: closuresBySchool.get(schoolId),
+        timeZone: schoolTimeZone(schedule.class.school),
+      });
+      summary.created += result.created;
+      summary.updated += result.updated;
+      summary.removed += result.removed;
+    } catch (err) {
+      logger.error(`[Sessions] Error syncing schedule ${schedule.id}: ${err.message}`);
+    }
+  }
+
+  if (summary.created || summary.updated || summary.removed) {
+    logger.info(`[Sessions] ${summary.created} created, ${summary.updated} retimed, ${summary.removed} removed across ${summary.schedules} schedules`);
+  }
+  return summary;
+}
+
+/**
+ * Start the session scheduler — daily at 00:30, plus once at startup so a
+ * fresh deploy fills the calendar without waiting a day.
+ */
+function startSessionScheduler() {
+  cron.schedule('30 0 * * *', async () => {
+    try {
+      await generateSessions();
+    } catch (err) {
+      logger.error(`[Sessions] Scheduler error: ${err.message}`);
+    }
+  });
+
+  generateSessions().catch((err) => logger.error(`[Sessions] Startup run error: ${err.message}`));
+  logger.info(`🗓️ Session generator started (daily @ 00:30, ${config.sessionHorizonWeeks}-week horizon)`);
+}
+
+module.exports = {
+  fitsSchedule,
+  scheduleDates,
+  syncSchedule,
+  removeFutureSessions,
+  generateSessions,
+  startSessionScheduler,
+};
@@ -0,0 +1,211 @@
+/**
+ * Session Lifecycle Service
+ *
+ * Moves class sessions along with the school's clock, so nobody has to
+ * press "start" or "end":
+ *
+ *   SCHEDULED ──start time──▶ IN_PROGRESS ──end time──▶ COMPLETED
+ *
+ * Start and end times are read in the school's time zone. Cancelled
+ * sessions are left alone. Completing a session — here or by hand through
+ * the status endpoints — runs the follow-up work:
+ *
+ * - held reservations without a check-in become NO_SHOW
+ * - anyone still checked in is checked out at the end time (AUTO)
+ * - a PENDING payroll entry is drafted for whoever taught it (the
+ *   substitute, if any), at the instructor's last rate at the school
+ * - belt requirements (attendance, time in rank, age) are recounted for
+ *   everyone who checked in
+ *
+ * Each follow-up is idempotent, so re-running it for a session is harmless.
+ * Sessions the scheduler only finds days after they ended (a backlog from
+ * before it ran) are marked COMPLETED without follow-ups.
+ */
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { DAY_MS, startOfToday } = require('../utils/dates');
+const { TIME_ZONE_SELECT, sessionStartsAt, sessionEndsAt } = require('./schoolTime');
+const { effectiveInstructorId } = require('./scheduleConflicts');
+const { markNoShows } = require('./reservations');
+const { refreshBeltProgress } = require('./beltProgress');
+const { autoCheckOut } = require('./checkOuts');
+
+const OPEN_STATUSES = ['SCHEDULED', 'IN_PROGRESS'];
+
+/**
+ * Sessions still open this long after they ended are closed without any
+ * follow-ups — a backlog from before the scheduler ran shouldn't draft
+ * payroll or send no-show notices for classes long past.
+ */
+const FOLLOW_UP_WINDOW_MS = 2 * DAY_MS;
+
+const SESSION_SELECT = {
+  id: true,
+  sessionDate: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  instructorId: true,
+  class: { select: { name: true, schoolId: true, instructorId: true, school: { select: TIME_ZONE_SELECT } } },
+};
+
+// ─── Follow-ups ──────────────────────────────────────────
+
+/**
+ * Draft the payroll entry for a finished session. Skipped when the session
+ * already has one, or the instructor has no earlier entry at the school to
+ * take a rate from — the owner adds that first one by hand.
+ * @returns {Promise<Object|null>} the drafted entry
+ */
+async function draftPayroll(session) {
+  const instructorId = effectiveInstructorId(session);
+  const schoolId = session.class.schoolId;
+  if (!instructorId) return null;
+
+  const existing = await prisma.payrollEntry.count({ where: { sessionId: session.id } });
+  if (existing) return null;
+
+  const last = await prisma.payrollEntry.findFirst({
+    where: { schoolId, instructorId },
+    orderBy: { createdAt: 'desc' },
+    select: { hourlyRate: true },
+  });
+  if (!last) {
+    logger.info(`[Lifecycle] No pay rate on file for instructor ${instructorId} — payroll for session ${session.id} not drafted`);
+    return null;
+  }
+
+  const hoursWorked = Math.round(((sessionEndsAt(session) - sessionStartsAt(session)) / 3600000) * 100) / 100;
+  if (!(hoursWorked > 0)) return null;
+
+  return prisma.payrollEntry.create({
+    data: {
+      schoolId,
+      instructorId,
+      sessionId: session.id,
+      hoursWorked,
+      hourlyRate: last.hourlyRate,
+      totalPay: Math.round(hoursWorked * last.hourlyRate * 100) / 100,
+      date: session.sessionDate,
+      notes: `Drafted when ${session.class.name} ended`,
+    },
+  });
+}
+
+/**
+ * Follow-up work for a session that has just been completed. Each step
+ * runs on its own, so one failing doesn't hold up the others.
+ * @param {string} sessionId
+ */
+async function onSessionCompleted(sessionId) {
+  const session = await prisma.classSession.findUnique({
+    where: { id: sessionId },
+    select: { ...SESSION_SELECT, checkIns: { select: { studentId: true } } },
+  });
+  if (!session || session.status !== 'COMPLETED') return;
+
+  const steps = {
+    noShows: () => markNoShows({ sessionId }),
+    payroll: () => draftPayroll(session),
+    // Before belt progress, which may count full attendances only
+    checkOuts: () => autoCheckOut(session),
+    beltProgress: () => refreshBeltProgress({
+      studentIds: session.checkIns.map((c) => c.studentId),
+      schoolId: session.class.schoolId,
+    }),
+  };
+  for (const [name, step] of Object.entries(steps)) {
+    try {
+      await step();
+    } catch (err) {
+      logger.error(`[Lifecycle] ${name} follow-up failed for session ${sessionId}: ${err.message}`);
+    }
+  }
+}
+
+// ─── Transitions ─────────────────────────────────────────
+
+/**
+ * Move a session to `status` if it's still in one of `from`. Guarded by
+ * status, so two runs (or a run and a staff click) can't both win.
+ * @returns {Promise<boolean>} true when this call made the change
+ */
+async function transition(sessionId, from, status) {
+  const { count } = await prisma.classSession.updateMany({
+    where: { id: sessionId, status: { in: from } },
+    data: { status },
+  });
+  return count === 1;
+}
+
+/**
+ * Start sessions whose start time has passed and complete those whose end
+ * time has, in each school's time zone. Sessions that ended more than
+ * FOLLOW_UP_WINDOW_MS ago (left open from before the scheduler existed, or
+ * while it was down) are just marked COMPLETED, without follow-ups.
+ * @returns {Promise<{ started: number, completed: number, closed: number }>}
+ */
+async function advanceSessions(now = new Date()) {
+  const summary = { started: 0, completed: 0, closed: 0 };
+
+  // Two days back in UTC has ended everywhere, so the old backlog is closed in one go
+  const recentFrom = new Date(startOfToday(now, 'UTC').getTime() - FOLLOW_UP_WINDOW_MS);
+  const { count: closed } = await prisma.classSession.updateMany({
+    where: { status: { in: OPEN_STATUSES }, sessionDate: { lt: recentFrom } },
+    data: { status: 'COMPLETED' },
+  });
+  summary.closed = closed;
+
+  const open = await prisma.classSession.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      // Today somewhere is at most tomorrow in UTC; exact times are checked below
+      sessionDate: { gte: recentFrom, lte: new Date(startOfToday(now, 'UTC').getTime() + DAY_MS) },
+    },
+    select: SESSION_SELECT,
+    orderBy: { sessionDate: 'asc' },
+  });
+
+  for (const session of open) {
+    try {
+      const ends = sessionEndsAt(session);
+      if (now - ends > FOLLOW_UP_WINDOW_MS) {
+        if (await transition(session.id, OPEN_STATUSES, 'COMPLETED')) summary.closed++;
+      } else if (ends <= now) {
+        if (await transition(session.id, OPEN_STATUSES, 'COMPLETED')) {
+          summary.completed++;
+          await onSessionCompleted(session.id);
+        }
+      } else if (session.status === 'SCHEDULED' && sessionStartsAt(session) <= now) {
+        if (await transition(session.id, ['SCHEDULED'], 'IN_PROGRESS')) summary.started++;
+      }
+    } catch (err) {
+      logger.error(`[Lifecycle] Error advancing session ${session.id}: ${err.message}`);
+    }
+  }
+
+  if (summary.started || summary.completed || summary.closed) {
+    logger.info(`[Lifecycle] ${summary.started} started, ${summary.completed} completed, ${summary.closed} old sessions closed without follow-ups`);
+  }
+  return summary;
+}
+
+/** Start the lifecycle scheduler — every 5 minutes. */
+function startLifecycleScheduler() {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await advanceSessions();
+    } catch (err) {
+      logger.error(`[Lifecycle] Scheduler error: ${err.message}`);
+    }
+  });
+  logger.info('⏱️ Session lifecycle scheduler started (every 5 min)');
+}
+
+module.exports = {
+  draftPayroll,
+  onSessionCompleted,
+  advanceSessions,
+  startLifecycleScheduler,
+};
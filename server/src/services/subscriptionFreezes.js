@@ -0,0 +1,210 @@
+/**
+ * Subscription Freeze Service
+ *
+ * A freeze pauses a subscription between two dates (injury, vacation…).
+ * The hourly job walks freezes through their lifecycle:
+ *
+ *   SCHEDULED ──startDate──▶ ACTIVE ──endDate──▶ COMPLETED
+ *
+ * Starting a freeze sets the subscription to PAUSED but keeps its billing
+ * dates, so auto-invoicing skips it. Resuming sets it back to ACTIVE and
+ * pushes nextInvoiceDate back by the number of days frozen — the student
+ * gets the rest of the period they already paid for. A few days before the
+ * freeze ends the student is told their membership is about to restart.
+ * Freeze dates are calendar days at the school, in its time zone.
+ */
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { sendNotification } = require('./notificationService');
+const { DAY_MS, startOfToday, dateOnly, startOfNextMonth } = require('../utils/dates');
+const { TIME_ZONE_SELECT, schoolTimeZone, getSchoolTimeZone } = require('./schoolTime');
+
+// How far ahead of endDate the reactivation notice goes out
+const REACTIVATION_NOTICE_DAYS = 3;
+
+/** Freeze fields needed to tell whether one of its dates has come at the school. */
+const FREEZE_SCHOOL_INCLUDE = { subscription: { select: { school: { select: TIME_ZONE_SELECT } } } };
+
+/** Whether a freeze date has come at the freeze's school. */
+const hasArrived = (freeze, date, now) =>
+  dateOnly(date) <= startOfToday(now, schoolTimeZone(freeze.subscription.school));
+
+/**
+ * The freeze in force for a student at a school right now, if any.
+ * Used by check-in to flag attendance while frozen.
+ */
+async function findActiveFreeze(db, studentId, schoolId) {
+  if (!schoolId) return null;
+  return db.subscriptionFreeze.findFirst({
+    where: { status: 'ACTIVE', subscription: { studentId, schoolId } },
+    select: { id: true, startDate: true, endDate: true, reason: true },
+  });
+}
+
+/** Start a SCHEDULED freeze — the subscription stops billing until it ends. */
+async function activateFreeze(freeze) {
+  return prisma.$transaction(async (tx) => {
+    const started = await tx.subscriptionFreeze.updateMany({
+      where: { id: freeze.id, status: 'SCHEDULED' },
+      data: { status: 'ACTIVE' },
+    });
+    if (started.count === 0) return false;
+
+    await tx.subscription.updateMany({
+      where: { id: freeze.subscriptionId, status: 'ACTIVE' },
+      data: { status: 'PAUSED' },
+    });
+    return true;
+  });
+}
+
+/**
+ * End an ACTIVE freeze and resume the subscription. `endedAt` is the first
+ * day back — the scheduled endDate, or today when staff end it early.
+ */
+async function resumeFreeze(freeze, endedAt = new Date(freeze.endDate)) {
+  const frozenMs = Math.max(0, endedAt - new Date(freeze.startDate));
+  const frozenDays = Math.round(frozenMs / DAY_MS);
+
+  return prisma.$transaction(async (tx) => {
+    const ended = await tx.subscriptionFreeze.updateMany({
+      where: { id: freeze.id, status: 'ACTIVE' },
+      data: { status: 'COMPLETED', resumedAt: new Date(), endDate: endedAt },
+    });
+    if (ended.count === 0) return null;
+
+    const sub = await tx.subscription.findUnique({ where: { id: freeze.subscriptionId } });
+    // Cancelled while frozen — nothing to resume
+    if (!sub || sub.status !== 'PAUSED') return { subscriptionId: freeze.subscriptionId, frozenDays, resumed: false };
+
+    let nextInvoiceDate;
+    if (sub.nextInvoiceDate) {
+      nextInvoiceDate = new Date(new Date(sub.nextInvoiceDate).getTime() + frozenDays * DAY_MS);
+    } else {
+      // Never had a billing date (paused by hand before the freeze) — start on the next 1st
+      nextInvoiceDate = startOfNextMonth(startOfToday(new Date(), await getSchoolTimeZone(sub.schoolId)));
+    }
+
+    await tx.subscription.update({
+      where: { id: sub.id },
+      data: { status: 'ACTIVE', nextInvoiceDate },
+    });
+
+    return { subscriptionId: sub.id, frozenDays, resumed: true, nextInvoiceDate };
+  });
+}
+
+/** Tell the student their membership restarts soon. */
+async function sendReactivationNotice(freeze) {
+  const { subscription } = freeze;
+  const vars = {
+    planName: subscription.plan.name,
+    resumeDate: new Date(freeze.endDate).toLocaleDateString('en-US', { timeZone: 'UTC' }),
+  };
+
+  await sendNotification({
+    userId: subscription.studentId,
+    schoolId: subscription.schoolId,
+    type: 'SUBSCRIPTION_RESUMING',
+    channel: 'EMAIL',
+    vars: {
+      ...vars,
+      subject: 'Your {{planName}} membership resumes on {{resumeDate}}',
+      body: 'Hi {{firstName}}, your membership freeze ends soon. Your {{planName}} subscription will reactivate on {{resumeDate}} and billing will pick up where it left off. Contact the school if you need more time.',
+    },
+    metadata: { freezeId: freeze.id, subscriptionId: subscription.id },
+  });
+  await sendNotification({
+    userId: subscription.studentId,
+    schoolId: subscription.schoolId,
+    type: 'SUBSCRIPTION_RESUMING',
+    channel: 'IN_APP',
+    vars: { body: `▶️ Your ${vars.planName} membership resumes on ${vars.resumeDate}` },
+    metadata: { freezeId: freeze.id, subscriptionId: subscription.id },
+  });
+
+  await prisma.subscriptionFreeze.update({
+    where: { id: freeze.id },
+    data: { reminderSentAt: new Date() },
+  });
+}
+
+/**
+ * Freeze job: start due freezes, send reactivation notices, resume
+ * finished freezes. Each step is guarded by status so re-runs are harmless.
+ */
+async function processFreezes(now = new Date()) {
+  const summary = { started: 0, reminded: 0, resumed: 0 };
+  // Today somewhere is at most tomorrow in UTC; each school's today is checked below
+  const latest = new Date(startOfToday(now, 'UTC').getTime() + DAY_MS);
+
+  const due = await prisma.subscriptionFreeze.findMany({
+    where: { status: 'SCHEDULED', startDate: { lte: latest } },
+    include: FREEZE_SCHOOL_INCLUDE,
+  });
+  for (const freeze of due.filter((f) => hasArrived(f, f.startDate, now))) {
+    try {
+      if (await activateFreeze(freeze)) summary.started++;
+    } catch (err) {
+      logger.error(`[Freeze] Error starting freeze ${freeze.id}: ${err.message}`);
+    }
+  }
+
+  const noticeCutoff = new Date(now.getTime() + REACTIVATION_NOTICE_DAYS * DAY_MS);
+  const ending = await prisma.subscriptionFreeze.findMany({
+    where: { status: 'ACTIVE', reminderSentAt: null, endDate: { gt: now, lte: noticeCutoff } },
+    include: { subscription: { include: { plan: { select: { name: true } } } } },
+  });
+  for (const freeze of ending) {
+    try {
+      await sendReactivationNotice(freeze);
+      summary.reminded++;
+    } catch (err) {
+      logger.error(`[Freeze] Error sending reactivation notice for ${freeze.id}: ${err.message}`);
+    }
+  }
+
+  const finished = await prisma.subscriptionFreeze.findMany({
+    where: { status: 'ACTIVE', endDate: { lte: latest } },
+    include: FREEZE_SCHOOL_INCLUDE,
+  });
+  for (const freeze of finished.filter((f) => hasArrived(f, f.endDate, now))) {
+    try {
+      const result = await resumeFreeze(freeze);
+      if (result?.resumed) summary.resumed++;
+    } catch (err) {
+      logger.error(`[Freeze] Error resuming freeze ${freeze.id}: ${err.message}`);
+    }
+  }
+
+  if (summary.started || summary.reminded || summary.resumed) {
+    logger.info(`[Freeze] ${summary.started} started, ${summary.reminded} notified, ${summary.resumed} resumed`);
+  }
+  return summary;
+}
+
+/**
+ * Start the freeze scheduler — hourly on the hour, so each school's freezes
+ * start and end soon after its midnight, and ahead of the :05 auto-invoice
+ * run so resumed subscriptions are billed on their new dates.
+ */
+function startFreezeScheduler() {
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await processFreezes();
+    } catch (err) {
+      logger.error(`[Freeze] Scheduler error: ${err.message}`);
+    }
+  });
+
+  logger.info('🧊 Subscription freeze scheduler started (hourly @ :00)');
+}
+
+module.exports = {
+  findActiveFreeze,
+  activateFreeze,
+  resumeFreeze,
+  processFreezes,
+  startFreezeScheduler,
+};
@@ -0,0 +1,37 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Audit Trail
+ * ──────────────────────────────────────────────────────────
+ * Writes AuditLog rows for sensitive actions. The IT Admin
+ * page lists them; `details` holds a structured snapshot of
+ * what changed.
+ * ──────────────────────────────────────────────────────────
+ */
+const prisma = require('../config/database');
+
+/**
+ * Record an audited action.
+ *
+ * @param {string|null} performerId - User who acted (null for system jobs)
+ * @param {string} action - AuditAction enum value
+ * @param {string} targetType - e.g. "User", "Certificate"
+ * @param {string} targetId
+ * @param {object} [details] - Structured change details
+ * @param {object} [req] - Express request, for IP and user agent
+ * @param {object} [db] - Prisma client or transaction (default: prisma)
+ */
+async function writeAudit(performerId, action, targetType, targetId, details, req, db = prisma) {
+  await db.auditLog.create({
+    data: {
+      performerId,
+      action,
+      targetType,
+      targetId,
+      details,
+      ipAddress: req ? req.ip || req.connection?.remoteAddress : null,
+      userAgent: req?.headers['user-agent']?.substring(0, 512),
+    },
+  });
+}
+
+module.exports = { writeAudit };
@@ -13,6 +13,8 @@
  * ──────────────────────────────────────────────────────────
  */
 
+const prisma = require('../config/database');
+
 /** Roles that have platform-wide access (bypass school scoping) */
 const SUPER_ROLES = ['SUPER_ADMIN', 'IT_ADMIN'];
 
@@ -58,4 +60,18 @@ function canAccessSchool(user, resourceSchoolId) {
   return user.schoolId === resourceSchoolId;
 }
 
-module.exports = { SUPER_ROLES, isSuperRole, schoolScope, canAccessSchool };
+/**
+ * Verifies the user may manage a school's settings: super roles, staff of
+ * the school, or an owner of it (owners can own several schools).
+ *
+ * @param {object} user - req.user from authenticate middleware
+ * @param {string} schoolId
+ * @returns {Promise<boolean>}
+ */
+async function canManageSchool(user, schoolId) {
+  if (canAccessSchool(user, schoolId)) return true;
+  if (user.role !== 'OWNER') return false;
+  return Boolean(await prisma.school.findFirst({ where: { id: schoolId, ownerId: user.id }, select: { id: true } }));
+}
+
+module.exports = { SUPER_ROLES, isSuperRole, schoolScope, canAccessSchool, canManageSchool };
@@ -0,0 +1,163 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * Calendar Date Helpers
+ * ──────────────────────────────────────────────────────────
+ * @db.Date columns come back from Prisma as UTC midnight, so
+ * calendar-day logic (sessions, closures, due dates) works on
+ * UTC-midnight Dates throughout.
+ *
+ * Wall-clock questions — what day is it, when does a 6 PM class
+ * start — depend on where the school is. Every helper that turns
+ * an instant into a calendar day (or back) takes an IANA time
+ * zone, defaulting to config.defaultTimeZone. Use the school's
+ * via schoolTimeZone(school) (services/schoolTime).
+ * ──────────────────────────────────────────────────────────
+ */
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/** A cached Intl formatter that splits an instant into wall-clock parts. */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/** Whether `timeZone` is an IANA zone this runtime knows (e.g. "America/Chicago"). */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *   month is 1-12
+ */
+function zonedParts(instant, timeZone = config.defaultTimeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(instant))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/** How far the zone's wall clock is ahead of UTC at an instant, in ms. */
+function zoneOffset(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (Math.floor(new Date(instant).getTime() / 1000) * 1000);
+}
+
+/** The calendar date an instant falls on in a time zone, as UTC midnight. */
+function localDate(instant, timeZone = config.defaultTimeZone) {
+  const p = zonedParts(instant, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+}
+
+/** Today's calendar date in a time zone, as a UTC-midnight Date matching @db.Date columns. */
+function startOfToday(now = new Date(), timeZone = config.defaultTimeZone) {
+  return localDate(now, timeZone);
+}
+
+/** The instant the local day containing `instant` began — for filtering timestamp columns from "today". */
+function localMidnight(instant = new Date(), timeZone = config.defaultTimeZone) {
+  return atTime(localDate(instant, timeZone), '00:00', timeZone);
+}
+
+/** The calendar date of a stored date/datetime, as UTC midnight. */
+function dateOnly(value) {
+  const d = new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * The moment a calendar date + "HH:mm" wall-clock time happens in a time zone.
+ * @param {Date|string} sessionDate - @db.Date value
+ * @param {string} time - "HH:mm"
+ * @param {string} [timeZone]
+ */
+function atTime(sessionDate, time, timeZone = config.defaultTimeZone) {
+  const d = dateOnly(sessionDate);
+  const [h, m] = String(time || '00:00').split(':').map(Number);
+  const wall = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), h || 0, m || 0);
+  // Guess with the offset at the wall time, then correct once if DST changes in between
+  const guess = wall - zoneOffset(wall, timeZone);
+  const offset = zoneOffset(guess, timeZone);
+  return new Date(wall - offset);
+}
+
+/**
+ * The instants bounding calendar days in a time zone — for reports that
+ * filter timestamp columns (check-ins, payments) by date.
+ * @param {Date|string} from - first day (inclusive)
+ * @param {Date|string} [to] - last day (inclusive); defaults to `from`
+ * @returns {{ gte: Date, lt: Date }}
+ */
+function dayRange(from, to = from, timeZone = config.defaultTimeZone) {
+  return {
+    gte: atTime(from, '00:00', timeZone),
+    lt: atTime(new Date(dateOnly(to).getTime() + DAY_MS), '00:00', timeZone),
+  };
+}
+
+/** The last day of the month containing a calendar date, as UTC midnight. */
+function endOfMonth(day) {
+  const d = dateOnly(day);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0));
+}
+
+/** The calendar date `days` days after a UTC-midnight date. */
+function addDays(day, days) {
+  return new Date(dateOnly(day).getTime() + days * DAY_MS);
+}
+
+/**
+ * The same day `months` calendar months later (UTC), clamped to the last day
+ * of a shorter month — Jan 31 + 1 month is Feb 28 (29 in a leap year).
+ */
+function addMonths(date, months) {
+  const d = new Date(date);
+  const target = new Date(d);
+  target.setUTCDate(1);
+  target.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+  return target;
+}
+
+/** The 1st of the month after a calendar date, as UTC midnight — when new memberships are first billed. */
+function startOfNextMonth(day) {
+  const d = dateOnly(day);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+}
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  zonedParts,
+  localDate,
+  startOfToday,
+  dateOnly,
+  atTime,
+  localMidnight,
+  dayRange,
+  endOfMonth,
+  addDays,
+  addMonths,
+  startOfNextMonth,
+};
@@ -0,0 +1,113 @@
+/**
+ * ──────────────────────────────────────────────────────────
+ * iCalendar (RFC 5545) Writer
+ * ──────────────────────────────────────────────────────────
+ * Just enough of the format for read-only subscription feeds.
+ * Calendar apps match entries by UID, so a changed or
+ * cancelled entry must keep its UID and bump SEQUENCE.
+ *
+ * All times are written in UTC; class times are converted from
+ * the school's time zone before they get here.
+ * ──────────────────────────────────────────────────────────
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** TEXT value escaping: backslash, semicolon, comma, newline. */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets, without splitting a UTF-8 character. */
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = out.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (octets + size > limit) {
+      out.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+/** 20261201T180000Z */
+function utcStamp(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+/**
+ * @param {Object} entry
+ * @param {string} entry.uid - stable across feed refreshes
+ * @param {Date} entry.start
+ * @param {Date} entry.end
+ * @param {string} entry.summary
+ * @param {string} [entry.description]
+ * @param {string} [entry.location]
+ * @param {'CONFIRMED'|'TENTATIVE'|'CANCELLED'} [entry.status]
+ * @param {number} [entry.sequence] - increases on every change
+ * @param {Date} [entry.updatedAt]
+ * @param {string} [entry.url]
+ */
+function vevent(entry, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${utcStamp(entry.updatedAt || now)}`,
+    `DTSTART:${utcStamp(entry.start)}`,
+    `DTEND:${utcStamp(entry.end)}`,
+    `SUMMARY:${escapeText(entry.summary)}`,
+  ];
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  lines.push(`STATUS:${entry.status || 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${Math.max(0, Math.floor(entry.sequence || 0))}`);
+  if (entry.updatedAt) lines.push(`LAST-MODIFIED:${utcStamp(entry.updatedAt)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document.
+ * @param {Object} calendar
+ * @param {string} calendar.name - shown as the calendar's name
+ * @param {Object[]} calendar.entries - see vevent()
+ * @returns {string} CRLF-terminated .ics text
+ */
+function buildCalendar({ name, description, entries }, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FlowApp//Class Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...entries.flatMap((e) => vevent(e, now)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/** SEQUENCE for a row: seconds it has been edited since creation, so every save bumps it. */
+function sequenceOf(row) {
+  if (!row.createdAt || !row.updatedAt) return 0;
+  return Math.floor((new Date(row.updatedAt) - new Date(row.createdAt)) / 1000);
+}
+
+module.exports = { escapeText, foldLine, utcStamp, buildCalendar, sequenceOf };
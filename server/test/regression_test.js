@@ -40,14 +40,16 @@ function authHeaders(token) {
 }
 
 async function testEndpoint(name, method, url, opts = {}) {
-  const { token, body, expectedStatus, expectOneOf, allowEmpty = false } = opts;
+  const { token, body, rawBody, headers, expectedStatus, expectOneOf, allowEmpty = false } = opts;
   const expected = expectOneOf || [expectedStatus || 200];
 
   try {
     const fetchOpts = { method };
     if (token) fetchOpts.headers = authHeaders(token);
     else fetchOpts.headers = { 'Content-Type': 'application/json' };
+    if (headers) Object.assign(fetchOpts.headers, headers);
     if (body) fetchOpts.body = JSON.stringify(body);
+    if (rawBody) fetchOpts.body = rawBody;
 
     const res = await fetch(url, fetchOpts);
     const status = res.status;
@@ -214,6 +216,8 @@ async function run() {
   await testEndpoint('/public/events', 'GET', `${API}/public/events`);
   await testEndpoint('/public/shop', 'GET', `${API}/public/shop`);
   await testEndpoint('/public/schools', 'GET', `${API}/public/schools`);
+  await testEndpoint('/public/certificates/:code (unknown)', 'GET', `${API}/public/certificates/ZZZZ-ZZZZ-ZZZZ`, { expectedStatus: 404 });
+  await testEndpoint('/public/certificates/:code (malformed)', 'GET', `${API}/public/certificates/not-a-code`, { expectedStatus: 404 });
   console.log('');
 
   // ══════════════════════════════════════════════
@@ -237,6 +241,12 @@ async function run() {
   // Any auth user can read classes
   await testEndpoint('/classes (student)', 'GET', `${API}/classes`, { token: S });
   await testAuthRequired('/classes (no auth)', 'GET', `${API}/classes`);
+  if (classId) {
+    await testEndpoint('PUT /classes/:id/schedules/:scheduleId (unknown)', 'PUT', `${API}/classes/${classId}/schedules/00000000-0000-0000-0000-000000000000`, { token: O, body: { startTime: '18:00' }, expectedStatus: 404 });
+    await testEndpoint('PUT /classes/:id/schedules/:scheduleId (bad day)', 'PUT', `${API}/classes/${classId}/schedules/00000000-0000-0000-0000-000000000000`, { token: O, body: { dayOfWeek: 'FUN' }, expectedStatus: 400 });
+    await testEndpoint('DELETE /classes/:id/schedules/:scheduleId (unknown)', 'DELETE', `${API}/classes/${classId}/schedules/00000000-0000-0000-0000-000000000000`, { token: O, expectedStatus: 404 });
+    await testRBAC('POST /classes/:id/schedules (student)', 'POST', `${API}/classes/${classId}/schedules`, S, { dayOfWeek: 'MON', startTime: '18:00', endTime: '19:00' });
+  }
   console.log('');
 
   // ══════════════════════════════════════════════
@@ -249,21 +259,155 @@ async function run() {
   }
   await testEndpoint('/sessions (student)', 'GET', `${API}/sessions`, { token: S });
   await testAuthRequired('/sessions (no auth)', 'GET', `${API}/sessions`);
+  // School closures
+  await testEndpoint('/closures', 'GET', `${API}/closures?startDate=2026-01-01&endDate=2026-12-31`, { token: O });
+  await testEndpoint('/closures (student)', 'GET', `${API}/closures`, { token: S });
+  await testEndpoint('POST /closures (end before start)', 'POST', `${API}/closures`, { token: O, body: { name: 'Backwards', startDate: '2026-12-31', endDate: '2026-12-01' }, expectedStatus: 400 });
+  await testEndpoint('DELETE /closures/:id (unknown)', 'DELETE', `${API}/closures/00000000-0000-0000-0000-000000000000`, { token: O, expectedStatus: 404 });
+  await testRBAC('POST /closures (instructor)', 'POST', `${API}/closures`, I, { name: 'Snow day', startDate: '2026-12-01' });
+  await testAuthRequired('/closures (no auth)', 'GET', `${API}/closures`);
+  // Reservations / waitlist
+  await testEndpoint('/reservations/my (student)', 'GET', `${API}/reservations/my`, { token: S });
+  await testEndpoint('POST /reservations (no session)', 'POST', `${API}/reservations`, { token: S, body: {}, expectedStatus: 400 });
+  await testEndpoint('POST /reservations (unknown session)', 'POST', `${API}/reservations`, { token: S, body: { sessionId: '00000000-0000-0000-0000-000000000000' }, expectedStatus: 404 });
+  await testEndpoint('POST /reservations/:id/cancel (unknown)', 'POST', `${API}/reservations/00000000-0000-0000-0000-000000000000/cancel`, { token: S, expectedStatus: 404 });
+  await testEndpoint('/reservations/session/:id (unknown)', 'GET', `${API}/reservations/session/00000000-0000-0000-0000-000000000000`, { token: O, expectedStatus: 404 });
+  if (sessionId) {
+    await testEndpoint('/reservations/session/:id', 'GET', `${API}/reservations/session/${sessionId}`, { token: O });
+    await testRBAC('/reservations/session/:id (student)', 'GET', `${API}/reservations/session/${sessionId}`, S);
+  }
+  await testAuthRequired('/reservations/my (no auth)', 'GET', `${API}/reservations/my`);
+  // Substitutes / availability
+  await testEndpoint('/substitutions/requests (instructor)', 'GET', `${API}/substitutions/requests?mine=true`, { token: I });
+  await testEndpoint('/substitutions/time-off', 'GET', `${API}/substitutions/time-off`, { token: O });
+  await testEndpoint('POST /substitutions/requests (unknown session)', 'POST', `${API}/substitutions/requests`, { token: I, body: { sessionId: '00000000-0000-0000-0000-000000000000' }, expectedStatus: 404 });
+  await testEndpoint('POST /substitutions/requests/:id/accept (unknown)', 'POST', `${API}/substitutions/requests/00000000-0000-0000-0000-000000000000/accept`, { token: I, expectedStatus: 404 });
+  await testEndpoint('POST /substitutions/time-off (end before start)', 'POST', `${API}/substitutions/time-off`, { token: I, body: { startsAt: '2026-12-02T10:00:00Z', endsAt: '2026-12-01T10:00:00Z' }, expectedStatus: 400 });
+  await testEndpoint('PUT /substitutions/availability (bad day)', 'PUT', `${API}/substitutions/availability/00000000-0000-0000-0000-000000000000`, { token: O, body: { windows: [{ dayOfWeek: 'FUNDAY', startTime: '09:00', endTime: '17:00' }] }, expectedStatus: 400 });
+  await testRBAC('/substitutions/requests (student)', 'GET', `${API}/substitutions/requests`, S);
+  if (sessionId) {
+    await testRBAC('PUT /substitutions/sessions/:id/instructor (instructor)', 'PUT', `${API}/substitutions/sessions/${sessionId}/instructor`, I, { instructorId: null });
+  }
+  await testAuthRequired('/substitutions/requests (no auth)', 'GET', `${API}/substitutions/requests`);
+
+  // Rooms & scheduling conflicts
+  await testEndpoint('/rooms', 'GET', `${API}/rooms`, { token: O });
+  await testRBAC('POST /rooms (instructor)', 'POST', `${API}/rooms`, I, { name: 'Mat 2' });
+  await testEndpoint('POST /rooms (no name)', 'POST', `${API}/rooms`, { token: O, body: { capacity: 20 }, expectedStatus: 400 });
+  await testEndpoint('/conflicts', 'GET', `${API}/conflicts?startDate=2026-12-01&endDate=2026-12-31`, { token: O });
+  await testEndpoint('/conflicts (range too long)', 'GET', `${API}/conflicts?startDate=2026-01-01&endDate=2026-12-31`, { token: O, expectedStatus: 400 });
+  await testRBAC('/conflicts (student)', 'GET', `${API}/conflicts?startDate=2026-12-01&endDate=2026-12-31`, S);
+  await testEndpoint('PUT /events/:id (unknown)', 'PUT', `${API}/events/00000000-0000-0000-0000-000000000000`, { token: O, body: { roomId: null }, expectedStatus: 404 });
+  await testAuthRequired('/rooms (no auth)', 'GET', `${API}/rooms`);
+  console.log('');
+
+  // Calendar feeds
+  await testEndpoint('/calendar-feeds', 'GET', `${API}/calendar-feeds`, { token: S });
+  await testEndpoint('POST /calendar-feeds (bad type)', 'POST', `${API}/calendar-feeds`, { token: S, body: { type: 'EVERYTHING' }, expectedStatus: 400 });
+  await testEndpoint('POST /calendar-feeds (student teaching feed)', 'POST', `${API}/calendar-feeds`, { token: S, body: { type: 'INSTRUCTOR' }, expectedStatus: 403 });
+  await testEndpoint('POST /calendar-feeds (school feed, instructor)', 'POST', `${API}/calendar-feeds`, { token: I, body: { type: 'SCHOOL' }, expectedStatus: 403 });
+  await testEndpoint('DELETE /calendar-feeds/:id (unknown)', 'DELETE', `${API}/calendar-feeds/00000000-0000-0000-0000-000000000000`, { token: S, expectedStatus: 404 });
+  await testEndpoint('/public/calendar (bad token)', 'GET', `${API}/public/calendar/not-a-real-token.ics`, { expectedStatus: 404 });
+  await testAuthRequired('/calendar-feeds (no auth)', 'GET', `${API}/calendar-feeds`);
+  console.log('');
+
+  // School time zones
+  await testEndpoint('PUT /schools/:id (bad timezone)', 'PUT', `${API}/schools/00000000-0000-0000-0000-000000000000`, { token: O, body: { timezone: 'Mars/Olympus_Mons' }, expectedStatus: 400 });
+  await testEndpoint("/class-instances (school's today)", 'GET', `${API}/class-instances?today=true`, { token: I });
+  if (schoolId) {
+    await testEndpoint('/reporting/revenue (date range)', 'GET', `${API}/reporting/revenue/${schoolId}?startDate=2026-01-01&endDate=2026-01-31`, { token: O });
+  }
   console.log('');
 
   // ══════════════════════════════════════════════
   // 6. CHECK-INS
   // ══════════════════════════════════════════════
   console.log('─── 6. Check-Ins ──────────────────────────');
+  if (sessionId) {
+    // Sessions start and end on their own; completing one by hand is still staff-only
+    await testRBAC('PATCH /sessions/:id/status (student)', 'PATCH', `${API}/sessions/${sessionId}/status`, S, { status: 'COMPLETED' });
+    await testEndpoint('PATCH /sessions/:id/status (bad status)', 'PATCH', `${API}/sessions/${sessionId}/status`, { token: O, body: { status: 'FINISHED' }, expectedStatus: 400 });
+  }
+  if (schoolId) {
+    // Eligibility rules are per school and owner-managed; everything is off until set
+    const policy = await testEndpoint('/checkins/policy/:schoolId', 'GET', `${API}/checkins/policy/${schoolId}`, { token: O });
+    if (policy.status === 200 && !Array.isArray(policy.data?.requiredWaivers)) {
+      fail++; failures.push('/checkins/policy/:schoolId: requiredWaivers missing');
+    }
+    await testEndpoint('PUT /checkins/policy/:schoolId (bad rule)', 'PUT', `${API}/checkins/policy/${schoolId}`, { token: O, body: { waiverRule: 'SOMETIMES' }, expectedStatus: 400 });
+    await testEndpoint('PUT /checkins/policy/:schoolId (bad days)', 'PUT', `${API}/checkins/policy/${schoolId}`, { token: O, body: { overdueInvoiceDays: -1 }, expectedStatus: 400 });
+    await testRBAC('PUT /checkins/policy/:schoolId (student)', 'PUT', `${API}/checkins/policy/${schoolId}`, S, { waiverRule: 'IGNORE' });
+    // Offline check-ins recorded past a rule wait for staff review
+    await testEndpoint('/checkins/review/:schoolId', 'GET', `${API}/checkins/review/${schoolId}`, { token: O });
+    await testRBAC('/checkins/review/:schoolId (student)', 'GET', `${API}/checkins/review/${schoolId}`, S);
+    await testEndpoint('POST /checkins/:id/review (unknown)', 'POST', `${API}/checkins/00000000-0000-0000-0000-000000000000/review`, { token: O, expectedStatus: 404 });
+  }
   if (sessionId) {
     await testEndpoint('/checkins/attendance/:sessionId', 'GET', `${API}/checkins/attendance/${sessionId}`, { token: O });
+    const fullOnly = await testEndpoint('/checkins/attendance/:sessionId (full only)', 'GET', `${API}/checkins/attendance/${sessionId}?fullOnly=true`, { token: O });
+    if (fullOnly.status === 200 && fullOnly.data?.attendance?.fullOnly !== true) {
+      fail++; failures.push('/checkins/attendance/:sessionId (full only): fullOnly not applied');
+    }
+    // Live roster: on the mat, awaiting pickup, left
+    const roster = await testEndpoint('/checkins/roster/:sessionId', 'GET', `${API}/checkins/roster/${sessionId}`, { token: O });
+    if (roster.status === 200 && !Array.isArray(roster.data?.awaitingPickup)) {
+      fail++; failures.push('/checkins/roster/:sessionId: awaitingPickup missing');
+    }
+    await testRBAC('/checkins/roster/:sessionId (student)', 'GET', `${API}/checkins/roster/${sessionId}`, S);
   }
-  // Kiosk check-in is public (no auth)
-  // We test that the endpoint exists (may return 400 without proper body)
-  await testEndpoint('/checkins/kiosk (no body)', 'POST', `${API}/checkins/kiosk`, {
+  await testEndpoint('POST /checkins/:id/checkout (unknown)', 'POST', `${API}/checkins/00000000-0000-0000-0000-000000000000/checkout`, { token: O, body: {}, expectedStatus: 404 });
+  await testRBAC('POST /checkins/:id/checkout (student)', 'POST', `${API}/checkins/00000000-0000-0000-0000-000000000000/checkout`, S, {});
+  // Kiosk check-in needs a paired kiosk's device token
+  await testEndpoint('/checkins/kiosk (no device token)', 'POST', `${API}/checkins/kiosk`, {
     body: { code: 'TEST' },
-    expectOneOf: [200, 201, 400, 404, 422],
+    expectedStatus: 401,
   });
+  await testEndpoint('/checkins/kiosk/batch (no device token)', 'POST', `${API}/checkins/kiosk/batch`, { body: { items: [] }, expectedStatus: 401 });
+  await testEndpoint('/checkins/kiosk/family (no device token)', 'POST', `${API}/checkins/kiosk/family`, { body: { pin: '000000', checkIns: [] }, expectedStatus: 401 });
+  await testEndpoint('/checkins/kiosk/checkout (no device token)', 'POST', `${API}/checkins/kiosk/checkout`, { body: { pin: '000000' }, expectedStatus: 401 });
+  await testEndpoint('/kiosk/sessions (unknown device token)', 'GET', `${API}/kiosk/sessions`, { headers: { 'X-Kiosk-Token': 'kiosk_not-a-real-token' }, expectedStatus: 401 });
+  await testRBAC('POST /kiosk/devices (student)', 'POST', `${API}/kiosk/devices`, S, { name: 'Sneaky tablet' });
+  await testEndpoint('/kiosk/members/:id (someone else, student)', 'GET', `${API}/kiosk/members/00000000-0000-0000-0000-000000000000`, { token: S, expectedStatus: 403 });
+  const paired = await testEndpoint('POST /kiosk/devices', 'POST', `${API}/kiosk/devices`, { token: O, body: { name: 'Regression kiosk' }, expectOneOf: [201, 400] });
+  if (paired.status === 201) {
+    const kioskHeaders = { 'X-Kiosk-Token': paired.data.token };
+    await testEndpoint('/kiosk/device', 'GET', `${API}/kiosk/device`, { headers: kioskHeaders });
+    await testEndpoint('/kiosk/sessions', 'GET', `${API}/kiosk/sessions`, { headers: kioskHeaders });
+    if (sessionId) {
+      await testEndpoint('/checkins/kiosk (PIN and card)', 'POST', `${API}/checkins/kiosk`, { headers: kioskHeaders, body: { sessionId, pin: '123456', cardCode: 'FMABCDEFGHJK' }, expectedStatus: 400 });
+      await testEndpoint('/checkins/kiosk (wrong PIN)', 'POST', `${API}/checkins/kiosk`, { headers: kioskHeaders, body: { sessionId, pin: '000000' }, expectedStatus: 404 });
+      // Family check-in: the guardian's own PIN, then a result per child
+      await testEndpoint('/kiosk/family (wrong PIN)', 'POST', `${API}/kiosk/family`, { headers: kioskHeaders, body: { pin: '000000' }, expectedStatus: 404 });
+      await testEndpoint('/checkins/kiosk/family (no children)', 'POST', `${API}/checkins/kiosk/family`, { headers: kioskHeaders, body: { pin: '000000', checkIns: [] }, expectedStatus: 400 });
+      await testEndpoint('/checkins/kiosk/family (wrong PIN)', 'POST', `${API}/checkins/kiosk/family`, {
+        headers: kioskHeaders,
+        body: { pin: '000000', checkIns: [{ studentId: '00000000-0000-0000-0000-000000000000', sessionId }] },
+        expectedStatus: 404,
+      });
+      // Check-out: the student's own PIN; a guardian's PIN picks up their children
+      await testEndpoint('/checkins/kiosk/checkout (wrong PIN)', 'POST', `${API}/checkins/kiosk/checkout`, { headers: kioskHeaders, body: { sessionId, pin: '000000' }, expectedStatus: 404 });
+      await testEndpoint('/checkins/kiosk/family/checkout (no check-ins)', 'POST', `${API}/checkins/kiosk/family/checkout`, { headers: kioskHeaders, body: { pin: '000000', checkInIds: [] }, expectedStatus: 400 });
+      await testEndpoint('/checkins/kiosk/batch (item without clientId)', 'POST', `${API}/checkins/kiosk/batch`, { headers: kioskHeaders, body: { items: [{ sessionId, pin: '000000' }] }, expectedStatus: 400 });
+      const batch = await testEndpoint('/checkins/kiosk/batch (wrong PIN)', 'POST', `${API}/checkins/kiosk/batch`, {
+        headers: kioskHeaders,
+        body: { items: [{ clientId: '11111111-1111-4111-8111-111111111111', sessionId, pin: '000000', checkedInAt: new Date().toISOString() }] },
+      });
+      if (batch.data && batch.data.results?.[0]?.status !== 'REJECTED') {
+        fail++;
+        failures.push('POST /checkins/kiosk/batch (wrong PIN) → item not rejected');
+      }
+    }
+    await testEndpoint('/kiosk/devices/:id/activity', 'GET', `${API}/kiosk/devices/${paired.data.id}/activity`, { token: O });
+    await testEndpoint('DELETE /kiosk/devices/:id', 'DELETE', `${API}/kiosk/devices/${paired.data.id}`, { token: O });
+    await testEndpoint('/kiosk/device (after unpairing)', 'GET', `${API}/kiosk/device`, { headers: kioskHeaders, expectedStatus: 401 });
+  }
+  // QR check-in only takes the kiosk's signed, rotating token
+  await testEndpoint('POST /checkins/qr (static code)', 'POST', `${API}/checkins/qr`, { token: S, body: { qrCode: 'FLOW-ABCD1234' }, expectedStatus: 404 });
+  if (sessionId) {
+    await testEndpoint('POST /checkins/qr (forged token)', 'POST', `${API}/checkins/qr`, { token: S, body: { qrCode: `${sessionId}.1.AAAAAAAAAAAAAAAAAAAAAA` }, expectedStatus: 400 });
+    await testRBAC('/sessions/:id/qr (student)', 'GET', `${API}/sessions/${sessionId}/qr`, S);
+    await testRBAC('/class-instances/:id/qr (student)', 'GET', `${API}/class-instances/${sessionId}/qr`, S);
+  }
   console.log('');
 
   // ══════════════════════════════════════════════
@@ -330,10 +474,51 @@ async function run() {
     // RBAC: student can read plans but not config
     await testRBAC('/billing/config (student)', 'GET', `${API}/billing/config/${schoolId}`, S);
     await testEndpoint('/billing/plans (student)', 'GET', `${API}/billing/plans/${schoolId}`, { token: S });
+    // Class-credit ledger: unknown subscription → 404; students can't adjust credits
+    await testEndpoint('/billing/subscriptions/:id/credits (unknown)', 'GET', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/credits`, { token: O, expectedStatus: 404 });
+    await testRBAC('PATCH /billing/invoices/:id/late-fee (student)', 'PATCH', `${API}/billing/invoices/${schoolId}/00000000-0000-0000-0000-000000000000/late-fee`, S, { waived: true });
+    // Proration preview: unknown subscription → 404; bad proration mode rejected
+    await testEndpoint('/billing/subscriptions/:id/proration (unknown)', 'GET', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/proration`, { token: O, expectedStatus: 404 });
+    await testEndpoint('PATCH /billing/subscriptions/:id (bad proration)', 'PATCH', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000`, { token: O, body: { proration: 'SOMETIME' }, expectedStatus: 400 });
+    await testRBAC('/billing/subscriptions/:id/proration (student)', 'GET', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/proration`, S);
+
+    // Freezes: unknown subscription → 404; bad reason rejected; students can't freeze
+    await testEndpoint('/billing/subscriptions/:id/freezes (unknown)', 'GET', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/freezes`, { token: O, expectedStatus: 404 });
+    await testEndpoint('POST /billing/subscriptions/:id/freezes (bad reason)', 'POST', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/freezes`, { token: O, body: { startDate: '2030-01-01', endDate: '2030-02-01', reason: 'BORED' }, expectedStatus: 400 });
+    await testRBAC('POST /billing/subscriptions/:id/freezes (student)', 'POST', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/freezes`, S, { startDate: '2030-01-01', endDate: '2030-02-01', reason: 'VACATION' });
+    await testRBAC('POST /billing/subscriptions/:id/credits (student)', 'POST', `${API}/billing/subscriptions/${schoolId}/00000000-0000-0000-0000-000000000000/credits`, S, { change: 5 });
+    // Refunds: unknown payment → 404, over-small amount rejected, students can't refund
+    await testEndpoint('/billing/refunds/:schoolId', 'GET', `${API}/billing/refunds/${schoolId}`, { token: O });
+    await testEndpoint('POST /billing/payments/:id/refund (unknown)', 'POST', `${API}/billing/payments/${schoolId}/00000000-0000-0000-0000-000000000000/refund`, { token: O, body: {}, expectedStatus: 404 });
+
+    // PDF documents: unknown invoice/payment → 404 for staff and students alike
+    await testEndpoint('/billing/invoices/:id/pdf (unknown)', 'GET', `${API}/billing/invoices/${schoolId}/00000000-0000-0000-0000-000000000000/pdf`, { token: O, expectedStatus: 404 });
+    await testEndpoint('/billing/payments/:id/receipt (unknown)', 'GET', `${API}/billing/payments/${schoolId}/00000000-0000-0000-0000-000000000000/receipt`, { token: O, expectedStatus: 404 });
+    await testEndpoint('/billing/invoices/:id/pdf (student, not theirs)', 'GET', `${API}/billing/invoices/${schoolId}/00000000-0000-0000-0000-000000000000/pdf`, { token: S, expectedStatus: 404 });
+    await testAuthRequired('/billing/invoices/:id/pdf (no auth)', 'GET', `${API}/billing/invoices/${schoolId}/00000000-0000-0000-0000-000000000000/pdf`);
+    await testEndpoint('POST /billing/payments/:id/refund (bad amount)', 'POST', `${API}/billing/payments/${schoolId}/00000000-0000-0000-0000-000000000000/refund`, { token: O, body: { amount: 0 }, expectedStatus: 400 });
+    await testRBAC('POST /billing/payments/:id/refund (student)', 'POST', `${API}/billing/payments/${schoolId}/00000000-0000-0000-0000-000000000000/refund`, S, {});
   }
   await testAuthRequired('/billing/config (no auth)', 'GET', `${API}/billing/config/test`);
   console.log('');
 
+  // ══════════════════════════════════════════════
+  // 11b. PAYMENT WEBHOOKS
+  // ══════════════════════════════════════════════
+  console.log('─── 11b. Payment Webhooks ─────────────────');
+  // Unconfigured school → 404
+  await testEndpoint('/webhooks/stripe/:schoolId (unconfigured)', 'POST', `${API}/webhooks/stripe/00000000-0000-0000-0000-000000000000`, {
+    body: { id: 'evt_x' }, expectedStatus: 404,
+  });
+  // Signature checks and event normalisation are covered by test/unit/paymentGateway.test.js,
+  // which signs recorded payloads with a local secret — this script never changes a live school's config
+  if (schoolId) {
+    await testEndpoint('/webhooks/stripe/:schoolId (unsigned)', 'POST', `${API}/webhooks/stripe/${schoolId}`, {
+      body: { id: 'evt_x' }, expectOneOf: [400, 404],
+    });
+  }
+  console.log('');
+
   // ══════════════════════════════════════════════
   // 12. PROMOTIONS
   // ══════════════════════════════════════════════
@@ -343,8 +528,20 @@ async function run() {
   if (schoolId) {
     await testEndpoint('/promotions/enrollments/:schoolId', 'GET', `${API}/promotions/enrollments/${schoolId}`, { token: O });
     await testEndpoint('/promotions/tests/:schoolId', 'GET', `${API}/promotions/tests/${schoolId}`, { token: O });
+    // Eligibility report: attendance, time in rank and age are evaluated automatically
+    const eligibility = await testEndpoint('/promotions/eligibility/:schoolId', 'GET', `${API}/promotions/eligibility/${schoolId}`, { token: O });
+    if (eligibility.status === 200 && !Array.isArray(eligibility.data?.students)) {
+      fail++; failures.push('/promotions/eligibility/:schoolId: students missing');
+    }
+    await testEndpoint('/promotions/eligibility/:schoolId (bad program)', 'GET', `${API}/promotions/eligibility/${schoolId}?programId=nope`, { token: O, expectedStatus: 400 });
+    await testRBAC('/promotions/eligibility/:schoolId (student)', 'GET', `${API}/promotions/eligibility/${schoolId}`, S);
   }
   await testAuthRequired('/promotions/programs (no auth)', 'GET', `${API}/promotions/programs`);
+  await testEndpoint('PATCH /promotions/progress/:id (unknown requirement)', 'PATCH', `${API}/promotions/progress/00000000-0000-0000-0000-000000000000`, {
+    token: O,
+    body: { requirementId: '00000000-0000-0000-0000-000000000000', isComplete: true },
+    expectedStatus: 404,
+  });
   console.log('');
 
   // ══════════════════════════════════════════════
@@ -379,8 +576,13 @@ async function run() {
       familyId = arr[0].id;
       await testEndpoint('/families/:familyId', 'GET', `${API}/families/${familyId}`, { token: O });
       await testEndpoint('/families/:familyId/billing', 'GET', `${API}/families/${familyId}/billing`, { token: O });
+      await testEndpoint('PUT /families/:familyId (bad consolidatedBilling)', 'PUT', `${API}/families/${familyId}`, { token: O, body: { consolidatedBilling: 'sometimes' }, expectedStatus: 400 });
     }
   }
+  await testEndpoint('/families/:familyId/billing (unknown)', 'GET', `${API}/families/00000000-0000-0000-0000-000000000000/billing`, { token: O, expectedStatus: 404 });
+  if (schoolId) {
+    await testEndpoint('PUT /billing/config (bad sibling discount)', 'PUT', `${API}/billing/config/${schoolId}`, { token: O, body: { siblingDiscounts: [10, 150] }, expectedStatus: 400 });
+  }
   await testAuthRequired('/families/mine (no auth)', 'GET', `${API}/families/mine`);
   console.log('');
 
@@ -456,6 +658,7 @@ async function run() {
     await testEndpoint('/retail/orders/:schoolId', 'GET', `${API}/retail/orders/${schoolId}`, { token: O });
     // RBAC: student can read products but not low-stock
     await testRBAC('/retail/low-stock (student)', 'GET', `${API}/retail/low-stock/${schoolId}`, S);
+    await testRBAC('POST /retail/orders/:id/refund (student)', 'POST', `${API}/retail/orders/00000000-0000-0000-0000-000000000000/refund`, S, {});
   }
   await testAuthRequired('/retail/products (no auth)', 'GET', `${API}/retail/products/test`);
   console.log('');
@@ -466,9 +669,23 @@ async function run() {
   console.log('─── 21. Certificates ──────────────────────');
   await testEndpoint('/certificates', 'GET', `${API}/certificates`, { token: O });
   await testEndpoint('/certificates (student)', 'GET', `${API}/certificates`, { token: S });
+  await testEndpoint('/certificates/my (student)', 'GET', `${API}/certificates/my`, { token: S });
   if (schoolId) {
     await testEndpoint('/certificates/templates/:schoolId', 'GET', `${API}/certificates/templates/${schoolId}`, { token: O });
+
+    // Rendering: bad layouts are rejected; issuing needs a real promotion
+    await testEndpoint('POST /certificates/templates (invalid layout)', 'POST', `${API}/certificates/templates`, { token: O, body: { schoolId, name: 'Broken', layout: '{not json' }, expectedStatus: 400 });
+    await testEndpoint('POST /certificates/templates/preview (unknown element)', 'POST', `${API}/certificates/templates/preview`, { token: O, body: { schoolId, layout: { elements: [{ type: 'video' }] } }, expectedStatus: 400 });
+    await testRBAC('POST /certificates/templates/preview (student)', 'POST', `${API}/certificates/templates/preview`, S, { schoolId, layout: {} });
   }
+  await testEndpoint('POST /certificates/generate (unknown promotion)', 'POST', `${API}/certificates/generate`, { token: O, body: { promotionId: '00000000-0000-0000-0000-000000000000' }, expectedStatus: 404 });
+  await testEndpoint('POST /certificates/generate (no promotion)', 'POST', `${API}/certificates/generate`, { token: O, body: {}, expectedStatus: 400 });
+  await testEndpoint('/certificates/:id/pdf (unknown)', 'GET', `${API}/certificates/00000000-0000-0000-0000-000000000000/pdf`, { token: S, expectedStatus: 404 });
+
+  // Revocation: reason required, unknown certificate → 404, owners only
+  await testEndpoint('POST /certificates/:id/revoke (no reason)', 'POST', `${API}/certificates/00000000-0000-0000-0000-000000000000/revoke`, { token: O, body: {}, expectedStatus: 400 });
+  await testEndpoint('POST /certificates/:id/revoke (unknown)', 'POST', `${API}/certificates/00000000-0000-0000-0000-000000000000/revoke`, { token: O, body: { reason: 'Issued in error' }, expectedStatus: 404 });
+  await testRBAC('POST /certificates/:id/revoke (instructor)', 'POST', `${API}/certificates/00000000-0000-0000-0000-000000000000/revoke`, I, { reason: 'Issued in error' });
   await testAuthRequired('/certificates (no auth)', 'GET', `${API}/certificates`);
   console.log('');
 
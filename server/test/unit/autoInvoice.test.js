@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateNextInvoiceDate } = require('../../src/services/autoInvoice');
+
+const next = (from, cycle) => calculateNextInvoiceDate(new Date(`${from}T00:00:00Z`), cycle).toISOString().slice(0, 10);
+
+test('each cycle moves a billing date on by its length', () => {
+  assert.equal(next('2026-11-01', 'WEEKLY'), '2026-11-08');
+  assert.equal(next('2026-11-01', 'MONTHLY'), '2026-12-01');
+  assert.equal(next('2026-11-01', 'QUARTERLY'), '2027-02-01');
+  assert.equal(next('2026-11-01', 'SEMI_ANNUAL'), '2027-05-01');
+  assert.equal(next('2026-11-01', 'ANNUAL'), '2027-11-01');
+  assert.equal(next('2026-11-01', undefined), '2026-12-01');
+});
+
+test('a date past the end of a shorter month lands on its last day', () => {
+  assert.equal(next('2026-01-31', 'MONTHLY'), '2026-02-28');
+  assert.equal(next('2028-01-31', 'MONTHLY'), '2028-02-29');
+  assert.equal(next('2026-05-31', 'QUARTERLY'), '2026-08-31');
+  assert.equal(next('2026-08-31', 'SEMI_ANNUAL'), '2027-02-28');
+});
+
+test('billing dates are UTC calendar days, whatever the server zone', () => {
+  // US clocks go back on 2026-11-01 — a UTC-midnight date must stay midnight
+  assert.equal(calculateNextInvoiceDate(new Date('2026-10-01T00:00:00Z'), 'MONTHLY').toISOString(), '2026-11-01T00:00:00.000Z');
+  assert.equal(calculateNextInvoiceDate(new Date('2026-10-29T00:00:00Z'), 'WEEKLY').toISOString(), '2026-11-05T00:00:00.000Z');
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nextBeltOf, wholeMonthsBetween } = require('../../src/services/beltProgress');
+
+const day = (s) => new Date(`${s}T00:00:00Z`);
+
+test('wholeMonthsBetween counts completed calendar months', () => {
+  assert.equal(wholeMonthsBetween(day('2026-01-15'), day('2026-04-14')), 2);
+  assert.equal(wholeMonthsBetween(day('2026-01-15'), day('2026-04-15')), 3);
+  assert.equal(wholeMonthsBetween(day('2026-01-31'), day('2026-02-28')), 0);
+  assert.equal(wholeMonthsBetween(day('2020-05-10'), day('2026-05-10')), 72);
+  assert.equal(wholeMonthsBetween(day('2026-05-10'), day('2026-01-10')), 0);
+});
+
+test('nextBeltOf walks the ladder by display order', () => {
+  const belts = [{ id: 'white', displayOrder: 0 }, { id: 'blue', displayOrder: 1 }];
+  assert.equal(nextBeltOf(belts, null).id, 'white');
+  assert.equal(nextBeltOf(belts, belts[0]).id, 'blue');
+  assert.equal(nextBeltOf(belts, belts[1]), null);
+});
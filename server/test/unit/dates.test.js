@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone, localDate, startOfToday, dateOnly, atTime, dayRange, endOfMonth, addDays, addMonths, startOfNextMonth,
+} = require('../../src/utils/dates');
+
+const iso = (d) => d.toISOString();
+
+test('localDate is the calendar day in the given zone', () => {
+  // 05:30 UTC is still the evening before in Chicago (UTC-6)
+  assert.equal(iso(localDate('2026-03-08T05:30:00Z', 'America/Chicago')), '2026-03-07T00:00:00.000Z');
+  assert.equal(iso(localDate('2026-03-08T06:30:00Z', 'America/Chicago')), '2026-03-08T00:00:00.000Z');
+});
+
+test('startOfToday can be ahead of the UTC date', () => {
+  // Auckland is UTC+13 in October
+  assert.equal(iso(startOfToday(new Date('2026-10-19T12:00:00Z'), 'Pacific/Auckland')), '2026-10-20T00:00:00.000Z');
+  assert.equal(iso(startOfToday(new Date('2026-10-19T12:00:00Z'), 'UTC')), '2026-10-19T00:00:00.000Z');
+});
+
+test('dateOnly drops the time of day', () => {
+  assert.equal(iso(dateOnly('2026-10-19T23:59:59Z')), '2026-10-19T00:00:00.000Z');
+});
+
+test('atTime follows daylight saving changes', () => {
+  // US clocks go forward on 2026-03-08 and back on 2026-11-01
+  assert.equal(iso(atTime('2026-03-07', '18:00', 'America/Chicago')), '2026-03-08T00:00:00.000Z');
+  assert.equal(iso(atTime('2026-03-08', '18:00', 'America/Chicago')), '2026-03-08T23:00:00.000Z');
+  assert.equal(iso(atTime('2026-10-31', '09:00', 'America/New_York')), '2026-10-31T13:00:00.000Z');
+  assert.equal(iso(atTime('2026-11-01', '09:00', 'America/New_York')), '2026-11-01T14:00:00.000Z');
+});
+
+test('atTime treats a missing time as midnight', () => {
+  assert.equal(iso(atTime('2026-10-19', null, 'UTC')), '2026-10-19T00:00:00.000Z');
+});
+
+test('dayRange covers whole local days, including a short one', () => {
+  const range = dayRange('2026-03-08', '2026-03-08', 'America/Chicago');
+  assert.equal(iso(range.gte), '2026-03-08T06:00:00.000Z');
+  assert.equal(iso(range.lt), '2026-03-09T05:00:00.000Z');
+
+  const week = dayRange('2026-10-12', '2026-10-18', 'UTC');
+  assert.equal(iso(week.gte), '2026-10-12T00:00:00.000Z');
+  assert.equal(iso(week.lt), '2026-10-19T00:00:00.000Z');
+});
+
+test('endOfMonth and startOfNextMonth', () => {
+  assert.equal(iso(endOfMonth('2028-02-10')), '2028-02-29T00:00:00.000Z');
+  assert.equal(iso(endOfMonth('2026-12-31')), '2026-12-31T00:00:00.000Z');
+  assert.equal(iso(startOfNextMonth('2026-12-15')), '2027-01-01T00:00:00.000Z');
+  assert.equal(iso(startOfNextMonth('2026-01-31')), '2026-02-01T00:00:00.000Z');
+});
+
+test('addDays steps whole calendar days, across month and year ends', () => {
+  assert.equal(iso(addDays('2026-03-01T00:00:00Z', 14)), '2026-03-15T00:00:00.000Z');
+  assert.equal(iso(addDays('2026-12-25T00:00:00Z', 14)), '2027-01-08T00:00:00.000Z');
+});
+
+test('addMonths keeps the day, clamped to the end of a shorter month', () => {
+  assert.equal(iso(addMonths('2026-01-15T00:00:00Z', 1)), '2026-02-15T00:00:00.000Z');
+  assert.equal(iso(addMonths('2026-01-31T00:00:00Z', 1)), '2026-02-28T00:00:00.000Z');
+  assert.equal(iso(addMonths('2028-01-31T00:00:00Z', 1)), '2028-02-29T00:00:00.000Z');
+  assert.equal(iso(addMonths('2026-08-31T00:00:00Z', 3)), '2026-11-30T00:00:00.000Z');
+  assert.equal(iso(addMonths('2028-02-29T00:00:00Z', 12)), '2029-02-28T00:00:00.000Z');
+  assert.equal(iso(addMonths('2026-11-30T00:00:00Z', 2)), '2027-01-30T00:00:00.000Z');
+});
+
+test('isValidTimeZone', () => {
+  assert.equal(isValidTimeZone('America/Chicago'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
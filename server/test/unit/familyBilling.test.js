@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { siblingDiscountFor, rankMembers, memberShares, allocatePayment } = require('../../src/services/familyBilling');
+
+/** A stand-in for the Prisma client with just what allocatePayment touches. */
+function fakeDb(lines) {
+  const created = [];
+  return {
+    created,
+    invoiceLine: { findMany: async () => lines },
+    paymentAllocation: { createMany: async ({ data }) => { created.push(...data); } },
+  };
+}
+
+test('siblingDiscountFor repeats the last discount', () => {
+  assert.equal(siblingDiscountFor([10, 20], 0), 0);
+  assert.equal(siblingDiscountFor([10, 20], 1), 10);
+  assert.equal(siblingDiscountFor([10, 20], 2), 20);
+  assert.equal(siblingDiscountFor([10, 20], 5), 20);
+  assert.equal(siblingDiscountFor([], 3), 0);
+});
+
+test('rankMembers puts the priciest plan first, earliest subscriber on ties', () => {
+  const ranks = rankMembers([
+    { studentId: 'a', plan: { price: 80 }, createdAt: new Date('2026-01-02') },
+    { studentId: 'b', plan: { price: 120 }, createdAt: new Date('2026-01-05') },
+    { studentId: 'c', plan: { price: 80 }, createdAt: new Date('2026-01-01') },
+  ]);
+  assert.deepEqual([...ranks.entries()], [['b', 0], ['c', 1], ['a', 2]]);
+});
+
+test('memberShares leaves out members whose lines net to a credit', () => {
+  const shares = memberShares([
+    { studentId: 'a', amount: 50 },
+    { studentId: 'b', amount: 40 },
+    { studentId: 'a', amount: 10 },
+    { studentId: 'c', amount: -10 },
+  ]);
+  assert.deepEqual(shares, [['a', 0.6], ['b', 0.4]]);
+});
+
+test('allocatePayment splits a payment by share, rounding onto the largest', async () => {
+  const db = fakeDb([
+    { studentId: 'a', amount: 50 },
+    { studentId: 'b', amount: 50 },
+    { studentId: 'c', amount: 50 },
+  ]);
+  const allocations = await allocatePayment(db, { id: 'pay-1', invoiceId: 'inv-1', amount: 100 });
+  assert.deepEqual(allocations.map((a) => a.amount), [33.34, 33.33, 33.33]);
+  assert.equal(allocations.every((a) => a.paymentId === 'pay-1'), true);
+  assert.deepEqual(db.created, allocations);
+});
+
+test('allocatePayment does nothing for an ordinary invoice', async () => {
+  const db = fakeDb([]);
+  assert.deepEqual(await allocatePayment(db, { id: 'pay-1', invoiceId: 'inv-1', amount: 100 }), []);
+  assert.equal(db.created.length, 0);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { offlineKey, openSealedCredential } = require('../../src/services/kioskDevices');
+
+const DEVICE = '5b1f4c9e-2f0a-4d7b-9c3e-8a6d2e1f0b4c';
+
+/** Seal a credential the way the kiosk does with WebCrypto: ciphertext then tag. */
+function seal(deviceId, credential) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', offlineKey(deviceId), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(credential)), cipher.final(), cipher.getAuthTag()]);
+  return { iv: iv.toString('base64url'), data: data.toString('base64url') };
+}
+
+test('openSealedCredential opens a PIN or card sealed with the device key', () => {
+  assert.deepEqual(openSealedCredential(DEVICE, seal(DEVICE, { pin: '042917' })), { pin: '042917' });
+  assert.deepEqual(openSealedCredential(DEVICE, seal(DEVICE, { cardCode: 'FMABCDEFGHJK' })), { cardCode: 'FMABCDEFGHJK' });
+});
+
+test("openSealedCredential rejects another kiosk's seal, tampering and junk", () => {
+  const sealed = seal(DEVICE, { pin: '042917' });
+  assert.equal(openSealedCredential(crypto.randomUUID(), sealed), null);
+
+  const bytes = Buffer.from(sealed.data, 'base64url');
+  bytes[0] ^= 1;
+  assert.equal(openSealedCredential(DEVICE, { ...sealed, data: bytes.toString('base64url') }), null);
+
+  assert.equal(openSealedCredential(DEVICE, { iv: sealed.iv, data: 'AAAA' }), null);
+  assert.equal(openSealedCredential(DEVICE, seal(DEVICE, { name: 'nobody' })), null);
+});
+
+test('offlineKey is a 256-bit key that differs per device', () => {
+  assert.equal(offlineKey(DEVICE).length, 32);
+  assert.deepEqual(offlineKey(DEVICE), offlineKey(DEVICE));
+  assert.notDeepEqual(offlineKey(DEVICE), offlineKey(crypto.randomUUID()));
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { adapters } = require('../../src/services/paymentGateway');
+
+const SECRET = 'whsec_unit_local_secret';
+const config = { webhookSecret: SECRET };
+
+// Recorded deliveries (trimmed to the fields the adapters read)
+const STRIPE_REFUND = JSON.stringify({
+  id: 'evt_3PqRefund01',
+  type: 'charge.refunded',
+  data: {
+    object: {
+      id: 'ch_3PqCharge01',
+      payment_intent: 'pi_3PqIntent01',
+      amount: 5000,
+      amount_refunded: 2000,
+      refunded: false,
+      metadata: { reference: 'INV-1042' },
+      refunds: { data: [{ id: 're_3PqNewest' }, { id: 're_3PqOlder' }] },
+    },
+  },
+});
+
+const SQUARE_URL = 'https://api.example.com/api/webhooks/square/school-1';
+const SQUARE_PAYMENT = JSON.stringify({
+  merchant_id: 'ML8M1AQ1GQG2K',
+  type: 'payment.updated',
+  event_id: '6a8f5f28-54a1-4eb0-a98a-3111513fd4fc',
+  data: {
+    type: 'payment',
+    id: 'KkAkhdMsgzn59SM8A89WgKwekxLZY',
+    object: {
+      payment: {
+        id: 'KkAkhdMsgzn59SM8A89WgKwekxLZY',
+        status: 'COMPLETED',
+        reference_id: 'ORD-77',
+        amount_money: { amount: 1250, currency: 'USD' },
+      },
+    },
+  },
+});
+
+function stripeHeaders(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const sig = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'stripe-signature': `t=${timestamp},v1=${sig}` };
+}
+
+function squareHeaders(body, { secret = SECRET, url = SQUARE_URL } = {}) {
+  const sig = crypto.createHmac('sha256', secret).update(url + body).digest('base64');
+  return { 'x-square-hmacsha256-signature': sig };
+}
+
+test('stripe verifyWebhook accepts a correctly signed delivery', () => {
+  const headers = stripeHeaders(STRIPE_REFUND);
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: STRIPE_REFUND, headers }), true);
+});
+
+test('stripe verifyWebhook rejects a tampered body, a wrong secret and a missing header', () => {
+  const headers = stripeHeaders(STRIPE_REFUND);
+  const tampered = STRIPE_REFUND.replace('"amount_refunded":2000', '"amount_refunded":5000');
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: tampered, headers }), false);
+
+  const wrong = stripeHeaders(STRIPE_REFUND, { secret: 'whsec_someone_else' });
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: STRIPE_REFUND, headers: wrong }), false);
+
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: STRIPE_REFUND, headers: {} }), false);
+  assert.equal(adapters.STRIPE.verifyWebhook({ webhookSecret: null }, { rawBody: STRIPE_REFUND, headers }), false);
+});
+
+test('stripe verifyWebhook rejects a signature outside the timestamp tolerance', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const stale = stripeHeaders(STRIPE_REFUND, { timestamp: now - 301 });
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: STRIPE_REFUND, headers: stale }), false);
+
+  const recent = stripeHeaders(STRIPE_REFUND, { timestamp: now - 120 });
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: STRIPE_REFUND, headers: recent }), true);
+});
+
+test('stripe verifyWebhook accepts any matching v1 signature during secret rotation', () => {
+  const t = Math.floor(Date.now() / 1000);
+  const { 'stripe-signature': current } = stripeHeaders(STRIPE_REFUND, { timestamp: t });
+  const header = `t=${t},v1=${'0'.repeat(64)},${current.split(',')[1]}`;
+  assert.equal(adapters.STRIPE.verifyWebhook(config, { rawBody: STRIPE_REFUND, headers: { 'stripe-signature': header } }), true);
+});
+
+test('stripe parseWebhookEvent normalises a refund and a dispute', () => {
+  assert.deepEqual(adapters.STRIPE.parseWebhookEvent(JSON.parse(STRIPE_REFUND)), {
+    eventId: 'evt_3PqRefund01',
+    type: 'charge.refunded',
+    kind: 'refunded',
+    reference: 'INV-1042',
+    transactionId: 'pi_3PqIntent01',
+    amount: 50,
+    amountRefunded: 20,
+    fullyRefunded: false,
+    refundId: 're_3PqNewest',
+    cumulative: true,
+  });
+
+  const closed = adapters.STRIPE.parseWebhookEvent({
+    id: 'evt_dispute', type: 'charge.dispute.closed',
+    data: { object: { charge: 'ch_1', status: 'lost', amount: 1999 } },
+  });
+  assert.equal(closed.kind, 'dispute_lost');
+  assert.equal(closed.transactionId, 'ch_1');
+  assert.equal(closed.amount, 19.99);
+
+  assert.equal(adapters.STRIPE.parseWebhookEvent({ id: 'evt_other', type: 'customer.created', data: {} }).kind, null);
+});
+
+test('square verifyWebhook accepts a correctly signed delivery', () => {
+  const headers = squareHeaders(SQUARE_PAYMENT);
+  assert.equal(
+    adapters.SQUARE.verifyWebhook(config, { rawBody: SQUARE_PAYMENT, headers, notificationUrl: SQUARE_URL }),
+    true,
+  );
+});
+
+test('square verifyWebhook rejects a tampered body, a wrong secret and another endpoint URL', () => {
+  const headers = squareHeaders(SQUARE_PAYMENT);
+  const tampered = SQUARE_PAYMENT.replace('"amount":1250', '"amount":125000');
+  assert.equal(
+    adapters.SQUARE.verifyWebhook(config, { rawBody: tampered, headers, notificationUrl: SQUARE_URL }),
+    false,
+  );
+
+  const wrong = squareHeaders(SQUARE_PAYMENT, { secret: 'someone-elses-key' });
+  assert.equal(
+    adapters.SQUARE.verifyWebhook(config, { rawBody: SQUARE_PAYMENT, headers: wrong, notificationUrl: SQUARE_URL }),
+    false,
+  );
+
+  assert.equal(
+    adapters.SQUARE.verifyWebhook(config, {
+      rawBody: SQUARE_PAYMENT, headers, notificationUrl: 'https://api.example.com/api/webhooks/square/school-2',
+    }),
+    false,
+  );
+});
+
+test('square parseWebhookEvent normalises payments, refunds and disputes', () => {
+  assert.deepEqual(adapters.SQUARE.parseWebhookEvent(JSON.parse(SQUARE_PAYMENT)), {
+    eventId: '6a8f5f28-54a1-4eb0-a98a-3111513fd4fc',
+    type: 'payment.updated',
+    kind: 'payment_succeeded',
+    reference: 'ORD-77',
+    transactionId: 'KkAkhdMsgzn59SM8A89WgKwekxLZY',
+    amount: 12.5,
+  });
+
+  const refund = adapters.SQUARE.parseWebhookEvent({
+    event_id: 'evt-refund', type: 'refund.updated',
+    data: { object: { refund: { id: 'rf_1', status: 'COMPLETED', payment_id: 'pay_1', amount_money: { amount: 500 } } } },
+  });
+  assert.equal(refund.kind, 'refunded');
+  assert.equal(refund.transactionId, 'pay_1');
+  assert.equal(refund.amountRefunded, 5);
+  assert.equal(refund.refundId, 'rf_1');
+  assert.equal(refund.cumulative, false);
+
+  const pending = adapters.SQUARE.parseWebhookEvent({
+    event_id: 'evt-pending', type: 'refund.created',
+    data: { object: { refund: { id: 'rf_2', status: 'PENDING', payment_id: 'pay_1' } } },
+  });
+  assert.equal(pending.kind, null);
+
+  const dispute = adapters.SQUARE.parseWebhookEvent({
+    event_id: 'evt-dispute', type: 'dispute.state.changed',
+    data: { object: { dispute: { state: 'WON', disputed_payment: { payment_id: 'pay_2' }, amount_money: { amount: 3000 } } } },
+  });
+  assert.equal(dispute.kind, 'dispute_won');
+  assert.equal(dispute.transactionId, 'pay_2');
+  assert.equal(dispute.amount, 30);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateProration, currentPeriod } = require('../../src/services/proration');
+
+const monthly = { name: 'Monthly', price: 100, billingCycle: 'MONTHLY' };
+const annual = { name: 'Annual', price: 1200, billingCycle: 'ANNUAL' };
+const billedSub = {
+  status: 'ACTIVE',
+  currentPeriodStart: new Date('2026-04-01T00:00:00Z'),
+  nextInvoiceDate: new Date('2026-05-01T00:00:00Z'),
+};
+const midApril = new Date('2026-04-16T00:00:00Z');
+
+test('cancelling half-way through a month credits half the price', () => {
+  const proration = calculateProration(billedSub, monthly, null, midApril);
+  assert.equal(proration.credit, 50);
+  assert.equal(proration.charge, 0);
+  assert.equal(proration.net, -50);
+  assert.equal(proration.fractionRemaining, 0.5);
+  assert.equal(proration.periodEnd.toISOString(), '2026-05-01T00:00:00.000Z');
+});
+
+test('switching plans charges the new plan against its own cycle', () => {
+  const proration = calculateProration(billedSub, monthly, annual, midApril);
+  assert.equal(proration.credit, 50);
+  // 15 of the annual plan's 365 days
+  assert.equal(proration.charge, 49.32);
+  assert.equal(proration.net, -0.68);
+});
+
+test('the period ends a cycle after it starts when no next invoice date is set', () => {
+  const sub = { ...billedSub, nextInvoiceDate: null };
+  assert.equal(currentPeriod(sub, monthly, midApril).end.toISOString(), '2026-05-01T00:00:00.000Z');
+});
+
+test('nothing is prorated without a billed period in progress', () => {
+  assert.equal(calculateProration({ ...billedSub, currentPeriodStart: null }, monthly, null, midApril), null);
+  assert.equal(calculateProration({ ...billedSub, status: 'PAUSED' }, monthly, null, midApril), null);
+  assert.equal(calculateProration(billedSub, monthly, null, new Date('2026-05-01T00:00:00Z')), null);
+  assert.equal(calculateProration(billedSub, monthly, null, new Date('2026-03-31T00:00:00Z')), null);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_QUEUE_AGE_MS, queuedAt, kioskWindow, reviewQueuedItem } = require('../../src/services/queuedCheckIns');
+
+// 18:00–19:00 in Chicago (UTC-5 in October) is 23:00–00:00 UTC
+const session = (overrides = {}) => ({
+  sessionDate: new Date('2026-10-19T00:00:00Z'),
+  startTime: '18:00',
+  endTime: '19:00',
+  status: 'SCHEDULED',
+  class: { school: { timezone: 'America/Chicago' } },
+  ...overrides,
+});
+const afterClass = new Date('2026-10-20T01:00:00Z');
+const duringClass = new Date('2026-10-19T23:30:00Z');
+
+test('queuedAt only trusts past times within the queue age', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  assert.equal(queuedAt(undefined, now), null);
+  assert.equal(queuedAt('not a date', now), null);
+  assert.equal(queuedAt('2026-10-19T12:00:01Z', now), null);
+  assert.equal(queuedAt(new Date(now.getTime() - MAX_QUEUE_AGE_MS - 1), now), null);
+  assert.equal(queuedAt('2026-10-19T08:00:00Z', now).toISOString(), '2026-10-19T08:00:00.000Z');
+});
+
+test('the kiosk window runs from the start of the session day to its end', () => {
+  const { opens, ends } = kioskWindow(session());
+  assert.equal(opens.toISOString(), '2026-10-19T05:00:00.000Z');
+  assert.equal(ends.toISOString(), '2026-10-20T00:00:00.000Z');
+});
+
+test('a believable kiosk time is recorded as an offline check-in', () => {
+  const result = reviewQueuedItem(session(), '2026-10-19T23:05:00Z', afterClass);
+  assert.equal(result.offline.checkedInAt.toISOString(), '2026-10-19T23:05:00.000Z');
+});
+
+test('a kiosk time outside the session is refused', () => {
+  assert.equal(reviewQueuedItem(session(), '2026-10-19T04:00:00Z', afterClass).reason, 'OUTSIDE_SESSION');
+  assert.equal(reviewQueuedItem(session(), '2026-10-20T00:30:00Z', afterClass).reason, 'OUTSIDE_SESSION');
+});
+
+test('only sessions up to the sync date and within the queue age can be synced', () => {
+  const tomorrow = session({ sessionDate: new Date('2026-10-21T00:00:00Z') });
+  assert.equal(reviewQueuedItem(tomorrow, '2026-10-19T23:05:00Z', afterClass).reason, 'SESSION_OUT_OF_RANGE');
+
+  const longAgo = session({ sessionDate: new Date('2026-10-09T00:00:00Z') });
+  assert.equal(reviewQueuedItem(longAgo, '2026-10-19T23:05:00Z', afterClass).reason, 'SESSION_OUT_OF_RANGE');
+});
+
+test('without a kiosk time the item is a live check-in', () => {
+  assert.deepEqual(reviewQueuedItem(session(), undefined, duringClass), { offline: null });
+  assert.equal(reviewQueuedItem(session(), undefined, afterClass).reason, 'SESSION_INACTIVE');
+  assert.equal(reviewQueuedItem(session({ status: 'COMPLETED' }), undefined, duringClass).reason, 'SESSION_INACTIVE');
+});
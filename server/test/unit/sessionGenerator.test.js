@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitsSchedule, scheduleDates } = require('../../src/services/sessionGenerator');
+
+const mondays = {
+  dayOfWeek: 'MON',
+  effectiveFrom: new Date('2026-10-05T00:00:00Z'),
+  effectiveUntil: new Date('2026-11-30T00:00:00Z'),
+};
+const day = (s) => new Date(`${s}T00:00:00Z`);
+
+test('fitsSchedule checks the weekday and the effective dates', () => {
+  assert.equal(fitsSchedule(mondays, day('2026-10-19')), true);
+  assert.equal(fitsSchedule(mondays, day('2026-10-20')), false);
+  assert.equal(fitsSchedule(mondays, day('2026-09-28')), false);
+  assert.equal(fitsSchedule(mondays, day('2026-11-30')), true);
+  assert.equal(fitsSchedule(mondays, day('2026-12-07')), false);
+  assert.equal(fitsSchedule({ ...mondays, effectiveUntil: null }, day('2027-06-07')), true);
+});
+
+test('scheduleDates lists meeting days from the effective date up to `until`', () => {
+  const dates = scheduleDates(mondays, day('2026-10-01'), day('2026-10-26'));
+  assert.deepEqual(dates.map((d) => d.toISOString().slice(0, 10)), ['2026-10-05', '2026-10-12', '2026-10-19']);
+});
+
+test('scheduleDates stops at effectiveUntil', () => {
+  const dates = scheduleDates(mondays, day('2026-11-20'), day('2026-12-31'));
+  assert.deepEqual(dates.map((d) => d.toISOString().slice(0, 10)), ['2026-11-23', '2026-11-30']);
+});